@@ -31,6 +31,42 @@ export function computeSpearmanRho(ranking1, ranking2) {
   return 1 - (6 * sumD2) / (n * (n * n - 1));
 }
 
+/**
+ * Spearman's rank correlation for rankings with ties: the Pearson correlation
+ * of the ranks, which stays exact when tied entries share their midrank
+ * (the shortcut formula in computeSpearmanRho() assumes distinct ranks).
+ *
+ * @param {Array<{photo: string, rank: number}>} ranking1
+ * @param {Array<{photo: string, rank: number}>} ranking2
+ * @returns {number|null} rho in [-1, 1], or null if fewer than 2 common photos
+ *   or either side has all ranks tied
+ */
+export function computeTiedSpearmanRho(ranking1, ranking2) {
+  const map1 = new Map(ranking1.map(r => [r.photo, r.rank]));
+  const map2 = new Map(ranking2.map(r => [r.photo, r.rank]));
+
+  const common = [...map1.keys()].filter(p => map2.has(p));
+  const n = common.length;
+
+  if (n < 2) return null;
+
+  const mean1 = common.reduce((sum, p) => sum + map1.get(p), 0) / n;
+  const mean2 = common.reduce((sum, p) => sum + map2.get(p), 0) / n;
+  let covariance = 0;
+  let variance1 = 0;
+  let variance2 = 0;
+  for (const photo of common) {
+    const d1 = map1.get(photo) - mean1;
+    const d2 = map2.get(photo) - mean2;
+    covariance += d1 * d2;
+    variance1 += d1 * d1;
+    variance2 += d2 * d2;
+  }
+
+  if (variance1 === 0 || variance2 === 0) return null;
+  return covariance / Math.sqrt(variance1 * variance2);
+}
+
 /**
  * Compute top-N overlap between two rankings.
  *
@@ -0,0 +1,287 @@
+/**
+ * Near-duplicate and burst detection
+ *
+ * Shoots often contain bursts of nearly identical frames that all rank
+ * together and crowd out diversity. Each photo gets two 64-bit perceptual
+ * hashes computed with sharp:
+ *
+ * - dHash: sign of horizontal brightness gradients on a 9x8 thumbnail
+ * - pHash: low-frequency DCT coefficients of a 32x32 thumbnail vs. their median
+ *
+ * Photos whose hashes both lie within `threshold` bits of each other are
+ * linked, and linked photos form a cluster (single linkage). Each cluster
+ * gets a representative: the sharpest frame by Laplacian variance.
+ *
+ * open-call.json:
+ * "nearDuplicates": { "enabled": true, "threshold": 10, "representativesOnly": false }
+ *
+ * @module duplicate-detector
+ */
+
+import sharp from 'sharp';
+import { logger } from '../utils/logger.js';
+import { loadImageSource } from '../utils/raw-preview.js';
+import { computeTechnicalMetricsSafe } from './technical-metrics.js';
+
+export const DEFAULT_DUPLICATE_THRESHOLD = 10;
+const HASH_BITS = 64;
+const PHASH_SIZE = 32;
+const PHASH_LOW_FREQ = 8;
+
+function bitsToHex(bits) {
+  let hex = '';
+  for (let i = 0; i < bits.length; i += 4) {
+    hex += ((bits[i] << 3) | (bits[i + 1] << 2) | (bits[i + 2] << 1) | bits[i + 3]).toString(16);
+  }
+  return hex;
+}
+
+/**
+ * Difference hash of greyscale pixels laid out as (width x height), width = height + 1.
+ *
+ * @param {Uint8Array|Buffer} pixels - 9x8 greyscale pixels
+ * @returns {string} 16-character hex hash
+ */
+export function dHashFromPixels(pixels) {
+  const bits = [];
+  for (let y = 0; y < 8; y++) {
+    for (let x = 0; x < 8; x++) {
+      bits.push(pixels[y * 9 + x] < pixels[y * 9 + x + 1] ? 1 : 0);
+    }
+  }
+  return bitsToHex(bits);
+}
+
+/**
+ * Perceptual (DCT) hash of 32x32 greyscale pixels.
+ * The DC term is left out of the median so overall brightness does not dominate.
+ *
+ * @param {Uint8Array|Buffer} pixels - 32x32 greyscale pixels
+ * @returns {string} 16-character hex hash
+ */
+export function pHashFromPixels(pixels) {
+  const n = PHASH_SIZE;
+  const cosines = [];
+  for (let u = 0; u < PHASH_LOW_FREQ; u++) {
+    cosines.push(Array.from({ length: n }, (_, x) => Math.cos(((2 * x + 1) * u * Math.PI) / (2 * n))));
+  }
+
+  const coefficients = [];
+  for (let v = 0; v < PHASH_LOW_FREQ; v++) {
+    for (let u = 0; u < PHASH_LOW_FREQ; u++) {
+      let sum = 0;
+      for (let y = 0; y < n; y++) {
+        const cy = cosines[v][y];
+        for (let x = 0; x < n; x++) {
+          sum += pixels[y * n + x] * cosines[u][x] * cy;
+        }
+      }
+      coefficients.push(sum);
+    }
+  }
+
+  const sorted = coefficients.slice(1).sort((a, b) => a - b);
+  const median = (sorted[31] + sorted[32]) / 2;
+  return bitsToHex(coefficients.map(c => (c > median ? 1 : 0)));
+}
+
+/**
+ * Compute dHash and pHash for a photo.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @returns {Promise<{ dhash: string, phash: string }>}
+ */
+export async function computeImageHashes(photoPath) {
+  const base = sharp(await loadImageSource(photoPath)).rotate().greyscale();
+  const [small, large] = await Promise.all([
+    base.clone().resize(9, 8, { fit: 'fill' }).raw().toBuffer(),
+    base.clone().resize(PHASH_SIZE, PHASH_SIZE, { fit: 'fill' }).raw().toBuffer()
+  ]);
+  return { dhash: dHashFromPixels(small), phash: pHashFromPixels(large) };
+}
+
+/**
+ * Number of differing bits between two hex hashes of equal length.
+ *
+ * @param {string} a - Hex hash
+ * @param {string} b - Hex hash
+ * @returns {number} 0-64
+ */
+export function hammingDistance(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    let diff = parseInt(a[i], 16) ^ parseInt(b[i], 16);
+    while (diff) {
+      distance += diff & 1;
+      diff >>= 1;
+    }
+  }
+  return distance;
+}
+
+/**
+ * Group hashed photos into near-duplicate clusters (single linkage).
+ *
+ * @param {Array<{ name: string, dhash: string, phash: string }>} entries - Hashed photos
+ * @param {Object} [options={}]
+ * @param {number} [options.threshold=10] - Max bits differing in both hashes
+ * @returns {Array<{ members: string[], max_distance: number }>} Clusters of 2+ photos, in input order
+ */
+export function clusterByHashes(entries, options = {}) {
+  const threshold = options.threshold ?? DEFAULT_DUPLICATE_THRESHOLD;
+  const parent = entries.map((_, i) => i);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+
+  const linkDistance = new Map();
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const distance = Math.max(
+        hammingDistance(entries[i].dhash, entries[j].dhash),
+        hammingDistance(entries[i].phash, entries[j].phash)
+      );
+      if (distance > threshold) continue;
+
+      const rootI = find(i);
+      const rootJ = find(j);
+      const merged = Math.min(rootI, rootJ);
+      const carried = Math.max(linkDistance.get(rootI) ?? 0, linkDistance.get(rootJ) ?? 0, distance);
+      parent[Math.max(rootI, rootJ)] = merged;
+      linkDistance.set(merged, carried);
+    }
+  }
+
+  const groups = new Map();
+  entries.forEach((entry, i) => {
+    const root = find(i);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(entry.name);
+  });
+
+  return [...groups.entries()]
+    .filter(([, members]) => members.length > 1)
+    .map(([root, members]) => ({ members, max_distance: linkDistance.get(root) ?? 0 }));
+}
+
+/**
+ * Hash every photo and cluster near-duplicates.
+ * Photos that cannot be decoded are left out of clustering.
+ *
+ * @param {Array<{ name: string, path: string }>} photos - Photos to check
+ * @param {Object} [options={}]
+ * @param {number} [options.threshold=10] - Max bits differing in both hashes
+ * @returns {Promise<Array<{ id: string, members: string[], representative: string, max_distance: number }>>}
+ */
+export async function detectNearDuplicates(photos, options = {}) {
+  const hashed = [];
+  for (const photo of photos) {
+    try {
+      hashed.push({ name: photo.name, path: photo.path, ...(await computeImageHashes(photo.path)) });
+    } catch (error) {
+      logger.debug(`Could not hash ${photo.name}: ${error.message}`);
+    }
+  }
+
+  const clusters = clusterByHashes(hashed, options);
+  const pathOf = new Map(hashed.map(h => [h.name, h.path]));
+
+  const result = [];
+  for (const [index, cluster] of clusters.entries()) {
+    let representative = cluster.members[0];
+    let bestSharpness = -1;
+    for (const name of cluster.members) {
+      const metrics = await computeTechnicalMetricsSafe(pathOf.get(name));
+      if (metrics && metrics.sharpness > bestSharpness) {
+        bestSharpness = metrics.sharpness;
+        representative = name;
+      }
+    }
+    result.push({ id: `cluster-${index + 1}`, members: cluster.members, representative, max_distance: cluster.max_distance });
+  }
+  return result;
+}
+
+/**
+ * Normalise the "nearDuplicates" section of an open call config.
+ * Detection is on by default; analysing representatives only is opt-in.
+ *
+ * @param {Object} config - Open call configuration
+ * @returns {{ enabled: boolean, threshold: number, representativesOnly: boolean }}
+ */
+export function resolveDuplicateConfig(config) {
+  const section = config?.nearDuplicates || {};
+  return {
+    enabled: section.enabled !== false,
+    threshold: section.threshold ?? DEFAULT_DUPLICATE_THRESHOLD,
+    representativesOnly: section.representativesOnly === true
+  };
+}
+
+/**
+ * Map each clustered filename to its cluster.
+ *
+ * @param {Array<{ id: string, members: string[] }>} clusters - Clusters from detectNearDuplicates()
+ * @returns {Map<string, Object>} filename -> cluster
+ */
+export function buildClusterIndex(clusters) {
+  const index = new Map();
+  for (const cluster of clusters || []) {
+    for (const member of cluster.members) index.set(member, cluster);
+  }
+  return index;
+}
+
+/**
+ * Filenames that can be skipped when only representatives are analysed.
+ *
+ * @param {Array<{ members: string[], representative: string }>} clusters
+ * @returns {Set<string>}
+ */
+export function nonRepresentativeMembers(clusters) {
+  const skipped = new Set();
+  for (const cluster of clusters || []) {
+    for (const member of cluster.members) {
+      if (member !== cluster.representative) skipped.add(member);
+    }
+  }
+  return skipped;
+}
+
+/**
+ * Collapse each cluster in a ranking to its best-scoring frame.
+ * The kept entry gets `duplicate_cluster` with the alternates (and their
+ * scores, or null for frames that were not analysed); the others are removed.
+ *
+ * @param {Array<Object>} ranking - Ranked photos (best first) with `filename`
+ * @param {Array<Object>} clusters - Clusters from detectNearDuplicates()
+ * @returns {Array<Object>} Collapsed ranking (ranks are not renumbered)
+ */
+export function collapseClusters(ranking, clusters) {
+  const index = buildClusterIndex(clusters);
+  if (index.size === 0) return ranking;
+
+  const byName = new Map(ranking.map(p => [p.filename, p]));
+  const kept = new Set();
+  const collapsed = [];
+
+  for (const photo of ranking) {
+    const cluster = index.get(photo.filename);
+    if (!cluster) {
+      collapsed.push(photo);
+      continue;
+    }
+    if (kept.has(cluster.id)) continue;
+    kept.add(cluster.id);
+
+    const alternates = cluster.members
+      .filter(name => name !== photo.filename)
+      .map(name => ({ filename: name, overall_score: byName.get(name)?.overall_score ?? null }));
+    collapsed.push({ ...photo, duplicate_cluster: { id: cluster.id, size: cluster.members.length, alternates } });
+  }
+  return collapsed;
+}
@@ -0,0 +1,226 @@
+/**
+ * Automatic series discovery for photoGroups (auto-group command)
+ *
+ * Proposes named groups by clustering photos on four signals:
+ * - capture time gaps (EXIF capture date)
+ * - GPS proximity
+ * - colour palette (coarse RGB histogram)
+ * - perceptual similarity (pHash, duplicate-detector.js)
+ *
+ * Each pair of photos gets a distance per signal both photos have, scaled so
+ * that 1 is the "same series" limit, and a weighted mean of those distances.
+ * Capture time counts double because a shoot session is the strongest hint
+ * that frames belong together. Pairs at or under 1 are linked and the
+ * connected components become the proposed groups, written to
+ * open-call.json as explicit file lists.
+ *
+ * @module group-discovery
+ */
+
+import sharp from 'sharp';
+import { logger } from '../utils/logger.js';
+import { loadImageSource } from '../utils/raw-preview.js';
+import { extractPhotoMetadataSafe, distanceKm } from '../utils/photo-metadata.js';
+import { computeImageHashes, hammingDistance } from './duplicate-detector.js';
+
+export const DEFAULT_AUTO_GROUP = {
+  timeGapMinutes: 120,
+  radiusKm: 2,
+  paletteThreshold: 0.35,
+  hashThreshold: 20,
+  minSize: 2,
+  maxGroups: 20
+};
+
+const PALETTE_SIZE = 32;
+const PALETTE_BINS = 4; // per channel -> 64 bins
+const SIGNAL_WEIGHTS = { time: 2, gps: 1, palette: 1, similarity: 1 };
+const MAX_SIGNAL_DISTANCE = 3;
+
+/**
+ * Coarse colour palette: normalised 4x4x4 RGB histogram of a 32x32 thumbnail.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @returns {Promise<number[]>} 64 bin weights summing to 1
+ */
+export async function computePaletteHistogram(photoPath) {
+  const pixels = await sharp(await loadImageSource(photoPath))
+    .rotate()
+    .resize(PALETTE_SIZE, PALETTE_SIZE, { fit: 'fill' })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer();
+
+  const shift = 8 - Math.log2(PALETTE_BINS);
+  const histogram = new Array(PALETTE_BINS ** 3).fill(0);
+  const count = pixels.length / 3;
+  for (let i = 0; i < pixels.length; i += 3) {
+    const bin = ((pixels[i] >> shift) * PALETTE_BINS + (pixels[i + 1] >> shift)) * PALETTE_BINS + (pixels[i + 2] >> shift);
+    histogram[bin] += 1 / count;
+  }
+  return histogram;
+}
+
+/**
+ * Palette distance: 1 minus histogram intersection (0 = identical, 1 = disjoint).
+ *
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number}
+ */
+export function paletteDistance(a, b) {
+  let shared = 0;
+  for (let i = 0; i < a.length; i++) shared += Math.min(a[i], b[i]);
+  return Math.max(0, 1 - shared);
+}
+
+/**
+ * Resolve auto-group settings from CLI options over the defaults.
+ *
+ * @param {Object} [overrides={}] - e.g. { timeGapMinutes, radiusKm, minSize }
+ * @returns {Object} Settings with every DEFAULT_AUTO_GROUP key
+ */
+export function resolveAutoGroupSettings(overrides = {}) {
+  const settings = { ...DEFAULT_AUTO_GROUP };
+  for (const [key, value] of Object.entries(overrides)) {
+    if (value !== undefined && key in settings) settings[key] = value;
+  }
+  return settings;
+}
+
+/**
+ * Gather clustering signals for each photo. Missing signals are null.
+ *
+ * @param {Array<{name: string, path: string}>} photos
+ * @returns {Promise<Array<{name: string, capturedAt: string|null, time: number|null, gps: Object|null, palette: number[]|null, phash: string|null}>>}
+ */
+export async function computeGroupFeatures(photos) {
+  const features = [];
+  for (const photo of photos) {
+    const metadata = await extractPhotoMetadataSafe(photo.path);
+    let palette = null;
+    let phash = null;
+    try {
+      palette = await computePaletteHistogram(photo.path);
+      phash = (await computeImageHashes(photo.path)).phash;
+    } catch (error) {
+      logger.debug(`Auto-group: no visual signals for ${photo.name}: ${error.message}`);
+    }
+    const capturedAt = metadata?.captured_at || null;
+    features.push({
+      name: photo.name,
+      capturedAt,
+      time: capturedAt ? Date.parse(`${capturedAt}Z`) : null,
+      gps: metadata?.gps || null,
+      palette,
+      phash
+    });
+  }
+  return features;
+}
+
+/**
+ * Weighted mean of the scaled per-signal distances two photos share.
+ *
+ * @param {Object} a - Features from computeGroupFeatures()
+ * @param {Object} b
+ * @param {Object} settings - From resolveAutoGroupSettings()
+ * @returns {number} Distance (<= 1 means same series), Infinity without shared signals
+ */
+export function pairDistance(a, b, settings) {
+  const parts = [];
+  if (a.time !== null && b.time !== null) {
+    parts.push(['time', Math.abs(a.time - b.time) / (settings.timeGapMinutes * 60000)]);
+  }
+  if (a.gps && b.gps) {
+    parts.push(['gps', distanceKm(a.gps, b.gps) / settings.radiusKm]);
+  }
+  if (a.palette && b.palette) {
+    parts.push(['palette', paletteDistance(a.palette, b.palette) / settings.paletteThreshold]);
+  }
+  if (a.phash && b.phash) {
+    parts.push(['similarity', hammingDistance(a.phash, b.phash) / settings.hashThreshold]);
+  }
+  if (parts.length === 0) return Infinity;
+
+  let total = 0;
+  let weights = 0;
+  for (const [signal, distance] of parts) {
+    total += SIGNAL_WEIGHTS[signal] * Math.min(distance, MAX_SIGNAL_DISTANCE);
+    weights += SIGNAL_WEIGHTS[signal];
+  }
+  return total / weights;
+}
+
+function dateLabel(members) {
+  const days = members.map(m => m.capturedAt?.slice(0, 10)).filter(Boolean).sort();
+  if (days.length === 0) return null;
+  const first = days[0];
+  const last = days[days.length - 1];
+  return first === last ? first : `${first} to ${last}`;
+}
+
+/**
+ * Cluster photos into proposed series.
+ *
+ * @param {Object[]} features - From computeGroupFeatures()
+ * @param {Object} [settings=DEFAULT_AUTO_GROUP]
+ * @returns {{ groups: Array<{name: string, files: string[], captured: string|null}>, ungrouped: string[] }}
+ *   Groups are ordered by earliest capture (then filename); ungrouped lists
+ *   photos in clusters smaller than minSize or beyond maxGroups
+ */
+export function proposeGroups(features, settings = DEFAULT_AUTO_GROUP) {
+  const parent = features.map((_, i) => i);
+  const find = (i) => (parent[i] === i ? i : (parent[i] = find(parent[i])));
+
+  for (let i = 0; i < features.length; i++) {
+    for (let j = i + 1; j < features.length; j++) {
+      if (pairDistance(features[i], features[j], settings) <= 1) {
+        parent[find(i)] = find(j);
+      }
+    }
+  }
+
+  const components = new Map();
+  features.forEach((feature, i) => {
+    const root = find(i);
+    if (!components.has(root)) components.set(root, []);
+    components.get(root).push(feature);
+  });
+
+  const byCapture = (a, b) => (a.time ?? Infinity) - (b.time ?? Infinity) || a.name.localeCompare(b.name);
+  const clusters = [...components.values()]
+    .filter(members => members.length >= settings.minSize)
+    .map(members => members.sort(byCapture))
+    .sort((a, b) => b.length - a.length)
+    .slice(0, settings.maxGroups)
+    .sort((a, b) => byCapture(a[0], b[0]));
+
+  const grouped = new Set(clusters.flat().map(m => m.name));
+  const groups = clusters.map((members, i) => {
+    const captured = dateLabel(members);
+    return {
+      name: captured ? `Series ${i + 1} (${captured})` : `Series ${i + 1}`,
+      files: members.map(m => m.name),
+      captured
+    };
+  });
+
+  return {
+    groups,
+    ungrouped: features.map(f => f.name).filter(name => !grouped.has(name)).sort()
+  };
+}
+
+/**
+ * Compute signals for the photos and propose series.
+ *
+ * @param {Array<{name: string, path: string}>} photos
+ * @param {Object} [settings=DEFAULT_AUTO_GROUP]
+ * @returns {Promise<{ groups: Object[], ungrouped: string[] }>}
+ */
+export async function discoverPhotoGroups(photos, settings = DEFAULT_AUTO_GROUP) {
+  const features = await computeGroupFeatures(photos);
+  return proposeGroups(features, settings);
+}
@@ -0,0 +1,284 @@
+/**
+ * Simulated jury panel with persona-based jurors
+ *
+ * Turns each open-call.json `jury` entry into its own persona, built from
+ * the jury entry itself, the research brief's juryProfile and the juror's
+ * strategic memory profile. Each persona scores the photo independently
+ * and casts a vote, like a real shortlisting round. The panel result
+ * reports every vote and rationale plus consensus and divisiveness, which
+ * separates "safe" images (broad support) from "polarising" ones (strong
+ * supporters and detractors).
+ *
+ * @module jury-simulator
+ */
+
+import path from 'path';
+import { getApiClient, getModelName } from '../utils/api-client.js';
+import { logger } from '../utils/logger.js';
+import { loadImageForModel } from '../utils/image-preprocessor.js';
+
+export const JUROR_VOTES = ['Shortlist', 'Maybe', 'Reject'];
+export const DEFAULT_MAX_JURORS = 7;
+
+const MAX_BRIEF_CHARS = 800;
+const MAX_DIVISIVENESS_STD = 4.5; // population std of scores split between 1 and 10
+const POLARISING_RANGE = 4;
+const SAFE_MAX_STD = 1.5;
+const SAFE_MIN_MEAN = 6;
+
+/**
+ * Split a jury entry into the juror's name and the descriptive remainder.
+ * Handles "Name, Role", "Name (Affiliation)" and "Name - Role".
+ *
+ * @param {string} entry - Jury entry from open-call.json
+ * @returns {{ name: string, role: string }}
+ */
+export function parseJuryEntry(entry) {
+  const text = (entry || '').trim();
+  const match = text.match(/^(.+?)\s*(?:,\s*|\s\(|\s[-–—]\s)(.+)$/);
+  if (!match) return { name: text, role: '' };
+  return { name: match[1].trim(), role: match[2].replace(/\)$/, '').trim() };
+}
+
+/**
+ * Extract the sentences of a shared jury profile that mention one juror.
+ * Matches on the surname (last word of the name, 3+ characters).
+ *
+ * @param {string} juryProfile - Research brief juryProfile text
+ * @param {string} name - Juror name
+ * @returns {string} Matching sentences, or '' if none mention the juror
+ */
+export function extractJurorBrief(juryProfile, name) {
+  if (!juryProfile || !name) return '';
+  const surname = name.split(/\s+/).pop().toLowerCase();
+  if (surname.length < 3) return '';
+
+  return juryProfile
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.trim())
+    .filter(s => s && s.toLowerCase().includes(surname))
+    .join(' ')
+    .slice(0, MAX_BRIEF_CHARS);
+}
+
+function summariseMemoryProfile(profile) {
+  if (!profile || !Array.isArray(profile.appearances) || profile.appearances.length === 0) return '';
+  const recent = profile.appearances
+    .slice(-3)
+    .map(a => `${a.openCall} (${a.verdict}, alignment ${a.alignment_score}/10)`)
+    .join('; ');
+  return `${profile.notes || ''} Recent calls: ${recent}`.trim();
+}
+
+/**
+ * Build one persona per jury member.
+ *
+ * @param {Object} config - Open call configuration (uses jury)
+ * @param {Object} [sources={}]
+ * @param {string} [sources.juryProfile] - Research brief juryProfile text
+ * @param {Function} [sources.memoryLookup] - (juryEntry) => strategic memory profile or null
+ * @param {number} [sources.maxJurors=7] - Cap on the number of personas
+ * @returns {Array<{ name: string, role: string, entry: string, brief: string, memory: string }>}
+ */
+export function buildJurorPersonas(config, sources = {}) {
+  const { juryProfile = '', memoryLookup = null, maxJurors = DEFAULT_MAX_JURORS } = sources;
+  const jury = config.jury || [];
+  if (jury.length > maxJurors) {
+    logger.warn(`Jury has ${jury.length} members; simulating the first ${maxJurors}`);
+  }
+
+  return jury.slice(0, maxJurors).map(entry => {
+    const { name, role } = parseJuryEntry(entry);
+    let brief = extractJurorBrief(juryProfile, name);
+    if (!brief && juryProfile) {
+      // No juror-specific lines: fall back to the jury as a whole
+      brief = `About the jury as a whole: ${juryProfile.slice(0, MAX_BRIEF_CHARS)}`;
+    }
+    return {
+      name,
+      role,
+      entry,
+      brief,
+      memory: memoryLookup ? summariseMemoryProfile(memoryLookup(entry)) : ''
+    };
+  });
+}
+
+/**
+ * Build the scoring prompt for one juror persona.
+ *
+ * @param {Object} persona - Persona from buildJurorPersonas()
+ * @param {Object} analysisPrompt - Analysis prompt with title, theme, criteria
+ * @returns {string}
+ */
+export function buildJurorPrompt(persona, analysisPrompt) {
+  const criteria = (analysisPrompt.criteria || [])
+    .map(c => `- ${c.name}: ${c.description || ''}`.trimEnd())
+    .join('\n');
+
+  let prompt = `You are ${persona.name}${persona.role ? `, ${persona.role}` : ''}, a member of the jury for the photography open call "${analysisPrompt.title || 'Open Call'}".
+Theme: ${analysisPrompt.theme || 'Not specified'}
+`;
+  if (persona.brief) {
+    prompt += `\nWhat is known about you as a juror:\n${persona.brief}\n`;
+  }
+  if (persona.memory) {
+    prompt += `\nYour record on past juries:\n${persona.memory}\n`;
+  }
+
+  prompt += `
+Judge the attached photograph on your own, from your personal taste and expertise.
+Do not try to guess what the other jurors think.
+
+Criteria the call asks for:
+${criteria || '- Overall quality and fit to the theme'}
+
+Respond in exactly this format:
+SCORE: N/10
+VOTE: Shortlist, Maybe or Reject
+RATIONALE: Two or three sentences in your own voice`;
+
+  return prompt;
+}
+
+/**
+ * Parse a juror reply.
+ *
+ * @param {string} text - Raw model output
+ * @returns {{ score: number|null, vote: string|null, rationale: string }}
+ */
+export function parseJurorResponse(text) {
+  const content = text || '';
+  const scoreMatch = content.match(/SCORE:\s*\**\s*(\d+(?:\.\d+)?)\s*\/\s*10/i);
+  const voteMatch = content.match(/VOTE:\s*\**\s*(shortlist|maybe|reject)/i);
+  const rationaleMatch = content.match(/RATIONALE:\s*([\s\S]*)/i);
+
+  const score = scoreMatch ? Math.min(10, Math.max(1, parseFloat(scoreMatch[1]))) : null;
+  const vote = voteMatch
+    ? JUROR_VOTES.find(v => v.toLowerCase() === voteMatch[1].toLowerCase())
+    : null;
+
+  return { score, vote, rationale: (rationaleMatch ? rationaleMatch[1] : '').trim() };
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Summarise juror verdicts into consensus and divisiveness.
+ *
+ * - consensus: share of jurors casting the most common vote (0-1)
+ * - divisiveness: population std of scores scaled to 0-1
+ * - profile: 'polarising' (Shortlist and Reject votes, or a score range of
+ *   4+), 'safe' (no Reject, low spread, mean 6+), otherwise 'mixed'
+ *
+ * @param {Array<{ score: number|null, vote: string|null }>} verdicts - Juror verdicts
+ * @returns {Object|null} Null when no juror produced a score
+ */
+export function summariseJury(verdicts) {
+  const scored = verdicts.filter(v => typeof v.score === 'number');
+  if (scored.length === 0) return null;
+
+  const scores = scored.map(v => v.score);
+  const mean = scores.reduce((a, b) => a + b, 0) / scores.length;
+  const std = Math.sqrt(scores.reduce((sum, s) => sum + Math.pow(s - mean, 2), 0) / scores.length);
+  const range = Math.max(...scores) - Math.min(...scores);
+
+  const votes = Object.fromEntries(JUROR_VOTES.map(v => [v, 0]));
+  for (const verdict of verdicts) {
+    if (verdict.vote) votes[verdict.vote]++;
+  }
+  const totalVotes = JUROR_VOTES.reduce((sum, v) => sum + votes[v], 0);
+  const topVotes = Math.max(...JUROR_VOTES.map(v => votes[v]));
+
+  let profile = 'mixed';
+  if ((votes.Shortlist > 0 && votes.Reject > 0) || range >= POLARISING_RANGE) {
+    profile = 'polarising';
+  } else if (votes.Reject === 0 && std < SAFE_MAX_STD && mean >= SAFE_MIN_MEAN) {
+    profile = 'safe';
+  }
+
+  return {
+    mean_score: round2(mean),
+    score_std: round2(std),
+    score_range: round2(range),
+    votes,
+    shortlisted: totalVotes > 0 && votes.Shortlist > totalVotes / 2,
+    consensus: totalVotes > 0 ? round2(topVotes / totalVotes) : null,
+    divisiveness: round2(Math.min(1, std / MAX_DIVISIVENESS_STD)),
+    profile,
+    jurors: scored.length
+  };
+}
+
+async function askJuror(persona, base64Image, analysisPrompt, options) {
+  const client = getApiClient();
+  const timeout = options.timeout || 120000;
+  let timer;
+  try {
+    const response = await Promise.race([
+      client.chat({
+        model: getModelName(options.model),
+        messages: [{ role: 'user', content: buildJurorPrompt(persona, analysisPrompt), images: [base64Image] }],
+        options: { temperature: 0.5, num_predict: 400 }
+      }),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Juror timed out after ${timeout}ms`)), timeout);
+      })
+    ]);
+    return parseJurorResponse(response.message.content);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Have every juror persona score one photo independently.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @param {Object} analysisPrompt - Analysis prompt with title, theme, criteria
+ * @param {Array<Object>} personas - Personas from buildJurorPersonas()
+ * @param {Object} [options={}]
+ * @param {string} [options.model] - Vision model
+ * @param {number} [options.timeout=120000] - Timeout per juror in ms
+ * @param {Object} [options.preprocess] - Pre-processing settings (resolvePreprocessingConfig)
+ * @returns {Promise<{ success: boolean, data?: Object, error?: string }>}
+ */
+export async function simulateJury(photoPath, analysisPrompt, personas, options = {}) {
+  if (!personas || personas.length === 0) {
+    return { success: false, error: 'No jury members to simulate (open-call.json "jury" is empty)' };
+  }
+
+  const base64Image = await loadImageForModel(photoPath, options.preprocess);
+  const jurors = [];
+
+  for (const persona of personas) {
+    try {
+      const verdict = await askJuror(persona, base64Image, analysisPrompt, options);
+      if (verdict.score === null) {
+        jurors.push({ name: persona.name, ...verdict, error: 'No score in juror response' });
+      } else {
+        jurors.push({ name: persona.name, ...verdict });
+      }
+    } catch (error) {
+      logger.warn(`Juror ${persona.name} failed on ${path.basename(photoPath)}: ${error.message}`);
+      jurors.push({ name: persona.name, score: null, vote: null, rationale: '', error: error.message });
+    }
+  }
+
+  const panel = summariseJury(jurors);
+  if (!panel) {
+    return { success: false, error: `No juror produced a score: ${jurors[0].error}` };
+  }
+
+  return {
+    success: true,
+    data: {
+      photo: photoPath,
+      filename: path.basename(photoPath),
+      jurors,
+      panel
+    }
+  };
+}
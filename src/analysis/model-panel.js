@@ -0,0 +1,209 @@
+/**
+ * Multi-model consensus panel
+ *
+ * Runs each photo through a weighted panel of vision models declared in
+ * open-call.json ("modelPanel") and merges their scores per criterion into
+ * a weighted consensus with agreement statistics. Photos where the models
+ * strongly disagree are flagged for manual review.
+ *
+ * open-call.json:
+ * "modelPanel": {
+ *   "models": ["llava:13b", { "name": "moondream", "weight": 0.5 }],
+ *   "disagreementThreshold": 3
+ * }
+ *
+ * @module model-panel
+ */
+
+export const DEFAULT_DISAGREEMENT_THRESHOLD = 3;
+const SCORE_RANGE = 9; // 1-10 scale
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Normalise the "modelPanel" section of an open call config.
+ *
+ * @param {Object} config - Open call configuration
+ * @returns {{ models: Array<{ name: string, weight: number }>, disagreementThreshold: number }|null}
+ *   Null when no panel is configured
+ * @throws {Error} If models are duplicated or weights are not positive
+ */
+export function resolveModelPanel(config) {
+  const panel = config?.modelPanel;
+  if (!panel || !Array.isArray(panel.models) || panel.models.length === 0) {
+    return null;
+  }
+
+  const models = panel.models.map(entry => (
+    typeof entry === 'string'
+      ? { name: entry, weight: 1 }
+      : { name: entry.name, weight: entry.weight ?? 1 }
+  ));
+
+  const seen = new Set();
+  for (const model of models) {
+    if (!model.name) {
+      throw new Error('Model panel entries need a model name');
+    }
+    if (seen.has(model.name)) {
+      throw new Error(`Model "${model.name}" appears more than once in the model panel`);
+    }
+    if (typeof model.weight !== 'number' || model.weight <= 0) {
+      throw new Error(`Model panel weight for "${model.name}" must be a positive number`);
+    }
+    seen.add(model.name);
+  }
+
+  return {
+    models,
+    disagreementThreshold: panel.disagreementThreshold ?? DEFAULT_DISAGREEMENT_THRESHOLD
+  };
+}
+
+/**
+ * Describe a panel as a stable string (cache variant, logs).
+ *
+ * @param {{ models: Array<{ name: string, weight: number }> }} panel
+ * @returns {string} e.g. "llava:13b*1,moondream*0.5"
+ */
+export function describePanel(panel) {
+  return panel.models.map(m => `${m.name}*${m.weight}`).join(',');
+}
+
+function weightedStats(entries) {
+  const totalWeight = entries.reduce((sum, e) => sum + e.weight, 0);
+  const mean = entries.reduce((sum, e) => sum + e.score * e.weight, 0) / totalWeight;
+  const variance = entries.reduce((sum, e) => sum + e.weight * Math.pow(e.score - mean, 2), 0) / totalWeight;
+  const scores = entries.map(e => e.score);
+  return {
+    mean,
+    std: Math.sqrt(variance),
+    range: Math.max(...scores) - Math.min(...scores)
+  };
+}
+
+function weightedVote(entries) {
+  const totals = new Map();
+  for (const { value, weight } of entries) {
+    if (value) totals.set(value, (totals.get(value) || 0) + weight);
+  }
+  let best = null;
+  let bestWeight = 0;
+  for (const [value, weight] of totals) {
+    if (weight > bestWeight) {
+      best = value;
+      bestWeight = weight;
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge per-model analyses of one photo into a consensus result.
+ *
+ * Per criterion, `score` becomes the weight-averaged panel score and
+ * `panel` holds each model's score, with the weighted std and the range
+ * (max - min). A criterion whose range reaches the disagreement threshold
+ * is listed in `scores.consensus.disagreement_criteria`.
+ *
+ * @param {Array<Object|null>} modelResults - analyzePhoto() results, aligned with panel.models
+ * @param {Object} panel - Panel from resolveModelPanel()
+ * @returns {Object} Analysis result in the analyzePhoto() shape, plus scores.consensus
+ * @throws {Error} If no model produced scores
+ */
+export function mergePanelResults(modelResults, panel) {
+  const usable = panel.models
+    .map((model, i) => ({ model, result: modelResults[i] }))
+    .filter(({ result }) => result && result.scores && Object.keys(result.scores.individual || {}).length > 0);
+
+  if (usable.length === 0) {
+    throw new Error('No panel model produced scores');
+  }
+
+  const threshold = panel.disagreementThreshold ?? DEFAULT_DISAGREEMENT_THRESHOLD;
+  const criterionEntries = {};
+  const criterionWeights = {};
+  for (const { model, result } of usable) {
+    for (const [name, data] of Object.entries(result.scores.individual)) {
+      if (!criterionEntries[name]) {
+        criterionEntries[name] = [];
+        criterionWeights[name] = data.weight;
+      }
+      criterionEntries[name].push({ model: model.name, weight: model.weight, score: data.score });
+    }
+  }
+
+  const individual = {};
+  const disagreementCriteria = [];
+  const ranges = [];
+  for (const [name, entries] of Object.entries(criterionEntries)) {
+    const stats = weightedStats(entries);
+    individual[name] = {
+      score: round1(stats.mean),
+      weight: criterionWeights[name],
+      panel: Object.fromEntries(entries.map(e => [e.model, e.score])),
+      std: round2(stats.std),
+      range: round1(stats.range)
+    };
+    ranges.push(stats.range);
+    if (entries.length > 1 && stats.range >= threshold) {
+      disagreementCriteria.push(name);
+    }
+  }
+
+  const models = usable.map(({ model, result }) => ({
+    name: model.name,
+    weight: model.weight,
+    weighted_average: result.scores.summary?.weighted_average ?? null,
+    recommendation: result.scores.summary?.recommendation ?? null
+  }));
+
+  const weightedCriteria = Object.values(individual).filter(d => d.weight > 0);
+  const criteriaWeight = weightedCriteria.reduce((sum, d) => sum + d.weight, 0);
+  const summary = {
+    models: usable.length
+  };
+  if (criteriaWeight > 0) {
+    summary.weighted_average = round1(weightedCriteria.reduce((sum, d) => sum + d.score * d.weight, 0) / criteriaWeight);
+  }
+  const recommendation = weightedVote(models.map(m => ({ value: m.recommendation, weight: m.weight })));
+  if (recommendation) summary.recommendation = recommendation;
+
+  const meanRange = ranges.reduce((a, b) => a + b, 0) / ranges.length;
+  const consensus = {
+    models,
+    failed_models: panel.models.filter(m => !usable.some(u => u.model.name === m.name)).map(m => m.name),
+    agreement: usable.length > 1 ? round2(1 - meanRange / SCORE_RANGE) : null,
+    max_range: round1(Math.max(...ranges)),
+    threshold,
+    disagreement: disagreementCriteria.length > 0,
+    disagreement_criteria: disagreementCriteria
+  };
+
+  const lead = [...usable].sort((a, b) => b.model.weight - a.model.weight)[0].result;
+  const analysisText = usable
+    .map(({ model, result }) => `[${model.name}]\n${result.analysisText || ''}`)
+    .join('\n\n');
+
+  return {
+    photoPath: lead.photoPath,
+    filename: lead.filename,
+    analysisText,
+    scores: {
+      individual,
+      summary,
+      strengths: lead.scores.strengths,
+      improvements: lead.scores.improvements,
+      full_analysis: analysisText,
+      consensus
+    },
+    timestamp: new Date().toISOString(),
+    model: usable.map(u => u.model.name).join('+')
+  };
+}
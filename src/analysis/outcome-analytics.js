@@ -0,0 +1,278 @@
+/**
+ * Outcome analytics: how well did the analyzer predict competition results?
+ *
+ * Joins the analysis run each submission was based on with the outcomes
+ * recorded by the open-call tracker, across projects, and measures:
+ * - calibration: success rate of submitted photos per AI score band
+ * - Tier 1 precision: share of submitted Tier 1 photos that succeeded
+ * - ranking agreement per call (Spearman rho, top-N overlap from comparison-engine)
+ * - which criteria separated successful photos from the rest
+ *
+ * A submitted photo succeeded when it was shortlisted or won. Photos of calls
+ * still awaiting a result are left out.
+ *
+ * Pure functions, no I/O. The caller loads runs and tracker records.
+ *
+ * @module outcome-analytics
+ */
+
+import { computeTiedSpearmanRho, computeTopNOverlap } from './comparison-engine.js';
+
+export const SCORE_BANDS = [
+  { label: '< 6', min: -Infinity, max: 6 },
+  { label: '6-7', min: 6, max: 7 },
+  { label: '7-8', min: 7, max: 8 },
+  { label: '8-9', min: 8, max: 9 },
+  { label: '>= 9', min: 9, max: Infinity }
+];
+
+const DECIDED_STATUSES = ['shortlisted', 'won', 'rejected'];
+const MIN_CRITERION_SAMPLES = 4;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+const baseName = (photo) => String(photo).split('/').pop();
+
+/**
+ * Join one project's analysis run with its tracker record.
+ *
+ * @param {string} project - Project name
+ * @param {Object} run - photo-analysis.json content ({ ranking, tiers })
+ * @param {Object} tracker - Tracker record (submission-tracker)
+ * @returns {Array<{ project: string, filename: string, score: number|null, rank: number|null, tier: number|null, criteria: Object, outcome: string, success: boolean }>}
+ *   One entry per submitted photo; empty while the call awaits a result
+ */
+export function joinOutcomes(project, run, tracker) {
+  if (!DECIDED_STATUSES.includes(tracker?.status)) return [];
+
+  const ranked = new Map((run?.ranking || []).map(r => [baseName(r.photo), r]));
+  const tierOf = new Map();
+  for (const [tier, key] of [[1, 'tier1'], [2, 'tier2'], [3, 'tier3']]) {
+    for (const photo of run?.tiers?.[key] || []) tierOf.set(baseName(photo.filename || photo.photo), tier);
+  }
+
+  return (tracker.photos || []).map(photo => {
+    const analysed = ranked.get(photo.filename);
+    const outcome = photo.outcome || 'rejected';
+    return {
+      project,
+      filename: photo.filename,
+      score: analysed?.overall_score ?? null,
+      rank: analysed?.rank ?? null,
+      tier: tierOf.get(photo.filename) ?? null,
+      criteria: Object.fromEntries(Object.entries(analysed?.individual_scores || {})
+        .filter(([, data]) => typeof data?.score === 'number')
+        .map(([name, data]) => [name, data.score])),
+      outcome,
+      success: outcome === 'shortlisted' || outcome === 'won'
+    };
+  });
+}
+
+/**
+ * Success rate of submitted photos per AI score band.
+ *
+ * @param {Object[]} entries - From joinOutcomes()
+ * @returns {Array<{ band: string, photos: number, successes: number, successRate: number|null, meanScore: number|null }>}
+ */
+export function computeCalibration(entries) {
+  const scored = entries.filter(e => e.score !== null);
+  return SCORE_BANDS.map(({ label, min, max }) => {
+    const inBand = scored.filter(e => e.score >= min && e.score < max);
+    const successes = inBand.filter(e => e.success).length;
+    return {
+      band: label,
+      photos: inBand.length,
+      successes,
+      successRate: inBand.length > 0 ? round2(successes / inBand.length) : null,
+      meanScore: inBand.length > 0 ? round2(mean(inBand.map(e => e.score))) : null
+    };
+  });
+}
+
+/**
+ * Precision and recall of Tier 1 as a selection rule.
+ *
+ * @param {Object[]} entries - From joinOutcomes()
+ * @returns {{ tier1: number, tier1Successes: number, precision: number|null, recall: number|null, baseRate: number|null }}
+ *   baseRate is the success rate of all submitted photos, for comparison
+ */
+export function computeTierPrecision(entries) {
+  const tier1 = entries.filter(e => e.tier === 1);
+  const tier1Successes = tier1.filter(e => e.success).length;
+  const successes = entries.filter(e => e.success).length;
+  return {
+    tier1: tier1.length,
+    tier1Successes,
+    precision: tier1.length > 0 ? round2(tier1Successes / tier1.length) : null,
+    recall: successes > 0 ? round2(tier1Successes / successes) : null,
+    baseRate: entries.length > 0 ? round2(successes / entries.length) : null
+  };
+}
+
+/**
+ * Rank entries by a value, giving tied entries their average rank.
+ */
+function toRanking(entries, value) {
+  const sorted = [...entries].sort((a, b) => value(b) - value(a));
+  const ranking = [];
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && value(sorted[j + 1]) === value(sorted[i])) j++;
+    for (let k = i; k <= j; k++) {
+      ranking.push({ photo: `${sorted[k].project}/${sorted[k].filename}`, rank: (i + j) / 2 + 1 });
+    }
+    i = j + 1;
+  }
+  return ranking;
+}
+
+const outcomeValue = (entry) => ({ won: 2, shortlisted: 1 }[entry.outcome] || 0);
+
+/**
+ * Agreement between the AI ranking and the outcome within each call.
+ *
+ * @param {Object[]} entries - From joinOutcomes()
+ * @returns {Array<{ project: string, photos: number, successes: number, rho: number|null, topOverlap: {overlap: number, n: number, percentage: number}|null }>}
+ *   topOverlap compares the AI's top-N submitted photos with the N that succeeded
+ */
+export function computeCallAgreement(entries) {
+  const projects = [...new Set(entries.map(e => e.project))];
+  return projects.map(project => {
+    const scored = entries.filter(e => e.project === project && e.score !== null);
+    const successes = scored.filter(e => e.success).length;
+    const aiRanking = toRanking(scored, e => e.score);
+    const outcomeRanking = toRanking(scored, outcomeValue);
+    const rho = computeTiedSpearmanRho(aiRanking, outcomeRanking);
+    const top = successes > 0 && successes < scored.length
+      ? computeTopNOverlap(aiRanking, toRanking(scored, e => (e.success ? 1 : 0)), successes)
+      : null;
+    return {
+      project,
+      photos: scored.length,
+      successes,
+      rho: rho === null ? null : round2(rho),
+      topOverlap: top ? { overlap: top.overlap, n: top.n, percentage: top.percentage } : null
+    };
+  });
+}
+
+/**
+ * Criteria ordered by how well they separate successful photos from the rest.
+ * Criteria are matched by name across calls (case-insensitive).
+ *
+ * @param {Object[]} entries - From joinOutcomes()
+ * @returns {Array<{ criterion: string, photos: number, rho: number, meanSuccess: number, meanOther: number, difference: number }>}
+ *   Sorted by rho, strongest positive first; criteria with too few samples
+ *   or only one outcome class are left out
+ */
+export function rankPredictiveCriteria(entries) {
+  const byCriterion = new Map();
+  for (const entry of entries) {
+    for (const [name, score] of Object.entries(entry.criteria)) {
+      const key = name.toLowerCase();
+      if (!byCriterion.has(key)) byCriterion.set(key, { criterion: name, samples: [] });
+      byCriterion.get(key).samples.push({ ...entry, criterionScore: score });
+    }
+  }
+
+  const ranked = [];
+  for (const { criterion, samples } of byCriterion.values()) {
+    const successful = samples.filter(s => s.success);
+    const other = samples.filter(s => !s.success);
+    if (samples.length < MIN_CRITERION_SAMPLES || successful.length === 0 || other.length === 0) continue;
+    const rho = computeTiedSpearmanRho(toRanking(samples, s => s.criterionScore), toRanking(samples, s => (s.success ? 1 : 0)));
+    const meanSuccess = mean(successful.map(s => s.criterionScore));
+    const meanOther = mean(other.map(s => s.criterionScore));
+    ranked.push({
+      criterion,
+      photos: samples.length,
+      // Identical scores for every photo separate nothing
+      rho: rho === null ? 0 : round2(rho),
+      meanSuccess: round2(meanSuccess),
+      meanOther: round2(meanOther),
+      difference: round2(meanSuccess - meanOther)
+    });
+  }
+  return ranked.sort((a, b) => b.rho - a.rho);
+}
+
+/**
+ * Full outcome analytics across projects.
+ *
+ * @param {Array<{ name: string, run: Object|null, tracker: Object }>} projects - Each with its analysis run and tracker record
+ * @returns {{ calls: number, photos: number, successes: number, unanalysed: number, calibration: Object[], tierPrecision: Object, agreement: Object[], criteria: Object[] }}
+ */
+export function analyzeOutcomes(projects) {
+  const entries = projects.flatMap(({ name, run, tracker }) => joinOutcomes(name, run, tracker));
+  return {
+    calls: new Set(entries.map(e => e.project)).size,
+    photos: entries.length,
+    successes: entries.filter(e => e.success).length,
+    unanalysed: entries.filter(e => e.score === null).length,
+    calibration: computeCalibration(entries),
+    tierPrecision: computeTierPrecision(entries),
+    agreement: computeCallAgreement(entries),
+    criteria: rankPredictiveCriteria(entries)
+  };
+}
+
+/**
+ * Generate a markdown outcome report.
+ *
+ * @param {Object} analysis - From analyzeOutcomes()
+ * @returns {string} Markdown report
+ */
+export function generateOutcomeReport(analysis) {
+  const percent = (rate) => (rate === null ? 'n/a' : `${Math.round(rate * 100)}%`);
+  const lines = [];
+  lines.push('# Outcome Analytics\n');
+  lines.push(`Generated: ${new Date().toISOString()}\n`);
+  lines.push(`${analysis.calls} decided call(s), ${analysis.photos} submitted photo(s), ${analysis.successes} shortlisted or won.`);
+  if (analysis.unanalysed > 0) {
+    lines.push(`${analysis.unanalysed} submitted photo(s) had no analysis result and are left out of the statistics.`);
+  }
+  lines.push('');
+
+  lines.push('## Calibration\n');
+  lines.push('| AI score | Photos | Succeeded | Success rate |');
+  lines.push('|----------|--------|-----------|--------------|');
+  for (const band of analysis.calibration) {
+    lines.push(`| ${band.band} | ${band.photos} | ${band.successes} | ${percent(band.successRate)} |`);
+  }
+  lines.push('');
+
+  const tier = analysis.tierPrecision;
+  lines.push('## Tier 1 as a selection rule\n');
+  lines.push(`- **Precision**: ${percent(tier.precision)} (${tier.tier1Successes} of ${tier.tier1} submitted Tier 1 photos succeeded)`);
+  lines.push(`- **Recall**: ${percent(tier.recall)} of successful photos were Tier 1`);
+  lines.push(`- **Base rate**: ${percent(tier.baseRate)} of all submitted photos succeeded`);
+  lines.push('');
+
+  lines.push('## Ranking agreement per call\n');
+  if (analysis.agreement.length === 0) {
+    lines.push('No decided calls with analysed photos.');
+  } else {
+    lines.push('| Call | Photos | Succeeded | Spearman rho | Top-N overlap |');
+    lines.push('|------|--------|-----------|--------------|---------------|');
+    for (const call of analysis.agreement) {
+      const overlap = call.topOverlap ? `${call.topOverlap.overlap}/${call.topOverlap.n}` : 'n/a';
+      lines.push(`| ${call.project} | ${call.photos} | ${call.successes} | ${call.rho === null ? 'n/a' : call.rho.toFixed(2)} | ${overlap} |`);
+    }
+  }
+  lines.push('');
+
+  lines.push('## Most predictive criteria\n');
+  if (analysis.criteria.length === 0) {
+    lines.push(`Not enough outcomes yet (each criterion needs ${MIN_CRITERION_SAMPLES}+ photos with both successes and rejections).`);
+  } else {
+    lines.push('| Criterion | Photos | rho | Mean (succeeded) | Mean (other) | Difference |');
+    lines.push('|-----------|--------|-----|------------------|--------------|------------|');
+    for (const c of analysis.criteria) {
+      lines.push(`| ${c.criterion} | ${c.photos} | ${c.rho.toFixed(2)} | ${c.meanSuccess.toFixed(2)} | ${c.meanOther.toFixed(2)} | ${c.difference >= 0 ? '+' : ''}${c.difference.toFixed(2)} |`);
+    }
+  }
+  lines.push('');
+
+  return lines.join('\n');
+}
@@ -0,0 +1,363 @@
+/**
+ * Pairwise tournament ranking (Bradley-Terry)
+ *
+ * Absolute 1-10 scores bunch up around 7-8, so the order at the top of a
+ * ranking is often arbitrary. This module shows the vision model two photos
+ * at once, asks which is stronger against the open call criteria, and fits
+ * a Bradley-Terry model over the outcomes.
+ *
+ * Pairs are chosen adaptively: every photo first meets its neighbour in the
+ * absolute ranking, then the most uncertain pair (win probability closest
+ * to 50%) is compared next. Comparison stops when the budget is spent or
+ * every remaining pair is already decided with high confidence.
+ *
+ * @module pairwise-ranker
+ */
+
+import path from 'path';
+import { getApiClient, getModelName } from '../utils/api-client.js';
+import { logger } from '../utils/logger.js';
+import { loadImageForModel } from '../utils/image-preprocessor.js';
+
+const BT_ITERATIONS = 200;
+const BT_TOLERANCE = 1e-8;
+// Virtual tie against a reference opponent so undefeated photos keep a finite strength
+const BT_PRIOR_GAMES = 1;
+const DEFAULT_STOP_CONFIDENCE = 0.95;
+
+/**
+ * Default comparison budget for K photos: about K·log2(K), at least K-1.
+ *
+ * @param {number} k - Number of photos in the tournament
+ * @returns {number}
+ */
+export function defaultComparisonBudget(k) {
+  if (k < 2) return 0;
+  return Math.max(k - 1, Math.ceil(k * Math.log2(k)));
+}
+
+/**
+ * Build the prompt for a two-photo comparison.
+ *
+ * @param {Object} analysisPrompt - Analysis prompt with title, theme, criteria
+ * @returns {string}
+ */
+export function buildPairwisePrompt(analysisPrompt) {
+  const criteria = (analysisPrompt.criteria || [])
+    .map(c => `- ${c.name} (${c.weight || 0}%): ${c.description || ''}`.trimEnd())
+    .join('\n');
+
+  return `You are a jury member for the photography open call "${analysisPrompt.title || 'Open Call'}".
+Theme: ${analysisPrompt.theme || 'Not specified'}
+
+Two photographs are attached. The first image is Photo A, the second image is Photo B.
+Compare them against the evaluation criteria and decide which one is the stronger submission.
+
+Evaluation criteria:
+${criteria || '- Overall quality and fit to the theme'}
+
+You must pick one photo, even if they are close.
+
+Respond in exactly this format:
+WINNER: A or B
+REASON: One or two sentences explaining the decision with reference to the criteria`;
+}
+
+/**
+ * Parse a pairwise comparison reply.
+ *
+ * @param {string} text - Raw model output
+ * @returns {{ winner: 'A'|'B'|null, reason: string }}
+ */
+export function parsePairwiseResponse(text) {
+  const content = text || '';
+  let winner = null;
+
+  const explicit = content.match(/WINNER:\s*\**\s*(?:Photo\s*)?([AB])\b/i);
+  if (explicit) {
+    winner = explicit[1].toUpperCase();
+  } else {
+    const mentions = [...new Set((content.match(/\bPhoto\s+([AB])\b/gi) || []).map(m => m.slice(-1).toUpperCase()))];
+    if (mentions.length === 1) winner = mentions[0];
+  }
+
+  const reasonMatch = content.match(/REASON:\s*([\s\S]*)/i);
+  const reason = (reasonMatch ? reasonMatch[1] : content).trim();
+
+  return { winner, reason };
+}
+
+/**
+ * Fit Bradley-Terry strengths with the MM algorithm (Hunter, 2004).
+ *
+ * Each item also plays a virtual drawn game against a reference opponent of
+ * strength 1, which keeps undefeated or winless items finite.
+ *
+ * @param {string[]} items - Item ids
+ * @param {Array<{ winner: string, loser: string }>} comparisons - Observed outcomes
+ * @returns {Map<string, number>} Strength per item, normalised to geometric mean 1
+ */
+export function fitBradleyTerry(items, comparisons) {
+  const strengths = new Map(items.map(id => [id, 1]));
+  const wins = new Map(items.map(id => [id, BT_PRIOR_GAMES / 2]));
+  const games = new Map(items.map(id => [id, new Map()]));
+
+  for (const { winner, loser } of comparisons) {
+    if (!strengths.has(winner) || !strengths.has(loser)) continue;
+    wins.set(winner, wins.get(winner) + 1);
+    games.get(winner).set(loser, (games.get(winner).get(loser) || 0) + 1);
+    games.get(loser).set(winner, (games.get(loser).get(winner) || 0) + 1);
+  }
+
+  for (let iteration = 0; iteration < BT_ITERATIONS; iteration++) {
+    let maxChange = 0;
+    const next = new Map();
+
+    for (const id of items) {
+      const own = strengths.get(id);
+      let denominator = BT_PRIOR_GAMES / (own + 1);
+      for (const [opponent, count] of games.get(id)) {
+        denominator += count / (own + strengths.get(opponent));
+      }
+      next.set(id, wins.get(id) / denominator);
+    }
+
+    const logMean = items.reduce((sum, id) => sum + Math.log(next.get(id)), 0) / items.length;
+    const scale = Math.exp(logMean);
+    for (const id of items) {
+      const value = next.get(id) / scale;
+      maxChange = Math.max(maxChange, Math.abs(value - strengths.get(id)));
+      strengths.set(id, value);
+    }
+
+    if (maxChange < BT_TOLERANCE) break;
+  }
+
+  return strengths;
+}
+
+/**
+ * Probability that item i beats item j under Bradley-Terry.
+ *
+ * @param {number} strengthI
+ * @param {number} strengthJ
+ * @returns {number}
+ */
+export function winProbability(strengthI, strengthJ) {
+  return strengthI / (strengthI + strengthJ);
+}
+
+function pairKey(a, b) {
+  return a < b ? `${a}\u0000${b}` : `${b}\u0000${a}`;
+}
+
+/**
+ * Choose the next pair to compare.
+ *
+ * Seeding round first: each item meets its neighbour in the seed order.
+ * After that, pick the not-yet-compared pair whose outcome is least certain,
+ * preferring pairs that are adjacent in the current ranking on ties.
+ *
+ * @param {string[]} seedOrder - Item ids in initial (absolute score) order
+ * @param {Array<{ a: string, b: string }>} attempted - Pairs already attempted
+ * @param {Map<string, number>} strengths - Current Bradley-Terry strengths
+ * @param {Object} [options={}]
+ * @param {number} [options.stopConfidence=0.95] - Skip pairs already decided beyond this probability
+ * @returns {[string, string]|null} Next pair, or null when nothing informative is left
+ */
+export function selectNextPair(seedOrder, attempted, strengths, options = {}) {
+  const stopConfidence = options.stopConfidence ?? DEFAULT_STOP_CONFIDENCE;
+  const done = new Set(attempted.map(({ a, b }) => pairKey(a, b)));
+
+  for (let i = 0; i < seedOrder.length - 1; i++) {
+    if (!done.has(pairKey(seedOrder[i], seedOrder[i + 1]))) {
+      return [seedOrder[i], seedOrder[i + 1]];
+    }
+  }
+
+  const current = [...seedOrder].sort((x, y) => strengths.get(y) - strengths.get(x));
+  const position = new Map(current.map((id, i) => [id, i]));
+  let best = null;
+  let bestUncertainty = Infinity;
+  let bestDistance = Infinity;
+
+  for (let i = 0; i < current.length; i++) {
+    for (let j = i + 1; j < current.length; j++) {
+      const a = current[i];
+      const b = current[j];
+      if (done.has(pairKey(a, b))) continue;
+
+      const p = winProbability(strengths.get(a), strengths.get(b));
+      if (Math.max(p, 1 - p) >= stopConfidence) continue;
+
+      const uncertainty = Math.abs(p - 0.5);
+      const distance = position.get(b) - position.get(a);
+      if (uncertainty < bestUncertainty - 1e-12 ||
+          (Math.abs(uncertainty - bestUncertainty) <= 1e-12 && distance < bestDistance)) {
+        best = [a, b];
+        bestUncertainty = uncertainty;
+        bestDistance = distance;
+      }
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Ask the vision model which of two photos is stronger.
+ *
+ * @param {string} photoA - Path of the photo shown first
+ * @param {string} photoB - Path of the photo shown second
+ * @param {Object} analysisPrompt - Analysis prompt with title, theme, criteria
+ * @param {Object} [options={}]
+ * @param {string} [options.model] - Vision model (defaults to the configured model)
+ * @param {Object} [options.preprocess] - Pre-processing settings (resolvePreprocessingConfig)
+ * @returns {Promise<{ winner: 'A'|'B'|null, reason: string, raw: string }>}
+ */
+export async function comparePhotos(photoA, photoB, analysisPrompt, options = {}) {
+  const client = getApiClient();
+  const model = getModelName(options.model);
+
+  const response = await client.chat({
+    model,
+    messages: [
+      {
+        role: 'user',
+        content: buildPairwisePrompt(analysisPrompt),
+        images: await Promise.all([photoA, photoB].map(p => loadImageForModel(p, options.preprocess)))
+      }
+    ],
+    options: {
+      temperature: 0.2,
+      num_predict: 300
+    }
+  });
+
+  const raw = response.message.content;
+  return { ...parsePairwiseResponse(raw), raw };
+}
+
+async function compareWithTimeout(photoA, photoB, analysisPrompt, options) {
+  const timeout = options.timeout || 120000;
+  let timer;
+  try {
+    return await Promise.race([
+      comparePhotos(photoA, photoB, analysisPrompt, options),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Comparison timed out after ${timeout}ms`)), timeout);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function round(value, digits) {
+  const factor = Math.pow(10, digits);
+  return Math.round(value * factor) / factor;
+}
+
+/**
+ * Run an adaptive pairwise tournament over candidate photos.
+ *
+ * Presentation order alternates between comparisons to offset the model's
+ * bias toward the first (or second) image. Failed or unparseable comparisons
+ * are recorded and count toward the budget.
+ *
+ * @param {Array<{ photo: string, rank?: number, overall_score?: number }>} candidates - Photos in absolute-score order
+ * @param {Object} analysisPrompt - Analysis prompt with title, theme, criteria
+ * @param {Object} [options={}]
+ * @param {number} [options.maxComparisons] - Budget (default: defaultComparisonBudget(K))
+ * @param {number} [options.timeout=120000] - Timeout per comparison in ms
+ * @param {string} [options.model] - Vision model
+ * @param {Object} [options.preprocess] - Pre-processing settings (resolvePreprocessingConfig)
+ * @param {number} [options.stopConfidence=0.95] - Stop once every remaining pair is this certain
+ * @param {Function} [options.onComparison] - Called with each comparison record
+ * @returns {Promise<Object>} { ranking, comparisons, summary }
+ */
+export async function rankPairwise(candidates, analysisPrompt, options = {}) {
+  const ids = candidates.map(c => c.photo);
+  if (new Set(ids).size !== ids.length) {
+    throw new Error('Pairwise ranking requires distinct photos');
+  }
+
+  const budget = options.maxComparisons ?? defaultComparisonBudget(ids.length);
+  const comparisons = [];
+  const outcomes = [];
+  let strengths = fitBradleyTerry(ids, outcomes);
+
+  while (comparisons.length < budget) {
+    const pair = selectNextPair(ids, comparisons, strengths, options);
+    if (!pair) break;
+
+    const [first, second] = comparisons.length % 2 === 0 ? pair : [pair[1], pair[0]];
+    const record = { a: first, b: second, winner: null, loser: null, reason: '', error: null };
+
+    try {
+      const result = await compareWithTimeout(first, second, analysisPrompt, options);
+      if (result.winner) {
+        record.winner = result.winner === 'A' ? first : second;
+        record.loser = result.winner === 'A' ? second : first;
+        record.reason = result.reason;
+        outcomes.push({ winner: record.winner, loser: record.loser });
+        strengths = fitBradleyTerry(ids, outcomes);
+      } else {
+        record.error = 'Could not determine a winner from the model response';
+      }
+    } catch (error) {
+      record.error = error.message;
+    }
+
+    if (record.error) {
+      logger.warn(`Comparison ${path.basename(first)} vs ${path.basename(second)} failed: ${record.error}`);
+    }
+
+    comparisons.push(record);
+    if (options.onComparison) options.onComparison(record, comparisons.length, budget);
+  }
+
+  const ordered = candidates
+    .map(candidate => ({ candidate, strength: strengths.get(candidate.photo) }))
+    .sort((x, y) => y.strength - x.strength);
+
+  const ranking = ordered.map(({ candidate, strength }, index) => {
+    const others = ids.filter(id => id !== candidate.photo);
+    const meanWinProbability = others.length > 0
+      ? others.reduce((sum, id) => sum + winProbability(strength, strengths.get(id)), 0) / others.length
+      : 1;
+    const next = ordered[index + 1];
+
+    return {
+      rank: index + 1,
+      photo: candidate.photo,
+      filename: path.basename(candidate.photo),
+      strength: round(strength, 4),
+      win_probability: round(meanWinProbability, 3),
+      beats_next_probability: next ? round(winProbability(strength, next.strength), 3) : null,
+      wins: outcomes.filter(o => o.winner === candidate.photo).length,
+      losses: outcomes.filter(o => o.loser === candidate.photo).length,
+      absolute_rank: candidate.rank ?? null,
+      overall_score: candidate.overall_score ?? null
+    };
+  });
+
+  return {
+    ranking,
+    comparisons: comparisons.map(c => ({
+      ...c,
+      a: path.basename(c.a),
+      b: path.basename(c.b),
+      winner: c.winner ? path.basename(c.winner) : null,
+      loser: c.loser ? path.basename(c.loser) : null
+    })),
+    summary: {
+      photos: ids.length,
+      budget,
+      comparisons: comparisons.length,
+      decided: outcomes.length,
+      failed: comparisons.length - outcomes.length,
+      method: 'bradley-terry'
+    }
+  };
+}
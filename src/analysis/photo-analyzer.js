@@ -1,30 +1,41 @@
-import { readFileSync } from 'fs';
 import path from 'path';
 import { getApiClient, getModelName } from '../utils/api-client.js';
 import { logger } from '../utils/logger.js';
+import { loadImageForModel } from '../utils/image-preprocessor.js';
 import {
   buildMultiStagePrompts,
   injectStage1Output,
   buildStage3Prompt
 } from '../prompts/prompt-builder.js';
+import {
+  buildScoreSchema,
+  parseStructuredResponse,
+  toScores
+} from './structured-output.js';
+import { buildSampleSchedule, mergeSampleResults } from './score-sampling.js';
+import { mergePanelResults } from './model-panel.js';
 
 /**
  * Analyzes a photo using Ollama with LLaVA vision model
  * @param {string} photoPath - Path to the photo file
  * @param {Object} analysisPrompt - Analysis prompt with criteria and questions
+ * @param {Object} [options={}]
+ * @param {number} [options.temperature=0.3] - Sampling temperature
+ * @param {number} [options.seed] - Sampling seed (self-consistency sampling)
+ * @param {string} [options.model] - Vision model (defaults to the configured model)
+ * @param {Object} [options.preprocess] - Pre-processing settings (resolvePreprocessingConfig); originals are sent without
  * @returns {Promise<Object>} Analysis results with scores and feedback
  */
-export async function analyzePhoto(photoPath, analysisPrompt) {
+export async function analyzePhoto(photoPath, analysisPrompt, options = {}) {
   try {
     logger.debug(`Analyzing photo: ${photoPath}`);
 
-    // Read the image file and convert to base64
-    const imageBuffer = readFileSync(photoPath);
-    const base64Image = imageBuffer.toString('base64');
+    // Read the image (resized/re-encoded when pre-processing is enabled) as base64
+    const base64Image = await loadImageForModel(photoPath, options.preprocess);
 
     // Get the Ollama client
     const client = getApiClient();
-    const model = getModelName();
+    const model = getModelName(options.model);
 
     // Build the analysis prompt
     const prompt = buildAnalysisPrompt(analysisPrompt);
@@ -40,8 +51,9 @@ export async function analyzePhoto(photoPath, analysisPrompt) {
         }
       ],
       options: {
-        temperature: 0.3,  // Lower for more consistent scoring
-        num_predict: 1500
+        temperature: options.temperature ?? 0.3,  // Lower for more consistent scoring
+        num_predict: 1500,
+        ...seedOption(options)
       }
     });
 
@@ -72,11 +84,32 @@ export async function analyzePhoto(photoPath, analysisPrompt) {
 }
 
 /**
- * Build the analysis prompt for photo evaluation
+ * Temperature of a multi-stage call: the stage's own temperature, shifted by
+ * the sample's offset in the sampling schedule so samples stay varied
+ * @param {number} base - Stage temperature
+ * @param {Object} options - Analysis options (temperatureOffset set by analyzePhotoSampled)
+ * @returns {number} Temperature for the call
+ */
+function stageTemperature(base, options) {
+  if (!options.temperatureOffset) return base;
+  return Math.round((base + options.temperatureOffset) * 10) / 10;
+}
+
+/**
+ * Seed option for model calls, only when sampling sets one
+ * @param {Object} options - Analysis options
+ * @returns {Object} { seed } or empty object
+ */
+function seedOption(options) {
+  return options.seed !== undefined ? { seed: options.seed } : {};
+}
+
+/**
+ * Build the shared prompt header: role, competition, theme and criteria
  * @param {Object} analysisPrompt - Analysis configuration
- * @returns {string} Complete prompt
+ * @returns {string} Prompt header
  */
-function buildAnalysisPrompt(analysisPrompt) {
+function buildPromptContext(analysisPrompt) {
   let prompt = `You are an expert photography critic and competition juror. Analyze this photograph for a photography open call.
 
 `;
@@ -89,6 +122,11 @@ function buildAnalysisPrompt(analysisPrompt) {
     prompt += `**Theme**: ${analysisPrompt.theme}\n`;
   }
 
+  // Per-photo capture metadata (photoMetadata.includeInPrompt)
+  if (analysisPrompt.captureContext) {
+    prompt += `**Capture details** (from the file's metadata): ${analysisPrompt.captureContext}\n`;
+  }
+
   if (analysisPrompt.criteria && analysisPrompt.criteria.length > 0) {
     prompt += '\n**Evaluation Criteria**:\n';
     analysisPrompt.criteria.forEach((criterion) => {
@@ -106,6 +144,17 @@ function buildAnalysisPrompt(analysisPrompt) {
 `;
   }
 
+  return prompt;
+}
+
+/**
+ * Build the analysis prompt for photo evaluation
+ * @param {Object} analysisPrompt - Analysis configuration
+ * @returns {string} Complete prompt
+ */
+function buildAnalysisPrompt(analysisPrompt) {
+  let prompt = buildPromptContext(analysisPrompt);
+
   prompt += `
 **IMPORTANT INSTRUCTIONS**:
 1. Evaluate each criterion with a score from 1 to 10
@@ -142,6 +191,11 @@ Final recommendation: [Strong Yes / Yes / Maybe / No]
 
 /**
  * Parse the analysis response and extract scores
+ *
+ * Each score records its parse path: 'regex' for a strict
+ * "SCORE: name: N/10" line, 'loose' for a "name: N" match. The summary
+ * carries the weakest path used.
+ *
  * @param {string} analysisText - The full analysis text
  * @param {Object} analysisPrompt - Analysis configuration with criteria
  * @returns {Object} Parsed scores and feedback
@@ -170,12 +224,14 @@ function parseAnalysisResponse(analysisText, analysisPrompt) {
       scores.individual[criterion.name] = {
         score,
         weight: criterion.weight || 20,
+        parsePath: 'regex',
       };
     } else {
       // Store even if not in predefined criteria
       scores.individual[criterionName] = {
         score,
         weight: 20,
+        parsePath: 'regex',
       };
     }
   }
@@ -187,11 +243,25 @@ function parseAnalysisResponse(analysisText, analysisPrompt) {
       const name = match[1].trim();
       const score = parseInt(match[2], 10);
       if (score >= 1 && score <= 10) {
-        scores.individual[name] = { score, weight: 20 };
+        scores.individual[name] = { score, weight: 20, parsePath: 'loose' };
+      }
+    }
+  } else {
+    // Criteria the model skipped in SCORE: format may still appear as "name: N"
+    for (const criterion of criteria) {
+      if (scores.individual[criterion.name]) continue;
+      const escaped = criterion.name.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+      const looseMatch = analysisText.match(new RegExp(`${escaped}\\s*[:=]\\s*(\\d+)\\s*(?:\\/10|out of 10)?`, 'i'));
+      const score = looseMatch ? parseInt(looseMatch[1], 10) : null;
+      if (score >= 1 && score <= 10) {
+        scores.individual[criterion.name] = { score, weight: criterion.weight || 20, parsePath: 'loose' };
       }
     }
   }
 
+  const parsePath = summarizeParsePath(scores.individual);
+  if (parsePath) scores.summary.parsePath = parsePath;
+
   // Calculate weighted average
   const weightedScores = Object.entries(scores.individual)
     .filter(([_, data]) => data.weight > 0)
@@ -247,6 +317,145 @@ function parseAnalysisResponse(analysisText, analysisPrompt) {
   return scores;
 }
 
+/**
+ * Summary parse path for a set of parsed scores: 'loose' when any score
+ * needed the loose match, otherwise 'regex'
+ * @param {Object} individual - scores.individual
+ * @returns {string|null} Parse path, or null when nothing was parsed
+ */
+function summarizeParsePath(individual) {
+  const paths = Object.values(individual).map(data => data.parsePath);
+  if (paths.length === 0) return null;
+  return paths.includes('loose') ? 'loose' : 'regex';
+}
+
+/**
+ * Build the prompt for structured (JSON) scoring
+ * @param {Object} analysisPrompt - Analysis configuration
+ * @param {Array} criteria - Criteria the JSON must cover
+ * @returns {string} Complete prompt
+ */
+function buildStructuredPrompt(analysisPrompt, criteria) {
+  const example = {
+    overall_assessment: '2-3 sentence assessment',
+    scores: Object.fromEntries(criteria.map(c => [c.name, { score: 7, justification: 'why' }])),
+    strengths: ['strength'],
+    improvements: ['suggestion'],
+    recommendation: 'Strong Yes | Yes | Maybe | No'
+  };
+
+  return `${buildPromptContext(analysisPrompt)}
+**IMPORTANT INSTRUCTIONS**:
+1. Score every criterion with an integer from 1 to 10 and a brief justification
+2. Use the criterion names exactly as written above
+3. Respond with JSON only, no prose or markdown, matching this shape:
+
+${JSON.stringify(example, null, 2)}
+`;
+}
+
+/**
+ * Analyzes a photo asking the model for JSON that conforms to a schema
+ * generated from the criteria. Malformed output is repaired, then the model
+ * is re-asked with the validation errors; text parsing is the last resort.
+ * Each score records its parse path (json, repaired, retry, regex, loose).
+ *
+ * @param {string} photoPath - Path to the photo file
+ * @param {Object} analysisPrompt - Analysis prompt with criteria
+ * @param {Object} [options={}]
+ * @param {number} [options.maxRetries=1] - Re-asks after a schema violation
+ * @param {number} [options.temperature=0.3] - Sampling temperature
+ * @param {number} [options.seed] - Sampling seed (self-consistency sampling)
+ * @param {string} [options.model] - Vision model (defaults to the configured model)
+ * @returns {Promise<Object>} Analysis results with scores and feedback
+ */
+export async function analyzePhotoStructured(photoPath, analysisPrompt, options = {}) {
+  try {
+    logger.debug(`Structured analysis: ${photoPath}`);
+
+    const base64Image = await loadImageForModel(photoPath, options.preprocess);
+    const client = getApiClient();
+    const model = getModelName(options.model);
+    const maxRetries = options.maxRetries ?? 1;
+
+    const criteria = analysisPrompt.criteria && analysisPrompt.criteria.length > 0
+      ? analysisPrompt.criteria
+      : getDefaultCriteria();
+    const schema = buildScoreSchema(criteria);
+
+    const messages = [
+      {
+        role: 'user',
+        content: buildStructuredPrompt(analysisPrompt, criteria),
+        images: [base64Image]
+      }
+    ];
+
+    let analysisText = '';
+    let parsed = null;
+
+    for (let attempt = 0; attempt <= maxRetries; attempt++) {
+      const response = await client.chat({
+        model: model,
+        messages,
+        format: schema,
+        options: {
+          temperature: options.temperature ?? 0.3,
+          num_predict: 1500,
+          ...seedOption(options)
+        }
+      });
+
+      analysisText = response.message.content;
+      parsed = parseStructuredResponse(analysisText, schema);
+
+      if (parsed.valid) {
+        const parsePath = attempt > 0 ? 'retry' : parsed.parsePath;
+        logger.debug(`Structured analysis complete (${parsePath}): ${photoPath}`);
+        return {
+          photoPath,
+          filename: path.basename(photoPath),
+          analysisText,
+          scores: toScores(parsed.data, criteria, parsePath, analysisText),
+          timestamp: new Date().toISOString(),
+          model: model
+        };
+      }
+
+      logger.debug(`Structured output invalid (attempt ${attempt + 1}): ${parsed.errors.join('; ')}`);
+      messages.push(
+        { role: 'assistant', content: analysisText },
+        {
+          role: 'user',
+          content: `Your response did not match the required JSON schema:\n- ${parsed.errors.join('\n- ')}\n\nReply again with corrected JSON only.`
+        }
+      );
+    }
+
+    logger.warn(`Structured output invalid after ${maxRetries + 1} attempt(s), falling back to text parsing: ${photoPath}`);
+    const scores = parseAnalysisResponse(analysisText, { ...analysisPrompt, criteria });
+    scores.summary.schemaErrors = parsed?.errors || [];
+
+    return {
+      photoPath,
+      filename: path.basename(photoPath),
+      analysisText,
+      scores,
+      timestamp: new Date().toISOString(),
+      model: model
+    };
+  } catch (error) {
+    logger.error(`Failed to analyze photo ${photoPath}: ${error.message}`);
+    return {
+      photoPath,
+      filename: path.basename(photoPath),
+      error: error.message,
+      scores: null,
+      timestamp: new Date().toISOString()
+    };
+  }
+}
+
 /**
  * Analyzes a photo using multi-stage reasoning for improved quality (FR-2.4 Phase 2)
  *
@@ -265,11 +474,10 @@ export async function analyzePhotoMultiStage(photoPath, analysisPrompt, options
     logger.debug(`Multi-stage analysis starting: ${photoPath}`);
 
     // Read image once
-    const imageBuffer = readFileSync(photoPath);
-    const base64Image = imageBuffer.toString('base64');
+    const base64Image = await loadImageForModel(photoPath, options.preprocess);
 
     const client = getApiClient();
-    const model = getModelName();
+    const model = getModelName(options.model);
 
     // Build all stage prompts
     const stages = buildMultiStagePrompts(analysisPrompt, options);
@@ -286,8 +494,9 @@ export async function analyzePhotoMultiStage(photoPath, analysisPrompt, options
         }
       ],
       options: {
-        temperature: stages.stage1.temperature,
-        num_predict: stages.stage1.maxTokens
+        temperature: stageTemperature(stages.stage1.temperature, options),
+        num_predict: stages.stage1.maxTokens,
+        ...seedOption(options)
       }
     });
 
@@ -317,8 +526,9 @@ export async function analyzePhotoMultiStage(photoPath, analysisPrompt, options
             }
           ],
           options: {
-            temperature: criterionPrompt.temperature,
-            num_predict: criterionPrompt.maxTokens
+            temperature: stageTemperature(criterionPrompt.temperature, options),
+            num_predict: criterionPrompt.maxTokens,
+            ...seedOption(options)
           }
         });
       })
@@ -346,7 +556,8 @@ export async function analyzePhotoMultiStage(photoPath, analysisPrompt, options
           score: score,
           weight: criterion ? criterion.weight : 20,
           reasoning: reasoning,
-          fullEvaluation: evaluationText
+          fullEvaluation: evaluationText,
+          parsePath: 'regex'
         };
 
         logger.debug(`  ${criterionPrompt.criterion}: ${score}/10`);
@@ -360,12 +571,16 @@ export async function analyzePhotoMultiStage(photoPath, analysisPrompt, options
             score: score,
             weight: 20,
             reasoning: evaluationText.substring(0, 200),
-            fullEvaluation: evaluationText
+            fullEvaluation: evaluationText,
+            parsePath: 'loose'
           };
         }
       }
     });
 
+    const parsePath = summarizeParsePath(scores.individual);
+    if (parsePath) scores.summary.parsePath = parsePath;
+
     // Calculate weighted average
     const weightedScores = Object.entries(scores.individual)
       .filter(([_, data]) => data.weight > 0)
@@ -404,8 +619,9 @@ export async function analyzePhotoMultiStage(photoPath, analysisPrompt, options
         }
       ],
       options: {
-        temperature: stage3.temperature,
-        num_predict: stage3.maxTokens
+        temperature: stageTemperature(stage3.temperature, options),
+        num_predict: stage3.maxTokens,
+        ...seedOption(options)
       }
     });
 
@@ -443,7 +659,7 @@ export async function analyzePhotoMultiStage(photoPath, analysisPrompt, options
 
     // Fallback to single-stage on error
     logger.warn('Falling back to single-stage analysis...');
-    return await analyzePhoto(photoPath, analysisPrompt);
+    return await analyzePhoto(photoPath, analysisPrompt, options);
   }
 }
 
@@ -473,6 +689,10 @@ function getDefaultCriteria() {
  * @param {Object} analysisPrompt - Analysis prompt
  * @param {Object} options - Options
  * @param {number} options.timeout - Timeout in milliseconds (default 60000)
+ * @param {number} [options.samples=1] - Self-consistency samples (see analyzePhotoSampled)
+ * @param {string} [options.model] - Vision model (defaults to the configured model)
+ * @param {Object} [options.panel] - Model panel from resolveModelPanel() (see analyzePhotoPanel)
+ * @param {Object} [options.preprocess] - Pre-processing settings passed to the analysis function
  * @returns {Promise<Object>} Analysis result or timeout error
  *   - success: boolean
  *   - data: Object - Analysis result if successful
@@ -488,6 +708,14 @@ function getDefaultCriteria() {
  * }
  */
 export async function analyzePhotoWithTimeout(photoPath, analysisPrompt, options = {}) {
+  if (options.panel) {
+    return analyzePhotoPanel(photoPath, analysisPrompt, options);
+  }
+
+  if (options.samples > 1) {
+    return analyzePhotoSampled(photoPath, analysisPrompt, options);
+  }
+
   const timeout = options.timeout || 60000; // 60s default
   const timeoutSeconds = Math.floor(timeout / 1000);
   const analysisMode = options.analysisMode || 'single';
@@ -496,7 +724,9 @@ export async function analyzePhotoWithTimeout(photoPath, analysisPrompt, options
     // Select analysis function based on mode
     const analysisFn = analysisMode === 'multi' || analysisMode === 'multi-stage'
       ? analyzePhotoMultiStage
-      : analyzePhoto;
+      : analysisMode === 'structured'
+        ? analyzePhotoStructured
+        : analyzePhoto;
 
     const result = await Promise.race([
       // Actual analysis
@@ -506,7 +736,9 @@ export async function analyzePhotoWithTimeout(photoPath, analysisPrompt, options
       new Promise((_, reject) => {
         const actualTimeout = analysisMode === 'multi' || analysisMode === 'multi-stage'
           ? timeout * 4.0 // 4x for multi-stage (Stage 1 + 4 criteria + Stage 3)
-          : timeout;
+          : analysisMode === 'structured'
+            ? timeout * 2.0 // 2x for structured (first attempt + one retry)
+            : timeout;
         setTimeout(() => reject(new Error('TIMEOUT')), actualTimeout);
       })
     ]);
@@ -534,6 +766,95 @@ export async function analyzePhotoWithTimeout(photoPath, analysisPrompt, options
   }
 }
 
+/**
+ * Scores a photo N times with a varied seed/temperature schedule and merges
+ * the samples into per-criterion mean, std and 95% confidence interval.
+ * Each sample gets its own timeout; failed samples are dropped as long as
+ * at least one succeeds.
+ *
+ * @param {string} photoPath - Path to photo file
+ * @param {Object} analysisPrompt - Analysis prompt
+ * @param {Object} options - Same as analyzePhotoWithTimeout, plus samples
+ * @returns {Promise<Object>} { success, data, timedOut, error? }
+ */
+export async function analyzePhotoSampled(photoPath, analysisPrompt, options = {}) {
+  const schedule = buildSampleSchedule(options.samples);
+  const sampleResults = [];
+  let timeouts = 0;
+
+  for (const sampling of schedule) {
+    const result = await analyzePhotoWithTimeout(photoPath, analysisPrompt, {
+      ...options,
+      samples: 1,
+      seed: sampling.seed,
+      temperature: sampling.temperature,
+      // Multi-stage keeps its per-stage temperatures and shifts them by this
+      temperatureOffset: Math.round((sampling.temperature - schedule[0].temperature) * 10) / 10
+    });
+    if (result.timedOut) timeouts++;
+    sampleResults.push(result.success ? result.data : null);
+  }
+
+  try {
+    const data = mergeSampleResults(sampleResults, schedule);
+    logger.debug(`Sampled ${data.scores.summary.samples}/${schedule.length}: ${photoPath}`);
+    return { success: true, data, timedOut: false };
+  } catch {
+    if (timeouts === schedule.length) {
+      return { success: false, error: `All ${schedule.length} samples timed out`, timedOut: true };
+    }
+    const sampleError = sampleResults.find(r => r?.error)?.error || 'no scores';
+    throw new Error(`All ${schedule.length} samples failed: ${sampleError}`);
+  }
+}
+
+/**
+ * Scores a photo with every model of a consensus panel and merges the
+ * results into weighted per-criterion scores with agreement statistics.
+ * Models run one after another, each with its own timeout (and samples,
+ * if requested); failed models are dropped as long as one succeeds.
+ *
+ * @param {string} photoPath - Path to photo file
+ * @param {Object} analysisPrompt - Analysis prompt
+ * @param {Object} options - Same as analyzePhotoWithTimeout, plus panel
+ * @returns {Promise<Object>} { success, data, timedOut, error? }
+ */
+export async function analyzePhotoPanel(photoPath, analysisPrompt, options = {}) {
+  const { panel } = options;
+  const modelResults = [];
+  const errors = [];
+  let timeouts = 0;
+
+  for (const member of panel.models) {
+    try {
+      const result = await analyzePhotoWithTimeout(photoPath, analysisPrompt, {
+        ...options,
+        panel: null,
+        model: member.name
+      });
+      if (result.timedOut) timeouts++;
+      if (result.data?.error) errors.push(`${member.name}: ${result.data.error}`);
+      modelResults.push(result.success ? result.data : null);
+    } catch (error) {
+      errors.push(`${member.name}: ${error.message}`);
+      modelResults.push(null);
+    }
+  }
+
+  try {
+    const data = mergePanelResults(modelResults, panel);
+    if (data.scores.consensus.failed_models.length > 0) {
+      logger.warn(`Panel models without scores for ${path.basename(photoPath)}: ${data.scores.consensus.failed_models.join(', ')}`);
+    }
+    return { success: true, data, timedOut: false };
+  } catch {
+    if (timeouts === panel.models.length) {
+      return { success: false, error: `All ${panel.models.length} panel models timed out`, timedOut: true };
+    }
+    throw new Error(`All ${panel.models.length} panel models failed: ${errors[0] || 'no scores'}`);
+  }
+}
+
 /**
  * Intelligently selects analysis mode based on runtime context (ADR-014).
  *
@@ -0,0 +1,365 @@
+/**
+ * Run diff: what changed between two timestamped analysis runs (ADR-016)
+ *
+ * Compares the photo-analysis.json of two runs photo by photo (rank, tier,
+ * overall and per-criterion scores, added/removed photos) and the
+ * run-metadata.json written next to it by analyze (model, panel, settings,
+ * open-call.json and analysis prompt snapshots).
+ *
+ * Pure functions, no I/O: loading runs is done by the caller.
+ *
+ * @module run-diff
+ */
+
+import crypto from 'crypto';
+
+export const RUN_METADATA_FILENAME = 'run-metadata.json';
+export const RUN_METADATA_VERSION = 1;
+
+const TIER_KEYS = ['tier1', 'tier2', 'tier3'];
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const baseName = (photo) => String(photo).split(/[\\/]/).pop();
+const isObject = (value) => value !== null && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * Deterministic SHA256 of a JSON value (object keys sorted at every level).
+ *
+ * @param {*} value
+ * @returns {string} Hex digest
+ */
+export function hashJson(value) {
+  const canonical = (v) => {
+    if (Array.isArray(v)) return v.map(canonical);
+    if (!isObject(v)) return v;
+    return Object.fromEntries(Object.keys(v).sort().map(key => [key, canonical(v[key])]));
+  };
+  return crypto.createHash('sha256').update(JSON.stringify(canonical(value ?? null)), 'utf8').digest('hex');
+}
+
+/**
+ * Build the run-metadata.json record stored with an analyze run.
+ *
+ * @param {Object} params
+ * @param {string} params.model - Resolved model name
+ * @param {Object|null} [params.panel] - Resolved model panel ({ models, disagreementThreshold })
+ * @param {Object} [params.settings] - Analysis settings (analysisMode, samples, rankBy, preprocess, ...)
+ * @param {Object} [params.config] - open-call.json content
+ * @param {Object} [params.prompt] - Analysis prompt used for the run
+ * @param {string} [params.createdAt] - ISO timestamp (default: now)
+ * @returns {Object}
+ */
+export function buildRunMetadata({ model, panel = null, settings = {}, config = {}, prompt = {}, createdAt } = {}) {
+  return {
+    version: RUN_METADATA_VERSION,
+    createdAt: createdAt || new Date().toISOString(),
+    model,
+    panel: panel
+      ? { models: panel.models.map(m => m.name), disagreementThreshold: panel.disagreementThreshold }
+      : null,
+    settings,
+    configHash: hashJson(config),
+    config,
+    promptHash: hashJson(prompt),
+    prompt
+  };
+}
+
+/**
+ * Flatten nested objects to dotted paths; arrays are compared as a whole.
+ * @param {*} value
+ * @param {string} [prefix]
+ * @param {Object} [out]
+ * @returns {Object<string, *>}
+ */
+function flatten(value, prefix = '', out = {}) {
+  if (isObject(value) && Object.keys(value).length > 0) {
+    for (const [key, child] of Object.entries(value)) {
+      flatten(child, prefix ? `${prefix}.${key}` : key, out);
+    }
+  } else if (prefix) {
+    out[prefix] = value;
+  }
+  return out;
+}
+
+/**
+ * Dotted-path differences between two objects.
+ *
+ * @param {Object} a
+ * @param {Object} b
+ * @returns {Array<{ path: string, a: *, b: * }>} Sorted by path; missing values are undefined
+ */
+export function diffObjects(a, b) {
+  const flatA = flatten(a || {});
+  const flatB = flatten(b || {});
+  const paths = [...new Set([...Object.keys(flatA), ...Object.keys(flatB)])].sort();
+  return paths
+    .filter(path => JSON.stringify(flatA[path]) !== JSON.stringify(flatB[path]))
+    .map(path => ({ path, a: flatA[path], b: flatB[path] }));
+}
+
+/**
+ * Index a photo-analysis.json ranking by filename.
+ * @param {Object} analysis
+ * @returns {Map<string, { rank: number, score: number, tier: string|null, criteria: Object<string, number> }>}
+ */
+function indexRun(analysis) {
+  const tiers = new Map();
+  for (const key of TIER_KEYS) {
+    for (const entry of analysis?.tiers?.[key] || []) tiers.set(baseName(entry.filename || entry.photo), key);
+  }
+  const index = new Map();
+  for (const [position, entry] of (analysis?.ranking || []).entries()) {
+    const photo = baseName(entry.photo);
+    const criteria = {};
+    for (const [name, data] of Object.entries(entry.individual_scores || {})) {
+      const score = typeof data === 'number' ? data : data?.score;
+      if (typeof score === 'number') criteria[name] = score;
+    }
+    index.set(photo, {
+      rank: entry.rank ?? position + 1,
+      score: entry.overall_score ?? entry.score ?? null,
+      tier: tiers.get(photo) || null,
+      criteria
+    });
+  }
+  return index;
+}
+
+/**
+ * Differences between the analysis prompts of two runs.
+ * @param {Object|null} a
+ * @param {Object|null} b
+ * @returns {{ added: string[], removed: string[], changed: Array<{ name: string, weightA: *, weightB: *, descriptionChanged: boolean }>, fields: Array<{ path: string, a: *, b: * }> }}
+ */
+function diffPrompts(a, b) {
+  const criteriaA = new Map((a?.criteria || []).map(c => [c.name, c]));
+  const criteriaB = new Map((b?.criteria || []).map(c => [c.name, c]));
+  const changed = [];
+  for (const [name, critA] of criteriaA) {
+    const critB = criteriaB.get(name);
+    if (!critB) continue;
+    const descriptionChanged = (critA.description || '') !== (critB.description || '');
+    if (critA.weight !== critB.weight || descriptionChanged) {
+      changed.push({ name, weightA: critA.weight, weightB: critB.weight, descriptionChanged });
+    }
+  }
+  const { criteria: _a, ...restA } = a || {};
+  const { criteria: _b, ...restB } = b || {};
+  return {
+    added: [...criteriaB.keys()].filter(name => !criteriaA.has(name)),
+    removed: [...criteriaA.keys()].filter(name => !criteriaB.has(name)),
+    changed,
+    fields: diffObjects(restA, restB)
+  };
+}
+
+/**
+ * Compare two analysis runs.
+ *
+ * Rank deltas are positive when a photo moved up (rankA - rankB), score
+ * deltas are B - A.
+ *
+ * @param {{ name: string, analysis: Object, metadata?: Object|null }} runA - Older run
+ * @param {{ name: string, analysis: Object, metadata?: Object|null }} runB - Newer run
+ * @returns {Object} Diff with runs, summary, photos, moved, added, removed, criteria, settings, config, prompt and notes
+ */
+export function diffRuns(runA, runB) {
+  const indexA = indexRun(runA.analysis);
+  const indexB = indexRun(runB.analysis);
+
+  const photos = [];
+  for (const [photo, a] of indexA) {
+    const b = indexB.get(photo);
+    if (!b) continue;
+    const criteria = {};
+    for (const name of new Set([...Object.keys(a.criteria), ...Object.keys(b.criteria)])) {
+      const scoreA = a.criteria[name] ?? null;
+      const scoreB = b.criteria[name] ?? null;
+      criteria[name] = {
+        a: scoreA,
+        b: scoreB,
+        delta: scoreA !== null && scoreB !== null ? round(scoreB - scoreA) : null
+      };
+    }
+    photos.push({
+      photo,
+      rankA: a.rank,
+      rankB: b.rank,
+      rankDelta: a.rank - b.rank,
+      scoreA: a.score,
+      scoreB: b.score,
+      scoreDelta: a.score !== null && b.score !== null ? round(b.score - a.score) : null,
+      tierA: a.tier,
+      tierB: b.tier,
+      criteria
+    });
+  }
+  photos.sort((x, y) => (Math.abs(y.rankDelta) - Math.abs(x.rankDelta)) || (x.rankB - y.rankB));
+
+  const entry = (photo, data) => ({ photo, rank: data.rank, score: data.score, tier: data.tier });
+  const added = [...indexB].filter(([photo]) => !indexA.has(photo)).map(([photo, data]) => entry(photo, data));
+  const removed = [...indexA].filter(([photo]) => !indexB.has(photo)).map(([photo, data]) => entry(photo, data));
+
+  // Per-criterion deltas over the photos scored in both runs
+  const criterionNames = [...new Set(photos.flatMap(p => Object.keys(p.criteria)))];
+  const criteria = criterionNames.map(name => {
+    const scored = photos.filter(p => p.criteria[name].delta !== null);
+    if (scored.length === 0) return { name, photos: 0, meanA: null, meanB: null, meanDelta: null, meanAbsDelta: null, largest: null };
+    const mean = (values) => round(values.reduce((sum, v) => sum + v, 0) / values.length);
+    const largest = scored.reduce((max, p) => (Math.abs(p.criteria[name].delta) > Math.abs(max.criteria[name].delta) ? p : max));
+    return {
+      name,
+      photos: scored.length,
+      meanA: mean(scored.map(p => p.criteria[name].a)),
+      meanB: mean(scored.map(p => p.criteria[name].b)),
+      meanDelta: mean(scored.map(p => p.criteria[name].delta)),
+      meanAbsDelta: mean(scored.map(p => Math.abs(p.criteria[name].delta))),
+      largest: { photo: largest.photo, delta: largest.criteria[name].delta }
+    };
+  });
+
+  const metaA = runA.metadata || null;
+  const metaB = runB.metadata || null;
+  const notes = [];
+  for (const [label, run, meta] of [['A', runA, metaA], ['B', runB, metaB]]) {
+    if (!meta) notes.push(`Run ${label} (${run.name}) has no ${RUN_METADATA_FILENAME}; model, config and prompt differences are unavailable.`);
+  }
+
+  const settings = metaA && metaB
+    ? diffObjects(
+      { model: metaA.model, panel: metaA.panel, ...metaA.settings },
+      { model: metaB.model, panel: metaB.panel, ...metaB.settings }
+    )
+    : [];
+  const config = metaA && metaB && metaA.configHash !== metaB.configHash ? diffObjects(metaA.config, metaB.config) : [];
+  const prompt = metaA && metaB && metaA.promptHash !== metaB.promptHash
+    ? diffPrompts(metaA.prompt, metaB.prompt)
+    : { added: [], removed: [], changed: [], fields: [] };
+
+  const describe = (run, meta, index) => ({
+    name: run.name,
+    generated: run.analysis?.metadata?.generated || null,
+    model: meta ? (meta.panel ? meta.panel.models.join(', ') : meta.model) : null,
+    photos: index.size,
+    average: run.analysis?.statistics?.average ?? null,
+    tiers: Object.fromEntries(TIER_KEYS.map(key => [key, [...index.values()].filter(p => p.tier === key).length]))
+  });
+  const runs = { a: describe(runA, metaA, indexA), b: describe(runB, metaB, indexB) };
+  const moved = photos.filter(p => p.rankDelta !== 0 || p.tierA !== p.tierB);
+
+  return {
+    runs,
+    summary: {
+      common: photos.length,
+      moved: photos.filter(p => p.rankDelta !== 0).length,
+      tierChanges: photos.filter(p => p.tierA !== p.tierB).length,
+      added: added.length,
+      removed: removed.length,
+      averageDelta: runs.a.average !== null && runs.b.average !== null ? round(runs.b.average - runs.a.average) : null
+    },
+    photos,
+    moved,
+    added,
+    removed,
+    criteria,
+    settings,
+    config,
+    prompt,
+    notes
+  };
+}
+
+const tierLabel = (tier) => (tier ? `Tier ${tier.slice(4)}` : '-');
+const signed = (value) => (value === null || value === undefined ? '-' : `${value > 0 ? '+' : ''}${value}`);
+const show = (value) => (value === undefined ? '(unset)' : `\`${JSON.stringify(value)}\``);
+
+/**
+ * Render a run diff as Markdown.
+ *
+ * @param {Object} diff - Output of diffRuns()
+ * @returns {string}
+ */
+export function generateRunDiffMarkdown(diff) {
+  const { runs, summary } = diff;
+  const lines = [
+    `# Run Diff: ${runs.a.name} → ${runs.b.name}`,
+    '',
+    '| | Run A | Run B |',
+    '|---|---|---|',
+    `| Run | ${runs.a.name} | ${runs.b.name} |`,
+    `| Model | ${runs.a.model || '-'} | ${runs.b.model || '-'} |`,
+    `| Photos | ${runs.a.photos} | ${runs.b.photos} |`,
+    `| Average score | ${runs.a.average ?? '-'} | ${runs.b.average ?? '-'} |`,
+    `| Tiers (1/2/3) | ${TIER_KEYS.map(k => runs.a.tiers[k]).join(' / ')} | ${TIER_KEYS.map(k => runs.b.tiers[k]).join(' / ')} |`,
+    '',
+    `${summary.common} photo(s) in both runs: ${summary.moved} changed rank, ${summary.tierChanges} changed tier. ` +
+      `${summary.added} new, ${summary.removed} removed. Average score ${signed(summary.averageDelta)}.`,
+    ''
+  ];
+
+  if (diff.notes.length > 0) {
+    lines.push(...diff.notes.map(note => `> ${note}`), '');
+  }
+
+  if (diff.settings.length > 0 || diff.config.length > 0) {
+    lines.push('## Settings and Config Changes', '', '| Setting | Run A | Run B |', '|---|---|---|');
+    for (const change of diff.settings) lines.push(`| ${change.path} | ${show(change.a)} | ${show(change.b)} |`);
+    for (const change of diff.config) lines.push(`| open-call.json: ${change.path} | ${show(change.a)} | ${show(change.b)} |`);
+    lines.push('');
+  }
+
+  const { prompt } = diff;
+  if (prompt.added.length + prompt.removed.length + prompt.changed.length + prompt.fields.length > 0) {
+    lines.push('## Prompt Changes', '');
+    if (prompt.added.length > 0) lines.push(`- Criteria added: ${prompt.added.join(', ')}`);
+    if (prompt.removed.length > 0) lines.push(`- Criteria removed: ${prompt.removed.join(', ')}`);
+    for (const change of prompt.changed) {
+      const parts = [];
+      if (change.weightA !== change.weightB) parts.push(`weight ${change.weightA ?? '-'} → ${change.weightB ?? '-'}`);
+      if (change.descriptionChanged) parts.push('description changed');
+      lines.push(`- ${change.name}: ${parts.join(', ')}`);
+    }
+    for (const field of prompt.fields) lines.push(`- ${field.path} changed`);
+    lines.push('');
+  }
+
+  if (diff.moved.length > 0) {
+    lines.push('## Moved Photos', '', '| Photo | Rank A | Rank B | Δ Rank | Tier A | Tier B | Score A | Score B | Δ Score |', '|---|---|---|---|---|---|---|---|---|');
+    for (const p of diff.moved) {
+      lines.push(`| ${p.photo} | ${p.rankA} | ${p.rankB} | ${signed(p.rankDelta)} | ${tierLabel(p.tierA)} | ${tierLabel(p.tierB)} | ${p.scoreA ?? '-'} | ${p.scoreB ?? '-'} | ${signed(p.scoreDelta)} |`);
+    }
+    lines.push('');
+  }
+
+  if (diff.criteria.length > 0) {
+    lines.push('## Criterion Score Deltas', '', '| Criterion | Mean A | Mean B | Mean Δ | Mean abs Δ | Largest change |', '|---|---|---|---|---|---|');
+    for (const c of diff.criteria) {
+      const largest = c.largest ? `${c.largest.photo} (${signed(c.largest.delta)})` : '-';
+      lines.push(`| ${c.name} | ${c.meanA ?? '-'} | ${c.meanB ?? '-'} | ${signed(c.meanDelta)} | ${c.meanAbsDelta ?? '-'} | ${largest} |`);
+    }
+    lines.push('');
+
+    const changedScores = diff.photos.filter(p => Object.values(p.criteria).some(c => c.delta));
+    if (changedScores.length > 0) {
+      lines.push('### Per-Photo Criterion Changes', '');
+      for (const p of changedScores) {
+        const parts = Object.entries(p.criteria)
+          .filter(([, c]) => c.delta)
+          .map(([name, c]) => `${name} ${c.a} → ${c.b} (${signed(c.delta)})`);
+        lines.push(`- **${p.photo}**: ${parts.join('; ')}`);
+      }
+      lines.push('');
+    }
+  }
+
+  for (const [heading, list] of [['New Photos', diff.added], ['Removed Photos', diff.removed]]) {
+    if (list.length === 0) continue;
+    lines.push(`## ${heading}`, '');
+    for (const p of list) lines.push(`- ${p.photo}: rank ${p.rank}, score ${p.score ?? '-'}, ${tierLabel(p.tier)}`);
+    lines.push('');
+  }
+
+  return lines.join('\n');
+}
@@ -1,5 +1,6 @@
 import { logger } from '../utils/logger.js';
 import { generateTiers } from './smart-tiering.js';
+import { collapseClusters } from './duplicate-detector.js';
 
 // Re-export generateTiers for test compatibility
 export { generateTiers };
@@ -9,10 +10,15 @@ export { generateTiers };
  * @param {Array<Object>} analyses - Array of photo analysis results with structure: 
  *   [{ photoPath: string, scores: { individual: {...}, summary: {...} } }, ...]
  * @param {Object} criteria - Criteria configuration with weights
+ * @param {Object} [options={}]
+ * @param {string} [options.rankBy='mean'] - 'mean' or 'lcb' (lower confidence bound of sampled scores)
+ * @param {Array<Object>} [options.duplicateClusters] - Near-duplicate clusters; each is collapsed to its best frame
  * @returns {Object} Aggregated scoring and ranking
  * @throws {Error} If analyses is not an array or malformed
  */
-export function aggregateScores(analyses, criteria = []) {
+export function aggregateScores(analyses, criteria = [], options = {}) {
+  const rankBy = options.rankBy || 'mean';
+
   // Guard clause - validate input is array
   if (!Array.isArray(analyses)) {
     const errorMsg = `Invalid aggregateScores input: analyses must be an array. Received type: ${typeof analyses}`;
@@ -95,6 +101,32 @@ export function aggregateScores(analyses, criteria = []) {
       photoScore.weighted_score = analysis.scores.summary.average;
     }
 
+    // Self-consistency sampling: keep the interval and optionally rank by its lower bound
+    const summary = analysis.scores?.summary;
+    if (typeof summary?.weighted_average_ci_lower === 'number') {
+      photoScore.score_interval = {
+        std: summary.weighted_average_std,
+        ci_lower: summary.weighted_average_ci_lower,
+        ci_upper: summary.weighted_average_ci_upper,
+        samples: summary.samples
+      };
+    }
+    // Multi-model panel: keep agreement statistics so reports can flag disagreement
+    if (analysis.scores?.consensus) {
+      photoScore.consensus = analysis.scores.consensus;
+    }
+    // Technical metrics computed locally with sharp (technical-metrics.js)
+    if (analysis.scores?.technical_metrics) {
+      photoScore.technical_metrics = analysis.scores.technical_metrics;
+    }
+    // EXIF/IPTC/XMP capture metadata (photo-metadata.js)
+    if (analysis.scores?.photo_metadata) {
+      photoScore.photo_metadata = analysis.scores.photo_metadata;
+    }
+    if (rankBy === 'lcb') {
+      photoScore.ranking_score = photoScore.score_interval?.ci_lower ?? photoScore.overall_score ?? 0;
+    }
+
     // Collect individual criterion scores
     if (analysis.scores?.individual) {
       Object.entries(analysis.scores.individual).forEach(([criterionName, scoreData]) => {
@@ -120,36 +152,58 @@ export function aggregateScores(analyses, criteria = []) {
     }
   });
 
-  // Sort photos by overall score
-  photoScores.sort((a, b) => (b.overall_score || 0) - (a.overall_score || 0));
+  // Sort photos by overall score (or lower confidence bound when rankBy is 'lcb')
+  photoScores.sort((a, b) => (b.ranking_score ?? b.overall_score ?? 0) - (a.ranking_score ?? a.overall_score ?? 0));
+
+  // Near-duplicates: keep only the best frame of each cluster in the ranking and tiers
+  const duplicateClusters = options.duplicateClusters || [];
+  const rankedPhotos = duplicateClusters.length > 0 ? collapseClusters(photoScores, duplicateClusters) : photoScores;
 
   // Add ranking
-  photoScores.forEach((photo, index) => {
+  rankedPhotos.forEach((photo, index) => {
     photo.rank = index + 1;
   });
 
   // Generate tiers using score distribution
   // Convert to tiering format expected by generateTiers
-  const photosForTiering = photoScores.map((p) => ({
+  const photosForTiering = rankedPhotos.map((p) => ({
     filename: p.photo || p.photoPath || 'unknown.jpg',
     score: p.overall_score || 0,
+    ci_lower: p.score_interval?.ci_lower,
     ...p
   }));
-  const tiersData = generateTiers(photosForTiering);
+  const tiersData = generateTiers(photosForTiering, null, { rankBy });
   
   // Generate statistics
   const statsData = generateStatistics({ photos: photoScores });
 
-  return {
+  const result = {
     timestamp: new Date().toISOString(),
     total_photos: analyses.length,
-    ranking: photoScores,
+    ranking: rankedPhotos,
     tiers: tiersData,
     statistics: {
       ...statsData,
       criteria: criteriaStats
     },
   };
+  if (rankBy !== 'mean') {
+    result.rank_by = rankBy;
+  }
+  if (duplicateClusters.length > 0) {
+    result.duplicate_clusters = duplicateClusters;
+  }
+  const disagreements = rankedPhotos.filter(p => p.consensus?.disagreement);
+  if (rankedPhotos.some(p => p.consensus)) {
+    result.disagreements = disagreements.map(p => ({
+      photo: p.photo,
+      filename: p.filename,
+      rank: p.rank,
+      max_range: p.consensus.max_range,
+      criteria: p.consensus.disagreement_criteria
+    }));
+  }
+  return result;
 }
 
 /**
@@ -192,9 +246,11 @@ export function generateStatistics(aggregation) {
  * 
  * @param {Object} aggregation - Aggregated scores from aggregateScores()
  * @param {Object} tierThresholds - Custom tier thresholds {high, medium}
+ * @param {Object} [options={}]
+ * @param {string} [options.rankBy] - 'mean' or 'lcb' (defaults to aggregation.rank_by)
  * @returns {Object} Tiered classification with metadata
  */
-export function integrateSmartTiering(aggregation, tierThresholds = null) {
+export function integrateSmartTiering(aggregation, tierThresholds = null, options = {}) {
   const photos = aggregation.ranking || aggregation.photos || [];
   if (!aggregation || photos.length === 0) {
     logger.warn('No photos available for tiering');
@@ -210,12 +266,14 @@ export function integrateSmartTiering(aggregation, tierThresholds = null) {
   const photoData = photos.map(photo => ({
     filename: photo.photo || photo.photoPath,
     score: photo.overall_score || 0,
+    ci_lower: photo.score_interval?.ci_lower,
     // Preserve original metadata for downstream processing
     _original: photo
   }));
 
   // Generate tiers using smart-tiering module
-  const tiers = generateTiers(photoData, tierThresholds);
+  const rankBy = options.rankBy || aggregation.rank_by || 'mean';
+  const tiers = generateTiers(photoData, tierThresholds, { rankBy });
 
   logger.info(`Tiering complete: ${tiers.summary.tier1_count} tier1, ${tiers.summary.tier2_count} tier2, ${tiers.summary.tier3_count} tier3`);
 
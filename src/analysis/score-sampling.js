@@ -0,0 +1,192 @@
+/**
+ * Self-consistency sampling for photo scores.
+ *
+ * A single vision call per photo is noisy. Scoring the same photo N times
+ * with varied seeds/temperatures and summarising the samples gives a mean,
+ * standard deviation and confidence interval per criterion, so ranking and
+ * tiering can use the lower confidence bound instead of a lucky single draw.
+ *
+ * @module score-sampling
+ */
+
+export const DEFAULT_CONFIDENCE = 0.95;
+export const MAX_SAMPLES = 10;
+
+const BASE_SEED = 42;
+const BASE_TEMPERATURE = 0.3;
+const TEMPERATURE_STEP = 0.1;
+const TEMPERATURE_LEVELS = 4;
+
+// Two-sided 95% Student t critical values by degrees of freedom (1-30)
+const T_CRITICAL_95 = [
+  12.706, 4.303, 3.182, 2.776, 2.571, 2.447, 2.365, 2.306, 2.262, 2.228,
+  2.201, 2.179, 2.160, 2.145, 2.131, 2.120, 2.110, 2.101, 2.093, 2.086,
+  2.080, 2.074, 2.069, 2.064, 2.060, 2.056, 2.052, 2.048, 2.045, 2.042
+];
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Build a deterministic seed/temperature schedule for N samples.
+ * Deterministic so record/replay cassettes and caches stay stable.
+ *
+ * @param {number} samples - Number of samples
+ * @returns {Array<{ seed: number, temperature: number }>}
+ */
+export function buildSampleSchedule(samples) {
+  return Array.from({ length: samples }, (_, i) => ({
+    seed: BASE_SEED + i,
+    temperature: round1(BASE_TEMPERATURE + TEMPERATURE_STEP * (i % TEMPERATURE_LEVELS))
+  }));
+}
+
+/**
+ * Compute mean, sample standard deviation and a two-sided 95% confidence
+ * interval (Student t) for a list of values. Bounds are clamped to 1-10.
+ *
+ * @param {number[]} values - Sample values
+ * @returns {{ mean: number, std: number, ci_lower: number, ci_upper: number, n: number }}
+ */
+export function computeInterval(values) {
+  const n = values.length;
+  if (n === 0) {
+    return { mean: 0, std: 0, ci_lower: 0, ci_upper: 0, n: 0 };
+  }
+
+  const mean = values.reduce((a, b) => a + b, 0) / n;
+  if (n === 1) {
+    return { mean: round2(mean), std: 0, ci_lower: round2(mean), ci_upper: round2(mean), n };
+  }
+
+  const variance = values.reduce((sum, v) => sum + Math.pow(v - mean, 2), 0) / (n - 1);
+  const std = Math.sqrt(variance);
+  const t = T_CRITICAL_95[n - 2] ?? 1.96;
+  const margin = t * std / Math.sqrt(n);
+
+  return {
+    mean: round2(mean),
+    std: round2(std),
+    ci_lower: round2(Math.max(1, mean - margin)),
+    ci_upper: round2(Math.min(10, mean + margin)),
+    n
+  };
+}
+
+function weightedAverage(individual) {
+  const entries = Object.values(individual).filter(d => d.weight > 0);
+  const totalWeight = entries.reduce((sum, d) => sum + d.weight, 0);
+  if (totalWeight === 0) return null;
+  return entries.reduce((sum, d) => sum + d.score * d.weight, 0) / totalWeight;
+}
+
+function mostCommon(values) {
+  const counts = new Map();
+  for (const v of values) counts.set(v, (counts.get(v) || 0) + 1);
+  let best = null;
+  let bestCount = 0;
+  for (const [value, count] of counts) {
+    if (count > bestCount) {
+      best = value;
+      bestCount = count;
+    }
+  }
+  return best;
+}
+
+/**
+ * Merge successful sample analyses of one photo into a single result.
+ *
+ * Per criterion, `score` becomes the mean and std/ci_lower/ci_upper are
+ * added. The summary gains the same statistics for the weighted average
+ * (computed per sample, then summarised). Every sample is kept in
+ * `scores.samples`.
+ *
+ * @param {Array<Object>} sampleResults - analyzePhoto() results with scores
+ * @param {Array<{ seed: number, temperature: number }>} schedule - Matching schedule entries
+ * @returns {Object} Analysis result in the analyzePhoto() shape
+ * @throws {Error} If no sample has scores
+ */
+export function mergeSampleResults(sampleResults, schedule) {
+  const usable = sampleResults
+    .map((result, i) => ({ result, sampling: schedule[i] }))
+    .filter(({ result }) => result && result.scores && Object.keys(result.scores.individual || {}).length > 0);
+
+  if (usable.length === 0) {
+    throw new Error('No sample produced scores');
+  }
+
+  const criterionValues = {};
+  const criterionWeights = {};
+  for (const { result } of usable) {
+    for (const [name, data] of Object.entries(result.scores.individual)) {
+      if (!criterionValues[name]) {
+        criterionValues[name] = [];
+        criterionWeights[name] = data.weight;
+      }
+      criterionValues[name].push(data.score);
+    }
+  }
+
+  const individual = {};
+  for (const [name, values] of Object.entries(criterionValues)) {
+    const interval = computeInterval(values);
+    individual[name] = {
+      score: round1(interval.mean),
+      weight: criterionWeights[name],
+      std: interval.std,
+      ci_lower: interval.ci_lower,
+      ci_upper: interval.ci_upper,
+      n: interval.n
+    };
+  }
+
+  const samples = usable.map(({ result, sampling }) => ({
+    seed: sampling.seed,
+    temperature: sampling.temperature,
+    individual: Object.fromEntries(
+      Object.entries(result.scores.individual).map(([name, data]) => [name, data.score])
+    ),
+    weighted_average: result.scores.summary?.weighted_average ?? null,
+    recommendation: result.scores.summary?.recommendation ?? null
+  }));
+
+  const sampleAverages = usable
+    .map(({ result }) => result.scores.summary?.weighted_average ?? weightedAverage(result.scores.individual))
+    .filter(v => typeof v === 'number');
+  const overall = computeInterval(sampleAverages);
+
+  const first = usable[0].result;
+  const summary = {
+    weighted_average: round1(overall.mean),
+    weighted_average_std: overall.std,
+    weighted_average_ci_lower: overall.ci_lower,
+    weighted_average_ci_upper: overall.ci_upper,
+    samples: usable.length,
+    samples_requested: schedule.length,
+    confidence: DEFAULT_CONFIDENCE
+  };
+  const recommendation = mostCommon(samples.map(s => s.recommendation).filter(Boolean));
+  if (recommendation) summary.recommendation = recommendation;
+
+  return {
+    photoPath: first.photoPath,
+    filename: first.filename,
+    analysisText: first.analysisText,
+    scores: {
+      individual,
+      summary,
+      strengths: first.scores.strengths,
+      improvements: first.scores.improvements,
+      full_analysis: first.scores.full_analysis,
+      samples
+    },
+    timestamp: new Date().toISOString(),
+    model: first.model
+  };
+}
@@ -4,8 +4,8 @@
  * Part of FR-3.11: Polaroid Set Analysis (ADR-015).
  */
 
-import { readFileSync } from 'fs';
 import { getApiClient, getModelName } from '../utils/api-client.js';
+import { loadImageForModel } from '../utils/image-preprocessor.js';
 import { buildSetAnalysisPrompt, getDefaultSetCriteria as getDefaultCriteria } from './set-prompt-builder.js';
 
 /**
@@ -93,6 +93,7 @@ export function parseSetAnalysisResponse(analysisText, setConfig) {
  * @param {Object} analysisPrompt - Analysis prompt with title, theme, criteria
  * @param {Object} setConfig - Set mode configuration
  * @param {Object} [options={}] - Analysis options
+ * @param {Object} [options.preprocess] - Pre-processing settings (resolvePreprocessingConfig)
  * @param {Object[]} [individualResults=[]] - Pre-computed individual results
  * @returns {Promise<Object>} Set analysis result
  */
@@ -100,11 +101,10 @@ export async function analyzeSet(photoPaths, analysisPrompt, setConfig, options
   const client = getApiClient();
   const model = getModelName();
 
-  // Read all images as base64
-  const base64Images = photoPaths.map(photoPath => {
-    const imageBuffer = readFileSync(photoPath);
-    return imageBuffer.toString('base64');
-  });
+  // Read all images as base64 (pre-processed when enabled)
+  const base64Images = await Promise.all(
+    photoPaths.map(photoPath => loadImageForModel(photoPath, options.preprocess))
+  );
 
   // Build set analysis prompt
   const prompt = buildSetAnalysisPrompt(analysisPrompt, setConfig, individualResults);
@@ -0,0 +1,387 @@
+/**
+ * Set sequencing: recommended presentation order within a set
+ *
+ * analyzeSet() scores a set as an unordered group, but juries read a series
+ * left to right. This stage scores every transition between two photos and
+ * searches for the order with the best flow:
+ *
+ * - Vision: one call per pair of photos asks how well they sit next to each
+ *   other (flow of tones, direction of gaze and lines, narrative) and which
+ *   of the two should come first.
+ * - Local metrics: mean tone, colour warmth and the horizontal balance of
+ *   visual weight (a photo weighted to the right hands the eye on to the
+ *   next one). Used alone with vision off, and blended in otherwise.
+ * - Narrative arc: a small bonus for opening and closing with the strongest
+ *   photos of the set.
+ *
+ * The result is stored on the set as `sequence` and shown in set reports and
+ * the web dashboard (SetCard).
+ *
+ * @module set-sequencer
+ */
+
+import sharp from 'sharp';
+import { getApiClient, getModelName } from '../utils/api-client.js';
+import { loadImageForModel } from '../utils/image-preprocessor.js';
+import { loadImageSource } from '../utils/raw-preview.js';
+import { logger } from '../utils/logger.js';
+
+const FEATURE_SIZE = 64;
+const VISION_WEIGHT = 0.7;
+const REVERSED_ORDER_PENALTY = 1.5;
+const ARC_WEIGHT = 0.5;
+const MAX_EXACT_PHOTOS = 8;
+
+const round = (value, digits = 2) => Math.round(value * 10 ** digits) / 10 ** digits;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+/**
+ * Local sequencing features of one photo.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @returns {Promise<{ luminance: number, warmth: number, balance: number }>}
+ *   luminance 0-1, warmth -1 (blue) to 1 (red), balance -0.5 (visual weight
+ *   on the left) to 0.5 (on the right)
+ */
+export async function computeSequenceFeatures(photoPath) {
+  const { data, info } = await sharp(await loadImageSource(photoPath))
+    .rotate()
+    .resize(FEATURE_SIZE, FEATURE_SIZE, { fit: 'fill' })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const pixels = info.width * info.height;
+  const luma = new Float64Array(pixels);
+  let sumLuma = 0;
+  let sumWarmth = 0;
+  for (let p = 0; p < pixels; p++) {
+    const r = data[p * 3];
+    const g = data[p * 3 + 1];
+    const b = data[p * 3 + 2];
+    luma[p] = (0.2126 * r + 0.7152 * g + 0.0722 * b) / 255;
+    sumLuma += luma[p];
+    sumWarmth += (r - b) / 255;
+  }
+  const luminance = sumLuma / pixels;
+
+  // Visual weight: squared distance from the mean tone, so salient bright or dark masses dominate
+  let weight = 0;
+  let weightedX = 0;
+  for (let p = 0; p < pixels; p++) {
+    const w = (luma[p] - luminance) ** 2;
+    weight += w;
+    weightedX += w * ((p % info.width) + 0.5) / info.width;
+  }
+
+  return {
+    luminance: round(luminance, 3),
+    warmth: round(sumWarmth / pixels, 3),
+    balance: round(weight > 0 ? weightedX / weight - 0.5 : 0, 3)
+  };
+}
+
+/**
+ * Score the transition from one photo to the next with local features only.
+ *
+ * @param {Object} from - Features of the earlier photo
+ * @param {Object} to - Features of the later photo
+ * @returns {{ score: number, reason: string }} Score 0-10
+ */
+export function localTransition(from, to) {
+  const toneStep = to.luminance - from.luminance;
+  const warmthStep = to.warmth - from.warmth;
+  const tone = 1 - Math.min(1, Math.abs(toneStep) / 0.5);
+  const warmth = 1 - Math.min(1, Math.abs(warmthStep) / 0.3);
+  // Weight on the right of the first photo and the left of the second carries the eye across
+  const flow = clamp(0.5 + (from.balance - to.balance), 0, 1);
+
+  const parts = [];
+  if (Math.abs(toneStep) < 0.1) parts.push('similar tones');
+  else parts.push(toneStep > 0 ? 'steps brighter' : 'steps darker');
+  if (Math.abs(warmthStep) >= 0.08) parts.push(warmthStep > 0 ? 'warmer' : 'cooler');
+  if (from.balance > 0.05 && to.balance < -0.05) parts.push('visual weight carries across the gap');
+  else if (from.balance < -0.05 && to.balance > 0.05) parts.push('photos face away from each other');
+
+  return {
+    score: round(10 * (0.4 * tone + 0.3 * warmth + 0.3 * flow)),
+    reason: parts.join(', ')
+  };
+}
+
+/**
+ * Build the prompt for an adjacent-pair comparison.
+ *
+ * @param {Object} analysisPrompt - Analysis prompt with title and theme
+ * @returns {string}
+ */
+export function buildTransitionPrompt(analysisPrompt) {
+  return `You are curating a photo series for the open call "${analysisPrompt.title || 'Open Call'}".
+Theme: ${analysisPrompt.theme || 'Not specified'}
+
+Two photographs are attached. The first image is Photo A, the second image is Photo B.
+They would hang next to each other in the series. Judge how well one leads into the other:
+- flow of tones and colour
+- direction of gaze, movement and lines (does the eye travel from one into the other?)
+- narrative: does the pair read as a meaningful step in a story?
+
+Respond in exactly this format:
+FLOW: <score 1-10>
+ORDER: A-B or B-A (which photo should come first)
+REASON: One sentence explaining the transition`;
+}
+
+/**
+ * Parse an adjacent-pair reply.
+ *
+ * @param {string} text - Raw model output
+ * @returns {{ flow: number|null, order: 'AB'|'BA'|null, reason: string }}
+ */
+export function parseTransitionResponse(text) {
+  const content = text || '';
+  const flowMatch = content.match(/FLOW:\s*\**\s*(\d+(?:\.\d+)?)/i);
+  const orderMatch = content.match(/ORDER:\s*\**\s*(?:Photo\s*)?([AB])\s*(?:-|→|->|,|\s)\s*(?:Photo\s*)?([AB])/i);
+  const reasonMatch = content.match(/REASON:\s*([\s\S]*)/i);
+
+  const flow = flowMatch ? clamp(parseFloat(flowMatch[1]), 0, 10) : null;
+  let order = null;
+  if (orderMatch && orderMatch[1].toUpperCase() !== orderMatch[2].toUpperCase()) {
+    order = `${orderMatch[1]}${orderMatch[2]}`.toUpperCase();
+  }
+
+  return { flow, order, reason: reasonMatch ? reasonMatch[1].trim() : '' };
+}
+
+/**
+ * Ask the vision model how well two photos sit next to each other.
+ *
+ * @param {string} photoA - Path of the photo shown first
+ * @param {string} photoB - Path of the photo shown second
+ * @param {Object} analysisPrompt - Analysis prompt with title and theme
+ * @param {Object} [options={}]
+ * @param {string} [options.model] - Vision model (defaults to the configured model)
+ * @param {Object} [options.preprocess] - Pre-processing settings (resolvePreprocessingConfig)
+ * @returns {Promise<{ flow: number|null, order: 'AB'|'BA'|null, reason: string }>}
+ */
+export async function compareAdjacentPhotos(photoA, photoB, analysisPrompt, options = {}) {
+  const client = getApiClient();
+  const response = await client.chat({
+    model: getModelName(options.model),
+    messages: [
+      {
+        role: 'user',
+        content: buildTransitionPrompt(analysisPrompt),
+        images: await Promise.all([photoA, photoB].map(p => loadImageForModel(p, options.preprocess)))
+      }
+    ],
+    options: {
+      temperature: 0.2,
+      num_predict: 200
+    }
+  });
+
+  return parseTransitionResponse(response.message.content);
+}
+
+async function compareWithTimeout(photoA, photoB, analysisPrompt, options) {
+  const timeout = options.timeout || 120000;
+  let timer;
+  try {
+    return await Promise.race([
+      compareAdjacentPhotos(photoA, photoB, analysisPrompt, options),
+      new Promise((_, reject) => {
+        timer = setTimeout(() => reject(new Error(`Transition comparison timed out after ${timeout}ms`)), timeout);
+      })
+    ]);
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+function* permutations(items) {
+  if (items.length <= 1) {
+    yield items;
+    return;
+  }
+  for (let i = 0; i < items.length; i++) {
+    const rest = [...items.slice(0, i), ...items.slice(i + 1)];
+    for (const tail of permutations(rest)) yield [items[i], ...tail];
+  }
+}
+
+/**
+ * Find the order with the best sequence score: mean transition score plus a
+ * narrative-arc bonus. Exact for up to 8 photos, otherwise greedy chains
+ * from every start photo improved with 2-opt reversals.
+ *
+ * @param {number} count - Number of photos
+ * @param {function(number, number): number} transition - Score 0-10 for i followed by j
+ * @param {number[]} [individualScores=[]] - Individual photo scores (for the arc bonus)
+ * @returns {{ order: number[], score: number }}
+ */
+export function findBestOrder(count, transition, individualScores = []) {
+  const mean = individualScores.length > 0
+    ? individualScores.reduce((sum, s) => sum + s, 0) / individualScores.length
+    : 0;
+  const arc = (order) => {
+    if (individualScores.length === 0 || order.length < 2) return 0;
+    const ends = (individualScores[order[0]] + individualScores[order[order.length - 1]]) / 2;
+    return ARC_WEIGHT * clamp(ends - mean, -1, 1);
+  };
+  const score = (order) => {
+    if (order.length < 2) return arc(order);
+    let total = 0;
+    for (let i = 0; i < order.length - 1; i++) total += transition(order[i], order[i + 1]);
+    return total / (order.length - 1) + arc(order);
+  };
+
+  const indices = Array.from({ length: count }, (_, i) => i);
+  let best = { order: indices, score: score(indices) };
+  const consider = (order) => {
+    const value = score(order);
+    if (value > best.score + 1e-9) best = { order, score: value };
+  };
+
+  if (count <= MAX_EXACT_PHOTOS) {
+    for (const order of permutations(indices)) consider(order);
+  } else {
+    for (let start = 0; start < count; start++) {
+      const order = [start];
+      while (order.length < count) {
+        const last = order[order.length - 1];
+        const next = indices
+          .filter(i => !order.includes(i))
+          .reduce((a, b) => (transition(last, b) > transition(last, a) ? b : a));
+        order.push(next);
+      }
+      let improved = true;
+      let current = order;
+      while (improved) {
+        improved = false;
+        for (let i = 0; i < count - 1 && !improved; i++) {
+          for (let j = i + 1; j < count && !improved; j++) {
+            const candidate = [...current.slice(0, i), ...current.slice(i, j + 1).reverse(), ...current.slice(j + 1)];
+            if (score(candidate) > score(current) + 1e-9) {
+              current = candidate;
+              improved = true;
+            }
+          }
+        }
+      }
+      consider(current);
+    }
+  }
+
+  return { order: best.order, score: round(best.score) };
+}
+
+function describeArc(photos, order) {
+  const first = photos[order[0]];
+  const last = photos[order[order.length - 1]];
+  const scores = photos.map(p => p.score || 0);
+  const strongest = Math.max(...scores);
+  const label = (photo) => (photo.score === strongest && strongest > 0 ? ' (strongest single image)' : '');
+  return `Opens with ${first.filename}${label(first)} and closes with ${last.filename}${label(last)}.`;
+}
+
+/**
+ * Recommend the presentation order of a set.
+ *
+ * Vision comparisons that fail fall back to the local transition score for
+ * that pair.
+ *
+ * @param {Array<{ filename: string, path: string, score?: number }>} photos - Set members
+ * @param {Object} analysisPrompt - Analysis prompt with title and theme
+ * @param {Object} [options={}]
+ * @param {boolean} [options.vision=true] - Ask the vision model about each pair
+ * @param {number} [options.timeout=120000] - Timeout per comparison in ms
+ * @param {string} [options.model] - Vision model
+ * @param {Object} [options.preprocess] - Pre-processing settings (resolvePreprocessingConfig)
+ * @returns {Promise<Object>} { order, score, method, transitions, pairs, rationale, comparisons, failed }
+ */
+export async function sequenceSet(photos, analysisPrompt, options = {}) {
+  const useVision = options.vision !== false;
+  const features = [];
+  for (const photo of photos) {
+    try {
+      features.push(await computeSequenceFeatures(photo.path));
+    } catch (error) {
+      logger.debug(`Sequencing: no local features for ${photo.filename}: ${error.message}`);
+      features.push(null);
+    }
+  }
+
+  const n = photos.length;
+  const local = [];
+  for (let i = 0; i < n; i++) {
+    local.push([]);
+    for (let j = 0; j < n; j++) {
+      local[i][j] = i !== j && features[i] && features[j]
+        ? localTransition(features[i], features[j])
+        : { score: 5, reason: '' };
+    }
+  }
+
+  // Vision: one call per unordered pair, oriented by the preferred order
+  const vision = new Map();
+  let comparisons = 0;
+  let failed = 0;
+  if (useVision) {
+    for (let i = 0; i < n; i++) {
+      for (let j = i + 1; j < n; j++) {
+        comparisons++;
+        try {
+          const result = await compareWithTimeout(photos[i].path, photos[j].path, analysisPrompt, options);
+          if (result.flow === null) throw new Error('No FLOW score in the model response');
+          const forward = result.order === 'BA' ? result.flow - REVERSED_ORDER_PENALTY : result.flow;
+          const backward = result.order === 'AB' ? result.flow - REVERSED_ORDER_PENALTY : result.flow;
+          vision.set(`${i}>${j}`, { score: Math.max(0, forward), reason: result.reason });
+          vision.set(`${j}>${i}`, { score: Math.max(0, backward), reason: result.reason });
+        } catch (error) {
+          failed++;
+          logger.warn(`Sequencing ${photos[i].filename} / ${photos[j].filename} failed: ${error.message}`);
+        }
+      }
+    }
+  }
+
+  const transitionFor = (i, j) => {
+    const fromVision = vision.get(`${i}>${j}`);
+    if (!fromVision) return { score: local[i][j].score, reason: local[i][j].reason };
+    return {
+      score: round(VISION_WEIGHT * fromVision.score + (1 - VISION_WEIGHT) * local[i][j].score),
+      reason: fromVision.reason || local[i][j].reason
+    };
+  };
+
+  const { order, score } = findBestOrder(n, (i, j) => transitionFor(i, j).score, photos.map(p => p.score || 0));
+  const ordered = order.map(i => photos[i].filename);
+  const transitions = order.slice(0, -1).map((from, k) => ({
+    from: photos[from].filename,
+    to: photos[order[k + 1]].filename,
+    ...transitionFor(from, order[k + 1])
+  }));
+
+  const pairs = [];
+  for (let k = 0; k < ordered.length; k += 2) pairs.push(ordered.slice(k, k + 2));
+
+  const weakest = transitions.length > 0
+    ? transitions.reduce((a, b) => (b.score < a.score ? b : a))
+    : null;
+  let rationale = describeArc(photos, order);
+  if (weakest && transitions.length > 1) {
+    rationale += ` Weakest transition: ${weakest.from} → ${weakest.to} (${weakest.score}/10).`;
+  }
+
+  return {
+    order: ordered,
+    score,
+    method: vision.size > 0 ? 'vision+local' : 'local',
+    transitions,
+    pairs,
+    rationale,
+    comparisons,
+    failed
+  };
+}
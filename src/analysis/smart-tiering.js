@@ -96,8 +96,15 @@ export function calculateBoundaries(scores, method = 'percentile') {
  * - Tier 2: 6.5 < score <= 8.0 (good confidence)
  * - Tier 3: score <= 6.5 (low confidence)
  * 
- * @param {Object[]} photos - Array of photo objects with {filename, score, ...otherProps}
+ * When options.rankBy is 'lcb', photos carrying a `ci_lower` (lower
+ * confidence bound from self-consistency sampling) are classified and
+ * sorted by it instead of the mean, exposed as `tier_score`. Photos with
+ * noisy samples then cannot float into Tier 1 on one lucky draw.
+ *
+ * @param {Object[]} photos - Array of photo objects with {filename, score, ci_lower?, ...otherProps}
  * @param {Object} [thresholds=null] - Custom thresholds {high: number, medium: number}
+ * @param {Object} [options={}]
+ * @param {string} [options.rankBy='mean'] - 'mean' or 'lcb'
  * @returns {Object} Tiers object containing:
  *   - tier1: Array of high-confidence photos (score > high)
  *   - tier2: Array of good-confidence photos (medium < score <= high)
@@ -119,7 +126,9 @@ export function calculateBoundaries(scores, method = 'percentile') {
  * //   summary: { total: 2, tier1_count: 1, ... }
  * // }
  */
-export function generateTiers(photos, thresholds = null) {
+export function generateTiers(photos, thresholds = null, options = {}) {
+  const useLowerBound = options.rankBy === 'lcb';
+
   // Default thresholds
   let high = 8.0;
   let medium = 6.5;
@@ -142,19 +151,23 @@ export function generateTiers(photos, thresholds = null) {
 
     const clampedScore = clampScore(photo.score);
     if (!isNaN(clampedScore)) {
-      validPhotos.push({
-        ...photo,
-        score: clampedScore
-      });
+      const tiered = { ...photo, score: clampedScore };
+      if (useLowerBound) {
+        const lowerBound = clampScore(photo.ci_lower);
+        tiered.tier_score = isNaN(lowerBound) ? clampedScore : lowerBound;
+      }
+      validPhotos.push(tiered);
       validScores.push(clampedScore);
     }
   }
 
+  const tierScore = (photo) => photo.tier_score ?? photo.score;
+
   // Sort by score descending, then by filename ascending for deterministic tie-breaking
   // This ensures reproducible results across runs
   validPhotos.sort((a, b) => {
-    if (b.score !== a.score) {
-      return b.score - a.score;
+    if (tierScore(b) !== tierScore(a)) {
+      return tierScore(b) - tierScore(a);
     }
     return a.filename.localeCompare(b.filename);
   });
@@ -165,9 +178,9 @@ export function generateTiers(photos, thresholds = null) {
   const tier3 = [];
 
   for (const photo of validPhotos) {
-    if (photo.score > high) {
+    if (tierScore(photo) > high) {
       tier1.push(photo);
-    } else if (photo.score > medium) {
+    } else if (tierScore(photo) > medium) {
       tier2.push(photo);
     } else {
       tier3.push(photo);
@@ -186,6 +199,9 @@ export function generateTiers(photos, thresholds = null) {
       ? Math.round((validScores.reduce((a, b) => a + b, 0) / validScores.length) * 10) / 10
       : null
   };
+  if (useLowerBound) {
+    summary.rank_by = 'lcb';
+  }
 
   return {
     tier1,
@@ -4,24 +4,12 @@
  * Part of FR-B3 (strategic analysis) and FR-B7 (structured output).
  */
 
-import { Ollama } from 'ollama';
 import { getApiClient } from '../utils/api-client.js';
 import { resolveTextModel, ensureModelAvailable } from '../utils/model-manager.js';
 import { buildSystemPrompt, buildAnalysisPrompt, getDefaultProfile } from './strategic-prompt-builder.js';
 import { parseStrategicOutput, validateEvaluation } from './strategic-output-parser.js';
 import { logger } from '../utils/logger.js';
 
-/**
- * Create an Ollama client for strategic analysis.
- * Uses streaming mode to avoid undici headersTimeout (phi3:mini may take
- * minutes to process the full prompt before emitting the first token).
- * @returns {Ollama}
- */
-function createOllamaClient() {
-  const host = process.env.OLLAMA_HOST || 'http://localhost:11434';
-  return new Ollama({ host });
-}
-
 /**
  * Run strategic curatorial analysis on an open call.
  *
@@ -55,8 +43,8 @@ export async function analyzeStrategically(openCallData, options = {}) {
   logger.debug(`Sebastiano using model: ${model}`);
   logger.debug(`System prompt length: ${systemPrompt.split(/\s+/).length} words`);
 
-  // Use injected client (tests) or dedicated client (production)
-  const client = options._client || createOllamaClient();
+  // Use injected client (tests) or the configured vision provider
+  const client = options._client || getApiClient();
 
   // Stream to avoid undici headersTimeout — headers arrive immediately with
   // chunked responses, then tokens trickle in as the model generates them.
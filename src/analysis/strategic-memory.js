@@ -168,6 +168,21 @@ function updateProfile(profilesDir, type, name, slug, openCallData, result) {
   atomicWriteJson(filePath, profile);
 }
 
+/**
+ * Read the stored profile of one jury member.
+ *
+ * @param {string} juryName - Jury member as listed in open-call.json
+ * @param {Object} [options={}]
+ * @param {string} [options._memoryDir] - Override memory directory
+ * @returns {Object|null} Profile with name, notes and appearances, or null if none
+ */
+export function readJuryProfile(juryName, options = {}) {
+  const slug = slugifyForFile(juryName);
+  if (!slug) return null;
+  const memoryDir = options._memoryDir || getDefaultMemoryDir();
+  return safeReadJson(join(memoryDir, 'profiles', `jury-${slug}.json`));
+}
+
 /**
  * Search memory entries matching a query string.
  *
@@ -0,0 +1,172 @@
+/**
+ * Structured JSON output for photo scoring.
+ *
+ * Builds a JSON Schema from the project's criteria (sent as Ollama `format`
+ * or OpenAI `response_format`), validates the model's reply with ajv, and
+ * repairs malformed JSON using the strategic-output-parser approach.
+ *
+ * Every score records the parse path that produced it:
+ * - json:     valid JSON on the first attempt
+ * - repaired: valid after repairJson()
+ * - retry:    valid after re-asking the model with the validation errors
+ * - regex:    "SCORE: name: N/10" lines (text fallback)
+ * - loose:    "name: N" pattern (last-resort text fallback)
+ *
+ * @module structured-output
+ */
+
+import Ajv from 'ajv';
+import { repairJson } from './strategic-output-parser.js';
+
+export const RECOMMENDATIONS = ['Strong Yes', 'Yes', 'Maybe', 'No'];
+
+const ajv = new Ajv({ allErrors: true });
+
+// Compiled validators by schema text. buildScoreSchema() returns a new object
+// on every call and ajv caches by object identity, so compile each criteria
+// set once here instead of letting ajv's cache grow with every photo.
+const validators = new Map();
+
+function getValidator(schema) {
+  const key = JSON.stringify(schema);
+  if (!validators.has(key)) validators.set(key, ajv.compile(schema));
+  return validators.get(key);
+}
+
+/**
+ * Build the JSON Schema the model must follow for a set of criteria.
+ *
+ * @param {Array<{ name: string }>} criteria - Evaluation criteria
+ * @returns {Object} JSON Schema (draft-07 compatible)
+ */
+export function buildScoreSchema(criteria) {
+  const scoreProperties = {};
+  for (const criterion of criteria) {
+    scoreProperties[criterion.name] = {
+      type: 'object',
+      required: ['score', 'justification'],
+      properties: {
+        score: { type: 'integer', minimum: 1, maximum: 10 },
+        justification: { type: 'string' }
+      }
+    };
+  }
+
+  return {
+    type: 'object',
+    required: ['overall_assessment', 'scores', 'strengths', 'improvements', 'recommendation'],
+    properties: {
+      overall_assessment: { type: 'string' },
+      scores: {
+        type: 'object',
+        required: criteria.map(c => c.name),
+        properties: scoreProperties
+      },
+      strengths: { type: 'array', items: { type: 'string' } },
+      improvements: { type: 'array', items: { type: 'string' } },
+      recommendation: { type: 'string', enum: RECOMMENDATIONS }
+    }
+  };
+}
+
+/**
+ * Extract the JSON object from a model reply (handles code fences and prose).
+ *
+ * @param {string} text - Raw model output
+ * @returns {string|null} Candidate JSON string, or null if no object found
+ */
+export function extractJsonText(text) {
+  if (!text) return null;
+  const fenced = text.match(/```(?:json)?\s*\n?([\s\S]*?)```/);
+  const body = fenced ? fenced[1] : text;
+  const start = body.indexOf('{');
+  const end = body.lastIndexOf('}');
+  if (start === -1) return null;
+  return end > start ? body.slice(start, end + 1) : body.slice(start);
+}
+
+/**
+ * Parse and validate a structured scoring reply.
+ *
+ * Tries plain JSON.parse first, then repairJson(). Validation errors are
+ * returned as readable strings so they can be fed back to the model.
+ *
+ * @param {string} text - Raw model output
+ * @param {Object} schema - Schema from buildScoreSchema()
+ * @returns {{ valid: boolean, data: Object|null, parsePath: string|null, errors: string[] }}
+ */
+export function parseStructuredResponse(text, schema) {
+  const jsonText = extractJsonText(text);
+  if (!jsonText) {
+    return { valid: false, data: null, parsePath: null, errors: ['Response contains no JSON object'] };
+  }
+
+  let data = null;
+  let parsePath = 'json';
+  try {
+    data = JSON.parse(jsonText);
+  } catch {
+    try {
+      data = JSON.parse(repairJson(jsonText));
+      parsePath = 'repaired';
+    } catch (error) {
+      return { valid: false, data: null, parsePath: null, errors: [`Invalid JSON: ${error.message}`] };
+    }
+  }
+
+  const validate = getValidator(schema);
+  if (validate(data)) {
+    return { valid: true, data, parsePath, errors: [] };
+  }
+
+  const errors = (validate.errors || []).map(e => `${e.instancePath || '/'} ${e.message}`);
+  return { valid: false, data, parsePath, errors };
+}
+
+/**
+ * Convert validated structured data into the standard scores shape used by
+ * score-aggregator and reports.
+ *
+ * @param {Object} data - Validated reply
+ * @param {Array<{ name: string, weight?: number }>} criteria - Evaluation criteria
+ * @param {string} parsePath - Parse path to record on each score
+ * @param {string} rawText - Raw model output (stored as full_analysis)
+ * @returns {Object} { individual, summary, strengths, improvements, full_analysis }
+ */
+export function toScores(data, criteria, parsePath, rawText) {
+  const individual = {};
+  for (const criterion of criteria) {
+    const entry = data.scores[criterion.name];
+    individual[criterion.name] = {
+      score: entry.score,
+      weight: criterion.weight || 20,
+      reasoning: entry.justification,
+      parsePath
+    };
+  }
+
+  const entries = Object.values(individual);
+  const totalWeight = entries.reduce((sum, s) => sum + s.weight, 0);
+  const weightedSum = entries.reduce((sum, s) => sum + s.score * s.weight, 0);
+  const simpleSum = entries.reduce((sum, s) => sum + s.score, 0);
+
+  const summary = {
+    recommendation: data.recommendation,
+    overall_assessment: data.overall_assessment,
+    parsePath
+  };
+  if (totalWeight > 0) {
+    summary.weighted_average = Math.round((weightedSum / totalWeight) * 10) / 10;
+  }
+  if (entries.length > 0) {
+    summary.average = Math.round((simpleSum / entries.length) * 10) / 10;
+  }
+
+  return {
+    individual,
+    summary,
+    strengths: data.strengths,
+    improvements: data.improvements,
+    full_analysis: rawText
+  };
+}
@@ -0,0 +1,383 @@
+/**
+ * Deterministic technical image metrics (computed locally with sharp)
+ *
+ * Technical Quality used to be judged only by the vision model, which
+ * misses obvious blur and clipping. These metrics are computed on a
+ * downscaled copy of the photo and need no model, so every photo gets a
+ * technical baseline even when the vision call fails.
+ *
+ * - sharpness:          variance of the Laplacian (higher = sharper)
+ * - highlight_clipping: % of pixels with luminance >= 250
+ * - shadow_clipping:    % of pixels with luminance <= 5
+ * - noise:              Immerkær noise sigma estimate (0-255 scale)
+ * - dynamic_range:      stops between the 0.5th and 99.5th luminance percentiles
+ * - colourfulness:      Hasler & Süsstrunk colourfulness
+ * - horizon_tilt:       degrees of the dominant near-horizontal line (positive rises to the right), or null
+ *
+ * open-call.json can blend the resulting technical score into a criterion:
+ * "technicalMetrics": { "blend": { "criterion": "Technical Quality", "weight": 0.3 } }
+ *
+ * @module technical-metrics
+ */
+
+import sharp from 'sharp';
+import { logger } from '../utils/logger.js';
+import { loadImageSource } from '../utils/raw-preview.js';
+
+const ANALYSIS_SIZE = 1024;
+const HIGHLIGHT_LEVEL = 250;
+const SHADOW_LEVEL = 5;
+const MAX_TILT_DEGREES = 15;
+const TILT_STEP_DEGREES = 0.25;
+const MIN_EDGE_MAGNITUDE = 60;
+const MIN_HORIZON_COVERAGE = 0.25; // share of the image width the line must span
+
+function round1(value) {
+  return Math.round(value * 10) / 10;
+}
+
+function round2(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function clamp01(value) {
+  return Math.min(1, Math.max(0, value));
+}
+
+/**
+ * Convert interleaved RGB pixels to luminance (Rec. 601).
+ *
+ * @param {Uint8Array|Buffer} rgb - Interleaved RGB data
+ * @returns {Float32Array} Luminance 0-255
+ */
+export function toLuminance(rgb) {
+  const gray = new Float32Array(rgb.length / 3);
+  for (let i = 0, p = 0; i < gray.length; i++, p += 3) {
+    gray[i] = 0.299 * rgb[p] + 0.587 * rgb[p + 1] + 0.114 * rgb[p + 2];
+  }
+  return gray;
+}
+
+/**
+ * Variance of the 4-neighbour Laplacian over the image interior.
+ *
+ * @param {Float32Array} gray - Luminance
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+export function laplacianVariance(gray, width, height) {
+  let sum = 0;
+  let sumSq = 0;
+  let n = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value = gray[i - width] + gray[i + width] + gray[i - 1] + gray[i + 1] - 4 * gray[i];
+      sum += value;
+      sumSq += value * value;
+      n++;
+    }
+  }
+  if (n === 0) return 0;
+  const mean = sum / n;
+  return sumSq / n - mean * mean;
+}
+
+/**
+ * Percentage of clipped highlight and shadow pixels.
+ *
+ * @param {Float32Array} gray - Luminance
+ * @returns {{ highlight: number, shadow: number }}
+ */
+export function clippingPercentages(gray) {
+  let highlight = 0;
+  let shadow = 0;
+  for (const value of gray) {
+    if (value >= HIGHLIGHT_LEVEL) highlight++;
+    else if (value <= SHADOW_LEVEL) shadow++;
+  }
+  return {
+    highlight: (highlight / gray.length) * 100,
+    shadow: (shadow / gray.length) * 100
+  };
+}
+
+/**
+ * Fast noise sigma estimate (Immerkær, 1996).
+ *
+ * @param {Float32Array} gray - Luminance
+ * @param {number} width
+ * @param {number} height
+ * @returns {number}
+ */
+export function estimateNoise(gray, width, height) {
+  if (width < 3 || height < 3) return 0;
+  let total = 0;
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const value =
+        gray[i - width - 1] - 2 * gray[i - width] + gray[i - width + 1]
+        - 2 * gray[i - 1] + 4 * gray[i] - 2 * gray[i + 1]
+        + gray[i + width - 1] - 2 * gray[i + width] + gray[i + width + 1];
+      total += Math.abs(value);
+    }
+  }
+  return total * Math.sqrt(Math.PI / 2) / (6 * (width - 2) * (height - 2));
+}
+
+/**
+ * Dynamic range in stops between the 0.5th and 99.5th luminance percentiles.
+ *
+ * @param {Float32Array} gray - Luminance
+ * @returns {number} 0 to 8 stops
+ */
+export function dynamicRange(gray) {
+  const histogram = new Array(256).fill(0);
+  for (const value of gray) histogram[Math.min(255, Math.round(value))]++;
+
+  const percentile = (p) => {
+    const target = gray.length * p;
+    let cumulative = 0;
+    for (let level = 0; level < 256; level++) {
+      cumulative += histogram[level];
+      if (cumulative >= target) return level;
+    }
+    return 255;
+  };
+
+  return Math.log2((percentile(0.995) + 1) / (percentile(0.005) + 1));
+}
+
+/**
+ * Colourfulness metric (Hasler & Süsstrunk, 2003).
+ *
+ * @param {Uint8Array|Buffer} rgb - Interleaved RGB data
+ * @returns {number} 0 for greyscale, roughly 100+ for very colourful images
+ */
+export function colourfulness(rgb) {
+  const n = rgb.length / 3;
+  let sumRg = 0, sumYb = 0, sumRg2 = 0, sumYb2 = 0;
+  for (let p = 0; p < rgb.length; p += 3) {
+    const rg = rgb[p] - rgb[p + 1];
+    const yb = 0.5 * (rgb[p] + rgb[p + 1]) - rgb[p + 2];
+    sumRg += rg;
+    sumYb += yb;
+    sumRg2 += rg * rg;
+    sumYb2 += yb * yb;
+  }
+  const meanRg = sumRg / n;
+  const meanYb = sumYb / n;
+  const stdRg = Math.sqrt(Math.max(0, sumRg2 / n - meanRg * meanRg));
+  const stdYb = Math.sqrt(Math.max(0, sumYb2 / n - meanYb * meanYb));
+  return Math.sqrt(stdRg * stdRg + stdYb * stdYb) + 0.3 * Math.sqrt(meanRg * meanRg + meanYb * meanYb);
+}
+
+/**
+ * Detect the tilt of the dominant near-horizontal line with a Hough
+ * transform limited to ±15°. Only strong edges whose own orientation is
+ * close to horizontal vote.
+ *
+ * @param {Float32Array} gray - Luminance
+ * @param {number} width
+ * @param {number} height
+ * @returns {{ tilt: number, coverage: number }|null} Null when no line spans a quarter of the width
+ */
+export function detectHorizonTilt(gray, width, height) {
+  const steps = Math.round((2 * MAX_TILT_DEGREES) / TILT_STEP_DEGREES) + 1;
+  const angles = Array.from({ length: steps }, (_, i) => (-MAX_TILT_DEGREES + i * TILT_STEP_DEGREES) * Math.PI / 180);
+  const sines = angles.map(Math.sin);
+  const cosines = angles.map(Math.cos);
+  const rhoOffset = width;
+  const rhoSize = width * 2 + height + 1;
+  const accumulator = new Uint32Array(steps * rhoSize);
+  const maxEdgeSlope = Math.tan((MAX_TILT_DEGREES + 5) * Math.PI / 180);
+
+  for (let y = 1; y < height - 1; y++) {
+    for (let x = 1; x < width - 1; x++) {
+      const i = y * width + x;
+      const gx = (gray[i - width + 1] + 2 * gray[i + 1] + gray[i + width + 1])
+        - (gray[i - width - 1] + 2 * gray[i - 1] + gray[i + width - 1]);
+      const gy = (gray[i + width - 1] + 2 * gray[i + width] + gray[i + width + 1])
+        - (gray[i - width - 1] + 2 * gray[i - width] + gray[i - width + 1]);
+      if (Math.abs(gy) < MIN_EDGE_MAGNITUDE || Math.abs(gx) > Math.abs(gy) * maxEdgeSlope) continue;
+
+      for (let a = 0; a < steps; a++) {
+        const rho = Math.round(x * sines[a] + y * cosines[a]) + rhoOffset;
+        accumulator[a * rhoSize + rho]++;
+      }
+    }
+  }
+
+  // Strongest line per angle; thick edges peak on several neighbouring
+  // angles, so average the angles that come within 5% of the best one
+  const peaks = angles.map((_, a) => {
+    let peak = 0;
+    for (let r = a * rhoSize; r < (a + 1) * rhoSize; r++) {
+      if (accumulator[r] > peak) peak = accumulator[r];
+    }
+    return peak;
+  });
+  const best = Math.max(...peaks);
+  const coverage = best / width;
+  if (best === 0 || coverage < MIN_HORIZON_COVERAGE) return null;
+
+  let angleSum = 0;
+  let voteSum = 0;
+  peaks.forEach((peak, a) => {
+    if (peak >= best * 0.95) {
+      angleSum += angles[a] * peak;
+      voteSum += peak;
+    }
+  });
+  const angle = (angleSum / voteSum) * 180 / Math.PI;
+  return { tilt: round2(angle) || 0, coverage: round2(Math.min(1, coverage)) };
+}
+
+/**
+ * Combine metrics into a 1-10 technical score.
+ * Weights: sharpness 40%, clipping 25%, noise 15%, dynamic range 10%, tilt 10%.
+ * Colourfulness is reported but not scored (monochrome work is legitimate).
+ *
+ * @param {Object} metrics - Result of computeTechnicalMetrics()
+ * @returns {number} Score 1-10 (one decimal)
+ */
+export function metricsToScore(metrics) {
+  const sharpness = clamp01((Math.log10(metrics.sharpness + 1) - 1.3) / 1.4);
+  const clipping = 1 - clamp01(metrics.highlight_clipping / 10) * 0.6 - clamp01(metrics.shadow_clipping / 20) * 0.4;
+  const noise = 1 - clamp01((metrics.noise - 2) / 8);
+  const range = clamp01((metrics.dynamic_range - 4) / 3);
+  const tilt = metrics.horizon_tilt === null ? 1 : 1 - clamp01((Math.abs(metrics.horizon_tilt) - 0.5) / 4.5);
+
+  const combined = 0.4 * sharpness + 0.25 * clipping + 0.15 * noise + 0.1 * range + 0.1 * tilt;
+  return round1(1 + 9 * combined);
+}
+
+/**
+ * Compute all technical metrics for one photo.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @returns {Promise<Object>} Metrics plus technical_score and analysed size
+ */
+export async function computeTechnicalMetrics(photoPath) {
+  const { data, info } = await sharp(await loadImageSource(photoPath))
+    .rotate()
+    .resize({ width: ANALYSIS_SIZE, height: ANALYSIS_SIZE, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .toColourspace('srgb')
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+
+  const { width, height } = info;
+  const rgb = info.channels === 3 ? data : expandToRgb(data, info.channels);
+  const gray = toLuminance(rgb);
+  const clipping = clippingPercentages(gray);
+  const horizon = detectHorizonTilt(gray, width, height);
+
+  const metrics = {
+    sharpness: round1(laplacianVariance(gray, width, height)),
+    highlight_clipping: round2(clipping.highlight),
+    shadow_clipping: round2(clipping.shadow),
+    noise: round2(estimateNoise(gray, width, height)),
+    dynamic_range: round2(dynamicRange(gray)),
+    colourfulness: round1(colourfulness(rgb)),
+    horizon_tilt: horizon ? horizon.tilt : null,
+    analysed_size: { width, height }
+  };
+  metrics.technical_score = metricsToScore(metrics);
+  return metrics;
+}
+
+function expandToRgb(data, channels) {
+  const pixels = data.length / channels;
+  const rgb = new Uint8Array(pixels * 3);
+  for (let i = 0; i < pixels; i++) {
+    const value = data[i * channels];
+    rgb[i * 3] = rgb[i * 3 + 1] = rgb[i * 3 + 2] = value;
+  }
+  return rgb;
+}
+
+/**
+ * Compute metrics without throwing; failures are logged and return null.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @returns {Promise<Object|null>}
+ */
+export async function computeTechnicalMetricsSafe(photoPath) {
+  try {
+    return await computeTechnicalMetrics(photoPath);
+  } catch (error) {
+    logger.debug(`Technical metrics failed for ${photoPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Normalise the "technicalMetrics" section of an open call config.
+ * Metrics are on by default; blending is opt-in.
+ *
+ * @param {Object} config - Open call configuration
+ * @returns {{ enabled: boolean, blend: { criterion: string, weight: number }|null }}
+ */
+export function resolveTechnicalMetricsConfig(config) {
+  const section = config?.technicalMetrics || {};
+  const blend = section.blend && section.blend.criterion
+    ? { criterion: section.blend.criterion, weight: section.blend.weight ?? 0.3 }
+    : null;
+  return { enabled: section.enabled !== false, blend };
+}
+
+/**
+ * Blend the technical score into one criterion and recompute the averages.
+ * The criterion keeps the model's score as `llm_score`; interval fields
+ * from sampling are shifted by the same amount as the weighted average.
+ *
+ * @param {Object} scores - scores object from an analysis (mutated copy returned)
+ * @param {Object} metrics - Result of computeTechnicalMetrics()
+ * @param {{ criterion: string, weight: number }} blend - Blend settings
+ * @returns {Object} New scores object (unchanged if the criterion is missing)
+ */
+export function blendTechnicalScore(scores, metrics, blend) {
+  if (!scores?.individual || !metrics || !blend) return scores;
+
+  const name = Object.keys(scores.individual)
+    .find(key => key.toLowerCase() === blend.criterion.toLowerCase());
+  if (!name) {
+    logger.debug(`Blend criterion "${blend.criterion}" not found in scores`);
+    return scores;
+  }
+
+  const original = scores.individual[name];
+  const blended = round1((1 - blend.weight) * original.score + blend.weight * metrics.technical_score);
+  const individual = {
+    ...scores.individual,
+    [name]: {
+      ...original,
+      score: blended,
+      llm_score: original.score,
+      technical_score: metrics.technical_score
+    }
+  };
+
+  const entries = Object.values(individual);
+  const weighted = entries.filter(d => d.weight > 0);
+  const totalWeight = weighted.reduce((sum, d) => sum + d.weight, 0);
+  const summary = { ...scores.summary };
+  if (totalWeight > 0) {
+    const previous = summary.weighted_average;
+    summary.weighted_average = round1(weighted.reduce((sum, d) => sum + d.score * d.weight, 0) / totalWeight);
+    if (typeof previous === 'number' && typeof summary.weighted_average_ci_lower === 'number') {
+      const shift = summary.weighted_average - previous;
+      summary.weighted_average_ci_lower = round2(summary.weighted_average_ci_lower + shift);
+      summary.weighted_average_ci_upper = round2(summary.weighted_average_ci_upper + shift);
+    }
+  }
+  if (entries.length > 0) {
+    summary.average = round1(entries.reduce((sum, d) => sum + d.score, 0) / entries.length);
+  }
+  summary.technical_blend = { criterion: name, weight: blend.weight };
+
+  return { ...scores, individual, summary };
+}
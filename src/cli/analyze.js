@@ -2,36 +2,62 @@
 
 import { Command } from 'commander';
 import { analyzePhoto } from '../analysis/photo-analyzer.js';
-import { processBatch, validatePhotos, parsePhotoTimeoutOption } from '../processing/batch-processor.js';
+import { processBatch, validatePhotos, parsePhotoTimeoutOption, getPhotoFiles } from '../processing/batch-processor.js';
 import { aggregateScores, integrateSmartTiering } from '../analysis/score-aggregator.js';
 import { exportReports } from '../output/report-generator.js';
+import { exportHtmlReport, collectFeedback, DEFAULT_THUMBNAIL_SIZE } from '../output/html-report-generator.js';
+import { exportPdfReport, resolvePdfLayout, DEFAULT_PER_PAGE, MAX_PER_PAGE } from '../output/pdf-report-generator.js';
+import { PAGE_SIZES } from '../output/pdf-writer.js';
+import { loadReportRun, listRuns, loadRunSnapshot, findLatestSetAnalysis } from '../output/report-run-loader.js';
+import { buildRunMetadata, diffRuns, generateRunDiffMarkdown, RUN_METADATA_FILENAME } from '../analysis/run-diff.js';
 import { displayTierSummary, displayTierDetails, displayTierRecommendations } from './tier-display.js';
 import { generateAnalysisPrompt } from '../analysis/prompt-generator.js';
 import { analyzeSet, analyzeSetWithTimeout } from '../analysis/set-analyzer.js';
 import { aggregateSetScores, rankSets } from '../analysis/set-score-aggregator.js';
+import { sequenceSet } from '../analysis/set-sequencer.js';
 import { selectCandidateSets, countCombinations, selectCandidateSetsByGroup } from '../processing/combination-generator.js';
+import { SEARCH_STRATEGIES, DEFAULT_SEARCH_BUDGET, loadPairCoherence, recordSetCoherence } from '../processing/set-optimizer.js';
+import {
+  resolveSetConstraints, hasGroupConstraints, buildGroupIndex, findConstraintViolations, describeSetConstraints
+} from '../processing/set-constraints.js';
 import { exportSetReports, exportGroupedSetReports } from '../output/set-report-generator.js';
 import { logger } from '../utils/logger.js';
 import { readJson, fileExists, writeJson, writeText, projectPath, resolveOutputDir, resolvePhotoSelection } from '../utils/file-utils.js';
 import { SUPPORTED_FORMATS } from '../processing/photo-validator.js';
-import { loadOpenCallConfig, formatValidationErrors } from '../config/validator.js';
+import { loadOpenCallConfig, formatValidationErrors, validateOpenCall } from '../config/validator.js';
 import { validateProjectPrompt } from '../validation/prompt-quality-validator.js';
 import { comparePrompts } from '../validation/ab-testing-framework.js';
 import { runInitWizard } from './init-wizard.js';
 import { resolveModel, listVisionModels, ensureModelAvailable } from '../utils/model-manager.js';
 import { getModelName } from '../utils/api-client.js';
 import { tagWinner, loadWinners, extractPatterns, computeWinnerSimilarity, getWinnerInsights } from '../analysis/winner-manager.js';
-import { validateSubmission } from '../processing/submission-validator.js';
+import { validateSubmission, validateSubmissionImages, describeFixAction } from '../processing/submission-validator.js';
+import { selectSubmissionPhotos, buildSubmissionPackage, DEFAULT_FILENAME_PATTERN, DEFAULT_MIN_EDGE, DEFAULT_TOP_PHOTOS, FILENAME_FIELDS } from '../processing/submission-packager.js';
 import { generateBatchTexts, generateTexts, buildTextPrompt } from '../output/title-description-generator.js';
 import { runCalibration, validateBaselineStructure } from '../analysis/benchmarking-manager.js';
 import { analyzeStrategically } from '../analysis/strategic-analyzer.js';
 import { researchOpenCall, readCachedResearch } from '../analysis/strategic-researcher.js';
 import { generateUrlSuggestions, validateUrls } from '../analysis/url-discoverer.js';
-import { retrieveMemoryContext, saveAnalysisMemory } from '../analysis/strategic-memory.js';
-import { checkOllamaStatus } from '../utils/api-client.js';
+import { retrieveMemoryContext, saveAnalysisMemory, readJuryProfile } from '../analysis/strategic-memory.js';
+import { checkOllamaStatus, configureApiClient, getApiClient } from '../utils/api-client.js';
+import { resolveCassetteOptions } from '../providers/cassette-provider.js';
+import { MAX_SAMPLES } from '../analysis/score-sampling.js';
+import { rankPairwise, defaultComparisonBudget } from '../analysis/pairwise-ranker.js';
+import { resolveModelPanel } from '../analysis/model-panel.js';
+import { resolveTechnicalMetricsConfig } from '../analysis/technical-metrics.js';
+import { resolveDuplicateConfig } from '../analysis/duplicate-detector.js';
+import { resolvePreprocessingConfig } from '../utils/image-preprocessor.js';
+import { extractPhotoMetadataSafe } from '../utils/photo-metadata.js';
+import { buildJurorPersonas, simulateJury, DEFAULT_MAX_JURORS } from '../analysis/jury-simulator.js';
+import { discoverPhotoGroups, resolveAutoGroupSettings, DEFAULT_AUTO_GROUP } from '../analysis/group-discovery.js';
+import { loadAllocationCall, allocatePortfolio } from '../processing/portfolio-allocator.js';
+import { listMatchPhotos, isCallOpen, matchPhotos } from '../processing/call-matcher.js';
+import { TRACKER_STATUSES, loadTracker, updateTracker, buildCalendar, summarizeHistory } from '../processing/submission-tracker.js';
+import { readResearchBrief } from '../discovery/research-brief-writer.js';
 import { computeSpearmanRho, computeTopNOverlap, findDisagreements, analyzeConsistency, generateComparisonReport } from '../analysis/comparison-engine.js';
+import { analyzeOutcomes, generateOutcomeReport } from '../analysis/outcome-analytics.js';
 import { registerDiscoverCommand } from './discover-command.js';
-import { join, basename } from 'path';
+import { join, basename, dirname, extname } from 'path';
 import { readdirSync } from 'fs';
 import ora from 'ora';
 
@@ -42,6 +68,46 @@ program.name('photo-analyzer').description('AI-powered photo analysis for photog
 // Register discovery layer command (Cycle 1)
 registerDiscoverCommand(program);
 
+/**
+ * Point the shared API client at the project's provider (open-call.json
+ * "provider"), wrapped in a record/replay cassette when --cassette or
+ * VISION_CASSETTE is set.
+ */
+function configureProjectClient(config, projectDir, options = {}) {
+  configureApiClient(config.provider, {
+    cassette: resolveCassetteOptions({
+      mode: options.cassette,
+      file: options.cassetteFile,
+      projectDir
+    })
+  });
+}
+
+/**
+ * Project directories (folders with an open-call.json) under a data directory.
+ */
+function listProjectDirs(dataDir) {
+  return readdirSync(dataDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory())
+    .map(entry => join(dataDir, entry.name))
+    .filter(dir => fileExists(join(dir, 'open-call.json')));
+}
+
+/**
+ * Exit with an error if cassette replay could not serve every request.
+ * Per-photo failures are otherwise only counted, which would hide gaps.
+ */
+function exitOnCassetteMisses() {
+  const misses = getApiClient().misses || [];
+  if (misses.length === 0) return;
+  logger.error(`Cassette replay missed ${misses.length} request(s):`);
+  for (const key of misses) {
+    logger.error(`  ${key}`);
+  }
+  logger.info('Re-record the cassette with --cassette record');
+  process.exit(1);
+}
+
 /**
  * Project initialization wizard (FR-3.4)
  */
@@ -88,11 +154,21 @@ program
   .option('--clear-checkpoint', 'Clear existing checkpoint before starting')
   .option('--photo-timeout <seconds>', 'Timeout per photo analysis in seconds (30-300), or "auto" for adaptive probe', 'auto')
   .option('--show-tiers', 'Display tier breakdown in terminal')
-  .option('--analysis-mode <mode>', 'Analysis mode: single, multi, or auto (default: auto)', 'auto')
+  .option('--analysis-mode <mode>', 'Analysis mode: single, multi, structured (JSON schema output), or auto (default: auto)', 'auto')
   .option('--no-cache', 'Skip cache lookup, force fresh analysis (FR-3.7)')
   .option('--clear-analysis-cache', 'Clear analysis cache before starting (FR-3.7)')
   .option('--model <name>', 'Vision model to use (e.g., llava:7b, llava:13b, moondream) (FR-3.9)')
   .option('--compare-winners', 'Compare results against tagged winners (FR-3.10)')
+  .option('--samples <n>', 'Score each photo N times with varied seeds/temperatures and report mean, std and 95% CI (1-10)', '1')
+  .option('--rank-by <mode>', 'Rank and tier by: mean or lcb (lower confidence bound; default when --samples > 1)')
+  .option('--no-panel', 'Ignore the modelPanel in open-call.json and score with a single model')
+  .option('--no-metrics', 'Skip local technical metrics (sharpness, clipping, noise, tilt) and their blend')
+  .option('--no-dedupe', 'Skip near-duplicate detection (reports list every burst frame separately)')
+  .option('--representatives-only', 'Analyze only the sharpest frame of each near-duplicate cluster')
+  .option('--no-preprocess', 'Send original files to the model instead of resized sRGB JPEGs')
+  .option('--no-html', 'Skip the self-contained HTML report (embedded thumbnails)')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
   .action(async (projectDir, options) => {
     try {
       logger.section('PHOTO ANALYSIS');
@@ -106,6 +182,18 @@ program
       const photoTimeout = timeoutParsed.photoTimeout;
       const explicitTimeout = timeoutParsed.explicitTimeout;
 
+      // Self-consistency sampling: N scores per photo, ranked by lower confidence bound
+      const samples = parseInt(options.samples, 10);
+      if (isNaN(samples) || samples < 1 || samples > MAX_SAMPLES) {
+        logger.error(`Invalid --samples value. Must be between 1 and ${MAX_SAMPLES}.`);
+        process.exit(1);
+      }
+      const rankBy = options.rankBy || (samples > 1 ? 'lcb' : 'mean');
+      if (!['mean', 'lcb'].includes(rankBy)) {
+        logger.error('Invalid --rank-by value. Must be "mean" or "lcb".');
+        process.exit(1);
+      }
+
       // Check project structure
       const photosDir = join(projectDir, 'photos');
       const promptFile = join(projectDir, 'analysis-prompt.json');
@@ -135,6 +223,7 @@ program
       }
 
       const config = configResult.data;
+      configureProjectClient(config, projectDir, options);
 
       // FR-3.9: Resolve model from chain (CLI > config > env > default)
       const resolvedModel = resolveModel({
@@ -142,7 +231,13 @@ program
         configModel: config.model || null,
         envModel: process.env.OLLAMA_MODEL || null
       });
-      logger.info(`Model: ${resolvedModel}`);
+      // Multi-model consensus panel (open-call.json "modelPanel")
+      const panel = options.panel === false ? null : resolveModelPanel(config);
+      if (panel) {
+        logger.info(`Model panel: ${panel.models.map(m => m.name).join(', ')} (disagreement threshold ${panel.disagreementThreshold})`);
+      } else {
+        logger.info(`Model: ${resolvedModel}`);
+      }
 
       // Load or generate analysis prompt
       let analysisPrompt;
@@ -189,6 +284,19 @@ program
         process.exit(1);
       }
 
+      const technicalMetrics = options.metrics === false
+        ? { enabled: false, blend: null }
+        : resolveTechnicalMetricsConfig(config);
+      const duplicates = {
+        ...resolveDuplicateConfig(config),
+        ...(options.dedupe === false && { enabled: false }),
+        ...(options.representativesOnly && { representativesOnly: true })
+      };
+      const preprocess = {
+        ...resolvePreprocessingConfig(config, projectDir),
+        ...(options.preprocess === false && { enabled: false })
+      };
+
       const batchResults = await processBatch(
         photosDir,
         analysisPrompt,
@@ -200,9 +308,15 @@ program
           photoTimeout, // Pass timeout to batch processor (FR-2.3)
           explicitTimeout, // ADR-023: whether timeout was explicitly set
           analysisMode: options.analysisMode, // Pass analysis mode (FR-2.4 Phase 2)
-          noCache: options.cache === false, // FR-3.7: --no-cache flag
+          // FR-3.7: --no-cache flag; recording bypasses the cache so every call lands in the cassette
+          noCache: options.cache === false || getApiClient().cassette?.mode === 'record',
           clearAnalysisCache: options.clearAnalysisCache || false, // FR-3.7: --clear-analysis-cache flag
-          model: resolvedModel // FR-3.9: resolved model name
+          model: resolvedModel, // FR-3.9: resolved model name
+          samples,
+          panel,
+          technicalMetrics,
+          duplicates,
+          preprocess
         },
         config  // Pass config for checkpoint validation
       );
@@ -236,12 +350,21 @@ program
         process.exit(1);
       }
 
-      const aggregation = aggregateScores(successfulResults, analysisPrompt.criteria || []);
+      const aggregation = aggregateScores(successfulResults, analysisPrompt.criteria || [], {
+        rankBy,
+        duplicateClusters: batchResults.duplicateClusters
+      });
+      if (samples > 1) {
+        logger.info(`Sampling: ${samples} scores per photo, ranked by ${rankBy === 'lcb' ? 'lower 95% confidence bound' : 'mean'}`);
+      }
+      if (aggregation.disagreements && aggregation.disagreements.length > 0) {
+        logger.warn(`Model panel disagreed on ${aggregation.disagreements.length} photo(s): ${aggregation.disagreements.map(d => d.filename).join(', ')}`);
+      }
       const smartTiers = integrateSmartTiering(aggregation);
 
       // Generate and export reports
       logger.section('REPORT GENERATION');
-      exportReports(outputDir, aggregation, aggregation.tiers, aggregation.statistics, {
+      const jsonReport = exportReports(outputDir, aggregation, aggregation.tiers, aggregation.statistics, {
         formats: ['markdown', 'json', 'csv'],
         basename: 'photo-analysis',
         title: `${analysisPrompt.title} - Analysis Report`,
@@ -249,6 +372,24 @@ program
         smartTiers: smartTiers, // Pass tier data for tier-specific reports (M3)
         failedPhotos: batchResults.failedPhotos || [] // Include failed photos in reports (FR-2.3)
       });
+      // Model, settings, config and prompt of this run, compared by diff-runs
+      const { cacheDir: _cacheDir, ...preprocessSettings } = preprocess;
+      writeJson(join(outputDir, RUN_METADATA_FILENAME), buildRunMetadata({
+        model: resolvedModel,
+        panel,
+        settings: { analysisMode: options.analysisMode, samples, rankBy, technicalMetrics, duplicates, preprocess: preprocessSettings },
+        config,
+        prompt: analysisPrompt
+      }));
+      if (options.html !== false) {
+        await exportHtmlReport(outputDir, jsonReport, {
+          basename: 'photo-analysis',
+          title: `${analysisPrompt.title} - Analysis Report`,
+          theme: analysisPrompt.theme,
+          feedback: collectFeedback(batchResults),
+          runInfo: { Model: panel ? panel.models.map(m => m.name).join(', ') : resolvedModel }
+        });
+      }
 
       // Summary
       logger.section('SUMMARY');
@@ -293,6 +434,7 @@ program
         }
       }
 
+      exitOnCassetteMisses();
       logger.success(`Analysis complete! Results saved to: ${outputDir}`);
     } catch (error) {
       logger.error(error.message);
@@ -329,7 +471,7 @@ program
         prompt = readJson(promptFile);
       }
 
-      const result = await analyzePhoto(photoPath, prompt);
+      const result = await analyzePhoto(photoPath, prompt, { preprocess: resolvePreprocessingConfig(null) });
 
       logger.success(`Photo analyzed: ${photoPath}`);
       logger.info(`Overall Score: ${result.scores.summary.weighted_average || result.scores.summary.average}/10`);
@@ -397,19 +539,37 @@ program
         if (result.data.submissionRules) {
           logger.section('SUBMISSION COMPLIANCE');
           const submission = validateSubmission(directory, result.data);
-          if (submission.passed && submission.violations.length === 0) {
+          // Image rules (dimensions, aspect ratio, colour space, DPI, borders)
+          const images = await validateSubmissionImages(directory, result.data);
+          if (submission.violations.length === 0 && images.violations.length === 0) {
             logger.success('✅ Submission compliant — no violations');
           } else {
             for (const v of submission.violations) {
               const prefix = v.severity === 'ERROR' ? '❌' : '⚠️';
               logger.info(`${prefix} [${v.severity}] ${v.rule}: expected ${v.expected}, got ${v.actual}`);
             }
-            if (submission.passed) {
+            for (const v of images.violations) {
+              const prefix = v.severity === 'ERROR' ? '❌' : '⚠️';
+              const fixable = v.fix ? ' (fixable)' : '';
+              logger.info(`${prefix} [${v.severity}] ${v.photo} — ${v.rule}: expected ${v.expected}, got ${v.actual}${fixable}`);
+            }
+            if (submission.passed && images.passed) {
               logger.warn('Submission has warnings but can proceed');
             } else {
               logger.error('Submission has compliance errors — fix before submitting');
             }
           }
+
+          if (images.fixPlan.length > 0) {
+            logger.section('FIX PLAN');
+            for (const entry of images.fixPlan) {
+              logger.info(`${entry.photo}: ${entry.actions.map(describeFixAction).join(', ')}`);
+            }
+            logger.info('The package command applies these fixes to the copies it writes; originals are not changed.');
+          }
+          for (const check of images.manualChecks) {
+            logger.info(`👁️  Manual check — ${check}`);
+          }
         }
       } else {
         // Validate photos
@@ -514,6 +674,25 @@ program
     }
   });
 
+/**
+ * Read the top N photos of a photo-analysis.json ranking. Stored paths may
+ * come from another machine, so missing files fall back to <project>/photos/.
+ */
+function loadTopCandidates(projectDir, analysisFile, top) {
+  return (readJson(analysisFile).ranking || [])
+    .slice(0, top)
+    .map(r => ({
+      photo: fileExists(r.photo) ? r.photo : join(projectDir, 'photos', basename(r.photo)),
+      rank: r.rank,
+      overall_score: r.overall_score
+    }))
+    .filter(c => {
+      if (fileExists(c.photo)) return true;
+      logger.warn(`Photo not found, skipping: ${basename(c.photo)}`);
+      return false;
+    });
+}
+
 /**
  * Analyze a specific set of photos as a group (FR-3.11)
  */
@@ -525,6 +704,10 @@ program
   .option('--skip-individual', 'Skip individual analysis (use existing results)')
   .option('--timeout <seconds>', 'Timeout per analysis in seconds (30-300)', '120')
   .option('--model <name>', 'Vision model to use (FR-3.9)')
+  .option('--no-sequence', 'Skip the presentation order (sequencing) stage')
+  .option('--ignore-constraints', 'Analyze the set even if it breaks setMode.constraints')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
   .action(async (projectDir, options) => {
     try {
       logger.section('SET ANALYSIS (Polaroid Mode)');
@@ -547,7 +730,9 @@ program
       }
 
       const config = configResult.data;
+      configureProjectClient(config, projectDir, options);
       const setConfig = config.setMode || { enabled: true, setSize: 4 };
+      const preprocess = resolvePreprocessingConfig(config, projectDir);
 
       if (!setConfig.setCriteria) {
         const { getDefaultSetCriteria } = await import('../analysis/set-prompt-builder.js');
@@ -582,6 +767,32 @@ program
 
       const photoPaths = selection.photos;
 
+      // Check setMode.constraints before spending time on analysis
+      const constraints = resolveSetConstraints(setConfig);
+      let constraintViolations = [];
+      if (constraints) {
+        const groups = hasGroupConstraints(constraints)
+          ? buildGroupIndex(config.photoGroups, await Promise.all(photoPaths.map(async photoPath => ({
+            filename: basename(photoPath),
+            photo_metadata: await extractPhotoMetadataSafe(photoPath)
+          }))), photosDir)
+          : undefined;
+        constraintViolations = findConstraintViolations(selection.filenames, constraints, groups, expectedSize);
+        if (constraintViolations.length > 0) {
+          const log = options.ignoreConstraints ? logger.warn : logger.error;
+          log(`Selected photos break the set constraints (${describeSetConstraints(constraints)}):`);
+          for (const violation of constraintViolations) {
+            log(`  - ${violation}`);
+          }
+          if (!options.ignoreConstraints) {
+            logger.info('Change the selection or pass --ignore-constraints to analyze it anyway');
+            process.exit(1);
+          }
+        } else {
+          logger.info(`Set constraints satisfied (${describeSetConstraints(constraints)})`);
+        }
+      }
+
       // Load or generate analysis prompt
       let analysisPrompt;
       if (fileExists(promptFile)) {
@@ -599,7 +810,7 @@ program
         for (const photoPath of photoPaths) {
           const spinner = ora(`Analyzing ${basename(photoPath)}...`).start();
           try {
-            const result = await analyzePhoto(photoPath, analysisPrompt);
+            const result = await analyzePhoto(photoPath, analysisPrompt, { preprocess });
             const score = result.scores?.summary?.weighted_average || result.scores?.summary?.average || 0;
             individualResults.push({
               filename: basename(photoPath),
@@ -639,7 +850,7 @@ program
 
       const setResult = await analyzeSetWithTimeout(
         photoPaths, analysisPrompt, setConfig,
-        { timeout },
+        { timeout, preprocess },
         individualResults
       );
 
@@ -652,6 +863,9 @@ program
 
       // Aggregate scores
       const aggregated = aggregateSetScores(individualResults, setResult.data, setConfig);
+      if (constraintViolations.length > 0) {
+        aggregated.constraintViolations = constraintViolations;
+      }
 
       // Display results
       logger.section('SET RESULTS');
@@ -673,6 +887,19 @@ program
         }
       }
 
+      // Presentation order
+      if (options.sequence !== false) {
+        const sequencePhotos = photoPaths.map(photoPath => ({
+          filename: basename(photoPath),
+          path: photoPath,
+          score: individualResults.find(r => r.filename === basename(photoPath))?.score || 0
+        }));
+        const sequenceSpinner = ora('Sequencing the set...').start();
+        aggregated.sequence = await sequenceSet(sequencePhotos, analysisPrompt, { timeout, preprocess });
+        sequenceSpinner.succeed(`Recommended order: ${aggregated.sequence.order.join(' → ')}`);
+        logger.info(`  ${aggregated.sequence.rationale}`);
+      }
+
       // Export reports (FR-3.12: timestamped output directory)
       const outputDir = resolveOutputDir(projectDir, options.output);
       exportSetReports(outputDir, [aggregated], null, setConfig, {
@@ -680,6 +907,7 @@ program
         theme: analysisPrompt.theme
       });
 
+      exitOnCassetteMisses();
       logger.success(`Set analysis complete! Results saved to: ${outputDir}`);
     } catch (error) {
       logger.error(error.message);
@@ -701,9 +929,10 @@ program
  * @param {Object} analysisPrompt - Analysis prompt
  * @param {string} projectDir - Project directory path
  * @param {number} setSize - Photos per set
+ * @param {Object} [preprocess] - Pre-processing settings (resolvePreprocessingConfig)
  * @returns {Promise<Object[]>} Evaluated sets with composite scores
  */
-async function evaluateCandidateSets(candidates, maxCandidates, topN, options, setConfig, analysisPrompt, projectDir, setSize) {
+async function evaluateCandidateSets(candidates, maxCandidates, topN, options, setConfig, analysisPrompt, projectDir, setSize, preprocess = null) {
   const evaluatedSets = [];
 
   if (!options.skipVision) {
@@ -722,7 +951,7 @@ async function evaluateCandidateSets(candidates, maxCandidates, topN, options, s
 
       const setResult = await analyzeSetWithTimeout(
         photoPaths, analysisPrompt, setConfig,
-        { timeout },
+        { timeout, preprocess },
         candidate.photos
       );
 
@@ -735,6 +964,9 @@ async function evaluateCandidateSets(candidates, maxCandidates, topN, options, s
         evalSpinner.fail(`Set ${i + 1}: ${setResult.timedOut ? 'timeout' : setResult.error}`);
       }
     }
+
+    // Feed pairwise coherence estimates for the next search
+    recordSetCoherence(projectDir, evaluatedSets);
   } else {
     // Use pre-scores without vision evaluation
     const setsForPreScore = candidates.slice(0, topN);
@@ -757,6 +989,30 @@ async function evaluateCandidateSets(candidates, maxCandidates, topN, options, s
   return evaluatedSets;
 }
 
+/**
+ * Add a recommended presentation order to the top ranked sets.
+ * @param {Object[]} ranking - Ranked sets (from rankSets), updated in place
+ * @param {number} count - Number of top sets to sequence
+ * @param {Object} analysisPrompt - Analysis prompt
+ * @param {string} projectDir - Project directory path
+ * @param {Object} sequenceOptions - sequenceSet() options (vision, timeout, preprocess)
+ * @returns {Promise<void>}
+ */
+async function sequenceTopSets(ranking, count, analysisPrompt, projectDir, sequenceOptions) {
+  const sets = ranking.slice(0, count);
+  for (let i = 0; i < sets.length; i++) {
+    const set = sets[i];
+    const photos = set.photos.map(p => ({
+      filename: p.filename,
+      path: p.path || join(projectDir, 'photos', p.filename),
+      score: p.score
+    }));
+    const spinner = ora(`[${i + 1}/${sets.length}] Sequencing set #${set.rank}...`).start();
+    set.sequence = await sequenceSet(photos, analysisPrompt, sequenceOptions);
+    spinner.succeed(`Set #${set.rank}: ${set.sequence.order.join(' → ')}`);
+  }
+}
+
 /**
  * Suggest optimal photo sets from analyzed photos (FR-3.11)
  */
@@ -768,10 +1024,25 @@ program
   .option('--skip-vision', 'Skip vision-based set evaluation (use pre-scoring only)')
   .option('--max-candidates <n>', 'Max sets to evaluate with vision model', '10')
   .option('--timeout <seconds>', 'Timeout per set evaluation in seconds (30-300)', '120')
+  .option('--strategy <name>', `Set search strategy: ${SEARCH_STRATEGIES.join(', ')}`, 'auto')
+  .option('--budget <n>', 'Approximate number of sets the search may score', String(DEFAULT_SEARCH_BUDGET))
+  .option('--no-sequence', 'Skip the presentation order (sequencing) stage')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
   .action(async (projectDir, options) => {
     try {
       logger.section('SET SUGGESTION (Polaroid Mode)');
 
+      if (!SEARCH_STRATEGIES.includes(options.strategy)) {
+        logger.error(`Invalid --strategy "${options.strategy}". Use one of: ${SEARCH_STRATEGIES.join(', ')}`);
+        process.exit(1);
+      }
+      const budget = parseInt(options.budget, 10);
+      if (isNaN(budget) || budget < 100) {
+        logger.error('Invalid --budget value. Must be at least 100.');
+        process.exit(1);
+      }
+
       const configFile = join(projectDir, 'open-call.json');
       const promptFile = join(projectDir, 'analysis-prompt.json');
 
@@ -801,8 +1072,10 @@ program
       }
 
       const config = configResult.data;
+      configureProjectClient(config, projectDir, options);
       const setConfig = config.setMode || { enabled: true, setSize: 4 };
       const setSize = setConfig.setSize || 4;
+      const preprocess = resolvePreprocessingConfig(config, projectDir);
 
       if (!setConfig.setCriteria) {
         const { getDefaultSetCriteria } = await import('../analysis/set-prompt-builder.js');
@@ -833,7 +1106,8 @@ program
             filename: basename(r.photo),
             path: r.photo,
             score,
-            scores
+            scores,
+            ...(r.scores?.photo_metadata && { photo_metadata: r.scores.photo_metadata })
           };
         })
         .sort((a, b) => b.score - a.score);
@@ -845,19 +1119,36 @@ program
 
       const topN = parseInt(options.top, 10);
       const maxCandidates = parseInt(options.maxCandidates, 10);
-      const preFilterTopN = Math.min(rankedPhotos.length, 12);
       const photosDir = join(projectDir, 'photos');
       const photoGroups = config.photoGroups;
+      const pairCoherence = loadPairCoherence(projectDir);
+      const constraints = resolveSetConstraints(setConfig);
+      const sequenceOptions = {
+        vision: !options.skipVision,
+        timeout: parseInt(options.timeout, 10) * 1000,
+        preprocess
+      };
 
       logger.info(`Found ${rankedPhotos.length} analyzed photos`);
       logger.info(`Set size: ${setSize} photos`);
+      logger.info(`Search: ${options.strategy} (budget ${budget} sets${pairCoherence.size > 0 ? `, ${pairCoherence.size} cached pair estimates` : ''})`);
+      if (constraints) {
+        logger.info(`Constraints: ${describeSetConstraints(constraints)}`);
+        if (hasGroupConstraints(constraints) && photoGroups?.length > 0) {
+          logger.info('Group constraints set: searching across all photo groups');
+        }
+      }
 
       // Phase 1: Pre-filter and score combinations (group-aware)
       logger.section('CANDIDATE SELECTION');
 
       const groupResult = selectCandidateSetsByGroup(rankedPhotos, setSize, photoGroups, photosDir, {
         maxSetsToEvaluate: maxCandidates,
-        preFilterTopN
+        strategy: options.strategy,
+        budget,
+        duplicateClusters: batchResults.duplicateClusters,
+        pairCoherence,
+        constraints
       });
 
       if (groupResult.grouped) {
@@ -882,7 +1173,7 @@ program
 
           // Vision evaluation per group
           const evaluatedSets = await evaluateCandidateSets(
-            group.candidates, maxCandidates, topN, options, setConfig, analysisPrompt, projectDir, setSize
+            group.candidates, maxCandidates, topN, options, setConfig, analysisPrompt, projectDir, setSize, preprocess
           );
 
           if (evaluatedSets.length === 0) {
@@ -891,14 +1182,20 @@ program
           }
 
           const ranked = rankSets(evaluatedSets);
+          if (options.sequence !== false) {
+            await sequenceTopSets(ranked.ranking, topN, analysisPrompt, projectDir, sequenceOptions);
+          }
 
           logger.section(`TOP SETS: ${group.name}`);
           ranked.ranking.slice(0, topN).forEach(set => {
-            const photos = set.photos.map(p => p.filename).join(', ');
+            const photos = set.sequence ? set.sequence.order.join(' → ') : set.photos.map(p => p.filename).join(', ');
             logger.info(`#${set.rank} [${set.compositeScore.toFixed(2)}/10] ${photos}`);
             if (set.recommendation) {
               logger.info(`   Recommendation: ${set.recommendation}`);
             }
+            if (set.sequence) {
+              logger.info(`   Order: ${set.sequence.rationale}`);
+            }
           });
 
           allGroupRankings.push({
@@ -930,6 +1227,7 @@ program
           theme: analysisPrompt.theme
         });
 
+        exitOnCassetteMisses();
         logger.success(`Set suggestions saved to: ${outputDir}`);
       } else {
         // --- UNGROUPED FLOW (original behavior) ---
@@ -939,7 +1237,7 @@ program
         logger.info(`Selected ${groupResult.candidates.length} candidate sets`);
 
         const evaluatedSets = await evaluateCandidateSets(
-          groupResult.candidates, maxCandidates, topN, options, setConfig, analysisPrompt, projectDir, setSize
+          groupResult.candidates, maxCandidates, topN, options, setConfig, analysisPrompt, projectDir, setSize, preprocess
         );
 
         if (evaluatedSets.length === 0) {
@@ -947,16 +1245,23 @@ program
           process.exit(1);
         }
 
-        // Rank and display
+        // Rank, sequence and display
         const ranked = rankSets(evaluatedSets);
+        if (options.sequence !== false) {
+          logger.section('SEQUENCING');
+          await sequenceTopSets(ranked.ranking, topN, analysisPrompt, projectDir, sequenceOptions);
+        }
 
         logger.section('TOP SETS');
         ranked.ranking.slice(0, topN).forEach(set => {
-          const photos = set.photos.map(p => p.filename).join(', ');
+          const photos = set.sequence ? set.sequence.order.join(' → ') : set.photos.map(p => p.filename).join(', ');
           logger.info(`#${set.rank} [${set.compositeScore.toFixed(2)}/10] ${photos}`);
           if (set.recommendation) {
             logger.info(`   Recommendation: ${set.recommendation}`);
           }
+          if (set.sequence) {
+            logger.info(`   Order: ${set.sequence.rationale}`);
+          }
         });
 
         if (ranked.statistics.total > 1) {
@@ -973,6 +1278,7 @@ program
           theme: analysisPrompt.theme
         });
 
+        exitOnCassetteMisses();
         logger.success(`Set suggestions saved to: ${outputDir}`);
       }
     } catch (error) {
@@ -1195,6 +1501,8 @@ program
   .description('Generate submission titles and descriptions for analyzed photos')
   .option('--photo <filename>', 'Generate for a single photo only')
   .option('--text-model <model>', 'Text generation model (default: vision model)')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
   .action(async (projectDir, options) => {
     try {
       logger.section('TITLE/DESCRIPTION GENERATOR');
@@ -1212,6 +1520,7 @@ program
           logger.error('Configuration validation failed');
           process.exit(1);
         }
+        configureProjectClient(configResult.data, projectDir, options);
 
         // Find the photo in batch results
         let resultsPath = join(projectDir, 'results', 'latest', 'batch-results.json');
@@ -1250,6 +1559,10 @@ program
         logger.info(`Description: ${result.description}`);
       } else {
         // Batch mode
+        const configPath = join(projectDir, 'open-call.json');
+        if (fileExists(configPath)) {
+          configureProjectClient(readJson(configPath), projectDir, options);
+        }
         const spinner = ora('Generating titles and descriptions...').start();
         const results = await generateBatchTexts(projectDir, {
           textModel: options.textModel
@@ -1284,9 +1597,10 @@ program
 
 /**
  * Shared validation for strategic commands.
+ * Also configures the API client (provider, cassette) for the project.
  * @returns {{ data: Object }} configResult or exits with code 1
  */
-async function validateStrategicProject(projectDir) {
+async function validateStrategicProject(projectDir, options = {}) {
   const { existsSync } = await import('fs');
   if (!existsSync(projectDir)) {
     logger.error(`Project directory not found: ${projectDir}`);
@@ -1308,6 +1622,7 @@ async function validateStrategicProject(projectDir) {
     process.exit(1);
   }
 
+  configureProjectClient(configResult.data, projectDir, options);
   return configResult;
 }
 
@@ -1359,11 +1674,13 @@ program
   .option('--text-model <model>', 'Text model for reasoning (default: phi3:mini)')
   .option('--no-research', 'Skip cached research context injection')
   .option('--no-memory', 'Skip cross-session memory retrieval and save')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
   .action(async (projectDir, options) => {
     try {
       logger.section('STRATEGIC CURATORIAL ANALYSIS (Sebastiano)');
 
-      const configResult = await validateStrategicProject(projectDir);
+      const configResult = await validateStrategicProject(projectDir, options);
 
       // FR-SI-4: Check Ollama connectivity before analysis
       const ollamaStatus = await checkOllamaStatus();
@@ -1497,11 +1814,13 @@ program
   .option('--text-model <model>', 'Text model for reasoning (default: phi3:mini)')
   .option('--fresh-research', 'Force re-fetch research even if cache is fresh')
   .option('--no-memory', 'Skip cross-session memory retrieval and save')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
   .action(async (projectDir, options) => {
     try {
       logger.section('STRATEGIC ADVISORY (Sebastiano)');
 
-      const configResult = await validateStrategicProject(projectDir);
+      const configResult = await validateStrategicProject(projectDir, options);
 
       // Phase 1: Research
       const researchSpinner = ora('Phase 1: Researching open call context...').start();
@@ -1836,10 +2155,1068 @@ program
     }
   });
 
+// ============================================================
+// Pairwise Tournament Ranking (Bradley-Terry)
+// ============================================================
+
+program
+  .command('rank-pairwise <project-dir>')
+  .description('Refine the top of the latest ranking with head-to-head photo comparisons (Bradley-Terry)')
+  .option('-k, --top <n>', 'Number of top photos from the latest results to compare (2-30)', '10')
+  .option('--max-comparisons <n>', 'Maximum model comparisons (default: about K*log2(K))')
+  .option('--timeout <seconds>', 'Timeout per comparison in seconds (30-300)', '120')
+  .option('--model <name>', 'Vision model to use (FR-3.9)')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
+  .action(async (projectDir, options) => {
+    try {
+      logger.section('PAIRWISE RANKING');
+
+      const top = parseInt(options.top, 10);
+      if (isNaN(top) || top < 2 || top > 30) {
+        logger.error('Invalid --top value. Must be between 2 and 30.');
+        process.exit(1);
+      }
+
+      const timeoutSeconds = parseInt(options.timeout, 10);
+      if (isNaN(timeoutSeconds) || timeoutSeconds < 30 || timeoutSeconds > 300) {
+        logger.error('Invalid --timeout value. Must be between 30 and 300 seconds.');
+        process.exit(1);
+      }
+
+      const configFile = join(projectDir, 'open-call.json');
+      if (!fileExists(configFile)) {
+        logger.error(`Configuration file not found: ${configFile}`);
+        process.exit(1);
+      }
+
+      const configResult = await loadOpenCallConfig(configFile);
+      if (!configResult.success) {
+        logger.error('Configuration validation failed:');
+        console.log(formatValidationErrors(configResult.validation.errors));
+        process.exit(1);
+      }
+      const config = configResult.data;
+      configureProjectClient(config, projectDir, options);
+
+      const latestDir = join(projectDir, 'results', 'latest');
+      const analysisFile = join(latestDir, 'photo-analysis.json');
+      if (!fileExists(analysisFile)) {
+        logger.error('No analysis results found. Run "analyze" first.');
+        process.exit(1);
+      }
+
+      const promptFile = join(projectDir, 'analysis-prompt.json');
+      const analysisPrompt = fileExists(promptFile) ? readJson(promptFile) : await generateAnalysisPrompt(config);
+
+      const candidates = loadTopCandidates(projectDir, analysisFile, top);
+
+      if (candidates.length < 2) {
+        logger.error('Need at least 2 photos from the latest results to rank pairwise.');
+        process.exit(1);
+      }
+
+      let maxComparisons = defaultComparisonBudget(candidates.length);
+      if (options.maxComparisons !== undefined) {
+        maxComparisons = parseInt(options.maxComparisons, 10);
+        if (isNaN(maxComparisons) || maxComparisons < 1) {
+          logger.error('Invalid --max-comparisons value. Must be a positive number.');
+          process.exit(1);
+        }
+      }
+
+      const resolvedModel = resolveModel({
+        cliModel: options.model || null,
+        configModel: config.model || null,
+        envModel: process.env.OLLAMA_MODEL || null
+      });
+      logger.info(`Model: ${resolvedModel}`);
+      logger.info(`Comparing top ${candidates.length} photos (budget: ${maxComparisons} comparisons)`);
+
+      const spinner = ora('Comparing photos...').start();
+      const result = await rankPairwise(candidates, analysisPrompt, {
+        maxComparisons,
+        timeout: timeoutSeconds * 1000,
+        model: resolvedModel,
+        preprocess: resolvePreprocessingConfig(config, projectDir),
+        onComparison: (record, done, budget) => {
+          spinner.text = `Comparing photos... ${done}/${budget}`;
+        }
+      });
+      spinner.stop();
+      exitOnCassetteMisses();
+
+      if (result.summary.decided === 0) {
+        logger.error('No comparison produced a winner. Check the model output and try again.');
+        process.exit(1);
+      }
+
+      const output = {
+        generated: new Date().toISOString(),
+        model: resolvedModel,
+        source: 'photo-analysis.json',
+        summary: result.summary,
+        ranking: result.ranking,
+        comparisons: result.comparisons
+      };
+      const outputPath = join(latestDir, 'pairwise-ranking.json');
+      writeJson(outputPath, output);
+
+      console.log('\n  Rank  Prev  Win%   Score  Photo');
+      for (const entry of result.ranking) {
+        const winPct = `${Math.round(entry.win_probability * 100)}%`.padStart(4);
+        const score = entry.overall_score !== null ? entry.overall_score.toFixed(1) : '-';
+        console.log(`  ${String(entry.rank).padStart(4)}  ${String(entry.absolute_rank ?? '-').padStart(4)}  ${winPct}  ${score.padStart(6)}  ${entry.filename}`);
+      }
+      console.log('');
+
+      logger.info(`${result.summary.decided}/${result.summary.comparisons} comparisons decided`);
+      logger.success(`Pairwise ranking saved: ${outputPath}`);
+    } catch (error) {
+      logger.error(`Pairwise ranking failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+// ============================================================
+// Simulated Jury Panel
+// ============================================================
+
+program
+  .command('simulate-jury <project-dir>')
+  .description('Score photos with one persona per jury member and measure consensus vs divisiveness')
+  .option('--photos <photos...>', 'Photo filenames to judge (default: top photos of the latest results)')
+  .option('-k, --top <n>', 'Number of top photos from the latest results (1-30)', '10')
+  .option('--max-jurors <n>', `Maximum jurors to simulate (1-15, default ${DEFAULT_MAX_JURORS})`)
+  .option('--timeout <seconds>', 'Timeout per juror in seconds (30-300)', '120')
+  .option('--model <name>', 'Vision model to use (FR-3.9)')
+  .option('--cassette <mode>', 'Record or replay model calls: record, replay (or VISION_CASSETTE env)')
+  .option('--cassette-file <path>', 'Cassette file (default: <project-dir>/cassette.json)')
+  .action(async (projectDir, options) => {
+    try {
+      logger.section('JURY SIMULATION');
+
+      const top = parseInt(options.top, 10);
+      if (isNaN(top) || top < 1 || top > 30) {
+        logger.error('Invalid --top value. Must be between 1 and 30.');
+        process.exit(1);
+      }
+
+      const maxJurors = options.maxJurors !== undefined ? parseInt(options.maxJurors, 10) : DEFAULT_MAX_JURORS;
+      if (isNaN(maxJurors) || maxJurors < 1 || maxJurors > 15) {
+        logger.error('Invalid --max-jurors value. Must be between 1 and 15.');
+        process.exit(1);
+      }
+
+      const timeoutSeconds = parseInt(options.timeout, 10);
+      if (isNaN(timeoutSeconds) || timeoutSeconds < 30 || timeoutSeconds > 300) {
+        logger.error('Invalid --timeout value. Must be between 30 and 300 seconds.');
+        process.exit(1);
+      }
+
+      const configFile = join(projectDir, 'open-call.json');
+      if (!fileExists(configFile)) {
+        logger.error(`Configuration file not found: ${configFile}`);
+        process.exit(1);
+      }
+
+      const configResult = await loadOpenCallConfig(configFile);
+      if (!configResult.success) {
+        logger.error('Configuration validation failed:');
+        console.log(formatValidationErrors(configResult.validation.errors));
+        process.exit(1);
+      }
+      const config = configResult.data;
+      configureProjectClient(config, projectDir, options);
+
+      // Persona sources: jury entry + research brief juryProfile + strategic memory
+      const brief = readResearchBrief(projectDir);
+      const personas = buildJurorPersonas(config, {
+        juryProfile: brief.success ? brief.data.juryProfile || '' : '',
+        memoryLookup: (entry) => readJuryProfile(entry),
+        maxJurors
+      });
+      if (personas.length === 0) {
+        logger.error('open-call.json has no jury members to simulate.');
+        process.exit(1);
+      }
+      logger.info(`Jurors: ${personas.map(p => p.name).join(', ')}`);
+      if (!brief.success) {
+        logger.debug('No research brief found; personas use jury entries and memory only');
+      }
+
+      const latestDir = join(projectDir, 'results', 'latest');
+      let photoPaths;
+      if (options.photos && options.photos.length > 0) {
+        photoPaths = options.photos.map(p => join(projectDir, 'photos', basename(p)));
+        const missing = photoPaths.filter(p => !fileExists(p));
+        if (missing.length > 0) {
+          logger.error(`Photos not found: ${missing.map(p => basename(p)).join(', ')}`);
+          process.exit(1);
+        }
+      } else {
+        const analysisFile = join(latestDir, 'photo-analysis.json');
+        if (!fileExists(analysisFile)) {
+          logger.error('No analysis results found. Run "analyze" first or pass --photos.');
+          process.exit(1);
+        }
+        photoPaths = loadTopCandidates(projectDir, analysisFile, top).map(c => c.photo);
+      }
+
+      const promptFile = join(projectDir, 'analysis-prompt.json');
+      const analysisPrompt = fileExists(promptFile) ? readJson(promptFile) : await generateAnalysisPrompt(config);
+      const resolvedModel = resolveModel({
+        cliModel: options.model || null,
+        configModel: config.model || null,
+        envModel: process.env.OLLAMA_MODEL || null
+      });
+
+      const preprocess = resolvePreprocessingConfig(config, projectDir);
+      const results = [];
+      for (const photoPath of photoPaths) {
+        const spinner = ora(`Jury judging ${basename(photoPath)}...`).start();
+        const result = await simulateJury(photoPath, analysisPrompt, personas, {
+          model: resolvedModel,
+          timeout: timeoutSeconds * 1000,
+          preprocess
+        });
+        if (result.success) {
+          const { panel } = result.data;
+          spinner.succeed(`${basename(photoPath)}: ${panel.mean_score}/10, ${panel.votes.Shortlist}/${panel.jurors} shortlist (${panel.profile})`);
+          results.push(result.data);
+        } else {
+          spinner.fail(`${basename(photoPath)}: ${result.error}`);
+        }
+      }
+      exitOnCassetteMisses();
+
+      if (results.length === 0) {
+        logger.error('The simulated jury produced no verdicts.');
+        process.exit(1);
+      }
+
+      results.sort((a, b) => (b.panel.votes.Shortlist - a.panel.votes.Shortlist) || (b.panel.mean_score - a.panel.mean_score));
+
+      const outputDir = fileExists(latestDir) ? latestDir : resolveOutputDir(projectDir, 'results');
+      const outputPath = join(outputDir, 'jury-simulation.json');
+      writeJson(outputPath, {
+        generated: new Date().toISOString(),
+        model: resolvedModel,
+        jurors: personas.map(({ name, role, brief: juryBrief, memory }) => ({
+          name,
+          role,
+          sources: { researchBrief: Boolean(juryBrief), memory: Boolean(memory) }
+        })),
+        photos: results
+      });
+
+      console.log('\n  Shortlist  Mean  Consensus  Divisive  Profile     Photo');
+      for (const entry of results) {
+        const { panel } = entry;
+        const shortlist = `${panel.votes.Shortlist}/${panel.jurors}`;
+        console.log(`  ${shortlist.padStart(9)}  ${panel.mean_score.toFixed(1).padStart(4)}  ${String(panel.consensus ?? '-').padStart(9)}  ${String(panel.divisiveness).padStart(8)}  ${panel.profile.padEnd(10)}  ${entry.filename}`);
+      }
+      console.log('');
+
+      logger.success(`Jury simulation saved: ${outputPath}`);
+    } catch (error) {
+      logger.error(`Jury simulation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Automatic series discovery: propose photoGroups from capture time, GPS,
+ * palette and perceptual similarity, and write them to open-call.json
+ */
+program
+  .command('auto-group <project-dir>')
+  .description('Propose photo series (photoGroups) by clustering capture time, GPS, colour palette and visual similarity')
+  .option('--time-gap <minutes>', `Capture time gap that still counts as one series (default ${DEFAULT_AUTO_GROUP.timeGapMinutes})`)
+  .option('--radius <km>', `GPS distance that still counts as one place (default ${DEFAULT_AUTO_GROUP.radiusKm})`)
+  .option('--min-size <n>', `Smallest series to propose (default ${DEFAULT_AUTO_GROUP.minSize})`)
+  .option('--dry-run', 'Print the proposal without writing open-call.json')
+  .option('--replace', 'Replace photoGroups already defined in open-call.json')
+  .action(async (projectDir, options) => {
+    try {
+      logger.section('AUTO-GROUP');
+
+      const parsePositive = (value, name) => {
+        if (value === undefined) return undefined;
+        const parsed = Number(value);
+        if (!Number.isFinite(parsed) || parsed <= 0) {
+          logger.error(`Invalid ${name} value. Must be a positive number.`);
+          process.exit(1);
+        }
+        return parsed;
+      };
+      const minSize = options.minSize !== undefined ? parseInt(options.minSize, 10) : undefined;
+      if (minSize !== undefined && (isNaN(minSize) || minSize < 2)) {
+        logger.error('Invalid --min-size value. Must be at least 2.');
+        process.exit(1);
+      }
+      const settings = resolveAutoGroupSettings({
+        timeGapMinutes: parsePositive(options.timeGap, '--time-gap'),
+        radiusKm: parsePositive(options.radius, '--radius'),
+        minSize
+      });
+
+      const configFile = join(projectDir, 'open-call.json');
+      if (!fileExists(configFile)) {
+        logger.error(`Configuration file not found: ${configFile}`);
+        process.exit(1);
+      }
+      const rawConfig = readJson(configFile);
+      if (rawConfig.photoGroups?.length && !options.replace && !options.dryRun) {
+        logger.error(`open-call.json already defines ${rawConfig.photoGroups.length} photoGroups. Use --replace to overwrite them or --dry-run to preview.`);
+        process.exit(1);
+      }
+
+      const photos = getPhotoFiles(join(projectDir, 'photos'));
+      if (photos.length < settings.minSize) {
+        logger.error(`Need at least ${settings.minSize} photos in ${join(projectDir, 'photos')}, found ${photos.length}`);
+        process.exit(1);
+      }
+
+      const spinner = ora(`Reading capture metadata and visual signals for ${photos.length} photos...`).start();
+      const { groups, ungrouped } = await discoverPhotoGroups(photos, settings);
+      spinner.succeed(`Proposed ${groups.length} series from ${photos.length} photos`);
+
+      if (groups.length === 0) {
+        logger.warn('No series found. Try a larger --time-gap or --radius.');
+        return;
+      }
+
+      console.log('');
+      for (const group of groups) {
+        console.log(`  ${group.name} — ${group.files.length} photos`);
+        console.log(`    ${group.files.join(', ')}`);
+      }
+      if (ungrouped.length > 0) {
+        console.log(`\n  Not in any series (${ungrouped.length}): ${ungrouped.join(', ')}`);
+      }
+      console.log('');
+
+      if (options.dryRun) {
+        logger.info('Dry run: open-call.json not changed');
+        return;
+      }
+
+      const updated = { ...rawConfig, photoGroups: groups.map(({ name, files }) => ({ name, files })) };
+      // Only the proposal is checked here; other config problems are reported by analyze
+      const groupErrors = validateOpenCall(updated).errors.filter(e => e.field.startsWith('/photoGroups'));
+      if (groupErrors.length > 0) {
+        logger.error('Proposed photoGroups failed validation:');
+        console.log(formatValidationErrors(groupErrors));
+        process.exit(1);
+      }
+      writeJson(configFile, updated);
+      logger.success(`Wrote ${groups.length} photoGroups to ${configFile}. Rename them as you like; suggest-sets will use them.`);
+    } catch (error) {
+      logger.error(`Auto-group failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Portfolio allocation: share photos across concurrent open calls without
+ * entering a photo claimed by an exclusive call anywhere else
+ */
+program
+  .command('allocate [projects...]')
+  .description('Allocate photos across several open calls, respecting maxPhotos and exclusive calls')
+  .option('--data-dir <dir>', 'Directory holding the projects', 'data/open-calls')
+  .option('--output <file>', 'Write the allocation as JSON')
+  .action(async (projects, options) => {
+    try {
+      logger.section('PORTFOLIO ALLOCATION');
+
+      // Projects are names under --data-dir or paths; none = every project with results
+      let projectDirs;
+      if (projects.length > 0) {
+        projectDirs = projects.map(project => (fileExists(project) ? project : join(options.dataDir, project)));
+      } else {
+        if (!fileExists(options.dataDir)) {
+          logger.error(`Data directory not found: ${options.dataDir}`);
+          process.exit(1);
+        }
+        projectDirs = listProjectDirs(options.dataDir);
+      }
+
+      const calls = [];
+      for (const dir of projectDirs) {
+        const loaded = loadAllocationCall(dir);
+        if (!loaded.success) {
+          if (projects.length > 0) {
+            logger.error(loaded.error);
+            process.exit(1);
+          }
+          logger.info(`Skipping ${loaded.error}`);
+          continue;
+        }
+        loaded.data.warnings.forEach(warning => logger.warn(warning));
+        calls.push(loaded.data);
+      }
+
+      if (calls.length === 0) {
+        logger.error('No projects with analysis results to allocate');
+        process.exit(1);
+      }
+      if (calls.length === 1) {
+        logger.warn('Only one call found; the allocation is its unconstrained top picks');
+      }
+
+      const allocation = allocatePortfolio(calls);
+
+      for (const call of allocation.calls) {
+        const label = call.exclusive ? 'exclusive' : 'shared';
+        logger.section(`${call.title} (${label}, max ${call.maxPhotos})`);
+        call.selection.forEach((photo, i) => {
+          console.log(`  ${String(i + 1).padStart(2)}. ${photo.filename} (${photo.score.toFixed(2)})`);
+        });
+        logger.info(`Total ${call.total.toFixed(2)} — gives up ${call.givenUp.toFixed(2)} vs. unconstrained top ${call.maxPhotos} (${call.unconstrainedTotal.toFixed(2)})`);
+        for (const photo of call.displaced) {
+          const reason = photo.claimedBy ? `exclusive to ${photo.claimedBy}` : 'kept for non-exclusive calls';
+          console.log(`     - ${photo.filename} (${photo.score.toFixed(2)}): ${reason}`);
+        }
+        if (call.shortfall) {
+          logger.warn(call.shortfall);
+        }
+      }
+
+      logger.section('SUMMARY');
+      logger.info(`Total expected score: ${allocation.totalScore.toFixed(2)} (unconstrained ${allocation.unconstrainedTotal.toFixed(2)}, given up ${allocation.givenUp.toFixed(2)})`);
+      if (allocation.sharedPhotos.length > 0) {
+        logger.info(`Entered in several non-exclusive calls: ${allocation.sharedPhotos.map(p => p.filename).join(', ')}`);
+      }
+
+      if (options.output) {
+        writeJson(options.output, { generatedAt: new Date().toISOString(), ...allocation });
+        logger.success(`Allocation saved: ${options.output}`);
+      }
+    } catch (error) {
+      logger.error(`Allocation failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('match <photos-path>')
+  .description('Score a folder of photos (or one photo) against every active open call and pick the best call per photo')
+  .option('--data-dir <dir>', 'Directory holding the projects', 'data/open-calls')
+  .option('--projects <names...>', 'Only match against these projects (names under --data-dir or paths)')
+  .option('--include-closed', 'Also match against calls whose deadline has passed')
+  .option('--model <name>', 'Vision model to use (FR-3.9)')
+  .option('--analysis-mode <mode>', 'Analysis mode for photos not in the cache: single, multi, structured', 'single')
+  .option('--photo-timeout <seconds>', 'Timeout per photo analysis in seconds (30-300)', '60')
+  .option('--no-cache', 'Skip the project caches and analyse every photo again (FR-3.7)')
+  .option('--no-panel', 'Ignore modelPanel in open-call.json and score with a single model')
+  .option('--output <file>', 'Write the photo × call matrix as JSON')
+  .action(async (photosPath, options) => {
+    try {
+      logger.section('OPEN CALL MATCHING');
+
+      if (!fileExists(photosPath)) {
+        logger.error(`Photos not found: ${photosPath}`);
+        process.exit(1);
+      }
+      const photos = listMatchPhotos(photosPath);
+      if (photos.length === 0) {
+        logger.error(`No supported photos in ${photosPath}`);
+        process.exit(1);
+      }
+
+      const timeoutSeconds = parseInt(options.photoTimeout, 10);
+      if (isNaN(timeoutSeconds) || timeoutSeconds < 30 || timeoutSeconds > 300) {
+        logger.error('Invalid --photo-timeout value. Must be between 30 and 300 seconds.');
+        process.exit(1);
+      }
+      if (!['single', 'multi', 'structured'].includes(options.analysisMode)) {
+        logger.error('Invalid --analysis-mode value. Must be single, multi or structured.');
+        process.exit(1);
+      }
+
+      // Projects are names under --data-dir or paths; none = every project in --data-dir
+      const explicit = Boolean(options.projects && options.projects.length > 0);
+      let projectDirs;
+      if (explicit) {
+        projectDirs = options.projects.map(project => (fileExists(project) ? project : join(options.dataDir, project)));
+      } else {
+        if (!fileExists(options.dataDir)) {
+          logger.error(`Data directory not found: ${options.dataDir}`);
+          process.exit(1);
+        }
+        projectDirs = listProjectDirs(options.dataDir);
+      }
+
+      const projects = [];
+      for (const dir of projectDirs) {
+        const name = basename(dir);
+        const configResult = await loadOpenCallConfig(join(dir, 'open-call.json'));
+        if (!configResult.success) {
+          if (explicit) {
+            logger.error(`${name}: configuration validation failed`);
+            console.log(formatValidationErrors(configResult.validation.errors));
+            process.exit(1);
+          }
+          logger.info(`Skipping ${name}: invalid open-call.json`);
+          continue;
+        }
+        if (!options.includeClosed && !isCallOpen(configResult.data)) {
+          logger.info(`Skipping ${name}: deadline ${configResult.data.submissionRules.deadline} has passed`);
+          continue;
+        }
+        projects.push({ name, dir, config: configResult.data });
+      }
+
+      if (projects.length === 0) {
+        logger.error('No active open calls to match against');
+        process.exit(1);
+      }
+      logger.info(`Matching ${photos.length} photo(s) against ${projects.length} call(s): ${projects.map(p => p.name).join(', ')}`);
+
+      let spinner = null;
+      const matrix = await matchPhotos(photos, projects, {
+        prepareProject: async (project) => {
+          spinner?.stop();
+          configureProjectClient(project.config, project.dir, options);
+          const promptFile = join(project.dir, 'analysis-prompt.json');
+          let analysisPrompt;
+          if (fileExists(promptFile)) {
+            analysisPrompt = readJson(promptFile);
+          } else {
+            logger.info(`Generating analysis prompt for: ${project.config.title}`);
+            analysisPrompt = await generateAnalysisPrompt(project.config);
+            writeJson(promptFile, analysisPrompt);
+          }
+          spinner = ora(`Scoring against ${project.name}...`).start();
+          return {
+            analysisPrompt,
+            model: resolveModel({
+              cliModel: options.model || null,
+              configModel: project.config.model || null,
+              envModel: process.env.OLLAMA_MODEL || null
+            }),
+            panel: options.panel === false ? null : resolveModelPanel(project.config),
+            preprocess: resolvePreprocessingConfig(project.config, project.dir),
+            timeout: timeoutSeconds * 1000,
+            analysisMode: options.analysisMode,
+            // Recording bypasses the cache so every call lands in the cassette
+            noCache: options.cache === false || getApiClient().cassette?.mode === 'record'
+          };
+        },
+        onPhoto: (project, photo, result) => {
+          if (spinner) spinner.text = `Scoring against ${project.name}: ${photo.name}${result.cacheHit ? ' (cached)' : ''}`;
+        }
+      });
+      spinner?.succeed(`Scored ${photos.length} photo(s) against ${projects.length} call(s)`);
+
+      logger.section('MATCH MATRIX');
+      const nameWidth = Math.max(5, ...matrix.photos.map(p => p.filename.length));
+      const columns = matrix.projects.map(p => Math.max(5, p.name.length));
+      console.log(`  ${'Photo'.padEnd(nameWidth)}  ${matrix.projects.map((p, i) => p.name.padStart(columns[i])).join('  ')}  Best`);
+      for (const photo of matrix.photos) {
+        const cells = matrix.projects.map((p, i) => {
+          const score = photo.scores[p.name];
+          return (score === null ? '—' : score.toFixed(2)).padStart(columns[i]);
+        });
+        const best = photo.best
+          ? `${photo.best.project}${photo.margin !== null ? ` (+${photo.margin.toFixed(2)})` : ''}`
+          : 'no score';
+        console.log(`  ${photo.filename.padEnd(nameWidth)}  ${cells.join('  ')}  ${best}`);
+      }
+
+      logger.section('SUMMARY');
+      for (const project of matrix.projects) {
+        const deadline = project.deadline ? `, deadline ${project.deadline}` : '';
+        logger.info(`${project.title}: best fit for ${project.bestFor.length} photo(s)${deadline}`);
+      }
+      logger.info(`Cache: ${matrix.cacheHits} hits, ${matrix.analyzed} analysed`);
+      for (const failure of matrix.failures) {
+        logger.warn(`${failure.filename} could not be scored for ${failure.project}: ${failure.error}`);
+      }
+      exitOnCassetteMisses();
+
+      if (options.output) {
+        writeJson(options.output, { generatedAt: new Date().toISOString(), ...matrix });
+        logger.success(`Match matrix saved: ${options.output}`);
+      }
+    } catch (error) {
+      logger.error(`Matching failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('track <project-dir>')
+  .description('Record submission status, submitted photos, entry fee and outcome of an open call')
+  .option('--status <status>', `Submission status: ${TRACKER_STATUSES.join(', ')}`)
+  .option('--photos <names...>', 'Photos actually submitted (replaces the list)')
+  .option('--fee <amount>', 'Entry fee paid')
+  .option('--currency <code>', 'Fee currency (e.g. EUR)')
+  .option('--submitted-on <date>', 'Submission date YYYY-MM-DD (default: today when first submitted)')
+  .option('--shortlisted <names...>', 'Submitted photos that made the shortlist')
+  .option('--won <names...>', 'Submitted photos that won (tagged as winners for pattern learning)')
+  .option('--placement <place>', 'Placement of the won photos (e.g. "1st", "Honorable Mention")')
+  .option('--result <text>', 'Result notes')
+  .action(async (projectDir, options) => {
+    try {
+      logger.section('OPEN CALL TRACKER');
+
+      const configFile = join(projectDir, 'open-call.json');
+      if (!fileExists(configFile)) {
+        logger.error(`Configuration file not found: ${configFile}`);
+        process.exit(1);
+      }
+      const config = readJson(configFile);
+
+      const changes = {
+        ...(options.status !== undefined && { status: options.status }),
+        ...(options.photos && { photos: options.photos.map(p => basename(p)) }),
+        ...(options.fee !== undefined && { fee: parseFloat(options.fee) }),
+        ...(options.currency !== undefined && { currency: options.currency.toUpperCase() }),
+        ...(options.submittedOn !== undefined && { submittedAt: options.submittedOn }),
+        ...(options.shortlisted && { shortlisted: options.shortlisted.map(p => basename(p)) }),
+        ...(options.won && { won: options.won.map(p => basename(p)) }),
+        ...(options.placement !== undefined && { placement: options.placement }),
+        ...(options.result !== undefined && { result: options.result })
+      };
+
+      let record = loadTracker(projectDir);
+      if (Object.keys(changes).length > 0) {
+        const updated = updateTracker(projectDir, changes, { competition: config.title || '' });
+        if (!updated.success) {
+          logger.error(updated.error);
+          process.exit(1);
+        }
+        record = updated.data;
+        for (const filename of updated.taggedWinners) {
+          logger.success(`Tagged "${filename}" as winner`);
+        }
+        logger.success('Tracker updated');
+      }
+
+      logger.info(`${config.title || basename(projectDir)}: ${record.status}`);
+      if (config.submissionRules?.deadline) logger.info(`Deadline: ${config.submissionRules.deadline}`);
+      if (record.submittedAt) logger.info(`Submitted: ${record.submittedAt}`);
+      if (record.fee) logger.info(`Entry fee: ${record.fee.amount.toFixed(2)} ${record.fee.currency}`.trimEnd());
+      for (const photo of record.photos) {
+        const outcome = photo.outcome ? ` — ${photo.outcome}${photo.placement ? ` (${photo.placement})` : ''}` : '';
+        console.log(`  ${photo.filename}${outcome}`);
+      }
+      if (record.result) logger.info(`Result: ${record.result}`);
+    } catch (error) {
+      logger.error(`Tracking failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * Load every project's config and tracker record under a data directory.
+ */
+function loadTrackedProjects(dataDir) {
+  if (!fileExists(dataDir)) {
+    logger.error(`Data directory not found: ${dataDir}`);
+    process.exit(1);
+  }
+  return listProjectDirs(dataDir).map(dir => ({
+    name: basename(dir),
+    config: readJson(join(dir, 'open-call.json')),
+    tracker: loadTracker(dir)
+  }));
+}
+
+program
+  .command('calendar')
+  .description('List upcoming open-call deadlines across all projects')
+  .option('--data-dir <dir>', 'Directory holding the projects', 'data/open-calls')
+  .option('--all', 'Include calls whose deadline has passed')
+  .action(async (options) => {
+    try {
+      logger.section('DEADLINE CALENDAR');
+
+      const calendar = buildCalendar(loadTrackedProjects(options.dataDir), { includePast: options.all || false });
+      if (calendar.length === 0) {
+        logger.info('No upcoming deadlines');
+        return;
+      }
+
+      const nameWidth = Math.max(...calendar.map(entry => entry.name.length));
+      for (const entry of calendar) {
+        const when = entry.deadline
+          ? `${entry.deadline}  ${entry.daysRemaining < 0 ? 'closed' : `${entry.daysRemaining} days`.padStart(8)}`
+          : 'no deadline';
+        const fee = entry.fee ? `  fee ${entry.fee.amount.toFixed(2)} ${entry.fee.currency}`.trimEnd() : '';
+        console.log(`  ${entry.name.padEnd(nameWidth)}  ${when.padEnd(22)}  ${entry.status}${fee}`);
+      }
+      const urgent = calendar.filter(entry => entry.status === 'planning' && entry.daysRemaining !== null && entry.daysRemaining <= 7 && entry.daysRemaining >= 0);
+      for (const entry of urgent) {
+        logger.warn(`${entry.title}: ${entry.daysRemaining} days left and nothing submitted yet`);
+      }
+    } catch (error) {
+      logger.error(`Calendar failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('history')
+  .description('Show submission history: acceptance rates, wins and fees spent')
+  .option('--data-dir <dir>', 'Directory holding the projects', 'data/open-calls')
+  .action(async (options) => {
+    try {
+      logger.section('SUBMISSION HISTORY');
+
+      const projects = loadTrackedProjects(options.dataDir)
+        .filter(project => project.tracker.status !== 'planning' || project.tracker.fee);
+      if (projects.length === 0) {
+        logger.info('No submissions tracked yet. Record one with "track <project-dir> --photos ..."');
+        return;
+      }
+
+      const byDate = [...projects].sort((a, b) => (b.tracker.submittedAt || '').localeCompare(a.tracker.submittedAt || ''));
+      for (const { name, tracker } of byDate) {
+        const won = tracker.photos.filter(p => p.outcome === 'won').length;
+        const fee = tracker.fee ? `  fee ${tracker.fee.amount.toFixed(2)} ${tracker.fee.currency}`.trimEnd() : '';
+        console.log(`  ${tracker.submittedAt || '----------'}  ${name}: ${tracker.status}, ${tracker.photos.length} photos${won ? `, ${won} won` : ''}${fee}`);
+      }
+
+      const summary = summarizeHistory(projects);
+      const percent = (rate) => (rate === null ? 'n/a' : `${Math.round(rate * 100)}%`);
+      logger.section('SUMMARY');
+      logger.info(`Calls: ${summary.calls} (${TRACKER_STATUSES.map(status => `${summary.byStatus[status]} ${status}`).join(', ')})`);
+      logger.info(`Acceptance rate: ${percent(summary.acceptanceRate)} shortlisted or won, ${percent(summary.winRate)} won (${summary.decided} decided)`);
+      logger.info(`Photos: ${summary.photos.submitted} submitted, ${summary.photos.shortlisted} shortlisted, ${summary.photos.won} won`);
+      const fees = Object.entries(summary.fees).map(([currency, total]) => `${total.toFixed(2)} ${currency}`.trimEnd());
+      logger.info(`Fees spent: ${fees.length > 0 ? fees.join(', ') : 'none recorded'}`);
+    } catch (error) {
+      logger.error(`History failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+/**
+ * The analysis run a submission was based on: the last timestamped run on or
+ * before the submission date, else the latest results.
+ */
+function loadSubmissionRun(projectDir, submittedAt) {
+  const runs = listRuns(projectDir);
+  const before = submittedAt ? runs.filter(name => name.slice(0, 10) <= submittedAt) : [];
+  const candidates = [
+    ...(before.length > 0 ? [before[before.length - 1]] : []),
+    'latest',
+    ...(runs.length > 0 ? [runs[runs.length - 1]] : [])
+  ];
+  for (const run of candidates) {
+    const loaded = loadReportRun(projectDir, { run });
+    if (loaded.success) return loaded.data.report;
+  }
+  const fallback = loadReportRun(projectDir);
+  return fallback.success ? fallback.data.report : null;
+}
+
+program
+  .command('outcome-report')
+  .description('Measure how well AI scores predicted recorded outcomes (calibration, Tier 1 precision, predictive criteria)')
+  .option('--data-dir <dir>', 'Directory holding the projects', 'data/open-calls')
+  .option('--output <file>', 'Write the report as markdown')
+  .action(async (options) => {
+    try {
+      logger.section('OUTCOME ANALYTICS');
+
+      const projects = loadTrackedProjects(options.dataDir).map(project => ({
+        ...project,
+        run: loadSubmissionRun(join(options.dataDir, project.name), project.tracker.submittedAt)
+      }));
+      const analysis = analyzeOutcomes(projects);
+      if (analysis.photos === 0) {
+        logger.info('No decided calls yet. Record outcomes with "track <project-dir> --won ... | --status rejected"');
+        return;
+      }
+
+      const percent = (rate) => (rate === null ? 'n/a' : `${Math.round(rate * 100)}%`);
+      logger.info(`${analysis.calls} decided call(s), ${analysis.photos} submitted photo(s), ${analysis.successes} shortlisted or won`);
+      if (analysis.unanalysed > 0) {
+        logger.warn(`${analysis.unanalysed} submitted photo(s) have no analysis result`);
+      }
+
+      logger.section('CALIBRATION');
+      for (const band of analysis.calibration.filter(b => b.photos > 0)) {
+        console.log(`  ${band.band.padEnd(5)} ${String(band.photos).padStart(4)} photos  ${percent(band.successRate).padStart(4)} succeeded`);
+      }
+
+      const tier = analysis.tierPrecision;
+      logger.section('TIER 1');
+      logger.info(`Precision ${percent(tier.precision)} (${tier.tier1Successes}/${tier.tier1}), recall ${percent(tier.recall)}, base rate ${percent(tier.baseRate)}`);
+
+      logger.section('RANKING AGREEMENT');
+      for (const call of analysis.agreement) {
+        const overlap = call.topOverlap ? `, top-${call.topOverlap.n} overlap ${call.topOverlap.overlap}/${call.topOverlap.n}` : '';
+        console.log(`  ${call.project}: rho ${call.rho === null ? 'n/a' : call.rho.toFixed(2)} over ${call.photos} photos${overlap}`);
+      }
+
+      logger.section('PREDICTIVE CRITERIA');
+      if (analysis.criteria.length === 0) {
+        logger.info('Not enough outcomes to compare criteria yet');
+      }
+      for (const c of analysis.criteria) {
+        console.log(`  ${c.criterion}: rho ${c.rho.toFixed(2)}, ${c.difference >= 0 ? '+' : ''}${c.difference.toFixed(2)} for successful photos (${c.photos} photos)`);
+      }
+
+      if (options.output) {
+        writeText(options.output, generateOutcomeReport(analysis));
+        logger.success(`Outcome report saved: ${options.output}`);
+      }
+    } catch (error) {
+      logger.error(`Outcome report failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('report <project-dir>')
+  .description('Build a shareable report from an existing run: offline HTML or printable PDF (contact sheet and set boards)')
+  .option('--format <format>', 'Report format: html or pdf', 'html')
+  .option('--run <name>', 'Timestamped results run (default: latest)')
+  .option('--output <file>', 'File to write (default: <run>/photo-analysis.<format>)')
+  .option('--thumb-size <px>', 'HTML: longest thumbnail edge in pixels', String(DEFAULT_THUMBNAIL_SIZE))
+  .option('--page-size <size>', `PDF: page size (${Object.keys(PAGE_SIZES).join(', ')})`, 'A4')
+  .option('--orientation <orientation>', 'PDF: portrait or landscape', 'portrait')
+  .option('--per-page <n>', `PDF: images per contact sheet page (1-${MAX_PER_PAGE})`, String(DEFAULT_PER_PAGE))
+  .action(async (projectDir, options) => {
+    try {
+      if (!['html', 'pdf'].includes(options.format)) {
+        logger.error(`Unsupported report format: ${options.format}. Use html or pdf.`);
+        process.exit(1);
+      }
+      logger.section(`${options.format.toUpperCase()} REPORT`);
+
+      const dir = projectPath(projectDir);
+      const loaded = loadReportRun(dir, { run: options.run });
+      if (!loaded.success) {
+        logger.error(loaded.error);
+        process.exit(1);
+      }
+      const { runDir, runName, report, batchResults, generatedTexts, sets, setsRun, prompt } = loaded.data;
+      if (sets) logger.info(`Including sets from ${setsRun}`);
+
+      const outputFile = options.output ? projectPath(options.output) : join(runDir, `photo-analysis.${options.format}`);
+      const shared = {
+        basename: basename(outputFile, extname(outputFile)),
+        title: `${prompt.title || basename(dir)} - Analysis Report`,
+        theme: prompt.theme || '',
+        sets,
+        // Runs moved between machines: fall back to the project's photos/ folder
+        resolvePhoto: (photo) => (fileExists(photo) ? photo : join(dir, 'photos', basename(photo)))
+      };
+
+      if (options.format === 'pdf') {
+        const layout = resolvePdfLayout(options);
+        logger.info(`${layout.pageSize} ${layout.orientation}, ${layout.columns} × ${layout.rows} photos per contact sheet page`);
+        if (!generatedTexts) logger.info('No generated-texts.json in this run; boards show no titles (run "generate-texts" first)');
+        await exportPdfReport(dirname(outputFile), report, {
+          ...shared,
+          pageSize: layout.pageSize,
+          orientation: layout.orientation,
+          perPage: layout.perPage,
+          texts: generatedTexts || []
+        });
+        return;
+      }
+
+      const thumbnailSize = parseInt(options.thumbSize);
+      if (isNaN(thumbnailSize) || thumbnailSize < 50 || thumbnailSize > 800) {
+        logger.error('--thumb-size must be between 50 and 800');
+        process.exit(1);
+      }
+      await exportHtmlReport(dirname(outputFile), report, {
+        ...shared,
+        feedback: batchResults ? collectFeedback(batchResults) : new Map(),
+        thumbnailSize,
+        runInfo: { Run: runName }
+      });
+    } catch (error) {
+      logger.error(`Report failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('diff-runs <project-dir> [run-a] [run-b]')
+  .description('Compare two timestamped runs: rank, tier and criterion score changes, new/removed photos, model, config and prompt differences')
+  .option('--format <format>', 'Output format: md or json', 'md')
+  .option('--output <file>', 'File to write (default: <run-b>/diff-<run-a>.<format>)')
+  .action((projectDir, runA, runB, options) => {
+    try {
+      if (!['md', 'json'].includes(options.format)) {
+        logger.error(`Unsupported format: ${options.format}. Use md or json.`);
+        process.exit(1);
+      }
+      logger.section('RUN DIFF');
+
+      const dir = projectPath(projectDir);
+      // Defaults: the two newest runs, or the given run against the newest
+      const runs = listRuns(dir);
+      const nameB = runB || runs[runs.length - 1];
+      const nameA = runA || runs[runs.length - 2];
+      if (!nameA || !nameB) {
+        logger.error('Need two analysis runs in results/ to compare. Run "analyze" again or name the runs.');
+        process.exit(1);
+      }
+      if (nameA === nameB) {
+        logger.error(`Both runs are ${nameA}; name two different runs.`);
+        process.exit(1);
+      }
+
+      const snapshots = [];
+      for (const name of [nameA, nameB]) {
+        const loaded = loadRunSnapshot(dir, name);
+        if (!loaded.success) {
+          logger.error(loaded.error);
+          logger.info(`Available runs: ${runs.join(', ') || 'none'}`);
+          process.exit(1);
+        }
+        snapshots.push(loaded.data);
+      }
+
+      const diff = diffRuns(snapshots[0], snapshots[1]);
+      const outputFile = options.output
+        ? projectPath(options.output)
+        : join(dir, 'results', nameB, `diff-${nameA}.${options.format}`);
+      if (options.format === 'json') {
+        writeJson(outputFile, diff);
+      } else {
+        writeText(outputFile, generateRunDiffMarkdown(diff));
+      }
+
+      const { summary } = diff;
+      logger.info(`${nameA} → ${nameB}`);
+      diff.notes.forEach(note => logger.warn(note));
+      console.log(`\n${summary.common} photo(s) in both runs: ${summary.moved} moved, ${summary.tierChanges} changed tier`);
+      console.log(`New: ${summary.added}, removed: ${summary.removed}, average score ${summary.averageDelta > 0 ? '+' : ''}${summary.averageDelta ?? '-'}`);
+      for (const p of diff.moved.slice(0, 10)) {
+        const tier = p.tierA !== p.tierB ? `  ${p.tierA || '-'} → ${p.tierB || '-'}` : '';
+        console.log(`  ${String(p.rankA).padStart(3)} → ${String(p.rankB).padEnd(3)}  ${p.photo}${tier}`);
+      }
+      if (diff.settings.length + diff.config.length > 0) {
+        console.log(`\nSettings/config changes: ${[...diff.settings, ...diff.config].map(c => c.path).join(', ')}`);
+      }
+      const { prompt } = diff;
+      if (prompt.added.length + prompt.removed.length + prompt.changed.length + prompt.fields.length > 0) {
+        console.log(`Prompt changes: ${prompt.added.length} criteria added, ${prompt.removed.length} removed, ${prompt.changed.length} changed`);
+      }
+      logger.success(`Run diff saved: ${outputFile}`);
+    } catch (error) {
+      logger.error(`Run diff failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
+program
+  .command('package <project-dir>')
+  .description('Build a submission ZIP that meets submissionRules: re-encode to the required format, fit maxSizeMB, rename and add a manifest')
+  .option('--top <n>', `Submit the top N photos of the latest run (default: submissionRules.maxPhotos, else ${DEFAULT_TOP_PHOTOS})`)
+  .option('--set <rank>', 'Submit a suggested set from the newest set analysis (1 = best)')
+  .option('--group <name>', 'Group of the set, when sets were suggested per photo group')
+  .option('--photos <files...>', 'Submit these photos from photos/, in this order')
+  .option('--run <name>', 'Timestamped results run for ranking, titles and descriptions (default: latest)')
+  .option('--pattern <pattern>', `Filename pattern with ${FILENAME_FIELDS.map(f => `{${f}}`).join(', ')} (default: submissionRules.filenamePattern or ${DEFAULT_FILENAME_PATTERN})`)
+  .option('--surname <name>', 'Photographer surname for {surname}')
+  .option('--first-name <name>', 'Photographer first name for {firstname}')
+  .option('--min-edge <px>', 'Smallest long edge when shrinking photos to fit maxSizeMB', String(DEFAULT_MIN_EDGE))
+  .option('--output <dir>', 'Directory for the ZIP and manifest (default: <project-dir>/submission)')
+  .action(async (projectDir, options) => {
+    try {
+      logger.section('SUBMISSION PACKAGE');
+
+      const dir = projectPath(projectDir);
+      const configResult = await loadOpenCallConfig(join(dir, 'open-call.json'));
+      if (!configResult.success) {
+        logger.error('Configuration validation failed:');
+        console.log(formatValidationErrors(configResult.validation.errors));
+        process.exit(1);
+      }
+      const config = configResult.data;
+      const rules = config.submissionRules || {};
+
+      const minEdge = parseInt(options.minEdge, 10);
+      if (isNaN(minEdge) || minEdge < 100) {
+        logger.error('--min-edge must be a whole number of pixels (at least 100)');
+        process.exit(1);
+      }
+      const positive = (value, flag) => {
+        const n = Number(value);
+        if (!Number.isInteger(n) || n < 1) {
+          logger.error(`${flag} must be a positive whole number`);
+          process.exit(1);
+        }
+        return n;
+      };
+      const selection = {
+        top: options.top !== undefined ? positive(options.top, '--top') : undefined,
+        set: options.set !== undefined ? positive(options.set, '--set') : undefined,
+        group: options.group,
+        photos: options.photos
+      };
+      if (selection.top === undefined && selection.set === undefined && !selection.photos) {
+        selection.top = rules.maxPhotos || DEFAULT_TOP_PHOTOS;
+        logger.info(`Submitting the top ${selection.top} photos${rules.maxPhotos ? ' (submissionRules.maxPhotos)' : ''}`);
+      }
+
+      // Ranking and texts come from the run; an explicit list also works without one
+      const loaded = loadReportRun(dir, { run: options.run });
+      if (!loaded.success && (options.run || !selection.photos)) {
+        logger.error(loaded.error);
+        process.exit(1);
+      }
+      const { report, generatedTexts, sets } = loaded.success
+        ? loaded.data
+        : { report: {}, generatedTexts: null, sets: findLatestSetAnalysis(join(dir, 'results'))?.data || null };
+
+      const chosen = selectSubmissionPhotos({ ranking: report.ranking || [], sets, texts: generatedTexts }, selection);
+      if (!chosen.success) {
+        logger.error(chosen.error);
+        process.exit(1);
+      }
+      logger.info(`Photos: ${chosen.data.map(p => p.filename).join(', ')}`);
+      logger.info(`Format: ${(rules.requiredFormat || 'jpg').toUpperCase()}${rules.maxSizeMB ? `, max ${rules.maxSizeMB} MB per photo` : ''}`);
+
+      const result = await buildSubmissionPackage({
+        projectDir: dir,
+        config,
+        photos: chosen.data,
+        outputDir: options.output ? projectPath(options.output) : join(dir, 'submission'),
+        pattern: options.pattern,
+        surname: options.surname,
+        firstName: options.firstName,
+        minEdge
+      });
+      result.warnings.forEach(warning => logger.warn(warning));
+      if (!result.success) {
+        logger.error('The submission rules cannot be met, no package written:');
+        result.problems.forEach(problem => console.log(`  ❌ ${problem}`));
+        process.exit(1);
+      }
+
+      for (const photo of result.data.manifest.photos) {
+        const how = photo.copied
+          ? 'copied'
+          : `re-encoded${photo.quality ? ` q${photo.quality}` : ''}${photo.resized ? `, ${photo.width}×${photo.height}` : ''}`
+            + (photo.fixes.length > 0 ? `; fixed: ${photo.fixes.join(', ')}` : '');
+        console.log(`  ${photo.file}  ${(photo.sizeBytes / (1024 * 1024)).toFixed(2)} MB  (${photo.original}, ${how})`);
+      }
+      logger.success(`Submission package saved: ${result.data.zipPath}`);
+      logger.info(`Manifest: ${result.data.manifestPath}`);
+    } catch (error) {
+      logger.error(`Packaging failed: ${error.message}`);
+      process.exit(1);
+    }
+  });
+
 program.on('command:*', (unknownCommand) => {
   logger.error(`Unknown command: ${unknownCommand[0]}`);
   logger.info("Did you mean 'npm run analyze <command>'?");
-  logger.info("Available commands: init, analyze, analyze-single, analyze-set, suggest-sets, validate, validate-prompt, test-prompt, list-models, tag-winner, winner-insights, generate-texts, calibrate, strategic-analyze, strategic-research, strategic-advise, strategic-discover");
+  logger.info("Available commands: init, analyze, analyze-single, analyze-set, suggest-sets, validate, validate-prompt, test-prompt, list-models, tag-winner, winner-insights, generate-texts, calibrate, strategic-analyze, strategic-research, strategic-advise, strategic-discover, rank-pairwise, simulate-jury, auto-group, allocate, match, track, calendar, history, outcome-report, report, diff-runs, package");
   process.exit(1);
 });
 
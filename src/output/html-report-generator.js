@@ -0,0 +1,369 @@
+/**
+ * Self-contained HTML report
+ *
+ * One offline file for collaborators who do not run the web server: the
+ * ranking with embedded JPEG thumbnails (data URIs), tiers, per-criterion
+ * bars, feedback text, set groupings from set-analysis.json and the run
+ * metadata. CSS and the sorting/filtering script are inline, so the file
+ * works when opened from disk or an email attachment. Without JavaScript the
+ * ranking still renders in rank order.
+ *
+ * Input is the JSON report shape (generateJsonReport() / photo-analysis.json),
+ * so a report can be rebuilt later from any results run.
+ *
+ * @module html-report-generator
+ */
+
+import sharp from 'sharp';
+import { existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { loadImageSource } from '../utils/raw-preview.js';
+import { getPresentationOrder } from './set-report-generator.js';
+import { logger } from '../utils/logger.js';
+
+export const DEFAULT_THUMBNAIL_SIZE = 240;
+
+const TIER_LABELS = { tier1: 'Tier 1', tier2: 'Tier 2', tier3: 'Tier 3' };
+const MAX_SETS_PER_GROUP = 5;
+
+const baseName = (photo) => String(photo || '').split('/').pop();
+
+/**
+ * Escape text for HTML element and attribute content.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Render a photo as a small JPEG data URI.
+ *
+ * @param {string} photoPath - Photo file (RAW files use their embedded preview)
+ * @param {number} [size=DEFAULT_THUMBNAIL_SIZE] - Longest edge in pixels
+ * @returns {Promise<string|null>} data:image/jpeg;base64,... or null if the photo cannot be read
+ */
+export async function createThumbnailDataUri(photoPath, size = DEFAULT_THUMBNAIL_SIZE) {
+  try {
+    const buffer = await sharp(await loadImageSource(photoPath))
+      .rotate()
+      .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+      .jpeg({ quality: 70 })
+      .toBuffer();
+    return `data:image/jpeg;base64,${buffer.toString('base64')}`;
+  } catch (error) {
+    logger.debug(`Thumbnail failed for ${photoPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * Embed thumbnails for the photos of a report, one at a time.
+ *
+ * @param {string[]} photoPaths - Photo files
+ * @param {Object} [options]
+ * @param {number} [options.size] - Longest edge in pixels
+ * @returns {Promise<Map<string, string>>} filename -> data URI (unreadable photos are left out)
+ */
+export async function embedThumbnails(photoPaths, options = {}) {
+  const thumbnails = new Map();
+  for (const photoPath of photoPaths) {
+    const filename = baseName(photoPath);
+    if (thumbnails.has(filename) || !existsSync(photoPath)) continue;
+    const uri = await createThumbnailDataUri(photoPath, options.size);
+    if (uri) thumbnails.set(filename, uri);
+  }
+  return thumbnails;
+}
+
+/**
+ * Feedback text per photo from batch-results.json.
+ *
+ * @param {Object} batchResults - batch-results.json content
+ * @returns {Map<string, { assessment: string, strengths: string[], improvements: string[] }>}
+ */
+export function collectFeedback(batchResults) {
+  const feedback = new Map();
+  for (const result of batchResults?.results || []) {
+    if (!result.success || !result.photo) continue;
+    feedback.set(baseName(result.photo), {
+      assessment: result.scores?.summary?.overall_assessment || '',
+      strengths: result.scores?.strengths || [],
+      improvements: result.scores?.improvements || []
+    });
+  }
+  return feedback;
+}
+
+/**
+ * Internal: tier key per filename.
+ */
+function tierIndex(tiers) {
+  const index = new Map();
+  for (const key of Object.keys(TIER_LABELS)) {
+    for (const photo of tiers?.[key] || []) index.set(baseName(photo.filename || photo.photo), key);
+  }
+  return index;
+}
+
+/**
+ * Internal: one table row of the ranking.
+ */
+function renderPhotoRow(photo, { tier, thumbnail, feedback, criteria }) {
+  const filename = baseName(photo.photo);
+  const score = typeof photo.overall_score === 'number' ? photo.overall_score : null;
+  const criterionScores = photo.individual_scores || {};
+  const dataAttrs = criteria
+    .map((name, i) => `data-c${i}="${criterionScores[name]?.score ?? ''}"`)
+    .join(' ');
+
+  const bars = Object.entries(criterionScores).map(([name, data]) => {
+    const value = Math.max(0, Math.min(10, Number(data.score) || 0));
+    const reasoning = data.reasoning ? ` title="${escapeHtml(data.reasoning)}"` : '';
+    return `<div class="bar"${reasoning}><span class="bar-label">${escapeHtml(name)}</span>` +
+      `<span class="bar-track"><span class="bar-fill" style="width:${value * 10}%"></span></span>` +
+      `<span class="bar-value">${escapeHtml(data.score)}</span></div>`;
+  }).join('');
+
+  const notes = [];
+  if (feedback?.assessment) notes.push(`<p>${escapeHtml(feedback.assessment)}</p>`);
+  if (feedback?.strengths?.length) {
+    notes.push(`<p class="label">Strengths</p><ul>${feedback.strengths.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>`);
+  }
+  if (feedback?.improvements?.length) {
+    notes.push(`<p class="label">Improvements</p><ul>${feedback.improvements.map(s => `<li>${escapeHtml(s)}</li>`).join('')}</ul>`);
+  }
+  if (photo.duplicate_cluster) {
+    const alternates = photo.duplicate_cluster.alternates.map(a => escapeHtml(a.filename)).join(', ');
+    notes.push(`<p class="muted">Best of ${photo.duplicate_cluster.size} near-duplicates — alternates: ${alternates}</p>`);
+  }
+
+  const image = thumbnail
+    ? `<img id="thumb-${escapeHtml(filename)}" src="${thumbnail}" alt="${escapeHtml(filename)}" loading="lazy">`
+    : '<div class="no-thumb">no preview</div>';
+
+  return `<tr data-rank="${photo.rank ?? ''}" data-score="${score ?? ''}" data-name="${escapeHtml(filename.toLowerCase())}" data-tier="${tier || ''}" ${dataAttrs}>
+<td class="thumb">${image}</td>
+<td class="num">${photo.rank ?? ''}</td>
+<td><strong>${escapeHtml(filename)}</strong>${tier ? ` <span class="tier ${tier}">${TIER_LABELS[tier]}</span>` : ''}
+${photo.recommendation ? `<div class="muted">${escapeHtml(photo.recommendation)}</div>` : ''}
+${notes.length > 0 ? `<details><summary>Feedback</summary>${notes.join('')}</details>` : ''}</td>
+<td class="num score">${score === null ? '—' : score.toFixed(1)}</td>
+<td class="bars">${bars}</td>
+</tr>`;
+}
+
+/**
+ * Internal: set cards (plain or grouped set-analysis.json).
+ */
+function renderSets(sets) {
+  const groups = sets.groups
+    ? sets.groups.map(group => ({ name: group.name, ranking: group.ranking }))
+    : [{ name: null, ranking: sets.ranking || [] }];
+
+  return groups.map(group => {
+    const cards = group.ranking.slice(0, MAX_SETS_PER_GROUP).map(set => {
+      const photos = getPresentationOrder(set).map(filename =>
+        `<figure><img data-photo="${escapeHtml(baseName(filename))}" alt="${escapeHtml(baseName(filename))}"><figcaption>${escapeHtml(baseName(filename))}</figcaption></figure>`
+      ).join('');
+      const violations = set.constraintViolations?.length
+        ? `<p class="warn">Breaks set constraints: ${set.constraintViolations.map(escapeHtml).join('; ')}</p>`
+        : '';
+      return `<div class="set">
+<h3>#${set.rank ?? ''} · ${typeof set.compositeScore === 'number' ? set.compositeScore.toFixed(2) : '—'}${set.recommendation ? ` · ${escapeHtml(set.recommendation)}` : ''}</h3>
+<div class="set-photos">${photos}</div>
+${set.sequence?.rationale ? `<p class="muted">${escapeHtml(set.sequence.rationale)}</p>` : ''}${violations}
+</div>`;
+    }).join('\n');
+    return `${group.name ? `<h3 class="group">${escapeHtml(group.name)}</h3>` : ''}${cards || '<p class="muted">No sets.</p>'}`;
+  }).join('\n');
+}
+
+const STYLES = `
+body{font-family:-apple-system,BlinkMacSystemFont,"Segoe UI",Roboto,sans-serif;margin:0;padding:24px;color:#1f2328;background:#f6f8fa}
+h1{margin:0 0 4px}h2{margin-top:32px}
+.meta{display:flex;flex-wrap:wrap;gap:8px 24px;margin:12px 0;color:#57606a}
+.meta b{color:#1f2328}
+.controls{display:flex;flex-wrap:wrap;gap:12px;margin:16px 0;align-items:center}
+.controls input,.controls select{padding:6px 8px;border:1px solid #d0d7de;border-radius:6px}
+table{border-collapse:collapse;width:100%;background:#fff;border:1px solid #d0d7de}
+th,td{padding:8px;border-bottom:1px solid #eaeef2;vertical-align:top;text-align:left}
+th{background:#f6f8fa;font-size:13px}
+td.num{text-align:right;white-space:nowrap}td.score{font-size:18px;font-weight:600}
+td.thumb img{max-width:160px;max-height:160px;border-radius:4px;display:block}
+.no-thumb{width:120px;height:80px;background:#eaeef2;color:#8c959f;font-size:12px;display:flex;align-items:center;justify-content:center}
+.tier{font-size:11px;padding:1px 6px;border-radius:10px;margin-left:4px}
+.tier1{background:#dafbe1;color:#116329}.tier2{background:#fff8c5;color:#7d4e00}.tier3{background:#ffebe9;color:#a40e26}
+.bars{min-width:260px}.bar{display:flex;align-items:center;gap:6px;font-size:12px;margin:2px 0}
+.bar-label{width:120px;overflow:hidden;text-overflow:ellipsis;white-space:nowrap}
+.bar-track{flex:1;height:8px;background:#eaeef2;border-radius:4px;overflow:hidden}
+.bar-fill{display:block;height:100%;background:#2f81f7}
+.bar-value{width:24px;text-align:right}
+.muted{color:#57606a;font-size:13px}.label{font-weight:600;margin:8px 0 2px}.warn{color:#a40e26;font-size:13px}
+details summary{cursor:pointer;color:#0969da;font-size:13px;margin-top:4px}
+.set{background:#fff;border:1px solid #d0d7de;border-radius:6px;padding:12px;margin:12px 0}
+.set h3{margin:0 0 8px;font-size:15px}.group{margin-top:20px}
+.set-photos{display:flex;flex-wrap:wrap;gap:8px}
+.set-photos figure{margin:0;font-size:11px;color:#57606a;text-align:center}
+.set-photos img{max-width:140px;max-height:140px;border-radius:4px;display:block;background:#eaeef2;min-width:60px;min-height:60px}
+tr.hidden{display:none}
+`;
+
+const SCRIPT = `
+(function () {
+  var body = document.getElementById('ranking-body');
+  var rows = Array.prototype.slice.call(body.rows);
+  var search = document.getElementById('filter-text');
+  var tier = document.getElementById('filter-tier');
+  var sort = document.getElementById('sort-by');
+  var count = document.getElementById('visible-count');
+  function num(row, key) { var v = row.getAttribute('data-' + key); return v === '' ? -Infinity : parseFloat(v); }
+  function apply() {
+    var text = search.value.trim().toLowerCase();
+    var key = sort.value;
+    rows.sort(function (a, b) {
+      if (key === 'name') return a.getAttribute('data-name').localeCompare(b.getAttribute('data-name'));
+      if (key === 'rank') return num(a, 'rank') - num(b, 'rank');
+      return num(b, key) - num(a, key) || num(a, 'rank') - num(b, 'rank');
+    });
+    var visible = 0;
+    rows.forEach(function (row) {
+      var show = (!text || row.getAttribute('data-name').indexOf(text) !== -1) &&
+        (!tier.value || row.getAttribute('data-tier') === tier.value);
+      row.className = show ? '' : 'hidden';
+      if (show) visible++;
+      body.appendChild(row);
+    });
+    count.textContent = visible + ' of ' + rows.length + ' photos';
+  }
+  search.addEventListener('input', apply);
+  tier.addEventListener('change', apply);
+  sort.addEventListener('change', apply);
+  apply();
+  Array.prototype.forEach.call(document.querySelectorAll('img[data-photo]'), function (img) {
+    var source = document.getElementById('thumb-' + img.getAttribute('data-photo'));
+    if (source) img.src = source.src;
+  });
+})();
+`;
+
+/**
+ * Generate the HTML report.
+ *
+ * @param {Object} report - JSON report (generateJsonReport() / photo-analysis.json)
+ * @param {Object} [options]
+ * @param {string} [options.title='Photo Analysis Report']
+ * @param {string} [options.theme='']
+ * @param {Map<string, string>} [options.thumbnails] - filename -> data URI (embedThumbnails())
+ * @param {Map<string, Object>} [options.feedback] - filename -> feedback (collectFeedback())
+ * @param {Object} [options.sets] - set-analysis.json content (plain or grouped)
+ * @param {Object} [options.runInfo] - Extra run metadata shown in the header (label -> value)
+ * @returns {string} Complete HTML document
+ */
+export function generateHtmlReport(report, options = {}) {
+  const {
+    title = 'Photo Analysis Report',
+    theme = '',
+    thumbnails = new Map(),
+    feedback = new Map(),
+    sets = null,
+    runInfo = {}
+  } = options;
+
+  const ranking = report.ranking || [];
+  const tiers = tierIndex(report.tiers);
+  const criteria = [...new Set(ranking.flatMap(photo => Object.keys(photo.individual_scores || {})))];
+  const stats = report.statistics || {};
+  const failed = report.failed_photos || [];
+
+  const meta = {
+    Generated: report.metadata?.generated ? new Date(report.metadata.generated).toLocaleString() : '',
+    Photos: report.metadata?.total_photos ?? ranking.length,
+    ...(failed.length > 0 && { Failed: failed.length }),
+    ...(typeof stats.average === 'number' && { Average: stats.average }),
+    ...(typeof stats.median === 'number' && { Median: stats.median }),
+    ...(typeof stats.min === 'number' && typeof stats.max === 'number' && { Range: `${stats.min.toFixed(1)} – ${stats.max.toFixed(1)}` }),
+    ...(report.tiers?.summary && {
+      Tiers: `${report.tiers.summary.tier1_count} / ${report.tiers.summary.tier2_count} / ${report.tiers.summary.tier3_count}`
+    }),
+    ...(report.metadata?.rank_by && { 'Ranked by': report.metadata.rank_by }),
+    ...runInfo
+  };
+
+  const rows = ranking.map(photo => {
+    const filename = baseName(photo.photo);
+    return renderPhotoRow(photo, {
+      tier: tiers.get(filename),
+      thumbnail: thumbnails.get(filename),
+      feedback: feedback.get(filename),
+      criteria
+    });
+  }).join('\n');
+
+  const failedSection = failed.length > 0
+    ? `<h2>Failed photos</h2><ul>${failed.map(f => `<li>${escapeHtml(f.photo || f.filename)}: ${escapeHtml(f.error || f.reason || '')}</li>`).join('')}</ul>`
+    : '';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="utf-8">
+<meta name="viewport" content="width=device-width, initial-scale=1">
+<title>${escapeHtml(title)}</title>
+<style>${STYLES}</style>
+</head>
+<body>
+<h1>${escapeHtml(title)}</h1>
+${theme ? `<p class="muted">Theme: ${escapeHtml(theme)}</p>` : ''}
+<div class="meta">${Object.entries(meta).filter(([, v]) => v !== '' && v !== undefined)
+    .map(([k, v]) => `<span>${escapeHtml(k)}: <b>${escapeHtml(v)}</b></span>`).join('')}</div>
+
+<h2>Ranking</h2>
+<div class="controls">
+<input id="filter-text" type="search" placeholder="Filter by filename">
+<select id="filter-tier"><option value="">All tiers</option>${Object.entries(TIER_LABELS).map(([k, v]) => `<option value="${k}">${v}</option>`).join('')}</select>
+<select id="sort-by"><option value="rank">Sort by rank</option><option value="score">Sort by score</option><option value="name">Sort by filename</option>${criteria.map((name, i) => `<option value="c${i}">Sort by ${escapeHtml(name)}</option>`).join('')}</select>
+<span id="visible-count" class="muted"></span>
+</div>
+<table>
+<thead><tr><th></th><th>Rank</th><th>Photo</th><th>Score</th><th>Criteria</th></tr></thead>
+<tbody id="ranking-body">
+${rows}
+</tbody>
+</table>
+${sets ? `<h2>Sets</h2>\n${renderSets(sets)}` : ''}
+${failedSection}
+<script>${SCRIPT}</script>
+</body>
+</html>
+`;
+}
+
+/**
+ * Write the HTML report with embedded thumbnails.
+ *
+ * @param {string} outputDir - Output directory
+ * @param {Object} report - JSON report (generateJsonReport() / photo-analysis.json)
+ * @param {Object} [options] - generateHtmlReport() options, plus:
+ * @param {string} [options.basename='analysis-results'] - File name without extension
+ * @param {Function} [options.resolvePhoto] - Maps a ranking photo path to a readable file
+ * @param {number} [options.thumbnailSize] - Longest thumbnail edge in pixels
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function exportHtmlReport(outputDir, report, options = {}) {
+  const { basename = 'analysis-results', resolvePhoto = (photo) => photo, thumbnailSize, ...htmlOptions } = options;
+  const photoPaths = (report.ranking || []).map(photo => resolvePhoto(photo.photo)).filter(Boolean);
+  const thumbnails = await embedThumbnails(photoPaths, { size: thumbnailSize });
+
+  const htmlPath = join(outputDir, `${basename}.html`);
+  writeFileSync(htmlPath, generateHtmlReport(report, { ...htmlOptions, thumbnails }));
+  logger.success(`HTML report saved to: ${htmlPath}`);
+  return htmlPath;
+}
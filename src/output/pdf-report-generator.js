@@ -0,0 +1,360 @@
+/**
+ * Printable PDF report: contact sheet and set boards
+ *
+ * For juries and printers who review on paper. The contact sheet shows the
+ * ranked photos in a grid with rank, score and tier labels; each suggested
+ * set (set-analysis.json) gets a board with its photos in recommended order,
+ * per-photo criterion scores, the titles from generate-texts and the set
+ * criteria. Page size, orientation and images per page are configurable.
+ *
+ * Rendered locally with pdf-writer (no PDF dependency); photos are embedded
+ * as JPEGs sized for roughly 144 dpi at their printed size.
+ *
+ * @module pdf-report-generator
+ */
+
+import sharp from 'sharp';
+import { existsSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { createPdfDocument, measureText, fitText, wrapText, PAGE_SIZES } from './pdf-writer.js';
+import { getPresentationOrder } from './set-report-generator.js';
+import { loadImageSource } from '../utils/raw-preview.js';
+import { logger } from '../utils/logger.js';
+
+export const PDF_ORIENTATIONS = ['portrait', 'landscape'];
+export const DEFAULT_PER_PAGE = 12;
+export const MAX_PER_PAGE = 48;
+
+const MARGIN = 36;
+const HEADER_HEIGHT = 44;
+const CELL_PADDING = 6;
+const SHEET_LABEL_HEIGHT = 34;
+const BOARD_LABEL_HEIGHT = 48;
+const MAX_SETS_PER_GROUP = 5;
+const PIXELS_PER_POINT = 2;
+const IMAGE_SIZE_RANGE = [600, 1600];
+
+const BLACK = [0.12, 0.14, 0.16];
+const GREY = [0.34, 0.38, 0.42];
+const LIGHT = [0.92, 0.93, 0.95];
+const ACCENT = [0.18, 0.51, 0.97];
+const TIER_STYLES = {
+  tier1: { label: 'Tier 1', color: [0.07, 0.39, 0.16] },
+  tier2: { label: 'Tier 2', color: [0.49, 0.31, 0] },
+  tier3: { label: 'Tier 3', color: [0.64, 0.05, 0.15] }
+};
+
+const baseName = (photo) => String(photo || '').split('/').pop();
+
+/**
+ * Internal: columns and rows for n images in a box, cells close to square.
+ */
+function gridFor(count, width, height) {
+  const columns = Math.min(count, Math.max(1, Math.round(Math.sqrt((count * width) / height))));
+  return { columns, rows: Math.ceil(count / columns) };
+}
+
+/**
+ * Validate page options and compute the contact sheet grid.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.pageSize='A4'] - One of PAGE_SIZES (case-insensitive)
+ * @param {string} [options.orientation='portrait'] - portrait or landscape
+ * @param {number|string} [options.perPage=12] - Images per contact sheet page (1-48)
+ * @returns {{ pageSize: string, orientation: string, perPage: number, width: number, height: number, columns: number, rows: number, cellWidth: number, cellHeight: number }}
+ * @throws {Error} On an unknown page size or orientation, or an invalid perPage
+ */
+export function resolvePdfLayout(options = {}) {
+  const { pageSize = 'A4', orientation = 'portrait', perPage = DEFAULT_PER_PAGE } = options;
+  const sizeName = Object.keys(PAGE_SIZES).find(name => name.toLowerCase() === String(pageSize).toLowerCase());
+  if (!sizeName) {
+    throw new Error(`Unknown page size "${pageSize}". Use one of: ${Object.keys(PAGE_SIZES).join(', ')}`);
+  }
+  if (!PDF_ORIENTATIONS.includes(orientation)) {
+    throw new Error(`Unknown orientation "${orientation}". Use one of: ${PDF_ORIENTATIONS.join(', ')}`);
+  }
+  const count = Number(perPage);
+  if (!Number.isInteger(count) || count < 1 || count > MAX_PER_PAGE) {
+    throw new Error(`Images per page must be an integer between 1 and ${MAX_PER_PAGE}`);
+  }
+
+  const [short, long] = PAGE_SIZES[sizeName];
+  const [width, height] = orientation === 'landscape' ? [long, short] : [short, long];
+  const contentWidth = width - 2 * MARGIN;
+  const contentHeight = height - 2 * MARGIN - HEADER_HEIGHT;
+  const { columns, rows } = gridFor(count, contentWidth, contentHeight);
+
+  return {
+    pageSize: sizeName,
+    orientation,
+    perPage: count,
+    width,
+    height,
+    columns,
+    rows,
+    cellWidth: contentWidth / columns,
+    cellHeight: contentHeight / rows
+  };
+}
+
+/**
+ * Load photos as RGB JPEGs for embedding, one at a time.
+ *
+ * @param {string[]} photoPaths - Photo files (RAW files use their embedded preview)
+ * @param {Object} [options]
+ * @param {number} [options.size=600] - Longest edge in pixels
+ * @returns {Promise<Map<string, {data: Buffer, width: number, height: number}>>} filename -> JPEG (unreadable photos are left out)
+ */
+export async function loadPdfImages(photoPaths, options = {}) {
+  const { size = IMAGE_SIZE_RANGE[0] } = options;
+  const images = new Map();
+  for (const photoPath of photoPaths) {
+    const filename = baseName(photoPath);
+    if (images.has(filename) || !existsSync(photoPath)) continue;
+    try {
+      const { data, info } = await sharp(await loadImageSource(photoPath))
+        .rotate()
+        .resize({ width: size, height: size, fit: 'inside', withoutEnlargement: true })
+        .removeAlpha()
+        .toColourspace('srgb')
+        .jpeg({ quality: 82 })
+        .toBuffer({ resolveWithObject: true });
+      images.set(filename, { data, width: info.width, height: info.height });
+    } catch (error) {
+      logger.debug(`PDF image failed for ${photoPath}: ${error.message}`);
+    }
+  }
+  return images;
+}
+
+/**
+ * Internal: draw a photo fitted in a box (centred, resting on its label), or a placeholder.
+ */
+function drawPhoto(ctx, page, filename, x, top, w, h) {
+  const image = ctx.images.get(filename);
+  if (!image) {
+    page.rect(x, top, w, h, { fill: LIGHT });
+    const label = 'no preview';
+    page.text(label, x + (w - measureText(label, 8)) / 2, top + h / 2 + 3, { size: 8, color: GREY });
+    return;
+  }
+  if (!ctx.handles.has(filename)) ctx.handles.set(filename, ctx.doc.addJpeg(image));
+  const scale = Math.min(w / image.width, h / image.height);
+  const dw = image.width * scale;
+  const dh = image.height * scale;
+  page.image(ctx.handles.get(filename), x + (w - dw) / 2, top + h - dh, dw, dh);
+}
+
+/**
+ * Internal: page title, subtitle and page label.
+ */
+function drawHeader(ctx, page, subtitle, label) {
+  const contentWidth = page.width - 2 * MARGIN;
+  const labelWidth = measureText(label, 9);
+  page.text(fitText(ctx.title, contentWidth - labelWidth - 12, 14, { bold: true }), MARGIN, MARGIN + 14, { size: 14, bold: true, color: BLACK });
+  page.text(label, page.width - MARGIN - labelWidth, MARGIN + 14, { size: 9, color: GREY });
+  page.text(fitText(subtitle, contentWidth, 8), MARGIN, MARGIN + 28, { size: 8, color: GREY });
+  page.line(MARGIN, MARGIN + HEADER_HEIGHT - 8, page.width - MARGIN, MARGIN + HEADER_HEIGHT - 8, { color: LIGHT });
+}
+
+/**
+ * Internal: contact sheet pages.
+ */
+function drawContactSheet(ctx, report) {
+  const { layout } = ctx;
+  const ranking = report.ranking || [];
+  const pageCount = Math.max(1, Math.ceil(ranking.length / layout.perPage));
+
+  for (let p = 0; p < pageCount; p++) {
+    const page = ctx.doc.addPage(layout.width, layout.height);
+    drawHeader(ctx, page, ctx.summary, `Contact sheet ${p + 1}/${pageCount}`);
+    if (ranking.length === 0) {
+      page.text('No ranked photos.', MARGIN, MARGIN + HEADER_HEIGHT + 12, { size: 10, color: GREY });
+    }
+
+    ranking.slice(p * layout.perPage, (p + 1) * layout.perPage).forEach((photo, i) => {
+      const filename = baseName(photo.photo);
+      const x = MARGIN + (i % layout.columns) * layout.cellWidth + CELL_PADDING;
+      const top = MARGIN + HEADER_HEIGHT + Math.floor(i / layout.columns) * layout.cellHeight + CELL_PADDING;
+      const width = layout.cellWidth - 2 * CELL_PADDING;
+      const imageHeight = layout.cellHeight - 2 * CELL_PADDING - SHEET_LABEL_HEIGHT;
+      drawPhoto(ctx, page, filename, x, top, width, Math.max(imageHeight, 10));
+
+      const labelTop = top + imageHeight;
+      const score = typeof photo.overall_score === 'number' ? photo.overall_score.toFixed(1) : '—';
+      page.text(`#${photo.rank ?? ''}  ${score}`, x, labelTop + 11, { size: 9, bold: true, color: BLACK });
+      const tier = TIER_STYLES[ctx.tiers.get(filename)];
+      if (tier) {
+        page.text(tier.label, x + width - measureText(tier.label, 8, { bold: true }), labelTop + 11, { size: 8, bold: true, color: tier.color });
+      }
+      page.text(fitText(filename, width, 8), x, labelTop + 21, { size: 8, color: BLACK });
+      const caption = ctx.titles.get(filename) || photo.recommendation || '';
+      if (caption) page.text(fitText(caption, width, 7), x, labelTop + 30, { size: 7, color: GREY });
+    });
+  }
+}
+
+/**
+ * Internal: one board for a suggested set.
+ */
+function drawSetBoard(ctx, set, groupName) {
+  const { layout } = ctx;
+  const page = ctx.doc.addPage(layout.width, layout.height);
+  const contentWidth = layout.width - 2 * MARGIN;
+  const composite = typeof set.compositeScore === 'number' ? set.compositeScore.toFixed(2) : '—';
+  drawHeader(ctx, page,
+    [groupName, `Set #${set.rank ?? ''}`, `composite ${composite}`, set.recommendation].filter(Boolean).join(' · '),
+    'Set board');
+
+  // Bottom panel: set criteria and notes
+  const criteria = Object.entries(set.setScores || {});
+  const notes = [
+    set.sequence?.rationale,
+    set.weakestLink && `Weakest link: ${set.weakestLink}`,
+    set.constraintViolations?.length && `Breaks set constraints: ${set.constraintViolations.join('; ')}`
+  ].filter(Boolean).flatMap(note => wrapText(note, contentWidth, 8, { maxLines: 3 }));
+  const panelHeight = (criteria.length > 0 ? 16 + criteria.length * 12 : 0) + notes.length * 10 + 8;
+
+  const areaTop = MARGIN + HEADER_HEIGHT;
+  const areaHeight = layout.height - MARGIN - areaTop - panelHeight;
+  const order = getPresentationOrder(set);
+  const setScores = new Map((set.photos || []).map(p => [p.filename, p.individualScore]));
+  const { columns, rows } = gridFor(Math.max(order.length, 1), contentWidth, areaHeight);
+  const cellWidth = contentWidth / columns;
+  const cellHeight = areaHeight / rows;
+
+  order.forEach((filename, i) => {
+    const name = baseName(filename);
+    const x = MARGIN + (i % columns) * cellWidth + CELL_PADDING;
+    const top = areaTop + Math.floor(i / columns) * cellHeight + CELL_PADDING;
+    const width = cellWidth - 2 * CELL_PADDING;
+    const imageHeight = cellHeight - 2 * CELL_PADDING - BOARD_LABEL_HEIGHT;
+    drawPhoto(ctx, page, name, x, top, width, Math.max(imageHeight, 10));
+
+    const ranked = ctx.ranked.get(name);
+    const score = setScores.get(filename) ?? ranked?.overall_score;
+    const scoreText = typeof score === 'number' ? score.toFixed(1) : '';
+    const labelTop = top + imageHeight;
+    page.text(fitText(`${i + 1}. ${name}`, width - measureText(scoreText, 9, { bold: true }) - 6, 9, { bold: true }), x, labelTop + 11, { size: 9, bold: true, color: BLACK });
+    if (scoreText) page.text(scoreText, x + width - measureText(scoreText, 9, { bold: true }), labelTop + 11, { size: 9, bold: true, color: BLACK });
+    if (ctx.titles.get(name)) page.text(fitText(ctx.titles.get(name), width, 8), x, labelTop + 21, { size: 8, color: GREY });
+    const criterionScores = Object.entries(ranked?.individual_scores || {}).map(([criterion, data]) => `${criterion} ${data.score}`).join(' · ');
+    wrapText(criterionScores, width, 7, { maxLines: 2 }).forEach((line, k) => {
+      page.text(line, x, labelTop + 31 + k * 9, { size: 7, color: GREY });
+    });
+  });
+
+  let top = areaTop + areaHeight + 4;
+  if (criteria.length > 0) {
+    page.text('Set criteria', MARGIN, top + 9, { size: 9, bold: true, color: BLACK });
+    top += 16;
+    for (const [name, data] of criteria) {
+      const value = Math.max(0, Math.min(10, Number(data.score) || 0));
+      page.text(fitText(name, 150, 8), MARGIN, top + 7, { size: 8, color: BLACK });
+      page.rect(MARGIN + 160, top, 200, 6, { fill: LIGHT });
+      page.rect(MARGIN + 160, top, value * 20, 6, { fill: ACCENT });
+      page.text(`${data.score ?? '—'}/10`, MARGIN + 368, top + 7, { size: 8, color: GREY });
+      top += 12;
+    }
+  }
+  notes.forEach((line, k) => page.text(line, MARGIN, top + 8 + k * 10, { size: 8, color: GREY }));
+}
+
+/**
+ * Generate the PDF report.
+ *
+ * @param {Object} report - JSON report (generateJsonReport() / photo-analysis.json)
+ * @param {Object} [options] - resolvePdfLayout() options, plus:
+ * @param {string} [options.title='Photo Analysis Report']
+ * @param {string} [options.theme='']
+ * @param {Map<string, Object>} [options.images] - filename -> JPEG (loadPdfImages())
+ * @param {Object} [options.sets] - set-analysis.json content (plain or grouped); one board per set
+ * @param {Object[]} [options.texts] - generated-texts.json content ({ photo, title, description })
+ * @param {number} [options.maxSetsPerGroup=5] - Boards per set group
+ * @returns {Buffer} PDF file content
+ */
+export function generatePdfReport(report, options = {}) {
+  const {
+    title = 'Photo Analysis Report',
+    theme = '',
+    images = new Map(),
+    sets = null,
+    texts = [],
+    maxSetsPerGroup = MAX_SETS_PER_GROUP
+  } = options;
+  const layout = resolvePdfLayout(options);
+
+  const tiers = new Map();
+  for (const key of Object.keys(TIER_STYLES)) {
+    for (const photo of report.tiers?.[key] || []) tiers.set(baseName(photo.filename || photo.photo), key);
+  }
+  const stats = report.statistics || {};
+  const tierSummary = report.tiers?.summary;
+  const summary = [
+    theme,
+    `${report.metadata?.total_photos ?? (report.ranking || []).length} photos`,
+    typeof stats.average === 'number' && `average ${stats.average}`,
+    tierSummary && `tiers ${tierSummary.tier1_count} / ${tierSummary.tier2_count} / ${tierSummary.tier3_count}`,
+    report.metadata?.generated && `analysed ${report.metadata.generated.slice(0, 10)}`
+  ].filter(Boolean).join(' · ');
+
+  const ctx = {
+    doc: createPdfDocument({ title }),
+    layout,
+    title,
+    summary,
+    images,
+    handles: new Map(),
+    tiers,
+    ranked: new Map((report.ranking || []).map(photo => [baseName(photo.photo), photo])),
+    titles: new Map((texts || []).filter(t => t.title && !t.error).map(t => [baseName(t.photo), t.title]))
+  };
+
+  drawContactSheet(ctx, report);
+
+  const groups = !sets ? [] : sets.groups
+    ? sets.groups.map(group => ({ name: group.name, ranking: group.ranking || [] }))
+    : [{ name: null, ranking: sets.ranking || [] }];
+  for (const group of groups) {
+    for (const set of group.ranking.slice(0, maxSetsPerGroup)) drawSetBoard(ctx, set, group.name);
+  }
+
+  return ctx.doc.toBuffer();
+}
+
+/**
+ * Load the photos of a report and render the PDF.
+ *
+ * @param {Object} report - JSON report (generateJsonReport() / photo-analysis.json)
+ * @param {Object} [options] - generatePdfReport() options, plus:
+ * @param {Function} [options.resolvePhoto] - Maps a ranking photo path to a readable file
+ * @returns {Promise<Buffer>} PDF file content
+ * @throws {Error} On invalid page options
+ */
+export async function renderPdfReport(report, options = {}) {
+  const { resolvePhoto = (photo) => photo, ...pdfOptions } = options;
+  const layout = resolvePdfLayout(pdfOptions);
+  const size = Math.min(IMAGE_SIZE_RANGE[1], Math.max(IMAGE_SIZE_RANGE[0],
+    Math.ceil(Math.max(layout.cellWidth, layout.cellHeight) * PIXELS_PER_POINT)));
+
+  const photoPaths = (report.ranking || []).map(photo => resolvePhoto(photo.photo)).filter(Boolean);
+  const images = await loadPdfImages(photoPaths, { size });
+  return generatePdfReport(report, { ...pdfOptions, images });
+}
+
+/**
+ * Write the PDF report.
+ *
+ * @param {string} outputDir - Output directory
+ * @param {Object} report - JSON report (generateJsonReport() / photo-analysis.json)
+ * @param {Object} [options] - renderPdfReport() options, plus:
+ * @param {string} [options.basename='analysis-results'] - File name without extension
+ * @returns {Promise<string>} Path of the written file
+ */
+export async function exportPdfReport(outputDir, report, options = {}) {
+  const { basename = 'analysis-results', ...renderOptions } = options;
+  const pdfPath = join(outputDir, `${basename}.pdf`);
+  writeFileSync(pdfPath, await renderPdfReport(report, renderOptions));
+  logger.success(`PDF report saved to: ${pdfPath}`);
+  return pdfPath;
+}
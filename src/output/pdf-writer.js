@@ -0,0 +1,302 @@
+/**
+ * Minimal PDF writer
+ *
+ * Just enough of PDF 1.4 for printable reports without a PDF dependency:
+ * pages of any size, the standard Helvetica fonts (WinAnsi text, nothing
+ * embedded), rectangles, lines and baseline JPEG images (DCTDecode, so JPEG
+ * bytes go into the file as they are). Content streams are deflated with zlib.
+ *
+ * Page coordinates are points with the origin at the top-left corner and y
+ * growing downwards; the writer converts to PDF's bottom-left origin.
+ *
+ * @module pdf-writer
+ */
+
+import { deflateSync } from 'zlib';
+
+/** Page sizes in points (portrait) */
+export const PAGE_SIZES = {
+  A5: [419.53, 595.28],
+  A4: [595.28, 841.89],
+  A3: [841.89, 1190.55],
+  Letter: [612, 792],
+  Legal: [612, 1008],
+  Tabloid: [792, 1224]
+};
+
+// Glyph widths (1/1000 em) of printable ASCII 32-126, from the Adobe AFM files
+const HELVETICA_WIDTHS = [
+  278, 278, 355, 556, 556, 889, 667, 191, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 278, 278, 584, 584, 584, 556,
+  1015, 667, 667, 722, 722, 667, 611, 778, 722, 278, 500, 667, 556, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 278, 278, 278, 469, 556,
+  333, 556, 556, 500, 556, 556, 278, 556, 556, 222, 222, 500, 222, 833, 556, 556,
+  556, 556, 333, 500, 278, 556, 500, 722, 500, 500, 500, 334, 260, 334, 584
+];
+const HELVETICA_BOLD_WIDTHS = [
+  278, 333, 474, 556, 556, 889, 722, 238, 333, 333, 389, 584, 278, 333, 278, 278,
+  556, 556, 556, 556, 556, 556, 556, 556, 556, 556, 333, 333, 584, 584, 584, 611,
+  975, 722, 722, 722, 722, 667, 611, 778, 722, 278, 556, 722, 611, 833, 722, 778,
+  667, 778, 722, 667, 611, 722, 667, 944, 667, 667, 611, 333, 278, 333, 584, 556,
+  333, 556, 611, 556, 611, 556, 333, 611, 611, 278, 278, 556, 278, 889, 611, 611,
+  611, 611, 389, 556, 333, 611, 556, 778, 556, 556, 500, 389, 280, 389, 584
+];
+// Ellipsis, bullet and dashes; other non-ASCII glyphs are close to 556
+const SPECIAL_WIDTHS = { 0x85: 1000, 0x95: 350, 0x96: 556, 0x97: 1000 };
+const DEFAULT_WIDTH = 556;
+
+// WinAnsi codes of typographic characters outside Latin-1
+const WIN_ANSI_EXTRAS = {
+  '€': 0x80, '‚': 0x82, '„': 0x84, '…': 0x85, '‘': 0x91, '’': 0x92,
+  '“': 0x93, '”': 0x94, '•': 0x95, '–': 0x96, '—': 0x97, '™': 0x99
+};
+
+/**
+ * Map text to the WinAnsi character set of the standard fonts.
+ * Characters it cannot show become "?", control characters a space.
+ *
+ * @param {*} text
+ * @returns {string} One char per byte (char codes 0-255)
+ */
+export function toWinAnsi(text) {
+  let out = '';
+  for (const char of String(text ?? '').normalize('NFC')) {
+    const code = char.codePointAt(0);
+    if (WIN_ANSI_EXTRAS[char] !== undefined) out += String.fromCharCode(WIN_ANSI_EXTRAS[char]);
+    else if (code < 32) out += ' ';
+    else if (code < 127 || (code >= 0xa0 && code <= 0xff)) out += char;
+    else out += '?';
+  }
+  return out;
+}
+
+/**
+ * Width of a string in points.
+ *
+ * @param {string} text
+ * @param {number} size - Font size in points
+ * @param {Object} [options]
+ * @param {boolean} [options.bold=false]
+ * @returns {number}
+ */
+export function measureText(text, size, options = {}) {
+  const widths = options.bold ? HELVETICA_BOLD_WIDTHS : HELVETICA_WIDTHS;
+  let total = 0;
+  for (const char of toWinAnsi(text)) {
+    const code = char.charCodeAt(0);
+    total += code >= 32 && code <= 126 ? widths[code - 32] : (SPECIAL_WIDTHS[code] || DEFAULT_WIDTH);
+  }
+  return (total * size) / 1000;
+}
+
+/**
+ * Shorten text with an ellipsis until it fits.
+ *
+ * @param {string} text
+ * @param {number} maxWidth - Points
+ * @param {number} size - Font size in points
+ * @param {Object} [options] - measureText() options
+ * @returns {string}
+ */
+export function fitText(text, maxWidth, size, options = {}) {
+  const value = String(text ?? '');
+  if (measureText(value, size, options) <= maxWidth) return value;
+  let end = value.length;
+  while (end > 0 && measureText(`${value.slice(0, end)}…`, size, options) > maxWidth) end--;
+  return end > 0 ? `${value.slice(0, end).trimEnd()}…` : '';
+}
+
+/**
+ * Word-wrap text to a width.
+ *
+ * @param {string} text
+ * @param {number} maxWidth - Points
+ * @param {number} size - Font size in points
+ * @param {Object} [options] - measureText() options, plus:
+ * @param {number} [options.maxLines=Infinity] - The last line gets an ellipsis when text is cut
+ * @returns {string[]}
+ */
+export function wrapText(text, maxWidth, size, options = {}) {
+  const { maxLines = Infinity } = options;
+  const words = String(text ?? '').split(/\s+/).filter(Boolean);
+  const lines = [];
+  let line = '';
+  for (let i = 0; i < words.length; i++) {
+    const candidate = line ? `${line} ${words[i]}` : words[i];
+    if (measureText(candidate, size, options) <= maxWidth || !line) {
+      line = candidate;
+      continue;
+    }
+    lines.push(fitText(line, maxWidth, size, options));
+    line = words[i];
+    if (lines.length === maxLines) {
+      lines[maxLines - 1] = fitText(`${lines[maxLines - 1]} ${words.slice(i).join(' ')}`, maxWidth, size, options);
+      return lines;
+    }
+  }
+  if (line) lines.push(fitText(line, maxWidth, size, options));
+  return lines;
+}
+
+const num = (value) => String(Math.round(value * 100) / 100);
+const color = (rgb) => rgb.map(num).join(' ');
+const pdfString = (text) => `(${toWinAnsi(text).replace(/[\\()]/g, '\\$&')})`;
+
+/**
+ * Internal: a page collecting content stream operators.
+ */
+function createPage(width, height) {
+  const ops = [];
+  const images = new Set();
+  const bottom = (top, h = 0) => height - top - h;
+
+  return {
+    width,
+    height,
+    ops,
+    images,
+
+    /**
+     * Draw text with its baseline at `top`.
+     * @param {string} text
+     * @param {number} x
+     * @param {number} top - Baseline, from the top of the page
+     * @param {Object} [options] - { size=10, bold=false, color=[0,0,0] }
+     */
+    text(text, x, top, options = {}) {
+      const { size = 10, bold = false, color: rgb = [0, 0, 0] } = options;
+      ops.push(`BT ${color(rgb)} rg /${bold ? 'F2' : 'F1'} ${num(size)} Tf ${num(x)} ${num(bottom(top))} Td ${pdfString(text)} Tj ET`);
+    },
+
+    /**
+     * Draw a rectangle.
+     * @param {number} x
+     * @param {number} top
+     * @param {number} w
+     * @param {number} h
+     * @param {Object} [options] - { fill: [r,g,b], stroke: [r,g,b], lineWidth=0.5 } (0-1 components)
+     */
+    rect(x, top, w, h, options = {}) {
+      const { fill, stroke, lineWidth = 0.5 } = options;
+      if (!fill && !stroke) return;
+      const paint = fill && stroke ? 'B' : fill ? 'f' : 'S';
+      ops.push(`q ${fill ? `${color(fill)} rg ` : ''}${stroke ? `${color(stroke)} RG ${num(lineWidth)} w ` : ''}${num(x)} ${num(bottom(top, h))} ${num(w)} ${num(h)} re ${paint} Q`);
+    },
+
+    /**
+     * Draw a line.
+     * @param {number} x1
+     * @param {number} top1
+     * @param {number} x2
+     * @param {number} top2
+     * @param {Object} [options] - { color=[0,0,0], lineWidth=0.5 }
+     */
+    line(x1, top1, x2, top2, options = {}) {
+      const { color: rgb = [0, 0, 0], lineWidth = 0.5 } = options;
+      ops.push(`q ${color(rgb)} RG ${num(lineWidth)} w ${num(x1)} ${num(bottom(top1))} m ${num(x2)} ${num(bottom(top2))} l S Q`);
+    },
+
+    /**
+     * Draw an image added with addJpeg(), stretched to the box.
+     * @param {number} image - Handle from addJpeg()
+     * @param {number} x
+     * @param {number} top
+     * @param {number} w
+     * @param {number} h
+     */
+    image(image, x, top, w, h) {
+      images.add(image);
+      ops.push(`q ${num(w)} 0 0 ${num(h)} ${num(x)} ${num(bottom(top, h))} cm /Im${image} Do Q`);
+    }
+  };
+}
+
+/**
+ * Create a PDF document.
+ *
+ * @param {Object} [options]
+ * @param {string} [options.title] - Document title (Info dictionary)
+ * @returns {{ addPage: Function, addJpeg: Function, pageCount: number, toBuffer: Function }}
+ *   addPage(width, height) returns a page with text(), rect(), line() and image();
+ *   addJpeg({ data, width, height }) takes an RGB baseline JPEG and returns an image handle
+ */
+export function createPdfDocument(options = {}) {
+  const pages = [];
+  const jpegs = [];
+
+  return {
+    addPage(width, height) {
+      const page = createPage(width, height);
+      pages.push(page);
+      return page;
+    },
+
+    addJpeg({ data, width, height }) {
+      jpegs.push({ data, width, height });
+      return jpegs.length - 1;
+    },
+
+    get pageCount() {
+      return pages.length;
+    },
+
+    /**
+     * Serialize the document.
+     * @returns {Buffer}
+     */
+    toBuffer() {
+      // 1 catalog, 2 page tree, 3-4 fonts, 5 info, then images, then page + content pairs
+      const firstImage = 6;
+      const firstPage = firstImage + jpegs.length;
+      const objects = [];
+      const stream = (dict, data) => Buffer.concat([
+        Buffer.from(`<< ${dict} /Length ${data.length} >>\nstream\n`, 'latin1'),
+        data,
+        Buffer.from('\nendstream', 'latin1')
+      ]);
+
+      objects.push('<< /Type /Catalog /Pages 2 0 R >>');
+      const kids = pages.map((_, i) => `${firstPage + i * 2} 0 R`).join(' ');
+      objects.push(`<< /Type /Pages /Kids [${kids}] /Count ${pages.length} >>`);
+      objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+      objects.push('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+      objects.push(`<< /Producer (photo-open-call-analyzer)${options.title ? ` /Title ${pdfString(options.title)}` : ''} >>`);
+      for (const jpeg of jpegs) {
+        objects.push(stream(`/Type /XObject /Subtype /Image /Width ${jpeg.width} /Height ${jpeg.height} /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode`, jpeg.data));
+      }
+      pages.forEach((page, i) => {
+        const xObjects = [...page.images].map(image => `/Im${image} ${firstImage + image} 0 R`).join(' ');
+        objects.push(`<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(page.width)} ${num(page.height)}] ` +
+          `/Resources << /Font << /F1 3 0 R /F2 4 0 R >>${xObjects ? ` /XObject << ${xObjects} >>` : ''} >> ` +
+          `/Contents ${firstPage + i * 2 + 1} 0 R >>`);
+        objects.push(stream('/Filter /FlateDecode', deflateSync(Buffer.from(page.ops.join('\n'), 'latin1'))));
+      });
+
+      const chunks = [Buffer.from('%PDF-1.4\n%\xe2\xe3\xcf\xd3\n', 'latin1')];
+      let offset = chunks[0].length;
+      const offsets = [];
+      objects.forEach((object, i) => {
+        const body = Buffer.isBuffer(object) ? object : Buffer.from(object, 'latin1');
+        const chunk = Buffer.concat([Buffer.from(`${i + 1} 0 obj\n`, 'latin1'), body, Buffer.from('\nendobj\n', 'latin1')]);
+        offsets.push(offset);
+        chunks.push(chunk);
+        offset += chunk.length;
+      });
+
+      const xref = [
+        'xref',
+        `0 ${objects.length + 1}`,
+        '0000000000 65535 f ',
+        ...offsets.map(o => `${String(o).padStart(10, '0')} 00000 n `),
+        'trailer',
+        `<< /Size ${objects.length + 1} /Root 1 0 R /Info 5 0 R >>`,
+        'startxref',
+        String(offset),
+        '%%EOF',
+        ''
+      ].join('\n');
+      chunks.push(Buffer.from(xref, 'latin1'));
+      return Buffer.concat(chunks);
+    }
+  };
+}
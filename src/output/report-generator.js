@@ -58,13 +58,35 @@ export function generateMarkdownReport(aggregation, tiers, stats, options = {})
   topPhotos.forEach((photo, index) => {
     const photoName = photo.photo.split('/').pop();
     report += `### ${index + 1}. ${photoName}\n`;
-    report += `**Overall Score**: ${photo.overall_score || 'N/A'}/10 | **Rank**: #${photo.rank}\n\n`;
+    report += `**Overall Score**: ${photo.overall_score || 'N/A'}/10 | **Rank**: #${photo.rank}\n`;
+    if (photo.score_interval) {
+      const { ci_lower, ci_upper, std, samples } = photo.score_interval;
+      report += `**95% CI**: ${ci_lower} - ${ci_upper} (σ ${std}, ${samples} samples)\n`;
+    }
+    if (photo.consensus) {
+      report += `**Model Panel**: ${formatPanelScores(photo.consensus)}\n`;
+      if (photo.consensus.disagreement) {
+        report += `**⚠️ Models disagree on**: ${photo.consensus.disagreement_criteria.join(', ')}\n`;
+      }
+    }
+    if (photo.technical_metrics) {
+      report += `**Technical**: ${formatTechnicalMetrics(photo.technical_metrics)}\n`;
+    }
+    if (photo.duplicate_cluster) {
+      const alternates = photo.duplicate_cluster.alternates
+        .map(a => `${a.filename} (${a.overall_score ?? 'not analyzed'})`)
+        .join(', ');
+      report += `**Best of ${photo.duplicate_cluster.size} near-duplicates** — alternates: ${alternates}\n`;
+    }
+    report += '\n';
 
     if (photo.individual_scores && Object.keys(photo.individual_scores).length > 0) {
       report += `**Criterion Scores**:\n`;
       Object.entries(photo.individual_scores).forEach(([criterion, data]) => {
         const bar = generateScoreBar(data.score);
-        report += `- ${criterion}: ${data.score}/10 ${bar}\n`;
+        const spread = data.std !== undefined ? ` ±${data.std}` : '';
+        const blend = data.llm_score !== undefined ? ` (model ${data.llm_score}, metrics ${data.technical_score})` : '';
+        report += `- ${criterion}: ${data.score}/10${spread}${blend} ${bar}\n`;
       });
       report += '\n';
     }
@@ -82,6 +104,17 @@ export function generateMarkdownReport(aggregation, tiers, stats, options = {})
     report += `| ${photo.rank} | ${photoName} | ${score} | ${recommendation} |\n`;
   });
 
+  // Multi-model panel: photos to review by hand
+  if (aggregation.disagreements && aggregation.disagreements.length > 0) {
+    report += `\n## Model Disagreements\n\n`;
+    report += `The model panel strongly disagreed on these photos. Review them by hand:\n\n`;
+    report += `| Rank | Photo | Max Spread | Criteria |\n`;
+    report += `|------|-------|------------|----------|\n`;
+    aggregation.disagreements.forEach((entry) => {
+      report += `| ${entry.rank} | ${entry.filename} | ${entry.max_range} | ${entry.criteria.join(', ')} |\n`;
+    });
+  }
+
   // Add failed photos section (FR-2.3)
   if (failedPhotos && failedPhotos.length > 0) {
     report += `\n## Failed Photos\n\n`;
@@ -97,6 +130,11 @@ export function generateMarkdownReport(aggregation, tiers, stats, options = {})
       report += `| ${photoName} | ${errorType} | ${reason} | ${action} |\n`;
     });
     report += '\n';
+
+    const baselines = failedPhotos.filter(f => typeof f.technical_score === 'number');
+    if (baselines.length > 0) {
+      report += `**Technical baseline** (local metrics only): ${baselines.map(f => `${f.photo} ${f.technical_score}/10`).join(', ')}\n\n`;
+    }
   }
 
   report += '\n---\n';
@@ -105,6 +143,35 @@ export function generateMarkdownReport(aggregation, tiers, stats, options = {})
   return report;
 }
 
+/**
+ * Format per-model averages and agreement for a consensus panel result
+ * @param {Object} consensus - scores.consensus from mergePanelResults()
+ * @returns {string} e.g. "llava:13b 7.6, moondream 6.1 (agreement 0.78)"
+ */
+function formatPanelScores(consensus) {
+  const models = consensus.models
+    .map(m => `${m.name} ${m.weighted_average ?? 'N/A'}`)
+    .join(', ');
+  return consensus.agreement !== null ? `${models} (agreement ${consensus.agreement})` : models;
+}
+
+/**
+ * Format technical metrics on one line
+ * @param {Object} metrics - scores.technical_metrics from computeTechnicalMetrics()
+ * @returns {string} e.g. "7.4/10 | sharpness 312.5 | clipping 0.4% / 1.2% | noise 2.1 | DR 6.8 stops | tilt 1.2°"
+ */
+function formatTechnicalMetrics(metrics) {
+  const parts = [
+    `${metrics.technical_score}/10`,
+    `sharpness ${metrics.sharpness}`,
+    `clipping ${metrics.highlight_clipping}% / ${metrics.shadow_clipping}%`,
+    `noise ${metrics.noise}`,
+    `DR ${metrics.dynamic_range} stops`
+  ];
+  if (metrics.horizon_tilt !== null) parts.push(`tilt ${metrics.horizon_tilt}°`);
+  return parts.join(' | ');
+}
+
 /**
  * Save report to file
  * @param {string} filePath - Path to save report
@@ -141,8 +208,29 @@ export function generateJsonReport(aggregation, tiers, stats, options = {}) {
       overall_score: photo.overall_score,
       individual_scores: photo.individual_scores,
       recommendation: photo.summary?.recommendation,
+      ...(photo.score_interval && { score_interval: photo.score_interval }),
+      ...(photo.ranking_score !== undefined && { ranking_score: photo.ranking_score }),
+      ...(photo.consensus && { consensus: photo.consensus }),
+      ...(photo.technical_metrics && { technical_metrics: photo.technical_metrics }),
+      ...(photo.photo_metadata && { photo_metadata: photo.photo_metadata }),
+      ...(photo.duplicate_cluster && { duplicate_cluster: photo.duplicate_cluster }),
     })),
   };
+
+  // Near-duplicate clusters collapsed in the ranking
+  if (aggregation.duplicate_clusters) {
+    report.duplicate_clusters = aggregation.duplicate_clusters;
+  }
+
+  // Multi-model panel: photos flagged for manual review
+  if (aggregation.disagreements) {
+    report.disagreements = aggregation.disagreements;
+  }
+
+  // Self-consistency sampling: record how the ranking was ordered
+  if (aggregation.rank_by) {
+    report.metadata.rank_by = aggregation.rank_by;
+  }
   
   // Add failed photos if any (FR-2.3)
   if (failedPhotos.length > 0) {
@@ -369,12 +457,14 @@ function generateScoreBar(score) {
  * @param {Object} tiers - Tier information
  * @param {Object} stats - Statistics
  * @param {Object} options - Export options including failedPhotos
+ * @returns {Object|null} The JSON report (for the HTML export), or null when json is not a format
  */
 export function exportReports(outputDir, aggregation, tiers, stats, options = {}) {
   try {
     logger.info(`Exporting reports to: ${outputDir}`);
 
     const { formats = ['markdown', 'json', 'csv'], basename = 'analysis-results', smartTiers = null, failedPhotos = [] } = options;
+    let jsonContent = null;
 
     if (formats.includes('markdown')) {
       const markdownContent = generateMarkdownReport(aggregation, tiers, stats, { ...options, failedPhotos });
@@ -390,7 +480,7 @@ export function exportReports(outputDir, aggregation, tiers, stats, options = {}
     }
 
     if (formats.includes('json')) {
-      const jsonContent = generateJsonReport(aggregation, tiers, stats, { failedPhotos });
+      jsonContent = generateJsonReport(aggregation, tiers, stats, { failedPhotos });
       const jsonPath = `${outputDir}/${basename}.json`;
       writeJson(jsonPath, jsonContent);
       logger.success(`JSON report saved to: ${jsonPath}`);
@@ -420,6 +510,7 @@ export function exportReports(outputDir, aggregation, tiers, stats, options = {}
     }
 
     logger.success('All reports exported successfully');
+    return jsonContent;
   } catch (error) {
     logger.error(`Report export failed: ${error.message}`);
     logger.error(`Stack: ${error.stack}`);
@@ -0,0 +1,150 @@
+/**
+ * Load an existing results run for report rebuilding
+ *
+ * Shared by the report command and the web export endpoint: the run's
+ * photo-analysis.json, its batch results and generated texts, the newest set
+ * analysis of the project and the analysis prompt (title and theme). Also
+ * lists timestamped runs, loads run snapshots for diff-runs and loads batch
+ * results alone for the portfolio allocator and the submission tracker.
+ *
+ * @module report-run-loader
+ */
+
+import { existsSync, readFileSync, readdirSync, realpathSync } from 'fs';
+import { join, basename } from 'path';
+import { RUN_METADATA_FILENAME } from '../analysis/run-diff.js';
+
+const readJsonIfExists = (filePath) => (existsSync(filePath) ? JSON.parse(readFileSync(filePath, 'utf8')) : null);
+
+/**
+ * Timestamped run directories under results/ that contain `file`, oldest first.
+ */
+function listRunsWith(resultsDir, file) {
+  if (!existsSync(resultsDir)) return [];
+  return readdirSync(resultsDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && entry.name !== 'latest' && /^\d{4}-/.test(entry.name))
+    .map(entry => entry.name)
+    .filter(name => existsSync(join(resultsDir, name, file)))
+    .sort();
+}
+
+/**
+ * Newest set-analysis.json among a project's timestamped runs.
+ *
+ * @param {string} resultsDir - Project results/ directory
+ * @returns {{ run: string, data: Object }|null}
+ */
+export function findLatestSetAnalysis(resultsDir) {
+  const runs = listRunsWith(resultsDir, 'set-analysis.json');
+  if (runs.length === 0) return null;
+  const run = runs[runs.length - 1];
+  return { run, data: JSON.parse(readFileSync(join(resultsDir, run, 'set-analysis.json'), 'utf8')) };
+}
+
+/**
+ * Timestamped runs of a project that have a photo-analysis.json, oldest first.
+ *
+ * @param {string} projectDir - Project root directory
+ * @returns {string[]} Run names
+ */
+export function listRuns(projectDir) {
+  return listRunsWith(join(projectDir, 'results'), 'photo-analysis.json');
+}
+
+/**
+ * Load the photo-analysis.json and run metadata of one timestamped run.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {string} run - Run name
+ * @returns {{ success: boolean, data?: { name: string, analysis: Object, metadata: Object|null }, error?: string }}
+ */
+export function loadRunSnapshot(projectDir, run) {
+  const runDir = join(projectDir, 'results', run);
+  if (!existsSync(join(runDir, 'photo-analysis.json'))) {
+    return { success: false, error: `No photo-analysis.json found in run ${run}` };
+  }
+  try {
+    return {
+      success: true,
+      data: {
+        name: run,
+        analysis: JSON.parse(readFileSync(join(runDir, 'photo-analysis.json'), 'utf8')),
+        metadata: readJsonIfExists(join(runDir, RUN_METADATA_FILENAME))
+      }
+    };
+  } catch (error) {
+    return { success: false, error: `Cannot read run ${run}: ${error.message}` };
+  }
+}
+
+/**
+ * Directory of a results run that holds `file`: the named run, else
+ * results/latest, then results/ itself.
+ */
+function findRunDir(projectDir, run, file) {
+  const resultsDir = join(projectDir, 'results');
+  const candidates = run ? [join(resultsDir, run)] : [join(resultsDir, 'latest'), resultsDir];
+  return candidates.find(dir => existsSync(join(dir, file))) || null;
+}
+
+/**
+ * Load only the batch-results.json of a results run, for callers that need
+ * per-photo scores but not the report.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {Object} [options]
+ * @param {string} [options.run] - Timestamped run name (default: latest, then results/ itself)
+ * @returns {{ success: boolean, data?: { runDir: string, batchResults: Object }, error?: string }}
+ */
+export function loadBatchResults(projectDir, options = {}) {
+  const runDir = findRunDir(projectDir, options.run, 'batch-results.json');
+  if (!runDir) {
+    return {
+      success: false,
+      error: `No batch-results.json found${options.run ? ` in run ${options.run}` : ''}. Run "analyze" first.`
+    };
+  }
+  try {
+    return { success: true, data: { runDir, batchResults: JSON.parse(readFileSync(join(runDir, 'batch-results.json'), 'utf8')) } };
+  } catch (error) {
+    return { success: false, error: `Cannot read batch results: ${error.message}` };
+  }
+}
+
+/**
+ * Load a results run.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {Object} [options]
+ * @param {string} [options.run] - Timestamped run name (default: latest, then results/ itself)
+ * @returns {{ success: boolean, data?: { runDir: string, runName: string, report: Object, batchResults: Object|null, generatedTexts: Object[]|null, sets: Object|null, setsRun: string|null, prompt: Object }, error?: string }}
+ */
+export function loadReportRun(projectDir, options = {}) {
+  const resultsDir = join(projectDir, 'results');
+  const runDir = findRunDir(projectDir, options.run, 'photo-analysis.json');
+  if (!runDir) {
+    return {
+      success: false,
+      error: `No photo-analysis.json found${options.run ? ` in run ${options.run}` : ''}. Run "analyze" first.`
+    };
+  }
+
+  try {
+    const sets = findLatestSetAnalysis(resultsDir);
+    return {
+      success: true,
+      data: {
+        runDir,
+        runName: basename(realpathSync(runDir)),
+        report: JSON.parse(readFileSync(join(runDir, 'photo-analysis.json'), 'utf8')),
+        batchResults: readJsonIfExists(join(runDir, 'batch-results.json')),
+        generatedTexts: readJsonIfExists(join(runDir, 'generated-texts.json')),
+        sets: sets?.data || null,
+        setsRun: sets?.run || null,
+        prompt: readJsonIfExists(join(projectDir, 'analysis-prompt.json')) || {}
+      }
+    };
+  } catch (error) {
+    return { success: false, error: `Cannot read results run: ${error.message}` };
+  }
+}
@@ -8,6 +8,46 @@ import { writeFileSync, mkdirSync, existsSync } from 'fs';
 import { join } from 'path';
 import { logger } from '../utils/logger.js';
 
+/**
+ * Markdown section for a set's recommended presentation order (set-sequencer.js).
+ * @param {Object} sequence - { order, score, method, transitions, pairs, rationale }
+ * @returns {string} Markdown content
+ */
+function generateSequenceMarkdown(sequence) {
+  let md = `### Presentation Order\n\n`;
+  md += `**Order**: ${sequence.order.join(' → ')} (flow ${sequence.score}/10, ${sequence.method})\n\n`;
+  if (sequence.pairs?.length > 1) {
+    md += `**Left/right pairs**: ${sequence.pairs.map(pair => pair.join(' | ')).join(' · ')}\n\n`;
+  }
+  if (sequence.transitions?.length > 0) {
+    md += `| Transition | Score | Why |\n`;
+    md += `|------------|-------|-----|\n`;
+    for (const t of sequence.transitions) {
+      md += `| ${t.from} → ${t.to} | ${t.score}/10 | ${t.reason || '-'} |\n`;
+    }
+    md += '\n';
+  }
+  md += `${sequence.rationale}\n\n`;
+  return md;
+}
+
+/**
+ * Filenames of a set in recommended presentation order: the set-sequencer
+ * order when present, else the model's suggestedOrder (1-based photo
+ * numbers), else the order the set was analysed in.
+ * @param {Object} set - Set entry from set-analysis.json
+ * @returns {string[]} Filenames
+ */
+export function getPresentationOrder(set) {
+  const filenames = (set.photos || []).map(p => p.filename);
+  if (set.sequence?.order?.length > 0) return set.sequence.order;
+  const suggested = set.suggestedOrder || [];
+  const isPermutation = suggested.length === filenames.length &&
+    new Set(suggested).size === suggested.length &&
+    suggested.every(n => Number.isInteger(n) && n >= 1 && n <= filenames.length);
+  return isPermutation ? suggested.map(n => filenames[n - 1]) : filenames;
+}
+
 /**
  * Generate Markdown report for set analysis results.
  * @param {Object[]} rankedSets - Sets ranked by composite score
@@ -35,6 +75,10 @@ export function generateSetMarkdownReport(rankedSets, statistics, setConfig, opt
     md += `**Composite Score**: ${best.compositeScore?.toFixed(2) || 'N/A'}/10\n`;
     md += `**Recommendation**: ${best.recommendation || 'N/A'}\n\n`;
 
+    if (best.constraintViolations?.length > 0) {
+      md += `**Breaks set constraints**: ${best.constraintViolations.join('; ')}\n\n`;
+    }
+
     if (best.photos) {
       md += `| # | Photo | Individual Score |\n`;
       md += `|---|-------|------------------|\n`;
@@ -44,7 +88,10 @@ export function generateSetMarkdownReport(rankedSets, statistics, setConfig, opt
       md += '\n';
     }
 
-    if (best.suggestedOrder && best.suggestedOrder.length > 0) {
+    // The sequencer's order supersedes the model's suggestedOrder
+    if (best.sequence) {
+      md += generateSequenceMarkdown(best.sequence);
+    } else if (best.suggestedOrder && best.suggestedOrder.length > 0) {
       md += `**Suggested viewing order**: ${best.suggestedOrder.join(' → ')}\n\n`;
     }
 
@@ -130,7 +177,9 @@ export function generateSetJsonReport(rankedSets, statistics, setConfig, options
       })),
       setScores: set.setScores,
       photoRoles: set.photoRoles,
-      weakestLink: set.weakestLink
+      weakestLink: set.weakestLink,
+      ...(set.sequence && { sequence: set.sequence }),
+      ...(set.constraintViolations && { constraintViolations: set.constraintViolations })
     })),
     statistics: statistics || {}
   };
@@ -297,7 +346,8 @@ export function generateGroupedSetJsonReport(groupRankings, setConfig, options =
         })),
         setScores: set.setScores,
         photoRoles: set.photoRoles,
-        weakestLink: set.weakestLink
+        weakestLink: set.weakestLink,
+        ...(set.sequence && { sequence: set.sequence })
       })),
       statistics: group.statistics || {}
     })),
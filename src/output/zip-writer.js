@@ -0,0 +1,133 @@
+/**
+ * Minimal ZIP writer for submission packages
+ *
+ * Writes a single-disk ZIP archive (no ZIP64, no encryption) in memory.
+ * Entries are deflated when that makes them smaller and stored otherwise,
+ * so already-compressed JPEGs are not compressed twice. Names are written
+ * as UTF-8 (general purpose flag bit 11).
+ *
+ * @module zip-writer
+ */
+
+import { deflateRawSync } from 'zlib';
+
+const LOCAL_HEADER = 0x04034b50;
+const CENTRAL_HEADER = 0x02014b50;
+const END_OF_CENTRAL_DIR = 0x06054b50;
+const UTF8_FLAG = 0x0800;
+const METHOD_STORE = 0;
+const METHOD_DEFLATE = 8;
+const VERSION = 20;
+const MAX_SIZE = 0xffffffff;
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+/**
+ * CRC-32 (IEEE) of a buffer, as used by ZIP and PNG.
+ *
+ * @param {Buffer} data
+ * @returns {number} Unsigned 32-bit checksum
+ */
+export function crc32(data) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < data.length; i++) crc = CRC_TABLE[(crc ^ data[i]) & 0xff] ^ (crc >>> 8);
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS time and date fields (local time, 2-second resolution).
+ * @param {Date} date
+ * @returns {{ time: number, date: number }}
+ */
+function dosDateTime(date) {
+  const year = Math.max(1980, date.getFullYear());
+  return {
+    time: (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2),
+    date: ((year - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate()
+  };
+}
+
+/**
+ * Build a ZIP archive.
+ *
+ * @param {Array<{ name: string, data: Buffer|string, date?: Date }>} entries - Files in archive order; names use forward slashes
+ * @param {Object} [options]
+ * @param {Date} [options.date] - Modification time for entries without their own (default: now)
+ * @returns {Buffer}
+ */
+export function createZip(entries, options = {}) {
+  const defaultDate = options.date || new Date();
+  const names = new Set();
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+
+  for (const entry of entries) {
+    if (!entry.name || entry.name.startsWith('/') || entry.name.split('/').includes('..')) {
+      throw new Error(`Invalid ZIP entry name: ${entry.name}`);
+    }
+    if (names.has(entry.name)) throw new Error(`Duplicate ZIP entry name: ${entry.name}`);
+    names.add(entry.name);
+
+    const data = Buffer.isBuffer(entry.data) ? entry.data : Buffer.from(String(entry.data), 'utf8');
+    const deflated = deflateRawSync(data);
+    const method = deflated.length < data.length ? METHOD_DEFLATE : METHOD_STORE;
+    const body = method === METHOD_DEFLATE ? deflated : data;
+    if (data.length > MAX_SIZE || offset + body.length > MAX_SIZE) {
+      throw new Error('ZIP archive too large (over 4 GB)');
+    }
+    const name = Buffer.from(entry.name, 'utf8');
+    const { time, date } = dosDateTime(entry.date || defaultDate);
+    const crc = crc32(data);
+
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(LOCAL_HEADER, 0);
+    local.writeUInt16LE(VERSION, 4);
+    local.writeUInt16LE(UTF8_FLAG, 6);
+    local.writeUInt16LE(method, 8);
+    local.writeUInt16LE(time, 10);
+    local.writeUInt16LE(date, 12);
+    local.writeUInt32LE(crc, 14);
+    local.writeUInt32LE(body.length, 18);
+    local.writeUInt32LE(data.length, 22);
+    local.writeUInt16LE(name.length, 26);
+    local.writeUInt16LE(0, 28);
+
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(CENTRAL_HEADER, 0);
+    central.writeUInt16LE(VERSION, 4);
+    central.writeUInt16LE(VERSION, 6);
+    central.writeUInt16LE(UTF8_FLAG, 8);
+    central.writeUInt16LE(method, 10);
+    central.writeUInt16LE(time, 12);
+    central.writeUInt16LE(date, 14);
+    central.writeUInt32LE(crc, 16);
+    central.writeUInt32LE(body.length, 20);
+    central.writeUInt32LE(data.length, 24);
+    central.writeUInt16LE(name.length, 28);
+    // Extra field, comment, disk number, internal and external attributes stay 0
+    central.writeUInt32LE(offset, 42);
+
+    locals.push(local, name, body);
+    centrals.push(central, name);
+    offset += local.length + name.length + body.length;
+  }
+
+  const centralDir = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(END_OF_CENTRAL_DIR, 0);
+  end.writeUInt16LE(entries.length, 8);
+  end.writeUInt16LE(entries.length, 10);
+  end.writeUInt32LE(centralDir.length, 12);
+  end.writeUInt32LE(offset, 16);
+
+  return Buffer.concat([...locals, centralDir, end]);
+}
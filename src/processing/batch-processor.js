@@ -15,6 +15,7 @@ import { computeConfigHash } from './checkpoint-manager.js';
 import {
   computePhotoHash,
   computeCacheKey,
+  computeCacheVariant,
   getCachedResult,
   setCachedResult,
   clearCache,
@@ -22,6 +23,23 @@ import {
 } from './cache-manager.js';
 import { ConcurrencyManager } from './concurrency-manager.js';
 import { getModelName } from '../utils/api-client.js';
+import { describePanel } from '../analysis/model-panel.js';
+import {
+  computeTechnicalMetricsSafe,
+  blendTechnicalScore,
+  resolveTechnicalMetricsConfig
+} from '../analysis/technical-metrics.js';
+import {
+  detectNearDuplicates,
+  nonRepresentativeMembers,
+  resolveDuplicateConfig
+} from '../analysis/duplicate-detector.js';
+import { resolvePreprocessingConfig } from '../utils/image-preprocessor.js';
+import {
+  extractPhotoMetadataSafe,
+  formatMetadataForPrompt,
+  resolvePhotoMetadataConfig
+} from '../utils/photo-metadata.js';
 import { validatePhoto, SUPPORTED_FORMATS } from './photo-validator.js';
 import { classifyError, ErrorType, getActionableMessage } from '../utils/error-classifier.js';
 
@@ -73,7 +91,13 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
     clearCheckpoint = false,
     analysisMode = 'auto', // ADR-014: smart auto-selection as default
     noCache = false, // FR-3.7: skip cache lookup when true
-    model = null // FR-3.9: resolved model override
+    model = null, // FR-3.9: resolved model override
+    samples = 1, // Self-consistency sampling: scores per photo
+    panel = null, // Multi-model consensus panel (resolveModelPanel)
+    technicalMetrics = resolveTechnicalMetricsConfig(openCallConfig), // Local sharp metrics + optional blend
+    duplicates = resolveDuplicateConfig(openCallConfig), // Near-duplicate clustering (duplicate-detector)
+    preprocess = null, // Image pre-processing settings (defaults from open-call.json)
+    photoMetadata = resolvePhotoMetadataConfig(openCallConfig) // EXIF/IPTC/XMP capture metadata
   } = options;
 
   // FR-3.8: Determine concurrency mode
@@ -92,6 +116,12 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
   // Determine project directory (parent of photos directory)
   const projectDir = dirname(photosDirectory);
 
+  // Resized sRGB JPEGs are sent to the model; derived images are cached under the project
+  const preprocessSettings = preprocess || resolvePreprocessingConfig(openCallConfig, projectDir);
+  if (preprocessSettings.enabled) {
+    logger.debug(`Pre-processing: long edge ${preprocessSettings.maxEdge}px, JPEG quality ${preprocessSettings.quality}`);
+  }
+
   // Handle --clear-checkpoint flag
   if (clearCheckpoint) {
     deleteCheckpoint(projectDir);
@@ -106,9 +136,69 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
 
   // Compute config hash for cache keys (FR-3.7)
   const configHash = openCallConfig ? computeConfigHash(openCallConfig) : '';
-  const modelName = getModelName(model);
+  const modelName = panel ? `panel:${describePanel(panel)}` : getModelName(model);
+  // Sampled results, a different metrics blend or other model input images get their own cache entries
+  const cacheVariant = computeCacheVariant({ samples, technicalMetrics, preprocess: preprocessSettings });
+  if (panel) {
+    logger.info(`Model panel: ${panel.models.map(m => `${m.name} (weight ${m.weight})`).join(', ')}`);
+  }
   let cacheHits = 0;
 
+  // Technical metrics are computed locally, so they are attached to every
+  // analysed photo and also to failures as a technical baseline
+  const withTechnicalBaseline = async (photoPath, data) => {
+    if (!technicalMetrics.enabled || !data?.scores || data.scores.technical_metrics) return data;
+    const metrics = await computeTechnicalMetricsSafe(photoPath);
+    if (!metrics) return data;
+    const scores = technicalMetrics.blend
+      ? blendTechnicalScore(data.scores, metrics, technicalMetrics.blend)
+      : data.scores;
+    return { ...data, scores: { ...scores, technical_metrics: metrics } };
+  };
+
+  // Capture metadata is read once per photo: before analysis when it goes
+  // into the prompt, and again when it is attached to the result
+  const metadataByPath = new Map();
+  const metadataFor = (photoPath) => {
+    if (!metadataByPath.has(photoPath)) {
+      metadataByPath.set(photoPath, extractPhotoMetadataSafe(photoPath));
+    }
+    return metadataByPath.get(photoPath);
+  };
+
+  const withPhotoMetadata = async (photoPath, data) => {
+    if (!photoMetadata.enabled || !data?.scores || data.scores.photo_metadata) return data;
+    const metadata = await metadataFor(photoPath);
+    if (!metadata || Object.keys(metadata).length === 0) return data;
+    return { ...data, scores: { ...data.scores, photo_metadata: metadata } };
+  };
+
+  const withLocalBaselines = async (photoPath, data) =>
+    withPhotoMetadata(photoPath, await withTechnicalBaseline(photoPath, data));
+
+  const promptFor = async (photoPath) => {
+    if (!photoMetadata.enabled || !photoMetadata.includeInPrompt) return analysisPrompt;
+    const captureContext = formatMetadataForPrompt(await metadataFor(photoPath));
+    return captureContext ? { ...analysisPrompt, captureContext } : analysisPrompt;
+  };
+
+  const withFailureBaseline = async (photo, failure) => {
+    let result = failure;
+    if (technicalMetrics.enabled) {
+      const metrics = await computeTechnicalMetricsSafe(photo.path);
+      if (metrics) {
+        const detail = failedPhotos.find(f => f.photo === photo.name);
+        if (detail) detail.technical_score = metrics.technical_score;
+        result = { ...result, photoPath: photo.path, technical_metrics: metrics };
+      }
+    }
+    const metadata = photoMetadata.enabled ? await metadataFor(photo.path) : null;
+    if (metadata && Object.keys(metadata).length > 0) {
+      result = { ...result, photoPath: photo.path, photo_metadata: metadata };
+    }
+    return result;
+  };
+
   // Try to load existing checkpoint
   let checkpoint = loadCheckpoint(projectDir);
   let resuming = false;
@@ -145,6 +235,21 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
     logger.info(`Found ${photos.length} photos to process`);
   }
 
+  // Cluster bursts and near-duplicates before analysis
+  let duplicateClusters = [];
+  if (duplicates.enabled && photos.length > 1) {
+    duplicateClusters = await detectNearDuplicates(photos, { threshold: duplicates.threshold });
+    if (duplicateClusters.length > 0) {
+      const clustered = duplicateClusters.reduce((sum, c) => sum + c.members.length, 0);
+      logger.info(`Near-duplicates: ${clustered} photos in ${duplicateClusters.length} cluster(s)`);
+      if (duplicates.representativesOnly) {
+        const skipped = nonRepresentativeMembers(duplicateClusters);
+        photosToAnalyze = photosToAnalyze.filter(photo => !skipped.has(photo.name));
+        logger.info(`Analyzing one representative per cluster (${skipped.size} alternates skipped)`);
+      }
+    }
+  }
+
   // Initialize checkpoint if starting fresh and config provided
   if (!resuming && openCallConfig) {
     checkpoint = initializeCheckpoint(
@@ -213,13 +318,19 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
     try {
       const probeValidation = await validatePhoto(probePhoto.path);
       if (probeValidation.valid) {
-        const probeResult = await analyzePhotoWithTimeout(probePhoto.path, analysisPrompt, {
+        let probeResult = asModelFailure(await analyzePhotoWithTimeout(probePhoto.path, await promptFor(probePhoto.path), {
           timeout: 300000, // generous 5min probe timeout
-          analysisMode: effectiveMode
-        });
-        const probeMs = performance.now() - probeStart;
+          analysisMode: effectiveMode,
+          samples,
+          model,
+          panel,
+          preprocess: preprocessSettings
+        }));
+        // Timeout applies per model call, so calibrate on the average call duration
+        const probeMs = (performance.now() - probeStart) / (samples * (panel ? panel.models.length : 1));
 
         if (probeResult.success) {
+          probeResult = { ...probeResult, data: await withLocalBaselines(probePhoto.path, probeResult.data) };
           photoTimeout = calculateProbeTimeout(probeMs);
           logger.info(`Probe: ${probePhoto.name} analyzed in ${(probeMs / 1000).toFixed(1)}s -> timeout set to ${(photoTimeout / 1000).toFixed(0)}s`);
 
@@ -232,7 +343,7 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
           if (!noCache && configHash) {
             try {
               const photoHash = await computePhotoHash(probePhoto.path);
-              const cacheKey = computeCacheKey(photoHash, configHash, modelName);
+              const cacheKey = computeCacheKey(photoHash, configHash, modelName, cacheVariant);
               setCachedResult(projectDir, cacheKey, probeResult.data, {
                 photoFilename: probePhoto.name,
                 photoHash,
@@ -298,14 +409,15 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
       if (!noCache && configHash) {
         try {
           const photoHash = await computePhotoHash(photo.path);
-          const cacheKey = computeCacheKey(photoHash, configHash, modelName);
+          const cacheKey = computeCacheKey(photoHash, configHash, modelName, cacheVariant);
           const cached = getCachedResult(projectDir, cacheKey);
 
           if (cached && cached.result) {
             cacheHits++;
             processed++;
             logger.success(`[${processed}/${photos.length}] [CACHE HIT] ${photo.name}`);
-            return { success: true, data: cached.result, photoName: photo.name, cacheHit: true };
+            const data = await withLocalBaselines(photo.path, cached.result);
+            return { success: true, data, photoName: photo.name, cacheHit: true };
           }
         } catch (cacheErr) {
           logger.debug(`Cache lookup failed for ${photo.name}: ${cacheErr.message}`);
@@ -313,17 +425,23 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
       }
 
       // 3. ANALYZE WITH TIMEOUT (FR-2.3) + MULTI-STAGE (FR-2.4) + AUTO (ADR-014)
-      const analysisResult = await analyzePhotoWithTimeout(photo.path, analysisPrompt, {
+      let analysisResult = asModelFailure(await analyzePhotoWithTimeout(photo.path, await promptFor(photo.path), {
         timeout: photoTimeout,
-        analysisMode: effectiveMode // Pass resolved mode (never 'auto')
-      });
+        analysisMode: effectiveMode, // Pass resolved mode (never 'auto')
+        samples,
+        model, // FR-3.9: --model / config model
+        panel,
+        preprocess: preprocessSettings
+      }));
 
       if (analysisResult.success) {
+        analysisResult = { ...analysisResult, data: await withLocalBaselines(photo.path, analysisResult.data) };
+
         // Store in cache (FR-3.7)
         if (!noCache && configHash) {
           try {
             const photoHash = await computePhotoHash(photo.path);
-            const cacheKey = computeCacheKey(photoHash, configHash, modelName);
+            const cacheKey = computeCacheKey(photoHash, configHash, modelName, cacheVariant);
             setCachedResult(projectDir, cacheKey, analysisResult.data, {
               photoFilename: photo.name,
               photoHash,
@@ -353,10 +471,22 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
           action: 'Reduce image size or increase --photo-timeout'
         });
         logger.warn(`⚠️ ${photo.name}: ${analysisResult.error}`);
-        return { success: false, error: analysisResult.error, photoName: photo.name, timedOut: true };
+        return withFailureBaseline(photo, { success: false, error: analysisResult.error, photoName: photo.name, timedOut: true });
+      } else if (analysisResult.modelFailed) {
+        // The vision call failed inside the analyzer; record it without stopping the batch
+        const classified = classifyError(new Error(analysisResult.error), { photo: photo.name });
+        failedPhotos.push({
+          photo: photo.name,
+          reason: classified.message,
+          type: classified.type,
+          action: classified.actionable
+        });
+        logger.error(`[${processed + 1}/${photos.length}] Failed: ${photo.name} - ${classified.message}`);
+        errors.push({ photo: photo.name, error: classified.message });
+        return withFailureBaseline(photo, { success: false, error: classified.message, photoName: photo.name });
       }
 
-      return { success: false, error: 'Unknown analysis result', photoName: photo.name };
+      return withFailureBaseline(photo, { success: false, error: 'Unknown analysis result', photoName: photo.name });
     } catch (error) {
       // CLASSIFY ERROR (FR-2.3)
       const classified = classifyError(error, { photo: photo.name });
@@ -380,7 +510,7 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
 
       logger.error(`[${processed + 1}/${photos.length}] Failed: ${photo.name} - ${classified.message}`);
       errors.push({ photo: photo.name, error: classified.message });
-      return { success: false, error: classified.message, photoName: photo.name };
+      return withFailureBaseline(photo, { success: false, error: classified.message, photoName: photo.name });
     } finally {
       const latencyMs = performance.now() - startTime;
       concurrencyMgr.reportLatency(slot, latencyMs);
@@ -435,9 +565,10 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
       total: photos.length,
       successful: results.filter((r) => r.success).length,
       failed: results.filter((r) => !r.success).length,
-      results: results.map((r) => (r.success ? { success: true, photo: r.data.photoPath, scores: r.data.scores } : { success: false, error: r.error })),
+      results: results.map(toResultEntry),
       errors,
       failedPhotos, // Include detailed failure information (FR-2.3)
+      duplicateClusters,
     };
 
     writeJson(summaryFile, batchSummary);
@@ -445,11 +576,7 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
   }
 
   // Map results to consistent structure for both file and return
-  const mappedResults = results.map((r) => 
-    r.success 
-      ? { success: true, photo: r.data.photoPath, scores: r.data.scores } 
-      : { success: false, error: r.error }
-  );
+  const mappedResults = results.map(toResultEntry);
 
   // Log cache stats (FR-3.7)
   if (!noCache && cacheHits > 0) {
@@ -470,17 +597,51 @@ export async function processBatch(photosDirectory, analysisPrompt, options = {}
     results: mappedResults,
     errors,
     failedPhotos, // Include failed photos with details (FR-2.3)
+    duplicateClusters, // Near-duplicate clusters (empty when none or disabled)
     cacheHits, // FR-3.7: number of cache hits
     performanceStats: perfStats, // FR-3.8: concurrency performance stats
   };
 }
 
 /**
- * Get list of photo files in a directory
- * @param {string} directory - Directory to scan
- * @returns {Array<Object>} Array of photo file objects
+ * The analyzers catch model errors and return them as data ({ error, scores: null }),
+ * which the timeout wrapper passes on as a success. Report those as failures.
+ * @param {Object} result - Result from analyzePhotoWithTimeout
+ * @returns {Object} The result, or { success: false, error, modelFailed: true }
+ */
+function asModelFailure(result) {
+  if (!result.success || (result.data?.scores && !result.data.error)) return result;
+  return { success: false, error: result.data?.error || 'Analysis returned no scores', modelFailed: true };
+}
+
+/**
+ * Shape a batch result for the returned results array. Failures keep their
+ * technical metrics and capture metadata so they can still be reported.
+ * @param {Object} r - Result from the concurrency manager
+ * @returns {Object} { success, photo, scores } or { success: false, error, ... }
+ */
+function toResultEntry(r) {
+  if (r.success) {
+    return { success: true, photo: r.data.photoPath, scores: r.data.scores };
+  }
+  if (!r.technical_metrics && !r.photo_metadata) {
+    return { success: false, error: r.error };
+  }
+  return {
+    success: false,
+    error: r.error,
+    photo: r.photoPath,
+    ...(r.technical_metrics && { technical_metrics: r.technical_metrics }),
+    ...(r.photo_metadata && { photo_metadata: r.photo_metadata })
+  };
+}
+
+/**
+ * List supported photos in a directory, sorted by filename.
+ * @param {string} directory - Photos directory
+ * @returns {Array<{name: string, path: string, size: number, ext: string}>}
  */
-function getPhotoFiles(directory) {
+export function getPhotoFiles(directory) {
   const photos = [];
 
   try {
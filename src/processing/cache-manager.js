@@ -33,16 +33,43 @@ export async function computePhotoHash(photoPath) {
   return crypto.createHash('sha256').update(fileBuffer).digest('hex');
 }
 
+/**
+ * Cache variant for the analysis settings that change a cached result but
+ * are not part of open-call.json: sampling, the technical-metrics blend and
+ * image pre-processing (CLI overrides such as --no-metrics, --no-preprocess).
+ *
+ * @param {Object} settings
+ * @param {number} [settings.samples=1] - Scores per photo
+ * @param {{ enabled: boolean, blend: { criterion: string, weight: number }|null }} [settings.technicalMetrics]
+ * @param {{ enabled: boolean, maxEdge: number, quality: number }|null} [settings.preprocess] - null: originals are sent
+ * @returns {string} Variant for computeCacheKey()
+ */
+export function computeCacheVariant({ samples = 1, technicalMetrics = null, preprocess } = {}) {
+  const parts = [];
+  if (samples > 1) parts.push(`samples=${samples}`);
+  if (technicalMetrics) {
+    const { enabled, blend } = technicalMetrics;
+    parts.push(!enabled ? 'metrics=off' : blend ? `metrics=blend:${blend.criterion.toLowerCase()}@${blend.weight}` : 'metrics=on');
+  }
+  if (preprocess !== undefined) {
+    parts.push(preprocess?.enabled ? `preprocess=${preprocess.maxEdge}/${preprocess.quality}` : 'preprocess=off');
+  }
+  return parts.join(';');
+}
+
 /**
  * Compute a composite cache key from photo hash, config hash, and model name.
  *
  * @param {string} photoHash - SHA-256 of photo file bytes
  * @param {string} configHash - SHA-256 of open-call.json config
  * @param {string} model - Ollama model name (e.g. 'llava:7b')
+ * @param {string} [variant=''] - Analysis variant (e.g. 'samples=5'); empty keeps legacy keys
  * @returns {string} SHA-256 hex string (64 characters)
  */
-export function computeCacheKey(photoHash, configHash, model) {
-  const combined = `${photoHash}:${configHash}:${model}`;
+export function computeCacheKey(photoHash, configHash, model, variant = '') {
+  const combined = variant
+    ? `${photoHash}:${configHash}:${model}:${variant}`
+    : `${photoHash}:${configHash}:${model}`;
   return crypto.createHash('sha256').update(combined, 'utf8').digest('hex');
 }
 
@@ -0,0 +1,257 @@
+/**
+ * Library-wide matching (match command)
+ *
+ * Scores a folder of photos (or a single photo) against the criteria of every
+ * active project and reports, per photo, which open call it fits best. This is
+ * the per-project flow turned around: instead of "which of my photos suit this
+ * call", it answers "which call suits this photo".
+ *
+ * Results are stored in each project's analysis cache under the same keys the
+ * analyze command uses (photo hash + config hash + model), so photos already
+ * analysed for a project are not sent to the model again, and a later
+ * `analyze` of that project reuses what match computed.
+ *
+ * @module call-matcher
+ */
+
+import { statSync } from 'fs';
+import { basename } from 'path';
+import { analyzePhotoWithTimeout } from '../analysis/photo-analyzer.js';
+import { describePanel } from '../analysis/model-panel.js';
+import {
+  computeTechnicalMetricsSafe,
+  blendTechnicalScore,
+  resolveTechnicalMetricsConfig
+} from '../analysis/technical-metrics.js';
+import { extractPhotoMetadataSafe, formatMetadataForPrompt, resolvePhotoMetadataConfig } from '../utils/photo-metadata.js';
+import { getModelName } from '../utils/api-client.js';
+import { logger } from '../utils/logger.js';
+import { computeConfigHash } from './checkpoint-manager.js';
+import { computePhotoHash, computeCacheKey, computeCacheVariant, getCachedResult, setCachedResult } from './cache-manager.js';
+import { getPhotoFiles } from './batch-processor.js';
+import { checkDeadline } from './submission-validator.js';
+import { SUPPORTED_FORMATS } from './photo-validator.js';
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * List the photos to match: every supported photo in a folder, or one photo.
+ *
+ * @param {string} photosPath - Folder of photos or a single photo file
+ * @returns {Array<{name: string, path: string}>}
+ */
+export function listMatchPhotos(photosPath) {
+  if (statSync(photosPath).isDirectory()) {
+    return getPhotoFiles(photosPath).map(({ name, path }) => ({ name, path }));
+  }
+  const ext = photosPath.split('.').pop().toLowerCase();
+  if (!SUPPORTED_FORMATS.includes(ext)) {
+    throw new Error(`Unsupported photo format: ${basename(photosPath)}`);
+  }
+  return [{ name: basename(photosPath), path: photosPath }];
+}
+
+/**
+ * Whether a call still accepts entries. Calls without a deadline count as open.
+ *
+ * @param {Object} config - Open call configuration
+ * @returns {boolean}
+ */
+export function isCallOpen(config) {
+  const deadline = config?.submissionRules?.deadline;
+  if (!deadline) return true;
+  return checkDeadline(deadline).status !== 'expired';
+}
+
+/**
+ * Summary score of one analysis result.
+ *
+ * @param {Object} data - Analysis result (with scores.summary)
+ * @returns {number|null}
+ */
+function fitScore(data) {
+  const summary = data?.scores?.summary;
+  const score = summary?.weighted_average || summary?.average;
+  return typeof score === 'number' ? score : null;
+}
+
+/**
+ * Score photos against one project, reusing its analysis cache.
+ *
+ * Misses are analysed the way analyze does it (capture context in the prompt
+ * and the technical-metrics blend when the project enables them) so the cache
+ * entries written here are interchangeable with analyze's.
+ *
+ * @param {Array<{name: string, path: string, hash?: string}>} photos - Photos to score
+ * @param {{ name: string, dir: string, config: Object }} project - Project to score against
+ * @param {Object} options
+ * @param {Object} options.analysisPrompt - Project analysis prompt
+ * @param {string} [options.model] - Resolved model name
+ * @param {Object} [options.panel] - Model panel (resolveModelPanel)
+ * @param {Object} [options.preprocess] - Pre-processing settings
+ * @param {number} [options.timeout=60000] - Timeout per photo in ms
+ * @param {string} [options.analysisMode='single'] - Analysis mode for cache misses
+ * @param {boolean} [options.noCache=false] - Skip cache lookups and writes
+ * @param {Function} [options.onPhoto] - Called with (photo, result) after each photo
+ * @returns {Promise<Array<{filename: string, score: number|null, cacheHit: boolean, error?: string}>>}
+ */
+export async function scoreAgainstProject(photos, project, options) {
+  const {
+    analysisPrompt,
+    model = null,
+    panel = null,
+    preprocess = null,
+    timeout = 60000,
+    analysisMode = 'single',
+    noCache = false,
+    onPhoto = () => {}
+  } = options;
+
+  const configHash = computeConfigHash(project.config);
+  const modelName = panel ? `panel:${describePanel(panel)}` : getModelName(model);
+  const technicalMetrics = resolveTechnicalMetricsConfig(project.config);
+  const photoMetadata = resolvePhotoMetadataConfig(project.config);
+  const cacheVariant = computeCacheVariant({ technicalMetrics, preprocess });
+
+  const results = [];
+  for (const photo of photos) {
+    let result;
+    try {
+      const photoHash = photo.hash || await computePhotoHash(photo.path);
+      const cacheKey = computeCacheKey(photoHash, configHash, modelName, cacheVariant);
+      const cached = noCache ? null : getCachedResult(project.dir, cacheKey);
+
+      if (cached?.result) {
+        result = { filename: photo.name, score: fitScore(cached.result), cacheHit: true };
+      } else {
+        let prompt = analysisPrompt;
+        if (photoMetadata.enabled && photoMetadata.includeInPrompt) {
+          const captureContext = formatMetadataForPrompt(await extractPhotoMetadataSafe(photo.path));
+          if (captureContext) prompt = { ...analysisPrompt, captureContext };
+        }
+
+        const analysis = await analyzePhotoWithTimeout(photo.path, prompt, {
+          timeout, analysisMode, model, panel, preprocess
+        });
+        if (!analysis.success) {
+          result = { filename: photo.name, score: null, cacheHit: false, error: analysis.error };
+        } else {
+          let data = analysis.data;
+          if (technicalMetrics.enabled && data?.scores && !data.scores.technical_metrics) {
+            const metrics = await computeTechnicalMetricsSafe(photo.path);
+            if (metrics) {
+              const scores = technicalMetrics.blend
+                ? blendTechnicalScore(data.scores, metrics, technicalMetrics.blend)
+                : data.scores;
+              data = { ...data, scores: { ...scores, technical_metrics: metrics } };
+            }
+          }
+          if (!noCache) {
+            setCachedResult(project.dir, cacheKey, data, {
+              photoFilename: photo.name,
+              photoHash,
+              configHash,
+              model: modelName
+            });
+          }
+          result = { filename: photo.name, score: fitScore(data), cacheHit: false };
+        }
+      }
+    } catch (error) {
+      logger.debug(`Match failed for ${photo.name} in ${project.name}: ${error.message}`);
+      result = { filename: photo.name, score: null, cacheHit: false, error: error.message };
+    }
+    results.push(result);
+    onPhoto(photo, result);
+  }
+  return results;
+}
+
+/**
+ * Build the photo × open call matrix with the best destination per photo.
+ * Ties go to the call with the earlier deadline, since it has to be entered first.
+ *
+ * @param {string[]} filenames - Photos in display order
+ * @param {Array<{ name: string, title?: string, deadline?: string|null, results: Array<{filename: string, score: number|null, cacheHit: boolean, error?: string}> }>} projects
+ * @returns {{ projects: Object[], photos: Object[], cacheHits: number, analyzed: number, failures: Object[] }}
+ *   Per photo: { filename, scores: {project: score|null}, best: {project, score}|null, runnerUp: {project, score}|null, margin }
+ */
+export function buildMatchMatrix(filenames, projects) {
+  const byProject = projects.map(project => new Map(project.results.map(r => [r.filename, r])));
+  const deadlineOrder = (project) => project.deadline || '9999-12-31';
+
+  const photos = filenames.map(filename => {
+    const scores = {};
+    const ranked = [];
+    projects.forEach((project, i) => {
+      const score = byProject[i].get(filename)?.score ?? null;
+      scores[project.name] = score === null ? null : round2(score);
+      if (score !== null) ranked.push({ project: project.name, score: round2(score), deadline: deadlineOrder(project) });
+    });
+    ranked.sort((a, b) => b.score - a.score || a.deadline.localeCompare(b.deadline));
+    const [best, runnerUp] = ranked.map(({ project, score }) => ({ project, score }));
+
+    return {
+      filename,
+      scores,
+      best: best || null,
+      runnerUp: runnerUp || null,
+      margin: best && runnerUp ? round2(best.score - runnerUp.score) : null
+    };
+  });
+
+  const allResults = projects.flatMap(project => project.results.map(r => ({ ...r, project: project.name })));
+  return {
+    projects: projects.map(project => ({
+      name: project.name,
+      title: project.title || project.name,
+      deadline: project.deadline || null,
+      bestFor: photos.filter(p => p.best?.project === project.name).map(p => p.filename)
+    })),
+    photos,
+    cacheHits: allResults.filter(r => r.cacheHit).length,
+    analyzed: allResults.filter(r => !r.cacheHit && !r.error).length,
+    failures: allResults.filter(r => r.error).map(({ filename, project, error }) => ({ filename, project, error }))
+  };
+}
+
+/**
+ * Match photos against several projects.
+ *
+ * Each photo is hashed once. Before a project is scored, prepareProject()
+ * sets up what depends on it (provider, prompt, model) and returns the
+ * scoreAgainstProject() options.
+ *
+ * @param {Array<{name: string, path: string}>} photos - Photos to match
+ * @param {Array<{ name: string, dir: string, config: Object }>} projects - Projects to match against
+ * @param {Object} options
+ * @param {Function} options.prepareProject - async (project) => scoreAgainstProject options
+ * @param {Function} [options.onPhoto] - Called with (project, photo, result) after each photo
+ * @returns {Promise<Object>} Matrix from buildMatchMatrix()
+ */
+export async function matchPhotos(photos, projects, options) {
+  const { prepareProject, onPhoto = () => {} } = options;
+
+  const hashed = [];
+  for (const photo of photos) {
+    hashed.push({ ...photo, hash: await computePhotoHash(photo.path) });
+  }
+
+  const scored = [];
+  for (const project of projects) {
+    const settings = await prepareProject(project);
+    const results = await scoreAgainstProject(hashed, project, {
+      ...settings,
+      onPhoto: (photo, result) => onPhoto(project, photo, result)
+    });
+    scored.push({
+      name: project.name,
+      title: project.config.title,
+      deadline: project.config.submissionRules?.deadline || null,
+      results
+    });
+  }
+
+  return buildMatchMatrix(photos.map(p => p.name), scored);
+}
+
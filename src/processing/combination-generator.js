@@ -3,9 +3,24 @@
  * Implements the combinatorial optimization for finding optimal K-from-N photo sets.
  * Part of FR-3.11: Polaroid Set Analysis (ADR-015).
  * Extended with group-aware partitioning for FR-4.8: Photo Groups / Series Support.
+ * Search strategies beyond exhaustive enumeration live in set-optimizer.js,
+ * setMode constraints (pinned, excluded, pairing and group rules) in set-constraints.js.
  */
 
 import { resolvePhotoGroups } from './photo-group-resolver.js';
+import { buildClusterIndex } from '../analysis/duplicate-detector.js';
+import { logger } from '../utils/logger.js';
+import { createSetObjective, searchSets, SEARCH_STRATEGIES, DEFAULT_SEARCH_BUDGET } from './set-optimizer.js';
+import {
+  SetConstraintError,
+  buildGroupIndex,
+  checkConstraintFeasibility,
+  describeSetConstraints,
+  findConstraintViolations,
+  hasGroupConstraints
+} from './set-constraints.js';
+
+export { calculateDiversity } from './set-optimizer.js';
 
 /**
  * Count total combinations C(n, k).
@@ -59,104 +74,168 @@ export function* generateCombinations(items, k) {
   }
 }
 
-/**
- * Calculate diversity score for a set of photos based on criterion score profiles.
- * Higher diversity means photos have different strengths/weaknesses.
- * @param {Object[]} photos - Photos with scores property { criterion: score }
- * @returns {number} Diversity score 0-1
- */
-export function calculateDiversity(photos) {
-  if (!photos || photos.length < 2) return 0;
-
-  const scoreMaps = photos.map(p => p.scores || {});
-  const allCriteria = [...new Set(scoreMaps.flatMap(s => Object.keys(s)))];
-
-  if (allCriteria.length === 0) return 0;
-
-  // Calculate pairwise distance between score profiles
-  let totalDistance = 0;
-  let pairCount = 0;
-
-  for (let i = 0; i < photos.length; i++) {
-    for (let j = i + 1; j < photos.length; j++) {
-      let sumSquaredDiff = 0;
-      for (const criterion of allCriteria) {
-        const scoreA = scoreMaps[i][criterion] || 0;
-        const scoreB = scoreMaps[j][criterion] || 0;
-        sumSquaredDiff += (scoreA - scoreB) ** 2;
-      }
-      totalDistance += Math.sqrt(sumSquaredDiff / allCriteria.length);
-      pairCount++;
-    }
-  }
-
-  if (pairCount === 0) return 0;
-
-  const avgDistance = totalDistance / pairCount;
-  // Normalize to 0-1 range (max possible distance with scores 0-10 is 10)
-  return Math.min(avgDistance / 10, 1);
-}
-
 const MAX_SAFE_COMBINATIONS = 10000;
 
 /**
- * Select top candidate sets using multi-phase pre-filtering.
+ * Select top candidate sets.
  *
- * Phase 1: Pre-filter to top N photos (by individual score)
- * Phase 2: Score all C(N,K) combinations by sum of individual scores + diversity bonus
+ * Phase 1: Drop excluded photos and all but the best-ranked member of each
+ *          near-duplicate cluster (a pinned member wins over better-ranked
+ *          siblings) so no set ever contains two frames of the same burst
+ * Phase 2: Search for the best sets with the chosen strategy, scoring each set
+ *          with the set-optimizer objective (individual scores, diversity,
+ *          cached pairwise coherence, duplicate and constraint penalties).
+ *          Pinned photos are fixed, so only the remaining slots are searched.
  * Phase 3: Return top M candidates sorted by pre-score
  *
+ * The exhaustive strategy scores all C(N,K) combinations of the top
+ * preFilterTopN photos. "auto" runs exhaustively over every photo when the
+ * combinations fit the budget and falls back to beam search otherwise.
+ *
+ * With setMode constraints (set-constraints.js), sets that break them are
+ * never returned. Constraints that cannot be met, or a search that finds no
+ * valid set, throw a SetConstraintError naming the reason; finding fewer
+ * valid sets than maxSetsToEvaluate logs a warning.
+ *
  * @param {Object[]} rankedPhotos - Photos sorted by individual score (desc), with filename, score, scores
  * @param {number} setSize - Number of photos per set
  * @param {Object} options - Selection options
  * @param {number} [options.maxSetsToEvaluate=10] - Max sets to return
- * @param {number} [options.preFilterTopN=12] - Consider only top N photos
- * @param {number} [options.maxCombinations=10000] - Safety limit for total combinations
- * @returns {Object[]} Top candidate sets with { photos, preScore, diversityBonus }
+ * @param {string} [options.strategy='exhaustive'] - One of SEARCH_STRATEGIES
+ * @param {number} [options.budget=20000] - Approximate number of set evaluations for search strategies
+ * @param {number} [options.preFilterTopN=12] - Exhaustive strategy: consider only top N photos
+ * @param {number} [options.maxCombinations=10000] - Exhaustive strategy: safety limit for total combinations
+ * @param {Array<{ id: string, members: string[] }>} [options.duplicateClusters] - Near-duplicate clusters (filenames)
+ * @param {Map<string, number>} [options.pairCoherence] - Cached pairwise coherence (set-optimizer.js)
+ * @param {number} [options.seed] - Seed for the annealing strategy
+ * @param {Object} [options.constraints] - From resolveSetConstraints()
+ * @param {{ names: string[], index: Map<string, string[]> }} [options.groups] - From buildGroupIndex(), for group constraints
+ * @returns {Object[]} Top candidate sets with { photos, preScore, sumIndividualScore, diversityBonus, coherenceBonus, duplicatePenalty }
  */
 export function selectCandidateSets(rankedPhotos, setSize, options = {}) {
-  const { maxSetsToEvaluate = 10, preFilterTopN = 12, maxCombinations = MAX_SAFE_COMBINATIONS } = options;
+  const {
+    maxSetsToEvaluate = 10,
+    strategy = 'exhaustive',
+    budget = DEFAULT_SEARCH_BUDGET,
+    preFilterTopN = 12,
+    maxCombinations = MAX_SAFE_COMBINATIONS,
+    constraints = null,
+    groups = { names: [], index: new Map() }
+  } = options;
+
+  if (!SEARCH_STRATEGIES.includes(strategy)) {
+    throw new Error(`Unknown search strategy "${strategy}". Use one of: ${SEARCH_STRATEGIES.join(', ')}`);
+  }
 
   if (!rankedPhotos || rankedPhotos.length < setSize) {
     return [];
   }
 
-  // Phase 1: Pre-filter to top N photos
-  const topPhotos = rankedPhotos.slice(0, preFilterTopN);
-
-  if (topPhotos.length < setSize) {
-    return [];
+  const infeasible = checkConstraintFeasibility(rankedPhotos, setSize, constraints, groups);
+  if (infeasible.length > 0) {
+    throw new SetConstraintError(`Set constraints cannot be met: ${infeasible.join('; ')}`, infeasible);
   }
 
-  // Safety check: prevent memory exhaustion from excessive combinations
-  const totalCombinations = countCombinations(topPhotos.length, setSize);
-  if (totalCombinations > maxCombinations) {
-    throw new Error(
-      `Too many combinations: C(${topPhotos.length},${setSize}) = ${totalCombinations} exceeds limit of ${maxCombinations}. ` +
-      `Reduce photo count or increase set size.`
-    );
+  // Phase 1: Drop excluded photos, then one photo per near-duplicate cluster
+  const pinned = new Set(constraints?.pinned);
+  const excluded = new Set(constraints?.excluded);
+  const eligible = rankedPhotos.filter(photo => !excluded.has(photo.filename));
+  const clusterIndex = buildClusterIndex(options.duplicateClusters);
+  const seenClusters = new Map();
+  for (const photo of [...eligible].sort((a, b) => pinned.has(b.filename) - pinned.has(a.filename))) {
+    const cluster = clusterIndex.get(photo.filename);
+    if (!cluster) continue;
+    if (!seenClusters.has(cluster.id)) {
+      seenClusters.set(cluster.id, photo.filename);
+    } else if (pinned.has(photo.filename)) {
+      const reason = `pinned photos "${seenClusters.get(cluster.id)}" and "${photo.filename}" are near-duplicates`;
+      throw new SetConstraintError(`Set constraints cannot be met: ${reason}`, [reason]);
+    }
+  }
+  const distinctPhotos = clusterIndex.size === 0 ? eligible : eligible.filter(photo => {
+    const cluster = clusterIndex.get(photo.filename);
+    return !cluster || seenClusters.get(cluster.id) === photo.filename;
+  });
+
+  // Pinned photos are in every set; the search only fills the open slots
+  const pinnedPhotos = distinctPhotos.filter(photo => pinned.has(photo.filename));
+  const pool = distinctPhotos.filter(photo => !pinned.has(photo.filename));
+  const openSlots = setSize - pinnedPhotos.length;
+
+  const scoreSet = createSetObjective({
+    duplicateClusters: options.duplicateClusters,
+    pairCoherence: options.pairCoherence,
+    ...(constraints && {
+      countViolations: (photos) => findConstraintViolations(photos.map(p => p.filename), constraints, groups, setSize).length
+    })
+  });
+  const objective = pinnedPhotos.length > 0 ? (photos) => scoreSet([...pinnedPhotos, ...photos]) : scoreSet;
+
+  let resolved = strategy;
+  if (strategy === 'auto') {
+    const fits = countCombinations(pool.length, openSlots) <= Math.min(budget, maxCombinations);
+    resolved = fits ? 'exhaustive' : 'beam';
   }
 
-  // Phase 2: Score all combinations
-  const scoredSets = [];
+  // Phase 2: Search
+  let scoredSets;
+  if (openSlots === 0) {
+    scoredSets = [scoreSet(pinnedPhotos)];
+  } else if (resolved === 'exhaustive') {
+    const topPhotos = strategy === 'auto' ? pool : pool.slice(0, Math.max(0, preFilterTopN - pinnedPhotos.length));
 
-  for (const combo of generateCombinations(topPhotos, setSize)) {
-    const sumScore = combo.reduce((sum, p) => sum + (p.score || 0), 0);
-    const diversity = calculateDiversity(combo);
-    const diversityBonus = diversity * 2; // Up to 2 bonus points
-    const preScore = sumScore + diversityBonus;
+    if (topPhotos.length < openSlots) {
+      return constraints ? reportConstrainedResult([], setSize, maxSetsToEvaluate, constraints) : [];
+    }
 
-    scoredSets.push({
-      photos: combo,
-      preScore: Math.round(preScore * 1000) / 1000,
-      sumIndividualScore: Math.round(sumScore * 1000) / 1000,
-      diversityBonus: Math.round(diversityBonus * 1000) / 1000
+    // Safety check: prevent memory exhaustion from excessive combinations
+    const totalCombinations = countCombinations(topPhotos.length, openSlots);
+    if (totalCombinations > maxCombinations) {
+      throw new Error(
+        `Too many combinations: C(${topPhotos.length},${openSlots}) = ${totalCombinations} exceeds limit of ${maxCombinations}. ` +
+        `Reduce photo count or increase set size.`
+      );
+    }
+
+    scoredSets = [];
+    for (const combo of generateCombinations(topPhotos, openSlots)) {
+      scoredSets.push(objective(combo));
+    }
+    scoredSets.sort((a, b) => b.preScore - a.preScore);
+  } else {
+    if (pool.length < openSlots) {
+      return constraints ? reportConstrainedResult([], setSize, maxSetsToEvaluate, constraints) : [];
+    }
+    scoredSets = searchSets(resolved, pool, openSlots, objective, {
+      budget,
+      keep: maxSetsToEvaluate,
+      seed: options.seed
     });
   }
 
-  // Phase 3: Sort by pre-score and return top M
-  scoredSets.sort((a, b) => b.preScore - a.preScore);
-  return scoredSets.slice(0, maxSetsToEvaluate);
+  logger.debug(`Set search: ${resolved} over ${pool.length} photos, ${scoredSets.length} candidate sets`);
+
+  // Phase 3: Return top M
+  if (!constraints) {
+    return scoredSets.slice(0, maxSetsToEvaluate);
+  }
+  const validSets = scoredSets.filter(set => !(set.constraintPenalty > 0)).slice(0, maxSetsToEvaluate);
+  return reportConstrainedResult(validSets, setSize, maxSetsToEvaluate, constraints);
+}
+
+function reportConstrainedResult(validSets, setSize, maxSetsToEvaluate, constraints) {
+  if (validSets.length === 0) {
+    throw new SetConstraintError(
+      `No ${setSize}-photo set satisfies the set constraints (${describeSetConstraints(constraints)})`
+    );
+  }
+  if (validSets.length < maxSetsToEvaluate) {
+    logger.warn(
+      `Only ${validSets.length} of ${maxSetsToEvaluate} requested candidate sets satisfy the set constraints ` +
+      `(${describeSetConstraints(constraints)})`
+    );
+  }
+  return validSets;
 }
 
 /**
@@ -164,6 +243,11 @@ export function selectCandidateSets(rankedPhotos, setSize, options = {}) {
  * When photoGroups are provided, runs selectCandidateSets independently per group.
  * When photoGroups are not provided, delegates to selectCandidateSets (backward compatible).
  *
+ * Group constraints (coverGroups, maxPerGroup) mix groups within a set, so
+ * they select across all photos at once and return an ungrouped result.
+ * In per-group selection a pinned photo only binds the groups that contain
+ * it, and a group whose constraints cannot be met is skipped with the reason.
+ *
  * @param {Object[]} rankedPhotos - All photos sorted by score (desc)
  * @param {number} setSize - Photos per set
  * @param {Array<{name: string, pattern: string}>|undefined} photoGroups - Optional group definitions
@@ -174,6 +258,14 @@ export function selectCandidateSets(rankedPhotos, setSize, options = {}) {
  *   Ungrouped: { grouped: false, candidates: Object[] }
  */
 export function selectCandidateSetsByGroup(rankedPhotos, setSize, photoGroups, photosDir, options = {}) {
+  const { constraints } = options;
+
+  if (hasGroupConstraints(constraints)) {
+    const groups = buildGroupIndex(photoGroups, rankedPhotos, photosDir);
+    const candidates = selectCandidateSets(rankedPhotos, setSize, { ...options, groups });
+    return { grouped: false, candidates };
+  }
+
   // No groups: backward compatible delegation
   if (!photoGroups || photoGroups.length === 0) {
     const candidates = selectCandidateSets(rankedPhotos, setSize, options);
@@ -204,7 +296,24 @@ export function selectCandidateSetsByGroup(rankedPhotos, setSize, photoGroups, p
       continue;
     }
 
-    const candidates = selectCandidateSets(sortedGroupPhotos, setSize, options);
+    let candidates;
+    try {
+      candidates = selectCandidateSets(sortedGroupPhotos, setSize, {
+        ...options,
+        ...(constraints && { constraints: constrainToGroup(constraints, sortedGroupPhotos) })
+      });
+    } catch (error) {
+      if (!(error instanceof SetConstraintError)) throw error;
+      groupResults.push({
+        name: groupName,
+        candidates: [],
+        photoCount: sortedGroupPhotos.length,
+        skipped: true,
+        skipReason: error.message
+      });
+      continue;
+    }
+
     groupResults.push({
       name: groupName,
       candidates,
@@ -219,3 +328,8 @@ export function selectCandidateSetsByGroup(rankedPhotos, setSize, photoGroups, p
     warnings: resolution.warnings
   };
 }
+
+function constrainToGroup(constraints, groupPhotos) {
+  const members = new Set(groupPhotos.map(photo => photo.filename));
+  return { ...constraints, pinned: constraints.pinned.filter(filename => members.has(filename)) };
+}
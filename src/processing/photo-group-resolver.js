@@ -2,20 +2,68 @@
  * Photo Group Resolver (FR-4.8)
  *
  * Resolves photo group definitions against available (already-analyzed) photos
- * using glob patterns. Groups partition photos into named series/collections
- * for set-level analysis.
+ * using glob patterns, explicit file lists and/or capture metadata. Groups
+ * partition photos into named series/collections for set-level analysis.
  *
  * Uses fs.globSync with cwd option for filesystem-based glob matching,
  * then intersects with the available photos array to produce group assignments.
+ * Metadata selectors (dateRange, camera, location) match against each photo's
+ * `photo_metadata` (photo-metadata.js); every selector a group defines must match.
  */
 
 import { globSync } from 'fs';
+import { distanceKm } from '../utils/photo-metadata.js';
+
+const GROUP_SELECTORS = ['pattern', 'files', 'dateRange', 'camera', 'location'];
 
 /**
- * Resolve photo group definitions against available photos using glob patterns.
- * Uses fs.globSync with cwd option for filesystem-based glob matching.
+ * Whether a photo's capture metadata satisfies a group's metadata selectors.
+ * Photos without the needed metadata never match.
  *
- * @param {Array<{name: string, pattern: string}>} photoGroups - Group definitions from config
+ * @param {Object} group - Group definition
+ * @param {Object} photo - Photo with optional `photo_metadata`
+ * @returns {boolean}
+ */
+export function matchesMetadataSelectors(group, photo) {
+  const metadata = photo.photo_metadata || {};
+
+  if (group.dateRange) {
+    const day = metadata.captured_at?.slice(0, 10);
+    if (!day) return false;
+    if (group.dateRange.from && day < group.dateRange.from) return false;
+    if (group.dateRange.to && day > group.dateRange.to) return false;
+  }
+
+  if (group.camera) {
+    if (!metadata.camera?.toLowerCase().includes(group.camera.toLowerCase())) return false;
+  }
+
+  if (group.location) {
+    if (!metadata.gps) return false;
+    if (distanceKm(metadata.gps, group.location) > group.location.radiusKm) return false;
+  }
+
+  return true;
+}
+
+function describeSelectors(group) {
+  const parts = [];
+  if (group.pattern) parts.push(`pattern "${group.pattern}"`);
+  if (group.files) parts.push(`files [${group.files.join(', ')}]`);
+  if (group.dateRange) parts.push(`dateRange ${group.dateRange.from || '…'} to ${group.dateRange.to || '…'}`);
+  if (group.camera) parts.push(`camera "${group.camera}"`);
+  if (group.location) {
+    parts.push(`location within ${group.location.radiusKm}km of ${group.location.latitude},${group.location.longitude}`);
+  }
+  return parts.join(' + ');
+}
+
+/**
+ * Resolve photo group definitions against available photos using glob patterns
+ * and capture metadata. Uses fs.globSync with cwd option for filesystem-based
+ * glob matching.
+ *
+ * @param {Array<{name: string, pattern?: string, files?: string[], dateRange?: {from?: string, to?: string}, camera?: string, location?: {latitude: number, longitude: number, radiusKm: number}}>} photoGroups - Group definitions from config
  * @param {Object[]} availablePhotos - Photos with at least a `filename` property (from batch results)
  * @param {string} photosDir - Absolute path to photos/ directory (for globSync resolution)
  * @returns {{ success: boolean, groups: Map<string, Object[]>, warnings: string[], error: string|null }}
@@ -51,12 +99,12 @@ export function resolvePhotoGroups(photoGroups, availablePhotos, photosDir) {
         error: 'Each group must have a name',
       };
     }
-    if (!group.pattern) {
+    if (!GROUP_SELECTORS.some(key => group[key])) {
       return {
         success: false,
         groups: new Map(),
         warnings: [],
-        error: 'Each group must have a pattern',
+        error: 'Each group must have a pattern, files, dateRange, camera or location',
       };
     }
   }
@@ -78,22 +126,34 @@ export function resolvePhotoGroups(photoGroups, availablePhotos, photosDir) {
     photosByFilename.set(photo.filename, photo);
   }
 
-  // 6. Resolve each group using globSync
+  // 6. Resolve each group using globSync, file lists and metadata selectors
   const groups = new Map();
   const assignedFilenames = new Set();
   const matchCounts = new Map(); // filename -> number of groups it matched
+  const warnings = [];
 
   for (const group of photoGroups) {
-    const matchedFiles = globSync(group.pattern, { cwd: photosDir });
+    // Intersect glob results / file lists with available (analyzed) photos; neither = all photos
+    let filenames = group.pattern ? globSync(group.pattern, { cwd: photosDir }) : null;
+    if (group.files) {
+      const missing = group.files.filter(filename => !photosByFilename.has(filename));
+      if (missing.length > 0) {
+        warnings.push(`Group "${group.name}": ${missing.length} listed file(s) not analyzed: ${missing.join(', ')}`);
+      }
+      filenames = filenames ? group.files.filter(filename => filenames.includes(filename)) : group.files;
+    }
+    const candidates = filenames
+      ? filenames
+        .filter(filename => photosByFilename.has(filename))
+        .map(filename => photosByFilename.get(filename))
+      : availablePhotos;
 
-    // Intersect glob results with available (analyzed) photos
     const matchedPhotos = [];
-    for (const filename of matchedFiles) {
-      if (photosByFilename.has(filename)) {
-        matchedPhotos.push(photosByFilename.get(filename));
-        assignedFilenames.add(filename);
-        matchCounts.set(filename, (matchCounts.get(filename) || 0) + 1);
-      }
+    for (const photo of candidates) {
+      if (!matchesMetadataSelectors(group, photo)) continue;
+      matchedPhotos.push(photo);
+      assignedFilenames.add(photo.filename);
+      matchCounts.set(photo.filename, (matchCounts.get(photo.filename) || 0) + 1);
     }
 
     if (matchedPhotos.length === 0) {
@@ -101,7 +161,7 @@ export function resolvePhotoGroups(photoGroups, availablePhotos, photosDir) {
         success: false,
         groups: new Map(),
         warnings: [],
-        error: `Group "${group.name}" pattern "${group.pattern}" matched 0 photos`,
+        error: `Group "${group.name}" ${describeSelectors(group)} matched 0 photos`,
       };
     }
 
@@ -109,7 +169,6 @@ export function resolvePhotoGroups(photoGroups, availablePhotos, photosDir) {
   }
 
   // 7. Build warnings
-  const warnings = [];
 
   // Orphan photos: present in availablePhotos but not assigned to any group
   const unmatched = availablePhotos.filter(p => !assignedFilenames.has(p.filename));
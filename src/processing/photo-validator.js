@@ -2,7 +2,8 @@
  * Photo Validation Module
  * 
  * Validates photo files before analysis to catch errors early.
- * Supports: JPEG, PNG, GIF, WebP, HEIC
+ * Supports: JPEG, PNG, GIF, WebP, HEIC, and RAW (CR2, NEF, ARW, DNG, RAF,
+ * ORF) through their embedded JPEG preview
  * 
  * Part of FR-2.3: Edge Case Robustness
  */
@@ -11,10 +12,12 @@ import sharp from 'sharp';
 import fs from 'fs';
 import path from 'path';
 import { logger } from '../utils/logger.js';
+import { RAW_EXTENSIONS, isRawFile, loadRawPreview } from '../utils/raw-preview.js';
 
 /**
  * Supported image formats
  * HEIC added in FR-2.3 for iOS photo support
+ * RAW formats are decoded through their embedded JPEG preview
  */
 export const SUPPORTED_FORMATS = [
   'jpeg',
@@ -22,7 +25,8 @@ export const SUPPORTED_FORMATS = [
   'png',
   'gif',
   'webp',
-  'heic'
+  'heic',
+  ...RAW_EXTENSIONS
 ];
 
 /**
@@ -83,11 +87,23 @@ export async function validatePhoto(photoPath) {
       : null;
 
     // 4. Validate with sharp.metadata()
-    // This catches corrupted files and non-image formats
+    // This catches corrupted files and non-image formats.
+    // RAW files are validated through their embedded preview.
     let metadata;
     try {
-      metadata = await sharp(photoPath).metadata();
+      if (isRawFile(photoPath)) {
+        const { preview, exif } = await loadRawPreview(photoPath);
+        metadata = { ...(await sharp(preview).metadata()), raw: true, rawExif: exif };
+      } else {
+        metadata = await sharp(photoPath).metadata();
+      }
     } catch (error) {
+      if (isRawFile(photoPath)) {
+        return {
+          valid: false,
+          error: `Unreadable RAW file: ${error.message}`
+        };
+      }
       // Sharp failed to read - corrupted or invalid format
       if (error.message.includes('unsupported') || error.message.includes('Invalid')) {
         return {
@@ -0,0 +1,300 @@
+/**
+ * Portfolio allocation across concurrent open calls (allocate command)
+ *
+ * Decides which photos to enter in which call when several calls run in the
+ * same season. Each call takes at most submissionRules.maxPhotos photos,
+ * ranked by that project's latest analysis scores. A call with
+ * submissionRules.exclusive set claims its photos: they may not be entered
+ * anywhere else. Non-exclusive calls can share photos with each other.
+ *
+ * Photos are matched across projects by filename, so keep the same name when
+ * copying an image into several projects' photos/ folders.
+ *
+ * The allocation maximises the total score of all selections. Given which
+ * photos the exclusive calls claim, each non-exclusive call simply takes its
+ * best remaining photos, so only the exclusive claims need deciding (see
+ * allocatePortfolio()).
+ *
+ * @module portfolio-allocator
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { loadBatchResults } from '../output/report-run-loader.js';
+
+export const DEFAULT_MAX_PHOTOS = 10;
+
+const EPSILON = 1e-9;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Read one project's config and latest analysis results for allocation.
+ *
+ * @param {string} projectDir - Project directory (contains open-call.json)
+ * @returns {{ success: boolean, data?: { name: string, title: string, maxPhotos: number, minPhotos: number|null, exclusive: boolean, deadline: string|null, photos: Array<{filename: string, score: number}>, warnings: string[] }, error?: string }}
+ */
+export function loadAllocationCall(projectDir) {
+  const name = path.basename(path.resolve(projectDir));
+  const configPath = path.join(projectDir, 'open-call.json');
+  if (!fs.existsSync(configPath)) {
+    return { success: false, error: `${name}: open-call.json not found` };
+  }
+
+  const loaded = loadBatchResults(projectDir);
+  if (!loaded.success) {
+    return { success: false, error: `${name}: ${loaded.error}` };
+  }
+
+  try {
+    const config = JSON.parse(fs.readFileSync(configPath, 'utf8'));
+    const { batchResults } = loaded.data;
+    const rules = config.submissionRules || {};
+    const warnings = [];
+    if (!rules.maxPhotos) {
+      warnings.push(`${name}: submissionRules.maxPhotos not set, assuming ${DEFAULT_MAX_PHOTOS}`);
+    }
+
+    const best = new Map();
+    for (const result of batchResults.results || []) {
+      if (!result.success) continue;
+      const filename = path.basename(result.photo);
+      const score = result.scores?.summary?.weighted_average || result.scores?.summary?.average || 0;
+      if (!best.has(filename) || score > best.get(filename)) best.set(filename, score);
+    }
+
+    return {
+      success: true,
+      data: {
+        name,
+        title: config.title || name,
+        maxPhotos: rules.maxPhotos || DEFAULT_MAX_PHOTOS,
+        minPhotos: rules.minPhotos || null,
+        exclusive: rules.exclusive === true,
+        deadline: rules.deadline || null,
+        photos: [...best].map(([filename, score]) => ({ filename, score })).sort((a, b) => b.score - a.score),
+        warnings
+      }
+    };
+  } catch (error) {
+    return { success: false, error: `${name}: ${error.message}` };
+  }
+}
+
+/**
+ * Maximum-weight assignment of photos to options with capacities (each photo
+ * to at most one option), by successive shortest paths on the residual graph.
+ *
+ * @param {string[]} filenames - Photos to assign
+ * @param {Array<{ capacity: number, values: Map<string, number> }>} options - Option capacities and per-photo values
+ * @returns {Map<string, number>} filename -> option index
+ */
+export function assignPhotos(filenames, options) {
+  // Nodes: 0 source, 1 sink, photos, options
+  const photoNode = (i) => 2 + i;
+  const optionNode = (j) => 2 + filenames.length + j;
+  const edges = [];
+  const adjacency = Array.from({ length: 2 + filenames.length + options.length }, () => []);
+  const addEdge = (from, to, capacity, cost) => {
+    adjacency[from].push(edges.length);
+    edges.push({ to, capacity, cost });
+    adjacency[to].push(edges.length);
+    edges.push({ to: from, capacity: 0, cost: -cost });
+  };
+
+  filenames.forEach((filename, i) => {
+    addEdge(0, photoNode(i), 1, 0);
+    options.forEach((option, j) => {
+      const value = option.values.get(filename);
+      if (value > 0) addEdge(photoNode(i), optionNode(j), 1, -value);
+    });
+  });
+  options.forEach((option, j) => addEdge(optionNode(j), 1, option.capacity, 0));
+
+  // Augment along the cheapest path while it still adds value
+  for (;;) {
+    const distance = new Array(adjacency.length).fill(Infinity);
+    const via = new Array(adjacency.length).fill(-1);
+    distance[0] = 0;
+    for (let round = 0, changed = true; changed && round < adjacency.length; round++) {
+      changed = false;
+      for (let node = 0; node < adjacency.length; node++) {
+        if (distance[node] === Infinity) continue;
+        for (const e of adjacency[node]) {
+          const edge = edges[e];
+          if (edge.capacity > 0 && distance[node] + edge.cost < distance[edge.to] - EPSILON) {
+            distance[edge.to] = distance[node] + edge.cost;
+            via[edge.to] = e;
+            changed = true;
+          }
+        }
+      }
+    }
+    if (!(distance[1] < -EPSILON)) break;
+    for (let node = 1; node !== 0; node = edges[via[node] ^ 1].to) {
+      edges[via[node]].capacity -= 1;
+      edges[via[node] ^ 1].capacity += 1;
+    }
+  }
+
+  const assignment = new Map();
+  filenames.forEach((filename, i) => {
+    for (const e of adjacency[photoNode(i)]) {
+      const j = edges[e].to - optionNode(0);
+      if (j >= 0 && e % 2 === 0 && edges[e].capacity === 0) assignment.set(filename, j);
+    }
+  });
+  return assignment;
+}
+
+/**
+ * Allocate photos to calls without double-booking photos claimed by
+ * exclusive calls.
+ *
+ * With at most one non-exclusive call every photo goes to at most one call
+ * and assignPhotos() solves the allocation exactly. With several
+ * non-exclusive calls, their combined value is estimated from each call's
+ * current cut-off score to seed the claims, and a local search (claim, move,
+ * swap or release one photo at a time) refines them.
+ *
+ * @param {Array<{ name: string, title?: string, maxPhotos: number, minPhotos?: number|null, exclusive?: boolean, photos: Array<{filename: string, score: number}> }>} calls
+ * @returns {{ calls: Object[], totalScore: number, unconstrainedTotal: number, givenUp: number, sharedPhotos: Array<{filename: string, calls: string[]}> }}
+ *   Per call: { name, title, exclusive, maxPhotos, selection, total, unconstrained, unconstrainedTotal, givenUp, displaced, shortfall }
+ */
+export function allocatePortfolio(calls) {
+  const ranked = calls.map(call => [...call.photos].sort((a, b) => b.score - a.score));
+  const values = calls.map(call => new Map(call.photos.map(p => [p.filename, p.score])));
+  const exclusiveCalls = calls.map((call, i) => (call.exclusive ? i : -1)).filter(i => i >= 0);
+  const sharedCalls = calls.map((call, i) => (call.exclusive ? -1 : i)).filter(i => i >= 0);
+  const filenames = [...new Set(calls.flatMap(call => call.photos.map(p => p.filename)))];
+
+  // claims: filename -> index of the exclusive call that owns it
+  const select = (claims, i) => {
+    const picked = [];
+    for (const photo of ranked[i]) {
+      if (picked.length >= calls[i].maxPhotos) break;
+      const owner = claims.get(photo.filename);
+      if (calls[i].exclusive ? owner === i : owner === undefined) picked.push(photo);
+    }
+    return picked;
+  };
+  const evaluate = (claims) => calls.reduce(
+    (total, _, i) => total + select(claims, i).reduce((sum, p) => sum + p.score, 0), 0
+  );
+  const claimedBy = (claims, i) => [...claims].filter(([, owner]) => owner === i).map(([filename]) => filename);
+  const claimsFrom = (assignment) => new Map(
+    [...assignment].filter(([, j]) => j < exclusiveCalls.length).map(([filename, j]) => [filename, exclusiveCalls[j]])
+  );
+  const exclusiveOptions = exclusiveCalls.map(x => ({ capacity: calls[x].maxPhotos, values: values[x] }));
+
+  const localSearch = (start) => {
+    let claims = start;
+    let current = evaluate(claims);
+    for (;;) {
+      let best = null;
+      const consider = (next) => {
+        const value = evaluate(next);
+        if (value > current + EPSILON && (!best || value > best.value + EPSILON)) best = { claims: next, value };
+      };
+
+      for (const x of exclusiveCalls) {
+        const owned = claimedBy(claims, x);
+        for (const photo of ranked[x]) {
+          const owner = claims.get(photo.filename);
+          if (owner === x) continue;
+          if (owned.length < calls[x].maxPhotos) {
+            consider(new Map(claims).set(photo.filename, x));
+            continue;
+          }
+          for (const held of owned) {
+            const next = new Map(claims).set(photo.filename, x);
+            next.delete(held);
+            consider(next);
+            // Straight swap between two exclusive calls
+            if (owner !== undefined && values[owner].has(held)) {
+              consider(new Map(next).set(held, owner));
+            }
+          }
+        }
+      }
+      for (const filename of claims.keys()) {
+        const next = new Map(claims);
+        next.delete(filename);
+        consider(next);
+      }
+
+      if (!best) return { claims, value: current };
+      claims = best.claims;
+      current = best.value;
+    }
+  };
+
+  let claims = new Map();
+  if (exclusiveCalls.length > 0 && sharedCalls.length <= 1) {
+    const options = [
+      ...exclusiveOptions,
+      ...sharedCalls.map(n => ({ capacity: calls[n].maxPhotos, values: values[n] }))
+    ];
+    claims = claimsFrom(assignPhotos(filenames, options));
+  } else if (exclusiveCalls.length > 0) {
+    // A shared photo is worth what it beats each non-exclusive call's cut-off by
+    let best = localSearch(new Map());
+    let seed = new Map();
+    for (let round = 0; round < 5; round++) {
+      const shared = new Map(filenames.map(filename => [filename, sharedCalls.reduce((sum, n) => {
+        const cutoff = select(seed, n)[calls[n].maxPhotos - 1]?.score ?? 0;
+        return sum + Math.max(0, (values[n].get(filename) ?? 0) - cutoff);
+      }, 0)]));
+      seed = claimsFrom(assignPhotos(filenames, [...exclusiveOptions, { capacity: filenames.length, values: shared }]));
+      const refined = localSearch(seed);
+      if (refined.value > best.value + EPSILON) best = refined;
+    }
+    claims = best.claims;
+  }
+
+  const usage = new Map();
+  const results = calls.map((call, i) => {
+    const selection = select(claims, i);
+    const unconstrained = ranked[i].slice(0, call.maxPhotos);
+    const total = selection.reduce((sum, p) => sum + p.score, 0);
+    const unconstrainedTotal = unconstrained.reduce((sum, p) => sum + p.score, 0);
+    const chosen = new Set(selection.map(p => p.filename));
+    for (const photo of selection) {
+      if (!usage.has(photo.filename)) usage.set(photo.filename, []);
+      usage.get(photo.filename).push(call.name);
+    }
+
+    return {
+      name: call.name,
+      title: call.title || call.name,
+      exclusive: call.exclusive === true,
+      maxPhotos: call.maxPhotos,
+      selection,
+      total: round2(total),
+      unconstrained,
+      unconstrainedTotal: round2(unconstrainedTotal),
+      givenUp: round2(unconstrainedTotal - total),
+      displaced: unconstrained
+        .filter(p => !chosen.has(p.filename))
+        .map(p => {
+          const owner = claims.get(p.filename);
+          return { ...p, claimedBy: owner !== undefined && owner !== i ? calls[owner].name : null };
+        }),
+      shortfall: call.minPhotos && selection.length < call.minPhotos
+        ? `${selection.length} photos available, call requires at least ${call.minPhotos}`
+        : null
+    };
+  });
+
+  const totalScore = results.reduce((sum, r) => sum + r.total, 0);
+  const unconstrainedTotal = results.reduce((sum, r) => sum + r.unconstrainedTotal, 0);
+  return {
+    calls: results,
+    totalScore: round2(totalScore),
+    unconstrainedTotal: round2(unconstrainedTotal),
+    givenUp: round2(unconstrainedTotal - totalScore),
+    sharedPhotos: [...usage]
+      .filter(([, names]) => names.length > 1)
+      .map(([filename, names]) => ({ filename, calls: names }))
+  };
+}
@@ -0,0 +1,225 @@
+/**
+ * Set constraints for set mode (FR-3.11 / ADR-015)
+ *
+ * Lets a photographer steer suggest-sets and check analyze-set selections:
+ * - pinned:         photos every set must contain
+ * - excluded:       photos no set may contain
+ * - exclusivePairs: pairs of photos that may not appear in the same set
+ * - coverGroups:    every photoGroup contributes at least one photo
+ * - maxPerGroup:    at most N photos from the same photoGroup
+ *
+ * open-call.json:
+ * "setMode": { "constraints": { "pinned": ["harbour-01.jpg"], "maxPerGroup": 2 } }
+ *
+ * Group constraints (coverGroups, maxPerGroup) mix photos across groups, so
+ * suggest-sets searches all photos at once instead of one search per group.
+ *
+ * @module set-constraints
+ */
+
+import { resolvePhotoGroups } from './photo-group-resolver.js';
+
+/**
+ * Thrown when no set can satisfy the configured constraints.
+ */
+export class SetConstraintError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} [reasons=[]] - Individual reasons, one per broken rule
+   */
+  constructor(message, reasons = []) {
+    super(message);
+    this.name = 'SetConstraintError';
+    this.reasons = reasons;
+  }
+}
+
+/**
+ * Normalise setMode.constraints.
+ *
+ * @param {Object} setConfig - setMode section of the open call config
+ * @returns {{ pinned: string[], excluded: string[], exclusivePairs: string[][], coverGroups: boolean, maxPerGroup: number|null }|null}
+ *   Null when no constraint is configured
+ */
+export function resolveSetConstraints(setConfig) {
+  const section = setConfig?.constraints;
+  if (!section) return null;
+
+  const constraints = {
+    pinned: [...new Set(section.pinned || [])],
+    excluded: [...new Set(section.excluded || [])],
+    exclusivePairs: (section.exclusivePairs || []).filter(pair => pair.length === 2 && pair[0] !== pair[1]),
+    coverGroups: section.coverGroups === true,
+    maxPerGroup: section.maxPerGroup ?? null
+  };
+
+  const active = constraints.pinned.length > 0 || constraints.excluded.length > 0 ||
+    constraints.exclusivePairs.length > 0 || constraints.coverGroups || constraints.maxPerGroup !== null;
+  return active ? constraints : null;
+}
+
+/**
+ * Whether the constraints need photo group membership.
+ *
+ * @param {Object|null} constraints - From resolveSetConstraints()
+ * @returns {boolean}
+ */
+export function hasGroupConstraints(constraints) {
+  return Boolean(constraints && (constraints.coverGroups || constraints.maxPerGroup !== null));
+}
+
+/**
+ * Map photos to the photoGroups they belong to. Unlike resolvePhotoGroups(),
+ * a group that matches none of the photos is kept (with no members) instead
+ * of failing, so a handful of photos picked for analyze-set can be checked.
+ *
+ * @param {Object[]} photoGroups - Group definitions from config
+ * @param {Object[]} photos - Photos with `filename` (and optional `photo_metadata`)
+ * @param {string} photosDir - Path to photos/ directory (for glob resolution)
+ * @returns {{ names: string[], index: Map<string, string[]> }} Group names and filename -> group names
+ */
+export function buildGroupIndex(photoGroups, photos, photosDir) {
+  const names = [];
+  const index = new Map();
+  for (const group of photoGroups || []) {
+    names.push(group.name);
+    const resolution = resolvePhotoGroups([group], photos, photosDir);
+    if (!resolution.success) continue;
+    for (const photo of resolution.groups.get(group.name)) {
+      if (!index.has(photo.filename)) index.set(photo.filename, []);
+      index.get(photo.filename).push(group.name);
+    }
+  }
+  return { names, index };
+}
+
+/**
+ * List the constraints a set breaks.
+ *
+ * Partial sets (fewer than setSize photos) only fail coverage when the
+ * remaining slots can no longer reach every group, so search strategies can
+ * score sets while they grow.
+ *
+ * @param {string[]} filenames - Photos in the set
+ * @param {Object|null} constraints - From resolveSetConstraints()
+ * @param {{ names: string[], index: Map<string, string[]> }} [groups] - From buildGroupIndex()
+ * @param {number} [setSize] - Full set size (defaults to the set's length)
+ * @returns {string[]} One message per violation (empty when the set is valid)
+ */
+export function findConstraintViolations(filenames, constraints, groups = { names: [], index: new Map() }, setSize = filenames.length) {
+  if (!constraints) return [];
+  const violations = [];
+  const members = new Set(filenames);
+
+  for (const filename of constraints.pinned) {
+    if (!members.has(filename)) violations.push(`pinned photo "${filename}" is missing`);
+  }
+  for (const filename of constraints.excluded) {
+    if (members.has(filename)) violations.push(`excluded photo "${filename}" is included`);
+  }
+  for (const [a, b] of constraints.exclusivePairs) {
+    if (members.has(a) && members.has(b)) violations.push(`"${a}" and "${b}" may not appear together`);
+  }
+
+  if (hasGroupConstraints(constraints)) {
+    const counts = new Map();
+    for (const filename of filenames) {
+      for (const name of groups.index.get(filename) || []) counts.set(name, (counts.get(name) || 0) + 1);
+    }
+    if (constraints.maxPerGroup !== null) {
+      for (const [name, count] of counts) {
+        if (count > constraints.maxPerGroup) {
+          violations.push(`group "${name}" has ${count} photos (max ${constraints.maxPerGroup})`);
+        }
+      }
+    }
+    if (constraints.coverGroups) {
+      const missing = groups.names.filter(name => !counts.has(name));
+      const openSlots = Math.max(0, setSize - filenames.length);
+      if (missing.length > openSlots) {
+        violations.push(`no photo from group${missing.length > 1 ? 's' : ''} ${missing.map(name => `"${name}"`).join(', ')}`);
+      }
+    }
+  }
+
+  return violations;
+}
+
+/**
+ * Check whether any set of setSize photos can satisfy the constraints before
+ * searching, so impossible configurations fail with a reason instead of
+ * yielding no sets.
+ *
+ * @param {Object[]} photos - Candidate photos with `filename`
+ * @param {number} setSize - Photos per set
+ * @param {Object|null} constraints - From resolveSetConstraints()
+ * @param {{ names: string[], index: Map<string, string[]> }} [groups] - From buildGroupIndex()
+ * @returns {string[]} Reasons the constraints cannot be met (empty when they may be)
+ */
+export function checkConstraintFeasibility(photos, setSize, constraints, groups = { names: [], index: new Map() }) {
+  if (!constraints) return [];
+  const reasons = [];
+  const available = new Set(photos.map(p => p.filename));
+  const excluded = new Set(constraints.excluded);
+
+  for (const filename of constraints.pinned) {
+    if (!available.has(filename)) reasons.push(`pinned photo "${filename}" has no analysis result`);
+    if (excluded.has(filename)) reasons.push(`"${filename}" is both pinned and excluded`);
+  }
+  if (constraints.pinned.length > setSize) {
+    reasons.push(`${constraints.pinned.length} pinned photos do not fit a set of ${setSize}`);
+  }
+  for (const [a, b] of constraints.exclusivePairs) {
+    if (constraints.pinned.includes(a) && constraints.pinned.includes(b)) {
+      reasons.push(`"${a}" and "${b}" are both pinned but may not appear together`);
+    }
+  }
+
+  const eligible = photos.filter(p => !excluded.has(p.filename));
+  if (eligible.length < setSize) {
+    reasons.push(`only ${eligible.length} photos remain after exclusions, need ${setSize}`);
+  }
+
+  if (hasGroupConstraints(constraints)) {
+    if (groups.names.length === 0) {
+      reasons.push('coverGroups and maxPerGroup need photoGroups in open-call.json');
+    }
+    if (constraints.maxPerGroup !== null) {
+      const pinnedViolations = findConstraintViolations(
+        constraints.pinned,
+        { pinned: [], excluded: [], exclusivePairs: [], coverGroups: false, maxPerGroup: constraints.maxPerGroup },
+        groups
+      );
+      reasons.push(...pinnedViolations.map(v => `pinned photos alone break maxPerGroup: ${v}`));
+    }
+    if (constraints.coverGroups) {
+      if (groups.names.length > setSize) {
+        reasons.push(`${groups.names.length} groups cannot all be covered by a set of ${setSize}`);
+      }
+      for (const name of groups.names) {
+        if (!eligible.some(p => (groups.index.get(p.filename) || []).includes(name))) {
+          reasons.push(`group "${name}" has no eligible photos to cover`);
+        }
+      }
+    }
+  }
+
+  return reasons;
+}
+
+/**
+ * One-line summary of the active constraints for log messages.
+ *
+ * @param {Object|null} constraints - From resolveSetConstraints()
+ * @returns {string}
+ */
+export function describeSetConstraints(constraints) {
+  if (!constraints) return 'none';
+  const parts = [];
+  if (constraints.pinned.length > 0) parts.push(`${constraints.pinned.length} pinned`);
+  if (constraints.excluded.length > 0) parts.push(`${constraints.excluded.length} excluded`);
+  if (constraints.exclusivePairs.length > 0) parts.push(`${constraints.exclusivePairs.length} exclusive pairs`);
+  if (constraints.coverGroups) parts.push('cover every group');
+  if (constraints.maxPerGroup !== null) parts.push(`max ${constraints.maxPerGroup} per group`);
+  return parts.join(', ');
+}
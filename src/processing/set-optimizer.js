@@ -0,0 +1,405 @@
+/**
+ * Set optimiser for suggest-sets (FR-3.11 / ADR-015)
+ *
+ * Scores candidate K-photo sets with a single objective and searches for the
+ * best ones with a pluggable strategy, so sets can be drawn from hundreds of
+ * photos instead of the top 12 only.
+ *
+ * Objective (higher is better):
+ *   sum of individual scores
+ *   + diversity bonus (criterion profile spread, up to 2)
+ *   + coherence bonus (cached pairwise set-coherence estimates, -2 to +2)
+ *   - duplicate penalty (10 per pair from the same near-duplicate cluster)
+ *   - constraint penalty (10 per broken setMode constraint, set-constraints.js)
+ *
+ * Strategies:
+ * - exhaustive:  score every C(N,K) combination (combination-generator.js)
+ * - beam:        grow sets one photo at a time, keeping the best partial sets
+ * - annealing:   random swaps from a strong start, accepting worse sets early
+ * - greedy-swap: greedy build from several seeds, then best-improvement swaps
+ *
+ * Pairwise coherence estimates come from earlier vision evaluations: every
+ * evaluated set adds its set-level score to each pair of photos it contains
+ * (<project>/.set-coherence.json).
+ *
+ * @module set-optimizer
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { buildClusterIndex } from '../analysis/duplicate-detector.js';
+import { logger } from '../utils/logger.js';
+
+export const SEARCH_STRATEGIES = ['auto', 'exhaustive', 'beam', 'annealing', 'greedy-swap'];
+export const DEFAULT_SEARCH_BUDGET = 20000;
+
+const DIVERSITY_WEIGHT = 2;
+const COHERENCE_WEIGHT = 2;
+const COHERENCE_SPREAD = 2.5; // set-score points from the mean that earn the full bonus
+const DUPLICATE_PENALTY = 10;
+const CONSTRAINT_PENALTY = 10;
+const COHERENCE_FILE = '.set-coherence.json';
+const COHERENCE_VERSION = 1;
+
+const round3 = (value) => Math.round(value * 1000) / 1000;
+
+/**
+ * Calculate diversity score for a set of photos based on criterion score profiles.
+ * Higher diversity means photos have different strengths/weaknesses.
+ * @param {Object[]} photos - Photos with scores property { criterion: score }
+ * @returns {number} Diversity score 0-1
+ */
+export function calculateDiversity(photos) {
+  if (!photos || photos.length < 2) return 0;
+
+  const scoreMaps = photos.map(p => p.scores || {});
+  const allCriteria = [...new Set(scoreMaps.flatMap(s => Object.keys(s)))];
+
+  if (allCriteria.length === 0) return 0;
+
+  // Calculate pairwise distance between score profiles
+  let totalDistance = 0;
+  let pairCount = 0;
+
+  for (let i = 0; i < photos.length; i++) {
+    for (let j = i + 1; j < photos.length; j++) {
+      let sumSquaredDiff = 0;
+      for (const criterion of allCriteria) {
+        const scoreA = scoreMaps[i][criterion] || 0;
+        const scoreB = scoreMaps[j][criterion] || 0;
+        sumSquaredDiff += (scoreA - scoreB) ** 2;
+      }
+      totalDistance += Math.sqrt(sumSquaredDiff / allCriteria.length);
+      pairCount++;
+    }
+  }
+
+  if (pairCount === 0) return 0;
+
+  const avgDistance = totalDistance / pairCount;
+  // Normalize to 0-1 range (max possible distance with scores 0-10 is 10)
+  return Math.min(avgDistance / 10, 1);
+}
+
+/**
+ * Order-independent key for a pair of filenames.
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+export function pairKey(a, b) {
+  return a < b ? `${a}|${b}` : `${b}|${a}`;
+}
+
+/**
+ * Build the set objective.
+ *
+ * @param {Object} [context={}]
+ * @param {Array<{ id: string, members: string[] }>} [context.duplicateClusters] - Near-duplicate clusters
+ * @param {Map<string, number>} [context.pairCoherence] - pairKey() -> mean set score (0-10)
+ * @param {function(Object[]): number} [context.countViolations] - Number of constraints a (partial) set breaks
+ * @returns {function(Object[]): { photos: Object[], preScore: number, sumIndividualScore: number, diversityBonus: number, coherenceBonus: number, duplicatePenalty: number, constraintPenalty?: number }}
+ */
+export function createSetObjective({ duplicateClusters, pairCoherence, countViolations } = {}) {
+  const clusterIndex = buildClusterIndex(duplicateClusters);
+  const coherence = pairCoherence?.size > 0 ? pairCoherence : null;
+  const coherenceMean = coherence
+    ? [...coherence.values()].reduce((sum, v) => sum + v, 0) / coherence.size
+    : 0;
+
+  return function scoreSet(photos) {
+    const sumScore = photos.reduce((sum, p) => sum + (p.score || 0), 0);
+    const diversityBonus = calculateDiversity(photos) * DIVERSITY_WEIGHT;
+
+    let duplicatePairs = 0;
+    let pairs = 0;
+    let known = 0;
+    let coherenceSum = 0;
+    for (let i = 0; i < photos.length; i++) {
+      for (let j = i + 1; j < photos.length; j++) {
+        pairs++;
+        const clusterA = clusterIndex.get(photos[i].filename);
+        if (clusterA && clusterA === clusterIndex.get(photos[j].filename)) duplicatePairs++;
+        const estimate = coherence?.get(pairKey(photos[i].filename, photos[j].filename));
+        if (estimate !== undefined) {
+          coherenceSum += estimate;
+          known++;
+        }
+      }
+    }
+
+    // Relative to the project's mean, scaled by how many pairs have an estimate
+    const coherenceBonus = known > 0
+      ? Math.max(-1, Math.min(1, (coherenceSum / known - coherenceMean) / COHERENCE_SPREAD)) *
+        COHERENCE_WEIGHT * (known / pairs)
+      : 0;
+    const duplicatePenalty = duplicatePairs * DUPLICATE_PENALTY;
+    const constraintPenalty = countViolations ? countViolations(photos) * CONSTRAINT_PENALTY : 0;
+
+    return {
+      photos,
+      preScore: round3(sumScore + diversityBonus + coherenceBonus - duplicatePenalty - constraintPenalty),
+      sumIndividualScore: round3(sumScore),
+      diversityBonus: round3(diversityBonus),
+      coherenceBonus: round3(coherenceBonus),
+      duplicatePenalty,
+      ...(countViolations && { constraintPenalty })
+    };
+  };
+}
+
+/**
+ * Keeps the best distinct full sets seen during a search.
+ */
+function createResultPool(keep) {
+  const byKey = new Map();
+  return {
+    offer(indices, scored) {
+      if (scored.duplicatePenalty > 0 || scored.constraintPenalty > 0) return;
+      const key = [...indices].sort((a, b) => a - b).join(',');
+      if (!byKey.has(key)) byKey.set(key, scored);
+    },
+    results() {
+      return [...byKey.values()].sort((a, b) => b.preScore - a.preScore).slice(0, keep);
+    }
+  };
+}
+
+// Deterministic PRNG so annealing runs are reproducible
+function mulberry32(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+/**
+ * Beam search: grow sets one photo at a time and keep the best partial sets
+ * at each size. The beam width is derived from the budget.
+ *
+ * @param {Object[]} photos - Candidate pool
+ * @param {number} setSize
+ * @param {Function} objective - From createSetObjective()
+ * @param {{ budget: number, keep: number }} options
+ * @returns {Object[]} Best distinct sets, highest preScore first
+ */
+export function beamSearch(photos, setSize, objective, { budget, keep }) {
+  const width = Math.max(keep, Math.floor(budget / Math.max(1, photos.length * setSize)));
+  const pool = createResultPool(keep);
+  let beam = [[]];
+
+  for (let size = 1; size <= setSize; size++) {
+    const next = new Map();
+    for (const state of beam) {
+      const members = new Set(state);
+      for (let i = 0; i < photos.length; i++) {
+        if (members.has(i)) continue;
+        const indices = [...state, i].sort((a, b) => a - b);
+        const key = indices.join(',');
+        if (next.has(key)) continue;
+        next.set(key, { indices, scored: objective(indices.map(idx => photos[idx])) });
+      }
+    }
+    const ranked = [...next.values()].sort((a, b) => b.scored.preScore - a.scored.preScore);
+    if (size === setSize) {
+      for (const { indices, scored } of ranked) pool.offer(indices, scored);
+    }
+    beam = ranked.slice(0, width).map(entry => entry.indices);
+  }
+
+  return pool.results();
+}
+
+/**
+ * Greedy construction from several seed photos followed by best-improvement
+ * swaps (one member for one non-member) until no swap helps or the budget
+ * runs out.
+ *
+ * @param {Object[]} photos - Candidate pool, best individual score first
+ * @param {number} setSize
+ * @param {Function} objective - From createSetObjective()
+ * @param {{ budget: number, keep: number }} options
+ * @returns {Object[]} Best distinct sets, highest preScore first
+ */
+export function greedySwapSearch(photos, setSize, objective, { budget, keep }) {
+  const pool = createResultPool(keep);
+  let evaluations = 0;
+  const evaluate = (indices) => {
+    evaluations++;
+    const scored = objective(indices.map(i => photos[i]));
+    if (indices.length === setSize) pool.offer(indices, scored);
+    return scored;
+  };
+
+  for (let seed = 0; seed < photos.length && evaluations < budget; seed++) {
+    // Greedy build
+    const current = [seed];
+    while (current.length < setSize) {
+      let best = null;
+      for (let i = 0; i < photos.length; i++) {
+        if (current.includes(i)) continue;
+        const scored = evaluate([...current, i]);
+        if (!best || scored.preScore > best.preScore) best = { index: i, preScore: scored.preScore };
+      }
+      current.push(best.index);
+    }
+
+    // Best-improvement local swaps
+    let currentScore = evaluate(current).preScore;
+    while (evaluations < budget) {
+      let bestMove = null;
+      for (let m = 0; m < current.length; m++) {
+        for (let i = 0; i < photos.length; i++) {
+          if (current.includes(i)) continue;
+          const candidate = [...current];
+          candidate[m] = i;
+          const { preScore } = evaluate(candidate);
+          if (preScore > currentScore && (!bestMove || preScore > bestMove.preScore)) {
+            bestMove = { m, i, preScore };
+          }
+        }
+      }
+      if (!bestMove) break;
+      current[bestMove.m] = bestMove.i;
+      currentScore = bestMove.preScore;
+    }
+  }
+
+  return pool.results();
+}
+
+/**
+ * Simulated annealing over single swaps, starting from the best-scoring
+ * photos. Temperature cools geometrically over the budget.
+ *
+ * @param {Object[]} photos - Candidate pool, best individual score first
+ * @param {number} setSize
+ * @param {Function} objective - From createSetObjective()
+ * @param {{ budget: number, keep: number, seed?: number }} options
+ * @returns {Object[]} Best distinct sets, highest preScore first
+ */
+export function annealingSearch(photos, setSize, objective, { budget, keep, seed = 42 }) {
+  const pool = createResultPool(keep);
+  const random = mulberry32(seed);
+  const startTemperature = 1;
+  const endTemperature = 0.01;
+
+  let current = Array.from({ length: setSize }, (_, i) => i);
+  let currentScore = objective(current.map(i => photos[i]));
+  pool.offer(current, currentScore);
+  if (photos.length === setSize) return pool.results();
+
+  for (let step = 1; step < budget; step++) {
+    const temperature = startTemperature * (endTemperature / startTemperature) ** (step / budget);
+    const member = Math.floor(random() * setSize);
+    let replacement = Math.floor(random() * photos.length);
+    while (current.includes(replacement)) replacement = Math.floor(random() * photos.length);
+
+    const candidate = [...current];
+    candidate[member] = replacement;
+    const scored = objective(candidate.map(i => photos[i]));
+    pool.offer(candidate, scored);
+
+    const delta = scored.preScore - currentScore.preScore;
+    if (delta >= 0 || random() < Math.exp(delta / temperature)) {
+      current = candidate;
+      currentScore = scored;
+    }
+  }
+
+  return pool.results();
+}
+
+const SEARCHES = {
+  beam: beamSearch,
+  annealing: annealingSearch,
+  'greedy-swap': greedySwapSearch
+};
+
+/**
+ * Run a non-exhaustive search strategy.
+ *
+ * @param {string} strategy - 'beam', 'annealing' or 'greedy-swap'
+ * @param {Object[]} photos - Candidate pool, best individual score first
+ * @param {number} setSize
+ * @param {Function} objective - From createSetObjective()
+ * @param {{ budget: number, keep: number, seed?: number }} options
+ * @returns {Object[]} Best distinct sets, highest preScore first
+ */
+export function searchSets(strategy, photos, setSize, objective, options) {
+  const search = SEARCHES[strategy];
+  if (!search) {
+    throw new Error(`Unknown search strategy "${strategy}". Use one of: ${SEARCH_STRATEGIES.join(', ')}`);
+  }
+  return search(photos, setSize, objective, options);
+}
+
+/**
+ * Load cached pairwise coherence estimates for a project.
+ *
+ * @param {string} projectDir - Project root directory
+ * @returns {Map<string, number>} pairKey() -> mean set-level score (empty when none)
+ */
+export function loadPairCoherence(projectDir) {
+  const file = path.join(projectDir, COHERENCE_FILE);
+  try {
+    if (!fs.existsSync(file)) return new Map();
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (data.version !== COHERENCE_VERSION) return new Map();
+    return new Map(Object.entries(data.pairs || {}).map(([key, entry]) => [key, entry.mean]));
+  } catch (error) {
+    logger.debug(`Ignoring unreadable set coherence cache: ${error.message}`);
+    return new Map();
+  }
+}
+
+/**
+ * Add vision-evaluated sets to the pairwise coherence cache. Each pair in a
+ * set receives the set's weighted set-level score; pairs keep a running mean.
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {Object[]} evaluatedSets - Aggregated sets with photos[].filename and setWeightedAverage
+ * @returns {number} Number of pairs updated (0 when the cache could not be saved)
+ */
+export function recordSetCoherence(projectDir, evaluatedSets) {
+  const file = path.join(projectDir, COHERENCE_FILE);
+  let pairs = {};
+  try {
+    if (fs.existsSync(file)) {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      if (data.version === COHERENCE_VERSION) pairs = data.pairs || {};
+    }
+  } catch (error) {
+    logger.debug(`Rebuilding unreadable set coherence cache: ${error.message}`);
+  }
+
+  let updated = 0;
+  for (const set of evaluatedSets) {
+    if (!(set.setWeightedAverage > 0) || !set.photos) continue;
+    const names = set.photos.map(p => p.filename);
+    for (let i = 0; i < names.length; i++) {
+      for (let j = i + 1; j < names.length; j++) {
+        const key = pairKey(names[i], names[j]);
+        const entry = pairs[key] || { mean: 0, count: 0 };
+        entry.count++;
+        entry.mean = round3(entry.mean + (set.setWeightedAverage - entry.mean) / entry.count);
+        pairs[key] = entry;
+        updated++;
+      }
+    }
+  }
+
+  if (updated > 0) {
+    try {
+      fs.writeFileSync(file, JSON.stringify({ version: COHERENCE_VERSION, pairs }, null, 2));
+    } catch (error) {
+      logger.warn(`Could not save set coherence cache: ${error.message}`);
+      return 0;
+    }
+  }
+  return updated;
+}
@@ -0,0 +1,374 @@
+/**
+ * Submission package builder (package command)
+ *
+ * Turns the chosen photos (top N of the latest run, a suggested set or an
+ * explicit list) into files that meet the call's submissionRules: re-encoded
+ * to requiredFormat, shrunk until they fit maxSizeMB (lower quality first,
+ * then smaller dimensions, never below a minimum long edge), renamed to a
+ * filename pattern such as {rank}_{surname}_{title}, and written as a ZIP
+ * with a manifest of titles and descriptions. The image rules are applied
+ * too: photos are resized to maxLongEdge, converted to sRGB and given the
+ * required DPI, while photos too small or of the wrong shape are refused.
+ *
+ * Nothing is written when any rule cannot be met: every problem is collected
+ * first and returned together.
+ *
+ * @module submission-packager
+ */
+
+import { existsSync, readFileSync, statSync, mkdirSync, writeFileSync } from 'fs';
+import { join, basename, extname } from 'path';
+import sharp from 'sharp';
+import { loadImageSource } from '../utils/raw-preview.js';
+import { getPresentationOrder } from '../output/set-report-generator.js';
+import { createZip } from '../output/zip-writer.js';
+import { checkDeadline, readImageProperties, checkImageRules } from './submission-validator.js';
+
+export const DEFAULT_FILENAME_PATTERN = '{rank}_{surname}_{title}';
+export const FILENAME_FIELDS = ['rank', 'surname', 'firstname', 'title', 'original', 'call'];
+export const DEFAULT_FORMAT = 'jpg';
+export const DEFAULT_MIN_EDGE = 1200;
+export const DEFAULT_TOP_PHOTOS = 10; // --top when submissionRules.maxPhotos is not set
+
+// Encoder quality tried at each size before scaling down (JPEG and WebP)
+const QUALITY_STEPS = [92, 85, 78, 70, 62];
+const SCALE_STEP = 0.85;
+const MAX_PART_LENGTH = 60;
+
+const normalizeFormat = (format) => {
+  const lower = String(format || DEFAULT_FORMAT).toLowerCase();
+  return lower === 'jpeg' ? 'jpg' : lower;
+};
+const stem = (filename) => basename(filename, extname(filename));
+
+/**
+ * ASCII-only filename part: accents removed, anything else but letters,
+ * digits, hyphens and underscores replaced by hyphens.
+ *
+ * @param {*} value
+ * @returns {string}
+ */
+export function slugifyFilenamePart(value) {
+  return String(value ?? '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^A-Za-z0-9_-]+/g, '-')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .slice(0, MAX_PART_LENGTH)
+    .replace(/-$/, '');
+}
+
+/**
+ * Fill a filename pattern. Empty fields drop out together with their
+ * separator, so "{rank}_{surname}_{title}" without a title gives "01_Rossi".
+ *
+ * @param {string} pattern - Pattern with {field} placeholders (see FILENAME_FIELDS)
+ * @param {Object} fields - Field values
+ * @param {string} extension - File extension without the dot
+ * @returns {string}
+ * @throws {Error} On unknown placeholders or when nothing is left of the name
+ */
+export function formatSubmissionFilename(pattern, fields, extension) {
+  const name = pattern
+    .replace(/\{([^}]*)\}/g, (match, field) => {
+      if (!FILENAME_FIELDS.includes(field)) {
+        throw new Error(`Unknown filename field {${field}}. Use: ${FILENAME_FIELDS.map(f => `{${f}}`).join(', ')}`);
+      }
+      return slugifyFilenamePart(fields[field]);
+    })
+    .replace(/[^A-Za-z0-9_.-]+/g, '-')
+    .replace(/([_.-])[_.-]+/g, '$1')
+    .replace(/^[_.-]+|[_.-]+$/g, '');
+  if (!name) throw new Error(`Filename pattern "${pattern}" gives an empty name`);
+  return `${name}.${extension}`;
+}
+
+/**
+ * Pick the photos to submit from the latest run, a suggested set or a list.
+ *
+ * @param {Object} sources
+ * @param {Object[]} [sources.ranking] - photo-analysis.json ranking
+ * @param {Object|null} [sources.sets] - set-analysis.json (plain or grouped)
+ * @param {Object[]|null} [sources.texts] - generated-texts.json
+ * @param {Object} selection
+ * @param {number} [selection.top] - Top N of the ranking
+ * @param {number} [selection.set] - Rank of a suggested set (1-based)
+ * @param {string} [selection.group] - Group of the set, for grouped set analyses
+ * @param {string[]} [selection.photos] - Explicit filenames, in submission order
+ * @returns {{ success: boolean, data?: Array<{ filename: string, analysisRank: number|null, score: number|null, title: string|null, description: string|null }>, error?: string }}
+ */
+export function selectSubmissionPhotos({ ranking = [], sets = null, texts = null }, selection) {
+  const modes = ['top', 'set', 'photos'].filter(mode => selection[mode] !== undefined && selection[mode] !== null);
+  if (modes.length !== 1) {
+    return { success: false, error: 'Choose the photos with exactly one of top N, a suggested set or an explicit list' };
+  }
+
+  const ranked = new Map(ranking.map((entry, i) => [basename(String(entry.photo)), {
+    analysisRank: entry.rank ?? i + 1,
+    score: entry.overall_score ?? entry.score ?? null
+  }]));
+  const textIndex = new Map((texts || []).filter(t => !t.error).map(t => [basename(String(t.photo)), t]));
+  const describe = (filename) => ({
+    filename,
+    analysisRank: ranked.get(filename)?.analysisRank ?? null,
+    score: ranked.get(filename)?.score ?? null,
+    title: textIndex.get(filename)?.title || null,
+    description: textIndex.get(filename)?.description || null
+  });
+
+  let filenames;
+  if (modes[0] === 'photos') {
+    filenames = selection.photos.map(photo => basename(String(photo)));
+  } else if (modes[0] === 'top') {
+    if (ranking.length === 0) return { success: false, error: 'No ranking in the latest run. Run "analyze" first.' };
+    filenames = [...ranked.keys()].slice(0, selection.top);
+  } else {
+    if (!sets) return { success: false, error: 'No set analysis found. Run "analyze-set" or "suggest-sets" first.' };
+    let setRanking = sets.ranking;
+    if (sets.groups) {
+      const group = selection.group
+        ? sets.groups.find(g => g.name === selection.group)
+        : sets.groups.length === 1 ? sets.groups[0] : null;
+      if (!group) {
+        return { success: false, error: `Choose a group: ${sets.groups.map(g => g.name).join(', ')}` };
+      }
+      setRanking = group.ranking;
+    }
+    const set = (setRanking || []).find((s, i) => (s.rank ?? i + 1) === selection.set);
+    if (!set) return { success: false, error: `No suggested set #${selection.set}` };
+    filenames = getPresentationOrder(set).map(filename => basename(String(filename)));
+  }
+
+  const duplicates = filenames.filter((name, i) => filenames.indexOf(name) !== i);
+  if (duplicates.length > 0) return { success: false, error: `Photo chosen twice: ${[...new Set(duplicates)].join(', ')}` };
+  if (filenames.length === 0) return { success: false, error: 'No photos chosen' };
+  return { success: true, data: filenames.map(describe) };
+}
+
+/**
+ * Encode an image to a format, lowering quality and then dimensions until it
+ * fits a byte budget.
+ *
+ * @param {Buffer} input - Source image bytes
+ * @param {Object} options
+ * @param {string} options.format - jpg, png or webp
+ * @param {number|null} [options.maxBytes] - Size limit (null: encode once at the highest quality)
+ * @param {number} [options.minEdge] - Smallest long edge to scale down to
+ * @param {number|null} [options.maxEdge] - Largest long edge (null: keep the original size)
+ * @param {boolean} [options.srgb=false] - Convert to sRGB and embed the sRGB profile
+ * @param {number|null} [options.density] - DPI to write into the file
+ * @returns {Promise<{ data: Buffer, width: number, height: number, quality: number|null, resized: boolean }|null>} null when it cannot fit
+ */
+export async function fitToFileSize(input, {
+  format, maxBytes = null, minEdge = DEFAULT_MIN_EDGE, maxEdge = null, srgb = false, density = null
+}) {
+  // Decode once to pixels so every attempt starts from the original quality.
+  // Embedded profiles (Display P3, Adobe RGB, CMYK) are converted to sRGB here.
+  let decoded = sharp(input).rotate();
+  if (format === 'jpg') decoded = decoded.flatten({ background: '#ffffff' });
+  if (srgb) decoded = decoded.toColourspace('srgb');
+  const pixels = await decoded.raw().toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = pixels.info;
+  const longEdge = Math.max(width, height);
+  const startEdge = maxEdge ? Math.min(longEdge, maxEdge) : longEdge;
+  const qualities = format === 'png' ? [null] : QUALITY_STEPS;
+  const edges = [startEdge];
+  for (let edge = Math.floor(startEdge * SCALE_STEP); edge >= minEdge; edge = Math.floor(edge * SCALE_STEP)) {
+    edges.push(edge);
+  }
+
+  for (const edge of edges) {
+    for (const quality of qualities) {
+      let image = sharp(pixels.data, { raw: { width, height, channels } });
+      if (edge < longEdge) image = image.resize({ width: edge, height: edge, fit: 'inside' });
+      if (density) image = image.withMetadata({ density });
+      else if (srgb) image = image.withIccProfile('srgb');
+      if (format === 'png') image = image.png({ compressionLevel: 9 });
+      else if (format === 'webp') image = image.webp({ quality });
+      else image = image.jpeg({ quality, mozjpeg: true });
+      const { data, info } = await image.toBuffer({ resolveWithObject: true });
+      if (maxBytes === null || data.length <= maxBytes) {
+        return { data, width: info.width, height: info.height, quality, resized: edge < longEdge };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Build a submission package: conform, rename, zip and describe the chosen photos.
+ *
+ * @param {Object} params
+ * @param {string} params.projectDir - Project directory (photos/ holds the originals)
+ * @param {Object} params.config - open-call.json content
+ * @param {Array<{ filename: string, analysisRank: number|null, score: number|null, title: string|null, description: string|null }>} params.photos - Output of selectSubmissionPhotos()
+ * @param {string} params.outputDir - Directory for the ZIP and manifest
+ * @param {string} [params.pattern] - Filename pattern (default: submissionRules.filenamePattern, then DEFAULT_FILENAME_PATTERN)
+ * @param {string} [params.surname]
+ * @param {string} [params.firstName]
+ * @param {number} [params.minEdge] - Smallest long edge when shrinking to fit maxSizeMB (raised to minLongEdge / minShortEdge when set)
+ * @param {string} [params.name] - ZIP and manifest base name (default: <project>-submission)
+ * @returns {Promise<{ success: boolean, data?: { zipPath: string, manifestPath: string, manifest: Object }, problems?: string[], warnings: string[] }>}
+ */
+export async function buildSubmissionPackage({
+  projectDir, config, photos, outputDir, pattern, surname = '', firstName = '', minEdge = DEFAULT_MIN_EDGE, name
+}) {
+  const rules = config.submissionRules || {};
+  const format = normalizeFormat(rules.requiredFormat);
+  const extension = rules.requiredFormat ? String(rules.requiredFormat).toLowerCase() : DEFAULT_FORMAT;
+  const maxBytes = rules.maxSizeMB ? Math.floor(rules.maxSizeMB * 1024 * 1024) : null;
+  const filenamePattern = pattern || rules.filenamePattern || DEFAULT_FILENAME_PATTERN;
+  const problems = [];
+  const warnings = [];
+
+  if (rules.maxPhotos && photos.length > rules.maxPhotos) {
+    problems.push(`${photos.length} photos chosen, the call allows at most ${rules.maxPhotos}`);
+  }
+  if (rules.minPhotos && photos.length < rules.minPhotos) {
+    problems.push(`${photos.length} photos chosen, the call requires at least ${rules.minPhotos}`);
+  }
+  if (rules.deadline && checkDeadline(rules.deadline).status === 'expired') {
+    problems.push(`The deadline ${rules.deadline} has passed`);
+  }
+  if (/\{surname\}/.test(filenamePattern) && !slugifyFilenamePart(surname)) {
+    problems.push(`The filename pattern "${filenamePattern}" uses {surname}: pass a surname`);
+  }
+  if (/\{firstname\}/.test(filenamePattern) && !slugifyFilenamePart(firstName)) {
+    problems.push(`The filename pattern "${filenamePattern}" uses {firstname}: pass a first name`);
+  }
+
+  const width = Math.max(2, String(photos.length).length);
+  const files = [];
+  for (const [i, photo] of photos.entries()) {
+    const sourcePath = join(projectDir, 'photos', photo.filename);
+    if (!existsSync(sourcePath)) {
+      problems.push(`${photo.filename}: not found in photos/`);
+      continue;
+    }
+    if (/\{title\}/.test(filenamePattern) && !photo.title) {
+      warnings.push(`${photo.filename}: no generated title, using the original filename (run "generate-texts" first)`);
+    }
+
+    let file;
+    try {
+      file = formatSubmissionFilename(filenamePattern, {
+        rank: String(i + 1).padStart(width, '0'),
+        surname,
+        firstname: firstName,
+        title: photo.title || stem(photo.filename),
+        original: stem(photo.filename),
+        call: config.title
+      }, extension);
+    } catch (error) {
+      problems.push(error.message);
+      break;
+    }
+
+    // Files already in the required format, within the size limit and
+    // breaking no fixable image rule are copied unchanged
+    const sourceFormat = normalizeFormat(extname(photo.filename).slice(1));
+    const sourceSize = statSync(sourcePath).size;
+    let encoded;
+    try {
+      const props = await readImageProperties(sourcePath, { borders: Boolean(rules.noBorders) });
+      const violations = checkImageRules(props, rules);
+      const blocking = violations.filter(v => !v.fix && v.severity === 'ERROR');
+      for (const v of violations.filter(v => !v.fix && v.severity !== 'ERROR')) {
+        warnings.push(`${photo.filename}: ${v.rule} — ${v.actual}`);
+      }
+      if (blocking.length > 0) {
+        problems.push(...blocking.map(v => `${photo.filename}: ${v.rule} expects ${v.expected}, got ${v.actual}`));
+        continue;
+      }
+      const fixes = violations.filter(v => v.fix).map(v => v.fix.type);
+
+      if (sourceFormat === format && (maxBytes === null || sourceSize <= maxBytes) && fixes.length === 0) {
+        const data = readFileSync(sourcePath);
+        encoded = { data, width: props.width, height: props.height, quality: null, resized: false, copied: true, fixes };
+      } else {
+        // Never shrink below what the call requires
+        const shortSide = Math.min(props.width, props.height);
+        const longSide = Math.max(props.width, props.height);
+        const floor = Math.max(
+          minEdge,
+          rules.minLongEdge || 0,
+          rules.minShortEdge ? Math.ceil(rules.minShortEdge * longSide / shortSide) : 0
+        );
+        const fitted = await fitToFileSize(await loadImageSource(sourcePath), {
+          format,
+          maxBytes,
+          minEdge: floor,
+          maxEdge: rules.maxLongEdge || null,
+          srgb: rules.colorSpace === 'sRGB',
+          density: rules.dpi || null
+        });
+        if (!fitted) {
+          problems.push(`${photo.filename}: cannot fit ${rules.maxSizeMB} MB as ${format.toUpperCase()} without going below ${floor}px on the long edge`);
+          continue;
+        }
+        encoded = { ...fitted, copied: false, fixes };
+      }
+    } catch (error) {
+      problems.push(`${photo.filename}: cannot be read (${error.message})`);
+      continue;
+    }
+    files.push({ photo, file, ...encoded });
+  }
+
+  const taken = new Map();
+  for (const entry of files) {
+    const key = entry.file.toLowerCase();
+    if (taken.has(key)) problems.push(`${taken.get(key)} and ${entry.photo.filename} would both be named ${entry.file}`);
+    else taken.set(key, entry.photo.filename);
+  }
+
+  if (problems.length > 0) return { success: false, problems, warnings };
+
+  const manifest = {
+    call: config.title || null,
+    generatedAt: new Date().toISOString(),
+    pattern: filenamePattern,
+    rules: {
+      format: extension,
+      ...(rules.maxSizeMB && { maxSizeMB: rules.maxSizeMB }),
+      ...(rules.maxPhotos && { maxPhotos: rules.maxPhotos }),
+      ...(rules.minPhotos && { minPhotos: rules.minPhotos }),
+      ...(rules.deadline && { deadline: rules.deadline }),
+      ...(rules.maxLongEdge && { maxLongEdge: rules.maxLongEdge }),
+      ...(rules.minLongEdge && { minLongEdge: rules.minLongEdge }),
+      ...(rules.minShortEdge && { minShortEdge: rules.minShortEdge }),
+      ...(rules.aspectRatio && { aspectRatio: rules.aspectRatio }),
+      ...(rules.colorSpace && { colorSpace: rules.colorSpace }),
+      ...(rules.dpi && { dpi: rules.dpi })
+    },
+    photos: files.map(entry => ({
+      file: entry.file,
+      original: entry.photo.filename,
+      title: entry.photo.title,
+      description: entry.photo.description,
+      analysisRank: entry.photo.analysisRank,
+      score: entry.photo.score,
+      width: entry.width,
+      height: entry.height,
+      sizeBytes: entry.data.length,
+      quality: entry.quality,
+      resized: entry.resized,
+      copied: entry.copied,
+      fixes: entry.fixes
+    }))
+  };
+
+  const baseName = name || `${basename(projectDir)}-submission`;
+  const manifestJson = JSON.stringify(manifest, null, 2);
+  mkdirSync(outputDir, { recursive: true });
+  const zipPath = join(outputDir, `${baseName}.zip`);
+  const manifestPath = join(outputDir, `${baseName}-manifest.json`);
+  writeFileSync(zipPath, createZip([
+    ...files.map(entry => ({ name: entry.file, data: entry.data })),
+    { name: 'manifest.json', data: manifestJson }
+  ]));
+  writeFileSync(manifestPath, manifestJson);
+
+  return { success: true, data: { zipPath, manifestPath, manifest }, warnings };
+}
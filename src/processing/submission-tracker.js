@@ -0,0 +1,254 @@
+/**
+ * Open-call tracker (track, calendar and history commands)
+ *
+ * Persists what happened to each project after analysis: submission status,
+ * the photos actually entered, the entry fee, the submission date and the
+ * result. Stored in {projectDir}/tracker/tracker.json as a versioned JSON
+ * file with atomic writes, like winners/winners.json.
+ *
+ * Statuses: planning → submitted → shortlisted → won | rejected.
+ * Marking a submitted photo as won tags it in winner-manager, with its scores
+ * from the latest results, so winner patterns learn from real outcomes.
+ *
+ * @module submission-tracker
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { tagWinner, loadWinners } from '../analysis/winner-manager.js';
+import { checkDeadline } from './submission-validator.js';
+import { loadBatchResults } from '../output/report-run-loader.js';
+
+export const TRACKER_STATUSES = ['planning', 'submitted', 'shortlisted', 'won', 'rejected'];
+
+const TRACKER_DIR = 'tracker';
+const TRACKER_FILE = 'tracker.json';
+const TRACKER_VERSION = '1.0';
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const round2 = (value) => Math.round(value * 100) / 100;
+
+/**
+ * Today's date as YYYY-MM-DD.
+ *
+ * @returns {string}
+ */
+export function today() {
+  return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Load a project's tracker record. Projects never tracked are "planning".
+ *
+ * @param {string} projectDir - Project root directory
+ * @returns {{ version: string, status: string, photos: Array<{filename: string, outcome: string|null, placement: string}>, fee: {amount: number, currency: string}|null, submittedAt: string|null, result: string, history: Array<{status: string, date: string}> }}
+ */
+export function loadTracker(projectDir) {
+  const empty = {
+    version: TRACKER_VERSION,
+    status: 'planning',
+    photos: [],
+    fee: null,
+    submittedAt: null,
+    result: '',
+    history: []
+  };
+  try {
+    const filePath = path.join(projectDir, TRACKER_DIR, TRACKER_FILE);
+    if (!fs.existsSync(filePath)) return empty;
+    return { ...empty, ...JSON.parse(fs.readFileSync(filePath, 'utf8')) };
+  } catch {
+    return empty;
+  }
+}
+
+/**
+ * Internal: write the tracker record atomically.
+ */
+function saveTracker(projectDir, record) {
+  const trackerDir = path.join(projectDir, TRACKER_DIR);
+  fs.mkdirSync(trackerDir, { recursive: true });
+  const filePath = path.join(trackerDir, TRACKER_FILE);
+  const tempPath = `${filePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(record, null, 2), 'utf8');
+  fs.renameSync(tempPath, filePath);
+}
+
+/**
+ * Internal: scores of a photo from the project's latest batch results.
+ */
+function findPhotoScores(projectDir, filename) {
+  const loaded = loadBatchResults(projectDir);
+  if (!loaded.success) return null;
+  const match = (loaded.data.batchResults.results || []).find(r => r.success && path.basename(r.photo) === filename);
+  return match ? match.scores : null;
+}
+
+/**
+ * Update a project's tracker record.
+ *
+ * Submitting photos or recording an outcome moves the status forward when
+ * none is given: photos imply "submitted", a won photo implies "won". Photos
+ * marked as won are tagged in winner-manager (once per photo).
+ *
+ * @param {string} projectDir - Project root directory
+ * @param {Object} changes
+ * @param {string} [changes.status] - One of TRACKER_STATUSES
+ * @param {string[]} [changes.photos] - Photos entered (replaces the list)
+ * @param {number} [changes.fee] - Entry fee paid
+ * @param {string} [changes.currency] - Fee currency (e.g. "EUR")
+ * @param {string} [changes.submittedAt] - Submission date (YYYY-MM-DD)
+ * @param {string[]} [changes.won] - Submitted photos that won
+ * @param {string[]} [changes.shortlisted] - Submitted photos that were shortlisted
+ * @param {string} [changes.placement] - Placement of the won photos (e.g. "1st")
+ * @param {string} [changes.result] - Result notes
+ * @param {Object} [options]
+ * @param {string} [options.date] - Date of the update (default today)
+ * @param {string} [options.competition] - Competition name for winner tags
+ * @returns {{ success: boolean, data?: Object, taggedWinners?: string[], error?: string }}
+ */
+export function updateTracker(projectDir, changes, options = {}) {
+  const date = options.date || today();
+  const record = loadTracker(projectDir);
+  const won = changes.won || [];
+  const shortlisted = changes.shortlisted || [];
+
+  if (changes.status !== undefined && !TRACKER_STATUSES.includes(changes.status)) {
+    return { success: false, error: `Unknown status "${changes.status}". Use one of: ${TRACKER_STATUSES.join(', ')}` };
+  }
+  if (changes.submittedAt !== undefined && !DATE_PATTERN.test(changes.submittedAt)) {
+    return { success: false, error: `Invalid submission date "${changes.submittedAt}" (expected YYYY-MM-DD)` };
+  }
+  if (changes.fee !== undefined && (typeof changes.fee !== 'number' || isNaN(changes.fee) || changes.fee < 0)) {
+    return { success: false, error: 'Entry fee must be a non-negative number' };
+  }
+
+  if (changes.photos) {
+    const previous = new Map(record.photos.map(p => [p.filename, p]));
+    record.photos = [...new Set(changes.photos)].map(filename =>
+      previous.get(filename) || { filename, outcome: null, placement: '' });
+  }
+  const entered = new Set(record.photos.map(p => p.filename));
+  const notEntered = [...won, ...shortlisted].filter(filename => !entered.has(filename));
+  if (notEntered.length > 0) {
+    return { success: false, error: `Not among the submitted photos: ${notEntered.join(', ')}` };
+  }
+
+  for (const photo of record.photos) {
+    if (shortlisted.includes(photo.filename)) photo.outcome = 'shortlisted';
+    if (won.includes(photo.filename)) {
+      photo.outcome = 'won';
+      if (changes.placement !== undefined) photo.placement = changes.placement;
+    }
+  }
+
+  let status = changes.status;
+  if (status === undefined) {
+    if (won.length > 0) status = 'won';
+    else if (shortlisted.length > 0) status = 'shortlisted';
+    else if (changes.photos && record.status === 'planning') status = 'submitted';
+  }
+  if (status && status !== record.status) {
+    record.status = status;
+    record.history.push({ status, date });
+  }
+  if (record.status !== 'planning' && !record.submittedAt) {
+    record.submittedAt = changes.submittedAt || date;
+  } else if (changes.submittedAt !== undefined) {
+    record.submittedAt = changes.submittedAt;
+  }
+  if (changes.fee !== undefined) {
+    record.fee = { amount: changes.fee, currency: changes.currency || record.fee?.currency || '' };
+  } else if (changes.currency !== undefined && record.fee) {
+    record.fee.currency = changes.currency;
+  }
+  if (changes.result !== undefined) record.result = changes.result;
+
+  // Feed winner-manager with photos that won, once each
+  const alreadyTagged = new Set(loadWinners(projectDir).map(w => w.filename));
+  const taggedWinners = [];
+  for (const photo of record.photos) {
+    if (photo.outcome !== 'won' || alreadyTagged.has(photo.filename)) continue;
+    const tagged = tagWinner(projectDir, {
+      filename: photo.filename,
+      scores: findPhotoScores(projectDir, photo.filename)
+    }, {
+      placement: photo.placement,
+      competition: options.competition || '',
+      notes: 'Recorded by the open-call tracker'
+    });
+    if (tagged) taggedWinners.push(photo.filename);
+  }
+
+  saveTracker(projectDir, record);
+  return { success: true, data: record, taggedWinners };
+}
+
+/**
+ * Upcoming deadlines across projects, soonest first.
+ *
+ * @param {Array<{ name: string, config: Object, tracker: Object }>} projects - Projects with config and tracker record
+ * @param {Object} [options]
+ * @param {boolean} [options.includePast=false] - Also list calls whose deadline has passed
+ * @returns {Array<{ name: string, title: string, deadline: string|null, daysRemaining: number|null, status: string, fee: Object|null }>}
+ *   Calls without a deadline come last
+ */
+export function buildCalendar(projects, options = {}) {
+  const entries = projects.map(({ name, config, tracker }) => {
+    const deadline = config?.submissionRules?.deadline || null;
+    const check = deadline ? checkDeadline(deadline) : null;
+    return {
+      name,
+      title: config?.title || name,
+      deadline,
+      daysRemaining: check && check.status !== 'error' ? check.daysRemaining : null,
+      expired: check?.status === 'expired',
+      status: tracker.status,
+      fee: tracker.fee
+    };
+  });
+
+  return entries
+    .filter(entry => options.includePast || !entry.expired)
+    .sort((a, b) => (a.deadline || '9999-12-31').localeCompare(b.deadline || '9999-12-31'))
+    .map(({ expired, ...entry }) => entry);
+}
+
+/**
+ * Acceptance rates and fees across tracked projects.
+ *
+ * A call counts as decided once it is shortlisted, won or rejected; the
+ * acceptance rate is the share of decided calls that were shortlisted or won.
+ *
+ * @param {Array<{ name: string, tracker: Object }>} projects - Projects with tracker record
+ * @returns {{ calls: number, byStatus: Object, decided: number, acceptanceRate: number|null, winRate: number|null, photos: {submitted: number, shortlisted: number, won: number}, fees: Object }}
+ *   fees are totals keyed by currency
+ */
+export function summarizeHistory(projects) {
+  const byStatus = Object.fromEntries(TRACKER_STATUSES.map(status => [status, 0]));
+  const photos = { submitted: 0, shortlisted: 0, won: 0 };
+  const fees = {};
+
+  for (const { tracker } of projects) {
+    byStatus[tracker.status] = (byStatus[tracker.status] || 0) + 1;
+    photos.submitted += tracker.photos.length;
+    photos.shortlisted += tracker.photos.filter(p => p.outcome === 'shortlisted').length;
+    photos.won += tracker.photos.filter(p => p.outcome === 'won').length;
+    if (tracker.fee) {
+      const currency = tracker.fee.currency || '';
+      fees[currency] = round2((fees[currency] || 0) + tracker.fee.amount);
+    }
+  }
+
+  const decided = byStatus.shortlisted + byStatus.won + byStatus.rejected;
+
+  return {
+    calls: projects.length,
+    byStatus,
+    decided,
+    acceptanceRate: decided > 0 ? round2((byStatus.shortlisted + byStatus.won) / decided) : null,
+    winRate: decided > 0 ? round2(byStatus.won / decided) : null,
+    photos,
+    fees
+  };
+}
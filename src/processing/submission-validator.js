@@ -4,11 +4,18 @@
  * Validates submission-level rules for open call compliance.
  * Checks: photo count, deadline, required format, max file size.
  * Complements photo-validator.js which handles individual file validation.
+ *
+ * Image rules (long/short edge limits, aspect ratio, sRGB, DPI, borders)
+ * need the decoded image and are checked separately by the async
+ * validateSubmissionImages(), which also returns a fix plan for the rules
+ * the package command can fix on its own (resize, convert to sRGB, set DPI).
  */
 
 import { readdirSync, statSync, existsSync } from 'fs';
 import { join, extname } from 'path';
+import sharp from 'sharp';
 import { SUPPORTED_FORMATS } from './photo-validator.js';
+import { loadImageSource } from '../utils/raw-preview.js';
 
 /**
  * Image file extensions considered as photos
@@ -210,3 +217,276 @@ export function validateSubmission(projectDir, config) {
     violations
   };
 }
+
+/**
+ * Image rules checked by checkImageRules(), in report order
+ */
+export const IMAGE_RULES = ['maxLongEdge', 'minLongEdge', 'minShortEdge', 'aspectRatio', 'colorSpace', 'dpi', 'noBorders'];
+
+export const DEFAULT_ASPECT_RATIO_TOLERANCE = 0.01;
+
+// Border detection works on a downscaled copy; a frame must cover all four
+// sides and be at least this share of the short edge
+const BORDER_SAMPLE_EDGE = 800;
+const BORDER_MIN_SHARE = 0.01;
+const BORDER_THRESHOLD = 12;
+
+/**
+ * Parse an aspect ratio such as "3:2" or "1:1" into long side / short side,
+ * so that 2:3 and 3:2 compare equal.
+ * @param {string} value
+ * @returns {number|null} Ratio >= 1, or null when unparseable
+ */
+export function parseAspectRatio(value) {
+  const match = /^\s*(\d+(?:\.\d+)?)\s*:\s*(\d+(?:\.\d+)?)\s*$/.exec(String(value ?? ''));
+  if (!match) return null;
+  const a = Number(match[1]);
+  const b = Number(match[2]);
+  if (!(a > 0 && b > 0)) return null;
+  return Math.max(a, b) / Math.min(a, b);
+}
+
+/**
+ * Profile description of an ICC profile (the 'desc' tag, v2 text or v4 mluc).
+ * @param {Buffer} icc
+ * @returns {string|null}
+ */
+export function readIccDescription(icc) {
+  if (!Buffer.isBuffer(icc) || icc.length < 132) return null;
+  try {
+    const count = icc.readUInt32BE(128);
+    for (let i = 0; i < count; i++) {
+      const entry = 132 + i * 12;
+      if (icc.toString('latin1', entry, entry + 4) !== 'desc') continue;
+      const offset = icc.readUInt32BE(entry + 4);
+      const type = icc.toString('latin1', offset, offset + 4);
+      if (type === 'desc') {
+        const length = icc.readUInt32BE(offset + 8);
+        return icc.toString('latin1', offset + 12, offset + 12 + length).replace(/\0+$/, '') || null;
+      }
+      if (type === 'mluc' && icc.readUInt32BE(offset + 8) > 0) {
+        const length = icc.readUInt32BE(offset + 20);
+        const start = offset + icc.readUInt32BE(offset + 24);
+        // Copy first: swap16() works in place and would corrupt the caller's buffer
+        return Buffer.from(icc.subarray(start, start + length)).swap16().toString('utf16le').replace(/\0+$/, '') || null;
+      }
+      return null;
+    }
+  } catch {
+    // Truncated or malformed profile
+  }
+  return null;
+}
+
+/**
+ * Uniform frame around an image, in original pixels, or null when there is none.
+ * Trims the colour of the top-left pixel from a downscaled copy; only a
+ * margin on all four sides counts, so a plain sky alone is not a border.
+ * @param {Buffer|string} source - sharp input
+ * @param {number} longEdge - Long edge of the original, to scale the margins back
+ * @returns {Promise<{ top: number, right: number, bottom: number, left: number }|null>}
+ */
+async function detectBorder(source, longEdge) {
+  const sample = await sharp(source)
+    .rotate()
+    .resize({ width: BORDER_SAMPLE_EDGE, height: BORDER_SAMPLE_EDGE, fit: 'inside', withoutEnlargement: true })
+    .removeAlpha()
+    .raw()
+    .toBuffer({ resolveWithObject: true });
+  const { width, height, channels } = sample.info;
+  let trimmed;
+  try {
+    trimmed = await sharp(sample.data, { raw: { width, height, channels } })
+      .trim({ threshold: BORDER_THRESHOLD })
+      .raw()
+      .toBuffer({ resolveWithObject: true });
+  } catch {
+    // Nothing left after trimming: a flat image, not a frame
+    return null;
+  }
+  const left = -(trimmed.info.trimOffsetLeft || 0);
+  const top = -(trimmed.info.trimOffsetTop || 0);
+  const margins = { top, right: width - trimmed.info.width - left, bottom: height - trimmed.info.height - top, left };
+  const minimum = Math.max(2, Math.round(Math.min(width, height) * BORDER_MIN_SHARE));
+  if (Object.values(margins).some(margin => margin < minimum)) return null;
+  const scale = longEdge / Math.max(width, height);
+  return Object.fromEntries(Object.entries(margins).map(([side, margin]) => [side, Math.round(margin * scale)]));
+}
+
+/**
+ * Read what the image rules need from a photo.
+ * @param {string} photoPath - Photo path (RAW files are read through their preview)
+ * @param {Object} [options]
+ * @param {boolean} [options.borders=false] - Also look for a uniform frame (decodes the image)
+ * @returns {Promise<{ width: number, height: number, format: string, space: string, iccProfile: string|null, density: number|null, border: Object|null }>}
+ *   width and height as displayed, after EXIF orientation
+ */
+export async function readImageProperties(photoPath, { borders = false } = {}) {
+  const source = await loadImageSource(photoPath);
+  const meta = await sharp(source).metadata();
+  const swap = (meta.orientation || 1) >= 5;
+  return {
+    width: swap ? meta.height : meta.width,
+    height: swap ? meta.width : meta.height,
+    format: meta.format,
+    space: meta.space,
+    iccProfile: meta.icc ? readIccDescription(meta.icc) || 'unnamed profile' : null,
+    density: meta.density ? Math.round(meta.density) : null,
+    border: borders ? await detectBorder(source, Math.max(meta.width, meta.height)) : null
+  };
+}
+
+/**
+ * Check one photo against the image rules.
+ *
+ * Each violation carries the fix the package command applies for it, or
+ * null when it needs the photographer (too small, wrong shape, a frame).
+ *
+ * @param {Object} props - Output of readImageProperties()
+ * @param {Object} rules - submissionRules
+ * @returns {Array<{ rule: string, expected: string, actual: string, severity: 'ERROR'|'WARNING', fix: Object|null }>}
+ */
+export function checkImageRules(props, rules) {
+  const violations = [];
+  const longEdge = Math.max(props.width, props.height);
+  const shortEdge = Math.min(props.width, props.height);
+
+  if (rules.maxLongEdge && longEdge > rules.maxLongEdge) {
+    violations.push({
+      rule: 'maxLongEdge',
+      expected: `at most ${rules.maxLongEdge}px on the long edge`,
+      actual: `${longEdge}px`,
+      severity: 'ERROR',
+      fix: { type: 'resize', maxLongEdge: rules.maxLongEdge }
+    });
+  }
+  if (rules.minLongEdge && longEdge < rules.minLongEdge) {
+    violations.push({
+      rule: 'minLongEdge',
+      expected: `at least ${rules.minLongEdge}px on the long edge`,
+      actual: `${longEdge}px`,
+      severity: 'ERROR',
+      fix: null
+    });
+  }
+  if (rules.minShortEdge && shortEdge < rules.minShortEdge) {
+    violations.push({
+      rule: 'minShortEdge',
+      expected: `at least ${rules.minShortEdge}px on the short edge`,
+      actual: `${shortEdge}px`,
+      severity: 'ERROR',
+      fix: null
+    });
+  }
+
+  if (rules.aspectRatio) {
+    const allowed = [].concat(rules.aspectRatio);
+    const tolerance = rules.aspectRatioTolerance ?? DEFAULT_ASPECT_RATIO_TOLERANCE;
+    const ratio = longEdge / shortEdge;
+    const matches = allowed.some(value => {
+      const target = parseAspectRatio(value);
+      return target !== null && Math.abs(ratio - target) / target <= tolerance;
+    });
+    if (!matches) {
+      violations.push({
+        rule: 'aspectRatio',
+        expected: allowed.join(' or '),
+        actual: `${props.width}×${props.height} (${ratio.toFixed(2)}:1)`,
+        severity: 'ERROR',
+        fix: null
+      });
+    }
+  }
+
+  if (rules.colorSpace === 'sRGB') {
+    // Untagged RGB and greyscale are read as sRGB by browsers and upload forms
+    const wrongSpace = !['srgb', 'rgb', 'b-w'].includes(props.space);
+    const wrongProfile = props.iccProfile !== null && !/srgb/i.test(props.iccProfile);
+    if (wrongSpace || wrongProfile) {
+      violations.push({
+        rule: 'colorSpace',
+        expected: 'sRGB',
+        actual: wrongProfile ? props.iccProfile : props.space,
+        severity: 'ERROR',
+        fix: { type: 'convertColorSpace', to: 'sRGB' }
+      });
+    }
+  }
+
+  if (rules.dpi && props.density !== rules.dpi) {
+    violations.push({
+      rule: 'dpi',
+      expected: `${rules.dpi} DPI`,
+      actual: props.density ? `${props.density} DPI` : 'not set',
+      severity: 'ERROR',
+      fix: { type: 'setDensity', dpi: rules.dpi }
+    });
+  }
+
+  if (rules.noBorders && props.border) {
+    const { top, right, bottom, left } = props.border;
+    violations.push({
+      rule: 'noBorders',
+      expected: 'no border',
+      actual: `uniform frame (top ${top}px, right ${right}px, bottom ${bottom}px, left ${left}px)`,
+      severity: 'WARNING',
+      fix: null
+    });
+  }
+
+  return violations;
+}
+
+/**
+ * One-line description of a fix plan action.
+ * @param {Object} action - A fix from checkImageRules()
+ * @returns {string}
+ */
+export function describeFixAction(action) {
+  switch (action.type) {
+    case 'resize': return `resize to ${action.maxLongEdge}px on the long edge`;
+    case 'convertColorSpace': return `convert to ${action.to}`;
+    case 'setDensity': return `set ${action.dpi} DPI`;
+    default: return action.type;
+  }
+}
+
+/**
+ * Validate every photo in photos/ against the image rules of submissionRules.
+ *
+ * @param {string} projectDir - Project directory path
+ * @param {Object} config - Open call configuration (with optional submissionRules)
+ * @returns {Promise<Object>} {
+ *   passed: boolean,
+ *   violations: Array<{ photo, rule, expected, actual, severity, fix }>,
+ *   fixPlan: Array<{ photo: string, actions: Object[] }>,
+ *   manualChecks: string[]
+ * }
+ */
+export async function validateSubmissionImages(projectDir, config) {
+  const rules = config.submissionRules || {};
+  const result = { passed: true, violations: [], fixPlan: [], manualChecks: [] };
+
+  if (rules.noWatermarks) {
+    result.manualChecks.push('noWatermarks: check by eye that no photo carries a signature, logo or watermark');
+  }
+  if (!IMAGE_RULES.some(rule => rules[rule])) return result;
+
+  const photosDir = join(projectDir, 'photos');
+  for (const photo of listImageFiles(photosDir)) {
+    let props;
+    try {
+      props = await readImageProperties(join(photosDir, photo), { borders: Boolean(rules.noBorders) });
+    } catch (error) {
+      result.violations.push({ photo, rule: 'readable', expected: 'a readable image', actual: error.message, severity: 'ERROR', fix: null });
+      continue;
+    }
+    const violations = checkImageRules(props, rules);
+    result.violations.push(...violations.map(v => ({ photo, ...v })));
+    const actions = violations.filter(v => v.fix).map(v => v.fix);
+    if (actions.length > 0) result.fixPlan.push({ photo, actions });
+  }
+
+  result.passed = !result.violations.some(v => v.severity === 'ERROR');
+  return result;
+}
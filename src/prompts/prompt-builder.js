@@ -155,9 +155,14 @@ export function buildMultiStagePrompts(analysisPrompt, options = {}) {
     ? `\n**AESTHETIC CONTEXT (CRITICAL)**: ${aestheticDesc}\nEvaluate according to this aesthetic. Qualities described above are POSITIVE, not defects.\n\n`
     : '';
 
+  // Per-photo capture metadata (photoMetadata.includeInPrompt) informs the description
+  const captureBlock = analysisPrompt.captureContext
+    ? `\n**CAPTURE DETAILS** (from the file's metadata): ${analysisPrompt.captureContext}\n`
+    : '';
+
   // Stage 1: Understanding (no scoring)
   const stage1 = {
-    prompt: stages.stage1_understanding.prompt + aestheticBlock,
+    prompt: stages.stage1_understanding.prompt + aestheticBlock + captureBlock,
     temperature: stages.stage1_understanding.temperature,
     maxTokens: stages.stage1_understanding.maxTokens,
     purpose: stages.stage1_understanding.purpose
@@ -0,0 +1,230 @@
+/**
+ * Cassette Provider (record/replay)
+ *
+ * Wraps another provider to record every chat request/response into a
+ * project-local cassette file, or replays responses from that file with
+ * no model server at all. Used to reproduce a ranking exactly, share a
+ * failing case, and run full pipelines in CI without Ollama.
+ *
+ * Entries are keyed by SHA-256 of model + messages (with images replaced
+ * by their SHA-256) + options + format. A replay miss throws with the
+ * missing key so the gap is visible instead of silently re-analyzed.
+ *
+ * Cassette format:
+ * { version, entries: { [key]: { model, promptPreview, imageHashes, response: { content }, recordedAt } } }
+ *
+ * @module cassette-provider
+ */
+
+import crypto from 'crypto';
+import fs from 'fs';
+import path from 'path';
+import { logger } from '../utils/logger.js';
+
+export const CASSETTE_PROVIDER = 'cassette';
+export const CASSETTE_MODES = ['record', 'replay'];
+const CASSETTE_VERSION = '1.0';
+const DEFAULT_CASSETTE_FILE = 'cassette.json';
+
+function sha256(data) {
+  return crypto.createHash('sha256').update(data).digest('hex');
+}
+
+function hashImage(image) {
+  return sha256(typeof image === 'string' ? image : Buffer.from(image));
+}
+
+/**
+ * Compute the cassette key for a chat request.
+ * `stream` is excluded so a streamed call and a plain call share entries.
+ *
+ * @param {Object} request - { model, messages, options?, format? }
+ * @returns {string} SHA-256 hex string (64 characters)
+ */
+export function computeCassetteKey(request) {
+  const canonical = {
+    model: request.model,
+    messages: (request.messages || []).map(m => ({
+      role: m.role,
+      content: m.content,
+      images: (m.images || []).map(hashImage)
+    })),
+    options: request.options || {},
+    format: request.format ?? null
+  };
+  return sha256(JSON.stringify(canonical));
+}
+
+/**
+ * Resolve cassette options from CLI flags and environment.
+ *
+ * Resolution chain: CLI flags > VISION_CASSETTE / VISION_CASSETTE_FILE env vars.
+ * The default file is {projectDir}/cassette.json.
+ *
+ * @param {Object} [flags={}]
+ * @param {string} [flags.mode] - 'record' or 'replay'
+ * @param {string} [flags.file] - Cassette file path
+ * @param {string} [flags.projectDir] - Project directory for the default path
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{ mode: string, path: string }|null} Null when no cassette mode is active
+ * @throws {Error} If the mode is unknown or no path can be determined
+ */
+export function resolveCassetteOptions({ mode, file, projectDir } = {}, env = process.env) {
+  const resolvedMode = mode || env.VISION_CASSETTE || null;
+  if (!resolvedMode) return null;
+
+  if (!CASSETTE_MODES.includes(resolvedMode)) {
+    throw new Error(`Unknown cassette mode "${resolvedMode}". Use: ${CASSETTE_MODES.join(', ')}`);
+  }
+
+  const resolvedFile = file || env.VISION_CASSETTE_FILE || (projectDir ? path.join(projectDir, DEFAULT_CASSETTE_FILE) : null);
+  if (!resolvedFile) {
+    throw new Error('Cassette mode requires a cassette file (--cassette-file or VISION_CASSETTE_FILE)');
+  }
+
+  return { mode: resolvedMode, path: path.resolve(resolvedFile) };
+}
+
+/**
+ * Load a cassette file.
+ *
+ * @param {string} cassettePath - Path to cassette JSON
+ * @returns {{ version: string, entries: Object }} Empty cassette if the file does not exist
+ */
+export function loadCassette(cassettePath) {
+  if (!fs.existsSync(cassettePath)) {
+    return { version: CASSETTE_VERSION, entries: {} };
+  }
+  const data = JSON.parse(fs.readFileSync(cassettePath, 'utf8'));
+  return { version: data.version || CASSETTE_VERSION, entries: data.entries || {} };
+}
+
+/**
+ * Write a cassette atomically (temp file + rename).
+ */
+function saveCassette(cassettePath, cassette) {
+  fs.mkdirSync(path.dirname(cassettePath), { recursive: true });
+  const tempPath = `${cassettePath}.tmp`;
+  fs.writeFileSync(tempPath, JSON.stringify(cassette, null, 2), 'utf8');
+  fs.renameSync(tempPath, cassettePath);
+}
+
+function describeRequest(request) {
+  const lastUser = [...(request.messages || [])].reverse().find(m => m.role === 'user');
+  return {
+    model: request.model,
+    promptPreview: (lastUser?.content || '').slice(0, 200),
+    imageHashes: (request.messages || []).flatMap(m => (m.images || []).map(hashImage))
+  };
+}
+
+async function* singleChunkStream(content) {
+  yield { message: { role: 'assistant', content }, done: true };
+}
+
+/**
+ * Create a record/replay provider.
+ *
+ * @param {Object} options
+ * @param {string} options.mode - 'record' or 'replay'
+ * @param {string} options.path - Cassette file path
+ * @param {Object} [options.inner] - Provider to record from (required in record mode)
+ * @returns {Object} Provider with chat, list, pull and health methods, plus `misses`
+ */
+export function createCassetteProvider({ mode, path: cassettePath, inner }) {
+  if (!CASSETTE_MODES.includes(mode)) {
+    throw new Error(`Unknown cassette mode "${mode}". Use: ${CASSETTE_MODES.join(', ')}`);
+  }
+  if (mode === 'record' && !inner) {
+    throw new Error('Cassette record mode requires an underlying provider');
+  }
+  if (mode === 'replay' && !fs.existsSync(cassettePath)) {
+    throw new Error(`Cassette not found: ${cassettePath}. Record one first with --cassette record`);
+  }
+
+  const cassette = loadCassette(cassettePath);
+  const misses = [];
+
+  function record(key, request, content) {
+    cassette.entries[key] = {
+      ...describeRequest(request),
+      response: { content },
+      recordedAt: new Date().toISOString()
+    };
+    saveCassette(cassettePath, cassette);
+  }
+
+  async function* recordStream(stream, key, request) {
+    let content = '';
+    for await (const chunk of stream) {
+      content += chunk.message?.content || '';
+      yield chunk;
+    }
+    record(key, request, content);
+  }
+
+  async function chat(request) {
+    const key = computeCassetteKey(request);
+
+    if (mode === 'replay') {
+      const entry = cassette.entries[key];
+      if (!entry) {
+        const { model, promptPreview } = describeRequest(request);
+        misses.push(key);
+        logger.error(`Cassette miss: ${key} (model ${model}) in ${cassettePath}`);
+        throw new Error(`Cassette miss for key ${key} (model ${model}, prompt "${promptPreview.slice(0, 60)}..."). Re-record with --cassette record`);
+      }
+      const content = entry.response.content;
+      return request.stream
+        ? singleChunkStream(content)
+        : { model: entry.model, message: { role: 'assistant', content }, done: true };
+    }
+
+    const response = await inner.chat(request);
+    if (request.stream) {
+      return recordStream(response, key, request);
+    }
+    record(key, request, response.message?.content || '');
+    return response;
+  }
+
+  if (mode === 'record') {
+    return {
+      name: inner.name,
+      host: inner.host,
+      capabilities: inner.capabilities,
+      cassette: { mode, path: cassettePath },
+      misses,
+      chat,
+      list: () => inner.list(),
+      pull: (req) => inner.pull(req),
+      health: () => inner.health()
+    };
+  }
+
+  return {
+    name: CASSETTE_PROVIDER,
+    host: `cassette:${cassettePath}`,
+    capabilities: { pull: false },
+    cassette: { mode, path: cassettePath },
+    misses,
+    chat,
+
+    /**
+     * List models that appear in the cassette.
+     * @returns {Promise<{ models: Array<{ name: string }> }>}
+     */
+    async list() {
+      const names = [...new Set(Object.values(cassette.entries).map(e => e.model))];
+      return { models: names.map(name => ({ name })) };
+    },
+
+    async pull(req) {
+      throw new Error(`Model pulling is not available in cassette replay mode (requested "${req.model}")`);
+    },
+
+    async health() {
+      return { ok: true };
+    }
+  };
+}
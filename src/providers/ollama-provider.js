@@ -0,0 +1,67 @@
+/**
+ * Ollama Vision Provider
+ *
+ * Wraps the official Ollama client behind the provider interface used by
+ * api-client.js. Requests and responses already use the canonical shape
+ * (Ollama chat format), so this provider is a thin pass-through.
+ *
+ * @module ollama-provider
+ */
+
+import { Ollama } from 'ollama';
+
+export const OLLAMA_PROVIDER = 'ollama';
+const DEFAULT_HOST = 'http://localhost:11434';
+
+/**
+ * Create an Ollama-backed provider.
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.host] - Ollama host URL (default: http://localhost:11434)
+ * @returns {Object} Provider with chat, list, pull and health methods
+ */
+export function createOllamaProvider(options = {}) {
+  const host = options.host || DEFAULT_HOST;
+  const client = new Ollama({ host });
+
+  return {
+    name: OLLAMA_PROVIDER,
+    host,
+    capabilities: { pull: true },
+
+    /**
+     * @param {Object} request - { model, messages, options, format?, stream? }
+     * @returns {Promise<Object>|Promise<AsyncIterable>} { message: { content } } or chunk stream
+     */
+    chat(request) {
+      return client.chat(request);
+    },
+
+    /**
+     * @returns {Promise<{ models: Array<{ name: string }> }>}
+     */
+    list() {
+      return client.list();
+    },
+
+    /**
+     * @param {{ model: string }} request
+     * @returns {Promise<Object>}
+     */
+    pull(request) {
+      return client.pull(request);
+    },
+
+    /**
+     * @returns {Promise<{ ok: boolean, error?: string }>}
+     */
+    async health() {
+      try {
+        await client.list();
+        return { ok: true };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+    }
+  };
+}
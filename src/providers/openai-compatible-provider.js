@@ -0,0 +1,206 @@
+/**
+ * OpenAI-Compatible Vision Provider
+ *
+ * Talks to any server exposing the OpenAI `/v1/chat/completions` and
+ * `/v1/models` endpoints (llama.cpp server, LM Studio, vLLM).
+ *
+ * Translates the canonical request shape (Ollama chat format, with
+ * base64 `images` on messages) into OpenAI content parts, and maps the
+ * response back to `{ message: { content } }` so callers stay agnostic.
+ *
+ * @module openai-compatible-provider
+ */
+
+export const OPENAI_COMPATIBLE_PROVIDER = 'openai-compatible';
+const DEFAULT_BASE_URL = 'http://localhost:8080/v1';
+
+/**
+ * Detect image MIME type from the leading bytes of a base64 payload.
+ *
+ * @param {string} base64 - Base64-encoded image
+ * @returns {string} MIME type (defaults to image/jpeg)
+ */
+export function detectImageMime(base64) {
+  const head = Buffer.from(base64.slice(0, 16), 'base64');
+  if (head[0] === 0x89 && head[1] === 0x50 && head[2] === 0x4e && head[3] === 0x47) return 'image/png';
+  if (head.toString('ascii', 0, 4) === 'GIF8') return 'image/gif';
+  if (head.toString('ascii', 0, 4) === 'RIFF' && head.toString('ascii', 8, 12) === 'WEBP') return 'image/webp';
+  return 'image/jpeg';
+}
+
+/**
+ * Convert canonical chat messages to OpenAI chat-completions messages.
+ *
+ * @param {Array<{ role: string, content: string, images?: string[] }>} messages
+ * @returns {Array<Object>} OpenAI-format messages
+ */
+export function toOpenAIMessages(messages) {
+  return (messages || []).map(msg => {
+    if (!msg.images || msg.images.length === 0) {
+      return { role: msg.role, content: msg.content };
+    }
+    return {
+      role: msg.role,
+      content: [
+        { type: 'text', text: msg.content },
+        ...msg.images.map(image => ({
+          type: 'image_url',
+          image_url: { url: `data:${detectImageMime(image)};base64,${image}` }
+        }))
+      ]
+    };
+  });
+}
+
+/**
+ * Build the chat-completions request body from a canonical request.
+ *
+ * @param {Object} request - { model, messages, options, format?, stream }
+ * @returns {Object} OpenAI request body
+ */
+export function buildChatBody(request) {
+  const options = request.options || {};
+  const body = {
+    model: request.model,
+    messages: toOpenAIMessages(request.messages),
+    stream: !!request.stream
+  };
+  if (options.temperature !== undefined) body.temperature = options.temperature;
+  if (options.num_predict !== undefined) body.max_tokens = options.num_predict;
+  if (options.seed !== undefined) body.seed = options.seed;
+  if (options.top_p !== undefined) body.top_p = options.top_p;
+
+  // Ollama `format`: 'json' or a JSON Schema object
+  if (request.format === 'json') {
+    body.response_format = { type: 'json_object' };
+  } else if (request.format && typeof request.format === 'object') {
+    body.response_format = {
+      type: 'json_schema',
+      json_schema: { name: 'response', schema: request.format }
+    };
+  }
+  return body;
+}
+
+/**
+ * Parse a server-sent-events body into canonical stream chunks.
+ *
+ * @param {ReadableStream} body - Response body stream
+ * @yields {{ message: { content: string }, done: boolean }}
+ */
+async function* parseSseStream(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+
+    for (const line of lines) {
+      const trimmed = line.trim();
+      if (!trimmed.startsWith('data:')) continue;
+      const payload = trimmed.slice(5).trim();
+      if (payload === '[DONE]') return;
+      try {
+        const parsed = JSON.parse(payload);
+        const delta = parsed.choices?.[0]?.delta?.content || '';
+        yield { message: { role: 'assistant', content: delta }, done: false };
+      } catch {
+        // Ignore keep-alive or malformed lines
+      }
+    }
+  }
+}
+
+/**
+ * Create an OpenAI-compatible provider.
+ *
+ * @param {Object} [options={}]
+ * @param {string} [options.baseUrl] - API base URL including /v1 (default: http://localhost:8080/v1)
+ * @param {string} [options.apiKey] - Optional bearer token
+ * @param {Function} [options.fetchImpl] - Injectable fetch (for testing)
+ * @returns {Object} Provider with chat, list, pull and health methods
+ */
+export function createOpenAICompatibleProvider(options = {}) {
+  const baseUrl = (options.baseUrl || DEFAULT_BASE_URL).replace(/\/+$/, '');
+  const apiKey = options.apiKey || null;
+  const fetchImpl = options.fetchImpl || globalThis.fetch;
+
+  function headers() {
+    const h = { 'Content-Type': 'application/json' };
+    if (apiKey) h.Authorization = `Bearer ${apiKey}`;
+    return h;
+  }
+
+  async function request(path, init = {}) {
+    const res = await fetchImpl(`${baseUrl}${path}`, { ...init, headers: headers() });
+    if (!res.ok) {
+      let detail = '';
+      try {
+        detail = await res.text();
+      } catch {
+        // Body unavailable
+      }
+      throw new Error(`${OPENAI_COMPATIBLE_PROVIDER} ${path} failed: HTTP ${res.status}${detail ? ` - ${detail.slice(0, 200)}` : ''}`);
+    }
+    return res;
+  }
+
+  async function list() {
+    const res = await request('/models', { method: 'GET' });
+    const data = await res.json();
+    return { models: (data.data || []).map(m => ({ name: m.id })) };
+  }
+
+  return {
+    name: OPENAI_COMPATIBLE_PROVIDER,
+    host: baseUrl,
+    capabilities: { pull: false },
+
+    /**
+     * @param {Object} req - { model, messages, options, stream? }
+     * @returns {Promise<Object>|Promise<AsyncIterable>} { message: { content } } or chunk stream
+     */
+    async chat(req) {
+      const res = await request('/chat/completions', {
+        method: 'POST',
+        body: JSON.stringify(buildChatBody(req))
+      });
+
+      if (req.stream) {
+        return parseSseStream(res.body);
+      }
+
+      const data = await res.json();
+      const choice = data.choices?.[0] || {};
+      return {
+        model: data.model || req.model,
+        message: { role: 'assistant', content: choice.message?.content || '' },
+        done: true
+      };
+    },
+
+    list,
+
+    /**
+     * OpenAI-compatible servers serve whatever model they were started with.
+     * @param {{ model: string }} req
+     */
+    async pull(req) {
+      throw new Error(`Model pulling is not supported by the ${OPENAI_COMPATIBLE_PROVIDER} provider (${baseUrl}). Load "${req.model}" on the server instead.`);
+    },
+
+    /**
+     * @returns {Promise<{ ok: boolean, error?: string }>}
+     */
+    async health() {
+      try {
+        await list();
+        return { ok: true };
+      } catch (error) {
+        return { ok: false, error: error.message };
+      }
+    }
+  };
+}
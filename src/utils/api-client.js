@@ -1,22 +1,100 @@
-import { Ollama } from 'ollama';
+import { createOllamaProvider, OLLAMA_PROVIDER } from '../providers/ollama-provider.js';
+import { createOpenAICompatibleProvider, OPENAI_COMPATIBLE_PROVIDER } from '../providers/openai-compatible-provider.js';
+import { createCassetteProvider } from '../providers/cassette-provider.js';
 
 let client = null;
+let projectProvider = null;
+let cassetteOptions = null;
 
 /**
- * Configuration for Ollama
+ * Configuration for the vision provider
  */
 const config = {
   host: process.env.OLLAMA_HOST || 'http://localhost:11434',
   model: process.env.OLLAMA_MODEL || 'llava:7b',
 };
 
+export const SUPPORTED_PROVIDERS = [OLLAMA_PROVIDER, OPENAI_COMPATIBLE_PROVIDER];
+
+/**
+ * Resolve the provider configuration.
+ *
+ * Resolution chain (highest priority first):
+ * 1. open-call.json "provider" field (string type or object)
+ * 2. VISION_PROVIDER / OPENAI_COMPAT_BASE_URL / OPENAI_COMPAT_API_KEY env vars
+ * 3. Default: ollama at OLLAMA_HOST
+ *
+ * @param {string|Object|null} [configProvider=null] - Provider from open-call.json
+ * @param {Object} [env=process.env] - Environment variables
+ * @returns {{ type: string, host?: string, baseUrl?: string, apiKey?: string|null }}
+ * @throws {Error} If the provider type is unknown
+ */
+export function resolveProviderConfig(configProvider = null, env = process.env) {
+  const fromConfig = typeof configProvider === 'string'
+    ? { type: configProvider }
+    : (configProvider || {});
+
+  const type = fromConfig.type || env.VISION_PROVIDER || OLLAMA_PROVIDER;
+
+  if (!SUPPORTED_PROVIDERS.includes(type)) {
+    throw new Error(`Unknown vision provider "${type}". Supported: ${SUPPORTED_PROVIDERS.join(', ')}`);
+  }
+
+  if (type === OPENAI_COMPATIBLE_PROVIDER) {
+    const apiKey = fromConfig.apiKeyEnv
+      ? env[fromConfig.apiKeyEnv] || null
+      : env.OPENAI_COMPAT_API_KEY || null;
+    return {
+      type,
+      baseUrl: fromConfig.baseUrl || env.OPENAI_COMPAT_BASE_URL || undefined,
+      apiKey
+    };
+  }
+
+  return {
+    type,
+    host: fromConfig.host || env.OLLAMA_HOST || config.host
+  };
+}
+
+/**
+ * Create a provider instance from a resolved provider configuration.
+ * @param {Object} providerConfig - Output of resolveProviderConfig()
+ * @returns {Object} Provider with chat, list, pull and health methods
+ */
+export function createProvider(providerConfig) {
+  if (providerConfig.type === OPENAI_COMPATIBLE_PROVIDER) {
+    return createOpenAICompatibleProvider({
+      baseUrl: providerConfig.baseUrl,
+      apiKey: providerConfig.apiKey
+    });
+  }
+  return createOllamaProvider({ host: providerConfig.host });
+}
+
+/**
+ * Select the provider for the current project (open-call.json "provider").
+ * Drops any existing client so the next getApiClient() call uses it.
+ * @param {string|Object|null} configProvider - Provider from open-call.json
+ * @param {Object} [options={}]
+ * @param {{ mode: string, path: string }|null} [options.cassette] - Record/replay cassette (see resolveCassetteOptions)
+ */
+export function configureApiClient(configProvider, options = {}) {
+  projectProvider = configProvider || null;
+  cassetteOptions = options.cassette || null;
+  client = null;
+}
+
 /**
- * Initializes and returns the Ollama client
- * @returns {Ollama} The Ollama client
+ * Initializes and returns the active vision provider
+ * @returns {Object} Provider exposing chat(), list(), pull() and health()
  */
 export function getApiClient() {
   if (!client) {
-    client = new Ollama({ host: config.host });
+    const provider = createProvider(resolveProviderConfig(projectProvider));
+    client = cassetteOptions
+      ? createCassetteProvider({ ...cassetteOptions, inner: provider })
+      : provider;
   }
   return client;
 }
@@ -31,30 +109,38 @@ export function getModelName(override = null) {
 }
 
 /**
- * Resets the API client (useful for testing)
+ * Resets the API client, project provider and cassette (useful for testing)
  */
 export function resetApiClient() {
   client = null;
+  projectProvider = null;
+  cassetteOptions = null;
 }
 
 /**
- * Check if Ollama is running and has a vision model
+ * Check if the vision provider is reachable and has a vision model.
+ * Only Ollama model names are filtered; other providers (openai-compatible,
+ * cassette replay) do not expose capabilities, so every listed model counts.
  * @returns {Promise<Object>} Connection status
  */
 export async function checkOllamaStatus() {
+  let provider;
   try {
-    const ollama = getApiClient();
-    const models = await ollama.list();
+    provider = getApiClient();
+    const models = await provider.list();
 
-    const visionModels = models.models.filter(m =>
-      m.name.includes('llava') ||
-      m.name.includes('bakllava') ||
-      m.name.includes('moondream')
-    );
+    const visionModels = provider.name !== OLLAMA_PROVIDER
+      ? models.models
+      : models.models.filter(m =>
+        m.name.includes('llava') ||
+        m.name.includes('bakllava') ||
+        m.name.includes('moondream')
+      );
 
     return {
       connected: true,
-      host: config.host,
+      provider: provider.name,
+      host: provider.host,
       models: models.models.map(m => m.name),
       visionModels: visionModels.map(m => m.name),
       configuredModel: config.model,
@@ -63,7 +149,8 @@ export async function checkOllamaStatus() {
   } catch (error) {
     return {
       connected: false,
-      host: config.host,
+      provider: provider?.name,
+      host: provider?.host || config.host,
       error: error.message
     };
   }
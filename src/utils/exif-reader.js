@@ -0,0 +1,244 @@
+/**
+ * Minimal EXIF reader
+ *
+ * Reads the TIFF IFD structure used by EXIF segments in JPEGs and by
+ * TIFF-based RAW containers, and returns the capture fields the pipeline
+ * uses (camera, lens, exposure, capture date, orientation, GPS).
+ *
+ * @module exif-reader
+ */
+
+const MAX_IFDS = 64;
+const MAX_IFD_ENTRIES = 1000;
+const TYPE_SIZES = { 1: 1, 2: 1, 3: 2, 4: 4, 5: 8, 6: 1, 7: 1, 8: 2, 9: 4, 10: 8, 13: 4 };
+
+export const TIFF_TAGS = {
+  COMPRESSION: 0x0103,
+  MAKE: 0x010f,
+  MODEL: 0x0110,
+  STRIP_OFFSETS: 0x0111,
+  ORIENTATION: 0x0112,
+  STRIP_BYTE_COUNTS: 0x0117,
+  DATE_TIME: 0x0132,
+  SUB_IFDS: 0x014a,
+  JPEG_OFFSET: 0x0201,
+  JPEG_LENGTH: 0x0202,
+  EXPOSURE_TIME: 0x829a,
+  F_NUMBER: 0x829d,
+  EXIF_IFD: 0x8769,
+  GPS_IFD: 0x8825,
+  ISO: 0x8827,
+  DATE_TIME_ORIGINAL: 0x9003,
+  FOCAL_LENGTH: 0x920a,
+  LENS_MODEL: 0xa434
+};
+
+const GPS_TAGS = {
+  LATITUDE_REF: 0x0001,
+  LATITUDE: 0x0002,
+  LONGITUDE_REF: 0x0003,
+  LONGITUDE: 0x0004,
+  ALTITUDE_REF: 0x0005,
+  ALTITUDE: 0x0006
+};
+
+const EXIF_FIELDS = {
+  [TIFF_TAGS.MAKE]: 'make',
+  [TIFF_TAGS.MODEL]: 'model',
+  [TIFF_TAGS.ORIENTATION]: 'orientation',
+  [TIFF_TAGS.DATE_TIME]: 'dateTime',
+  [TIFF_TAGS.EXPOSURE_TIME]: 'exposureTime',
+  [TIFF_TAGS.F_NUMBER]: 'fNumber',
+  [TIFF_TAGS.ISO]: 'iso',
+  [TIFF_TAGS.DATE_TIME_ORIGINAL]: 'dateTimeOriginal',
+  [TIFF_TAGS.FOCAL_LENGTH]: 'focalLength',
+  [TIFF_TAGS.LENS_MODEL]: 'lensModel'
+};
+
+/**
+ * Minimal TIFF IFD reader over a buffer.
+ *
+ * @param {Buffer} buffer - Buffer holding the TIFF structure
+ * @param {number} [base=0] - Offset of the TIFF header within the buffer
+ * @returns {Object|null} Reader, or null when the header is not TIFF/ORF
+ */
+export function createTiffReader(buffer, base = 0) {
+  if (buffer.length < base + 8) return null;
+  const order = buffer.toString('latin1', base, base + 2);
+  if (order !== 'II' && order !== 'MM') return null;
+  const little = order === 'II';
+
+  const u16 = (offset) => (little ? buffer.readUInt16LE(offset) : buffer.readUInt16BE(offset));
+  const u32 = (offset) => (little ? buffer.readUInt32LE(offset) : buffer.readUInt32BE(offset));
+  const i32 = (offset) => (little ? buffer.readInt32LE(offset) : buffer.readInt32BE(offset));
+
+  // 42 = TIFF (CR2, NEF, ARW, DNG); 'RO' / 'RS' = Olympus ORF
+  const magic = u16(base + 2);
+  if (magic !== 42 && magic !== 0x4f52 && magic !== 0x5352) return null;
+
+  const inBounds = (offset, size) => offset >= 0 && offset + size <= buffer.length;
+
+  function readValues(entry) {
+    const size = (TYPE_SIZES[entry.type] || 1) * entry.count;
+    const start = size <= 4 ? entry.valueOffset : base + entry.value;
+    if (!inBounds(start, size)) return [];
+
+    if (entry.type === 2) {
+      return buffer.toString('latin1', start, start + entry.count).replace(/\0+$/, '').trim();
+    }
+    const values = [];
+    const count = Math.min(entry.count, 4096);
+    for (let i = 0; i < count; i++) {
+      switch (entry.type) {
+        case 3: values.push(u16(start + i * 2)); break;
+        case 4: case 13: values.push(u32(start + i * 4)); break;
+        case 9: values.push(i32(start + i * 4)); break;
+        case 5: values.push(u32(start + i * 8) / (u32(start + i * 8 + 4) || 1)); break;
+        case 10: values.push(i32(start + i * 8) / (i32(start + i * 8 + 4) || 1)); break;
+        default: values.push(buffer[start + i]);
+      }
+    }
+    return values;
+  }
+
+  function readIfd(relativeOffset) {
+    const offset = base + relativeOffset;
+    if (!inBounds(offset, 2)) return null;
+    const count = u16(offset);
+    if (count === 0 || count > MAX_IFD_ENTRIES || !inBounds(offset + 2, count * 12 + 4)) return null;
+
+    const entries = new Map();
+    for (let i = 0; i < count; i++) {
+      const entryOffset = offset + 2 + i * 12;
+      const entry = {
+        tag: u16(entryOffset),
+        type: u16(entryOffset + 2),
+        count: u32(entryOffset + 4),
+        value: u32(entryOffset + 8),
+        valueOffset: entryOffset + 8
+      };
+      entries.set(entry.tag, entry);
+    }
+    return {
+      entries,
+      next: u32(offset + 2 + count * 12),
+      get(tag) {
+        const entry = entries.get(tag);
+        return entry ? readValues(entry) : undefined;
+      }
+    };
+  }
+
+  return { base, firstIfd: u32(base + 4), readIfd };
+}
+
+/**
+ * Visit IFD0 and its chain, SubIFDs, the EXIF IFD and the GPS IFD, once each.
+ *
+ * @param {Object} reader - From createTiffReader()
+ * @param {Function} visit - (ifd, kind) where kind is 'main', 'exif' or 'gps'
+ */
+export function walkIfds(reader, visit) {
+  const queue = [{ offset: reader.firstIfd, kind: 'main' }];
+  const seen = new Set();
+  while (queue.length > 0 && seen.size < MAX_IFDS) {
+    const { offset, kind } = queue.shift();
+    if (!offset || seen.has(offset)) continue;
+    seen.add(offset);
+    const ifd = reader.readIfd(offset);
+    if (!ifd) continue;
+
+    visit(ifd, kind);
+    if (kind === 'main') {
+      queue.push({ offset: ifd.next, kind: 'main' });
+      for (const sub of ifd.get(TIFF_TAGS.SUB_IFDS) || []) queue.push({ offset: sub, kind: 'main' });
+      const exif = ifd.get(TIFF_TAGS.EXIF_IFD);
+      if (exif && exif[0]) queue.push({ offset: exif[0], kind: 'exif' });
+      const gps = ifd.get(TIFF_TAGS.GPS_IFD);
+      if (gps && gps[0]) queue.push({ offset: gps[0], kind: 'gps' });
+    }
+  }
+}
+
+/**
+ * Decimal degrees from a GPS IFD, or null without a usable position.
+ *
+ * @param {Object} ifd - GPS IFD from createTiffReader().readIfd()
+ * @returns {{ latitude: number, longitude: number, altitude?: number }|null}
+ */
+function readGpsPosition(ifd) {
+  const toDegrees = (dms, ref, negative) => {
+    if (!Array.isArray(dms) || dms.length < 3) return null;
+    const degrees = dms[0] + dms[1] / 60 + dms[2] / 3600;
+    return ref === negative ? -degrees : degrees;
+  };
+  const latitude = toDegrees(ifd.get(GPS_TAGS.LATITUDE), ifd.get(GPS_TAGS.LATITUDE_REF), 'S');
+  const longitude = toDegrees(ifd.get(GPS_TAGS.LONGITUDE), ifd.get(GPS_TAGS.LONGITUDE_REF), 'W');
+  if (latitude === null || longitude === null) return null;
+
+  const position = { latitude, longitude };
+  const altitude = ifd.get(GPS_TAGS.ALTITUDE);
+  if (altitude?.length) {
+    const below = ifd.get(GPS_TAGS.ALTITUDE_REF)?.[0] === 1;
+    position.altitude = below ? -altitude[0] : altitude[0];
+  }
+  return position;
+}
+
+/**
+ * Read the common EXIF fields from a TIFF structure.
+ *
+ * @param {Object} reader - From createTiffReader()
+ * @returns {Object} e.g. { make, model, orientation, exposureTime, fNumber, iso, focalLength, gps, ... }
+ */
+export function readTiffExif(reader) {
+  const exif = {};
+  walkIfds(reader, (ifd, kind) => {
+    if (kind === 'gps') {
+      const position = readGpsPosition(ifd);
+      if (position && !exif.gps) exif.gps = position;
+      return;
+    }
+    for (const [tag, field] of Object.entries(EXIF_FIELDS)) {
+      if (exif[field] !== undefined) continue;
+      const value = ifd.get(Number(tag));
+      if (value === undefined || value === '' || (Array.isArray(value) && value.length === 0)) continue;
+      exif[field] = Array.isArray(value) ? value[0] : value;
+    }
+  });
+  return exif;
+}
+
+/**
+ * Read EXIF from a JPEG's APP1 segment.
+ *
+ * @param {Buffer} jpeg - JPEG bytes
+ * @returns {Object} EXIF fields (empty when there is no EXIF segment)
+ */
+export function readJpegExif(jpeg) {
+  let pos = 2;
+  while (pos + 4 <= jpeg.length && jpeg[pos] === 0xff) {
+    const marker = jpeg[pos + 1];
+    if (marker === 0xda || marker === 0xd9) break;
+    const segmentLength = jpeg.readUInt16BE(pos + 2);
+    if (marker === 0xe1 && jpeg.toString('latin1', pos + 4, pos + 10) === 'Exif\0\0') {
+      const reader = createTiffReader(jpeg, pos + 10);
+      return reader ? readTiffExif(reader) : {};
+    }
+    pos += 2 + segmentLength;
+  }
+  return {};
+}
+
+/**
+ * Read EXIF from the raw block sharp returns as metadata().exif
+ * (an "Exif\0\0" header followed by a TIFF structure).
+ *
+ * @param {Buffer} block - EXIF block
+ * @returns {Object} EXIF fields (empty when the block cannot be parsed)
+ */
+export function readExifBlock(block) {
+  const base = block.toString('latin1', 0, 6) === 'Exif\0\0' ? 6 : 0;
+  const reader = createTiffReader(block, base);
+  return reader ? readTiffExif(reader) : {};
+}
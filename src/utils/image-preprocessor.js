@@ -0,0 +1,134 @@
+/**
+ * Image pre-processing before model submission
+ *
+ * Sending full originals (40MB TIFFs, 24MP JPEGs, HEIC) to a vision model
+ * is slow, can time out and is sometimes unreadable by the model. Before
+ * submission each photo is auto-oriented from EXIF, resized so its long
+ * edge fits `maxEdge`, converted to sRGB and re-encoded as a JPEG without
+ * metadata.
+ *
+ * Derived images are cached in {projectDir}/.preprocessed/, keyed by the
+ * photo bytes and the pre-processing settings, so repeat runs reuse them
+ * and changing a setting produces fresh images.
+ *
+ * open-call.json:
+ * "preprocessing": { "enabled": true, "maxEdge": 1536, "quality": 85 }
+ *
+ * @module image-preprocessor
+ */
+
+import sharp from 'sharp';
+import crypto from 'crypto';
+import path from 'path';
+import { readFileSync, existsSync, mkdirSync, writeFileSync, renameSync } from 'fs';
+import { logger } from './logger.js';
+import { isRawFile, loadRawPreview } from './raw-preview.js';
+
+export const PREPROCESS_DIR_NAME = '.preprocessed';
+export const DEFAULT_PREPROCESSING = {
+  enabled: true,
+  maxEdge: 1536,
+  quality: 85
+};
+const PREPROCESS_VERSION = 1; // bump when the pipeline itself changes
+
+/**
+ * Normalise the "preprocessing" section of an open call config.
+ *
+ * @param {Object} config - Open call configuration
+ * @param {string|null} [projectDir=null] - Project root; enables the on-disk cache
+ * @returns {{ enabled: boolean, maxEdge: number, quality: number, cacheDir: string|null }}
+ */
+export function resolvePreprocessingConfig(config, projectDir = null) {
+  const section = config?.preprocessing || {};
+  return {
+    enabled: section.enabled ?? DEFAULT_PREPROCESSING.enabled,
+    maxEdge: section.maxEdge ?? DEFAULT_PREPROCESSING.maxEdge,
+    quality: section.quality ?? DEFAULT_PREPROCESSING.quality,
+    cacheDir: projectDir ? path.join(projectDir, PREPROCESS_DIR_NAME) : null
+  };
+}
+
+/**
+ * Cache key for a derived image: photo bytes + settings that affect the output.
+ *
+ * @param {Buffer} photoBuffer - Original photo bytes
+ * @param {{ maxEdge: number, quality: number }} settings
+ * @returns {string} SHA-256 hex string
+ */
+export function computePreprocessKey(photoBuffer, settings) {
+  const photoHash = crypto.createHash('sha256').update(photoBuffer).digest('hex');
+  const settingsKey = `v${PREPROCESS_VERSION}:maxEdge=${settings.maxEdge}:quality=${settings.quality}:srgb:jpeg`;
+  return crypto.createHash('sha256').update(`${photoHash}:${settingsKey}`, 'utf8').digest('hex');
+}
+
+/**
+ * Auto-orient, resize, convert to sRGB and re-encode as JPEG (metadata stripped).
+ *
+ * @param {Buffer|string} input - Photo bytes or path
+ * @param {{ maxEdge: number, quality: number }} settings
+ * @returns {Promise<Buffer>} JPEG bytes
+ */
+export async function preprocessImage(input, settings) {
+  return sharp(input)
+    .rotate()
+    .resize({
+      width: settings.maxEdge,
+      height: settings.maxEdge,
+      fit: 'inside',
+      withoutEnlargement: true
+    })
+    .toColourspace('srgb')
+    .jpeg({ quality: settings.quality })
+    .toBuffer();
+}
+
+function writeCacheFile(filePath, buffer) {
+  mkdirSync(path.dirname(filePath), { recursive: true });
+  const tempPath = `${filePath}.tmp`;
+  writeFileSync(tempPath, buffer);
+  renameSync(tempPath, filePath);
+}
+
+/**
+ * Load a photo as base64 for a vision model, pre-processed when enabled.
+ * Without settings (or with enabled: false) the original bytes are sent.
+ * If pre-processing fails the original bytes are sent as well, so an
+ * image sharp cannot decode still reaches the model. RAW files are always
+ * sent as their embedded JPEG preview.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @param {Object} [settings] - Settings from resolvePreprocessingConfig()
+ * @returns {Promise<string>} Base64-encoded image
+ */
+export async function loadImageForModel(photoPath, settings) {
+  const original = isRawFile(photoPath)
+    ? (await loadRawPreview(photoPath)).preview
+    : readFileSync(photoPath);
+  if (!settings || !settings.enabled) {
+    return original.toString('base64');
+  }
+
+  const cachePath = settings.cacheDir
+    ? path.join(settings.cacheDir, `${computePreprocessKey(original, settings)}.jpg`)
+    : null;
+
+  try {
+    if (cachePath && existsSync(cachePath)) {
+      return readFileSync(cachePath).toString('base64');
+    }
+
+    const processed = await preprocessImage(original, settings);
+    if (cachePath) {
+      try {
+        writeCacheFile(cachePath, processed);
+      } catch (cacheErr) {
+        logger.debug(`Pre-processed cache write failed for ${path.basename(photoPath)}: ${cacheErr.message}`);
+      }
+    }
+    return processed.toString('base64');
+  } catch (error) {
+    logger.debug(`Pre-processing failed for ${path.basename(photoPath)}, sending original: ${error.message}`);
+    return original.toString('base64');
+  }
+}
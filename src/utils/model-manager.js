@@ -80,9 +80,11 @@ export async function listVisionModels() {
 
 /**
  * Ensure a model is available locally, pulling it if necessary.
+ * Providers that cannot pull (openai-compatible) only get a warning,
+ * since they serve whatever model the server was started with.
  *
  * @param {string} modelName - Model name to ensure availability
- * @returns {Promise<boolean>} True if model is available
+ * @returns {Promise<boolean>} True if model is available, false if not listed and pulling is unsupported
  * @throws {Error} If Ollama is not running or pull fails
  */
 export async function ensureModelAvailable(modelName) {
@@ -96,8 +98,13 @@ export async function ensureModelAvailable(modelName) {
     return true;
   }
 
-  logger.info(`Model ${modelName} not found locally. Pulling...`);
   const client = getApiClient();
+  if (client.capabilities?.pull === false) {
+    logger.warn(`Model ${modelName} not listed by ${status.provider} at ${status.host}. Using the model loaded on the server.`);
+    return false;
+  }
+
+  logger.info(`Model ${modelName} not found locally. Pulling...`);
   await client.pull({ model: modelName });
   logger.success(`Model ${modelName} pulled successfully`);
   return true;
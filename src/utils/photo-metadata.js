@@ -0,0 +1,283 @@
+/**
+ * Capture metadata extraction (EXIF, IPTC, XMP)
+ *
+ * Reads camera, lens, focal length, aperture, shutter speed, ISO, capture
+ * date and GPS position from EXIF, plus the title, keywords and caption a
+ * photographer may already have written in IPTC or XMP. RAW files use the
+ * EXIF of the RAW container (raw-preview.js).
+ *
+ * The result is stored per photo as scores.photo_metadata, shown in the web
+ * dashboard, optionally summarised in analysis prompts and used by
+ * photo-group-resolver for date, camera and location groups.
+ *
+ * open-call.json:
+ * "photoMetadata": { "enabled": true, "includeInPrompt": false }
+ *
+ * @module photo-metadata
+ */
+
+import sharp from 'sharp';
+import { readExifBlock } from './exif-reader.js';
+import { isRawFile, loadRawPreview } from './raw-preview.js';
+import { logger } from './logger.js';
+
+export const DEFAULT_PHOTO_METADATA = {
+  enabled: true,
+  includeInPrompt: false
+};
+
+// IPTC-IIM application record (2:xx) datasets
+const IPTC_OBJECT_NAME = 5;
+const IPTC_KEYWORDS = 25;
+const IPTC_HEADLINE = 105;
+const IPTC_CAPTION = 120;
+const IPTC_RESOURCE_ID = 0x0404;
+
+/**
+ * Normalise the "photoMetadata" section of an open call config.
+ *
+ * @param {Object} config - Open call configuration
+ * @returns {{ enabled: boolean, includeInPrompt: boolean }}
+ */
+export function resolvePhotoMetadataConfig(config) {
+  const section = config?.photoMetadata || {};
+  return {
+    enabled: section.enabled ?? DEFAULT_PHOTO_METADATA.enabled,
+    includeInPrompt: section.includeInPrompt ?? DEFAULT_PHOTO_METADATA.includeInPrompt
+  };
+}
+
+function readIimRecords(data, start = 0, end = data.length) {
+  const iptc = { keywords: [] };
+  let pos = start;
+  while (pos + 5 <= end) {
+    if (data[pos] !== 0x1c) {
+      pos++;
+      continue;
+    }
+    const record = data[pos + 1];
+    const dataset = data[pos + 2];
+    const size = data.readUInt16BE(pos + 3);
+    // Extended datasets (high bit set) are not used by the fields we read
+    if (size & 0x8000) break;
+    const value = data.toString('utf8', pos + 5, Math.min(end, pos + 5 + size)).trim();
+    pos += 5 + size;
+    if (record !== 2 || !value) continue;
+
+    if (dataset === IPTC_OBJECT_NAME) iptc.title = value;
+    else if (dataset === IPTC_HEADLINE) iptc.headline = value;
+    else if (dataset === IPTC_CAPTION) iptc.caption = value;
+    else if (dataset === IPTC_KEYWORDS) iptc.keywords.push(value);
+  }
+  return iptc;
+}
+
+/**
+ * Parse IPTC-IIM title, headline, caption and keywords. Accepts either a
+ * Photoshop image resource block ("Photoshop 3.0" / 8BIM, as stored in
+ * JPEG APP13) or bare IIM records.
+ *
+ * @param {Buffer} data - IPTC block from sharp metadata().iptc
+ * @returns {{ title?: string, headline?: string, caption?: string, keywords: string[] }}
+ */
+export function parseIptc(data) {
+  if (!data || data.length === 0) return { keywords: [] };
+
+  let pos = data.indexOf('8BIM', 0, 'latin1');
+  if (pos === -1) return readIimRecords(data);
+
+  while (pos >= 0 && pos + 12 <= data.length && data.toString('latin1', pos, pos + 4) === '8BIM') {
+    const id = data.readUInt16BE(pos + 4);
+    const nameLength = data[pos + 6];
+    const nameBlock = (nameLength + 2) & ~1; // length byte + name, padded to even
+    const sizeOffset = pos + 6 + nameBlock;
+    if (sizeOffset + 4 > data.length) break;
+    const size = data.readUInt32BE(sizeOffset);
+    const start = sizeOffset + 4;
+    if (id === IPTC_RESOURCE_ID) {
+      return readIimRecords(data, start, Math.min(data.length, start + size));
+    }
+    pos = start + size + (size % 2);
+  }
+  return { keywords: [] };
+}
+
+function decodeXmlText(text) {
+  return text
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, '&')
+    .trim();
+}
+
+function xmpListItems(xmp, property) {
+  const block = xmp.match(new RegExp(`<${property}[^>]*>([\\s\\S]*?)</${property}>`));
+  if (!block) return [];
+  return [...block[1].matchAll(/<rdf:li[^>]*>([\s\S]*?)<\/rdf:li>/g)]
+    .map(match => decodeXmlText(match[1]))
+    .filter(Boolean);
+}
+
+/**
+ * Parse Dublin Core title, description and subject keywords from an XMP packet.
+ *
+ * @param {Buffer|string} xmp - XMP packet from sharp metadata().xmp
+ * @returns {{ title?: string, description?: string, keywords: string[] }}
+ */
+export function parseXmp(xmp) {
+  if (!xmp) return { keywords: [] };
+  const text = Buffer.isBuffer(xmp) ? xmp.toString('utf8') : xmp;
+
+  const result = { keywords: xmpListItems(text, 'dc:subject') };
+  const [title] = xmpListItems(text, 'dc:title');
+  const [description] = xmpListItems(text, 'dc:description');
+  if (title) result.title = title;
+  if (description) result.description = description;
+  return result;
+}
+
+/**
+ * Shutter speed as photographers write it: "1/250s", "0.8s", "2s".
+ *
+ * @param {number} seconds - Exposure time in seconds
+ * @returns {string}
+ */
+export function formatShutterSpeed(seconds) {
+  if (seconds >= 1 || seconds <= 0) return `${Math.round(seconds * 10) / 10}s`;
+  const denominator = Math.round(1 / seconds);
+  return Math.abs(1 / denominator - seconds) / seconds < 0.05
+    ? `1/${denominator}s`
+    : `${Math.round(seconds * 100) / 100}s`;
+}
+
+function cameraName(make, model) {
+  if (!model) return make || null;
+  if (!make) return model;
+  const brand = make.split(/\s+/)[0].toLowerCase();
+  return model.toLowerCase().startsWith(brand) ? model : `${make} ${model}`;
+}
+
+function exifDateToIso(value) {
+  const match = typeof value === 'string' && value.match(/^(\d{4}):(\d{2}):(\d{2})[ T](\d{2}):(\d{2}):(\d{2})/);
+  return match ? `${match[1]}-${match[2]}-${match[3]}T${match[4]}:${match[5]}:${match[6]}` : null;
+}
+
+const EARTH_RADIUS_KM = 6371;
+
+const round = (value, places) => Math.round(value * 10 ** places) / 10 ** places;
+
+/**
+ * Merge EXIF, IPTC and XMP into the stored photo_metadata shape. Only fields
+ * that are present are included.
+ *
+ * @param {Object} exif - From readExifBlock()/readTiffExif()
+ * @param {Object} [iptc] - From parseIptc()
+ * @param {Object} [xmp] - From parseXmp()
+ * @returns {Object} e.g. { camera, lens, focal_length, aperture, shutter_speed, iso, captured_at, gps, title, keywords }
+ */
+export function normaliseMetadata(exif = {}, iptc = { keywords: [] }, xmp = { keywords: [] }) {
+  const metadata = {};
+  const camera = cameraName(exif.make, exif.model);
+  if (camera) metadata.camera = camera;
+  if (exif.lensModel) metadata.lens = exif.lensModel;
+  if (exif.focalLength) metadata.focal_length = round(exif.focalLength, 1);
+  if (exif.fNumber) metadata.aperture = round(exif.fNumber, 1);
+  if (exif.exposureTime) {
+    metadata.exposure_time = exif.exposureTime;
+    metadata.shutter_speed = formatShutterSpeed(exif.exposureTime);
+  }
+  if (exif.iso) metadata.iso = exif.iso;
+  const capturedAt = exifDateToIso(exif.dateTimeOriginal) || exifDateToIso(exif.dateTime);
+  if (capturedAt) metadata.captured_at = capturedAt;
+  if (exif.gps) {
+    metadata.gps = {
+      latitude: round(exif.gps.latitude, 6),
+      longitude: round(exif.gps.longitude, 6),
+      ...(exif.gps.altitude !== undefined && { altitude: round(exif.gps.altitude, 1) })
+    };
+  }
+
+  const title = xmp.title || iptc.title || iptc.headline;
+  if (title) metadata.title = title;
+  const description = xmp.description || iptc.caption;
+  if (description) metadata.description = description;
+  const keywords = [...new Set([...(iptc.keywords || []), ...(xmp.keywords || [])])];
+  if (keywords.length > 0) metadata.keywords = keywords;
+
+  return metadata;
+}
+
+/**
+ * Extract capture metadata for one photo.
+ *
+ * @param {string} photoPath - Path to the photo (any supported format, including RAW)
+ * @returns {Promise<Object>} photo_metadata (empty object when the photo has none)
+ */
+export async function extractPhotoMetadata(photoPath) {
+  if (isRawFile(photoPath)) {
+    const { exif } = await loadRawPreview(photoPath);
+    return normaliseMetadata(exif);
+  }
+
+  const meta = await sharp(photoPath).metadata();
+  return normaliseMetadata(
+    meta.exif ? readExifBlock(meta.exif) : {},
+    parseIptc(meta.iptc),
+    parseXmp(meta.xmp)
+  );
+}
+
+/**
+ * Like extractPhotoMetadata(), but returns null instead of throwing.
+ *
+ * @param {string} photoPath - Path to the photo
+ * @returns {Promise<Object|null>}
+ */
+export async function extractPhotoMetadataSafe(photoPath) {
+  try {
+    return await extractPhotoMetadata(photoPath);
+  } catch (error) {
+    logger.debug(`Metadata extraction failed for ${photoPath}: ${error.message}`);
+    return null;
+  }
+}
+
+/**
+ * One-line summary of capture metadata for analysis prompts. GPS positions
+ * are left out; the model gets the photographer's title and keywords.
+ *
+ * @param {Object} metadata - photo_metadata
+ * @returns {string|null} Null when there is nothing worth telling the model
+ */
+export function formatMetadataForPrompt(metadata) {
+  if (!metadata) return null;
+  const parts = [];
+  if (metadata.camera) parts.push(metadata.camera);
+  if (metadata.lens) parts.push(metadata.lens);
+  if (metadata.focal_length) parts.push(`${metadata.focal_length}mm`);
+  if (metadata.aperture) parts.push(`f/${metadata.aperture}`);
+  if (metadata.shutter_speed) parts.push(metadata.shutter_speed);
+  if (metadata.iso) parts.push(`ISO ${metadata.iso}`);
+  if (metadata.captured_at) parts.push(`captured ${metadata.captured_at.replace('T', ' ').slice(0, 16)}`);
+  if (metadata.title) parts.push(`title "${metadata.title}"`);
+  if (metadata.keywords?.length) parts.push(`keywords: ${metadata.keywords.join(', ')}`);
+  return parts.length > 0 ? parts.join(', ') : null;
+}
+
+/**
+ * Great-circle distance between two GPS positions.
+ *
+ * @param {{latitude: number, longitude: number}} a
+ * @param {{latitude: number, longitude: number}} b
+ * @returns {number} Distance in kilometres
+ */
+export function distanceKm(a, b) {
+  const rad = (deg) => deg * Math.PI / 180;
+  const dLat = rad(b.latitude - a.latitude);
+  const dLon = rad(b.longitude - a.longitude);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(rad(a.latitude)) * Math.cos(rad(b.latitude)) * Math.sin(dLon / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.min(1, Math.sqrt(h)));
+}
@@ -0,0 +1,164 @@
+/**
+ * RAW file support via embedded preview extraction
+ *
+ * Camera RAW files (CR2, NEF, ARW, DNG, ORF are TIFF containers; RAF has
+ * its own header) carry one or more embedded JPEG previews, usually one
+ * at or near full resolution. Instead of demosaicing the sensor data we
+ * pull out the largest baseline/progressive JPEG preview in pure JS and
+ * use it wherever the photo is decoded (validation, analysis, metrics,
+ * thumbnails). Callers keep the RAW path, so reports show the original
+ * RAW filename.
+ *
+ * EXIF (camera, exposure, orientation) is read from the RAW's own IFDs,
+ * or from the preview's APP1 segment for RAF.
+ *
+ * @module raw-preview
+ */
+
+import sharp from 'sharp';
+import path from 'path';
+import { readFileSync } from 'fs';
+import { TIFF_TAGS, createTiffReader, walkIfds, readTiffExif, readJpegExif } from './exif-reader.js';
+
+export const RAW_EXTENSIONS = ['cr2', 'nef', 'arw', 'dng', 'raf', 'orf'];
+
+/**
+ * Whether a path has a supported RAW extension.
+ *
+ * @param {string} filePath
+ * @returns {boolean}
+ */
+export function isRawFile(filePath) {
+  return RAW_EXTENSIONS.includes(path.extname(filePath).slice(1).toLowerCase());
+}
+
+/**
+ * Length of a baseline or progressive JPEG starting at `offset`, or 0 if
+ * the data there is not one (lossless RAW data uses SOF3 and is skipped).
+ *
+ * @param {Buffer} buffer
+ * @param {number} offset
+ * @param {number} [limit=buffer.length] - Exclusive end of the allowed range
+ * @returns {number}
+ */
+export function jpegLengthAt(buffer, offset, limit = buffer.length) {
+  if (offset < 0 || offset + 4 > limit || buffer[offset] !== 0xff || buffer[offset + 1] !== 0xd8) return 0;
+
+  let pos = offset + 2;
+  let decodable = false;
+  while (pos + 2 <= limit) {
+    if (buffer[pos] !== 0xff) return 0;
+    const marker = buffer[pos + 1];
+    if (marker === 0xff) { pos++; continue; }
+    if (marker === 0xd9) return decodable ? pos + 2 - offset : 0;
+    if (pos + 4 > limit) return 0;
+    const segmentLength = buffer.readUInt16BE(pos + 2);
+    if (marker === 0xc0 || marker === 0xc1 || marker === 0xc2) decodable = true;
+    if (marker === 0xc3) return 0;
+
+    if (marker === 0xda) {
+      // Entropy-coded data: runs until the next marker other than RSTn or a stuffed 0xFF00
+      pos += 2 + segmentLength;
+      while (pos + 1 < limit) {
+        if (buffer[pos] === 0xff && buffer[pos + 1] !== 0x00 && (buffer[pos + 1] < 0xd0 || buffer[pos + 1] > 0xd7)) break;
+        pos++;
+      }
+      continue;
+    }
+    pos += 2 + segmentLength;
+  }
+  return 0;
+}
+
+function tiffPreviewCandidates(buffer, reader) {
+  const candidates = [];
+  walkIfds(reader, (ifd, kind) => {
+    if (kind !== 'main') return;
+    const jpegOffset = ifd.get(TIFF_TAGS.JPEG_OFFSET);
+    const jpegLength = ifd.get(TIFF_TAGS.JPEG_LENGTH);
+    if (jpegOffset && jpegLength) {
+      candidates.push({ offset: jpegOffset[0], length: jpegLength[0] });
+    }
+    const compression = ifd.get(TIFF_TAGS.COMPRESSION);
+    const strips = ifd.get(TIFF_TAGS.STRIP_OFFSETS);
+    const stripLengths = ifd.get(TIFF_TAGS.STRIP_BYTE_COUNTS);
+    if (compression && (compression[0] === 6 || compression[0] === 7) && strips?.length === 1 && stripLengths?.length === 1) {
+      candidates.push({ offset: strips[0], length: stripLengths[0] });
+    }
+  });
+  return candidates;
+}
+
+/**
+ * Extract the largest embedded JPEG preview and the EXIF of a RAW file.
+ *
+ * @param {Buffer} buffer - RAW file bytes
+ * @returns {{ preview: Buffer, exif: Object }|null} Null when no decodable preview is found
+ */
+export function extractRawPreview(buffer) {
+  let candidates = [];
+  let exif = {};
+
+  if (buffer.toString('latin1', 0, 15) === 'FUJIFILMCCD-RAW') {
+    // RAF: big-endian JPEG offset and length at fixed header positions
+    if (buffer.length >= 92) {
+      candidates.push({ offset: buffer.readUInt32BE(84), length: buffer.readUInt32BE(88) });
+    }
+  } else {
+    const reader = createTiffReader(buffer);
+    if (!reader) return null;
+    candidates = tiffPreviewCandidates(buffer, reader);
+    exif = readTiffExif(reader);
+  }
+
+  let best = null;
+  for (const { offset, length } of candidates) {
+    const limit = Math.min(buffer.length, offset + length);
+    const actual = jpegLengthAt(buffer, offset, limit);
+    if (actual > 0 && (!best || actual > best.length)) {
+      best = { offset, length: actual };
+    }
+  }
+  if (!best) return null;
+
+  const preview = buffer.subarray(best.offset, best.offset + best.length);
+  return { preview, exif: { ...readJpegExif(preview), ...exif } };
+}
+
+/**
+ * Read a RAW file and return its preview as a JPEG that carries the RAW
+ * orientation, so `sharp().rotate()` orients it like the original.
+ *
+ * @param {string} photoPath - Path to the RAW file
+ * @returns {Promise<{ preview: Buffer, exif: Object }>}
+ * @throws {Error} If the file has no decodable embedded preview
+ */
+export async function loadRawPreview(photoPath) {
+  const extracted = extractRawPreview(readFileSync(photoPath));
+  if (!extracted) {
+    throw new Error(`No embedded JPEG preview found in ${path.basename(photoPath)}`);
+  }
+
+  const { preview, exif } = extracted;
+  const orientation = exif.orientation;
+  if (orientation > 1 && orientation <= 8) {
+    const meta = await sharp(preview).metadata();
+    if (!meta.orientation) {
+      const oriented = await sharp(preview).withMetadata({ orientation }).jpeg({ quality: 95 }).toBuffer();
+      return { preview: oriented, exif };
+    }
+  }
+  return { preview: Buffer.from(preview), exif };
+}
+
+/**
+ * Input to hand to sharp() for any supported photo: the RAW preview
+ * buffer for RAW files, the path itself otherwise.
+ *
+ * @param {string} photoPath
+ * @returns {Promise<Buffer|string>}
+ */
+export async function loadImageSource(photoPath) {
+  if (!isRawFile(photoPath)) return photoPath;
+  return (await loadRawPreview(photoPath)).preview;
+}
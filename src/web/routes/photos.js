@@ -9,6 +9,7 @@ import { Router } from 'express';
 import fs from 'fs';
 import path from 'path';
 import { generateThumbnail, validateWidth } from '../thumbnails.js';
+import { isRawFile, loadRawPreview } from '../../utils/raw-preview.js';
 
 const SAFE_PARAM = /^[a-zA-Z0-9._-]+$/;
 
@@ -96,10 +97,17 @@ export function createPhotosRouter(dataDir) {
   }
 
   // GET /api/projects/:name/photos/:filename - serve full-size photo
-  router.get('/:name/photos/:filename', (req, res) => {
+  // (RAW files are served as their embedded JPEG preview)
+  router.get('/:name/photos/:filename', async (req, res) => {
     try {
       const photoPath = resolvePhotoPath(req.projectDir, req.params.filename, res);
       if (!photoPath) return;
+      if (isRawFile(photoPath)) {
+        const { preview } = await loadRawPreview(photoPath);
+        res.setHeader('Content-Type', 'image/jpeg');
+        res.end(preview);
+        return;
+      }
       const ext = path.extname(photoPath).toLowerCase();
       const mimeTypes = { '.jpg': 'image/jpeg', '.jpeg': 'image/jpeg', '.png': 'image/png', '.webp': 'image/webp', '.tif': 'image/tiff', '.tiff': 'image/tiff' };
       res.setHeader('Content-Type', mimeTypes[ext] || 'application/octet-stream');
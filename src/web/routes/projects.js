@@ -8,6 +8,9 @@
 import { Router } from 'express';
 import fs from 'fs';
 import path from 'path';
+import { loadReportRun, listRuns, loadRunSnapshot } from '../../output/report-run-loader.js';
+import { diffRuns, generateRunDiffMarkdown } from '../../analysis/run-diff.js';
+import { renderPdfReport, resolvePdfLayout } from '../../output/pdf-report-generator.js';
 
 const SAFE_PARAM = /^[a-zA-Z0-9._-]+$/;
 const RESULT_FILENAMES = ['photo-analysis.json', 'set-analysis.json'];
@@ -52,6 +55,22 @@ function isContained(resolvedPath, base) {
   return realPath === realBase || realPath.startsWith(realBase + path.sep);
 }
 
+/**
+ * Containment check on real paths (symlinks resolved); false when the path does not exist.
+ * @param {string} resolvedPath
+ * @param {string} base
+ * @returns {boolean}
+ */
+function isRealContained(resolvedPath, base) {
+  try {
+    const realBase = fs.realpathSync(base);
+    const realPath = fs.realpathSync(resolvedPath);
+    return realPath === realBase || realPath.startsWith(realBase + path.sep);
+  } catch {
+    return false;
+  }
+}
+
 /**
  * Create projects router.
  * @param {string} dataDir - Absolute path to data directory containing project folders
@@ -133,7 +152,7 @@ export function createProjectsRouter(dataDir) {
       const photosDir = path.join(req.projectDir, 'photos');
       let photos = [];
       if (fs.existsSync(photosDir)) {
-        photos = fs.readdirSync(photosDir).filter(f => /\.(jpg|jpeg|png|tiff?|webp)$/i.test(f));
+        photos = fs.readdirSync(photosDir).filter(f => /\.(jpg|jpeg|png|tiff?|webp|cr2|nef|arw|dng|raf|orf)$/i.test(f));
       }
 
       // List results timestamps
@@ -181,13 +200,58 @@ export function createProjectsRouter(dataDir) {
     }
   });
 
+  // GET /api/projects/:name/results/latest/export/pdf?pageSize=A4&orientation=portrait&perPage=12
+  // Rendered on request from the latest run: contact sheet plus set boards
+  router.get('/:name/results/latest/export/pdf', async (req, res) => {
+    try {
+      let layout;
+      try {
+        layout = resolvePdfLayout({
+          pageSize: req.query.pageSize || undefined,
+          orientation: req.query.orientation || undefined,
+          perPage: req.query.perPage || undefined
+        });
+      } catch (err) {
+        return res.status(400).json({ error: err.message });
+      }
+
+      const loaded = loadReportRun(req.projectDir);
+      if (!loaded.success) {
+        return res.status(404).json({ error: 'No results found' });
+      }
+      const { report, generatedTexts, sets, prompt } = loaded.data;
+
+      const photosDir = path.join(req.projectDir, 'photos');
+      const pdf = await renderPdfReport(report, {
+        pageSize: layout.pageSize,
+        orientation: layout.orientation,
+        perPage: layout.perPage,
+        title: `${prompt.title || req.params.name} - Analysis Report`,
+        theme: prompt.theme || '',
+        sets,
+        texts: generatedTexts || [],
+        // Only photos inside the project's photos/ folder are embedded
+        resolvePhoto: (photo) => {
+          const photoPath = path.join(photosDir, path.basename(String(photo)));
+          return isValidParam(path.basename(photoPath)) && isRealContained(photoPath, photosDir) ? photoPath : null;
+        }
+      });
+
+      res.setHeader('Content-Type', 'application/pdf');
+      res.setHeader('Content-Disposition', `attachment; filename="${req.params.name}-photo-analysis.pdf"`);
+      res.send(pdf);
+    } catch {
+      res.status(500).json({ error: 'Failed to export results' });
+    }
+  });
+
   // GET /api/projects/:name/results/latest/export/:format
   router.get('/:name/results/latest/export/:format', (req, res) => {
     try {
       const format = req.params.format;
       const candidates = EXPORT_FILENAMES[format];
       if (!candidates) {
-        return res.status(400).json({ error: `Unsupported export format: ${format}. Supported: ${Object.keys(EXPORT_FILENAMES).join(', ')}` });
+        return res.status(400).json({ error: `Unsupported export format: ${format}. Supported: ${[...Object.keys(EXPORT_FILENAMES), 'pdf'].join(', ')}` });
       }
 
       const latestDir = path.join(req.projectDir, 'results', 'latest');
@@ -213,6 +277,42 @@ export function createProjectsRouter(dataDir) {
     }
   });
 
+  // GET /api/projects/:name/diff?a=<run>&b=<run>&format=json|md
+  // Defaults to the two newest runs; the JSON response also lists all runs
+  router.get('/:name/diff', (req, res) => {
+    try {
+      const runs = listRuns(req.projectDir);
+      const a = req.query.a || runs[runs.length - 2];
+      const b = req.query.b || runs[runs.length - 1];
+      const resultsBase = path.join(req.projectDir, 'results');
+      for (const run of [a, b]) {
+        if (run !== undefined && (typeof run !== 'string' || !isValidParam(run) || !isContained(path.resolve(resultsBase, run), resultsBase))) {
+          return res.status(400).json({ error: 'Invalid run' });
+        }
+      }
+      if (!a || !b) {
+        return res.status(404).json({ error: 'At least two runs are needed for a diff', runs });
+      }
+      if (a === b) {
+        return res.status(400).json({ error: 'Choose two different runs to compare', runs });
+      }
+
+      const snapshots = [loadRunSnapshot(req.projectDir, a), loadRunSnapshot(req.projectDir, b)];
+      if (snapshots.some(snapshot => !snapshot.success)) {
+        return res.status(404).json({ error: 'Run not found', runs });
+      }
+      const diff = diffRuns(snapshots[0].data, snapshots[1].data);
+
+      if (req.query.format === 'md') {
+        res.setHeader('Content-Type', 'text/markdown');
+        return res.send(generateRunDiffMarkdown(diff));
+      }
+      res.json({ runs, a, b, diff });
+    } catch {
+      res.status(500).json({ error: 'Failed to diff runs' });
+    }
+  });
+
   // GET /api/projects/:name/results/:timestamp
   router.get('/:name/results/:timestamp', (req, res) => {
     try {
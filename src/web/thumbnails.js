@@ -9,10 +9,14 @@ import sharp from 'sharp';
 import fs from 'fs';
 import path from 'path';
 import crypto from 'crypto';
+import { loadImageSource } from '../utils/raw-preview.js';
 
 const DEFAULT_WIDTH = 300;
 const MIN_WIDTH = 50;
 const MAX_WIDTH = 800;
+// Part of the cached file name; bump it when thumbnails render differently
+// so stale ones are regenerated (2: EXIF orientation applied)
+const THUMBNAIL_VERSION = 2;
 
 /**
  * Validate and parse thumbnail width parameter.
@@ -62,7 +66,7 @@ export async function generateThumbnail(photoPath, width, cacheBaseDir) {
   }
 
   const filename = path.basename(photoPath);
-  const thumbName = `${path.parse(filename).name}_w${width}.jpg`;
+  const thumbName = `${path.parse(filename).name}_w${width}_v${THUMBNAIL_VERSION}.jpg`;
   const thumbPath = path.join(thumbsDir, thumbName);
 
   // Return cached if exists
@@ -71,7 +75,8 @@ export async function generateThumbnail(photoPath, width, cacheBaseDir) {
   }
 
   // Generate thumbnail
-  await sharp(photoPath)
+  await sharp(await loadImageSource(photoPath))
+    .rotate()
     .resize(width)
     .jpeg({ quality: 80 })
     .toFile(thumbPath);
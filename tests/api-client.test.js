@@ -2,7 +2,8 @@
  * Tests for api-client.js
  *
  * Extended from 35% to 80%+ coverage per ADR-013.
- * Covers: getApiClient, getModelName, checkOllamaStatus, resetApiClient, env vars
+ * Covers: getApiClient, getModelName, checkOllamaStatus, resetApiClient, env vars,
+ * provider selection (resolveProviderConfig, configureApiClient)
  */
 
 import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
@@ -22,7 +23,9 @@ import {
   getApiClient,
   getModelName,
   resetApiClient,
-  checkOllamaStatus
+  checkOllamaStatus,
+  configureApiClient,
+  resolveProviderConfig
 } from '../src/utils/api-client.js';
 import { Ollama } from 'ollama';
 
@@ -221,4 +224,102 @@ describe('API Client', () => {
       expect(status.hasConfiguredModel).toBe(false);
     });
   });
+
+  // ============================================================
+  // Provider selection Tests
+  // ============================================================
+
+  describe('resolveProviderConfig()', () => {
+    test('should default to ollama', () => {
+      const resolved = resolveProviderConfig(null, {});
+      expect(resolved.type).toBe('ollama');
+      expect(resolved.host).toBe('http://localhost:11434');
+    });
+
+    test('should read provider from VISION_PROVIDER env var', () => {
+      const resolved = resolveProviderConfig(null, {
+        VISION_PROVIDER: 'openai-compatible',
+        OPENAI_COMPAT_BASE_URL: 'http://localhost:1234/v1',
+        OPENAI_COMPAT_API_KEY: 'secret'
+      });
+      expect(resolved).toEqual({
+        type: 'openai-compatible',
+        baseUrl: 'http://localhost:1234/v1',
+        apiKey: 'secret'
+      });
+    });
+
+    test('should prefer config provider over env var', () => {
+      const resolved = resolveProviderConfig('ollama', { VISION_PROVIDER: 'openai-compatible' });
+      expect(resolved.type).toBe('ollama');
+    });
+
+    test('should accept object config with apiKeyEnv', () => {
+      const resolved = resolveProviderConfig(
+        { type: 'openai-compatible', baseUrl: 'http://gpu-box:8000/v1', apiKeyEnv: 'VLLM_KEY' },
+        { VLLM_KEY: 'k-123', OPENAI_COMPAT_API_KEY: 'ignored' }
+      );
+      expect(resolved.baseUrl).toBe('http://gpu-box:8000/v1');
+      expect(resolved.apiKey).toBe('k-123');
+    });
+
+    test('should use host from object config for ollama', () => {
+      const resolved = resolveProviderConfig({ type: 'ollama', host: 'http://nas:11434' }, {});
+      expect(resolved.host).toBe('http://nas:11434');
+    });
+
+    test('should throw on unknown provider', () => {
+      expect(() => resolveProviderConfig('gemini', {})).toThrow('Unknown vision provider "gemini"');
+    });
+  });
+
+  describe('configureApiClient()', () => {
+    test('should switch getApiClient to the configured provider', () => {
+      configureApiClient({ type: 'openai-compatible', baseUrl: 'http://localhost:8080/v1' });
+      const client = getApiClient();
+      expect(client.name).toBe('openai-compatible');
+      expect(client.host).toBe('http://localhost:8080/v1');
+      expect(client.capabilities.pull).toBe(false);
+    });
+
+    test('should fall back to ollama when config has no provider', () => {
+      configureApiClient(undefined);
+      expect(getApiClient().name).toBe('ollama');
+    });
+
+    test('should be cleared by resetApiClient', () => {
+      configureApiClient('openai-compatible');
+      resetApiClient();
+      expect(getApiClient().name).toBe('ollama');
+    });
+
+    test('should treat all models listed by openai-compatible servers as vision models', async () => {
+      configureApiClient('openai-compatible');
+      const client = getApiClient();
+      client.list = vi.fn().mockResolvedValue({
+        models: [{ name: 'qwen2-vl-7b-instruct' }]
+      });
+
+      const status = await checkOllamaStatus();
+
+      expect(status.connected).toBe(true);
+      expect(status.provider).toBe('openai-compatible');
+      expect(status.visionModels).toEqual(['qwen2-vl-7b-instruct']);
+    });
+  });
+
+  describe('cassette wrapping', () => {
+    test('should wrap the provider when a cassette is configured', () => {
+      configureApiClient('ollama', { cassette: { mode: 'record', path: '/tmp/unused-cassette.json' } });
+      const client = getApiClient();
+      expect(client.name).toBe('ollama');
+      expect(client.cassette).toEqual({ mode: 'record', path: '/tmp/unused-cassette.json' });
+      expect(client.misses).toEqual([]);
+    });
+
+    test('should not wrap without a cassette', () => {
+      configureApiClient('ollama');
+      expect(getApiClient().cassette).toBeUndefined();
+    });
+  });
 });
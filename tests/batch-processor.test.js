@@ -0,0 +1,65 @@
+/**
+ * Tests for batch-processor.js failure handling
+ *
+ * The vision model is mocked to reject; technical metrics run locally
+ * on a generated JPEG so failures still carry a technical baseline.
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+const chat = vi.fn();
+
+vi.mock('../src/utils/api-client.js', () => ({
+  getApiClient: vi.fn(() => ({ chat })),
+  getModelName: vi.fn(() => 'llava:7b')
+}));
+
+const { processBatch } = await import('../src/processing/batch-processor.js');
+
+describe('processBatch failure baseline', () => {
+  let projectDir;
+  let photosDir;
+
+  beforeAll(async () => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'batch-processor-'));
+    photosDir = path.join(projectDir, 'photos');
+    fs.mkdirSync(photosDir);
+    await sharp({
+      create: { width: 160, height: 120, channels: 3, background: { r: 90, g: 140, b: 200 } }
+    }).jpeg().toFile(path.join(photosDir, 'sky.jpg'));
+  });
+
+  afterAll(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('records a failure with technical metrics when the vision call rejects', async () => {
+    chat.mockRejectedValue(new Error('model returned 500'));
+
+    const result = await processBatch(photosDir, {
+      criteria: [{ name: 'Composition', weight: 50 }, { name: 'Technical Quality', weight: 50 }]
+    }, {
+      parallel: 1,
+      noCache: true,
+      analysisMode: 'single',
+      photoTimeout: 30000,
+      explicitTimeout: true,
+      photoMetadata: { enabled: false }
+    });
+
+    expect(result.processed).toBe(0);
+    expect(result.errors).toEqual([{ photo: 'sky.jpg', error: 'model returned 500' }]);
+
+    const [entry] = result.results;
+    expect(entry.success).toBe(false);
+    expect(entry.technical_metrics.technical_score).toEqual(expect.any(Number));
+
+    const [failure] = result.failedPhotos;
+    expect(failure.photo).toBe('sky.jpg');
+    expect(failure.technical_score).toBe(entry.technical_metrics.technical_score);
+  });
+});
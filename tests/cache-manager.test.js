@@ -5,6 +5,7 @@
  *
  * Tests all cache-manager.js exports:
  * - computePhotoHash(): SHA-256 of file bytes
+ * - computeCacheVariant(): Settings outside open-call.json that change a result
  * - computeCacheKey(): Combined hash of photo + config + model
  * - getCachedResult(): Cache lookup
  * - setCachedResult(): Cache storage with atomic writes
@@ -20,6 +21,7 @@ import crypto from 'crypto';
 import {
   computePhotoHash,
   computeCacheKey,
+  computeCacheVariant,
   getCachedResult,
   setCachedResult,
   clearCache,
@@ -108,6 +110,34 @@ describe('Cache Manager - Unit Tests', () => {
       expect(key1).not.toBe(key2);
     });
 
+    it('should keep legacy key when variant is empty', () => {
+      expect(computeCacheKey('photo', 'config', 'llava:7b', '')).toBe(computeCacheKey('photo', 'config', 'llava:7b'));
+    });
+
+    it('should return different key when variant differs', () => {
+      const single = computeCacheKey('photo', 'config', 'llava:7b');
+      const sampled = computeCacheKey('photo', 'config', 'llava:7b', 'samples=5');
+      expect(sampled).not.toBe(single);
+    });
+
+    it('should build the variant from sampling and the metrics settings', () => {
+      expect(computeCacheVariant()).toBe('');
+      expect(computeCacheVariant({ samples: 5 })).toBe('samples=5');
+      expect(computeCacheVariant({ technicalMetrics: { enabled: false, blend: null } })).toBe('metrics=off');
+      expect(computeCacheVariant({ samples: 3, technicalMetrics: { enabled: true, blend: null } })).toBe('samples=3;metrics=on');
+      expect(computeCacheVariant({ technicalMetrics: { enabled: true, blend: { criterion: 'Technical Quality', weight: 0.3 } } }))
+        .toBe('metrics=blend:technical quality@0.3');
+    });
+
+    it('should add the pre-processing settings to the variant', () => {
+      const metrics = { enabled: true, blend: null };
+      expect(computeCacheVariant({ technicalMetrics: metrics, preprocess: { enabled: true, maxEdge: 1024, quality: 85 } }))
+        .toBe('metrics=on;preprocess=1024/85');
+      expect(computeCacheVariant({ technicalMetrics: metrics, preprocess: { enabled: false, maxEdge: 1024, quality: 85 } }))
+        .toBe('metrics=on;preprocess=off');
+      expect(computeCacheVariant({ preprocess: null })).toBe('preprocess=off');
+    });
+
     it('should return different key when model differs', () => {
       const key1 = computeCacheKey('photo', 'config', 'llava:7b');
       const key2 = computeCacheKey('photo', 'config', 'llava:13b');
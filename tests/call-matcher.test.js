@@ -0,0 +1,166 @@
+/**
+ * Tests for call-matcher.js (match command)
+ *
+ * Covers: listMatchPhotos, isCallOpen, scoreAgainstProject, buildMatchMatrix, matchPhotos
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+
+vi.mock('../src/utils/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn(), success: vi.fn(), section: vi.fn() }
+}));
+
+vi.mock('../src/analysis/photo-analyzer.js', () => ({
+  analyzePhotoWithTimeout: vi.fn()
+}));
+
+const { analyzePhotoWithTimeout } = await import('../src/analysis/photo-analyzer.js');
+const { listMatchPhotos, isCallOpen, scoreAgainstProject, buildMatchMatrix, matchPhotos } =
+  await import('../src/processing/call-matcher.js');
+const { computePhotoHash, computeCacheKey, computeCacheVariant, setCachedResult, getCachedResult } =
+  await import('../src/processing/cache-manager.js');
+const { computeConfigHash } = await import('../src/processing/checkpoint-manager.js');
+const { resolveTechnicalMetricsConfig } = await import('../src/analysis/technical-metrics.js');
+const { resolvePreprocessingConfig } = await import('../src/utils/image-preprocessor.js');
+
+const analysed = (score) => ({ success: true, data: { scores: { summary: { weighted_average: score } } } });
+
+describe('call-matcher', () => {
+  let testDir;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'call-matcher-test-'));
+    fs.mkdirSync(path.join(testDir, 'shoot'));
+    fs.writeFileSync(path.join(testDir, 'shoot', 'a.jpg'), 'photo a');
+    fs.writeFileSync(path.join(testDir, 'shoot', 'b.jpg'), 'photo b');
+    fs.writeFileSync(path.join(testDir, 'shoot', 'notes.txt'), 'not a photo');
+    analyzePhotoWithTimeout.mockReset();
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  const makeProject = (name, config) => {
+    const dir = path.join(testDir, name);
+    fs.mkdirSync(dir);
+    return { name, dir, config: { title: name, theme: 'Test', technicalMetrics: { enabled: false }, ...config } };
+  };
+
+  describe('listMatchPhotos()', () => {
+    it('should list supported photos in a folder or accept one photo', () => {
+      expect(listMatchPhotos(path.join(testDir, 'shoot')).map(p => p.name)).toEqual(['a.jpg', 'b.jpg']);
+      expect(listMatchPhotos(path.join(testDir, 'shoot', 'b.jpg'))).toEqual([
+        { name: 'b.jpg', path: path.join(testDir, 'shoot', 'b.jpg') }
+      ]);
+      expect(() => listMatchPhotos(path.join(testDir, 'shoot', 'notes.txt'))).toThrow('Unsupported photo format');
+    });
+  });
+
+  describe('isCallOpen()', () => {
+    it('should treat missing and future deadlines as open', () => {
+      expect(isCallOpen({})).toBe(true);
+      expect(isCallOpen({ submissionRules: { deadline: '2999-01-01' } })).toBe(true);
+      expect(isCallOpen({ submissionRules: { deadline: '2000-01-01' } })).toBe(false);
+    });
+  });
+
+  describe('scoreAgainstProject()', () => {
+    it('should reuse cache entries and store new analyses under the analyze cache key', async () => {
+      const project = makeProject('harbour', {});
+      const photos = listMatchPhotos(path.join(testDir, 'shoot'));
+      const configHash = computeConfigHash(project.config);
+      // The key analyze uses for a single-shot run with the project's metrics and pre-processing settings
+      const preprocess = resolvePreprocessingConfig(project.config, project.dir);
+      const variant = computeCacheVariant({ technicalMetrics: resolveTechnicalMetricsConfig(project.config), preprocess });
+      const hashA = await computePhotoHash(photos[0].path);
+      setCachedResult(project.dir, computeCacheKey(hashA, configHash, 'llava:7b', variant),
+        { scores: { summary: { weighted_average: 6.5 } } }, { photoFilename: 'a.jpg' });
+      analyzePhotoWithTimeout.mockResolvedValue(analysed(8.25));
+
+      const results = await scoreAgainstProject(photos, project, { analysisPrompt: { criteria: [] }, model: 'llava:7b', preprocess });
+
+      expect(results).toEqual([
+        { filename: 'a.jpg', score: 6.5, cacheHit: true },
+        { filename: 'b.jpg', score: 8.25, cacheHit: false }
+      ]);
+      expect(analyzePhotoWithTimeout).toHaveBeenCalledTimes(1);
+      const hashB = await computePhotoHash(photos[1].path);
+      expect(getCachedResult(project.dir, computeCacheKey(hashB, configHash, 'llava:7b', variant)).result)
+        .toEqual(analysed(8.25).data);
+    });
+
+    it('should bypass the cache with noCache and record failures', async () => {
+      const project = makeProject('market', {});
+      const photos = listMatchPhotos(path.join(testDir, 'shoot', 'a.jpg'));
+      analyzePhotoWithTimeout.mockResolvedValue({ success: false, error: 'Timeout' });
+
+      const results = await scoreAgainstProject(photos, project, { analysisPrompt: {}, model: 'llava:7b', noCache: true });
+
+      expect(results).toEqual([{ filename: 'a.jpg', score: null, cacheHit: false, error: 'Timeout' }]);
+      expect(fs.existsSync(path.join(project.dir, '.analysis-cache'))).toBe(false);
+    });
+  });
+
+  describe('buildMatchMatrix()', () => {
+    it('should pick the best call per photo and break ties by deadline', () => {
+      const matrix = buildMatchMatrix(['a.jpg', 'b.jpg', 'c.jpg'], [
+        {
+          name: 'late', deadline: '2026-12-01', results: [
+            { filename: 'a.jpg', score: 7.5, cacheHit: true },
+            { filename: 'b.jpg', score: 6, cacheHit: false },
+            { filename: 'c.jpg', score: null, cacheHit: false, error: 'Timeout' }
+          ]
+        },
+        {
+          name: 'soon', deadline: '2026-11-01', results: [
+            { filename: 'a.jpg', score: 7.5, cacheHit: false },
+            { filename: 'b.jpg', score: 8.123, cacheHit: false },
+            { filename: 'c.jpg', score: null, cacheHit: false, error: 'Timeout' }
+          ]
+        }
+      ]);
+
+      expect(matrix.photos[0]).toEqual({
+        filename: 'a.jpg',
+        scores: { late: 7.5, soon: 7.5 },
+        best: { project: 'soon', score: 7.5 },
+        runnerUp: { project: 'late', score: 7.5 },
+        margin: 0
+      });
+      expect(matrix.photos[1].best).toEqual({ project: 'soon', score: 8.12 });
+      expect(matrix.photos[1].margin).toBe(2.12);
+      expect(matrix.photos[2]).toMatchObject({ best: null, margin: null, scores: { late: null, soon: null } });
+      expect(matrix.projects.map(p => p.bestFor)).toEqual([[], ['a.jpg', 'b.jpg']]);
+      expect(matrix.cacheHits).toBe(1);
+      expect(matrix.analyzed).toBe(3);
+      expect(matrix.failures).toHaveLength(2);
+    });
+  });
+
+  describe('matchPhotos()', () => {
+    it('should score every photo against every project', async () => {
+      const projects = [makeProject('harbour', {}), makeProject('market', { submissionRules: { deadline: '2026-12-31' } })];
+      const photos = listMatchPhotos(path.join(testDir, 'shoot'));
+      const scores = { harbour: { 'a.jpg': 8, 'b.jpg': 5 }, market: { 'a.jpg': 6, 'b.jpg': 7 } };
+      const prepareProject = vi.fn(async (project) => ({ analysisPrompt: { project: project.name }, model: 'llava:7b' }));
+      analyzePhotoWithTimeout.mockImplementation(async (photoPath, prompt) =>
+        analysed(scores[prompt.project][path.basename(photoPath)]));
+
+      const matrix = await matchPhotos(photos, projects, { prepareProject });
+
+      expect(prepareProject).toHaveBeenCalledTimes(2);
+      expect(matrix.photos.map(p => p.best.project)).toEqual(['harbour', 'market']);
+      expect(matrix.projects[1]).toMatchObject({ name: 'market', title: 'market', deadline: '2026-12-31' });
+
+      // A second run is served from the project caches
+      analyzePhotoWithTimeout.mockClear();
+      const again = await matchPhotos(photos, projects, { prepareProject });
+      expect(analyzePhotoWithTimeout).not.toHaveBeenCalled();
+      expect(again.cacheHits).toBe(4);
+    });
+  });
+});
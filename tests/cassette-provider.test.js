@@ -0,0 +1,186 @@
+/**
+ * Tests for the record/replay cassette provider
+ *
+ * Covers: key computation, option resolution, recording (plain + streamed),
+ * replay without an underlying provider, loud misses.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import {
+  computeCassetteKey,
+  resolveCassetteOptions,
+  createCassetteProvider,
+  loadCassette
+} from '../src/providers/cassette-provider.js';
+
+const REQUEST = {
+  model: 'llava:7b',
+  messages: [{ role: 'user', content: 'Score this photo', images: ['aGVsbG8='] }],
+  options: { temperature: 0.3, num_predict: 1500 }
+};
+
+function mockInner(content = 'Composition: 8/10') {
+  return {
+    name: 'ollama',
+    host: 'http://localhost:11434',
+    capabilities: { pull: true },
+    chat: vi.fn().mockResolvedValue({ message: { role: 'assistant', content } }),
+    list: vi.fn().mockResolvedValue({ models: [{ name: 'llava:7b' }] }),
+    pull: vi.fn(),
+    health: vi.fn().mockResolvedValue({ ok: true })
+  };
+}
+
+describe('Cassette Provider', () => {
+  let testDir;
+  let cassettePath;
+
+  beforeEach(() => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'cassette-test-'));
+    cassettePath = path.join(testDir, 'cassette.json');
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('computeCassetteKey()', () => {
+    it('should be stable for identical requests', () => {
+      expect(computeCassetteKey(REQUEST)).toBe(computeCassetteKey({ ...REQUEST }));
+      expect(computeCassetteKey(REQUEST)).toMatch(/^[a-f0-9]{64}$/);
+    });
+
+    it('should change when the image changes', () => {
+      const other = { ...REQUEST, messages: [{ ...REQUEST.messages[0], images: ['d29ybGQ='] }] };
+      expect(computeCassetteKey(other)).not.toBe(computeCassetteKey(REQUEST));
+    });
+
+    it('should change when the prompt or model changes', () => {
+      const otherPrompt = { ...REQUEST, messages: [{ ...REQUEST.messages[0], content: 'Different' }] };
+      const otherModel = { ...REQUEST, model: 'llava:13b' };
+      expect(computeCassetteKey(otherPrompt)).not.toBe(computeCassetteKey(REQUEST));
+      expect(computeCassetteKey(otherModel)).not.toBe(computeCassetteKey(REQUEST));
+    });
+
+    it('should ignore the stream flag', () => {
+      expect(computeCassetteKey({ ...REQUEST, stream: true })).toBe(computeCassetteKey(REQUEST));
+    });
+  });
+
+  describe('resolveCassetteOptions()', () => {
+    it('should return null when no mode is set', () => {
+      expect(resolveCassetteOptions({ projectDir: testDir }, {})).toBeNull();
+    });
+
+    it('should default the cassette file to the project directory', () => {
+      const result = resolveCassetteOptions({ mode: 'record', projectDir: testDir }, {});
+      expect(result).toEqual({ mode: 'record', path: cassettePath });
+    });
+
+    it('should read mode and file from env vars', () => {
+      const file = path.join(testDir, 'ci.json');
+      const result = resolveCassetteOptions({}, { VISION_CASSETTE: 'replay', VISION_CASSETTE_FILE: file });
+      expect(result).toEqual({ mode: 'replay', path: file });
+    });
+
+    it('should reject unknown modes', () => {
+      expect(() => resolveCassetteOptions({ mode: 'rewind', projectDir: testDir }, {})).toThrow('Unknown cassette mode');
+    });
+
+    it('should require a file when no project directory is known', () => {
+      expect(() => resolveCassetteOptions({ mode: 'record' }, {})).toThrow('requires a cassette file');
+    });
+  });
+
+  describe('record mode', () => {
+    it('should pass through and store the response', async () => {
+      const inner = mockInner();
+      const provider = createCassetteProvider({ mode: 'record', path: cassettePath, inner });
+
+      const response = await provider.chat(REQUEST);
+
+      expect(response.message.content).toBe('Composition: 8/10');
+      expect(inner.chat).toHaveBeenCalledWith(REQUEST);
+      const entry = loadCassette(cassettePath).entries[computeCassetteKey(REQUEST)];
+      expect(entry.response.content).toBe('Composition: 8/10');
+      expect(entry.promptPreview).toBe('Score this photo');
+      expect(entry.imageHashes).toHaveLength(1);
+    });
+
+    it('should record streamed responses after the stream is consumed', async () => {
+      const inner = mockInner();
+      inner.chat.mockResolvedValue((async function* () {
+        yield { message: { content: 'Hello ' } };
+        yield { message: { content: 'Sebastiano' } };
+      })());
+      const provider = createCassetteProvider({ mode: 'record', path: cassettePath, inner });
+
+      const request = { ...REQUEST, stream: true };
+      let text = '';
+      for await (const chunk of await provider.chat(request)) text += chunk.message.content;
+
+      expect(text).toBe('Hello Sebastiano');
+      expect(loadCassette(cassettePath).entries[computeCassetteKey(request)].response.content).toBe('Hello Sebastiano');
+    });
+
+    it('should keep the inner provider identity', () => {
+      const provider = createCassetteProvider({ mode: 'record', path: cassettePath, inner: mockInner() });
+      expect(provider.name).toBe('ollama');
+      expect(provider.capabilities.pull).toBe(true);
+    });
+
+    it('should require an inner provider', () => {
+      expect(() => createCassetteProvider({ mode: 'record', path: cassettePath })).toThrow('requires an underlying provider');
+    });
+  });
+
+  describe('replay mode', () => {
+    beforeEach(async () => {
+      const recorder = createCassetteProvider({ mode: 'record', path: cassettePath, inner: mockInner() });
+      await recorder.chat(REQUEST);
+    });
+
+    it('should serve recorded responses without calling any model', async () => {
+      const provider = createCassetteProvider({ mode: 'replay', path: cassettePath });
+
+      const response = await provider.chat(REQUEST);
+
+      expect(response.message.content).toBe('Composition: 8/10');
+      expect(provider.misses).toEqual([]);
+    });
+
+    it('should replay as a stream when requested', async () => {
+      const provider = createCassetteProvider({ mode: 'replay', path: cassettePath });
+
+      let text = '';
+      for await (const chunk of await provider.chat({ ...REQUEST, stream: true })) text += chunk.message.content;
+
+      expect(text).toBe('Composition: 8/10');
+    });
+
+    it('should fail loudly with the missing key', async () => {
+      const provider = createCassetteProvider({ mode: 'replay', path: cassettePath });
+      const missing = { ...REQUEST, model: 'llava:13b' };
+      const key = computeCassetteKey(missing);
+
+      await expect(provider.chat(missing)).rejects.toThrow(`Cassette miss for key ${key}`);
+      expect(provider.misses).toEqual([key]);
+    });
+
+    it('should list recorded models and refuse to pull', async () => {
+      const provider = createCassetteProvider({ mode: 'replay', path: cassettePath });
+
+      expect(await provider.list()).toEqual({ models: [{ name: 'llava:7b' }] });
+      expect(provider.capabilities.pull).toBe(false);
+      await expect(provider.pull({ model: 'x' })).rejects.toThrow('replay mode');
+    });
+
+    it('should throw when the cassette file does not exist', () => {
+      expect(() => createCassetteProvider({ mode: 'replay', path: path.join(testDir, 'none.json') }))
+        .toThrow('Cassette not found');
+    });
+  });
+});
@@ -1,4 +1,4 @@
-import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
@@ -9,6 +9,12 @@ import {
   calculateDiversity,
   selectCandidateSetsByGroup
 } from '../src/processing/combination-generator.js';
+import { SetConstraintError } from '../src/processing/set-constraints.js';
+import { logger } from '../src/utils/logger.js';
+
+vi.mock('../src/utils/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn(), success: vi.fn(), section: vi.fn() }
+}));
 
 describe('combination-generator', () => {
   describe('countCombinations', () => {
@@ -310,6 +316,159 @@ describe('combination-generator', () => {
       expect(candidates.length).toBe(1);
       expect(candidates[0].photos.length).toBe(4);
     });
+
+    it('should never put two members of a near-duplicate cluster in one set', () => {
+      const photos = [
+        makePhoto('burst-1.jpg', 9.2, { Theme: 9 }),
+        makePhoto('burst-2.jpg', 9.1, { Theme: 9 }),
+        makePhoto('burst-3.jpg', 9.0, { Theme: 9 }),
+        makePhoto('a.jpg', 8.0, { Theme: 8 }),
+        makePhoto('b.jpg', 7.5, { Theme: 7 }),
+        makePhoto('c.jpg', 7.0, { Theme: 7 })
+      ];
+      const duplicateClusters = [{ id: 'cluster-1', members: ['burst-1.jpg', 'burst-2.jpg', 'burst-3.jpg'] }];
+
+      const candidates = selectCandidateSets(photos, 3, { maxSetsToEvaluate: 10, duplicateClusters });
+
+      expect(candidates.length).toBeGreaterThan(0);
+      candidates.forEach(candidate => {
+        const burstFrames = candidate.photos.filter(p => p.filename.startsWith('burst-'));
+        expect(burstFrames.length).toBeLessThanOrEqual(1);
+      });
+      expect(candidates[0].photos.map(p => p.filename)).toContain('burst-1.jpg');
+    });
+  });
+
+  describe('selectCandidateSets - search strategies', () => {
+    const makePhoto = (name, score, scores = {}) => ({ filename: name, score, scores });
+
+    // 200 photos; photo 13 by score is a strong complement to the top 3
+    const photos = Array.from({ length: 200 }, (_, i) =>
+      makePhoto(`photo${String(i).padStart(3, '0')}.jpg`, 9 - i * 0.01, { Theme: 8, Light: 8 })
+    );
+    photos[12] = makePhoto('photo012.jpg', 8.88, { Theme: 0, Light: 0 });
+
+    it('should reach photos beyond the top 12 with search strategies', () => {
+      for (const strategy of ['auto', 'beam', 'annealing', 'greedy-swap']) {
+        const candidates = selectCandidateSets(photos, 4, { strategy, maxSetsToEvaluate: 3 });
+        expect(candidates).toHaveLength(3);
+        expect(candidates[0].photos.map(p => p.filename)).toContain('photo012.jpg');
+      }
+    });
+
+    it('should keep the top-12 exhaustive behaviour when asked for', () => {
+      const candidates = selectCandidateSets(photos, 4, { strategy: 'exhaustive', maxSetsToEvaluate: 3 });
+      const top12 = photos.slice(0, 12).map(p => p.filename);
+      candidates.forEach(candidate => {
+        candidate.photos.forEach(photo => expect(top12).toContain(photo.filename));
+      });
+    });
+
+    it('should run exhaustively over every photo under auto when the budget allows', () => {
+      const small = photos.slice(0, 16);
+      const exhaustive = selectCandidateSets(small, 4, { strategy: 'exhaustive', preFilterTopN: 16, maxSetsToEvaluate: 5 });
+      const auto = selectCandidateSets(small, 4, { strategy: 'auto', maxSetsToEvaluate: 5 });
+      expect(auto).toEqual(exhaustive);
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => selectCandidateSets(photos, 4, { strategy: 'random' })).toThrow(/Unknown search strategy/);
+    });
+  });
+
+  describe('selectCandidateSets - constraints', () => {
+    const makePhoto = (name, score) => ({ filename: name, score, scores: {} });
+    const photos = Array.from({ length: 10 }, (_, i) => makePhoto(`p${i}.jpg`, 9 - i * 0.3));
+    const constraints = (overrides) => ({
+      pinned: [], excluded: [], exclusivePairs: [], coverGroups: false, maxPerGroup: null, ...overrides
+    });
+    const names = (set) => set.photos.map(p => p.filename);
+
+    it('should put pinned photos in every set and keep excluded photos out', () => {
+      for (const strategy of ['exhaustive', 'auto', 'beam', 'annealing', 'greedy-swap']) {
+        const candidates = selectCandidateSets(photos, 3, {
+          strategy,
+          maxSetsToEvaluate: 5,
+          constraints: constraints({ pinned: ['p9.jpg'], excluded: ['p0.jpg'] })
+        });
+        expect(candidates).toHaveLength(5);
+        candidates.forEach(set => {
+          expect(names(set)).toContain('p9.jpg');
+          expect(names(set)).not.toContain('p0.jpg');
+        });
+      }
+    });
+
+    it('should never pair mutually exclusive photos', () => {
+      const candidates = selectCandidateSets(photos, 3, {
+        maxSetsToEvaluate: 20,
+        constraints: constraints({ exclusivePairs: [['p0.jpg', 'p1.jpg']] })
+      });
+      expect(names(candidates[0])).toEqual(['p0.jpg', 'p2.jpg', 'p3.jpg']);
+      candidates.forEach(set => {
+        expect(names(set).includes('p0.jpg') && names(set).includes('p1.jpg')).toBe(false);
+      });
+    });
+
+    it('should keep a pinned near-duplicate over its better-ranked sibling', () => {
+      const candidates = selectCandidateSets(photos, 3, {
+        duplicateClusters: [{ id: 'c1', members: ['p0.jpg', 'p5.jpg'] }],
+        constraints: constraints({ pinned: ['p5.jpg'] })
+      });
+      candidates.forEach(set => {
+        expect(names(set)).toContain('p5.jpg');
+        expect(names(set)).not.toContain('p0.jpg');
+      });
+    });
+
+    it('should enforce group coverage and per-group limits', () => {
+      const groups = {
+        names: ['A', 'B'],
+        index: new Map(photos.map((p, i) => [p.filename, [i < 8 ? 'A' : 'B']]))
+      };
+      for (const strategy of ['exhaustive', 'beam', 'annealing', 'greedy-swap']) {
+        const candidates = selectCandidateSets(photos, 4, {
+          strategy,
+          preFilterTopN: 10,
+          maxSetsToEvaluate: 3,
+          groups,
+          constraints: constraints({ coverGroups: true, maxPerGroup: 2 })
+        });
+        expect(candidates).toHaveLength(3);
+        candidates.forEach(set => {
+          expect(names(set).filter(name => groups.index.get(name)[0] === 'B')).toHaveLength(2);
+        });
+      }
+    });
+
+    it('should explain constraints that cannot be met instead of returning no sets', () => {
+      expect(() => selectCandidateSets(photos, 3, { constraints: constraints({ pinned: ['missing.jpg'] }) }))
+        .toThrow(SetConstraintError);
+      expect(() => selectCandidateSets(photos, 3, { constraints: constraints({ pinned: ['p1.jpg'], excluded: ['p1.jpg'] }) }))
+        .toThrow(/both pinned and excluded/);
+      expect(() => selectCandidateSets(photos, 3, {
+        duplicateClusters: [{ id: 'c1', members: ['p1.jpg', 'p2.jpg'] }],
+        constraints: constraints({ pinned: ['p1.jpg', 'p2.jpg'] })
+      })).toThrow(/near-duplicates/);
+    });
+
+    it('should throw when no set satisfies the constraints', () => {
+      const groups = { names: ['A'], index: new Map(photos.map(p => [p.filename, ['A']])) };
+      expect(() => selectCandidateSets(photos, 3, {
+        groups,
+        preFilterTopN: 10,
+        constraints: constraints({ maxPerGroup: 2 })
+      })).toThrow(/No 3-photo set satisfies the set constraints/);
+    });
+
+    it('should warn when fewer valid sets than requested exist', () => {
+      const candidates = selectCandidateSets(photos.slice(0, 4), 3, {
+        maxSetsToEvaluate: 4,
+        constraints: constraints({ pinned: ['p0.jpg'], exclusivePairs: [['p1.jpg', 'p2.jpg']] })
+      });
+      expect(candidates.map(names)).toEqual([['p0.jpg', 'p1.jpg', 'p3.jpg'], ['p0.jpg', 'p2.jpg', 'p3.jpg']]);
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringContaining('Only 2 of 4 requested candidate sets'));
+    });
   });
 });
 
@@ -438,6 +597,39 @@ describe('selectCandidateSetsByGroup', () => {
       .toThrow(/resolution failed/i);
   });
 
+  it('should search across groups when group constraints are set', () => {
+    createTestPhotos('a-1.jpg', 'a-2.jpg', 'a-3.jpg', 'a-4.jpg', 'b-1.jpg', 'b-2.jpg');
+    const photos = [
+      makePhoto('a-1.jpg', 9), makePhoto('a-2.jpg', 8.8), makePhoto('a-3.jpg', 8.6),
+      makePhoto('a-4.jpg', 8.4), makePhoto('b-1.jpg', 6), makePhoto('b-2.jpg', 5)
+    ];
+    const groups = [{ name: 'A', pattern: 'a-*.jpg' }, { name: 'B', pattern: 'b-*.jpg' }];
+    const result = selectCandidateSetsByGroup(photos, 4, groups, photosDir, {
+      maxSetsToEvaluate: 3,
+      constraints: { pinned: [], excluded: [], exclusivePairs: [], coverGroups: true, maxPerGroup: 3 }
+    });
+
+    expect(result.grouped).toBe(false);
+    expect(result.candidates[0].photos.map(p => p.filename)).toEqual(['a-1.jpg', 'a-2.jpg', 'a-3.jpg', 'b-1.jpg']);
+  });
+
+  it('should pin photos only within their own group and skip groups that break constraints', () => {
+    createTestPhotos('a-1.jpg', 'a-2.jpg', 'a-3.jpg', 'b-1.jpg', 'b-2.jpg', 'b-3.jpg');
+    const photos = ['a-1.jpg', 'a-2.jpg', 'a-3.jpg', 'b-1.jpg', 'b-2.jpg', 'b-3.jpg']
+      .map((name, i) => makePhoto(name, 9 - i * 0.2));
+    const groups = [{ name: 'A', pattern: 'a-*.jpg' }, { name: 'B', pattern: 'b-*.jpg' }];
+    const result = selectCandidateSetsByGroup(photos, 2, groups, photosDir, {
+      constraints: {
+        pinned: ['a-3.jpg'], excluded: ['b-1.jpg', 'b-2.jpg'], exclusivePairs: [], coverGroups: false, maxPerGroup: null
+      }
+    });
+
+    const [groupA, groupB] = result.groups;
+    groupA.candidates.forEach(set => expect(set.photos.map(p => p.filename)).toContain('a-3.jpg'));
+    expect(groupB.skipped).toBe(true);
+    expect(groupB.skipReason).toMatch(/only 1 photos remain after exclusions/);
+  });
+
   it('should include warnings from group resolution', () => {
     createTestPhotos('a-1.jpg', 'a-2.jpg', 'a-3.jpg', 'a-4.jpg', 'orphan.jpg');
     const photos = [
@@ -1,13 +1,14 @@
 /**
  * Tests for comparison-engine.js
  *
- * Covers: Spearman's rho, top-N overlap, disagreements, cross-run consistency,
+ * Covers: Spearman's rho (with and without ties), top-N overlap, disagreements, cross-run consistency,
  * and report generation.
  */
 
 import { describe, test, expect } from 'vitest';
 import {
   computeSpearmanRho,
+  computeTiedSpearmanRho,
   computeTopNOverlap,
   findDisagreements,
   analyzeConsistency,
@@ -103,6 +104,31 @@ describe('computeSpearmanRho()', () => {
 });
 
 
+// ============================================================
+// computeTiedSpearmanRho() Tests
+// ============================================================
+
+describe('computeTiedSpearmanRho()', () => {
+  const ranks = (values) => values.map((rank, i) => ({ photo: `${i}.jpg`, rank }));
+
+  test('should match computeSpearmanRho when there are no ties', () => {
+    const a = ranks([1, 2, 3, 4, 5]);
+    const b = ranks([2, 1, 4, 3, 5]);
+    expect(computeTiedSpearmanRho(a, b)).toBeCloseTo(computeSpearmanRho(a, b), 10);
+  });
+
+  test('should be exact and symmetric with tied midranks', () => {
+    const binary = ranks([1.5, 1.5, 3.5, 3.5]);
+    expect(computeTiedSpearmanRho(ranks([1, 2, 3, 4]), binary)).toBeCloseTo(0.894, 3);
+    expect(computeTiedSpearmanRho(ranks([4, 3, 2, 1]), binary)).toBeCloseTo(-0.894, 3);
+  });
+
+  test('should return null with fewer than 2 photos or all ranks tied', () => {
+    expect(computeTiedSpearmanRho(ranks([1]), ranks([1]))).toBeNull();
+    expect(computeTiedSpearmanRho(ranks([1, 2, 3]), ranks([2, 2, 2]))).toBeNull();
+  });
+});
+
 // ============================================================
 // computeTopNOverlap() Tests
 // ============================================================
@@ -447,6 +447,145 @@ describe('Configuration Validator (EC-004: Config Invalid Cases)', () => {
       expect(result.valid).toBe(false);
       expect(result.errors.some((e) => e.message.includes('too short'))).toBe(true);
     });
+
+    it('should accept metadata-based groups', () => {
+      const result = validateOpenCall({
+        ...validBaseConfig,
+        photoGroups: [
+          { name: 'October', dateRange: { from: '2025-10-01', to: '2025-10-31' } },
+          { name: 'Fuji in Rotterdam', camera: 'X100V', location: { latitude: 51.92, longitude: 4.48, radiusKm: 15 } }
+        ]
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject malformed date ranges and locations', () => {
+      expect(validateOpenCall({
+        ...validBaseConfig,
+        photoGroups: [{ name: 'October', dateRange: { from: '04/10/2025' } }]
+      }).valid).toBe(false);
+      expect(validateOpenCall({
+        ...validBaseConfig,
+        photoGroups: [{ name: 'Rotterdam', location: { latitude: 51.92, longitude: 4.48 } }]
+      }).valid).toBe(false);
+    });
+
+    it('should accept explicit file lists and reject empty ones', () => {
+      expect(validateOpenCall({
+        ...validBaseConfig,
+        photoGroups: [{ name: 'Series 1', files: ['a.jpg', 'b.jpg'] }]
+      }).valid).toBe(true);
+      expect(validateOpenCall({
+        ...validBaseConfig,
+        photoGroups: [{ name: 'Series 1', files: [] }]
+      }).valid).toBe(false);
+    });
+  });
+
+  describe('validateOpenCall - modelPanel validation', () => {
+    const validBaseConfig = {
+      title: 'Test Competition',
+      theme: 'Photography of nature and landscapes',
+      jury: ['Photographer 1', 'Photographer 2'],
+      pastWinners: 'Previous winners featured strong compositions with excellent lighting'
+    };
+
+    it('should accept a panel of names and weighted entries', () => {
+      const result = validateOpenCall({
+        ...validBaseConfig,
+        modelPanel: {
+          models: ['llava:13b', { name: 'moondream', weight: 0.5 }],
+          disagreementThreshold: 2.5
+        }
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject a panel with a single model', () => {
+      const result = validateOpenCall({ ...validBaseConfig, modelPanel: { models: ['llava:13b'] } });
+
+      expect(result.valid).toBe(false);
+    });
+
+    it('should reject non-positive weights', () => {
+      const result = validateOpenCall({
+        ...validBaseConfig,
+        modelPanel: { models: ['llava:13b', { name: 'moondream', weight: 0 }] }
+      });
+
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('validateOpenCall - technicalMetrics validation', () => {
+    const validBaseConfig = {
+      title: 'Test Competition',
+      theme: 'Photography of nature and landscapes',
+      jury: ['Photographer 1', 'Photographer 2'],
+      pastWinners: 'Previous winners featured strong compositions with excellent lighting'
+    };
+
+    it('should accept a blend into a criterion', () => {
+      const result = validateOpenCall({
+        ...validBaseConfig,
+        technicalMetrics: { enabled: true, blend: { criterion: 'Technical Quality', weight: 0.3 } }
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject blend weights above 1', () => {
+      const result = validateOpenCall({
+        ...validBaseConfig,
+        technicalMetrics: { blend: { criterion: 'Technical Quality', weight: 1.5 } }
+      });
+
+      expect(result.valid).toBe(false);
+    });
+  });
+
+  describe('validateOpenCall - setMode constraints', () => {
+    const validBaseConfig = {
+      title: 'Test Competition',
+      theme: 'Photography of nature and landscapes',
+      jury: ['Photographer 1', 'Photographer 2'],
+      pastWinners: 'Previous winners featured strong compositions with excellent lighting'
+    };
+
+    it('should accept pinned, excluded, pairing and group rules', () => {
+      const result = validateOpenCall({
+        ...validBaseConfig,
+        setMode: {
+          enabled: true,
+          setSize: 4,
+          constraints: {
+            pinned: ['harbour-01.jpg'],
+            excluded: ['blurry.jpg'],
+            exclusivePairs: [['crane-a.jpg', 'crane-b.jpg']],
+            coverGroups: true,
+            maxPerGroup: 2
+          }
+        }
+      });
+
+      expect(result.valid).toBe(true);
+    });
+
+    it('should reject pairs that are not two filenames and unknown rules', () => {
+      const pair = validateOpenCall({
+        ...validBaseConfig,
+        setMode: { constraints: { exclusivePairs: [['a.jpg', 'b.jpg', 'c.jpg']] } }
+      });
+      const unknown = validateOpenCall({
+        ...validBaseConfig,
+        setMode: { constraints: { minPerGroup: 1 } }
+      });
+
+      expect(pair.valid).toBe(false);
+      expect(unknown.valid).toBe(false);
+    });
   });
 
   describe('Unit Test: Config Validator (UT-003)', () => {
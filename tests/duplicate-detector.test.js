@@ -0,0 +1,169 @@
+/**
+ * Tests for duplicate-detector.js (perceptual hashing and burst clustering)
+ *
+ * Covers: dHashFromPixels, pHashFromPixels, hammingDistance, clusterByHashes,
+ * computeImageHashes, detectNearDuplicates, resolveDuplicateConfig,
+ * nonRepresentativeMembers, collapseClusters
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  dHashFromPixels,
+  pHashFromPixels,
+  hammingDistance,
+  clusterByHashes,
+  computeImageHashes,
+  detectNearDuplicates,
+  resolveDuplicateConfig,
+  nonRepresentativeMembers,
+  collapseClusters
+} from '../src/analysis/duplicate-detector.js';
+
+const W = 160;
+const H = 120;
+
+function rgbImage(fn) {
+  const rgb = Buffer.alloc(W * H * 3);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) rgb.set(fn(x, y), (y * W + x) * 3);
+  }
+  return rgb;
+}
+
+// A scene with a sun, a horizon and some texture
+const scene = (offset = 0, brightness = 0) => rgbImage((x, y) => {
+  const sun = Math.hypot(x - 50 - offset, y - 35) < 18 ? 120 : 0;
+  const ground = y > 75 ? -60 + ((x >> 3) % 2) * 25 : 0;
+  const v = Math.max(0, Math.min(255, 110 + sun + ground + brightness + y / 2));
+  return [v, v, Math.min(255, v + 30)];
+});
+
+// An unrelated scene: diagonal stripes
+const stripes = rgbImage((x, y) => (((x + y) >> 4) % 2 ? [220, 200, 40] : [30, 60, 90]));
+
+describe('duplicate-detector', () => {
+  describe('hash primitives', () => {
+    it('should build a dHash from horizontal gradients', () => {
+      const rising = Buffer.from(Array.from({ length: 72 }, (_, i) => (i % 9) * 20));
+      const falling = Buffer.from(Array.from({ length: 72 }, (_, i) => 200 - (i % 9) * 20));
+      expect(dHashFromPixels(rising)).toBe('ffffffffffffffff');
+      expect(dHashFromPixels(falling)).toBe('0000000000000000');
+    });
+
+    it('should give similar pHashes for a brightness change', () => {
+      const pixels = Buffer.from(Array.from({ length: 1024 }, (_, i) => ((i % 32) * 7 + Math.floor(i / 32) * 3) % 256));
+      const brighter = Buffer.from(pixels.map(v => Math.min(255, v + 10)));
+      expect(hammingDistance(pHashFromPixels(pixels), pHashFromPixels(brighter))).toBeLessThanOrEqual(4);
+    });
+
+    it('should count differing bits', () => {
+      expect(hammingDistance('0000', '0000')).toBe(0);
+      expect(hammingDistance('000f', '0001')).toBe(3);
+      expect(hammingDistance('ffffffffffffffff', '0000000000000000')).toBe(64);
+    });
+  });
+
+  describe('clusterByHashes()', () => {
+    const entry = (name, dhash, phash = dhash) => ({ name, dhash, phash });
+
+    it('should link photos within the threshold transitively', () => {
+      const clusters = clusterByHashes([
+        entry('a.jpg', '0000000000000000'),
+        entry('b.jpg', '000000000000001f'), // 5 bits from a
+        entry('c.jpg', '00000000000003ff'), // 5 bits from b, 10 from a
+        entry('d.jpg', 'ffffffffffffffff')
+      ], { threshold: 6 });
+
+      expect(clusters).toEqual([{ members: ['a.jpg', 'b.jpg', 'c.jpg'], max_distance: 5 }]);
+    });
+
+    it('should require both hashes to agree', () => {
+      const clusters = clusterByHashes([
+        entry('a.jpg', '0000000000000000', '0000000000000000'),
+        entry('b.jpg', '0000000000000000', 'ffffffffffffffff')
+      ]);
+      expect(clusters).toEqual([]);
+    });
+  });
+
+  describe('with real images', () => {
+    let testDir;
+    const photo = (name) => ({ name, path: path.join(testDir, name) });
+
+    beforeAll(async () => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dupes-test-'));
+      const raw = { raw: { width: W, height: H, channels: 3 } };
+      await sharp(scene(), raw).jpeg({ quality: 92 }).toFile(path.join(testDir, 'burst-1.jpg'));
+      await sharp(scene(2, 6), raw).jpeg({ quality: 85 }).toFile(path.join(testDir, 'burst-2.jpg'));
+      await sharp(scene(1), raw).blur(2).jpeg({ quality: 90 }).toFile(path.join(testDir, 'burst-3.jpg'));
+      await sharp(stripes, raw).jpeg().toFile(path.join(testDir, 'other.jpg'));
+      fs.writeFileSync(path.join(testDir, 'broken.jpg'), 'not an image');
+    });
+
+    afterAll(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should hash near-identical frames close together', async () => {
+      const a = await computeImageHashes(photo('burst-1.jpg').path);
+      const b = await computeImageHashes(photo('burst-2.jpg').path);
+      const other = await computeImageHashes(photo('other.jpg').path);
+
+      expect(a.dhash).toMatch(/^[0-9a-f]{16}$/);
+      expect(hammingDistance(a.phash, b.phash)).toBeLessThanOrEqual(10);
+      expect(hammingDistance(a.phash, other.phash)).toBeGreaterThan(10);
+    });
+
+    it('should cluster the burst, pick the sharpest frame and skip unreadable files', async () => {
+      const clusters = await detectNearDuplicates(
+        ['burst-1.jpg', 'burst-2.jpg', 'burst-3.jpg', 'other.jpg', 'broken.jpg'].map(photo)
+      );
+
+      expect(clusters).toHaveLength(1);
+      expect(clusters[0]).toMatchObject({ id: 'cluster-1', members: ['burst-1.jpg', 'burst-2.jpg', 'burst-3.jpg'] });
+      expect(clusters[0].representative).not.toBe('burst-3.jpg');
+    });
+  });
+
+  describe('resolveDuplicateConfig()', () => {
+    it('should enable detection by default', () => {
+      expect(resolveDuplicateConfig({})).toEqual({ enabled: true, threshold: 10, representativesOnly: false });
+    });
+
+    it('should read overrides', () => {
+      expect(resolveDuplicateConfig({
+        nearDuplicates: { enabled: false, threshold: 6, representativesOnly: true }
+      })).toEqual({ enabled: false, threshold: 6, representativesOnly: true });
+    });
+  });
+
+  describe('cluster helpers', () => {
+    const clusters = [{ id: 'cluster-1', members: ['a.jpg', 'b.jpg', 'c.jpg'], representative: 'b.jpg' }];
+
+    it('should list frames skipped when analysing representatives only', () => {
+      expect([...nonRepresentativeMembers(clusters)]).toEqual(['a.jpg', 'c.jpg']);
+    });
+
+    it('should collapse a ranking to the best frame of each cluster', () => {
+      const ranking = [
+        { filename: 'c.jpg', overall_score: 8.4 },
+        { filename: 'x.jpg', overall_score: 8.1 },
+        { filename: 'a.jpg', overall_score: 7.9 }
+      ];
+
+      const collapsed = collapseClusters(ranking, clusters);
+
+      expect(collapsed.map(p => p.filename)).toEqual(['c.jpg', 'x.jpg']);
+      expect(collapsed[0].duplicate_cluster).toEqual({
+        id: 'cluster-1',
+        size: 3,
+        alternates: [{ filename: 'a.jpg', overall_score: 7.9 }, { filename: 'b.jpg', overall_score: null }]
+      });
+      expect(collapseClusters(ranking, [])).toBe(ranking);
+    });
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for group-discovery.js (auto-group series proposals)
+ *
+ * Covers: resolveAutoGroupSettings, paletteDistance, computePaletteHistogram,
+ * pairDistance, proposeGroups, discoverPhotoGroups
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  DEFAULT_AUTO_GROUP,
+  resolveAutoGroupSettings,
+  paletteDistance,
+  computePaletteHistogram,
+  pairDistance,
+  proposeGroups,
+  discoverPhotoGroups
+} from '../src/analysis/group-discovery.js';
+
+const HOUR = 60 * 60 * 1000;
+
+function feature(name, { capturedAt = null, gps = null, palette = null, phash = null } = {}) {
+  return {
+    name,
+    capturedAt,
+    time: capturedAt ? Date.parse(`${capturedAt}Z`) : null,
+    gps,
+    palette,
+    phash
+  };
+}
+
+describe('group-discovery', () => {
+  describe('resolveAutoGroupSettings()', () => {
+    it('should apply defined overrides over the defaults', () => {
+      expect(resolveAutoGroupSettings()).toEqual(DEFAULT_AUTO_GROUP);
+      expect(resolveAutoGroupSettings({ timeGapMinutes: 30, radiusKm: undefined, unknown: 1 }))
+        .toEqual({ ...DEFAULT_AUTO_GROUP, timeGapMinutes: 30 });
+    });
+  });
+
+  describe('paletteDistance()', () => {
+    it('should be 0 for identical and 1 for disjoint histograms', () => {
+      expect(paletteDistance([0.5, 0.5, 0], [0.5, 0.5, 0])).toBe(0);
+      expect(paletteDistance([1, 0, 0], [0, 0, 1])).toBe(1);
+      expect(paletteDistance([0.5, 0.5, 0], [0, 0.5, 0.5])).toBeCloseTo(0.5);
+    });
+  });
+
+  describe('pairDistance()', () => {
+    it('should scale capture time by the time gap', () => {
+      const a = feature('a.jpg', { capturedAt: '2025-10-04T10:00:00' });
+      const b = feature('b.jpg', { capturedAt: '2025-10-04T11:00:00' });
+      expect(pairDistance(a, b, DEFAULT_AUTO_GROUP)).toBeCloseTo(0.5);
+      expect(pairDistance(a, b, { ...DEFAULT_AUTO_GROUP, timeGapMinutes: 30 })).toBeCloseTo(2);
+    });
+
+    it('should weight time double and cap each signal', () => {
+      const a = feature('a.jpg', { capturedAt: '2025-10-04T10:00:00', gps: { latitude: 51.92, longitude: 4.48 } });
+      const b = feature('b.jpg', { capturedAt: '2025-10-04T10:00:00', gps: { latitude: 52.37, longitude: 4.9 } });
+      // time 0 (weight 2), gps ~58km / 2km capped at 3 (weight 1)
+      expect(pairDistance(a, b, DEFAULT_AUTO_GROUP)).toBeCloseTo(1);
+    });
+
+    it('should be Infinity without shared signals', () => {
+      const a = feature('a.jpg', { capturedAt: '2025-10-04T10:00:00' });
+      const b = feature('b.jpg', { gps: { latitude: 51.92, longitude: 4.48 } });
+      expect(pairDistance(a, b, DEFAULT_AUTO_GROUP)).toBe(Infinity);
+    });
+  });
+
+  describe('proposeGroups()', () => {
+    const morning = Date.parse('2025-10-04T08:00:00Z');
+    const at = (offsetHours) => new Date(morning + offsetHours * HOUR).toISOString().slice(0, 19);
+
+    it('should split shoots at capture time gaps and name them by date', () => {
+      const features = [
+        feature('c.jpg', { capturedAt: at(49) }),
+        feature('a.jpg', { capturedAt: at(0) }),
+        feature('b.jpg', { capturedAt: at(1) }),
+        feature('d.jpg', { capturedAt: at(50) }),
+        feature('e.jpg', { capturedAt: at(51.5) }),
+        feature('lone.jpg', { capturedAt: at(200) })
+      ];
+
+      const { groups, ungrouped } = proposeGroups(features, DEFAULT_AUTO_GROUP);
+
+      expect(groups).toEqual([
+        { name: 'Series 1 (2025-10-04)', files: ['a.jpg', 'b.jpg'], captured: '2025-10-04' },
+        { name: 'Series 2 (2025-10-06)', files: ['c.jpg', 'd.jpg', 'e.jpg'], captured: '2025-10-06' }
+      ]);
+      expect(ungrouped).toEqual(['lone.jpg']);
+    });
+
+    it('should chain frames into one series and label date ranges', () => {
+      const features = [0, 1.5, 3, 4.5, 6, 7.5, 9, 10.5, 12, 13.5, 15, 16.5]
+        .map((hours, i) => feature(`f${String(i).padStart(2, '0')}.jpg`, { capturedAt: at(hours) }));
+
+      const { groups } = proposeGroups(features, DEFAULT_AUTO_GROUP);
+
+      expect(groups).toHaveLength(1);
+      expect(groups[0].name).toBe('Series 1 (2025-10-04 to 2025-10-05)');
+      expect(groups[0].files).toHaveLength(12);
+    });
+
+    it('should group undated photos by visual signals and respect minSize and maxGroups', () => {
+      const red = [1, 0, 0];
+      const blue = [0, 0, 1];
+      const features = [
+        feature('red-1.jpg', { palette: red, phash: '0000' }),
+        feature('red-2.jpg', { palette: red, phash: '0001' }),
+        feature('red-3.jpg', { palette: red, phash: '0003' }),
+        feature('blue-1.jpg', { palette: blue, phash: 'ffff' }),
+        feature('blue-2.jpg', { palette: blue, phash: 'fffe' })
+      ];
+
+      const all = proposeGroups(features, DEFAULT_AUTO_GROUP);
+      expect(all.groups.map(g => g.name)).toEqual(['Series 1', 'Series 2']);
+      expect(all.groups.map(g => g.files)).toEqual([
+        ['blue-1.jpg', 'blue-2.jpg'],
+        ['red-1.jpg', 'red-2.jpg', 'red-3.jpg']
+      ]);
+
+      const largest = proposeGroups(features, { ...DEFAULT_AUTO_GROUP, maxGroups: 1 });
+      expect(largest.groups[0].files).toHaveLength(3);
+      expect(largest.ungrouped).toEqual(['blue-1.jpg', 'blue-2.jpg']);
+
+      expect(proposeGroups(features, { ...DEFAULT_AUTO_GROUP, minSize: 4 }).groups).toEqual([]);
+    });
+  });
+
+  describe('with photos on disk', () => {
+    let testDir;
+    const photos = [];
+
+    beforeAll(async () => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'auto-group-test-'));
+      const shots = [
+        ['dusk-1.jpg', { r: 230, g: 120, b: 40 }, '2025:10:04 18:30:00'],
+        ['dusk-2.jpg', { r: 225, g: 115, b: 45 }, '2025:10:04 18:42:00'],
+        ['night-1.jpg', { r: 10, g: 20, b: 80 }, '2025:11:20 22:00:00'],
+        ['night-2.jpg', { r: 12, g: 22, b: 85 }, '2025:11:20 22:10:00']
+      ];
+      for (const [name, background, date] of shots) {
+        const photoPath = path.join(testDir, name);
+        await sharp({ create: { width: 64, height: 48, channels: 3, background } })
+          .withExif({ IFD2: { DateTimeOriginal: date } })
+          .jpeg()
+          .toFile(photoPath);
+        photos.push({ name, path: photoPath });
+      }
+    });
+
+    afterAll(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should build a normalised palette histogram', async () => {
+      const histogram = await computePaletteHistogram(photos[0].path);
+      expect(histogram).toHaveLength(64);
+      expect(histogram.reduce((sum, v) => sum + v, 0)).toBeCloseTo(1);
+      expect(Math.max(...histogram)).toBeCloseTo(1);
+    });
+
+    it('should propose one series per shoot', async () => {
+      const { groups, ungrouped } = await discoverPhotoGroups(photos, DEFAULT_AUTO_GROUP);
+
+      expect(groups.map(g => g.files)).toEqual([
+        ['dusk-1.jpg', 'dusk-2.jpg'],
+        ['night-1.jpg', 'night-2.jpg']
+      ]);
+      expect(groups[0].name).toBe('Series 1 (2025-10-04)');
+      expect(ungrouped).toEqual([]);
+    });
+  });
+});
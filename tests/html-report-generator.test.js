@@ -0,0 +1,147 @@
+/**
+ * Tests for html-report-generator.js (self-contained HTML report)
+ *
+ * Covers: escapeHtml, collectFeedback, embedThumbnails, generateHtmlReport, exportHtmlReport
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+vi.mock('../src/utils/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn(), success: vi.fn(), section: vi.fn() }
+}));
+
+const {
+  escapeHtml,
+  collectFeedback,
+  embedThumbnails,
+  generateHtmlReport,
+  exportHtmlReport
+} = await import('../src/output/html-report-generator.js');
+
+const report = (dir = '/x/photos') => ({
+  metadata: { generated: '2026-10-01T10:00:00.000Z', total_photos: 2, failed_photos: 1 },
+  statistics: { average: 7.5, median: 7.5, min: 6.5, max: 8.5 },
+  tiers: {
+    tier1: [{ filename: `${dir}/a.jpg` }],
+    tier2: [],
+    tier3: [{ filename: `${dir}/<b>.jpg` }],
+    summary: { tier1_count: 1, tier2_count: 0, tier3_count: 1 }
+  },
+  ranking: [
+    {
+      rank: 1, photo: `${dir}/a.jpg`, overall_score: 8.5, recommendation: 'Strong candidate',
+      individual_scores: { Theme: { score: 9, weight: 60, reasoning: 'Fits the brief' }, Light: { score: 7, weight: 40 } }
+    },
+    { rank: 2, photo: `${dir}/<b>.jpg`, overall_score: 6.5, individual_scores: { Theme: { score: 6, weight: 60 } } }
+  ],
+  failed_photos: [{ photo: 'c.jpg', reason: 'Timeout' }]
+});
+
+describe('html-report-generator', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'html-report-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('escapeHtml()', () => {
+    it('should escape markup and quotes', () => {
+      expect(escapeHtml('<a href="x">\'&\'</a>')).toBe('&lt;a href=&quot;x&quot;&gt;&#39;&amp;&#39;&lt;/a&gt;');
+      expect(escapeHtml(null)).toBe('');
+    });
+  });
+
+  describe('collectFeedback()', () => {
+    it('should key feedback text of successful results by filename', () => {
+      const feedback = collectFeedback({
+        results: [
+          { success: true, photo: '/x/photos/a.jpg', scores: { strengths: ['Mood'], improvements: ['Crop'], summary: { overall_assessment: 'Good' } } },
+          { success: false, photo: '/x/photos/b.jpg' }
+        ]
+      });
+
+      expect([...feedback.keys()]).toEqual(['a.jpg']);
+      expect(feedback.get('a.jpg')).toEqual({ assessment: 'Good', strengths: ['Mood'], improvements: ['Crop'] });
+    });
+  });
+
+  describe('generateHtmlReport()', () => {
+    it('should render ranking, tiers, bars, feedback and metadata without external assets', () => {
+      const html = generateHtmlReport(report(), {
+        title: 'Harbour Lights',
+        theme: 'Night & water',
+        thumbnails: new Map([['a.jpg', 'data:image/jpeg;base64,AAAA']]),
+        feedback: new Map([['a.jpg', { assessment: 'Moody', strengths: ['Reflections'], improvements: [] }]]),
+        runInfo: { Model: 'llava:7b' }
+      });
+
+      expect(html).toMatch(/^<!DOCTYPE html>/);
+      expect(html).toContain('<title>Harbour Lights</title>');
+      expect(html).toContain('Theme: Night &amp; water');
+      expect(html).toContain('src="data:image/jpeg;base64,AAAA"');
+      expect(html).toContain('<span class="tier tier1">Tier 1</span>');
+      expect(html).toContain('title="Fits the brief"');
+      expect(html).toContain('style="width:90%"');
+      expect(html).toContain('data-c0="9" data-c1="7"');
+      expect(html).toContain('<option value="c1">Sort by Light</option>');
+      expect(html).toContain('<li>Reflections</li>');
+      expect(html).toContain('Model: <b>llava:7b</b>');
+      expect(html).toContain('Tiers: <b>1 / 0 / 1</b>');
+      expect(html).toContain('c.jpg: Timeout');
+      // Filenames are escaped, unreadable photos get a placeholder
+      expect(html).toContain('&lt;b&gt;.jpg');
+      expect(html).not.toContain('<b>.jpg');
+      expect(html).toContain('<div class="no-thumb">no preview</div>');
+      // Offline: nothing is fetched
+      expect(html).not.toMatch(/<link|src="https?:|url\(http/);
+      expect(html).not.toContain('<h2>Sets</h2>');
+    });
+
+    it('should render plain and grouped set rankings', () => {
+      const set = { rank: 1, compositeScore: 8.25, recommendation: 'Submit', photos: [{ filename: 'a.jpg' }, { filename: 'b.jpg' }] };
+
+      const plain = generateHtmlReport(report(), { sets: { ranking: [{ ...set, sequence: { order: ['b.jpg', 'a.jpg'], rationale: 'Open wide' } }] } });
+      expect(plain).toContain('<h2>Sets</h2>');
+      expect(plain).toContain('#1 · 8.25 · Submit');
+      expect(plain.indexOf('data-photo="b.jpg"')).toBeLessThan(plain.indexOf('data-photo="a.jpg"'));
+      expect(plain).toContain('Open wide');
+
+      const grouped = generateHtmlReport(report(), {
+        sets: { groups: [{ name: 'Harbour', ranking: [{ ...set, constraintViolations: ['a.jpg is excluded'] }] }, { name: 'Empty', ranking: [] }] }
+      });
+      expect(grouped).toContain('<h3 class="group">Harbour</h3>');
+      expect(grouped).toContain('Breaks set constraints: a.jpg is excluded');
+      expect(grouped).toContain('No sets.');
+    });
+  });
+
+  describe('embedThumbnails() / exportHtmlReport()', () => {
+    it('should embed JPEG thumbnails and write one HTML file', async () => {
+      const photosDir = path.join(tempDir, 'photos');
+      fs.mkdirSync(photosDir);
+      await sharp({ create: { width: 400, height: 200, channels: 3, background: { r: 0, g: 0, b: 255 } } })
+        .jpeg().toFile(path.join(photosDir, 'a.jpg'));
+
+      const thumbnails = await embedThumbnails([path.join(photosDir, 'a.jpg'), path.join(photosDir, 'missing.jpg')], { size: 100 });
+      expect([...thumbnails.keys()]).toEqual(['a.jpg']);
+      const thumbnail = Buffer.from(thumbnails.get('a.jpg').replace('data:image/jpeg;base64,', ''), 'base64');
+      expect(await sharp(thumbnail).metadata()).toMatchObject({ format: 'jpeg', width: 100, height: 50 });
+
+      // Ranking paths from another machine resolve into the local photos folder
+      const written = await exportHtmlReport(tempDir, report('/elsewhere/photos'), {
+        basename: 'photo-analysis',
+        resolvePhoto: (photo) => path.join(photosDir, path.basename(photo))
+      });
+      expect(written).toBe(path.join(tempDir, 'photo-analysis.html'));
+      expect(fs.readFileSync(written, 'utf8')).toContain('id="thumb-a.jpg" src="data:image/jpeg;base64,');
+    });
+  });
+});
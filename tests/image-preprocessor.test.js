@@ -0,0 +1,123 @@
+/**
+ * Tests for image-preprocessor.js (resize/re-encode before model submission)
+ *
+ * Covers: resolvePreprocessingConfig, computePreprocessKey, preprocessImage,
+ * loadImageForModel (cache reuse, settings in key, fallback to original)
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  DEFAULT_PREPROCESSING,
+  resolvePreprocessingConfig,
+  computePreprocessKey,
+  preprocessImage,
+  loadImageForModel
+} from '../src/utils/image-preprocessor.js';
+
+describe('image-preprocessor', () => {
+  let testDir;
+  let photoPath;
+
+  beforeEach(async () => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'preprocess-test-'));
+    fs.mkdirSync(path.join(testDir, 'photos'));
+    photoPath = path.join(testDir, 'photos', 'large.png');
+    await sharp({
+      create: { width: 3000, height: 2000, channels: 3, background: { r: 40, g: 120, b: 200 } }
+    }).withMetadata({ orientation: 6 }).png().toFile(photoPath);
+  });
+
+  afterEach(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  describe('resolvePreprocessingConfig()', () => {
+    it('should default to enabled with a project cache dir', () => {
+      expect(resolvePreprocessingConfig({}, '/projects/call')).toEqual({
+        ...DEFAULT_PREPROCESSING,
+        cacheDir: path.join('/projects/call', '.preprocessed')
+      });
+      expect(resolvePreprocessingConfig(null).cacheDir).toBeNull();
+    });
+
+    it('should read overrides from open-call.json', () => {
+      const settings = resolvePreprocessingConfig({ preprocessing: { enabled: false, maxEdge: 1024, quality: 70 } });
+      expect(settings).toMatchObject({ enabled: false, maxEdge: 1024, quality: 70 });
+    });
+  });
+
+  describe('computePreprocessKey()', () => {
+    it('should change with the photo bytes and every setting', () => {
+      const buffer = Buffer.from('photo');
+      const base = computePreprocessKey(buffer, { maxEdge: 1536, quality: 85 });
+      expect(computePreprocessKey(buffer, { maxEdge: 1536, quality: 85 })).toBe(base);
+      expect(computePreprocessKey(buffer, { maxEdge: 1024, quality: 85 })).not.toBe(base);
+      expect(computePreprocessKey(buffer, { maxEdge: 1536, quality: 70 })).not.toBe(base);
+      expect(computePreprocessKey(Buffer.from('other'), { maxEdge: 1536, quality: 85 })).not.toBe(base);
+    });
+  });
+
+  describe('preprocessImage()', () => {
+    it('should auto-orient, fit the long edge and produce a JPEG without metadata', async () => {
+      const output = await preprocessImage(photoPath, { maxEdge: 1024, quality: 80 });
+      const meta = await sharp(output).metadata();
+
+      expect(meta.format).toBe('jpeg');
+      // Orientation 6 rotates the 3000x2000 landscape to portrait
+      expect(meta.width).toBe(683);
+      expect(meta.height).toBe(1024);
+      expect(meta.orientation).toBeUndefined();
+      expect(meta.exif).toBeUndefined();
+    });
+
+    it('should not enlarge small images', async () => {
+      const small = await sharp({
+        create: { width: 200, height: 100, channels: 3, background: { r: 0, g: 0, b: 0 } }
+      }).png().toBuffer();
+      const meta = await sharp(await preprocessImage(small, { maxEdge: 1536, quality: 85 })).metadata();
+      expect(meta.width).toBe(200);
+    });
+  });
+
+  describe('loadImageForModel()', () => {
+    it('should send the original bytes when pre-processing is off', async () => {
+      const original = fs.readFileSync(photoPath).toString('base64');
+      expect(await loadImageForModel(photoPath)).toBe(original);
+      expect(await loadImageForModel(photoPath, { ...DEFAULT_PREPROCESSING, enabled: false })).toBe(original);
+    });
+
+    it('should cache derived images and reuse them on repeat runs', async () => {
+      const settings = resolvePreprocessingConfig({}, testDir);
+
+      const first = await loadImageForModel(photoPath, settings);
+      const cached = fs.readdirSync(settings.cacheDir);
+      expect(cached).toHaveLength(1);
+      expect(cached[0]).toMatch(/^[0-9a-f]{64}\.jpg$/);
+
+      // Replace the cached file to prove the second call reads from the cache
+      const marker = Buffer.from('cached-jpeg');
+      fs.writeFileSync(path.join(settings.cacheDir, cached[0]), marker);
+      const second = await loadImageForModel(photoPath, settings);
+
+      expect(first).not.toBe(second);
+      expect(second).toBe(marker.toString('base64'));
+    });
+
+    it('should keep separate cache entries per settings', async () => {
+      await loadImageForModel(photoPath, resolvePreprocessingConfig({}, testDir));
+      await loadImageForModel(photoPath, resolvePreprocessingConfig({ preprocessing: { maxEdge: 512 } }, testDir));
+      expect(fs.readdirSync(path.join(testDir, '.preprocessed'))).toHaveLength(2);
+    });
+
+    it('should fall back to the original when the image cannot be decoded', async () => {
+      const broken = path.join(testDir, 'photos', 'broken.heic');
+      fs.writeFileSync(broken, 'not-decodable');
+      const result = await loadImageForModel(broken, resolvePreprocessingConfig({}, testDir));
+      expect(result).toBe(Buffer.from('not-decodable').toString('base64'));
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for jury-simulator.js (persona-based jury panel)
+ *
+ * Covers: parseJuryEntry, extractJurorBrief, buildJurorPersonas,
+ * buildJurorPrompt, parseJurorResponse, summariseJury, simulateJury
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockChat = vi.fn();
+
+vi.mock('../src/utils/api-client.js', () => ({
+  getApiClient: vi.fn(() => ({ chat: mockChat })),
+  getModelName: vi.fn((override) => override || 'llava:7b')
+}));
+
+vi.mock('fs', () => ({
+  readFileSync: vi.fn(() => Buffer.from('fake-image-data'))
+}));
+
+vi.mock('../src/utils/logger.js', () => ({
+  logger: { warn: vi.fn(), debug: vi.fn(), info: vi.fn(), error: vi.fn() }
+}));
+
+import {
+  parseJuryEntry,
+  extractJurorBrief,
+  buildJurorPersonas,
+  buildJurorPrompt,
+  parseJurorResponse,
+  summariseJury,
+  simulateJury
+} from '../src/analysis/jury-simulator.js';
+
+const config = {
+  title: 'Geographies of Light',
+  jury: ['Marco Delogu, Director of Istituto Italiano di Cultura', 'Alessia Glaviano (Vogue Italia)']
+};
+
+const analysisPrompt = {
+  title: 'Geographies of Light',
+  theme: 'Light and urban landscape',
+  criteria: [{ name: 'Theme Alignment', description: 'Fit to the theme', weight: 100 }]
+};
+
+const juryProfile = 'Marco Delogu favours quiet, conceptual series. Glaviano champions bold fashion-adjacent colour. Both value strong sequencing.';
+
+describe('jury-simulator', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('parseJuryEntry()', () => {
+    it('should split name and role', () => {
+      expect(parseJuryEntry('Marco Delogu, Director')).toEqual({ name: 'Marco Delogu', role: 'Director' });
+      expect(parseJuryEntry('Alessia Glaviano (Vogue Italia)')).toEqual({ name: 'Alessia Glaviano', role: 'Vogue Italia' });
+      expect(parseJuryEntry('Ann Smith - curator')).toEqual({ name: 'Ann Smith', role: 'curator' });
+    });
+
+    it('should keep hyphenated names intact', () => {
+      expect(parseJuryEntry('Jean-Luc Monterosso').name).toBe('Jean-Luc Monterosso');
+    });
+  });
+
+  describe('extractJurorBrief()', () => {
+    it('should keep only sentences mentioning the juror', () => {
+      expect(extractJurorBrief(juryProfile, 'Alessia Glaviano')).toBe('Glaviano champions bold fashion-adjacent colour.');
+    });
+
+    it('should return empty string when the juror is not mentioned', () => {
+      expect(extractJurorBrief(juryProfile, 'Ann Smith')).toBe('');
+    });
+  });
+
+  describe('buildJurorPersonas()', () => {
+    it('should combine jury entry, research brief and memory', () => {
+      const memoryLookup = vi.fn((entry) => entry.startsWith('Marco')
+        ? { notes: 'Appeared in 2 open calls.', appearances: [{ openCall: 'Light 2025', verdict: 'submit', alignment_score: 8 }] }
+        : null);
+
+      const personas = buildJurorPersonas(config, { juryProfile, memoryLookup });
+
+      expect(personas).toHaveLength(2);
+      expect(personas[0]).toMatchObject({ name: 'Marco Delogu', role: 'Director of Istituto Italiano di Cultura' });
+      expect(personas[0].brief).toContain('quiet, conceptual');
+      expect(personas[0].memory).toContain('Light 2025 (submit, alignment 8/10)');
+      expect(personas[1].memory).toBe('');
+      expect(memoryLookup).toHaveBeenCalledWith(config.jury[1]);
+    });
+
+    it('should fall back to the whole profile for unmentioned jurors', () => {
+      const personas = buildJurorPersonas({ jury: ['Ann Smith'] }, { juryProfile });
+      expect(personas[0].brief).toMatch(/^About the jury as a whole: Marco Delogu/);
+    });
+
+    it('should cap the number of jurors', () => {
+      const personas = buildJurorPersonas({ jury: ['A One', 'B Two', 'C Three'] }, { maxJurors: 2 });
+      expect(personas.map(p => p.name)).toEqual(['A One', 'B Two']);
+    });
+  });
+
+  describe('buildJurorPrompt()', () => {
+    it('should speak as the juror and ask for an independent vote', () => {
+      const [persona] = buildJurorPersonas(config, { juryProfile });
+      const prompt = buildJurorPrompt(persona, analysisPrompt);
+
+      expect(prompt).toContain('You are Marco Delogu, Director of Istituto Italiano di Cultura');
+      expect(prompt).toContain('quiet, conceptual');
+      expect(prompt).toContain('VOTE: Shortlist, Maybe or Reject');
+      expect(prompt).not.toContain('past juries');
+    });
+  });
+
+  describe('parseJurorResponse()', () => {
+    it('should parse score, vote and rationale', () => {
+      expect(parseJurorResponse('SCORE: 8/10\nVOTE: shortlist\nRATIONALE: Luminous and precise.')).toEqual({
+        score: 8,
+        vote: 'Shortlist',
+        rationale: 'Luminous and precise.'
+      });
+    });
+
+    it('should return nulls for unusable replies', () => {
+      expect(parseJurorResponse('I like it.')).toEqual({ score: null, vote: null, rationale: '' });
+    });
+  });
+
+  describe('summariseJury()', () => {
+    it('should mark broad support as safe', () => {
+      const summary = summariseJury([
+        { score: 8, vote: 'Shortlist' },
+        { score: 7, vote: 'Shortlist' },
+        { score: 7, vote: 'Maybe' }
+      ]);
+
+      expect(summary).toMatchObject({ profile: 'safe', shortlisted: true, consensus: 0.67, jurors: 3 });
+      expect(summary.votes).toEqual({ Shortlist: 2, Maybe: 1, Reject: 0 });
+    });
+
+    it('should mark split verdicts as polarising', () => {
+      const summary = summariseJury([
+        { score: 9, vote: 'Shortlist' },
+        { score: 3, vote: 'Reject' }
+      ]);
+
+      expect(summary.profile).toBe('polarising');
+      expect(summary.divisiveness).toBe(0.67);
+      expect(summary.shortlisted).toBe(false);
+    });
+
+    it('should ignore jurors without scores', () => {
+      expect(summariseJury([{ score: null, vote: null }])).toBeNull();
+      expect(summariseJury([{ score: 5, vote: 'Maybe' }, { score: null, vote: null }]).jurors).toBe(1);
+    });
+  });
+
+  describe('simulateJury()', () => {
+    const personas = buildJurorPersonas(config, { juryProfile });
+
+    it('should ask each juror separately and summarise', async () => {
+      mockChat
+        .mockResolvedValueOnce({ message: { content: 'SCORE: 9/10\nVOTE: Shortlist\nRATIONALE: Quietly powerful.' } })
+        .mockResolvedValueOnce({ message: { content: 'SCORE: 4/10\nVOTE: Reject\nRATIONALE: Too muted.' } });
+
+      const result = await simulateJury('/photos/a.jpg', analysisPrompt, personas, { model: 'llava:13b' });
+
+      expect(mockChat).toHaveBeenCalledTimes(2);
+      expect(mockChat.mock.calls[0][0].model).toBe('llava:13b');
+      expect(mockChat.mock.calls[0][0].messages[0].content).toContain('You are Marco Delogu');
+      expect(mockChat.mock.calls[1][0].messages[0].content).toContain('You are Alessia Glaviano');
+      expect(result.success).toBe(true);
+      expect(result.data.jurors.map(j => j.vote)).toEqual(['Shortlist', 'Reject']);
+      expect(result.data.panel.profile).toBe('polarising');
+    });
+
+    it('should record failing jurors and keep the rest', async () => {
+      mockChat
+        .mockRejectedValueOnce(new Error('connection refused'))
+        .mockResolvedValueOnce({ message: { content: 'SCORE: 7/10\nVOTE: Maybe\nRATIONALE: Solid.' } });
+
+      const result = await simulateJury('/photos/a.jpg', analysisPrompt, personas);
+
+      expect(result.data.jurors[0]).toMatchObject({ name: 'Marco Delogu', score: null, error: 'connection refused' });
+      expect(result.data.panel.jurors).toBe(1);
+    });
+
+    it('should fail when no juror scores', async () => {
+      mockChat.mockResolvedValue({ message: { content: 'No comment.' } });
+
+      const result = await simulateJury('/photos/a.jpg', analysisPrompt, personas);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('No juror produced a score');
+    });
+
+    it('should fail without jurors', async () => {
+      const result = await simulateJury('/photos/a.jpg', analysisPrompt, []);
+      expect(result.success).toBe(false);
+    });
+  });
+});
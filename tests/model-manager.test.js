@@ -207,6 +207,23 @@ describe('Model Manager - Unit Tests', () => {
       await expect(ensureModelAvailable('llava:7b')).rejects.toThrow('Ollama is not running');
     });
 
+    it('should warn instead of pulling when provider cannot pull', async () => {
+      const mockPull = vi.fn();
+      getApiClient.mockReturnValue({ pull: mockPull, capabilities: { pull: false } });
+
+      checkOllamaStatus.mockResolvedValue({
+        connected: true,
+        provider: 'openai-compatible',
+        host: 'http://localhost:8080/v1',
+        visionModels: ['qwen2-vl'],
+        models: ['qwen2-vl']
+      });
+
+      const result = await ensureModelAvailable('llava:7b');
+      expect(result).toBe(false);
+      expect(mockPull).not.toHaveBeenCalled();
+    });
+
     it('should throw when model pull fails', async () => {
       const mockPull = vi.fn().mockRejectedValue(new Error('model not found'));
       getApiClient.mockReturnValue({ pull: mockPull });
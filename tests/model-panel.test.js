@@ -0,0 +1,125 @@
+/**
+ * Tests for model-panel.js (multi-model consensus scoring)
+ *
+ * Covers: resolveModelPanel, describePanel, mergePanelResults
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  resolveModelPanel,
+  describePanel,
+  mergePanelResults,
+  DEFAULT_DISAGREEMENT_THRESHOLD
+} from '../src/analysis/model-panel.js';
+
+function modelResult(model, composition, light, recommendation = 'Yes') {
+  return {
+    photoPath: '/photos/a.jpg',
+    filename: 'a.jpg',
+    analysisText: `${model} says hello`,
+    model,
+    scores: {
+      individual: {
+        Composition: { score: composition, weight: 60 },
+        Light: { score: light, weight: 40 }
+      },
+      summary: { weighted_average: (composition * 60 + light * 40) / 100, recommendation },
+      strengths: [`${model} strength`],
+      improvements: []
+    }
+  };
+}
+
+describe('model-panel', () => {
+  describe('resolveModelPanel()', () => {
+    it('should return null without a panel', () => {
+      expect(resolveModelPanel({})).toBeNull();
+      expect(resolveModelPanel({ modelPanel: { models: [] } })).toBeNull();
+      expect(resolveModelPanel(null)).toBeNull();
+    });
+
+    it('should normalise names and default weights', () => {
+      const panel = resolveModelPanel({
+        modelPanel: { models: ['llava:13b', { name: 'moondream', weight: 0.5 }, { name: 'llava-llama3' }] }
+      });
+
+      expect(panel.models).toEqual([
+        { name: 'llava:13b', weight: 1 },
+        { name: 'moondream', weight: 0.5 },
+        { name: 'llava-llama3', weight: 1 }
+      ]);
+      expect(panel.disagreementThreshold).toBe(DEFAULT_DISAGREEMENT_THRESHOLD);
+    });
+
+    it('should keep a custom disagreement threshold', () => {
+      const panel = resolveModelPanel({ modelPanel: { models: ['a:1', 'b:1'], disagreementThreshold: 2 } });
+      expect(panel.disagreementThreshold).toBe(2);
+    });
+
+    it('should reject duplicate models and bad weights', () => {
+      expect(() => resolveModelPanel({ modelPanel: { models: ['llava:13b', 'llava:13b'] } }))
+        .toThrow('more than once');
+      expect(() => resolveModelPanel({ modelPanel: { models: [{ name: 'llava:13b', weight: -1 }] } }))
+        .toThrow('positive number');
+    });
+  });
+
+  describe('describePanel()', () => {
+    it('should produce a stable description', () => {
+      const panel = resolveModelPanel({ modelPanel: { models: ['llava:13b', { name: 'moondream', weight: 0.5 }] } });
+      expect(describePanel(panel)).toBe('llava:13b*1,moondream*0.5');
+    });
+  });
+
+  describe('mergePanelResults()', () => {
+    const panel = {
+      models: [{ name: 'llava:13b', weight: 3 }, { name: 'moondream', weight: 1 }],
+      disagreementThreshold: 3
+    };
+
+    it('should compute weighted consensus scores and agreement', () => {
+      const merged = mergePanelResults([modelResult('llava:13b', 8, 6), modelResult('moondream', 4, 6, 'No')], panel);
+
+      expect(merged.scores.individual.Composition).toEqual({
+        score: 7,
+        weight: 60,
+        panel: { 'llava:13b': 8, moondream: 4 },
+        std: 1.73,
+        range: 4
+      });
+      expect(merged.scores.individual.Light).toMatchObject({ score: 6, std: 0, range: 0 });
+      expect(merged.scores.summary.weighted_average).toBe(6.6);
+      expect(merged.scores.summary.recommendation).toBe('Yes');
+      expect(merged.scores.consensus).toMatchObject({
+        agreement: 0.78,
+        max_range: 4,
+        disagreement: true,
+        disagreement_criteria: ['Composition'],
+        failed_models: []
+      });
+      expect(merged.scores.consensus.models.map(m => m.name)).toEqual(['llava:13b', 'moondream']);
+    });
+
+    it('should not flag small differences', () => {
+      const merged = mergePanelResults([modelResult('llava:13b', 8, 6), modelResult('moondream', 7, 5)], panel);
+      expect(merged.scores.consensus.disagreement).toBe(false);
+    });
+
+    it('should take feedback from the highest-weighted model and label the text', () => {
+      const merged = mergePanelResults([modelResult('llava:13b', 8, 6), modelResult('moondream', 7, 5)], panel);
+      expect(merged.scores.strengths).toEqual(['llava:13b strength']);
+      expect(merged.analysisText).toContain('[moondream]\nmoondream says hello');
+      expect(merged.model).toBe('llava:13b+moondream');
+    });
+
+    it('should record models without scores', () => {
+      const merged = mergePanelResults([null, modelResult('moondream', 7, 5)], panel);
+      expect(merged.scores.consensus.failed_models).toEqual(['llava:13b']);
+      expect(merged.scores.consensus.disagreement).toBe(false);
+    });
+
+    it('should throw when no model produced scores', () => {
+      expect(() => mergePanelResults([null, { error: 'x', scores: null }], panel)).toThrow('No panel model produced scores');
+    });
+  });
+});
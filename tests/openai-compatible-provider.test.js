@@ -0,0 +1,165 @@
+/**
+ * Tests for the OpenAI-compatible vision provider
+ *
+ * Covers: request translation (images → content parts), response mapping,
+ * streaming, model listing, unsupported pull, HTTP errors.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import {
+  createOpenAICompatibleProvider,
+  toOpenAIMessages,
+  buildChatBody,
+  detectImageMime
+} from '../src/providers/openai-compatible-provider.js';
+
+const PNG_BASE64 = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]).toString('base64');
+const JPEG_BASE64 = Buffer.from([0xff, 0xd8, 0xff, 0xe0, 0x00, 0x10]).toString('base64');
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+    text: async () => JSON.stringify(body)
+  };
+}
+
+function sseResponse(events) {
+  const encoder = new TextEncoder();
+  const lines = events.map(e => `data: ${typeof e === 'string' ? e : JSON.stringify(e)}\n\n`);
+  return {
+    ok: true,
+    status: 200,
+    body: (async function* () {
+      for (const line of lines) yield encoder.encode(line);
+    })()
+  };
+}
+
+describe('OpenAI-compatible provider', () => {
+  describe('detectImageMime()', () => {
+    it('should detect PNG', () => {
+      expect(detectImageMime(PNG_BASE64)).toBe('image/png');
+    });
+
+    it('should default to JPEG', () => {
+      expect(detectImageMime(JPEG_BASE64)).toBe('image/jpeg');
+    });
+  });
+
+  describe('toOpenAIMessages()', () => {
+    it('should keep text-only messages as plain strings', () => {
+      const result = toOpenAIMessages([{ role: 'system', content: 'You are a curator' }]);
+      expect(result).toEqual([{ role: 'system', content: 'You are a curator' }]);
+    });
+
+    it('should convert images into image_url content parts', () => {
+      const result = toOpenAIMessages([{ role: 'user', content: 'Score this', images: [JPEG_BASE64] }]);
+      expect(result[0].content).toEqual([
+        { type: 'text', text: 'Score this' },
+        { type: 'image_url', image_url: { url: `data:image/jpeg;base64,${JPEG_BASE64}` } }
+      ]);
+    });
+  });
+
+  describe('buildChatBody()', () => {
+    it('should map Ollama options to OpenAI fields', () => {
+      const body = buildChatBody({
+        model: 'qwen2-vl',
+        messages: [{ role: 'user', content: 'hi' }],
+        options: { temperature: 0.3, num_predict: 1500, seed: 42 }
+      });
+      expect(body).toMatchObject({ model: 'qwen2-vl', temperature: 0.3, max_tokens: 1500, seed: 42, stream: false });
+      expect(body.options).toBeUndefined();
+    });
+  });
+
+  describe('buildChatBody() format mapping', () => {
+    it('should map a JSON Schema format to response_format json_schema', () => {
+      const schema = { type: 'object', properties: { a: { type: 'integer' } } };
+      const body = buildChatBody({ model: 'm', messages: [], format: schema });
+      expect(body.response_format).toEqual({ type: 'json_schema', json_schema: { name: 'response', schema } });
+    });
+
+    it('should map format "json" to json_object', () => {
+      const body = buildChatBody({ model: 'm', messages: [], format: 'json' });
+      expect(body.response_format).toEqual({ type: 'json_object' });
+    });
+  });
+
+  describe('chat()', () => {
+    it('should POST to /chat/completions and map the response', async () => {
+      const fetchImpl = vi.fn().mockResolvedValue(jsonResponse({
+        model: 'qwen2-vl',
+        choices: [{ message: { role: 'assistant', content: 'SCORE: Composition: 8/10' } }]
+      }));
+      const provider = createOpenAICompatibleProvider({ baseUrl: 'http://localhost:8080/v1/', apiKey: 'k', fetchImpl });
+
+      const response = await provider.chat({
+        model: 'qwen2-vl',
+        messages: [{ role: 'user', content: 'Score', images: [JPEG_BASE64] }],
+        options: { temperature: 0.3 }
+      });
+
+      expect(response.message.content).toBe('SCORE: Composition: 8/10');
+      const [url, init] = fetchImpl.mock.calls[0];
+      expect(url).toBe('http://localhost:8080/v1/chat/completions');
+      expect(init.method).toBe('POST');
+      expect(init.headers.Authorization).toBe('Bearer k');
+      expect(JSON.parse(init.body).messages[0].content[1].type).toBe('image_url');
+    });
+
+    it('should stream chunks in canonical shape', async () => {
+      const fetchImpl = vi.fn().mockResolvedValue(sseResponse([
+        { choices: [{ delta: { content: 'Hello ' } }] },
+        { choices: [{ delta: { content: 'world' } }] },
+        '[DONE]'
+      ]));
+      const provider = createOpenAICompatibleProvider({ fetchImpl });
+
+      const stream = await provider.chat({ model: 'm', messages: [], stream: true });
+      let text = '';
+      for await (const chunk of stream) text += chunk.message.content;
+
+      expect(text).toBe('Hello world');
+    });
+
+    it('should throw with HTTP status on failure', async () => {
+      const fetchImpl = vi.fn().mockResolvedValue(jsonResponse({ error: 'model not loaded' }, 503));
+      const provider = createOpenAICompatibleProvider({ fetchImpl });
+
+      await expect(provider.chat({ model: 'm', messages: [] })).rejects.toThrow('HTTP 503');
+    });
+  });
+
+  describe('list()', () => {
+    it('should map /models data to { models: [{ name }] }', async () => {
+      const fetchImpl = vi.fn().mockResolvedValue(jsonResponse({ data: [{ id: 'qwen2-vl' }, { id: 'llava-1.6' }] }));
+      const provider = createOpenAICompatibleProvider({ fetchImpl });
+
+      const result = await provider.list();
+
+      expect(result).toEqual({ models: [{ name: 'qwen2-vl' }, { name: 'llava-1.6' }] });
+      expect(fetchImpl.mock.calls[0][0]).toBe('http://localhost:8080/v1/models');
+    });
+  });
+
+  describe('pull() and health()', () => {
+    it('should reject pull as unsupported', async () => {
+      const provider = createOpenAICompatibleProvider({ fetchImpl: vi.fn() });
+      expect(provider.capabilities.pull).toBe(false);
+      await expect(provider.pull({ model: 'llava:7b' })).rejects.toThrow('not supported');
+    });
+
+    it('should report health from /models reachability', async () => {
+      const fetchImpl = vi.fn().mockRejectedValue(new Error('ECONNREFUSED'));
+      const provider = createOpenAICompatibleProvider({ fetchImpl });
+
+      const health = await provider.health();
+
+      expect(health.ok).toBe(false);
+      expect(health.error).toContain('ECONNREFUSED');
+    });
+  });
+});
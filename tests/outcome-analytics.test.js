@@ -0,0 +1,148 @@
+/**
+ * Tests for outcome-analytics.js (outcome-report command)
+ *
+ * Covers: joinOutcomes, computeCalibration, computeTierPrecision,
+ * computeCallAgreement, rankPredictiveCriteria, analyzeOutcomes, generateOutcomeReport
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  joinOutcomes,
+  computeCalibration,
+  computeTierPrecision,
+  computeCallAgreement,
+  rankPredictiveCriteria,
+  analyzeOutcomes,
+  generateOutcomeReport
+} from '../src/analysis/outcome-analytics.js';
+
+const run = (photos) => ({
+  ranking: photos.map(([filename, score, criteria], i) => ({
+    rank: i + 1,
+    photo: `/x/photos/${filename}`,
+    overall_score: score,
+    individual_scores: Object.fromEntries(Object.entries(criteria || {}).map(([name, s]) => [name, { score: s, weight: 50 }]))
+  })),
+  tiers: {
+    tier1: photos.filter(([, score]) => score > 8).map(([filename]) => ({ filename: `/x/photos/${filename}` })),
+    tier2: [],
+    tier3: []
+  }
+});
+
+const tracker = (status, outcomes) => ({
+  status,
+  photos: Object.entries(outcomes).map(([filename, outcome]) => ({ filename, outcome, placement: '' }))
+});
+
+const entry = (overrides) => ({
+  project: 'a', filename: 'p.jpg', score: 7, rank: 1, tier: null, criteria: {}, outcome: 'rejected', success: false, ...overrides
+});
+
+describe('outcome-analytics', () => {
+  describe('joinOutcomes()', () => {
+    it('should join submitted photos with their scores, tier and outcome', () => {
+      const joined = joinOutcomes('harbour', run([['a.jpg', 8.5, { Theme: 9 }], ['b.jpg', 7]]),
+        tracker('won', { 'a.jpg': 'won', 'b.jpg': null, 'c.jpg': null }));
+
+      expect(joined).toEqual([
+        { project: 'harbour', filename: 'a.jpg', score: 8.5, rank: 1, tier: 1, criteria: { Theme: 9 }, outcome: 'won', success: true },
+        { project: 'harbour', filename: 'b.jpg', score: 7, rank: 2, tier: null, criteria: {}, outcome: 'rejected', success: false },
+        { project: 'harbour', filename: 'c.jpg', score: null, rank: null, tier: null, criteria: {}, outcome: 'rejected', success: false }
+      ]);
+    });
+
+    it('should skip calls still awaiting a result', () => {
+      expect(joinOutcomes('harbour', run([['a.jpg', 8]]), tracker('submitted', { 'a.jpg': null }))).toEqual([]);
+      expect(joinOutcomes('harbour', null, tracker('planning', {}))).toEqual([]);
+    });
+  });
+
+  describe('computeCalibration()', () => {
+    it('should report success rates per score band', () => {
+      const bands = computeCalibration([
+        entry({ score: 5.5 }),
+        entry({ score: 8.2, success: true }),
+        entry({ score: 8.8 }),
+        entry({ score: 9.4, success: true }),
+        entry({ score: null, success: true })
+      ]);
+
+      expect(bands.map(b => [b.band, b.photos, b.successRate])).toEqual([
+        ['< 6', 1, 0], ['6-7', 0, null], ['7-8', 0, null], ['8-9', 2, 0.5], ['>= 9', 1, 1]
+      ]);
+      expect(bands[3].meanScore).toBe(8.5);
+    });
+  });
+
+  describe('computeTierPrecision()', () => {
+    it('should compare Tier 1 precision with the base rate', () => {
+      expect(computeTierPrecision([
+        entry({ tier: 1, success: true }),
+        entry({ tier: 1 }),
+        entry({ tier: 2, success: true }),
+        entry({ tier: 3 })
+      ])).toEqual({ tier1: 2, tier1Successes: 1, precision: 0.5, recall: 0.5, baseRate: 0.5 });
+      expect(computeTierPrecision([])).toEqual({ tier1: 0, tier1Successes: 0, precision: null, recall: null, baseRate: null });
+    });
+  });
+
+  describe('computeCallAgreement()', () => {
+    it('should correlate the AI ranking with outcomes within each call', () => {
+      const [call] = computeCallAgreement([
+        entry({ filename: 'a.jpg', score: 9, outcome: 'won', success: true }),
+        entry({ filename: 'b.jpg', score: 8, outcome: 'shortlisted', success: true }),
+        entry({ filename: 'c.jpg', score: 7 }),
+        entry({ filename: 'd.jpg', score: 6 })
+      ]);
+
+      expect(call.rho).toBeGreaterThan(0.9);
+      expect(call.topOverlap).toEqual({ overlap: 2, n: 2, percentage: 100 });
+    });
+  });
+
+  describe('rankPredictiveCriteria()', () => {
+    it('should rank criteria by how well they separate successful photos', () => {
+      const criteria = rankPredictiveCriteria([
+        entry({ filename: '1.jpg', criteria: { Theme: 9, Light: 5 }, success: true }),
+        entry({ filename: '1.jpg', project: 'b', criteria: { theme: 8, Light: 7 }, success: true }),
+        entry({ filename: '2.jpg', criteria: { Theme: 5, Light: 8 } }),
+        entry({ filename: '2.jpg', project: 'b', criteria: { theme: 4, Light: 6 } }),
+        entry({ filename: '3.jpg', criteria: { Rare: 9 }, success: true })
+      ]);
+
+      expect(criteria.map(c => c.criterion)).toEqual(['Theme', 'Light']);
+      expect(criteria[0]).toMatchObject({ photos: 4, meanSuccess: 8.5, meanOther: 4.5, difference: 4 });
+      expect(criteria[0].rho).toBe(0.89);
+      expect(criteria[1].rho).toBe(-0.45);
+    });
+
+    it('should give tied outcomes symmetric rho for perfect and inverse criteria', () => {
+      const criteria = rankPredictiveCriteria([
+        entry({ filename: '1.jpg', criteria: { Theme: 9, Noise: 1 }, success: true }),
+        entry({ filename: '2.jpg', criteria: { Theme: 8, Noise: 2 }, success: true }),
+        entry({ filename: '3.jpg', criteria: { Theme: 5, Noise: 5 } }),
+        entry({ filename: '4.jpg', criteria: { Theme: 4, Noise: 6 } })
+      ]);
+
+      // Pearson on midranks: 1..4 against 1.5, 1.5, 3.5, 3.5 gives 4/sqrt(20)
+      expect(criteria.map(c => [c.criterion, c.rho])).toEqual([['Theme', 0.89], ['Noise', -0.89]]);
+    });
+  });
+
+  describe('analyzeOutcomes() / generateOutcomeReport()', () => {
+    it('should combine all statistics into a markdown report', () => {
+      const analysis = analyzeOutcomes([
+        { name: 'harbour', run: run([['a.jpg', 8.5], ['b.jpg', 7]]), tracker: tracker('shortlisted', { 'a.jpg': 'shortlisted', 'b.jpg': null }) },
+        { name: 'market', run: null, tracker: tracker('submitted', { 'c.jpg': null }) }
+      ]);
+
+      expect(analysis).toMatchObject({ calls: 1, photos: 2, successes: 1, unanalysed: 0 });
+      const report = generateOutcomeReport(analysis);
+      expect(report).toContain('# Outcome Analytics');
+      expect(report).toContain('| 8-9 | 1 | 1 | 100% |');
+      expect(report).toContain('**Precision**: 100% (1 of 1 submitted Tier 1 photos succeeded)');
+      expect(report).toContain('| harbour | 2 | 1 | 1.00 | 1/1 |');
+    });
+  });
+});
@@ -0,0 +1,201 @@
+/**
+ * Tests for pairwise-ranker.js (Bradley-Terry tournament ranking)
+ *
+ * Covers: parsePairwiseResponse, fitBradleyTerry, selectNextPair,
+ * defaultComparisonBudget, rankPairwise
+ */
+
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+
+const mockChat = vi.fn();
+
+vi.mock('../src/utils/api-client.js', () => ({
+  getApiClient: vi.fn(() => ({ chat: mockChat })),
+  getModelName: vi.fn((override) => override || 'llava:7b')
+}));
+
+vi.mock('fs', () => ({
+  readFileSync: vi.fn((p) => Buffer.from(`image:${p}`))
+}));
+
+vi.mock('../src/utils/logger.js', () => ({
+  logger: { warn: vi.fn(), debug: vi.fn(), info: vi.fn(), error: vi.fn() }
+}));
+
+import {
+  buildPairwisePrompt,
+  parsePairwiseResponse,
+  fitBradleyTerry,
+  winProbability,
+  selectNextPair,
+  defaultComparisonBudget,
+  rankPairwise
+} from '../src/analysis/pairwise-ranker.js';
+
+const analysisPrompt = {
+  title: 'Urban Nights',
+  theme: 'City after dark',
+  criteria: [
+    { name: 'Theme Alignment', weight: 60, description: 'Fit to the theme' },
+    { name: 'Technical Quality', weight: 40, description: 'Exposure and focus' }
+  ]
+};
+
+// Model that always prefers the photo with the higher "true" quality
+function judgeBy(quality) {
+  return async ({ messages }) => {
+    const [a, b] = messages[0].images.map(img => Buffer.from(img, 'base64').toString().replace('image:', ''));
+    const winner = quality[a] >= quality[b] ? 'A' : 'B';
+    return { message: { content: `WINNER: ${winner}\nREASON: Stronger fit to the theme.` } };
+  };
+}
+
+describe('pairwise-ranker', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('buildPairwisePrompt()', () => {
+    it('should include theme, criteria and the answer format', () => {
+      const prompt = buildPairwisePrompt(analysisPrompt);
+      expect(prompt).toContain('Urban Nights');
+      expect(prompt).toContain('Theme Alignment (60%)');
+      expect(prompt).toContain('WINNER: A or B');
+    });
+  });
+
+  describe('parsePairwiseResponse()', () => {
+    it('should parse WINNER and REASON lines', () => {
+      expect(parsePairwiseResponse('WINNER: B\nREASON: Better light.')).toEqual({ winner: 'B', reason: 'Better light.' });
+    });
+
+    it('should accept markdown and "Photo" prefixes', () => {
+      expect(parsePairwiseResponse('**WINNER:** Photo A').winner).toBe('A');
+    });
+
+    it('should fall back to a single photo mention', () => {
+      expect(parsePairwiseResponse('I prefer Photo B for its mood.').winner).toBe('B');
+    });
+
+    it('should return null winner when ambiguous', () => {
+      expect(parsePairwiseResponse('Photo A and Photo B are both strong.').winner).toBeNull();
+      expect(parsePairwiseResponse('').winner).toBeNull();
+    });
+  });
+
+  describe('fitBradleyTerry()', () => {
+    it('should give equal strengths without comparisons', () => {
+      const strengths = fitBradleyTerry(['a', 'b'], []);
+      expect(strengths.get('a')).toBeCloseTo(1);
+      expect(strengths.get('b')).toBeCloseTo(1);
+    });
+
+    it('should order a transitive chain and keep strengths finite', () => {
+      const strengths = fitBradleyTerry(['a', 'b', 'c'], [
+        { winner: 'a', loser: 'b' },
+        { winner: 'b', loser: 'c' },
+        { winner: 'a', loser: 'c' }
+      ]);
+      expect(strengths.get('a')).toBeGreaterThan(strengths.get('b'));
+      expect(strengths.get('b')).toBeGreaterThan(strengths.get('c'));
+      expect(Number.isFinite(strengths.get('a'))).toBe(true);
+    });
+
+    it('should reflect repeated wins in the win probability', () => {
+      const once = fitBradleyTerry(['a', 'b'], [{ winner: 'a', loser: 'b' }]);
+      const thrice = fitBradleyTerry(['a', 'b'], Array(3).fill({ winner: 'a', loser: 'b' }));
+      const pOnce = winProbability(once.get('a'), once.get('b'));
+      const pThrice = winProbability(thrice.get('a'), thrice.get('b'));
+      expect(pOnce).toBeGreaterThan(0.5);
+      expect(pThrice).toBeGreaterThan(pOnce);
+    });
+  });
+
+  describe('selectNextPair()', () => {
+    const ids = ['a', 'b', 'c', 'd'];
+
+    it('should seed with neighbours in the initial order', () => {
+      const strengths = fitBradleyTerry(ids, []);
+      expect(selectNextPair(ids, [], strengths)).toEqual(['a', 'b']);
+      expect(selectNextPair(ids, [{ a: 'a', b: 'b' }], strengths)).toEqual(['b', 'c']);
+    });
+
+    it('should pick the most uncertain uncompared pair after seeding', () => {
+      const attempted = [{ a: 'a', b: 'b' }, { a: 'b', b: 'c' }, { a: 'c', b: 'd' }];
+      const strengths = new Map([['a', 4], ['b', 1], ['c', 0.9], ['d', 0.1]]);
+      // Open pairs: a-c (p=0.82), b-d (p=0.91), a-d (p=0.98, already decided)
+      expect(selectNextPair(ids, attempted, strengths)).toEqual(['a', 'c']);
+    });
+
+    it('should return null when every remaining pair is decided', () => {
+      const attempted = [{ a: 'a', b: 'b' }];
+      const strengths = new Map([['a', 100], ['b', 1]]);
+      expect(selectNextPair(['a', 'b'], attempted, strengths)).toBeNull();
+    });
+  });
+
+  describe('defaultComparisonBudget()', () => {
+    it('should scale with K log K', () => {
+      expect(defaultComparisonBudget(1)).toBe(0);
+      expect(defaultComparisonBudget(2)).toBe(2);
+      expect(defaultComparisonBudget(10)).toBe(34);
+    });
+  });
+
+  describe('rankPairwise()', () => {
+    const candidates = [
+      { photo: '/p/one.jpg', rank: 1, overall_score: 8.1 },
+      { photo: '/p/two.jpg', rank: 2, overall_score: 8.0 },
+      { photo: '/p/three.jpg', rank: 3, overall_score: 7.9 },
+      { photo: '/p/four.jpg', rank: 4, overall_score: 7.8 }
+    ];
+
+    it('should recover the model preference order within budget', async () => {
+      mockChat.mockImplementation(judgeBy({ '/p/one.jpg': 2, '/p/two.jpg': 4, '/p/three.jpg': 1, '/p/four.jpg': 3 }));
+
+      const result = await rankPairwise(candidates, analysisPrompt, { maxComparisons: 8 });
+
+      expect(result.ranking.map(r => r.filename)).toEqual(['two.jpg', 'four.jpg', 'one.jpg', 'three.jpg']);
+      expect(result.ranking[0].absolute_rank).toBe(2);
+      expect(result.ranking[0].win_probability).toBeGreaterThan(0.5);
+      expect(result.ranking[3].beats_next_probability).toBeNull();
+      expect(mockChat.mock.calls.length).toBeLessThanOrEqual(8);
+      expect(result.summary.decided).toBe(result.summary.comparisons);
+    });
+
+    it('should alternate presentation order', async () => {
+      mockChat.mockImplementation(judgeBy({ '/p/one.jpg': 4, '/p/two.jpg': 3, '/p/three.jpg': 2, '/p/four.jpg': 1 }));
+
+      const result = await rankPairwise(candidates, analysisPrompt, { maxComparisons: 2 });
+
+      expect(result.comparisons[0]).toMatchObject({ a: 'one.jpg', b: 'two.jpg', winner: 'one.jpg' });
+      expect(result.comparisons[1]).toMatchObject({ a: 'three.jpg', b: 'two.jpg', winner: 'two.jpg' });
+    });
+
+    it('should pass the requested model to the provider', async () => {
+      mockChat.mockResolvedValue({ message: { content: 'WINNER: A' } });
+
+      await rankPairwise(candidates.slice(0, 2), analysisPrompt, { maxComparisons: 1, model: 'llava:13b' });
+
+      expect(mockChat.mock.calls[0][0].model).toBe('llava:13b');
+      expect(mockChat.mock.calls[0][0].messages[0].images).toHaveLength(2);
+    });
+
+    it('should record failed and unparseable comparisons against the budget', async () => {
+      mockChat
+        .mockRejectedValueOnce(new Error('connection refused'))
+        .mockResolvedValueOnce({ message: { content: 'Both are lovely.' } })
+        .mockResolvedValue({ message: { content: 'WINNER: A' } });
+
+      const result = await rankPairwise(candidates, analysisPrompt, { maxComparisons: 3 });
+
+      expect(result.summary).toMatchObject({ comparisons: 3, decided: 1, failed: 2, budget: 3 });
+      expect(result.comparisons[0].error).toBe('connection refused');
+      expect(result.comparisons[1].error).toContain('Could not determine a winner');
+    });
+
+    it('should reject duplicate photos', async () => {
+      await expect(rankPairwise([candidates[0], candidates[0]], analysisPrompt)).rejects.toThrow('distinct photos');
+    });
+  });
+});
@@ -0,0 +1,140 @@
+/**
+ * Tests for pdf-report-generator.js (printable contact sheet and set boards)
+ *
+ * Covers: resolvePdfLayout, loadPdfImages, generatePdfReport, exportPdfReport
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { inflateSync } from 'zlib';
+import sharp from 'sharp';
+
+vi.mock('../src/utils/logger.js', () => ({
+  logger: { info: vi.fn(), warn: vi.fn(), error: vi.fn(), debug: vi.fn(), success: vi.fn(), section: vi.fn() }
+}));
+
+const {
+  resolvePdfLayout,
+  loadPdfImages,
+  generatePdfReport,
+  exportPdfReport
+} = await import('../src/output/pdf-report-generator.js');
+
+const report = (count) => ({
+  metadata: { generated: '2026-10-01T10:00:00.000Z', total_photos: count },
+  statistics: { average: 7.5 },
+  tiers: { tier1: [{ filename: '/x/photos/p1.jpg' }], tier2: [], tier3: [], summary: { tier1_count: 1, tier2_count: 0, tier3_count: 0 } },
+  ranking: Array.from({ length: count }, (_, i) => ({
+    rank: i + 1,
+    photo: `/x/photos/p${i + 1}.jpg`,
+    overall_score: 9 - i * 0.1,
+    individual_scores: { Theme: { score: 9, weight: 60 }, Light: { score: 7, weight: 40 } }
+  }))
+});
+
+// Page count, embedded images and all page text of a PDF
+function inspect(pdf) {
+  const text = pdf.toString('latin1');
+  const content = [];
+  for (let at = text.indexOf('/Filter /FlateDecode'); at !== -1; at = text.indexOf('/Filter /FlateDecode', at + 1)) {
+    const start = text.indexOf('stream\n', at) + 7;
+    content.push(inflateSync(pdf.subarray(start, text.indexOf('\nendstream', start))).toString('latin1'));
+  }
+  return {
+    pages: (text.match(/\/Type \/Page /g) || []).length,
+    images: (text.match(/\/Subtype \/Image/g) || []).length,
+    content: content.join('\n')
+  };
+}
+
+describe('pdf-report-generator', () => {
+  let tempDir;
+
+  beforeEach(() => {
+    tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'pdf-report-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  describe('resolvePdfLayout()', () => {
+    it('should size the grid to the page and orientation', () => {
+      expect(resolvePdfLayout()).toMatchObject({ pageSize: 'A4', orientation: 'portrait', perPage: 12, columns: 3, rows: 4 });
+      expect(resolvePdfLayout({ pageSize: 'letter', orientation: 'landscape', perPage: '12' }))
+        .toMatchObject({ pageSize: 'Letter', width: 792, height: 612, columns: 4, rows: 3 });
+      expect(resolvePdfLayout({ perPage: 1 })).toMatchObject({ columns: 1, rows: 1 });
+    });
+
+    it('should reject unknown page sizes, orientations and invalid counts', () => {
+      expect(() => resolvePdfLayout({ pageSize: 'B5' })).toThrow('Unknown page size "B5"');
+      expect(() => resolvePdfLayout({ orientation: 'square' })).toThrow('Unknown orientation');
+      expect(() => resolvePdfLayout({ perPage: 49 })).toThrow('between 1 and 48');
+      expect(() => resolvePdfLayout({ perPage: '2.5' })).toThrow('between 1 and 48');
+    });
+  });
+
+  describe('generatePdfReport()', () => {
+    it('should paginate the contact sheet and add one board per set', () => {
+      const sets = {
+        groups: [
+          { name: 'Harbour', ranking: [{ rank: 1, compositeScore: 8.25, suggestedOrder: [2, 1], photos: [{ filename: 'p1.jpg', individualScore: 9 }, { filename: 'p2.jpg', individualScore: 8.9 }], setScores: { Coherence: { score: 8, weight: 50 } }, weakestLink: 'Photo 2' }] },
+          { name: 'Market', ranking: [{ rank: 1, compositeScore: 7, photos: [{ filename: 'p3.jpg' }] }, { rank: 2, compositeScore: 6, photos: [{ filename: 'p4.jpg' }] }] }
+        ]
+      };
+      const pdf = generatePdfReport(report(5), {
+        title: 'Harbour Lights',
+        perPage: 4,
+        sets,
+        texts: [{ photo: 'p2.jpg', title: 'Blue Hour (II)' }, { photo: 'p3.jpg', error: 'timeout' }],
+        maxSetsPerGroup: 1
+      });
+      const { pages, images, content } = inspect(pdf);
+
+      expect(pages).toBe(4); // 2 contact sheet pages + Harbour board + first Market board
+      expect(images).toBe(0);
+      expect(content).toContain('(Contact sheet 1/2)');
+      expect(content).toContain('(#1  9.0)');
+      expect(content).toContain('(Tier 1)');
+      expect(content).toContain('(Blue Hour \\(II\\))');
+      expect(content).toContain('(Harbour \xb7 Set #1 \xb7 composite 8.25)');
+      expect(content).toContain('(Theme 9 \xb7 Light 7)');
+      expect(content).toContain('(8/10)');
+      expect(content).toContain('(Weakest link: Photo 2)');
+      expect(content).not.toContain('Set #2');
+      // Suggested order puts p2 first
+      expect(content.indexOf('(1. p2.jpg)')).toBeGreaterThan(-1);
+      expect(content.indexOf('(2. p1.jpg)')).toBeGreaterThan(content.indexOf('(1. p2.jpg)'));
+    });
+  });
+
+  describe('loadPdfImages() / exportPdfReport()', () => {
+    it('should embed each photo once and write the PDF', async () => {
+      const photosDir = path.join(tempDir, 'photos');
+      fs.mkdirSync(photosDir);
+      await sharp({ create: { width: 300, height: 200, channels: 4, background: { r: 0, g: 0, b: 255, alpha: 1 } } })
+        .png().toFile(path.join(photosDir, 'p1.png'));
+      await sharp({ create: { width: 200, height: 300, channels: 3, background: { r: 255, g: 0, b: 0 } } })
+        .jpeg().toFile(path.join(photosDir, 'p2.jpg'));
+
+      const images = await loadPdfImages([path.join(photosDir, 'p1.png'), path.join(photosDir, 'missing.jpg')], { size: 150 });
+      expect([...images.keys()]).toEqual(['p1.png']);
+      expect(images.get('p1.png')).toMatchObject({ width: 150, height: 100 });
+      expect((await sharp(images.get('p1.png').data).metadata()).channels).toBe(3);
+
+      const sets = { ranking: [{ rank: 1, compositeScore: 8, photos: [{ filename: 'p1.jpg' }, { filename: 'p2.jpg' }] }] };
+      const written = await exportPdfReport(tempDir, report(2), {
+        basename: 'photo-analysis',
+        sets,
+        resolvePhoto: (photo) => path.join(photosDir, path.basename(photo))
+      });
+
+      expect(written).toBe(path.join(tempDir, 'photo-analysis.pdf'));
+      const { pages, images: embedded } = inspect(fs.readFileSync(written));
+      expect(pages).toBe(2);
+      expect(embedded).toBe(1); // p2.jpg, shared by the contact sheet and the board; p1.jpg does not exist
+    });
+  });
+});
@@ -0,0 +1,87 @@
+/**
+ * Tests for pdf-writer.js (minimal PDF writer for printable reports)
+ *
+ * Covers: toWinAnsi, measureText, fitText, wrapText, createPdfDocument
+ */
+
+import { describe, it, expect } from 'vitest';
+import { inflateSync } from 'zlib';
+import {
+  toWinAnsi,
+  measureText,
+  fitText,
+  wrapText,
+  createPdfDocument
+} from '../src/output/pdf-writer.js';
+
+// JPEG bytes are embedded as they are, so SOI/EOI markers are enough here
+const FAKE_JPEG = { data: Buffer.from([0xff, 0xd8, 0xff, 0xd9]), width: 2, height: 1 };
+
+describe('pdf-writer', () => {
+  describe('toWinAnsi()', () => {
+    it('should keep Latin-1, map typographic quotes and replace the rest', () => {
+      expect(toWinAnsi('Café “x” – 5€')).toBe('Café \x93x\x94 \x96 5\x80');
+      expect(toWinAnsi('a\tb\n東')).toBe('a b ?');
+    });
+  });
+
+  describe('measureText() / fitText() / wrapText()', () => {
+    it('should measure with Helvetica metrics', () => {
+      expect(measureText('Hi', 10)).toBeCloseTo(9.44);
+      expect(measureText('Hi', 10, { bold: true })).toBeCloseTo(10);
+      expect(measureText('', 10)).toBe(0);
+    });
+
+    it('should shorten and wrap text to a width', () => {
+      expect(fitText('short', 100, 10)).toBe('short');
+      const fitted = fitText('a rather long caption for a small cell', 60, 10);
+      expect(fitted.endsWith('…')).toBe(true);
+      expect(measureText(fitted, 10)).toBeLessThanOrEqual(60);
+
+      const lines = wrapText('one two three four five six seven', 50, 10);
+      expect(lines.length).toBeGreaterThan(1);
+      expect(lines.join(' ')).toBe('one two three four five six seven');
+      expect(lines.every(line => measureText(line, 10) <= 50)).toBe(true);
+
+      const cut = wrapText('one two three four five six seven', 50, 10, { maxLines: 2 });
+      expect(cut).toHaveLength(2);
+      expect(cut[1].endsWith('…')).toBe(true);
+    });
+  });
+
+  describe('createPdfDocument()', () => {
+    it('should write a PDF with a valid cross-reference table', () => {
+      const doc = createPdfDocument({ title: 'Contact (sheet)' });
+      const image = doc.addJpeg(FAKE_JPEG);
+      const first = doc.addPage(595.28, 841.89);
+      first.text('Hello (world) \\', 36, 50, { size: 12, bold: true });
+      first.rect(36, 60, 100, 10, { fill: [0, 0, 1] });
+      first.image(image, 36, 80, 200, 100);
+      doc.addPage(612, 792).line(0, 0, 10, 10);
+
+      const pdf = doc.toBuffer();
+      const text = pdf.toString('latin1');
+      expect(doc.pageCount).toBe(2);
+      expect(text.startsWith('%PDF-1.4')).toBe(true);
+      expect(text.trimEnd().endsWith('%%EOF')).toBe(true);
+      expect(text).toContain('/Title (Contact \\(sheet\\))');
+      expect(text).toContain('/Count 2');
+      expect(text).toContain('/Width 2 /Height 1 /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode');
+
+      // Every xref entry points at the start of its object
+      const startxref = Number(text.match(/startxref\n(\d+)/)[1]);
+      expect(text.slice(startxref, startxref + 4)).toBe('xref');
+      const offsets = [...text.slice(startxref).matchAll(/^(\d{10}) 00000 n $/gm)].map(m => Number(m[1]));
+      expect(offsets.length).toBe(10);
+      offsets.forEach((offset, i) => expect(text.slice(offset, offset + 10)).toMatch(new RegExp(`^${i + 1} 0 obj`)));
+
+      // Content stream of the first page: top-left coordinates flipped, text escaped
+      const streamStart = text.indexOf('stream\n', text.indexOf('/Filter /FlateDecode')) + 7;
+      const streamEnd = text.indexOf('\nendstream', streamStart);
+      const content = inflateSync(pdf.subarray(streamStart, streamEnd)).toString('latin1');
+      expect(content).toContain('/F2 12 Tf 36 791.89 Td (Hello \\(world\\) \\\\) Tj');
+      expect(content).toContain('36 771.89 100 10 re f');
+      expect(content).toContain('200 0 0 100 36 661.89 cm /Im0 Do');
+    });
+  });
+});
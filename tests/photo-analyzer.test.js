@@ -5,7 +5,9 @@
  * to avoid requiring a running Ollama instance.
  *
  * Covers: analyzePhoto, parseAnalysisResponse, analyzePhotoMultiStage,
- *         analyzePhotoWithTimeout, getDefaultCriteria, smartSelectAnalysisMode
+ *         analyzePhotoStructured, analyzePhotoSampled, analyzePhotoPanel,
+ *         analyzePhotoWithTimeout, getDefaultCriteria,
+ *         smartSelectAnalysisMode
  */
 
 import { describe, test, expect, vi, beforeEach, afterEach } from 'vitest';
@@ -84,10 +86,14 @@ vi.mock('../src/utils/api-client.js', () => ({
 const {
   analyzePhoto,
   analyzePhotoMultiStage,
+  analyzePhotoStructured,
+  analyzePhotoSampled,
+  analyzePhotoPanel,
   analyzePhotoWithTimeout,
   getDefaultCriteria,
   smartSelectAnalysisMode
 } = await import('../src/analysis/photo-analyzer.js');
+const { getModelName } = await import('../src/utils/api-client.js');
 
 
 // ============================================================
@@ -161,11 +167,11 @@ describe('analyzePhoto()', () => {
 
     const result = await analyzePhoto('/path/to/photo.jpg', sampleAnalysisPrompt);
 
-    expect(result.scores.individual['Theme Alignment']).toEqual({ score: 8, weight: 30 });
-    expect(result.scores.individual['Technical Quality']).toEqual({ score: 7, weight: 20 });
-    expect(result.scores.individual['Originality']).toEqual({ score: 9, weight: 25 });
-    expect(result.scores.individual['Emotional Impact']).toEqual({ score: 6, weight: 15 });
-    expect(result.scores.individual['Jury Fit']).toEqual({ score: 7, weight: 10 });
+    expect(result.scores.individual['Theme Alignment']).toEqual({ score: 8, weight: 30, parsePath: 'regex' });
+    expect(result.scores.individual['Technical Quality']).toEqual({ score: 7, weight: 20, parsePath: 'regex' });
+    expect(result.scores.individual['Originality']).toEqual({ score: 9, weight: 25, parsePath: 'regex' });
+    expect(result.scores.individual['Emotional Impact']).toEqual({ score: 6, weight: 15, parsePath: 'regex' });
+    expect(result.scores.individual['Jury Fit']).toEqual({ score: 7, weight: 10, parsePath: 'regex' });
   });
 
   test('should handle error gracefully and return error result', async () => {
@@ -293,8 +299,8 @@ describe('buildAnalysisPrompt with custom criteria (FR-B.1)', () => {
 
     const result = await analyzePhoto('/photo.jpg', customPrompt);
 
-    expect(result.scores.individual['Grain and Texture']).toEqual({ score: 9, weight: 30 });
-    expect(result.scores.individual['Analog Imperfection']).toEqual({ score: 7, weight: 25 });
+    expect(result.scores.individual['Grain and Texture']).toEqual({ score: 9, weight: 30, parsePath: 'regex' });
+    expect(result.scores.individual['Analog Imperfection']).toEqual({ score: 7, weight: 25, parsePath: 'regex' });
   });
 });
 
@@ -320,6 +326,20 @@ SCORE: Technical Quality: 7/10 - Sharp`;
     expect(result.scores.individual['Technical Quality'].score).toBe(7);
   });
 
+  test('should record the parse path of each score', async () => {
+    const text = `SCORE: Theme Alignment: 8/10 - Good
+Technical Quality: 6/10 - a little soft`;
+
+    mockChat.mockResolvedValueOnce({ message: { content: text } });
+
+    const result = await analyzePhoto('/photo.jpg', sampleAnalysisPrompt);
+
+    expect(result.scores.individual['Theme Alignment']).toMatchObject({ score: 8, parsePath: 'regex' });
+    expect(result.scores.individual['Technical Quality']).toEqual({ score: 6, weight: 20, parsePath: 'loose' });
+    expect(result.scores.individual['Originality']).toBeUndefined();
+    expect(result.scores.summary.parsePath).toBe('loose');
+  });
+
   test('should calculate weighted average correctly', async () => {
     // Theme Alignment: 8 * 30 = 240
     // Technical Quality: 7 * 20 = 140
@@ -413,6 +433,318 @@ Lighting = 7 out of 10`;
 // analyzePhotoMultiStage() Tests
 // ============================================================
 
+// ============================================================
+// analyzePhotoStructured() Tests
+// ============================================================
+
+describe('analyzePhotoStructured()', () => {
+  const validJson = {
+    overall_assessment: 'Strong urban wildlife image.',
+    scores: {
+      'Theme Alignment': { score: 8, justification: 'Fits the theme' },
+      'Technical Quality': { score: 7, justification: 'Sharp' },
+      'Originality': { score: 9, justification: 'Fresh angle' },
+      'Emotional Impact': { score: 6, justification: 'Moderate' },
+      'Jury Fit': { score: 7, justification: 'Matches jury' }
+    },
+    strengths: ['Natural light'],
+    improvements: ['Tighter framing'],
+    recommendation: 'Yes'
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should send a schema built from the criteria as format', async () => {
+    mockChat.mockResolvedValueOnce({ message: { content: JSON.stringify(validJson) } });
+
+    await analyzePhotoStructured('/photos/test.jpg', sampleAnalysisPrompt);
+
+    const callArgs = mockChat.mock.calls[0][0];
+    expect(callArgs.format.properties.scores.required).toEqual(
+      sampleAnalysisPrompt.criteria.map(c => c.name)
+    );
+    expect(callArgs.messages[0].content).toContain('Respond with JSON only');
+  });
+
+  test('should record json parse path for valid first response', async () => {
+    mockChat.mockResolvedValueOnce({ message: { content: JSON.stringify(validJson) } });
+
+    const result = await analyzePhotoStructured('/photos/test.jpg', sampleAnalysisPrompt);
+
+    expect(result.scores.individual['Originality']).toEqual({
+      score: 9, weight: 25, reasoning: 'Fresh angle', parsePath: 'json'
+    });
+    expect(result.scores.summary.weighted_average).toBe(7.7);
+    expect(result.scores.summary.recommendation).toBe('Yes');
+    expect(result.scores.strengths).toEqual(['Natural light']);
+  });
+
+  test('should record repaired parse path for trailing-comma JSON', async () => {
+    const broken = JSON.stringify(validJson).replace('"Tighter framing"]', '"Tighter framing",]');
+    mockChat.mockResolvedValueOnce({ message: { content: '```json\n' + broken + '\n```' } });
+
+    const result = await analyzePhotoStructured('/photos/test.jpg', sampleAnalysisPrompt);
+
+    expect(result.scores.individual['Jury Fit'].parsePath).toBe('repaired');
+    expect(mockChat).toHaveBeenCalledTimes(1);
+  });
+
+  test('should retry with validation errors and record retry parse path', async () => {
+    const invalid = { ...validJson, scores: { ...validJson.scores, 'Jury Fit': { score: 14, justification: 'x' } } };
+    mockChat
+      .mockResolvedValueOnce({ message: { content: JSON.stringify(invalid) } })
+      .mockResolvedValueOnce({ message: { content: JSON.stringify(validJson) } });
+
+    const result = await analyzePhotoStructured('/photos/test.jpg', sampleAnalysisPrompt);
+
+    expect(mockChat).toHaveBeenCalledTimes(2);
+    const retryMessages = mockChat.mock.calls[1][0].messages;
+    expect(retryMessages[retryMessages.length - 1].content).toContain('must be <= 10');
+    expect(result.scores.individual['Jury Fit']).toMatchObject({ score: 7, parsePath: 'retry' });
+  });
+
+  test('should fall back to regex parsing after retries are exhausted', async () => {
+    mockChat
+      .mockResolvedValueOnce({ message: { content: sampleAnalysisText } })
+      .mockResolvedValueOnce({ message: { content: sampleAnalysisText } });
+
+    const result = await analyzePhotoStructured('/photos/test.jpg', sampleAnalysisPrompt);
+
+    expect(result.scores.individual['Theme Alignment']).toEqual({ score: 8, weight: 30, parsePath: 'regex' });
+    expect(result.scores.summary.parsePath).toBe('regex');
+    expect(result.scores.summary.schemaErrors.length).toBeGreaterThan(0);
+  });
+
+  test('should record loose parse path when only name: N pairs are found', async () => {
+    mockChat.mockResolvedValueOnce({ message: { content: 'Composition: 7\nLighting: 8' } });
+
+    const result = await analyzePhotoStructured('/photos/test.jpg', sampleAnalysisPrompt, { maxRetries: 0 });
+
+    expect(result.scores.summary.parsePath).toBe('loose');
+    expect(Object.values(result.scores.individual).every(s => s.parsePath === 'loose')).toBe(true);
+  });
+
+  test('should be selected by analyzePhotoWithTimeout in structured mode', async () => {
+    mockChat.mockResolvedValueOnce({ message: { content: JSON.stringify(validJson) } });
+
+    const result = await analyzePhotoWithTimeout('/photos/test.jpg', sampleAnalysisPrompt, {
+      timeout: 5000,
+      analysisMode: 'structured'
+    });
+
+    expect(result.success).toBe(true);
+    expect(result.data.scores.summary.parsePath).toBe('json');
+  });
+
+  test('should return error result when the model call fails', async () => {
+    mockChat.mockRejectedValueOnce(new Error('Ollama connection failed'));
+
+    const result = await analyzePhotoStructured('/photos/test.jpg', sampleAnalysisPrompt);
+
+    expect(result.error).toBe('Ollama connection failed');
+    expect(result.scores).toBeNull();
+  });
+});
+
+// ============================================================
+// analyzePhotoSampled() Tests (self-consistency sampling)
+// ============================================================
+
+describe('analyzePhotoSampled()', () => {
+  const textWith = (theme, technical) => `SCORE: Theme Alignment: ${theme}/10
+SCORE: Technical Quality: ${technical}/10
+Final recommendation: Yes`;
+
+  const twoCriteriaPrompt = {
+    title: 'Test',
+    theme: 'Test',
+    criteria: [
+      { name: 'Theme Alignment', description: 'Theme', weight: 50 },
+      { name: 'Technical Quality', description: 'Tech', weight: 50 }
+    ]
+  };
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  test('should call the model once per sample with varied seed and temperature', async () => {
+    mockChat
+      .mockResolvedValueOnce({ message: { content: textWith(8, 6) } })
+      .mockResolvedValueOnce({ message: { content: textWith(7, 6) } })
+      .mockResolvedValueOnce({ message: { content: textWith(9, 6) } });
+
+    await analyzePhotoSampled('/photos/test.jpg', twoCriteriaPrompt, { samples: 3, timeout: 5000 });
+
+    expect(mockChat).toHaveBeenCalledTimes(3);
+    const seeds = mockChat.mock.calls.map(c => c[0].options.seed);
+    const temperatures = mockChat.mock.calls.map(c => c[0].options.temperature);
+    expect(new Set(seeds).size).toBe(3);
+    expect(temperatures).toEqual([0.3, 0.4, 0.5]);
+  });
+
+  test('should report mean, std and confidence interval per criterion', async () => {
+    mockChat
+      .mockResolvedValueOnce({ message: { content: textWith(8, 6) } })
+      .mockResolvedValueOnce({ message: { content: textWith(7, 6) } })
+      .mockResolvedValueOnce({ message: { content: textWith(9, 6) } });
+
+    const result = await analyzePhotoSampled('/photos/test.jpg', twoCriteriaPrompt, { samples: 3, timeout: 5000 });
+
+    expect(result.success).toBe(true);
+    const theme = result.data.scores.individual['Theme Alignment'];
+    expect(theme.score).toBe(8);
+    expect(theme.std).toBe(1);
+    expect(theme.ci_lower).toBeLessThan(8);
+    expect(theme.ci_upper).toBeGreaterThan(8);
+    expect(result.data.scores.individual['Technical Quality'].std).toBe(0);
+    expect(result.data.scores.samples).toHaveLength(3);
+    expect(result.data.scores.summary.samples).toBe(3);
+  });
+
+  test('should be used by analyzePhotoWithTimeout when samples > 1', async () => {
+    mockChat
+      .mockResolvedValueOnce({ message: { content: textWith(8, 6) } })
+      .mockResolvedValueOnce({ message: { content: textWith(8, 6) } });
+
+    const result = await analyzePhotoWithTimeout('/photos/test.jpg', twoCriteriaPrompt, { samples: 2, timeout: 5000 });
+
+    expect(mockChat).toHaveBeenCalledTimes(2);
+    expect(result.data.scores.summary.weighted_average_ci_lower).toBe(7);
+  });
+
+  test('should shift the per-stage temperatures for each multi-stage sample', async () => {
+    mockChat.mockImplementation(async ({ messages }) => {
+      const prompt = messages[0].content;
+      if (prompt.startsWith('Evaluate composition')) return { message: { content: 'SCORE: Composition: 8/10\nREASONING: Balanced' } };
+      if (prompt.startsWith('Evaluate quality')) return { message: { content: 'SCORE: Technical Quality: 7/10\nREASONING: Sharp' } };
+      return { message: { content: 'RECOMMENDATION: Yes\nCONFIDENCE: High' } };
+    });
+
+    const result = await analyzePhotoSampled('/photos/test.jpg', {
+      ...sampleAnalysisPrompt,
+      criteria: [{ name: 'Composition', weight: 50 }, { name: 'Technical Quality', weight: 50 }]
+    }, { samples: 2, timeout: 5000, analysisMode: 'multi' });
+
+    expect(result.success).toBe(true);
+    // Stage 1, two stage-2 criteria, stage 3; the second sample runs 0.1 warmer
+    const temperatures = mockChat.mock.calls.map(c => c[0].options.temperature);
+    expect(temperatures).toEqual([0.4, 0.2, 0.2, 0.3, 0.5, 0.3, 0.3, 0.4]);
+    mockChat.mockReset();
+  });
+
+  test('should keep successful samples when some fail', async () => {
+    mockChat
+      .mockRejectedValueOnce(new Error('model crashed'))
+      .mockResolvedValueOnce({ message: { content: textWith(8, 6) } });
+
+    const result = await analyzePhotoSampled('/photos/test.jpg', twoCriteriaPrompt, { samples: 2, timeout: 5000 });
+
+    expect(result.success).toBe(true);
+    expect(result.data.scores.summary.samples).toBe(1);
+    expect(result.data.scores.summary.samples_requested).toBe(2);
+  });
+
+  test('should throw when every sample fails', async () => {
+    mockChat
+      .mockRejectedValueOnce(new Error('model crashed'))
+      .mockRejectedValueOnce(new Error('model crashed'));
+
+    await expect(
+      analyzePhotoSampled('/photos/test.jpg', twoCriteriaPrompt, { samples: 2, timeout: 5000 })
+    ).rejects.toThrow('All 2 samples failed: model crashed');
+  });
+});
+
+// ============================================================
+// analyzePhotoPanel() Tests (multi-model consensus)
+// ============================================================
+
+describe('analyzePhotoPanel()', () => {
+  const panelPrompt = {
+    title: 'Test',
+    theme: 'Test',
+    criteria: [
+      { name: 'Theme Alignment', description: 'Theme', weight: 50 },
+      { name: 'Technical Quality', description: 'Tech', weight: 50 }
+    ]
+  };
+  const panel = {
+    models: [{ name: 'llava:13b', weight: 2 }, { name: 'moondream', weight: 1 }],
+    disagreementThreshold: 3
+  };
+  const reply = (theme, technical, recommendation = 'Yes') => ({
+    message: { content: `SCORE: Theme Alignment: ${theme}/10\nSCORE: Technical Quality: ${technical}/10\nFinal recommendation: ${recommendation}` }
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    getModelName.mockImplementation((override) => override || 'llava:7b');
+  });
+
+  afterEach(() => {
+    getModelName.mockImplementation(() => 'llava:7b');
+  });
+
+  test('should call each panel model and merge by weight', async () => {
+    mockChat
+      .mockResolvedValueOnce(reply(8, 7))
+      .mockResolvedValueOnce(reply(5, 7));
+
+    const result = await analyzePhotoPanel('/photos/test.jpg', panelPrompt, { panel, timeout: 5000 });
+
+    expect(mockChat.mock.calls.map(c => c[0].model)).toEqual(['llava:13b', 'moondream']);
+    expect(result.success).toBe(true);
+    expect(result.data.scores.individual['Theme Alignment']).toMatchObject({
+      score: 7,
+      panel: { 'llava:13b': 8, moondream: 5 },
+      range: 3
+    });
+    expect(result.data.scores.consensus.disagreement).toBe(true);
+    expect(result.data.scores.consensus.disagreement_criteria).toEqual(['Theme Alignment']);
+    expect(result.data.model).toBe('llava:13b+moondream');
+  });
+
+  test('should be used by analyzePhotoWithTimeout when a panel is given', async () => {
+    mockChat.mockResolvedValue(reply(7, 7));
+
+    const result = await analyzePhotoWithTimeout('/photos/test.jpg', panelPrompt, { panel, timeout: 5000 });
+
+    expect(mockChat).toHaveBeenCalledTimes(2);
+    expect(result.data.scores.consensus.agreement).toBe(1);
+  });
+
+  test('should keep going when one model fails', async () => {
+    mockChat
+      .mockRejectedValueOnce(new Error('model not found'))
+      .mockResolvedValueOnce(reply(6, 6));
+
+    const result = await analyzePhotoPanel('/photos/test.jpg', panelPrompt, { panel, timeout: 5000 });
+
+    expect(result.success).toBe(true);
+    expect(result.data.scores.consensus.failed_models).toEqual(['llava:13b']);
+    expect(result.data.scores.consensus.agreement).toBeNull();
+  });
+
+  test('should throw when every model fails', async () => {
+    mockChat.mockRejectedValue(new Error('model not found'));
+
+    await expect(
+      analyzePhotoPanel('/photos/test.jpg', panelPrompt, { panel, timeout: 5000 })
+    ).rejects.toThrow('All 2 panel models failed: llava:13b: model not found');
+  });
+
+  test('should pass options.model to the provider in single-model analysis', async () => {
+    mockChat.mockResolvedValueOnce(reply(7, 7));
+
+    await analyzePhoto('/photos/test.jpg', panelPrompt, { model: 'llava:34b' });
+
+    expect(mockChat.mock.calls[0][0].model).toBe('llava:34b');
+  });
+});
+
 describe('analyzePhotoMultiStage()', () => {
   beforeEach(() => {
     vi.clearAllMocks();
@@ -536,6 +868,33 @@ describe('analyzePhotoMultiStage()', () => {
     expect(result.scores.individual['Composition'].score).toBe(7);
     expect(result.scores.individual['Composition'].weight).toBe(20); // fallback weight
   });
+
+  test('should record the parse path for each criterion and the summary', async () => {
+    mockChat.mockResolvedValueOnce({ message: { content: 'Understanding' } });
+    mockChat.mockResolvedValueOnce({ message: { content: 'SCORE: Composition: 8/10\nREASONING: Good' } });
+    mockChat.mockResolvedValueOnce({ message: { content: 'SCORE: Technical Quality: 7/10\nREASONING: Sharp' } });
+    mockChat.mockResolvedValueOnce({ message: { content: 'RECOMMENDATION: Yes\nCONFIDENCE: High' } });
+    mockChat.mockResolvedValueOnce({ message: { content: 'Understanding' } });
+    mockChat.mockResolvedValueOnce({ message: { content: 'The score is 7/10 for this criterion.' } });
+    mockChat.mockResolvedValueOnce({ message: { content: 'SCORE: Technical Quality: 8/10\nREASONING: Good' } });
+    mockChat.mockResolvedValueOnce({ message: { content: 'RECOMMENDATION: Maybe\nCONFIDENCE: Low' } });
+
+    const prompt = {
+      ...sampleAnalysisPrompt,
+      criteria: [
+        { name: 'Composition', weight: 50, description: 'Visual arrangement' },
+        { name: 'Technical Quality', weight: 50, description: 'Sharpness' }
+      ]
+    };
+    const strict = await analyzePhotoMultiStage('/photo.jpg', prompt);
+    const fallback = await analyzePhotoMultiStage('/photo.jpg', prompt);
+
+    expect(strict.scores.individual['Composition'].parsePath).toBe('regex');
+    expect(strict.scores.summary.parsePath).toBe('regex');
+    expect(fallback.scores.individual['Composition'].parsePath).toBe('loose');
+    expect(fallback.scores.individual['Technical Quality'].parsePath).toBe('regex');
+    expect(fallback.scores.summary.parsePath).toBe('loose');
+  });
 });
 
 
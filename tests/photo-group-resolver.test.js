@@ -30,6 +30,7 @@ import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
 import { join } from 'path';
 import { tmpdir } from 'os';
 import { resolvePhotoGroups } from '../src/processing/photo-group-resolver.js';
+import { distanceKm } from '../src/utils/photo-metadata.js';
 
 describe('Photo Group Resolver - Unit Tests', () => {
   let testDir;
@@ -348,4 +349,100 @@ describe('Photo Group Resolver - Unit Tests', () => {
       expect(result.error.toLowerCase()).toContain('pattern');
     });
   });
+
+  // ============================================
+  // Metadata selectors
+  // ============================================
+
+  describe('Metadata selectors', () => {
+    const photos = [
+      { filename: 'a.jpg', score: 8, photo_metadata: { camera: 'FUJIFILM X100V', captured_at: '2025-10-04T18:30:00', gps: { latitude: 51.9225, longitude: 4.4792 } } },
+      { filename: 'b.jpg', score: 7, photo_metadata: { camera: 'Canon EOS R5', captured_at: '2025-11-12T09:00:00', gps: { latitude: 52.3676, longitude: 4.9041 } } },
+      { filename: 'c.jpg', score: 6 },
+    ];
+
+    it('should group by capture date range, camera and location', () => {
+      const result = resolvePhotoGroups([
+        { name: 'October', dateRange: { from: '2025-10-01', to: '2025-10-31' } },
+        { name: 'Canon', camera: 'canon' },
+        { name: 'Rotterdam', location: { latitude: 51.92, longitude: 4.48, radiusKm: 10 } },
+      ], photos, photosDir);
+
+      expect(result.success).toBe(true);
+      expect(result.groups.get('October').map(p => p.filename)).toEqual(['a.jpg']);
+      expect(result.groups.get('Canon').map(p => p.filename)).toEqual(['b.jpg']);
+      expect(result.groups.get('Rotterdam').map(p => p.filename)).toEqual(['a.jpg']);
+      expect(result.warnings[0]).toContain('c.jpg');
+    });
+
+    it('should require every selector of a group to match', () => {
+      createTestPhotos('a.jpg', 'b.jpg', 'c.jpg');
+      const result = resolvePhotoGroups([
+        { name: 'Fuji from glob', pattern: '*.jpg', camera: 'X100V' },
+      ], photos, photosDir);
+
+      expect(result.groups.get('Fuji from glob').map(p => p.filename)).toEqual(['a.jpg']);
+    });
+
+    it('should fail when a metadata group matches nothing', () => {
+      const result = resolvePhotoGroups([
+        { name: 'Leica', camera: 'Leica' },
+      ], photos, photosDir);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('camera "Leica" matched 0 photos');
+    });
+
+    it('should measure great-circle distances', () => {
+      // Rotterdam to Amsterdam is roughly 57km
+      expect(distanceKm({ latitude: 51.9225, longitude: 4.4792 }, { latitude: 52.3676, longitude: 4.9041 }))
+        .toBeCloseTo(57.7, 0);
+    });
+  });
+  describe('Explicit file lists', () => {
+    const photos = [
+      { filename: 'a.jpg', score: 8 },
+      { filename: 'b.jpg', score: 7 },
+      { filename: 'c.jpg', score: 6 },
+    ];
+
+    it('should group the listed files', () => {
+      const result = resolvePhotoGroups([
+        { name: 'Series 1', files: ['a.jpg', 'b.jpg'] },
+        { name: 'Series 2', files: ['c.jpg'] },
+      ], photos, photosDir);
+
+      expect(result.success).toBe(true);
+      expect(result.groups.get('Series 1').map(p => p.filename)).toEqual(['a.jpg', 'b.jpg']);
+      expect(result.groups.get('Series 2').map(p => p.filename)).toEqual(['c.jpg']);
+      expect(result.warnings).toHaveLength(0);
+    });
+
+    it('should intersect a file list with a pattern', () => {
+      createTestPhotos('a.jpg', 'b.jpg', 'c.jpg');
+      const result = resolvePhotoGroups([
+        { name: 'Listed', pattern: '[ab].jpg', files: ['b.jpg', 'c.jpg'] },
+      ], photos, photosDir);
+
+      expect(result.groups.get('Listed').map(p => p.filename)).toEqual(['b.jpg']);
+    });
+
+    it('should warn about listed files that were not analyzed', () => {
+      const result = resolvePhotoGroups([
+        { name: 'Series 1', files: ['a.jpg', 'b.jpg', 'c.jpg', 'gone.jpg'] },
+      ], photos, photosDir);
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toEqual(['Group "Series 1": 1 listed file(s) not analyzed: gone.jpg']);
+    });
+
+    it('should fail when none of the listed files were analyzed', () => {
+      const result = resolvePhotoGroups([
+        { name: 'Gone', files: ['gone.jpg'] },
+      ], photos, photosDir);
+
+      expect(result.success).toBe(false);
+      expect(result.error).toContain('files [gone.jpg] matched 0 photos');
+    });
+  });
 });
@@ -0,0 +1,213 @@
+/**
+ * Tests for photo-metadata.js (EXIF/IPTC/XMP capture metadata)
+ *
+ * Covers: resolvePhotoMetadataConfig, parseIptc, parseXmp, formatShutterSpeed,
+ * normaliseMetadata, extractPhotoMetadata, extractPhotoMetadataSafe,
+ * formatMetadataForPrompt
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  resolvePhotoMetadataConfig,
+  parseIptc,
+  parseXmp,
+  formatShutterSpeed,
+  normaliseMetadata,
+  extractPhotoMetadata,
+  extractPhotoMetadataSafe,
+  formatMetadataForPrompt
+} from '../src/utils/photo-metadata.js';
+
+function segment(marker, payload) {
+  const header = Buffer.from([0xff, marker, 0, 0]);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+}
+
+function iimRecord(dataset, value) {
+  const data = Buffer.from(value);
+  const header = Buffer.from([0x1c, 2, dataset, 0, 0]);
+  header.writeUInt16BE(data.length, 3);
+  return Buffer.concat([header, data]);
+}
+
+function photoshopIptc(records) {
+  const resource = Buffer.concat([Buffer.from('8BIM'), Buffer.from([0x04, 0x04, 0, 0]), Buffer.alloc(4), records]);
+  resource.writeUInt32BE(records.length, 8);
+  return Buffer.concat([Buffer.from('Photoshop 3.0\0', 'latin1'), resource]);
+}
+
+const xmpPacket = `<x:xmpmeta xmlns:x="adobe:ns:meta/"><rdf:RDF xmlns:rdf="http://www.w3.org/1999/02/22-rdf-syntax-ns#">
+<rdf:Description xmlns:dc="http://purl.org/dc/elements/1.1/">
+<dc:title><rdf:Alt><rdf:li xml:lang="x-default">Cranes &amp; water</rdf:li></rdf:Alt></dc:title>
+<dc:subject><rdf:Bag><rdf:li>rotterdam</rdf:li><rdf:li>harbour</rdf:li></rdf:Bag></dc:subject>
+</rdf:Description></rdf:RDF></x:xmpmeta>`;
+
+describe('photo-metadata', () => {
+  describe('resolvePhotoMetadataConfig()', () => {
+    it('should extract metadata but keep it out of prompts by default', () => {
+      expect(resolvePhotoMetadataConfig(null)).toEqual({ enabled: true, includeInPrompt: false });
+      expect(resolvePhotoMetadataConfig({ photoMetadata: { includeInPrompt: true } }))
+        .toEqual({ enabled: true, includeInPrompt: true });
+    });
+  });
+
+  describe('parseIptc()', () => {
+    const records = Buffer.concat([
+      iimRecord(5, 'Harbour at dusk'),
+      iimRecord(25, 'harbour'),
+      iimRecord(25, 'dusk'),
+      iimRecord(120, 'Cranes over the Maas')
+    ]);
+
+    it('should read title, caption and keywords from a Photoshop resource block', () => {
+      expect(parseIptc(photoshopIptc(records))).toEqual({
+        title: 'Harbour at dusk',
+        caption: 'Cranes over the Maas',
+        keywords: ['harbour', 'dusk']
+      });
+    });
+
+    it('should read bare IIM records and tolerate missing data', () => {
+      expect(parseIptc(records).keywords).toEqual(['harbour', 'dusk']);
+      expect(parseIptc(undefined)).toEqual({ keywords: [] });
+    });
+  });
+
+  describe('parseXmp()', () => {
+    it('should read Dublin Core title and subjects', () => {
+      expect(parseXmp(Buffer.from(xmpPacket))).toEqual({
+        title: 'Cranes & water',
+        keywords: ['rotterdam', 'harbour']
+      });
+      expect(parseXmp(null)).toEqual({ keywords: [] });
+    });
+  });
+
+  describe('formatShutterSpeed()', () => {
+    it('should format fractions and long exposures', () => {
+      expect(formatShutterSpeed(1 / 250)).toBe('1/250s');
+      expect(formatShutterSpeed(0.004)).toBe('1/250s');
+      expect(formatShutterSpeed(2)).toBe('2s');
+      expect(formatShutterSpeed(0.3)).toBe('0.3s');
+    });
+  });
+
+  describe('normaliseMetadata()', () => {
+    it('should merge EXIF, IPTC and XMP into the stored shape', () => {
+      const metadata = normaliseMetadata(
+        {
+          make: 'Canon',
+          model: 'Canon EOS R5',
+          lensModel: 'RF24-70mm F2.8 L IS USM',
+          focalLength: 35,
+          fNumber: 2.8,
+          exposureTime: 0.01,
+          iso: 800,
+          dateTimeOriginal: '2025:10:04 18:30:00',
+          gps: { latitude: 51.9225123456, longitude: 4.4791765432 }
+        },
+        { title: 'IPTC title', keywords: ['harbour'] },
+        { title: 'XMP title', keywords: ['harbour', 'cranes'] }
+      );
+
+      expect(metadata).toEqual({
+        camera: 'Canon EOS R5',
+        lens: 'RF24-70mm F2.8 L IS USM',
+        focal_length: 35,
+        aperture: 2.8,
+        exposure_time: 0.01,
+        shutter_speed: '1/100s',
+        iso: 800,
+        captured_at: '2025-10-04T18:30:00',
+        gps: { latitude: 51.922512, longitude: 4.479177 },
+        title: 'XMP title',
+        keywords: ['harbour', 'cranes']
+      });
+    });
+
+    it('should prefix the make only when the model lacks it', () => {
+      expect(normaliseMetadata({ make: 'FUJIFILM', model: 'X100V' }).camera).toBe('FUJIFILM X100V');
+      expect(normaliseMetadata({ make: 'NIKON CORPORATION', model: 'NIKON Z 6' }).camera).toBe('NIKON Z 6');
+      expect(normaliseMetadata({})).toEqual({});
+    });
+  });
+
+  describe('extractPhotoMetadata()', () => {
+    let testDir;
+    let taggedPath;
+    let plainPath;
+
+    beforeAll(async () => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metadata-test-'));
+      const tagged = await sharp({ create: { width: 64, height: 48, channels: 3, background: { r: 20, g: 40, b: 60 } } })
+        .withExif({
+          IFD0: { Make: 'FUJIFILM', Model: 'X100V' },
+          IFD2: { ExposureTime: '1/250', FNumber: '56/10', ISOSpeedRatings: '400', FocalLength: '23/1', DateTimeOriginal: '2025:10:04 18:30:00' },
+          IFD3: { GPSLatitudeRef: 'N', GPSLatitude: '51/1 55/1 12/1', GPSLongitudeRef: 'W', GPSLongitude: '4/1 28/1 48/1' }
+        })
+        .jpeg()
+        .toBuffer();
+      const app13 = segment(0xed, photoshopIptc(Buffer.concat([iimRecord(5, 'Harbour at dusk'), iimRecord(25, 'dusk')])));
+      const app1 = segment(0xe1, Buffer.concat([Buffer.from('http://ns.adobe.com/xap/1.0/\0', 'latin1'), Buffer.from(xmpPacket)]));
+
+      taggedPath = path.join(testDir, 'tagged.jpg');
+      plainPath = path.join(testDir, 'plain.png');
+      fs.writeFileSync(taggedPath, Buffer.concat([tagged.subarray(0, 2), app13, app1, tagged.subarray(2)]));
+      await sharp({ create: { width: 32, height: 32, channels: 3, background: { r: 0, g: 0, b: 0 } } }).png().toFile(plainPath);
+    });
+
+    afterAll(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should read EXIF, GPS, IPTC and XMP from a JPEG', async () => {
+      const metadata = await extractPhotoMetadata(taggedPath);
+
+      expect(metadata).toMatchObject({
+        camera: 'FUJIFILM X100V',
+        focal_length: 23,
+        aperture: 5.6,
+        shutter_speed: '1/250s',
+        iso: 400,
+        captured_at: '2025-10-04T18:30:00',
+        gps: { latitude: 51.92, longitude: -4.48 },
+        title: 'Cranes & water',
+        keywords: ['dusk', 'rotterdam', 'harbour']
+      });
+    });
+
+    it('should return an empty object without metadata and null for unreadable files', async () => {
+      expect(await extractPhotoMetadata(plainPath)).toEqual({});
+      const broken = path.join(testDir, 'broken.jpg');
+      fs.writeFileSync(broken, 'not an image');
+      expect(await extractPhotoMetadataSafe(broken)).toBeNull();
+    });
+  });
+
+  describe('formatMetadataForPrompt()', () => {
+    it('should summarise settings, date, title and keywords without GPS', () => {
+      const summary = formatMetadataForPrompt({
+        camera: 'FUJIFILM X100V',
+        focal_length: 23,
+        aperture: 5.6,
+        shutter_speed: '1/250s',
+        iso: 400,
+        captured_at: '2025-10-04T18:30:00',
+        gps: { latitude: 51.92, longitude: 4.48 },
+        title: 'Harbour at dusk',
+        keywords: ['harbour', 'dusk']
+      });
+
+      expect(summary).toBe(
+        'FUJIFILM X100V, 23mm, f/5.6, 1/250s, ISO 400, captured 2025-10-04 18:30, title "Harbour at dusk", keywords: harbour, dusk'
+      );
+      expect(formatMetadataForPrompt({})).toBeNull();
+      expect(formatMetadataForPrompt(null)).toBeNull();
+    });
+  });
+});
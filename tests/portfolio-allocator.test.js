@@ -0,0 +1,169 @@
+/**
+ * Tests for portfolio-allocator.js (allocate command)
+ *
+ * Covers: loadAllocationCall, assignPhotos, allocatePortfolio
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { loadAllocationCall, assignPhotos, allocatePortfolio, DEFAULT_MAX_PHOTOS } from '../src/processing/portfolio-allocator.js';
+
+const photos = (entries) => Object.entries(entries).map(([filename, score]) => ({ filename, score }));
+const names = (call) => call.selection.map(p => p.filename);
+
+describe('portfolio-allocator', () => {
+  describe('loadAllocationCall()', () => {
+    let projectDir;
+
+    beforeEach(() => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'allocate-test-'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    const writeProject = (config, results) => {
+      fs.writeFileSync(path.join(projectDir, 'open-call.json'), JSON.stringify(config));
+      if (results) {
+        fs.mkdirSync(path.join(projectDir, 'results', 'latest'), { recursive: true });
+        fs.writeFileSync(path.join(projectDir, 'results', 'latest', 'batch-results.json'), JSON.stringify({ results }));
+      }
+    };
+
+    it('should read rules and the latest scores', () => {
+      writeProject(
+        { title: 'Harbour Lights', submissionRules: { maxPhotos: 3, minPhotos: 2, exclusive: true, deadline: '2026-12-01' } },
+        [
+          { success: true, photo: '/x/photos/a.jpg', scores: { summary: { weighted_average: 7.5 } } },
+          { success: true, photo: '/x/photos/b.jpg', scores: { summary: { average: 8.1 } } },
+          { success: false, photo: '/x/photos/c.jpg' }
+        ]
+      );
+
+      const result = loadAllocationCall(projectDir);
+
+      expect(result.success).toBe(true);
+      expect(result.data).toMatchObject({
+        name: path.basename(projectDir),
+        title: 'Harbour Lights',
+        maxPhotos: 3,
+        minPhotos: 2,
+        exclusive: true,
+        deadline: '2026-12-01',
+        photos: [{ filename: 'b.jpg', score: 8.1 }, { filename: 'a.jpg', score: 7.5 }],
+        warnings: []
+      });
+    });
+
+    it('should assume a default maxPhotos with a warning', () => {
+      writeProject({ title: 'Open' }, []);
+      const result = loadAllocationCall(projectDir);
+      expect(result.data.maxPhotos).toBe(DEFAULT_MAX_PHOTOS);
+      expect(result.data.exclusive).toBe(false);
+      expect(result.data.warnings[0]).toContain('maxPhotos not set');
+    });
+
+    it('should fail without config or results', () => {
+      expect(loadAllocationCall(projectDir).error).toContain('open-call.json not found');
+      writeProject({ title: 'Open' });
+      expect(loadAllocationCall(projectDir).error).toContain('No batch-results.json found');
+    });
+  });
+
+  describe('assignPhotos()', () => {
+    it('should find the best assignment where greedy picking fails', () => {
+      const assignment = assignPhotos(['a.jpg', 'b.jpg'], [
+        { capacity: 1, values: new Map([['a.jpg', 9], ['b.jpg', 8]]) },
+        { capacity: 1, values: new Map([['a.jpg', 8.5]]) }
+      ]);
+      expect(assignment).toEqual(new Map([['a.jpg', 1], ['b.jpg', 0]]));
+    });
+
+    it('should leave photos unassigned when capacity runs out', () => {
+      const assignment = assignPhotos(['a.jpg', 'b.jpg', 'c.jpg'], [
+        { capacity: 2, values: new Map([['a.jpg', 3], ['b.jpg', 5], ['c.jpg', 4]]) }
+      ]);
+      expect(assignment).toEqual(new Map([['b.jpg', 0], ['c.jpg', 0]]));
+    });
+  });
+
+  describe('allocatePortfolio()', () => {
+    it('should give every call its top picks when nothing is exclusive', () => {
+      const result = allocatePortfolio([
+        { name: 'a', maxPhotos: 2, photos: photos({ 'p1.jpg': 9, 'p2.jpg': 8, 'p3.jpg': 7 }) },
+        { name: 'b', maxPhotos: 2, photos: photos({ 'p1.jpg': 6, 'p3.jpg': 8 }) }
+      ]);
+
+      expect(names(result.calls[0])).toEqual(['p1.jpg', 'p2.jpg']);
+      expect(names(result.calls[1])).toEqual(['p3.jpg', 'p1.jpg']);
+      expect(result.givenUp).toBe(0);
+      expect(result.sharedPhotos).toEqual([{ filename: 'p1.jpg', calls: ['a', 'b'] }]);
+    });
+
+    it('should not double-book photos claimed by an exclusive call', () => {
+      const result = allocatePortfolio([
+        { name: 'excl', maxPhotos: 2, exclusive: true, photos: photos({ 'p1.jpg': 9, 'p2.jpg': 8.5, 'p3.jpg': 8 }) },
+        { name: 'open-1', maxPhotos: 2, photos: photos({ 'p1.jpg': 9, 'p2.jpg': 6, 'p4.jpg': 5 }) },
+        { name: 'open-2', maxPhotos: 2, photos: photos({ 'p1.jpg': 9, 'p3.jpg': 4, 'p5.jpg': 3 }) }
+      ]);
+
+      // p1 is worth 18 across the open calls but only 9 to the exclusive call
+      const [excl, open1, open2] = result.calls;
+      expect(names(excl)).toEqual(['p2.jpg', 'p3.jpg']);
+      expect(names(open1)).toEqual(['p1.jpg', 'p4.jpg']);
+      expect(names(open2)).toEqual(['p1.jpg', 'p5.jpg']);
+      expect(excl.givenUp).toBe(1);
+      expect(excl.displaced).toEqual([{ filename: 'p1.jpg', score: 9, claimedBy: null }]);
+      expect(open1.displaced).toEqual([{ filename: 'p2.jpg', score: 6, claimedBy: 'excl' }]);
+      expect(result.totalScore).toBe(42.5);
+      expect(result.unconstrainedTotal).toBe(45.5);
+      expect(result.givenUp).toBe(3);
+    });
+
+    it('should split contested photos between exclusive calls to maximise the total', () => {
+      const result = allocatePortfolio([
+        { name: 'x', maxPhotos: 1, exclusive: true, photos: photos({ 'p1.jpg': 9, 'p2.jpg': 8.9 }) },
+        { name: 'y', maxPhotos: 1, exclusive: true, photos: photos({ 'p1.jpg': 9, 'p2.jpg': 2 }) }
+      ]);
+
+      expect(names(result.calls[0])).toEqual(['p2.jpg']);
+      expect(names(result.calls[1])).toEqual(['p1.jpg']);
+      expect(result.calls[0].displaced[0].claimedBy).toBe('y');
+      expect(result.totalScore).toBe(17.9);
+    });
+
+    it('should match brute force on a small mixed portfolio', () => {
+      const pool = ['a', 'b', 'c', 'd', 'e', 'f'].map(n => `${n}.jpg`);
+      const scores = (seed) => Object.fromEntries(pool.map((f, i) => [f, ((i + 1) * seed * 7) % 10]));
+      const calls = [
+        { name: 'x', maxPhotos: 2, exclusive: true, photos: photos(scores(3)) },
+        { name: 'y', maxPhotos: 2, exclusive: true, photos: photos(scores(5)) },
+        { name: 'z', maxPhotos: 3, photos: photos(scores(9)) },
+        { name: 'w', maxPhotos: 2, photos: photos(scores(11)) }
+      ];
+
+      // Every photo goes to x, y or stays shared; z and w take their best shared photos
+      let best = 0;
+      for (let code = 0; code < 3 ** pool.length; code++) {
+        const owner = pool.map((_, i) => Math.floor(code / 3 ** i) % 3);
+        const take = (call, ok) => call.photos.filter(p => ok(owner[pool.indexOf(p.filename)]))
+          .map(p => p.score).sort((a, b) => b - a).slice(0, call.maxPhotos).reduce((s, v) => s + v, 0);
+        const total = take(calls[0], o => o === 0) + take(calls[1], o => o === 1) +
+          take(calls[2], o => o === 2) + take(calls[3], o => o === 2);
+        best = Math.max(best, total);
+      }
+
+      expect(allocatePortfolio(calls).totalScore).toBe(best);
+    });
+
+    it('should report calls that cannot reach minPhotos', () => {
+      const result = allocatePortfolio([
+        { name: 'x', maxPhotos: 2, minPhotos: 2, exclusive: true, photos: photos({ 'p1.jpg': 9 }) }
+      ]);
+      expect(result.calls[0].shortfall).toBe('1 photos available, call requires at least 2');
+    });
+  });
+});
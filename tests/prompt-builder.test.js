@@ -245,6 +245,25 @@ describe('Prompt Builder - Multi-Stage Prompts', () => {
     expect(result.stage2.length).toBe(0);
     expect(result.metadata.criteriaCount).toBe(0);
   });
+
+  it('should add per-photo capture details to stage 1 only', () => {
+    const analysisPrompt = {
+      title: 'Contest',
+      theme: 'Photo',
+      captureContext: 'FUJIFILM X100V, 23mm, f/5.6, 1/250s, ISO 400',
+      criteria: [
+        { name: 'Test', description: 'Test criterion', weight: 100 }
+      ]
+    };
+
+    const result = buildMultiStagePrompts(analysisPrompt);
+
+    expect(result.stage1.prompt).toContain('CAPTURE DETAILS');
+    expect(result.stage1.prompt).toContain('FUJIFILM X100V, 23mm');
+    expect(result.stage2[0].prompt).not.toContain('CAPTURE DETAILS');
+    expect(buildMultiStagePrompts({ ...analysisPrompt, captureContext: undefined }).stage1.prompt)
+      .not.toContain('CAPTURE DETAILS');
+  });
 });
 
 describe('Prompt Builder - Stage Integration', () => {
@@ -0,0 +1,264 @@
+/**
+ * Tests for raw-preview.js (embedded JPEG preview extraction from RAW files)
+ *
+ * Covers: isRawFile, extractRawPreview (TIFF-based, big-endian, ORF, RAF),
+ * loadRawPreview, loadImageSource, and RAW handling in validatePhoto,
+ * loadImageForModel and generateThumbnail
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  isRawFile,
+  extractRawPreview,
+  loadRawPreview,
+  loadImageSource
+} from '../src/utils/raw-preview.js';
+import { validatePhoto } from '../src/processing/photo-validator.js';
+import { loadImageForModel } from '../src/utils/image-preprocessor.js';
+import { generateThumbnail } from '../src/web/thumbnails.js';
+
+const ASCII = 2;
+const SHORT = 3;
+const LONG = 4;
+const RATIONAL = 5;
+
+/**
+ * Build a minimal TIFF container. Each IFD is a list of [tag, type, value]
+ * where value is a number, string, [num, den] rational, { blob } (stored
+ * out of line, entry holds its offset) or { ifd } (offset of another IFD).
+ */
+function buildTiff(ifds, { little = true, magic = 42 } = {}) {
+  const ifdOffsets = [];
+  let size = 8;
+  for (const entries of ifds) {
+    ifdOffsets.push(size);
+    size += 2 + entries.length * 12 + 4;
+  }
+
+  const head = Buffer.alloc(size);
+  const extra = [];
+  let extraPos = size;
+  const w16 = (buf, v, o) => (little ? buf.writeUInt16LE(v, o) : buf.writeUInt16BE(v, o));
+  const w32 = (buf, v, o) => (little ? buf.writeUInt32LE(v, o) : buf.writeUInt32BE(v, o));
+  const store = (buf) => {
+    const at = extraPos;
+    extra.push(buf);
+    extraPos += buf.length;
+    return at;
+  };
+
+  head.write(little ? 'II' : 'MM', 0, 'latin1');
+  w16(head, magic, 2);
+  w32(head, ifdOffsets[0], 4);
+
+  ifds.forEach((entries, i) => {
+    let o = ifdOffsets[i];
+    w16(head, entries.length, o);
+    o += 2;
+    for (const [tag, type, value] of entries) {
+      w16(head, tag, o);
+      w16(head, type, o + 2);
+      w32(head, 1, o + 4);
+      if (type === ASCII) {
+        const text = Buffer.from(`${value}\0`, 'latin1');
+        w32(head, text.length, o + 4);
+        if (text.length <= 4) text.copy(head, o + 8);
+        else w32(head, store(text), o + 8);
+      } else if (type === RATIONAL) {
+        const rational = Buffer.alloc(8);
+        w32(rational, value[0], 0);
+        w32(rational, value[1], 4);
+        w32(head, store(rational), o + 8);
+      } else if (value.blob) {
+        w32(head, store(value.blob), o + 8);
+      } else if (value.ifd !== undefined) {
+        w32(head, ifdOffsets[value.ifd], o + 8);
+      } else if (type === SHORT) {
+        w16(head, value, o + 8);
+      } else {
+        w32(head, value, o + 8);
+      }
+      o += 12;
+    }
+    w32(head, 0, o);
+  });
+
+  return Buffer.concat([head, ...extra]);
+}
+
+// Lossless-JPEG sensor data (SOF3), which sharp cannot decode and must be skipped
+const losslessStrip = Buffer.concat([
+  Buffer.from([0xff, 0xd8, 0xff, 0xc3, 0x00, 0x08, 0, 0, 0, 0, 0, 0]),
+  Buffer.alloc(200000),
+  Buffer.from([0xff, 0xd9])
+]);
+
+async function jpeg(width, height, colour = { r: 200, g: 80, b: 40 }) {
+  return sharp({ create: { width, height, channels: 3, background: colour } }).jpeg().toBuffer();
+}
+
+async function cr2Like({ orientation = 1, little = true, magic = 42 } = {}) {
+  const thumb = await jpeg(160, 120);
+  const preview = await jpeg(1200, 800);
+  return buildTiff([
+    [
+      [0x010f, ASCII, 'Canon'],
+      [0x0110, ASCII, 'Canon EOS R5'],
+      [0x0112, SHORT, orientation],
+      [0x0201, LONG, { blob: thumb }],
+      [0x0202, LONG, thumb.length],
+      [0x014a, LONG, { ifd: 1 }],
+      [0x8769, LONG, { ifd: 2 }]
+    ],
+    [
+      [0x0103, SHORT, 6],
+      [0x0201, LONG, { blob: preview }],
+      [0x0202, LONG, preview.length],
+      [0x014a, LONG, { ifd: 3 }]
+    ],
+    [
+      [0x829a, RATIONAL, [1, 250]],
+      [0x829d, RATIONAL, [56, 10]],
+      [0x8827, SHORT, 400],
+      [0x920a, RATIONAL, [85, 1]],
+      [0x9003, ASCII, '2026:05:01 18:30:00'],
+      [0xa434, ASCII, 'RF85mm F1.2 L USM']
+    ],
+    [
+      [0x0103, SHORT, 7],
+      [0x0111, LONG, { blob: losslessStrip }],
+      [0x0117, LONG, losslessStrip.length]
+    ]
+  ], { little, magic });
+}
+
+async function rafLike() {
+  const preview = await sharp({ create: { width: 900, height: 600, channels: 3, background: { r: 10, g: 90, b: 160 } } })
+    .withExif({ IFD0: { Make: 'FUJIFILM', Model: 'X-T5' } })
+    .jpeg()
+    .toBuffer();
+  const header = Buffer.alloc(128);
+  header.write('FUJIFILMCCD-RAW 0201', 0, 'latin1');
+  header.writeUInt32BE(header.length, 84);
+  header.writeUInt32BE(preview.length, 88);
+  return Buffer.concat([header, preview]);
+}
+
+describe('raw-preview', () => {
+  describe('isRawFile()', () => {
+    it('should recognise RAW extensions case-insensitively', () => {
+      expect(isRawFile('/a/IMG_0001.CR2')).toBe(true);
+      expect(isRawFile('dsc.nef')).toBe(true);
+      expect(isRawFile('photo.raf')).toBe(true);
+      expect(isRawFile('photo.jpg')).toBe(false);
+      expect(isRawFile('photo.tiff')).toBe(false);
+    });
+  });
+
+  describe('extractRawPreview()', () => {
+    it('should pick the largest decodable preview and read EXIF', async () => {
+      const result = extractRawPreview(await cr2Like());
+      const meta = await sharp(result.preview).metadata();
+
+      expect(meta.format).toBe('jpeg');
+      expect(meta.width).toBe(1200);
+      expect(result.exif).toMatchObject({
+        make: 'Canon',
+        model: 'Canon EOS R5',
+        orientation: 1,
+        exposureTime: 0.004,
+        fNumber: 5.6,
+        iso: 400,
+        focalLength: 85,
+        dateTimeOriginal: '2026:05:01 18:30:00',
+        lensModel: 'RF85mm F1.2 L USM'
+      });
+    });
+
+    it('should read big-endian (NEF) and ORF containers', async () => {
+      const nef = extractRawPreview(await cr2Like({ little: false }));
+      expect((await sharp(nef.preview).metadata()).width).toBe(1200);
+      expect(nef.exif.iso).toBe(400);
+
+      const orf = extractRawPreview(await cr2Like({ magic: 0x4f52 }));
+      expect((await sharp(orf.preview).metadata()).width).toBe(1200);
+    });
+
+    it('should read the RAF preview and its EXIF', async () => {
+      const result = extractRawPreview(await rafLike());
+      expect((await sharp(result.preview).metadata()).width).toBe(900);
+      expect(result.exif).toMatchObject({ make: 'FUJIFILM', model: 'X-T5' });
+    });
+
+    it('should return null without a decodable preview', () => {
+      expect(extractRawPreview(Buffer.from('not a raw file at all'))).toBeNull();
+      const sensorOnly = buildTiff([[
+        [0x0103, SHORT, 7],
+        [0x0111, LONG, { blob: losslessStrip }],
+        [0x0117, LONG, losslessStrip.length]
+      ]]);
+      expect(extractRawPreview(sensorOnly)).toBeNull();
+    });
+  });
+
+  describe('with RAW files on disk', () => {
+    let testDir;
+    let cr2Path;
+    let rotatedPath;
+    let brokenPath;
+
+    beforeAll(async () => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'raw-test-'));
+      cr2Path = path.join(testDir, 'IMG_0001.CR2');
+      rotatedPath = path.join(testDir, 'DSC_0002.nef');
+      brokenPath = path.join(testDir, 'broken.arw');
+      fs.writeFileSync(cr2Path, await cr2Like());
+      fs.writeFileSync(rotatedPath, await cr2Like({ orientation: 6, little: false }));
+      fs.writeFileSync(brokenPath, 'not a raw file');
+    });
+
+    afterAll(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should carry the RAW orientation on the preview', async () => {
+      const { preview } = await loadRawPreview(rotatedPath);
+      expect((await sharp(preview).metadata()).orientation).toBe(6);
+      await expect(loadRawPreview(brokenPath)).rejects.toThrow('No embedded JPEG preview');
+    });
+
+    it('should hand sharp a preview buffer for RAW files and the path otherwise', async () => {
+      expect(Buffer.isBuffer(await loadImageSource(cr2Path))).toBe(true);
+      expect(await loadImageSource('/photos/a.jpg')).toBe('/photos/a.jpg');
+    });
+
+    it('should validate RAW files through their preview', async () => {
+      const result = await validatePhoto(cr2Path);
+      expect(result.valid).toBe(true);
+      expect(result.metadata).toMatchObject({ format: 'jpeg', width: 1200, raw: true });
+      expect(result.metadata.rawExif.model).toBe('Canon EOS R5');
+
+      const broken = await validatePhoto(brokenPath);
+      expect(broken.valid).toBe(false);
+      expect(broken.error).toContain('Unreadable RAW file');
+    });
+
+    it('should send the preview to the model even with pre-processing off', async () => {
+      const base64 = await loadImageForModel(cr2Path);
+      expect((await sharp(Buffer.from(base64, 'base64')).metadata()).format).toBe('jpeg');
+    });
+
+    it('should build oriented thumbnails from the preview', async () => {
+      const thumbPath = await generateThumbnail(rotatedPath, 100, testDir);
+      const meta = await sharp(thumbPath).metadata();
+      expect(path.basename(thumbPath)).toBe('DSC_0002_w100_v2.jpg');
+      // 1200x800 rotated by orientation 6 becomes portrait
+      expect(meta.width).toBe(100);
+      expect(meta.height).toBe(150);
+    });
+  });
+});
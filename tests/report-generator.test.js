@@ -1,4 +1,7 @@
-import { generateMarkdownReport, generateJsonReport, generateCsvReport, generateTierMarkdownReport, generateTierJsonReport, generateTierCsvReport } from '../src/output/report-generator.js';
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { generateMarkdownReport, generateJsonReport, generateCsvReport, generateTierMarkdownReport, generateTierJsonReport, generateTierCsvReport, exportReports } from '../src/output/report-generator.js';
 
 describe('Report Generator', () => {
   const mockAggregation = {
@@ -72,6 +75,18 @@ describe('Report Generator', () => {
     expect(csv).toContain('8.5');
   });
 
+  test('should return the exported JSON report for reuse', () => {
+    const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-export-'));
+    try {
+      const report = exportReports(outputDir, mockAggregation, mockTiers, mockStats, { formats: ['json'], basename: 'report' });
+      expect(report.ranking).toHaveLength(2);
+      expect(JSON.parse(fs.readFileSync(path.join(outputDir, 'report.json'), 'utf8'))).toEqual(report);
+      expect(exportReports(outputDir, mockAggregation, mockTiers, mockStats, { formats: ['csv'], basename: 'report' })).toBeNull();
+    } finally {
+      fs.rmSync(outputDir, { recursive: true, force: true });
+    }
+  });
+
   // Smart Tiering Report Tests
   describe('Smart Tiering Reports', () => {
     const mockSmartTiers = {
@@ -165,4 +180,136 @@ describe('Report Generator', () => {
       expect(csv).toContain('Filename,Score,Tier,Label,Recommendation');
     });
   });
+
+  describe('Sampled score intervals', () => {
+    const sampledAggregation = {
+      timestamp: '2026-01-01T00:00:00.000Z',
+      total_photos: 1,
+      rank_by: 'lcb',
+      ranking: [{
+        rank: 1,
+        photo: '/photos/a.jpg',
+        overall_score: 7.6,
+        ranking_score: 7.1,
+        score_interval: { std: 0.4, ci_lower: 7.1, ci_upper: 8.1, samples: 5 },
+        individual_scores: { Composition: { score: 7.6, weight: 100, std: 0.5, ci_lower: 7, ci_upper: 8.2, n: 5 } },
+        summary: { recommendation: 'Yes' }
+      }]
+    };
+    const stats = { average: 7.6, median: 7.6, min: 7.6, max: 7.6, std_dev: 0 };
+
+    it('should include interval and rank_by in JSON report', () => {
+      const json = generateJsonReport(sampledAggregation, null, stats);
+
+      expect(json.metadata.rank_by).toBe('lcb');
+      expect(json.ranking[0].score_interval.ci_lower).toBe(7.1);
+      expect(json.ranking[0].ranking_score).toBe(7.1);
+      expect(json.ranking[0].individual_scores.Composition.std).toBe(0.5);
+    });
+
+    it('should show CI and per-criterion spread in markdown report', () => {
+      const markdown = generateMarkdownReport(sampledAggregation, null, stats);
+
+      expect(markdown).toContain('**95% CI**: 7.1 - 8.1');
+      expect(markdown).toContain('Composition: 7.6/10 ±0.5');
+    });
+  });
+
+  describe('Model panel consensus', () => {
+    const panelAggregation = {
+      timestamp: '2026-01-01T00:00:00.000Z',
+      total_photos: 1,
+      ranking: [{
+        rank: 1,
+        photo: '/photos/split.jpg',
+        overall_score: 7,
+        individual_scores: { Composition: { score: 7, weight: 100, panel: { 'llava:13b': 8, moondream: 4 }, std: 1.73, range: 4 } },
+        summary: { recommendation: 'Yes' },
+        consensus: {
+          models: [{ name: 'llava:13b', weight: 3, weighted_average: 8 }, { name: 'moondream', weight: 1, weighted_average: 4 }],
+          agreement: 0.56,
+          max_range: 4,
+          disagreement: true,
+          disagreement_criteria: ['Composition']
+        }
+      }],
+      disagreements: [{ photo: '/photos/split.jpg', filename: 'split.jpg', rank: 1, max_range: 4, criteria: ['Composition'] }]
+    };
+    const stats = { average: 7, median: 7, min: 7, max: 7, std_dev: 0 };
+
+    it('should include consensus and disagreements in JSON report', () => {
+      const json = generateJsonReport(panelAggregation, null, stats);
+
+      expect(json.ranking[0].consensus.agreement).toBe(0.56);
+      expect(json.disagreements).toHaveLength(1);
+    });
+
+    it('should flag disagreements in markdown report', () => {
+      const markdown = generateMarkdownReport(panelAggregation, null, stats);
+
+      expect(markdown).toContain('**Model Panel**: llava:13b 8, moondream 4 (agreement 0.56)');
+      expect(markdown).toContain('**⚠️ Models disagree on**: Composition');
+      expect(markdown).toContain('## Model Disagreements');
+      expect(markdown).toContain('| 1 | split.jpg | 4 | Composition |');
+    });
+  });
+
+  describe('Technical metrics', () => {
+    const technical_metrics = {
+      sharpness: 312.5,
+      highlight_clipping: 0.4,
+      shadow_clipping: 1.2,
+      noise: 2.1,
+      dynamic_range: 6.8,
+      colourfulness: 41.2,
+      horizon_tilt: 1.2,
+      technical_score: 7.4
+    };
+    const metricsAggregation = {
+      timestamp: '2026-01-01T00:00:00.000Z',
+      total_photos: 1,
+      ranking: [{
+        rank: 1,
+        photo: '/photos/sea.jpg',
+        overall_score: 7.8,
+        individual_scores: { 'Technical Quality': { score: 8.2, weight: 100, llm_score: 8.5, technical_score: 7.4 } },
+        summary: { recommendation: 'Yes' },
+        technical_metrics
+      }]
+    };
+    const stats = { average: 7.8, median: 7.8, min: 7.8, max: 7.8, std_dev: 0 };
+
+    it('should show metrics and the blended criterion in markdown report', () => {
+      const markdown = generateMarkdownReport(metricsAggregation, null, stats, {
+        failedPhotos: [{ photo: 'late.jpg', reason: 'Timed out', type: 'timeout', technical_score: 5.1 }]
+      });
+
+      expect(markdown).toContain('**Technical**: 7.4/10 | sharpness 312.5 | clipping 0.4% / 1.2% | noise 2.1 | DR 6.8 stops | tilt 1.2°');
+      expect(markdown).toContain('Technical Quality: 8.2/10 (model 8.5, metrics 7.4)');
+      expect(markdown).toContain('**Technical baseline** (local metrics only): late.jpg 5.1/10');
+    });
+
+    it('should list near-duplicate alternates under the best frame', () => {
+      const clustered = {
+        ...metricsAggregation,
+        ranking: [{
+          ...metricsAggregation.ranking[0],
+          duplicate_cluster: { id: 'cluster-1', size: 3, alternates: [{ filename: 'sea-2.jpg', overall_score: 7.1 }, { filename: 'sea-3.jpg', overall_score: null }] }
+        }],
+        duplicate_clusters: [{ id: 'cluster-1', members: ['sea.jpg', 'sea-2.jpg', 'sea-3.jpg'], representative: 'sea.jpg', max_distance: 3 }]
+      };
+
+      const markdown = generateMarkdownReport(clustered, null, stats);
+      const json = generateJsonReport(clustered, null, stats);
+
+      expect(markdown).toContain('**Best of 3 near-duplicates** — alternates: sea-2.jpg (7.1), sea-3.jpg (not analyzed)');
+      expect(json.ranking[0].duplicate_cluster.size).toBe(3);
+      expect(json.duplicate_clusters).toHaveLength(1);
+    });
+
+    it('should include metrics in JSON report', () => {
+      const json = generateJsonReport(metricsAggregation, null, stats);
+      expect(json.ranking[0].technical_metrics).toEqual(technical_metrics);
+    });
+  });
 });
@@ -0,0 +1,96 @@
+/**
+ * Tests for report-run-loader.js (report command and web PDF export)
+ *
+ * Covers: findLatestSetAnalysis, loadReportRun, loadBatchResults, listRuns, loadRunSnapshot
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import { findLatestSetAnalysis, loadReportRun, loadBatchResults, listRuns, loadRunSnapshot } from '../src/output/report-run-loader.js';
+
+describe('report-run-loader', () => {
+  let projectDir;
+
+  const writeRun = (run, files) => {
+    const runDir = path.join(projectDir, 'results', run);
+    fs.mkdirSync(runDir, { recursive: true });
+    for (const [name, content] of Object.entries(files)) {
+      fs.writeFileSync(path.join(runDir, name), JSON.stringify(content));
+    }
+  };
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-run-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  it('should load the latest run with its batch results, texts, newest sets and prompt', () => {
+    writeRun('2026-10-01T10-00-00', {
+      'photo-analysis.json': { ranking: [{ rank: 1, photo: 'a.jpg' }] },
+      'batch-results.json': { results: [] },
+      'generated-texts.json': [{ photo: 'a.jpg', title: 'Dawn' }]
+    });
+    writeRun('2026-10-02T10-00-00', { 'set-analysis.json': { ranking: [{ rank: 1 }] } });
+    writeRun('2026-10-03T10-00-00', { 'set-analysis.json': { ranking: [{ rank: 2 }] } });
+    fs.symlinkSync('2026-10-01T10-00-00', path.join(projectDir, 'results', 'latest'), 'dir');
+    fs.writeFileSync(path.join(projectDir, 'analysis-prompt.json'), JSON.stringify({ title: 'Harbour' }));
+
+    const result = loadReportRun(projectDir);
+
+    expect(result.success).toBe(true);
+    expect(result.data).toMatchObject({
+      runName: '2026-10-01T10-00-00',
+      report: { ranking: [{ rank: 1, photo: 'a.jpg' }] },
+      batchResults: { results: [] },
+      generatedTexts: [{ photo: 'a.jpg', title: 'Dawn' }],
+      sets: { ranking: [{ rank: 2 }] },
+      setsRun: '2026-10-03T10-00-00',
+      prompt: { title: 'Harbour' }
+    });
+  });
+
+  it('should load a named run and report missing results', () => {
+    writeRun('2026-10-01T10-00-00', { 'photo-analysis.json': { ranking: [] } });
+
+    const named = loadReportRun(projectDir, { run: '2026-10-01T10-00-00' });
+    expect(named.data).toMatchObject({ batchResults: null, generatedTexts: null, sets: null, prompt: {} });
+
+    expect(loadReportRun(projectDir).error).toContain('No photo-analysis.json found');
+    expect(loadReportRun(projectDir, { run: '2026-09-01T10-00-00' }).error).toContain('in run 2026-09-01T10-00-00');
+    expect(findLatestSetAnalysis(path.join(projectDir, 'nope'))).toBeNull();
+  });
+
+  it('should load batch results from latest, then results/ itself', () => {
+    expect(loadBatchResults(projectDir).error).toContain('No batch-results.json found');
+
+    fs.mkdirSync(path.join(projectDir, 'results'));
+    fs.writeFileSync(path.join(projectDir, 'results', 'batch-results.json'), JSON.stringify({ results: [{ photo: 'old.jpg' }] }));
+    expect(loadBatchResults(projectDir).data.batchResults.results[0].photo).toBe('old.jpg');
+
+    writeRun('latest', { 'batch-results.json': { results: [{ photo: 'new.jpg' }] } });
+    expect(loadBatchResults(projectDir).data).toMatchObject({
+      runDir: path.join(projectDir, 'results', 'latest'),
+      batchResults: { results: [{ photo: 'new.jpg' }] }
+    });
+  });
+
+  it('should list analysis runs oldest first and load run snapshots with metadata', () => {
+    writeRun('2026-10-02T10-00-00', { 'photo-analysis.json': { ranking: [] }, 'run-metadata.json': { model: 'llava:7b' } });
+    writeRun('2026-10-01T10-00-00', { 'photo-analysis.json': { ranking: [{ rank: 1 }] } });
+    writeRun('2026-10-03T10-00-00', { 'set-analysis.json': { ranking: [] } });
+    fs.symlinkSync('2026-10-02T10-00-00', path.join(projectDir, 'results', 'latest'), 'dir');
+
+    expect(listRuns(projectDir)).toEqual(['2026-10-01T10-00-00', '2026-10-02T10-00-00']);
+    expect(listRuns(path.join(projectDir, 'nope'))).toEqual([]);
+    expect(loadRunSnapshot(projectDir, '2026-10-02T10-00-00').data).toEqual({
+      name: '2026-10-02T10-00-00', analysis: { ranking: [] }, metadata: { model: 'llava:7b' }
+    });
+    expect(loadRunSnapshot(projectDir, '2026-10-01T10-00-00').data.metadata).toBeNull();
+    expect(loadRunSnapshot(projectDir, '2026-10-03T10-00-00').error).toContain('No photo-analysis.json found in run 2026-10-03T10-00-00');
+  });
+});
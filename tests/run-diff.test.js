@@ -0,0 +1,173 @@
+/**
+ * Tests for run-diff.js (diff-runs command and web diff view)
+ *
+ * Covers: hashJson, buildRunMetadata, diffObjects, diffRuns, generateRunDiffMarkdown
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  hashJson,
+  buildRunMetadata,
+  diffObjects,
+  diffRuns,
+  generateRunDiffMarkdown
+} from '../src/analysis/run-diff.js';
+
+const analysis = (entries, tiers = {}) => ({
+  metadata: { generated: '2026-10-01T10:00:00.000Z' },
+  statistics: { average: entries.reduce((sum, e) => sum + e.score, 0) / entries.length },
+  tiers: Object.fromEntries(Object.entries(tiers).map(([key, photos]) => [key, photos.map(p => ({ filename: `/photos/${p}` }))])),
+  ranking: entries.map((e, i) => ({
+    rank: i + 1,
+    photo: `/photos/${e.photo}`,
+    overall_score: e.score,
+    individual_scores: Object.fromEntries(Object.entries(e.criteria).map(([name, score]) => [name, { score, weight: 50 }]))
+  }))
+});
+
+const prompt = (themeWeight, extra = []) => ({
+  title: 'Harbour',
+  criteria: [
+    { name: 'Theme', weight: themeWeight, description: 'Fit to the brief' },
+    { name: 'Light', weight: 100 - themeWeight, description: 'Quality of light' },
+    ...extra
+  ]
+});
+
+describe('run-diff', () => {
+  describe('hashJson() / buildRunMetadata()', () => {
+    it('should hash independent of key order and snapshot the run', () => {
+      expect(hashJson({ a: 1, b: { c: 2, d: 3 } })).toBe(hashJson({ b: { d: 3, c: 2 }, a: 1 }));
+      expect(hashJson({ a: [1, 2] })).not.toBe(hashJson({ a: [2, 1] }));
+
+      const metadata = buildRunMetadata({
+        model: 'llava:7b',
+        panel: { models: [{ name: 'llava:7b', weight: 1 }, { name: 'moondream', weight: 1 }], disagreementThreshold: 2 },
+        settings: { samples: 3 },
+        config: { title: 'Harbour' },
+        prompt: prompt(60),
+        createdAt: '2026-10-01T10:00:00.000Z'
+      });
+      expect(metadata).toMatchObject({
+        version: 1,
+        createdAt: '2026-10-01T10:00:00.000Z',
+        model: 'llava:7b',
+        panel: { models: ['llava:7b', 'moondream'], disagreementThreshold: 2 },
+        settings: { samples: 3 },
+        configHash: hashJson({ title: 'Harbour' }),
+        promptHash: hashJson(prompt(60))
+      });
+      expect(buildRunMetadata({ model: 'm' }).panel).toBeNull();
+    });
+  });
+
+  describe('diffObjects()', () => {
+    it('should list changed, added and removed dotted paths', () => {
+      expect(diffObjects(
+        { title: 'A', preprocessing: { maxEdge: 1024, quality: 85 }, tags: ['x'] },
+        { title: 'A', preprocessing: { maxEdge: 1536, quality: 85 }, tags: ['x', 'y'], deadline: '2026-12-01' }
+      )).toEqual([
+        { path: 'deadline', a: undefined, b: '2026-12-01' },
+        { path: 'preprocessing.maxEdge', a: 1024, b: 1536 },
+        { path: 'tags', a: ['x'], b: ['x', 'y'] }
+      ]);
+      expect(diffObjects(null, {})).toEqual([]);
+    });
+  });
+
+  describe('diffRuns()', () => {
+    const runA = {
+      name: '2026-10-01T10-00-00',
+      analysis: analysis([
+        { photo: 'a.jpg', score: 9, criteria: { Theme: 9, Light: 9 } },
+        { photo: 'b.jpg', score: 8, criteria: { Theme: 8, Light: 8 } },
+        { photo: 'c.jpg', score: 7, criteria: { Theme: 7, Light: 7 } },
+        { photo: 'gone.jpg', score: 5, criteria: { Theme: 5, Light: 5 } }
+      ], { tier1: ['a.jpg'], tier2: ['b.jpg', 'c.jpg'], tier3: ['gone.jpg'] }),
+      metadata: buildRunMetadata({ model: 'llava:7b', settings: { samples: 1, rankBy: 'mean' }, config: { title: 'Harbour' }, prompt: prompt(60) })
+    };
+    const runB = {
+      name: '2026-10-02T10-00-00',
+      analysis: analysis([
+        { photo: 'b.jpg', score: 9.5, criteria: { Theme: 10, Light: 9 } },
+        { photo: 'a.jpg', score: 8.5, criteria: { Theme: 8, Light: 9 } },
+        { photo: 'c.jpg', score: 7, criteria: { Theme: 7, Light: 7 } },
+        { photo: 'new.jpg', score: 6, criteria: { Theme: 6, Light: 6 } }
+      ], { tier1: ['b.jpg', 'a.jpg'], tier2: ['c.jpg'], tier3: ['new.jpg'] }),
+      metadata: buildRunMetadata({
+        model: 'llava:13b',
+        settings: { samples: 3, rankBy: 'lcb' },
+        config: { title: 'Harbour', deadline: '2026-12-01' },
+        prompt: { ...prompt(50, [{ name: 'Story', weight: 10 }]), theme: 'Night' }
+      })
+    };
+
+    it('should report rank, tier and per-criterion changes with added and removed photos', () => {
+      const diff = diffRuns(runA, runB);
+
+      expect(diff.summary).toEqual({ common: 3, moved: 2, tierChanges: 1, added: 1, removed: 1, averageDelta: 0.5 });
+      expect(diff.moved.map(p => p.photo)).toEqual(['b.jpg', 'a.jpg']);
+      expect(diff.moved[0]).toMatchObject({
+        rankA: 2, rankB: 1, rankDelta: 1, scoreA: 8, scoreB: 9.5, scoreDelta: 1.5, tierA: 'tier2', tierB: 'tier1',
+        criteria: { Theme: { a: 8, b: 10, delta: 2 }, Light: { a: 8, b: 9, delta: 1 } }
+      });
+      expect(diff.photos).toHaveLength(3);
+      expect(diff.added).toEqual([{ photo: 'new.jpg', rank: 4, score: 6, tier: 'tier3' }]);
+      expect(diff.removed).toEqual([{ photo: 'gone.jpg', rank: 4, score: 5, tier: 'tier3' }]);
+      expect(diff.criteria.find(c => c.name === 'Theme')).toEqual({
+        name: 'Theme', photos: 3, meanA: 8, meanB: 8.33, meanDelta: 0.33, meanAbsDelta: 1, largest: { photo: 'b.jpg', delta: 2 }
+      });
+      expect(diff.runs.a).toMatchObject({ model: 'llava:7b', photos: 4, tiers: { tier1: 1, tier2: 2, tier3: 1 } });
+    });
+
+    it('should report model, settings, config and prompt differences from run metadata', () => {
+      const diff = diffRuns(runA, runB);
+
+      expect(diff.settings).toEqual([
+        { path: 'model', a: 'llava:7b', b: 'llava:13b' },
+        { path: 'rankBy', a: 'mean', b: 'lcb' },
+        { path: 'samples', a: 1, b: 3 }
+      ]);
+      expect(diff.config).toEqual([{ path: 'deadline', a: undefined, b: '2026-12-01' }]);
+      expect(diff.prompt).toEqual({
+        added: ['Story'],
+        removed: [],
+        changed: [
+          { name: 'Theme', weightA: 60, weightB: 50, descriptionChanged: false },
+          { name: 'Light', weightA: 40, weightB: 50, descriptionChanged: false }
+        ],
+        fields: [{ path: 'theme', a: undefined, b: 'Night' }]
+      });
+      expect(diff.notes).toEqual([]);
+    });
+
+    it('should note runs without metadata and skip setting differences', () => {
+      const diff = diffRuns({ ...runA, metadata: null }, runB);
+      expect(diff.notes).toEqual([expect.stringContaining('Run A (2026-10-01T10-00-00) has no run-metadata.json')]);
+      expect(diff.settings).toEqual([]);
+      expect(diff.config).toEqual([]);
+      expect(diff.prompt.changed).toEqual([]);
+      expect(diff.runs.a.model).toBeNull();
+    });
+  });
+
+  describe('generateRunDiffMarkdown()', () => {
+    it('should render summary, changes, moved photos and criterion deltas', () => {
+      const diff = diffRuns(
+        { name: 'run-a', analysis: analysis([{ photo: 'a.jpg', score: 9, criteria: { Theme: 9 } }, { photo: 'b.jpg', score: 8, criteria: { Theme: 8 } }]), metadata: null },
+        { name: 'run-b', analysis: analysis([{ photo: 'b.jpg', score: 9, criteria: { Theme: 9.5 } }, { photo: 'a.jpg', score: 8, criteria: { Theme: 8 } }, { photo: 'c.jpg', score: 7, criteria: { Theme: 7 } }]), metadata: null }
+      );
+      const md = generateRunDiffMarkdown(diff);
+
+      expect(md).toContain('# Run Diff: run-a → run-b');
+      expect(md).toContain('2 photo(s) in both runs: 2 changed rank, 0 changed tier. 1 new, 0 removed.');
+      expect(md).toContain('> Run A (run-a) has no run-metadata.json');
+      expect(md).toContain('| b.jpg | 2 | 1 | +1 | - | - | 8 | 9 | +1 |');
+      expect(md).toContain('| Theme | 8.5 | 8.75 | +0.25 | 1.25 | b.jpg (+1.5) |');
+      expect(md).toContain('- **b.jpg**: Theme 8 → 9.5 (+1.5)');
+      expect(md).toContain('## New Photos');
+      expect(md).not.toContain('## Removed Photos');
+      expect(md).not.toContain('## Prompt Changes');
+    });
+  });
+});
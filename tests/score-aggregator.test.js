@@ -115,4 +115,112 @@ describe('Score Aggregator', () => {
     expect(tiered.tier2).toEqual([]);
     expect(tiered.tier3).toEqual([]);
   });
+
+  test('should rank by lower confidence bound when rankBy is lcb', () => {
+    const sampled = [
+      {
+        photoPath: '/photos/steady.jpg',
+        scores: { individual: {}, summary: { weighted_average: 7.5, weighted_average_std: 0.2, weighted_average_ci_lower: 7.2, weighted_average_ci_upper: 7.8, samples: 5 } }
+      },
+      {
+        photoPath: '/photos/shaky.jpg',
+        scores: { individual: {}, summary: { weighted_average: 8.0, weighted_average_std: 1.5, weighted_average_ci_lower: 6.1, weighted_average_ci_upper: 9.9, samples: 5 } }
+      }
+    ];
+
+    const byMean = aggregateScores(sampled, []);
+    const byLcb = aggregateScores(sampled, [], { rankBy: 'lcb' });
+
+    expect(byMean.ranking[0].filename).toBe('shaky.jpg');
+    expect(byMean.rank_by).toBeUndefined();
+    expect(byLcb.ranking[0].filename).toBe('steady.jpg');
+    expect(byLcb.ranking[0].ranking_score).toBe(7.2);
+    expect(byLcb.ranking[1].score_interval).toEqual({ std: 1.5, ci_lower: 6.1, ci_upper: 9.9, samples: 5 });
+    expect(byLcb.rank_by).toBe('lcb');
+  });
+
+  test('should keep shaky photos out of tier 1 when tiering by lcb', () => {
+    const sampled = [
+      {
+        photoPath: '/photos/shaky.jpg',
+        scores: { individual: {}, summary: { weighted_average: 8.6, weighted_average_std: 1.2, weighted_average_ci_lower: 7.1, weighted_average_ci_upper: 10, samples: 4 } }
+      }
+    ];
+
+    const aggregation = aggregateScores(sampled, [], { rankBy: 'lcb' });
+    const tiered = integrateSmartTiering(aggregation);
+
+    expect(tiered.tier1).toHaveLength(0);
+    expect(tiered.tier2).toHaveLength(1);
+    expect(tiered.summary.rank_by).toBe('lcb');
+  });
+
+  test('should carry panel consensus and list disagreements', () => {
+    const consensus = (disagreement) => ({
+      models: [],
+      agreement: disagreement ? 0.5 : 0.9,
+      max_range: disagreement ? 4 : 1,
+      disagreement,
+      disagreement_criteria: disagreement ? ['Composition'] : []
+    });
+    const panelAnalyses = [
+      { photoPath: '/photos/calm.jpg', scores: { individual: {}, summary: { weighted_average: 8 }, consensus: consensus(false) } },
+      { photoPath: '/photos/split.jpg', scores: { individual: {}, summary: { weighted_average: 7 }, consensus: consensus(true) } }
+    ];
+
+    const result = aggregateScores(panelAnalyses, []);
+
+    expect(result.ranking[0].consensus.agreement).toBe(0.9);
+    expect(result.disagreements).toEqual([
+      { photo: '/photos/split.jpg', filename: 'split.jpg', rank: 2, max_range: 4, criteria: ['Composition'] }
+    ]);
+    expect(aggregateScores(mockAnalyses, mockCriteria).disagreements).toBeUndefined();
+  });
+
+  test('should collapse near-duplicate clusters to their best frame', () => {
+    const analyses = [
+      { photoPath: '/photos/burst-1.jpg', scores: { individual: {}, summary: { weighted_average: 7.5 } } },
+      { photoPath: '/photos/burst-2.jpg', scores: { individual: {}, summary: { weighted_average: 8.2 } } },
+      { photoPath: '/photos/solo.jpg', scores: { individual: {}, summary: { weighted_average: 8 } } }
+    ];
+    const duplicateClusters = [{
+      id: 'cluster-1', members: ['burst-1.jpg', 'burst-2.jpg', 'burst-3.jpg'], representative: 'burst-2.jpg', max_distance: 4
+    }];
+
+    const result = aggregateScores(analyses, [], { duplicateClusters });
+
+    expect(result.ranking.map(p => [p.filename, p.rank])).toEqual([['burst-2.jpg', 1], ['solo.jpg', 2]]);
+    expect(result.ranking[0].duplicate_cluster).toEqual({
+      id: 'cluster-1',
+      size: 3,
+      alternates: [
+        { filename: 'burst-1.jpg', overall_score: 7.5 },
+        { filename: 'burst-3.jpg', overall_score: null }
+      ]
+    });
+    expect(result.duplicate_clusters).toBe(duplicateClusters);
+    expect(result.statistics.count).toBe(3);
+  });
+
+  test('should carry technical metrics per photo', () => {
+    const technical_metrics = { sharpness: 312.5, technical_score: 7.4 };
+    const result = aggregateScores([
+      { photoPath: '/photos/a.jpg', scores: { individual: {}, summary: { weighted_average: 8 }, technical_metrics } },
+      { photoPath: '/photos/b.jpg', scores: { individual: {}, summary: { weighted_average: 7 } } }
+    ], []);
+
+    expect(result.ranking[0].technical_metrics).toEqual(technical_metrics);
+    expect(result.ranking[1]).not.toHaveProperty('technical_metrics');
+  });
+
+  test('should carry capture metadata per photo', () => {
+    const photo_metadata = { camera: 'FUJIFILM X100V', iso: 400 };
+    const result = aggregateScores([
+      { photoPath: '/photos/a.jpg', scores: { individual: {}, summary: { weighted_average: 8 }, photo_metadata } },
+      { photoPath: '/photos/b.jpg', scores: { individual: {}, summary: { weighted_average: 7 } } }
+    ], []);
+
+    expect(result.ranking[0].photo_metadata).toEqual(photo_metadata);
+    expect(result.ranking[1]).not.toHaveProperty('photo_metadata');
+  });
 });
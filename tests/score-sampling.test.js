@@ -0,0 +1,97 @@
+/**
+ * Tests for score-sampling.js (self-consistency sampling)
+ *
+ * Covers: buildSampleSchedule, computeInterval, mergeSampleResults
+ */
+
+import { describe, it, expect } from 'vitest';
+import {
+  buildSampleSchedule,
+  computeInterval,
+  mergeSampleResults
+} from '../src/analysis/score-sampling.js';
+
+function sample(composition, light, recommendation = 'Yes') {
+  const individual = {
+    Composition: { score: composition, weight: 60 },
+    Light: { score: light, weight: 40 }
+  };
+  return {
+    photoPath: '/photos/a.jpg',
+    filename: 'a.jpg',
+    analysisText: 'text',
+    model: 'llava:7b',
+    scores: {
+      individual,
+      summary: { weighted_average: (composition * 60 + light * 40) / 100, recommendation }
+    }
+  };
+}
+
+describe('score-sampling', () => {
+  describe('buildSampleSchedule()', () => {
+    it('should produce distinct seeds and cycling temperatures', () => {
+      const schedule = buildSampleSchedule(5);
+      expect(schedule.map(s => s.seed)).toEqual([42, 43, 44, 45, 46]);
+      expect(schedule.map(s => s.temperature)).toEqual([0.3, 0.4, 0.5, 0.6, 0.3]);
+    });
+
+    it('should be deterministic', () => {
+      expect(buildSampleSchedule(3)).toEqual(buildSampleSchedule(3));
+    });
+  });
+
+  describe('computeInterval()', () => {
+    it('should compute mean, sample std and t-based 95% interval', () => {
+      const result = computeInterval([6, 7, 8]);
+      expect(result.mean).toBe(7);
+      expect(result.std).toBe(1);
+      // t(0.975, df=2) = 4.303 → margin 4.303 / sqrt(3) ≈ 2.48
+      expect(result.ci_lower).toBe(4.52);
+      expect(result.ci_upper).toBe(9.48);
+      expect(result.n).toBe(3);
+    });
+
+    it('should clamp bounds to the 1-10 score range', () => {
+      const result = computeInterval([9, 10]);
+      expect(result.ci_upper).toBe(10);
+    });
+
+    it('should collapse to the value for a single sample', () => {
+      expect(computeInterval([7])).toEqual({ mean: 7, std: 0, ci_lower: 7, ci_upper: 7, n: 1 });
+    });
+
+    it('should handle empty input', () => {
+      expect(computeInterval([]).n).toBe(0);
+    });
+  });
+
+  describe('mergeSampleResults()', () => {
+    const schedule = buildSampleSchedule(3);
+
+    it('should summarise each criterion and keep every sample', () => {
+      const merged = mergeSampleResults([sample(8, 6), sample(7, 6), sample(9, 6, 'Strong Yes')], schedule);
+
+      expect(merged.scores.individual.Composition).toMatchObject({ score: 8, weight: 60, std: 1, n: 3 });
+      expect(merged.scores.individual.Light).toMatchObject({ score: 6, std: 0, ci_lower: 6, ci_upper: 6 });
+      expect(merged.scores.samples).toHaveLength(3);
+      expect(merged.scores.samples[2]).toMatchObject({ seed: 44, temperature: 0.5, individual: { Composition: 9, Light: 6 } });
+      expect(merged.scores.summary.weighted_average).toBe(7.2);
+      expect(merged.scores.summary.weighted_average_ci_lower).toBeLessThan(7.2);
+      expect(merged.scores.summary.recommendation).toBe('Yes');
+      expect(merged.filename).toBe('a.jpg');
+    });
+
+    it('should skip samples without scores', () => {
+      const failed = { photoPath: '/photos/a.jpg', error: 'timeout', scores: null };
+      const merged = mergeSampleResults([failed, sample(8, 6), null], schedule);
+
+      expect(merged.scores.summary.samples).toBe(1);
+      expect(merged.scores.samples[0].seed).toBe(43);
+    });
+
+    it('should throw when no sample has scores', () => {
+      expect(() => mergeSampleResults([null, null], buildSampleSchedule(2))).toThrow('No sample produced scores');
+    });
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Tests for set-constraints.js (setMode.constraints)
+ *
+ * Covers: resolveSetConstraints, hasGroupConstraints, buildGroupIndex,
+ * findConstraintViolations, checkConstraintFeasibility, describeSetConstraints
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  resolveSetConstraints,
+  hasGroupConstraints,
+  buildGroupIndex,
+  findConstraintViolations,
+  checkConstraintFeasibility,
+  describeSetConstraints
+} from '../src/processing/set-constraints.js';
+
+const constraints = (overrides) => ({
+  pinned: [], excluded: [], exclusivePairs: [], coverGroups: false, maxPerGroup: null, ...overrides
+});
+
+const groups = {
+  names: ['Harbour', 'Market'],
+  index: new Map([
+    ['h1.jpg', ['Harbour']],
+    ['h2.jpg', ['Harbour']],
+    ['h3.jpg', ['Harbour']],
+    ['m1.jpg', ['Market']]
+  ])
+};
+
+describe('set-constraints', () => {
+  describe('resolveSetConstraints()', () => {
+    it('should return null without active constraints', () => {
+      expect(resolveSetConstraints(undefined)).toBeNull();
+      expect(resolveSetConstraints({ setSize: 4 })).toBeNull();
+      expect(resolveSetConstraints({ constraints: { pinned: [], coverGroups: false } })).toBeNull();
+    });
+
+    it('should fill defaults and drop degenerate pairs', () => {
+      expect(resolveSetConstraints({
+        constraints: { pinned: ['a.jpg', 'a.jpg'], exclusivePairs: [['b.jpg', 'b.jpg'], ['b.jpg', 'c.jpg']] }
+      })).toEqual(constraints({ pinned: ['a.jpg'], exclusivePairs: [['b.jpg', 'c.jpg']] }));
+    });
+  });
+
+  describe('hasGroupConstraints()', () => {
+    it('should detect coverGroups and maxPerGroup', () => {
+      expect(hasGroupConstraints(null)).toBe(false);
+      expect(hasGroupConstraints(constraints({ pinned: ['a.jpg'] }))).toBe(false);
+      expect(hasGroupConstraints(constraints({ coverGroups: true }))).toBe(true);
+      expect(hasGroupConstraints(constraints({ maxPerGroup: 1 }))).toBe(true);
+    });
+  });
+
+  describe('buildGroupIndex()', () => {
+    let testDir;
+
+    beforeEach(() => {
+      testDir = mkdtempSync(join(tmpdir(), 'set-constraints-test-'));
+      mkdirSync(join(testDir, 'photos'));
+      for (const name of ['h1.jpg', 'h2.jpg', 'm1.jpg']) {
+        writeFileSync(join(testDir, 'photos', name), 'fake');
+      }
+    });
+
+    afterEach(() => {
+      rmSync(testDir, { recursive: true, force: true });
+    });
+
+    it('should keep groups that match none of the photos', () => {
+      const photoGroups = [
+        { name: 'Harbour', pattern: 'h*.jpg' },
+        { name: 'Market', files: ['m1.jpg'] },
+        { name: 'Night', camera: 'X100V' }
+      ];
+      const result = buildGroupIndex(photoGroups, [{ filename: 'h1.jpg' }, { filename: 'm1.jpg' }], join(testDir, 'photos'));
+
+      expect(result.names).toEqual(['Harbour', 'Market', 'Night']);
+      expect(result.index).toEqual(new Map([['h1.jpg', ['Harbour']], ['m1.jpg', ['Market']]]));
+    });
+  });
+
+  describe('findConstraintViolations()', () => {
+    it('should report every broken rule', () => {
+      const violations = findConstraintViolations(
+        ['h1.jpg', 'h2.jpg', 'h3.jpg', 'x.jpg'],
+        constraints({
+          pinned: ['m1.jpg'],
+          excluded: ['x.jpg'],
+          exclusivePairs: [['h1.jpg', 'h2.jpg']],
+          coverGroups: true,
+          maxPerGroup: 2
+        }),
+        groups
+      );
+
+      expect(violations).toEqual([
+        'pinned photo "m1.jpg" is missing',
+        'excluded photo "x.jpg" is included',
+        '"h1.jpg" and "h2.jpg" may not appear together',
+        'group "Harbour" has 3 photos (max 2)',
+        'no photo from group "Market"'
+      ]);
+    });
+
+    it('should only fail coverage of partial sets once the open slots cannot cover the groups', () => {
+      const cover = constraints({ coverGroups: true });
+      expect(findConstraintViolations(['h1.jpg'], cover, groups, 3)).toEqual([]);
+      expect(findConstraintViolations(['h1.jpg', 'h2.jpg'], cover, groups, 3)).toEqual([]);
+      expect(findConstraintViolations(['h1.jpg', 'h2.jpg', 'h3.jpg'], cover, groups, 3)).toHaveLength(1);
+      expect(findConstraintViolations(['h1.jpg', 'm1.jpg'], cover, groups, 2)).toEqual([]);
+    });
+
+    it('should accept any set without constraints', () => {
+      expect(findConstraintViolations(['a.jpg'], null)).toEqual([]);
+    });
+  });
+
+  describe('checkConstraintFeasibility()', () => {
+    const photos = ['h1.jpg', 'h2.jpg', 'h3.jpg', 'm1.jpg'].map(filename => ({ filename }));
+
+    it('should accept satisfiable constraints', () => {
+      expect(checkConstraintFeasibility(photos, 3, constraints({ pinned: ['m1.jpg'], coverGroups: true, maxPerGroup: 2 }), groups))
+        .toEqual([]);
+    });
+
+    it('should explain impossible pinned and excluded photos', () => {
+      const reasons = checkConstraintFeasibility(photos, 2, constraints({
+        pinned: ['h1.jpg', 'h2.jpg', 'gone.jpg'],
+        excluded: ['h1.jpg', 'h3.jpg', 'm1.jpg'],
+        exclusivePairs: [['h1.jpg', 'h2.jpg']]
+      }));
+
+      expect(reasons).toEqual([
+        '"h1.jpg" is both pinned and excluded',
+        'pinned photo "gone.jpg" has no analysis result',
+        '3 pinned photos do not fit a set of 2',
+        '"h1.jpg" and "h2.jpg" are both pinned but may not appear together',
+        'only 1 photos remain after exclusions, need 2'
+      ]);
+    });
+
+    it('should explain impossible group rules', () => {
+      expect(checkConstraintFeasibility(photos, 3, constraints({ maxPerGroup: 1 })))
+        .toEqual(['coverGroups and maxPerGroup need photoGroups in open-call.json']);
+      expect(checkConstraintFeasibility(photos, 3, constraints({ pinned: ['h1.jpg', 'h2.jpg'], maxPerGroup: 1 }), groups))
+        .toEqual(['pinned photos alone break maxPerGroup: group "Harbour" has 2 photos (max 1)']);
+      expect(checkConstraintFeasibility(photos, 3, constraints({ excluded: ['m1.jpg'], coverGroups: true }), groups))
+        .toEqual(['group "Market" has no eligible photos to cover']);
+      expect(checkConstraintFeasibility(photos, 2, constraints({ coverGroups: true }), {
+        names: ['Harbour', 'Market', 'Night'], index: groups.index
+      })).toContain('3 groups cannot all be covered by a set of 2');
+    });
+  });
+
+  describe('describeSetConstraints()', () => {
+    it('should summarise active rules', () => {
+      expect(describeSetConstraints(constraints({ pinned: ['a.jpg'], exclusivePairs: [['b.jpg', 'c.jpg']], maxPerGroup: 2 })))
+        .toBe('1 pinned, 1 exclusive pairs, max 2 per group');
+      expect(describeSetConstraints(null)).toBe('none');
+    });
+  });
+});
@@ -0,0 +1,169 @@
+/**
+ * Tests for set-optimizer.js (set objective, search strategies, coherence cache)
+ *
+ * Covers: pairKey, createSetObjective, beamSearch, annealingSearch,
+ * greedySwapSearch, searchSets, loadPairCoherence, recordSetCoherence
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { mkdtempSync, rmSync, writeFileSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { tmpdir } from 'os';
+import {
+  pairKey,
+  createSetObjective,
+  beamSearch,
+  annealingSearch,
+  greedySwapSearch,
+  searchSets,
+  loadPairCoherence,
+  recordSetCoherence
+} from '../src/processing/set-optimizer.js';
+import { generateCombinations } from '../src/processing/combination-generator.js';
+
+const makePhoto = (name, score, scores = {}) => ({ filename: name, score, scores });
+
+// 40 photos whose best 4-set mixes high scores with complementary criterion profiles
+const pool = Array.from({ length: 40 }, (_, i) =>
+  makePhoto(`p${String(i).padStart(2, '0')}.jpg`, 9 - i * 0.1, { Theme: (i * 7) % 10, Light: (i * 3) % 10 })
+);
+
+function bruteForceBest(photos, setSize, objective) {
+  let best = null;
+  for (const combo of generateCombinations(photos, setSize)) {
+    const scored = objective(combo);
+    if (!best || scored.preScore > best.preScore) best = scored;
+  }
+  return best;
+}
+
+describe('set-optimizer', () => {
+  describe('createSetObjective()', () => {
+    it('should add scores and the diversity bonus', () => {
+      const scoreSet = createSetObjective();
+      const result = scoreSet([makePhoto('a.jpg', 8, { T: 10 }), makePhoto('b.jpg', 7, { T: 0 })]);
+
+      expect(result).toMatchObject({
+        sumIndividualScore: 15,
+        diversityBonus: 2,
+        coherenceBonus: 0,
+        duplicatePenalty: 0,
+        preScore: 17
+      });
+    });
+
+    it('should penalise pairs from the same near-duplicate cluster', () => {
+      const scoreSet = createSetObjective({
+        duplicateClusters: [{ id: 'cluster-1', members: ['a.jpg', 'b.jpg'] }]
+      });
+      const result = scoreSet([makePhoto('a.jpg', 8), makePhoto('b.jpg', 8), makePhoto('c.jpg', 8)]);
+
+      expect(result.duplicatePenalty).toBe(10);
+      expect(result.preScore).toBe(14);
+    });
+
+    it('should reward pairs with above-average cached coherence', () => {
+      const pairCoherence = new Map([
+        [pairKey('a.jpg', 'b.jpg'), 9],
+        [pairKey('c.jpg', 'd.jpg'), 5]
+      ]);
+      const scoreSet = createSetObjective({ pairCoherence });
+
+      const strong = scoreSet([makePhoto('b.jpg', 7), makePhoto('a.jpg', 7)]);
+      const weak = scoreSet([makePhoto('c.jpg', 7), makePhoto('d.jpg', 7)]);
+      const unknown = scoreSet([makePhoto('a.jpg', 7), makePhoto('c.jpg', 7)]);
+
+      // mean 7, +2 points = 0.8 of the spread -> +1.6
+      expect(strong.coherenceBonus).toBeCloseTo(1.6);
+      expect(weak.coherenceBonus).toBeCloseTo(-1.6);
+      expect(unknown.coherenceBonus).toBe(0);
+    });
+  });
+
+  describe('search strategies', () => {
+    const objective = createSetObjective();
+    const best = bruteForceBest(pool, 4, objective);
+
+    it.each([
+      ['beam', beamSearch],
+      ['annealing', annealingSearch],
+      ['greedy-swap', greedySwapSearch]
+    ])('%s should find the exhaustive optimum within its budget', (name, search) => {
+      const results = search(pool, 4, objective, { budget: 20000, keep: 5 });
+
+      expect(results.length).toBe(5);
+      expect(results[0].preScore).toBeCloseTo(best.preScore, 3);
+      for (let i = 1; i < results.length; i++) {
+        expect(results[i - 1].preScore).toBeGreaterThanOrEqual(results[i].preScore);
+      }
+      const keys = results.map(r => r.photos.map(p => p.filename).sort().join(','));
+      expect(new Set(keys).size).toBe(results.length);
+    });
+
+    it('should return the only possible set when the pool equals the set size', () => {
+      const photos = pool.slice(0, 4);
+      for (const strategy of ['beam', 'annealing', 'greedy-swap']) {
+        const results = searchSets(strategy, photos, 4, objective, { budget: 1000, keep: 3 });
+        expect(results).toHaveLength(1);
+      }
+    });
+
+    it('should be reproducible for a given annealing seed', () => {
+      const a = annealingSearch(pool, 5, objective, { budget: 2000, keep: 3, seed: 7 });
+      const b = annealingSearch(pool, 5, objective, { budget: 2000, keep: 3, seed: 7 });
+      expect(a.map(r => r.preScore)).toEqual(b.map(r => r.preScore));
+    });
+
+    it('should never return sets with duplicate pairs', () => {
+      const withBurst = [makePhoto('burst-1.jpg', 10), makePhoto('burst-2.jpg', 10), ...pool.slice(0, 10)];
+      const dedupe = createSetObjective({ duplicateClusters: [{ id: 'c1', members: ['burst-1.jpg', 'burst-2.jpg'] }] });
+      for (const strategy of ['beam', 'annealing', 'greedy-swap']) {
+        const results = searchSets(strategy, withBurst, 3, dedupe, { budget: 3000, keep: 10 });
+        for (const set of results) {
+          expect(set.photos.filter(p => p.filename.startsWith('burst-')).length).toBeLessThanOrEqual(1);
+        }
+      }
+    });
+
+    it('should reject unknown strategies', () => {
+      expect(() => searchSets('random', pool, 4, objective, { budget: 100, keep: 1 }))
+        .toThrow(/Unknown search strategy/);
+    });
+  });
+
+  describe('coherence cache', () => {
+    let projectDir;
+
+    beforeEach(() => {
+      projectDir = mkdtempSync(join(tmpdir(), 'set-coherence-test-'));
+    });
+
+    afterEach(() => {
+      rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    it('should record running means per pair and load them back', () => {
+      const set = (names, setWeightedAverage) => ({ photos: names.map(n => makePhoto(n, 7)), setWeightedAverage });
+
+      expect(recordSetCoherence(projectDir, [set(['a.jpg', 'b.jpg', 'c.jpg'], 8), set(['b.jpg', 'a.jpg'], 6)])).toBe(4);
+      recordSetCoherence(projectDir, [set(['x.jpg', 'y.jpg'], 0)]);
+
+      const coherence = loadPairCoherence(projectDir);
+      expect(coherence.size).toBe(3);
+      expect(coherence.get(pairKey('a.jpg', 'b.jpg'))).toBe(7);
+      expect(coherence.get(pairKey('c.jpg', 'a.jpg'))).toBe(8);
+      expect(JSON.parse(readFileSync(join(projectDir, '.set-coherence.json'), 'utf8')).pairs['a.jpg|b.jpg'].count).toBe(2);
+    });
+
+    it('should not throw when the cache cannot be written', () => {
+      const set = { photos: ['a.jpg', 'b.jpg'].map(n => makePhoto(n, 7)), setWeightedAverage: 8 };
+      expect(recordSetCoherence(join(projectDir, 'missing'), [set])).toBe(0);
+    });
+
+    it('should return an empty map without a usable cache', () => {
+      expect(loadPairCoherence(projectDir).size).toBe(0);
+      writeFileSync(join(projectDir, '.set-coherence.json'), '{not json');
+      expect(loadPairCoherence(projectDir).size).toBe(0);
+    });
+  });
+});
@@ -7,7 +7,8 @@ import {
   generateGroupedSetMarkdownReport,
   generateGroupedSetJsonReport,
   generateGroupedSetCsvReport,
-  exportGroupedSetReports
+  exportGroupedSetReports,
+  getPresentationOrder
 } from '../src/output/set-report-generator.js';
 import { existsSync, writeFileSync, mkdirSync } from 'fs';
 
@@ -72,6 +73,21 @@ describe('set-report-generator', () => {
     }
   ];
 
+  const mockSequence = {
+    order: ['photo3.jpg', 'photo1.jpg', 'photo2.jpg', 'photo4.jpg'],
+    score: 7.6,
+    method: 'vision+local',
+    transitions: [
+      { from: 'photo3.jpg', to: 'photo1.jpg', score: 8.2, reason: 'Gaze leads into the next frame' },
+      { from: 'photo1.jpg', to: 'photo2.jpg', score: 7.5, reason: 'similar tones' },
+      { from: 'photo2.jpg', to: 'photo4.jpg', score: 7.1, reason: 'steps darker' }
+    ],
+    pairs: [['photo3.jpg', 'photo1.jpg'], ['photo2.jpg', 'photo4.jpg']],
+    rationale: 'Opens with photo3.jpg (strongest single image) and closes with photo4.jpg.',
+    comparisons: 6,
+    failed: 0
+  };
+
   const mockStatistics = {
     total: 2,
     average: 7.85,
@@ -137,6 +153,30 @@ describe('set-report-generator', () => {
       expect(md).toContain('60%');
     });
 
+    it('should include the presentation order when the set was sequenced', () => {
+      const sequenced = [{ ...mockRankedSets[0], sequence: mockSequence }];
+      const md = generateSetMarkdownReport(sequenced, null, mockSetConfig);
+      expect(md).toContain('### Presentation Order');
+      expect(md).toContain('photo3.jpg → photo1.jpg → photo2.jpg → photo4.jpg (flow 7.6/10, vision+local)');
+      expect(md).toContain('**Left/right pairs**: photo3.jpg | photo1.jpg · photo2.jpg | photo4.jpg');
+      expect(md).toContain('| photo3.jpg → photo1.jpg | 8.2/10 | Gaze leads into the next frame |');
+      expect(md).toContain('Opens with photo3.jpg');
+      expect(generateSetMarkdownReport(mockRankedSets, null, mockSetConfig)).not.toContain('Presentation Order');
+    });
+
+    it('should show the suggested viewing order only when the set was not sequenced', () => {
+      expect(generateSetMarkdownReport(mockRankedSets, null, mockSetConfig)).toContain('**Suggested viewing order**: 1 → 3 → 2 → 4');
+      const sequenced = [{ ...mockRankedSets[0], sequence: mockSequence }];
+      expect(generateSetMarkdownReport(sequenced, null, mockSetConfig)).not.toContain('Suggested viewing order');
+    });
+
+    it('should flag a set that breaks the set constraints', () => {
+      const flagged = [{ ...mockRankedSets[0], constraintViolations: ['excluded photo "photo2.jpg" is included'] }];
+      expect(generateSetMarkdownReport(flagged, null, mockSetConfig))
+        .toContain('**Breaks set constraints**: excluded photo "photo2.jpg" is included');
+      expect(generateSetMarkdownReport(mockRankedSets, null, mockSetConfig)).not.toContain('Breaks set constraints');
+    });
+
     it('should handle empty sets', () => {
       const md = generateSetMarkdownReport([], null, mockSetConfig);
       expect(md).toContain('Set Analysis Report');
@@ -169,6 +209,19 @@ describe('set-report-generator', () => {
       expect(json.ranking[0].photos[0].filename).toBe('photo1.jpg');
     });
 
+    it('should include the sequence only for sequenced sets', () => {
+      const json = generateSetJsonReport([{ ...mockRankedSets[0], sequence: mockSequence }, mockRankedSets[1]], null, mockSetConfig);
+      expect(json.ranking[0].sequence).toEqual(mockSequence);
+      expect(json.ranking[1]).not.toHaveProperty('sequence');
+    });
+
+    it('should include constraint violations only when present', () => {
+      const violations = ['pinned photo "photo9.jpg" is missing'];
+      const json = generateSetJsonReport([{ ...mockRankedSets[0], constraintViolations: violations }, mockRankedSets[1]], null, mockSetConfig);
+      expect(json.ranking[0].constraintViolations).toEqual(violations);
+      expect(json.ranking[1]).not.toHaveProperty('constraintViolations');
+    });
+
     it('should include statistics', () => {
       const json = generateSetJsonReport(mockRankedSets, mockStatistics, mockSetConfig);
       expect(json.statistics.total).toBe(2);
@@ -297,6 +350,15 @@ describe('set-report-generator', () => {
       expect(md).toContain('## Group: October');
     });
 
+    it('should show a group\'s sequence instead of its suggested viewing order', () => {
+      const [rotterdam, ...rest] = mockGroupRankings;
+      const sequenced = [{ ...rotterdam, ranking: [{ ...rotterdam.ranking[0], sequence: mockSequence }] }, ...rest];
+      expect(generateGroupedSetMarkdownReport(mockGroupRankings, mockGroupSetConfig)).toContain('**Suggested viewing order**');
+      const md = generateGroupedSetMarkdownReport(sequenced, mockGroupSetConfig);
+      expect(md).toContain('### Presentation Order');
+      expect(md).not.toContain('Suggested viewing order');
+    });
+
     it('should include group count in metadata', () => {
       const md = generateGroupedSetMarkdownReport(mockGroupRankings, mockGroupSetConfig);
       expect(md).toContain('**Groups**: 2');
@@ -362,4 +424,19 @@ describe('set-report-generator', () => {
       expect(mkdirSync).toHaveBeenCalledWith('/tmp/grouped-output', { recursive: true });
     });
   });
+
+  describe('getPresentationOrder', () => {
+    const photos = [{ filename: 'a.jpg' }, { filename: 'b.jpg' }, { filename: 'c.jpg' }];
+
+    it('should prefer the sequencer order, then a valid suggestedOrder', () => {
+      expect(getPresentationOrder({ photos, suggestedOrder: [3, 1, 2], sequence: { order: ['b.jpg', 'c.jpg', 'a.jpg'] } }))
+        .toEqual(['b.jpg', 'c.jpg', 'a.jpg']);
+      expect(getPresentationOrder({ photos, suggestedOrder: [3, 1, 2] })).toEqual(['c.jpg', 'a.jpg', 'b.jpg']);
+    });
+
+    it('should keep the analysed order when suggestedOrder is incomplete', () => {
+      expect(getPresentationOrder({ photos, suggestedOrder: [3, 3, 1] })).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+      expect(getPresentationOrder({ photos, suggestedOrder: [] })).toEqual(['a.jpg', 'b.jpg', 'c.jpg']);
+    });
+  });
 });
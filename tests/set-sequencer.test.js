@@ -0,0 +1,179 @@
+/**
+ * Tests for set-sequencer.js (recommended presentation order within a set)
+ *
+ * Covers: computeSequenceFeatures, localTransition, parseTransitionResponse,
+ * buildTransitionPrompt, findBestOrder, sequenceSet (vision and local only)
+ */
+
+import { describe, it, expect, vi, beforeAll, afterAll, beforeEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+
+const mockChat = vi.fn();
+
+vi.mock('../src/utils/api-client.js', () => ({
+  getApiClient: vi.fn(() => ({ chat: mockChat })),
+  getModelName: vi.fn((override) => override || 'llava:7b')
+}));
+
+vi.mock('../src/utils/logger.js', () => ({
+  logger: { warn: vi.fn(), debug: vi.fn(), info: vi.fn(), error: vi.fn() }
+}));
+
+import {
+  computeSequenceFeatures,
+  localTransition,
+  parseTransitionResponse,
+  buildTransitionPrompt,
+  findBestOrder,
+  sequenceSet
+} from '../src/analysis/set-sequencer.js';
+import { logger } from '../src/utils/logger.js';
+
+describe('set-sequencer', () => {
+  let testDir;
+  const paths = {};
+
+  beforeAll(async () => {
+    testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'sequencer-test-'));
+    const solid = (name, background) => {
+      paths[name] = path.join(testDir, name);
+      return sharp({ create: { width: 80, height: 60, channels: 3, background } }).jpeg().toFile(paths[name]);
+    };
+    await solid('light.jpg', { r: 230, g: 230, b: 230 });
+    await solid('mid.jpg', { r: 128, g: 128, b: 128 });
+    await solid('dark.jpg', { r: 25, g: 25, b: 25 });
+    await solid('warm.jpg', { r: 220, g: 120, b: 40 });
+
+    // Dark frame with a bright block on the right third
+    paths['weight-right.jpg'] = path.join(testDir, 'weight-right.jpg');
+    await sharp({ create: { width: 90, height: 60, channels: 3, background: { r: 20, g: 20, b: 20 } } })
+      .composite([{ input: { create: { width: 30, height: 60, channels: 3, background: { r: 250, g: 250, b: 250 } } }, left: 60, top: 0 }])
+      .jpeg()
+      .toFile(paths['weight-right.jpg']);
+  });
+
+  afterAll(() => {
+    fs.rmSync(testDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  describe('computeSequenceFeatures()', () => {
+    it('should measure tone, warmth and horizontal balance', async () => {
+      const light = await computeSequenceFeatures(paths['light.jpg']);
+      const warm = await computeSequenceFeatures(paths['warm.jpg']);
+      const right = await computeSequenceFeatures(paths['weight-right.jpg']);
+
+      expect(light.luminance).toBeGreaterThan(0.85);
+      expect(light.warmth).toBeCloseTo(0, 1);
+      expect(warm.warmth).toBeGreaterThan(0.6);
+      expect(right.balance).toBeGreaterThan(0.1);
+    });
+  });
+
+  describe('localTransition()', () => {
+    it('should prefer small tone steps and weight carried across the gap', () => {
+      const flat = { luminance: 0.5, warmth: 0, balance: 0 };
+      expect(localTransition(flat, flat)).toEqual({ score: 8.5, reason: 'similar tones' });
+
+      const jump = localTransition(flat, { luminance: 1, warmth: 0.3, balance: 0 });
+      expect(jump.score).toBe(1.5);
+      expect(jump.reason).toBe('steps brighter, warmer');
+
+      const carried = localTransition({ ...flat, balance: 0.3 }, { ...flat, balance: -0.3 });
+      expect(carried.score).toBe(10);
+      expect(carried.reason).toContain('visual weight carries across the gap');
+    });
+  });
+
+  describe('parseTransitionResponse()', () => {
+    it('should read flow, preferred order and reason', () => {
+      expect(parseTransitionResponse('FLOW: 8/10\nORDER: B-A\nREASON: The gaze leads into the street.'))
+        .toEqual({ flow: 8, order: 'BA', reason: 'The gaze leads into the street.' });
+      expect(parseTransitionResponse('**FLOW:** 6.5\nORDER: Photo A → Photo B').order).toBe('AB');
+      expect(parseTransitionResponse('no idea')).toEqual({ flow: null, order: null, reason: '' });
+    });
+
+    it('should ask for flow, order and reason in the prompt', () => {
+      const prompt = buildTransitionPrompt({ title: 'Harbour', theme: 'Water and work' });
+      expect(prompt).toContain('Harbour');
+      expect(prompt).toContain('FLOW:');
+      expect(prompt).toContain('ORDER: A-B or B-A');
+    });
+  });
+
+  describe('findBestOrder()', () => {
+    // Chain 2 -> 0 -> 3 -> 1 is the only strong path
+    const strong = new Set(['2>0', '0>3', '3>1']);
+    const transition = (i, j) => (strong.has(`${i}>${j}`) ? 9 : 3);
+
+    it('should find the best chain exactly for small sets', () => {
+      expect(findBestOrder(4, transition)).toEqual({ order: [2, 0, 3, 1], score: 9 });
+    });
+
+    it('should add a narrative-arc bonus for strong openers and closers', () => {
+      const flat = () => 5;
+      const { order } = findBestOrder(3, flat, [9, 5, 8]);
+      expect([order[0], order[2]].sort()).toEqual([0, 2]);
+    });
+
+    it('should search larger sets heuristically', () => {
+      const chain = [9, 4, 7, 1, 8, 0, 5, 2, 6, 3];
+      const next = new Map(chain.slice(0, -1).map((id, k) => [id, chain[k + 1]]));
+      const { order, score } = findBestOrder(10, (i, j) => (next.get(i) === j ? 10 : 2));
+      expect(order).toEqual(chain);
+      expect(score).toBe(10);
+    });
+  });
+
+  describe('sequenceSet()', () => {
+    const photos = () => [
+      { filename: 'dark.jpg', path: paths['dark.jpg'], score: 7 },
+      { filename: 'light.jpg', path: paths['light.jpg'], score: 8 },
+      { filename: 'mid.jpg', path: paths['mid.jpg'], score: 6 }
+    ];
+
+    it('should order by tone with local metrics when vision is off', async () => {
+      const sequence = await sequenceSet(photos(), { title: 'T' }, { vision: false });
+
+      expect(mockChat).not.toHaveBeenCalled();
+      expect(sequence.method).toBe('local');
+      expect(sequence.order[1]).toBe('mid.jpg');
+      expect(sequence.transitions).toHaveLength(2);
+      expect(sequence.pairs).toEqual([sequence.order.slice(0, 2), sequence.order.slice(2)]);
+      expect(sequence.rationale).toContain('light.jpg (strongest single image)');
+    });
+
+    it('should follow the model on which photo comes first', async () => {
+      // Pairs are asked as (0,1), (0,2), (1,2): dark/light, dark/mid, light/mid.
+      // Light leads into dark; everything else is a weak pairing.
+      mockChat
+        .mockResolvedValueOnce({ message: { content: 'FLOW: 9\nORDER: B-A\nREASON: The bright frame sets up the dark one.' } })
+        .mockResolvedValue({ message: { content: 'FLOW: 3\nORDER: A-B\nREASON: Abrupt.' } });
+
+      const sequence = await sequenceSet(photos(), { title: 'T' }, {});
+
+      expect(mockChat).toHaveBeenCalledTimes(3);
+      expect(sequence.method).toBe('vision+local');
+      expect(sequence.order.indexOf('light.jpg')).toBe(sequence.order.indexOf('dark.jpg') - 1);
+      const lightToDark = sequence.transitions.find(t => t.from === 'light.jpg');
+      expect(lightToDark.reason).toBe('The bright frame sets up the dark one.');
+    });
+
+    it('should fall back to local scores when a comparison fails', async () => {
+      mockChat.mockRejectedValue(new Error('model offline'));
+
+      const sequence = await sequenceSet(photos(), { title: 'T' }, {});
+
+      expect(sequence.method).toBe('local');
+      expect(sequence.failed).toBe(3);
+      expect(logger.warn).toHaveBeenCalled();
+      expect(sequence.order).toHaveLength(3);
+    });
+  });
+});
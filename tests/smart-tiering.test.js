@@ -459,4 +459,35 @@ describe('Smart Tiering - M3 Feature', () => {
       expect(result.tier3).toHaveLength(0);
     });
   });
+
+  describe('Lower confidence bound tiering', () => {
+    it('should classify by ci_lower when rankBy is lcb', () => {
+      const photos = [
+        { filename: 'steady.jpg', score: 8.3, ci_lower: 8.1 },
+        { filename: 'shaky.jpg', score: 8.8, ci_lower: 6.0 }
+      ];
+
+      const result = generateTiers(photos, null, { rankBy: 'lcb' });
+
+      expect(result.tier1.map(p => p.filename)).toEqual(['steady.jpg']);
+      expect(result.tier3.map(p => p.filename)).toEqual(['shaky.jpg']);
+      expect(result.tier3[0].score).toBe(8.8);
+      expect(result.tier3[0].tier_score).toBe(6.0);
+    });
+
+    it('should fall back to score when ci_lower is missing', () => {
+      const result = generateTiers([{ filename: 'single.jpg', score: 8.5 }], null, { rankBy: 'lcb' });
+
+      expect(result.tier1).toHaveLength(1);
+      expect(result.tier1[0].tier_score).toBe(8.5);
+    });
+
+    it('should ignore ci_lower in default mean mode', () => {
+      const result = generateTiers([{ filename: 'shaky.jpg', score: 8.8, ci_lower: 6.0 }]);
+
+      expect(result.tier1).toHaveLength(1);
+      expect(result.tier1[0].tier_score).toBeUndefined();
+      expect(result.summary.rank_by).toBeUndefined();
+    });
+  });
 });
@@ -13,6 +13,7 @@ import {
   saveAnalysisMemory,
   retrieveMemoryContext,
   searchMemory,
+  readJuryProfile,
   getDefaultMemoryDir,
   slugifyForFile
 } from '../src/analysis/strategic-memory.js';
@@ -220,6 +221,22 @@ describe('strategic-memory (FR-S3-1/2/3)', () => {
     });
   });
 
+  describe('readJuryProfile', () => {
+    it('should return the saved profile of a jury member', async () => {
+      await saveAnalysisMemory(baseConfig, baseResult, { _memoryDir: testDir });
+
+      const profile = readJuryProfile('Marco Delogu', { _memoryDir: testDir });
+
+      expect(profile.name).toBe('Marco Delogu');
+      expect(profile.appearances).toHaveLength(1);
+    });
+
+    it('should return null for unknown jury members', () => {
+      expect(readJuryProfile('Nobody Known', { _memoryDir: testDir })).toBeNull();
+      expect(readJuryProfile('', { _memoryDir: testDir })).toBeNull();
+    });
+  });
+
   describe('retrieveMemoryContext (FR-S3-3)', () => {
     it('should return formatted string with jury context', async () => {
       await saveAnalysisMemory(baseConfig, baseResult, { _memoryDir: testDir });
@@ -0,0 +1,105 @@
+/**
+ * Tests for structured-output.js
+ *
+ * Covers: buildScoreSchema, extractJsonText, parseStructuredResponse, toScores
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import Ajv from 'ajv';
+import {
+  buildScoreSchema,
+  extractJsonText,
+  parseStructuredResponse,
+  toScores
+} from '../src/analysis/structured-output.js';
+
+const criteria = [
+  { name: 'Composition', weight: 60 },
+  { name: 'Light', weight: 40 }
+];
+
+const valid = {
+  overall_assessment: 'Good',
+  scores: {
+    Composition: { score: 8, justification: 'Balanced' },
+    Light: { score: 6, justification: 'Flat' }
+  },
+  strengths: ['Balance'],
+  improvements: ['Wait for golden hour'],
+  recommendation: 'Maybe'
+};
+
+describe('structured-output', () => {
+  describe('buildScoreSchema()', () => {
+    it('should require every criterion with an integer 1-10 score', () => {
+      const schema = buildScoreSchema(criteria);
+      expect(schema.properties.scores.required).toEqual(['Composition', 'Light']);
+      expect(schema.properties.scores.properties.Light.properties.score).toEqual({ type: 'integer', minimum: 1, maximum: 10 });
+      expect(schema.properties.recommendation.enum).toContain('Strong Yes');
+    });
+  });
+
+  describe('extractJsonText()', () => {
+    it('should strip code fences and surrounding prose', () => {
+      expect(extractJsonText('Here you go:\n```json\n{"a": 1}\n```\nThanks')).toBe('{"a": 1}');
+    });
+
+    it('should return null when there is no object', () => {
+      expect(extractJsonText('SCORE: Light: 6/10')).toBeNull();
+    });
+  });
+
+  describe('parseStructuredResponse()', () => {
+    const schema = buildScoreSchema(criteria);
+
+    it('should accept valid JSON', () => {
+      const result = parseStructuredResponse(JSON.stringify(valid), schema);
+      expect(result).toMatchObject({ valid: true, parsePath: 'json', errors: [] });
+    });
+
+    it('should repair trailing commas', () => {
+      const text = JSON.stringify(valid).replace('"Balance"]', '"Balance",]');
+      const result = parseStructuredResponse(text, schema);
+      expect(result.valid).toBe(true);
+      expect(result.parsePath).toBe('repaired');
+    });
+
+    it('should report missing criteria as schema errors', () => {
+      const partial = { ...valid, scores: { Composition: valid.scores.Composition } };
+      const result = parseStructuredResponse(JSON.stringify(partial), schema);
+      expect(result.valid).toBe(false);
+      expect(result.errors.join(' ')).toContain("must have required property 'Light'");
+    });
+
+    it('should compile each criteria set once across freshly built schemas', () => {
+      const compile = vi.spyOn(Ajv.prototype, 'compile');
+      const fresh = [{ name: 'Cache Check', weight: 100 }];
+      const reply = JSON.stringify({ ...valid, scores: { 'Cache Check': { score: 7, justification: 'Fine' } } });
+      try {
+        for (let i = 0; i < 3; i++) {
+          expect(parseStructuredResponse(reply, buildScoreSchema(fresh)).valid).toBe(true);
+        }
+        expect(compile).toHaveBeenCalledTimes(1);
+      } finally {
+        compile.mockRestore();
+      }
+    });
+
+    it('should report responses without JSON', () => {
+      const result = parseStructuredResponse('I cannot see the image.', schema);
+      expect(result.valid).toBe(false);
+      expect(result.errors).toEqual(['Response contains no JSON object']);
+    });
+  });
+
+  describe('toScores()', () => {
+    it('should produce the standard scores shape with parse paths', () => {
+      const scores = toScores(valid, criteria, 'json', 'raw');
+      expect(scores.individual.Composition).toEqual({ score: 8, weight: 60, reasoning: 'Balanced', parsePath: 'json' });
+      expect(scores.summary.weighted_average).toBe(7.2);
+      expect(scores.summary.average).toBe(7);
+      expect(scores.summary.recommendation).toBe('Maybe');
+      expect(scores.full_analysis).toBe('raw');
+    });
+  });
+});
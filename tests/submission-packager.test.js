@@ -0,0 +1,240 @@
+/**
+ * Tests for submission-packager.js (package command)
+ *
+ * Covers: slugifyFilenamePart, formatSubmissionFilename, selectSubmissionPhotos,
+ * fitToFileSize, buildSubmissionPackage (including the image rules)
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  slugifyFilenamePart,
+  formatSubmissionFilename,
+  selectSubmissionPhotos,
+  fitToFileSize,
+  buildSubmissionPackage
+} from '../src/processing/submission-packager.js';
+import { readIccDescription } from '../src/processing/submission-validator.js';
+
+// Random pixels compress badly, so small size limits actually bite
+const noise = (width, height) => sharp(
+  Buffer.from(Array.from({ length: width * height * 3 }, () => Math.floor(Math.random() * 256))),
+  { raw: { width, height, channels: 3 } }
+);
+
+// Names of the entries in a ZIP, from its central directory
+function zipEntryNames(zip) {
+  const end = zip.length - 22;
+  let at = zip.readUInt32LE(end + 16);
+  const names = [];
+  for (let i = 0; i < zip.readUInt16LE(end + 10); i++) {
+    const nameLength = zip.readUInt16LE(at + 28);
+    names.push(zip.toString('utf8', at + 46, at + 46 + nameLength));
+    at += 46 + nameLength;
+  }
+  return names;
+}
+
+describe('submission-packager', () => {
+  describe('slugifyFilenamePart() / formatSubmissionFilename()', () => {
+    it('should strip accents and unsafe characters', () => {
+      expect(slugifyFilenamePart('Blue Hour à Genève!')).toBe('Blue-Hour-a-Geneve');
+      expect(slugifyFilenamePart('  ../etc/passwd ')).toBe('etc-passwd');
+      expect(slugifyFilenamePart(null)).toBe('');
+      expect(slugifyFilenamePart('x'.repeat(80))).toHaveLength(60);
+    });
+
+    it('should fill the pattern and drop empty fields with their separator', () => {
+      expect(formatSubmissionFilename('{rank}_{surname}_{title}', { rank: '01', surname: 'Rossi', title: 'Blue Hour' }, 'jpg'))
+        .toBe('01_Rossi_Blue-Hour.jpg');
+      expect(formatSubmissionFilename('{rank}_{surname}_{title}', { rank: '02', surname: 'Rossi', title: '' }, 'png'))
+        .toBe('02_Rossi.png');
+      expect(formatSubmissionFilename('{call} - {original}', { call: 'Harbour Lights', original: 'IMG_001' }, 'jpg'))
+        .toBe('Harbour-Lights-IMG_001.jpg');
+      expect(() => formatSubmissionFilename('{rank}_{name}', { rank: '01' }, 'jpg')).toThrow('Unknown filename field {name}');
+      expect(() => formatSubmissionFilename('{title}', { title: '' }, 'jpg')).toThrow('gives an empty name');
+    });
+  });
+
+  describe('selectSubmissionPhotos()', () => {
+    const ranking = [
+      { rank: 1, photo: '/p/a.jpg', overall_score: 9 },
+      { rank: 2, photo: '/p/b.jpg', overall_score: 8 },
+      { rank: 3, photo: '/p/c.jpg', overall_score: 7 }
+    ];
+    const texts = [{ photo: 'b.jpg', title: 'Dusk', description: 'Boats' }, { photo: 'a.jpg', error: 'timeout' }];
+
+    it('should take the top N with titles and descriptions', () => {
+      const result = selectSubmissionPhotos({ ranking, texts }, { top: 2 });
+      expect(result.data).toEqual([
+        { filename: 'a.jpg', analysisRank: 1, score: 9, title: null, description: null },
+        { filename: 'b.jpg', analysisRank: 2, score: 8, title: 'Dusk', description: 'Boats' }
+      ]);
+    });
+
+    it('should take a suggested set in presentation order, by group when grouped', () => {
+      const set = { rank: 1, suggestedOrder: [2, 1], photos: [{ filename: 'a.jpg' }, { filename: 'c.jpg' }] };
+      expect(selectSubmissionPhotos({ ranking, sets: { ranking: [set] } }, { set: 1 }).data.map(p => p.filename)).toEqual(['c.jpg', 'a.jpg']);
+
+      const grouped = { groups: [{ name: 'Harbour', ranking: [set] }, { name: 'Market', ranking: [] }] };
+      expect(selectSubmissionPhotos({ ranking, sets: grouped }, { set: 1 }).error).toBe('Choose a group: Harbour, Market');
+      expect(selectSubmissionPhotos({ ranking, sets: grouped }, { set: 1, group: 'Harbour' }).success).toBe(true);
+      expect(selectSubmissionPhotos({ ranking, sets: grouped }, { set: 1, group: 'Market' }).error).toBe('No suggested set #1');
+      expect(selectSubmissionPhotos({ ranking }, { set: 1 }).error).toContain('No set analysis found');
+    });
+
+    it('should take an explicit list and reject ambiguous or duplicate choices', () => {
+      const result = selectSubmissionPhotos({ ranking: [] }, { photos: ['photos/z.jpg', 'b.jpg'] });
+      expect(result.data.map(p => [p.filename, p.analysisRank])).toEqual([['z.jpg', null], ['b.jpg', null]]);
+      expect(selectSubmissionPhotos({ ranking }, { photos: ['a.jpg', 'a.jpg'] }).error).toBe('Photo chosen twice: a.jpg');
+      expect(selectSubmissionPhotos({ ranking }, { top: 2, photos: ['a.jpg'] }).error).toContain('exactly one');
+      expect(selectSubmissionPhotos({ ranking: [] }, { top: 2 }).error).toContain('Run "analyze" first');
+    });
+  });
+
+  describe('fitToFileSize()', () => {
+    it('should lower quality, then dimensions, to fit the limit', async () => {
+      const input = await noise(600, 400).jpeg({ quality: 98 }).toBuffer();
+
+      const fitted = await fitToFileSize(input, { format: 'jpg', maxBytes: 60 * 1024, minEdge: 100 });
+      expect(fitted.data.length).toBeLessThanOrEqual(60 * 1024);
+      expect(fitted.resized).toBe(true);
+      expect(fitted.quality).toBeGreaterThanOrEqual(62);
+      expect(Math.max(fitted.width, fitted.height)).toBeLessThan(600);
+      expect((await sharp(fitted.data).metadata()).format).toBe('jpeg');
+
+      const webp = await fitToFileSize(input, { format: 'webp' });
+      expect(webp).toMatchObject({ width: 600, height: 400, quality: 92, resized: false });
+      expect((await sharp(webp.data).metadata()).format).toBe('webp');
+
+      expect(await fitToFileSize(input, { format: 'jpg', maxBytes: 10 * 1024, minEdge: 500 })).toBeNull();
+    });
+
+    it('should cap the long edge, convert to sRGB and write the DPI', async () => {
+      const input = await noise(900, 600).withIccProfile('p3').jpeg().toBuffer();
+      const fitted = await fitToFileSize(input, { format: 'jpg', maxEdge: 450, srgb: true, density: 300 });
+      expect(fitted).toMatchObject({ width: 450, height: 300, resized: true });
+
+      const meta = await sharp(fitted.data).metadata();
+      expect(meta).toMatchObject({ width: 450, height: 300, density: 300, space: 'srgb' });
+      expect(readIccDescription(meta.icc)).toMatch(/srgb/i);
+    });
+  });
+
+  describe('buildSubmissionPackage()', () => {
+    let projectDir;
+
+    beforeEach(async () => {
+      projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'package-test-'));
+      fs.mkdirSync(path.join(projectDir, 'photos'));
+      await noise(700, 500).jpeg({ quality: 98 }).toFile(path.join(projectDir, 'photos', 'harbour.jpg'));
+      await noise(300, 400).png().toFile(path.join(projectDir, 'photos', 'market.png'));
+      await sharp({ create: { width: 200, height: 100, channels: 3, background: '#336699' } })
+        .jpeg().toFile(path.join(projectDir, 'photos', 'small.jpg'));
+    });
+
+    afterEach(() => {
+      fs.rmSync(projectDir, { recursive: true, force: true });
+    });
+
+    const photos = [
+      { filename: 'harbour.jpg', analysisRank: 1, score: 9, title: 'Blue Hour à Genève', description: 'Boats at dusk' },
+      { filename: 'market.png', analysisRank: 2, score: 8, title: null, description: null },
+      { filename: 'small.jpg', analysisRank: 3, score: 7, title: 'Square', description: null }
+    ];
+    const config = { title: 'Harbour Lights', submissionRules: { maxPhotos: 3, requiredFormat: 'jpg', maxSizeMB: 0.1 } };
+
+    it('should conform, rename and zip the photos with a manifest', async () => {
+      const outputDir = path.join(projectDir, 'submission');
+      const result = await buildSubmissionPackage({ projectDir, config, photos, outputDir, surname: 'Rossi', minEdge: 100 });
+
+      expect(result.success).toBe(true);
+      expect(result.warnings).toEqual([expect.stringContaining('market.png: no generated title')]);
+      expect(result.data.zipPath).toBe(path.join(outputDir, `${path.basename(projectDir)}-submission.zip`));
+
+      const { manifest } = result.data;
+      expect(manifest.photos.map(p => p.file)).toEqual(['01_Rossi_Blue-Hour-a-Geneve.jpg', '02_Rossi_market.jpg', '03_Rossi_Square.jpg']);
+      expect(manifest.photos[0]).toMatchObject({ original: 'harbour.jpg', title: 'Blue Hour à Genève', description: 'Boats at dusk', copied: false });
+      expect(manifest.photos[2]).toMatchObject({ copied: true, width: 200, height: 100 });
+      expect(manifest.photos.every(p => p.sizeBytes <= 0.1 * 1024 * 1024)).toBe(true);
+      expect(manifest.rules).toEqual({ format: 'jpg', maxSizeMB: 0.1, maxPhotos: 3 });
+
+      const zip = fs.readFileSync(result.data.zipPath);
+      expect(zipEntryNames(zip)).toEqual([...manifest.photos.map(p => p.file), 'manifest.json']);
+      expect(JSON.parse(fs.readFileSync(result.data.manifestPath, 'utf8'))).toEqual(manifest);
+      expect(manifest.photos[2].sizeBytes).toBe(fs.statSync(path.join(projectDir, 'photos', 'small.jpg')).size);
+    });
+
+    it('should refuse to build when the rules cannot be met', async () => {
+      const outputDir = path.join(projectDir, 'submission');
+      const result = await buildSubmissionPackage({
+        projectDir,
+        config: { title: 'Harbour Lights', submissionRules: { maxPhotos: 2, requiredFormat: 'jpg', maxSizeMB: 0.1, deadline: '2020-01-01' } },
+        photos: [...photos, { filename: 'missing.jpg', title: 'Gone' }],
+        outputDir,
+        minEdge: 690
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.problems).toEqual(expect.arrayContaining([
+        '4 photos chosen, the call allows at most 2',
+        'The deadline 2020-01-01 has passed',
+        'The filename pattern "{rank}_{surname}_{title}" uses {surname}: pass a surname',
+        'missing.jpg: not found in photos/',
+        'harbour.jpg: cannot fit 0.1 MB as JPG without going below 690px on the long edge'
+      ]));
+      expect(fs.existsSync(outputDir)).toBe(false);
+    });
+
+    it('should resize, convert to sRGB and set the DPI the call asks for', async () => {
+      await noise(900, 600).withIccProfile('p3').jpeg({ quality: 90 }).toFile(path.join(projectDir, 'photos', 'wide.jpg'));
+      const result = await buildSubmissionPackage({
+        projectDir,
+        config: { title: 'Harbour Lights', submissionRules: { requiredFormat: 'jpg', maxLongEdge: 600, colorSpace: 'sRGB', dpi: 300, minShortEdge: 100 } },
+        photos: [{ ...photos[2] }, { filename: 'wide.jpg', title: 'Wide' }],
+        outputDir: path.join(projectDir, 'out'),
+        surname: 'Rossi'
+      });
+
+      expect(result.success).toBe(true);
+      const [small, wide] = result.data.manifest.photos;
+      expect(small).toMatchObject({ copied: false, resized: false, fixes: ['setDensity'] });
+      expect(wide).toMatchObject({ width: 600, height: 400, resized: true, fixes: ['resize', 'convertColorSpace', 'setDensity'] });
+      expect(result.data.manifest.rules).toMatchObject({ maxLongEdge: 600, colorSpace: 'sRGB', dpi: 300 });
+
+      expect(zipEntryNames(fs.readFileSync(result.data.zipPath))).toEqual(['01_Rossi_Square.jpg', '02_Rossi_Wide.jpg', 'manifest.json']);
+    });
+
+    it('should refuse photos too small or of the wrong shape and warn about frames', async () => {
+      const inner = await noise(160, 60).png().toBuffer();
+      await sharp({ create: { width: 200, height: 100, channels: 3, background: '#ffffff' } })
+        .composite([{ input: inner, left: 20, top: 20 }]).jpeg().toFile(path.join(projectDir, 'photos', 'framed.jpg'));
+      const result = await buildSubmissionPackage({
+        projectDir,
+        config: { title: 'Harbour Lights', submissionRules: { aspectRatio: '1:1', minLongEdge: 400, noBorders: true } },
+        photos: [photos[0], { filename: 'framed.jpg', title: 'Framed' }],
+        outputDir: path.join(projectDir, 'out'),
+        surname: 'Rossi'
+      });
+
+      expect(result.success).toBe(false);
+      expect(result.problems).toEqual([
+        'harbour.jpg: aspectRatio expects 1:1, got 700×500 (1.40:1)',
+        'framed.jpg: minLongEdge expects at least 400px on the long edge, got 200px',
+        'framed.jpg: aspectRatio expects 1:1, got 200×100 (2.00:1)'
+      ]);
+      expect(result.warnings).toEqual([expect.stringMatching(/^framed\.jpg: noBorders — uniform frame/)]);
+    });
+
+    it('should refuse names that collide under the pattern', async () => {
+      const result = await buildSubmissionPackage({
+        projectDir, config: { title: 'Harbour Lights' }, photos: [photos[0], { ...photos[2], title: 'Blue Hour à Genève' }],
+        outputDir: path.join(projectDir, 'out'), pattern: '{title}'
+      });
+      expect(result.problems).toEqual(['harbour.jpg and small.jpg would both be named Blue-Hour-a-Geneve.jpg']);
+    });
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Tests for submission-tracker.js (track, calendar and history commands)
+ *
+ * Covers: loadTracker, updateTracker (incl. winner-manager feed), buildCalendar, summarizeHistory
+ */
+
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import {
+  loadTracker,
+  updateTracker,
+  buildCalendar,
+  summarizeHistory
+} from '../src/processing/submission-tracker.js';
+import { loadWinners } from '../src/analysis/winner-manager.js';
+
+const tracker = (overrides) => ({ status: 'planning', photos: [], fee: null, submittedAt: null, result: '', history: [], ...overrides });
+
+describe('submission-tracker', () => {
+  let projectDir;
+
+  beforeEach(() => {
+    projectDir = fs.mkdtempSync(path.join(os.tmpdir(), 'tracker-test-'));
+  });
+
+  afterEach(() => {
+    fs.rmSync(projectDir, { recursive: true, force: true });
+  });
+
+  describe('loadTracker()', () => {
+    it('should default untracked projects to planning', () => {
+      expect(loadTracker(projectDir)).toMatchObject({ status: 'planning', photos: [], fee: null, history: [] });
+    });
+  });
+
+  describe('updateTracker()', () => {
+    it('should mark a project submitted when photos are recorded', () => {
+      const result = updateTracker(projectDir, { photos: ['a.jpg', 'b.jpg', 'a.jpg'], fee: 25, currency: 'EUR' }, { date: '2026-10-01' });
+
+      expect(result.success).toBe(true);
+      const record = loadTracker(projectDir);
+      expect(record.status).toBe('submitted');
+      expect(record.submittedAt).toBe('2026-10-01');
+      expect(record.fee).toEqual({ amount: 25, currency: 'EUR' });
+      expect(record.photos.map(p => p.filename)).toEqual(['a.jpg', 'b.jpg']);
+      expect(record.history).toEqual([{ status: 'submitted', date: '2026-10-01' }]);
+    });
+
+    it('should tag won photos in winner-manager once, with their latest scores', () => {
+      const scores = { individual: { Theme: { score: 9, weight: 100 } }, summary: { weighted_average: 9 } };
+      fs.mkdirSync(path.join(projectDir, 'results', 'latest'), { recursive: true });
+      fs.writeFileSync(path.join(projectDir, 'results', 'latest', 'batch-results.json'),
+        JSON.stringify({ results: [{ success: true, photo: '/x/photos/a.jpg', scores }] }));
+      updateTracker(projectDir, { photos: ['a.jpg', 'b.jpg'] }, { date: '2026-10-01' });
+
+      const result = updateTracker(projectDir, { won: ['a.jpg'], placement: '2nd' }, { date: '2026-11-15', competition: 'Harbour Lights' });
+
+      expect(result.taggedWinners).toEqual(['a.jpg']);
+      expect(result.data.status).toBe('won');
+      expect(result.data.submittedAt).toBe('2026-10-01');
+      expect(result.data.photos[0]).toEqual({ filename: 'a.jpg', outcome: 'won', placement: '2nd' });
+      expect(loadWinners(projectDir)).toMatchObject([
+        { filename: 'a.jpg', placement: '2nd', competition: 'Harbour Lights', scores }
+      ]);
+
+      expect(updateTracker(projectDir, { result: 'Exhibited in May' }).taggedWinners).toEqual([]);
+      expect(loadWinners(projectDir)).toHaveLength(1);
+    });
+
+    it('should reject invalid updates without saving', () => {
+      expect(updateTracker(projectDir, { status: 'lost' }).error).toContain('Unknown status "lost"');
+      expect(updateTracker(projectDir, { submittedAt: '01/10/2026' }).error).toContain('Invalid submission date');
+      expect(updateTracker(projectDir, { fee: -5 }).error).toContain('non-negative');
+      expect(updateTracker(projectDir, { won: ['a.jpg'] }).error).toBe('Not among the submitted photos: a.jpg');
+      expect(fs.existsSync(path.join(projectDir, 'tracker'))).toBe(false);
+    });
+  });
+
+  describe('buildCalendar()', () => {
+    it('should sort by deadline, drop closed calls and put undated calls last', () => {
+      const projects = [
+        { name: 'undated', config: {}, tracker: tracker() },
+        { name: 'later', config: { title: 'Later', submissionRules: { deadline: '2999-06-01' } }, tracker: tracker({ status: 'submitted' }) },
+        { name: 'closed', config: { submissionRules: { deadline: '2000-01-01' } }, tracker: tracker() },
+        { name: 'sooner', config: { submissionRules: { deadline: '2999-01-01' } }, tracker: tracker() }
+      ];
+
+      const calendar = buildCalendar(projects);
+      expect(calendar.map(entry => entry.name)).toEqual(['sooner', 'later', 'undated']);
+      expect(calendar[1]).toMatchObject({ title: 'Later', status: 'submitted', deadline: '2999-06-01' });
+      expect(calendar[2]).toMatchObject({ deadline: null, daysRemaining: null });
+      expect(buildCalendar(projects, { includePast: true })[0].name).toBe('closed');
+    });
+  });
+
+  describe('summarizeHistory()', () => {
+    it('should compute acceptance rates and fees per currency', () => {
+      const photo = (filename, outcome = null) => ({ filename, outcome, placement: '' });
+      const summary = summarizeHistory([
+        { name: 'a', tracker: tracker({ status: 'won', photos: [photo('1.jpg', 'won'), photo('2.jpg')], fee: { amount: 25, currency: 'EUR' } }) },
+        { name: 'b', tracker: tracker({ status: 'rejected', photos: [photo('3.jpg')], fee: { amount: 12.5, currency: 'EUR' } }) },
+        { name: 'c', tracker: tracker({ status: 'shortlisted', photos: [photo('4.jpg', 'shortlisted')], fee: { amount: 30, currency: 'USD' } }) },
+        { name: 'd', tracker: tracker({ status: 'submitted', photos: [photo('5.jpg')] }) }
+      ]);
+
+      expect(summary).toEqual({
+        calls: 4,
+        byStatus: { planning: 0, submitted: 1, shortlisted: 1, won: 1, rejected: 1 },
+        decided: 3,
+        acceptanceRate: 0.67,
+        winRate: 0.33,
+        photos: { submitted: 5, shortlisted: 1, won: 1 },
+        fees: { EUR: 37.5, USD: 30 }
+      });
+      expect(summarizeHistory([]).acceptanceRate).toBeNull();
+    });
+  });
+});
@@ -2,10 +2,17 @@ import { describe, it, expect, beforeEach, afterEach } from 'vitest';
 import { mkdirSync, writeFileSync, rmSync, statSync } from 'fs';
 import { join } from 'path';
 import os from 'os';
+import sharp from 'sharp';
 import {
   checkPhotoCount,
   checkDeadline,
-  validateSubmission
+  validateSubmission,
+  parseAspectRatio,
+  readIccDescription,
+  readImageProperties,
+  checkImageRules,
+  describeFixAction,
+  validateSubmissionImages
 } from '../src/processing/submission-validator.js';
 
 describe('Submission Validator (FR-4.3)', () => {
@@ -286,4 +293,118 @@ describe('Submission Validator (FR-4.3)', () => {
       expect(violation).toHaveProperty('severity');
     });
   });
+
+  describe('image rules', () => {
+    const flat = (width, height, background = '#336699') =>
+      sharp({ create: { width, height, channels: 3, background } });
+
+    // Textured picture inside a plain white frame of the given width
+    async function framed(file, width, height, frame) {
+      const inner = Buffer.from(Array.from({ length: (width - 2 * frame) * (height - 2 * frame) * 3 }, (_, i) => (i * 37) % 200));
+      const picture = await sharp(inner, { raw: { width: width - 2 * frame, height: height - 2 * frame, channels: 3 } }).png().toBuffer();
+      await flat(width, height, '#ffffff').composite([{ input: picture, left: frame, top: frame }]).jpeg().toFile(file);
+    }
+
+    it('should parse aspect ratios regardless of orientation', () => {
+      expect(parseAspectRatio('3:2')).toBe(1.5);
+      expect(parseAspectRatio('2:3')).toBe(1.5);
+      expect(parseAspectRatio('1:1')).toBe(1);
+      expect(parseAspectRatio('16 : 9')).toBeCloseTo(1.778, 3);
+      expect(parseAspectRatio('square')).toBeNull();
+      expect(parseAspectRatio('0:1')).toBeNull();
+    });
+
+    it('should read size, colour profile, DPI and frames with sharp', async () => {
+      await flat(300, 200).withMetadata({ density: 300 }).withIccProfile('p3').jpeg().toFile(join(photosDir, 'p3.jpg'));
+      await flat(300, 200).jpeg().toFile(join(photosDir, 'plain.jpg'));
+      await framed(join(photosDir, 'framed.jpg'), 400, 300, 40);
+
+      const p3 = await readImageProperties(join(photosDir, 'p3.jpg'));
+      expect(p3).toMatchObject({ width: 300, height: 200, format: 'jpeg', density: 300, border: null });
+      expect(p3.iccProfile).not.toMatch(/srgb/i);
+
+      const plain = await readImageProperties(join(photosDir, 'plain.jpg'), { borders: true });
+      expect(plain).toMatchObject({ iccProfile: null, space: 'srgb', border: null });
+
+      const frame = (await readImageProperties(join(photosDir, 'framed.jpg'), { borders: true })).border;
+      for (const side of ['top', 'right', 'bottom', 'left']) {
+        expect(frame[side]).toBeGreaterThanOrEqual(30);
+        expect(frame[side]).toBeLessThanOrEqual(42);
+      }
+    });
+
+    it('should read v2 and v4 ICC descriptions', async () => {
+      const srgb = await flat(8, 8).withIccProfile('srgb').jpeg().toBuffer();
+      expect(readIccDescription((await sharp(srgb).metadata()).icc)).toMatch(/srgb/i);
+      expect(readIccDescription(Buffer.alloc(10))).toBeNull();
+    });
+
+    it('should leave the profile buffer untouched when reading a v4 description', async () => {
+      const { icc } = await sharp(await flat(8, 8).withIccProfile('srgb').jpeg().toBuffer()).metadata();
+      expect(icc.toString('latin1', 36, 40)).toBe('acsp');
+      const copy = Buffer.from(icc);
+      const first = readIccDescription(icc);
+      expect(first).toMatch(/srgb/i);
+      expect(readIccDescription(icc)).toBe(first);
+      expect(icc.equals(copy)).toBe(true);
+    });
+
+    it('should report each rule with the fix the package command applies', () => {
+      const props = { width: 6000, height: 4000, format: 'jpeg', space: 'cmyk', iccProfile: null, density: 72, border: { top: 20, right: 20, bottom: 20, left: 20 } };
+      const violations = checkImageRules(props, {
+        maxLongEdge: 4000, minShortEdge: 4500, aspectRatio: '1:1', colorSpace: 'sRGB', dpi: 300, noBorders: true
+      });
+
+      expect(violations.map(v => [v.rule, v.severity, v.fix?.type ?? null])).toEqual([
+        ['maxLongEdge', 'ERROR', 'resize'],
+        ['minShortEdge', 'ERROR', null],
+        ['aspectRatio', 'ERROR', null],
+        ['colorSpace', 'ERROR', 'convertColorSpace'],
+        ['dpi', 'ERROR', 'setDensity'],
+        ['noBorders', 'WARNING', null]
+      ]);
+      expect(violations[2].actual).toBe('6000×4000 (1.50:1)');
+      expect(violations.filter(v => v.fix).map(v => describeFixAction(v.fix))).toEqual([
+        'resize to 4000px on the long edge', 'convert to sRGB', 'set 300 DPI'
+      ]);
+    });
+
+    it('should accept any listed ratio within the tolerance and tagged sRGB', () => {
+      const props = { width: 1000, height: 1505, format: 'jpeg', space: 'srgb', iccProfile: 'sRGB IEC61966-2.1', density: 300, border: null };
+      const rules = { maxLongEdge: 2000, minLongEdge: 1000, aspectRatio: ['1:1', '3:2'], colorSpace: 'sRGB', dpi: 300 };
+      expect(checkImageRules(props, rules)).toEqual([]);
+      expect(checkImageRules(props, { ...rules, aspectRatioTolerance: 0 })[0].rule).toBe('aspectRatio');
+      expect(checkImageRules({ ...props, iccProfile: 'Display P3' }, rules)[0]).toMatchObject({ rule: 'colorSpace', actual: 'Display P3' });
+      expect(checkImageRules({ ...props, density: null }, rules)[0]).toMatchObject({ rule: 'dpi', actual: 'not set' });
+    });
+
+    it('should validate the photos folder into violations and a fix plan', async () => {
+      await flat(3000, 2000).jpeg().toFile(join(photosDir, 'large.jpg'));
+      await flat(800, 800).withMetadata({ density: 300 }).jpeg().toFile(join(photosDir, 'square.jpg'));
+      writeFileSync(join(photosDir, 'broken.jpg'), Buffer.alloc(64));
+
+      const result = await validateSubmissionImages(testDir, {
+        title: 'Test Call',
+        submissionRules: { maxLongEdge: 2000, aspectRatio: '3:2', dpi: 300, noWatermarks: true }
+      });
+
+      expect(result.passed).toBe(false);
+      expect(result.violations.map(v => [v.photo, v.rule])).toEqual([
+        ['broken.jpg', 'readable'],
+        ['large.jpg', 'maxLongEdge'],
+        ['large.jpg', 'dpi'],
+        ['square.jpg', 'aspectRatio']
+      ]);
+      expect(result.fixPlan).toEqual([
+        { photo: 'large.jpg', actions: [{ type: 'resize', maxLongEdge: 2000 }, { type: 'setDensity', dpi: 300 }] }
+      ]);
+      expect(result.manualChecks).toEqual([expect.stringContaining('noWatermarks')]);
+    });
+
+    it('should skip decoding when no image rule is set', async () => {
+      createPhotos(2);
+      const result = await validateSubmissionImages(testDir, { title: 'Test Call', submissionRules: { maxPhotos: 5 } });
+      expect(result).toEqual({ passed: true, violations: [], fixPlan: [], manualChecks: [] });
+    });
+  });
 });
@@ -0,0 +1,295 @@
+/**
+ * Tests for technical-metrics.js (local sharp-based image metrics)
+ *
+ * Covers: laplacianVariance, clippingPercentages, estimateNoise,
+ * dynamicRange, colourfulness, detectHorizonTilt, metricsToScore,
+ * computeTechnicalMetrics, resolveTechnicalMetricsConfig, blendTechnicalScore
+ */
+
+import { describe, it, expect, beforeAll, afterAll } from 'vitest';
+import fs from 'fs';
+import path from 'path';
+import os from 'os';
+import sharp from 'sharp';
+import {
+  toLuminance,
+  laplacianVariance,
+  clippingPercentages,
+  estimateNoise,
+  dynamicRange,
+  colourfulness,
+  detectHorizonTilt,
+  metricsToScore,
+  computeTechnicalMetrics,
+  computeTechnicalMetricsSafe,
+  resolveTechnicalMetricsConfig,
+  blendTechnicalScore
+} from '../src/analysis/technical-metrics.js';
+
+const W = 200;
+const H = 120;
+
+function grayImage(fn) {
+  const gray = new Float32Array(W * H);
+  for (let y = 0; y < H; y++) {
+    for (let x = 0; x < W; x++) gray[y * W + x] = fn(x, y);
+  }
+  return gray;
+}
+
+function rgbImage(fn, width = W, height = H) {
+  const rgb = Buffer.alloc(width * height * 3);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      rgb.set(fn(x, y), (y * width + x) * 3);
+    }
+  }
+  return rgb;
+}
+
+// Deterministic pseudo-random noise
+function lcg(seed) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return state / 2147483647;
+  };
+}
+
+const checker = (x, y) => (((x >> 2) + (y >> 2)) % 2 ? 220 : 30);
+
+const baseMetrics = {
+  sharpness: 800,
+  highlight_clipping: 0,
+  shadow_clipping: 0,
+  noise: 1,
+  dynamic_range: 7,
+  colourfulness: 30,
+  horizon_tilt: null
+};
+
+describe('technical-metrics', () => {
+  describe('laplacianVariance()', () => {
+    it('should be zero for a flat image and high for fine detail', () => {
+      expect(laplacianVariance(grayImage(() => 128), W, H)).toBe(0);
+      expect(laplacianVariance(grayImage(checker), W, H)).toBeGreaterThan(1000);
+    });
+
+    it('should drop for a smooth gradient compared with hard edges', () => {
+      const smooth = laplacianVariance(grayImage(x => x), W, H);
+      const sharp = laplacianVariance(grayImage(x => (x % 20 < 10 ? 0 : 255)), W, H);
+      expect(smooth).toBeLessThan(1);
+      expect(sharp).toBeGreaterThan(smooth);
+    });
+  });
+
+  describe('clippingPercentages()', () => {
+    it('should count blown highlights and blocked shadows', () => {
+      const gray = grayImage(x => (x < W / 4 ? 255 : x < W / 2 ? 0 : 128));
+      const { highlight, shadow } = clippingPercentages(gray);
+      expect(highlight).toBeCloseTo(25);
+      expect(shadow).toBeCloseTo(25);
+    });
+  });
+
+  describe('estimateNoise()', () => {
+    it('should be near zero for clean images and grow with noise', () => {
+      const random = lcg(7);
+      const clean = estimateNoise(grayImage(x => x), W, H);
+      const noisy = estimateNoise(grayImage(() => 128 + (random() - 0.5) * 40), W, H);
+      expect(clean).toBeLessThan(0.1);
+      expect(noisy).toBeGreaterThan(5);
+    });
+  });
+
+  describe('dynamicRange()', () => {
+    it('should measure stops between the tonal extremes', () => {
+      expect(dynamicRange(grayImage(() => 100))).toBe(0);
+      expect(dynamicRange(grayImage(x => (x < W / 2 ? 0 : 255)))).toBeCloseTo(8);
+    });
+  });
+
+  describe('colourfulness()', () => {
+    it('should be zero for greyscale and positive for saturated colour', () => {
+      expect(colourfulness(rgbImage(() => [90, 90, 90]))).toBe(0);
+      expect(colourfulness(rgbImage(x => (x < W / 2 ? [230, 20, 20] : [20, 20, 230])))).toBeGreaterThan(80);
+    });
+  });
+
+  describe('detectHorizonTilt()', () => {
+    const horizon = degrees => grayImage((x, y) => {
+      const lineY = H / 2 - (x - W / 2) * Math.tan(degrees * Math.PI / 180);
+      return y < lineY ? 200 : 60;
+    });
+
+    it('should measure a tilted horizon (positive rises to the right)', () => {
+      expect(detectHorizonTilt(horizon(4), W, H).tilt).toBeCloseTo(4, 0);
+      expect(detectHorizonTilt(horizon(-2.5), W, H).tilt).toBeCloseTo(-2.5, 0);
+    });
+
+    it('should report a level horizon as zero', () => {
+      const result = detectHorizonTilt(horizon(0), W, H);
+      expect(result.tilt).toBe(0);
+      expect(result.coverage).toBeGreaterThan(0.9);
+    });
+
+    it('should return null without a strong near-horizontal line', () => {
+      expect(detectHorizonTilt(grayImage(() => 128), W, H)).toBeNull();
+      expect(detectHorizonTilt(grayImage(x => (x < W / 2 ? 200 : 60)), W, H)).toBeNull();
+    });
+  });
+
+  describe('metricsToScore()', () => {
+    it('should give clean, sharp, level photos a high score', () => {
+      expect(metricsToScore(baseMetrics)).toBe(10);
+    });
+
+    it('should penalise blur, clipping, noise and tilt', () => {
+      const good = metricsToScore(baseMetrics);
+      expect(metricsToScore({ ...baseMetrics, sharpness: 5 })).toBeLessThan(good);
+      expect(metricsToScore({ ...baseMetrics, highlight_clipping: 15 })).toBeLessThan(good);
+      expect(metricsToScore({ ...baseMetrics, noise: 12 })).toBeLessThan(good);
+      expect(metricsToScore({ ...baseMetrics, horizon_tilt: 6 })).toBeLessThan(good);
+    });
+
+    it('should stay within 1-10', () => {
+      const worst = metricsToScore({
+        sharpness: 0, highlight_clipping: 100, shadow_clipping: 100, noise: 50,
+        dynamic_range: 0, colourfulness: 0, horizon_tilt: 15
+      });
+      expect(worst).toBe(1);
+    });
+  });
+
+  describe('computeTechnicalMetrics()', () => {
+    let testDir;
+
+    beforeAll(() => {
+      testDir = fs.mkdtempSync(path.join(os.tmpdir(), 'metrics-test-'));
+    });
+
+    afterAll(() => {
+      fs.rmSync(testDir, { recursive: true, force: true });
+    });
+
+    async function writePng(name, rgb, width = W, height = H) {
+      const file = path.join(testDir, name);
+      await sharp(rgb, { raw: { width, height, channels: 3 } }).png().toFile(file);
+      return file;
+    }
+
+    it('should compute every metric for a real image', async () => {
+      const file = await writePng('horizon.png', rgbImage((x, y) => {
+        const lineY = H / 2 - (x - W / 2) * Math.tan(3 * Math.PI / 180);
+        return y < lineY ? [150, 180, 230] : [60, 80, 40];
+      }));
+
+      const metrics = await computeTechnicalMetrics(file);
+
+      expect(metrics).toMatchObject({
+        highlight_clipping: 0,
+        shadow_clipping: 0,
+        analysed_size: { width: W, height: H }
+      });
+      expect(metrics.horizon_tilt).toBeCloseTo(3, 0);
+      expect(metrics.colourfulness).toBeGreaterThan(0);
+      expect(metrics.technical_score).toBeGreaterThanOrEqual(1);
+      expect(metrics.technical_score).toBeLessThanOrEqual(10);
+    });
+
+    it('should score a blurred copy lower than the sharp original', async () => {
+      const sharpFile = await writePng('detail.png', rgbImage((x, y) => {
+        const v = checker(x, y);
+        return [v, v, v];
+      }));
+      const blurredFile = path.join(testDir, 'blurred.png');
+      await sharp(sharpFile).blur(4).toFile(blurredFile);
+
+      const sharpMetrics = await computeTechnicalMetrics(sharpFile);
+      const blurredMetrics = await computeTechnicalMetrics(blurredFile);
+
+      expect(blurredMetrics.sharpness).toBeLessThan(sharpMetrics.sharpness / 10);
+      expect(blurredMetrics.technical_score).toBeLessThan(sharpMetrics.technical_score);
+    });
+
+    it('should downscale large images before measuring', async () => {
+      const file = await writePng('large.png', rgbImage(() => [128, 128, 128], 1600, 400), 1600, 400);
+      const metrics = await computeTechnicalMetrics(file);
+      expect(metrics.analysed_size).toEqual({ width: 1024, height: 256 });
+    });
+
+    it('should return null from the safe variant for unreadable files', async () => {
+      const file = path.join(testDir, 'broken.jpg');
+      fs.writeFileSync(file, 'not an image');
+      expect(await computeTechnicalMetricsSafe(file)).toBeNull();
+    });
+  });
+
+  describe('resolveTechnicalMetricsConfig()', () => {
+    it('should enable metrics without blending by default', () => {
+      expect(resolveTechnicalMetricsConfig({})).toEqual({ enabled: true, blend: null });
+      expect(resolveTechnicalMetricsConfig(null)).toEqual({ enabled: true, blend: null });
+    });
+
+    it('should read blend settings with a default weight', () => {
+      expect(resolveTechnicalMetricsConfig({
+        technicalMetrics: { blend: { criterion: 'Technical Quality' } }
+      })).toEqual({ enabled: true, blend: { criterion: 'Technical Quality', weight: 0.3 } });
+    });
+
+    it('should honour enabled: false', () => {
+      expect(resolveTechnicalMetricsConfig({ technicalMetrics: { enabled: false } }).enabled).toBe(false);
+    });
+  });
+
+  describe('blendTechnicalScore()', () => {
+    const scores = {
+      individual: {
+        'Theme Alignment': { score: 8, weight: 60 },
+        'Technical Quality': { score: 9, weight: 40 }
+      },
+      summary: { weighted_average: 8.4, average: 8.5, recommendation: 'Strong Yes' }
+    };
+    const metrics = { ...baseMetrics, technical_score: 4 };
+
+    it('should blend into the named criterion and recompute averages', () => {
+      const blended = blendTechnicalScore(scores, metrics, { criterion: 'technical quality', weight: 0.5 });
+
+      expect(blended.individual['Technical Quality']).toEqual({
+        score: 6.5,
+        weight: 40,
+        llm_score: 9,
+        technical_score: 4
+      });
+      expect(blended.summary.weighted_average).toBe(7.4);
+      expect(blended.summary.average).toBe(7.3);
+      expect(blended.summary.recommendation).toBe('Strong Yes');
+      expect(blended.summary.technical_blend).toEqual({ criterion: 'Technical Quality', weight: 0.5 });
+      expect(scores.individual['Technical Quality'].score).toBe(9);
+    });
+
+    it('should shift sampling intervals with the weighted average', () => {
+      const sampled = {
+        ...scores,
+        summary: { ...scores.summary, weighted_average_ci_lower: 8, weighted_average_ci_upper: 8.8 }
+      };
+      const blended = blendTechnicalScore(sampled, metrics, { criterion: 'Technical Quality', weight: 0.5 });
+      expect(blended.summary.weighted_average_ci_lower).toBe(7);
+      expect(blended.summary.weighted_average_ci_upper).toBe(7.8);
+    });
+
+    it('should leave scores unchanged when the criterion is missing', () => {
+      expect(blendTechnicalScore(scores, metrics, { criterion: 'Lighting', weight: 0.3 })).toBe(scores);
+      expect(blendTechnicalScore(null, metrics, { criterion: 'Lighting', weight: 0.3 })).toBeNull();
+    });
+  });
+
+  describe('toLuminance()', () => {
+    it('should weight channels by Rec. 601', () => {
+      const gray = toLuminance(Buffer.from([255, 0, 0, 0, 255, 0, 255, 255, 255]));
+      expect(gray[0]).toBeCloseTo(76.2, 1);
+      expect(gray[1]).toBeCloseTo(149.7, 1);
+      expect(gray[2]).toBeCloseTo(255, 1);
+    });
+  });
+});
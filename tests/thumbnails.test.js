@@ -109,6 +109,22 @@ describe('Thumbnail Service - Unit Tests', () => {
       expect(thumb50).not.toBe(thumb100);
     });
 
+    it('should not reuse thumbnails cached before orientation was applied', async () => {
+      const rotatedPath = path.join(testDir, 'rotated.jpg');
+      await sharp({ create: { width: 200, height: 100, channels: 3, background: '#336699' } })
+        .withMetadata({ orientation: 6 })
+        .jpeg()
+        .toFile(rotatedPath);
+      // Thumbnail name used before orientation was applied, holding an upright landscape image
+      fs.mkdirSync(path.join(testDir, '.thumbs'), { recursive: true });
+      fs.copyFileSync(testPhotoPath, path.join(testDir, '.thumbs', 'rotated_w50.jpg'));
+
+      const thumbPath = await generateThumbnail(rotatedPath, 50, testDir);
+      expect(path.basename(thumbPath)).not.toBe('rotated_w50.jpg');
+      const meta = await sharp(thumbPath).metadata();
+      expect([meta.width, meta.height]).toEqual([50, 100]);
+    });
+
     it('should throw for non-existent photo', async () => {
       await expect(
         generateThumbnail(path.join(testDir, 'nope.jpg'), 300, testDir)
@@ -16,6 +16,8 @@
  * - GET /api/projects/:name/photos/:filename
  * - GET /api/projects/:name/photos/:filename/thumb?w=300
  * - GET /api/projects/:name/results/latest/export/:format
+ * - GET /api/projects/:name/results/latest/export/pdf
+ * - GET /api/projects/:name/diff?a=&b=
  *
  * Security tests:
  * - Path traversal prevention
@@ -400,6 +402,80 @@ describe('Web API Server - Integration Tests', () => {
       const res = await request(app, '/api/projects/partial-export/results/latest/export/csv');
       expect(res.status).toBe(404);
     });
+
+    it('should render a PDF contact sheet with the project photos', async () => {
+      const res = await request(app, '/api/projects/test-project/results/latest/export/pdf?pageSize=letter&perPage=4');
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toBe('application/pdf');
+      expect(res.headers['content-disposition']).toContain('test-project-photo-analysis.pdf');
+      expect(res.body.startsWith('%PDF-1.4')).toBe(true);
+      expect(res.body).toContain('/MediaBox [0 0 612 792]');
+      expect(res.body).toContain('/Subtype /Image');
+    });
+
+    it('should reject invalid PDF page options', async () => {
+      const res = await request(app, '/api/projects/test-project/results/latest/export/pdf?perPage=500');
+      expect(res.status).toBe(400);
+      expect(res.json().error).toContain('between 1 and 48');
+    });
+
+    it('should return 404 for a PDF without results', async () => {
+      const emptyDir = path.join(testDataDir, 'empty-project');
+      fs.mkdirSync(path.join(emptyDir, 'photos'), { recursive: true });
+      fs.writeFileSync(path.join(emptyDir, 'open-call.json'), '{}');
+
+      const res = await request(app, '/api/projects/empty-project/results/latest/export/pdf');
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('GET /api/projects/:name/diff', () => {
+    const addRun = (run, ranking, metadata) => {
+      const runDir = path.join(testDataDir, 'test-project', 'results', run);
+      fs.mkdirSync(runDir, { recursive: true });
+      fs.writeFileSync(path.join(runDir, 'photo-analysis.json'), JSON.stringify({ ranking }));
+      if (metadata) fs.writeFileSync(path.join(runDir, 'run-metadata.json'), JSON.stringify(metadata));
+    };
+
+    it('should diff the two newest runs by default', async () => {
+      addRun('2026-03-02T10-00-00', [
+        { rank: 1, photo: 'portrait.jpg', overall_score: 8.9 },
+        { rank: 2, photo: 'landscape.jpg', overall_score: 8.1 }
+      ]);
+
+      const res = await request(app, '/api/projects/test-project/diff');
+      expect(res.status).toBe(200);
+      const data = res.json();
+      expect(data.runs).toEqual(['2026-03-01T10-00-00', '2026-03-02T10-00-00']);
+      expect(data).toMatchObject({ a: '2026-03-01T10-00-00', b: '2026-03-02T10-00-00' });
+      expect(data.diff.added.map(p => p.photo)).toEqual(['portrait.jpg']);
+      expect(data.diff.moved[0]).toMatchObject({ photo: 'landscape.jpg', rankA: 1, rankB: 2, rankDelta: -1 });
+      expect(data.diff.notes).toHaveLength(2);
+    });
+
+    it('should compare named runs and render Markdown', async () => {
+      addRun('2026-03-02T10-00-00', [{ rank: 1, photo: 'landscape.jpg' }], { model: 'llava:7b', settings: {}, configHash: 'x', promptHash: 'p' });
+      addRun('2026-03-03T10-00-00', [{ rank: 1, photo: 'landscape.jpg' }], { model: 'llava:13b', settings: {}, configHash: 'x', promptHash: 'p' });
+
+      const res = await request(app, '/api/projects/test-project/diff?a=2026-03-02T10-00-00&b=2026-03-03T10-00-00&format=md');
+      expect(res.status).toBe(200);
+      expect(res.headers['content-type']).toContain('text/markdown');
+      expect(res.body).toContain('| model | `"llava:7b"` | `"llava:13b"` |');
+    });
+
+    it('should reject invalid runs and report missing ones', async () => {
+      expect((await request(app, '/api/projects/test-project/diff?a=..&b=2026-03-01T10-00-00')).status).toBe(400);
+      expect((await request(app, '/api/projects/test-project/diff?a=../x')).status).toBe(400);
+      expect((await request(app, '/api/projects/test-project/diff?a=2026-01-01T10-00-00&b=2026-03-01T10-00-00')).status).toBe(404);
+
+      const same = await request(app, '/api/projects/test-project/diff?a=2026-03-01T10-00-00&b=2026-03-01T10-00-00');
+      expect(same.status).toBe(400);
+      expect(same.json().error).toContain('two different runs');
+
+      const res = await request(app, '/api/projects/test-project/diff');
+      expect(res.status).toBe(404);
+      expect(res.json().runs).toEqual(['2026-03-01T10-00-00']);
+    });
   });
 
   // ============================================
@@ -0,0 +1,69 @@
+/**
+ * Tests for zip-writer.js (submission package archives)
+ *
+ * Covers: crc32, createZip
+ */
+
+import { describe, it, expect } from 'vitest';
+import { inflateRawSync } from 'zlib';
+import { crc32, createZip } from '../src/output/zip-writer.js';
+
+// Entries as listed by the central directory, with their data read back through the local headers
+function readZip(zip) {
+  const end = zip.length - 22;
+  expect(zip.readUInt32LE(end)).toBe(0x06054b50);
+  const count = zip.readUInt16LE(end + 10);
+  let at = zip.readUInt32LE(end + 16);
+  expect(at + zip.readUInt32LE(end + 12)).toBe(end);
+
+  const entries = [];
+  for (let i = 0; i < count; i++) {
+    expect(zip.readUInt32LE(at)).toBe(0x02014b50);
+    const method = zip.readUInt16LE(at + 10);
+    const crc = zip.readUInt32LE(at + 16);
+    const compressed = zip.readUInt32LE(at + 20);
+    const nameLength = zip.readUInt16LE(at + 28);
+    const name = zip.toString('utf8', at + 46, at + 46 + nameLength);
+    const local = zip.readUInt32LE(at + 42);
+    expect(zip.readUInt32LE(local)).toBe(0x04034b50);
+    const start = local + 30 + zip.readUInt16LE(local + 26);
+    const body = zip.subarray(start, start + compressed);
+    const data = method === 8 ? inflateRawSync(body) : body;
+    entries.push({ name, method, data, crcOk: crc32(data) === crc, flags: zip.readUInt16LE(at + 8) });
+    at += 46 + nameLength;
+  }
+  return entries;
+}
+
+describe('zip-writer', () => {
+  it('should compute the standard CRC-32', () => {
+    expect(crc32(Buffer.from('123456789'))).toBe(0xcbf43926);
+    expect(crc32(Buffer.alloc(0))).toBe(0);
+  });
+
+  it('should store incompressible data, deflate text and read back intact', () => {
+    const random = Buffer.from(Array.from({ length: 2000 }, (_, i) => (i * 7919 + (i >> 3) * 104729) % 251));
+    const manifest = JSON.stringify({ photos: Array.from({ length: 50 }, () => ({ title: 'Blue Hour' })) });
+    const zip = createZip([
+      { name: '01_Rossi_Genève.jpg', data: random },
+      { name: 'manifest.json', data: manifest }
+    ], { date: new Date(2026, 9, 1, 10, 30, 20) });
+
+    const entries = readZip(zip);
+    expect(entries.map(e => e.name)).toEqual(['01_Rossi_Genève.jpg', 'manifest.json']);
+    expect(entries[1].method).toBe(8);
+    expect(entries[1].data.toString('utf8')).toBe(manifest);
+    expect(entries[0].data.equals(random)).toBe(true);
+    expect(entries.every(e => e.crcOk && e.flags === 0x0800)).toBe(true);
+    // DOS date/time of the first local header: 2026-10-01 10:30:20
+    expect(zip.readUInt16LE(10)).toBe((10 << 11) | (30 << 5) | 10);
+    expect(zip.readUInt16LE(12)).toBe(((2026 - 1980) << 9) | (10 << 5) | 1);
+  });
+
+  it('should reject unsafe and duplicate entry names', () => {
+    expect(() => createZip([{ name: '../evil.jpg', data: 'x' }])).toThrow('Invalid ZIP entry name');
+    expect(() => createZip([{ name: '/abs.jpg', data: 'x' }])).toThrow('Invalid ZIP entry name');
+    expect(() => createZip([{ name: 'a.jpg', data: 'x' }, { name: 'a.jpg', data: 'y' }])).toThrow('Duplicate ZIP entry name');
+    expect(readZip(createZip([]))).toEqual([]);
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { PhotoDetail } from '../src/components/PhotoDetail.jsx';
+
+const mockPhoto = {
+  photo: 'photos/harbour.jpg',
+  overall_score: 8.1,
+  rank: 2,
+  individual_scores: {
+    composition: { score: 8 },
+  },
+};
+
+describe('PhotoDetail', () => {
+  it('renders filename and score', () => {
+    render(<PhotoDetail photo={mockPhoto} projectName="test-oc" onClose={vi.fn()} />);
+    expect(screen.getByText('harbour.jpg')).toBeInTheDocument();
+    expect(screen.getByText('8.1')).toBeInTheDocument();
+  });
+
+  it('renders capture metadata when present', () => {
+    const photo = {
+      ...mockPhoto,
+      photo_metadata: {
+        camera: 'FUJIFILM X100V',
+        focal_length: 23,
+        aperture: 5.6,
+        shutter_speed: '1/250s',
+        iso: 400,
+        captured_at: '2025-10-04T18:30:00',
+        keywords: ['harbour', 'dusk'],
+      },
+    };
+    render(<PhotoDetail photo={photo} projectName="test-oc" onClose={vi.fn()} />);
+    expect(screen.getByText('Capture')).toBeInTheDocument();
+    expect(screen.getByText('FUJIFILM X100V')).toBeInTheDocument();
+    expect(screen.getByText('23mm · f/5.6 · 1/250s · ISO 400')).toBeInTheDocument();
+    expect(screen.getByText('2025-10-04 18:30:00')).toBeInTheDocument();
+    expect(screen.getByText('harbour, dusk')).toBeInTheDocument();
+  });
+
+  it('omits the capture section without metadata', () => {
+    render(<PhotoDetail photo={mockPhoto} projectName="test-oc" onClose={vi.fn()} />);
+    expect(screen.queryByText('Capture')).not.toBeInTheDocument();
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, fireEvent } from '@testing-library/react';
+import { MemoryRouter, Routes, Route } from 'react-router-dom';
+
+vi.mock('../src/api/client.js', () => ({
+  fetchRunDiff: vi.fn(),
+  thumbnailUrl: vi.fn((p, f) => `/thumb/${p}/${f}`),
+}));
+
+import { fetchRunDiff } from '../src/api/client.js';
+import { RunDiff } from '../src/pages/RunDiff.jsx';
+
+const run = (name, model) => ({ name, model, photos: 2, average: 8, tiers: { tier1: 1, tier2: 1, tier3: 0 } });
+
+const mockDiff = {
+  runs: ['2026-03-01T10-00-00', '2026-03-02T10-00-00', '2026-03-03T10-00-00'],
+  a: '2026-03-02T10-00-00',
+  b: '2026-03-03T10-00-00',
+  diff: {
+    runs: { a: run('2026-03-02T10-00-00', 'llava:7b'), b: run('2026-03-03T10-00-00', 'llava:13b') },
+    summary: { common: 2, moved: 2, tierChanges: 1, added: 1, removed: 1, averageDelta: 0.3 },
+    photos: [
+      { photo: 'b.jpg', rankA: 2, rankB: 1, rankDelta: 1, scoreA: 8, scoreB: 9, scoreDelta: 1, tierA: 'tier2', tierB: 'tier1', criteria: { Theme: { a: 8, b: 9.5, delta: 1.5 } } },
+      { photo: 'a.jpg', rankA: 1, rankB: 2, rankDelta: -1, scoreA: 9, scoreB: 9, scoreDelta: 0, tierA: 'tier1', tierB: 'tier1', criteria: { Theme: { a: 9, b: 9, delta: 0 } } },
+      { photo: 'c.jpg', rankA: 3, rankB: 3, rankDelta: 0, scoreA: 7, scoreB: 7, scoreDelta: 0, tierA: 'tier2', tierB: 'tier2', criteria: {} },
+    ],
+    moved: [],
+    added: [{ photo: 'new.jpg', rank: 4, score: 6, tier: null }],
+    removed: [{ photo: 'gone.jpg', rank: 4, score: 5, tier: null }],
+    criteria: [],
+    settings: [{ path: 'model', a: 'llava:7b', b: 'llava:13b' }],
+    config: [{ path: 'deadline', a: undefined, b: '2026-12-01' }],
+    prompt: { added: ['Story'], removed: [], changed: [{ name: 'Theme', weightA: 60, weightB: 50, descriptionChanged: false }], fields: [] },
+    notes: [],
+  },
+};
+
+function renderRunDiff() {
+  return render(
+    <MemoryRouter initialEntries={['/projects/test-oc/diff']}>
+      <Routes>
+        <Route path="/projects/:name/diff" element={<RunDiff />} />
+      </Routes>
+    </MemoryRouter>
+  );
+}
+
+describe('RunDiff', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('renders both runs side by side with moved, new and removed photos', async () => {
+    fetchRunDiff.mockResolvedValue(mockDiff);
+    renderRunDiff();
+    await waitFor(() => {
+      expect(screen.getByText('b.jpg')).toBeInTheDocument();
+    });
+    expect(fetchRunDiff).toHaveBeenCalledWith('test-oc', {});
+    expect(screen.getByText('Model: llava:7b')).toBeInTheDocument();
+    expect(screen.getByText('Model: llava:13b')).toBeInTheDocument();
+    expect(screen.getByText('+1.5)', { exact: false })).toBeInTheDocument();
+    expect(screen.getByText('not in run')).toBeInTheDocument();
+    expect(screen.getByText('removed')).toBeInTheDocument();
+    expect(screen.getByText('"llava:7b" → "llava:13b"', { exact: false })).toBeInTheDocument();
+    expect(screen.getByText('open-call.json: deadline')).toBeInTheDocument();
+    expect(screen.getByText('Prompt: Criterion added: Story')).toBeInTheDocument();
+    expect(screen.getByText('Prompt: Theme: weight 60 → 50')).toBeInTheDocument();
+    expect(screen.getAllByRole('img').map((img) => img.getAttribute('alt'))).toEqual(['b.jpg', 'a.jpg', 'c.jpg', 'new.jpg', 'gone.jpg']);
+  });
+
+  it('hides unchanged photos and reloads when a run is selected', async () => {
+    fetchRunDiff.mockResolvedValue(mockDiff);
+    renderRunDiff();
+    await waitFor(() => {
+      expect(screen.getByText('c.jpg')).toBeInTheDocument();
+    });
+
+    fireEvent.click(screen.getByLabelText(/changed photos only/i));
+    expect(screen.queryByText('c.jpg')).not.toBeInTheDocument();
+
+    fireEvent.change(screen.getByLabelText('Run A'), { target: { value: '2026-03-01T10-00-00' } });
+    await waitFor(() => {
+      expect(fetchRunDiff).toHaveBeenLastCalledWith('test-oc', { a: '2026-03-01T10-00-00', b: '2026-03-03T10-00-00' });
+    });
+  });
+
+  it('keeps the run selectors when a comparison fails', async () => {
+    fetchRunDiff.mockResolvedValueOnce(mockDiff).mockResolvedValueOnce(null);
+    renderRunDiff();
+    await waitFor(() => {
+      expect(screen.getByText('b.jpg')).toBeInTheDocument();
+    });
+
+    fireEvent.change(screen.getByLabelText('Run A'), { target: { value: '2026-03-03T10-00-00' } });
+    await waitFor(() => {
+      expect(screen.getByRole('alert')).toHaveTextContent('Choose two different runs to compare.');
+    });
+    expect(screen.queryByText('b.jpg')).not.toBeInTheDocument();
+    expect(screen.queryByText(/at least two analysis runs/i)).not.toBeInTheDocument();
+    expect(screen.getByLabelText('Run A')).toHaveValue('2026-03-03T10-00-00');
+    expect(screen.getByLabelText('Run B')).toHaveValue('2026-03-03T10-00-00');
+  });
+
+  it('explains when there are not enough runs', async () => {
+    fetchRunDiff.mockResolvedValue(null);
+    renderRunDiff();
+    await waitFor(() => {
+      expect(screen.getByText(/at least two analysis runs/i)).toBeInTheDocument();
+    });
+  });
+});
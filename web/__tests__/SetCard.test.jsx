@@ -0,0 +1,41 @@
+import { describe, it, expect } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import { SetCard } from '../src/components/SetCard.jsx';
+
+const mockSet = {
+  setId: 'set-1',
+  compositeScore: 7.8,
+  individualAverage: 7.5,
+  setWeightedAverage: 8.0,
+  recommendation: 'Strong, coherent set',
+  photos: [
+    { filename: 'a.jpg', individualScore: 8.1 },
+    { filename: 'b.jpg', individualScore: 7.4 },
+    { filename: 'c.jpg', individualScore: 7.0 },
+  ],
+};
+
+const altTexts = () => screen.getAllByRole('img').map((img) => img.getAttribute('alt'));
+
+describe('SetCard', () => {
+  it('renders photos in their stored order without a sequence', () => {
+    render(<SetCard set={mockSet} projectName="test-oc" rank={1} />);
+    expect(altTexts()).toEqual(['Set photo: a.jpg', 'Set photo: b.jpg', 'Set photo: c.jpg']);
+    expect(screen.queryByText(/^Order:/)).not.toBeInTheDocument();
+  });
+
+  it('renders photos in the recommended order with the rationale', () => {
+    const set = {
+      ...mockSet,
+      sequence: {
+        order: ['c.jpg', 'a.jpg', 'b.jpg'],
+        score: 7.25,
+        rationale: 'Opens with c.jpg and closes with b.jpg.',
+      },
+    };
+    render(<SetCard set={set} projectName="test-oc" rank={1} />);
+    expect(altTexts()).toEqual(['Set photo: c.jpg', 'Set photo: a.jpg', 'Set photo: b.jpg']);
+    expect(screen.getByText('Order: Opens with c.jpg and closes with b.jpg.')).toBeInTheDocument();
+    expect(screen.getByText('Flow: 7.3')).toBeInTheDocument();
+  });
+});
@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach } from 'vitest';
-import { fetchProjects, fetchProjectResults, fetchProject } from '../src/api/client.js';
+import { fetchProjects, fetchProjectResults, fetchProject, fetchRunDiff } from '../src/api/client.js';
 
 describe('API Client', () => {
   beforeEach(() => {
@@ -80,4 +80,24 @@ describe('API Client', () => {
       expect(result).toBeNull();
     });
   });
+
+  describe('fetchRunDiff', () => {
+    it('requests the default or the selected runs', async () => {
+      const mockData = { runs: ['r1', 'r2'], a: 'r1', b: 'r2', diff: {} };
+      global.fetch = vi.fn().mockResolvedValue({
+        ok: true,
+        json: () => Promise.resolve(mockData),
+      });
+
+      expect(await fetchRunDiff('test-oc')).toEqual(mockData);
+      expect(fetch).toHaveBeenCalledWith('/api/projects/test-oc/diff');
+      await fetchRunDiff('test-oc', { a: 'r1', b: 'r2' });
+      expect(fetch).toHaveBeenLastCalledWith('/api/projects/test-oc/diff?a=r1&b=r2');
+    });
+
+    it('returns null on failure', async () => {
+      global.fetch = vi.fn().mockResolvedValue({ ok: false, status: 404 });
+      expect(await fetchRunDiff('test-oc')).toBeNull();
+    });
+  });
 });
@@ -4,6 +4,7 @@ import { ThemeProvider } from './context/ThemeContext.jsx';
 import { ThemeToggle } from './components/ThemeToggle.jsx';
 import { ProjectResults } from './pages/ProjectResults.jsx';
 import { Dashboard } from './pages/Dashboard.jsx';
+import { RunDiff } from './pages/RunDiff.jsx';
 
 export default function App() {
   return (
@@ -26,6 +27,7 @@ export default function App() {
               <Routes>
                 <Route path="/" element={<Dashboard />} />
                 <Route path="/projects/:name" element={<ProjectResults />} />
+                <Route path="/projects/:name/diff" element={<RunDiff />} />
                 <Route path="*" element={<Navigate to="/" replace />} />
               </Routes>
             </main>
@@ -48,6 +48,26 @@ export async function fetchProjectResults(name) {
   }
 }
 
+/**
+ * Fetch the diff between two result runs of a project.
+ * @param {string} name - Project name
+ * @param {{ a?: string, b?: string }} [runs] - Run names (default: the two newest runs)
+ * @returns {Promise<Object|null>} { runs, a, b, diff } or null on error.
+ */
+export async function fetchRunDiff(name, { a, b } = {}) {
+  try {
+    const params = new URLSearchParams();
+    if (a) params.set('a', a);
+    if (b) params.set('b', b);
+    const query = params.toString();
+    const res = await fetch(`/api/projects/${name}/diff${query ? `?${query}` : ''}`);
+    if (!res.ok) return null;
+    return await res.json();
+  } catch {
+    return null;
+  }
+}
+
 /**
  * Build thumbnail URL for a photo.
  * @param {string} projectName
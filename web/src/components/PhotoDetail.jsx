@@ -4,6 +4,29 @@ function getFilename(photoPath) {
   return photoPath.split('/').pop();
 }
 
+/**
+ * Label/value rows for the capture metadata (EXIF/IPTC/XMP) stored with a result.
+ */
+function captureRows(metadata) {
+  if (!metadata) return [];
+  const settings = [
+    metadata.focal_length && `${metadata.focal_length}mm`,
+    metadata.aperture && `f/${metadata.aperture}`,
+    metadata.shutter_speed,
+    metadata.iso && `ISO ${metadata.iso}`,
+  ].filter(Boolean).join(' · ');
+
+  return [
+    ['Title', metadata.title],
+    ['Camera', metadata.camera],
+    ['Lens', metadata.lens],
+    ['Settings', settings],
+    ['Captured', metadata.captured_at?.replace('T', ' ')],
+    ['Location', metadata.gps && `${metadata.gps.latitude}, ${metadata.gps.longitude}`],
+    ['Keywords', metadata.keywords?.join(', ')],
+  ].filter(([, value]) => value);
+}
+
 /**
  * PhotoDetail shows an expanded overlay with full-size photo,
  * all criterion scores, and feedback text.
@@ -14,6 +37,7 @@ export function PhotoDetail({ photo, projectName, onClose }) {
   const filename = getFilename(photo.photo);
   const fullSrc = photoUrl(projectName, filename);
   const scores = photo.individual_scores || {};
+  const capture = captureRows(photo.photo_metadata);
 
   return (
     <div
@@ -74,6 +98,20 @@ export function PhotoDetail({ photo, projectName, onClose }) {
               </div>
             )}
 
+            {capture.length > 0 && (
+              <div className="mb-4">
+                <h3 className="font-semibold mb-2 text-gray-900 dark:text-gray-100">Capture</h3>
+                <dl className="space-y-1 text-sm">
+                  {capture.map(([label, value]) => (
+                    <div key={label} className="flex justify-between gap-2">
+                      <dt className="text-gray-600 dark:text-gray-400">{label}</dt>
+                      <dd className="font-medium text-right text-gray-900 dark:text-gray-100">{value}</dd>
+                    </div>
+                  ))}
+                </dl>
+              </div>
+            )}
+
             {photo.feedback && (
               <div>
                 <h3 className="font-semibold mb-1 text-gray-900 dark:text-gray-100">Feedback</h3>
@@ -1,9 +1,21 @@
 import { thumbnailUrl } from '../api/client.js';
 
+/**
+ * Set photos in the recommended presentation order when the set was sequenced.
+ */
+function orderedPhotos(set) {
+  const photos = set.photos || [];
+  const order = set.sequence?.order;
+  if (!order?.length) return photos;
+  const position = new Map(order.map((filename, i) => [filename, i]));
+  return [...photos].sort((a, b) => (position.get(a.filename) ?? order.length) - (position.get(b.filename) ?? order.length));
+}
+
 /**
  * SetCard displays a ranked set of photos (Polaroid mode) with composite score.
  */
 export function SetCard({ set, projectName, rank }) {
+  const sequenced = !!set.sequence?.order?.length;
   return (
     <div className="rounded-lg overflow-hidden shadow-md bg-white dark:bg-gray-800 dark:shadow-gray-900/30 p-4">
       <div className="flex items-center justify-between mb-3">
@@ -14,7 +26,7 @@ export function SetCard({ set, projectName, rank }) {
         </div>
       </div>
       <div className="grid grid-cols-2 sm:grid-cols-4 gap-2 mb-3">
-        {(set.photos || []).map((photo, i) => (
+        {orderedPhotos(set).map((photo, i) => (
           <div key={photo.filename || i} className="relative">
             <img
               src={thumbnailUrl(projectName, photo.filename)}
@@ -22,6 +34,11 @@ export function SetCard({ set, projectName, rank }) {
               loading="lazy"
               className="w-full h-32 object-cover rounded"
             />
+            {sequenced && (
+              <span className="absolute top-1 left-1 text-xs bg-black/60 text-white px-1.5 py-0.5 rounded">
+                {i + 1}
+              </span>
+            )}
             <span className="absolute bottom-1 right-1 text-xs bg-black/60 text-white px-1.5 py-0.5 rounded">
               {photo.individualScore?.toFixed(1)}
             </span>
@@ -31,10 +48,14 @@ export function SetCard({ set, projectName, rank }) {
       <div className="flex gap-4 text-xs text-gray-500 dark:text-gray-400">
         <span>Individual avg: {set.individualAverage?.toFixed(1)}</span>
         <span>Set score: {set.setWeightedAverage?.toFixed(1)}</span>
+        {sequenced && <span>Flow: {set.sequence.score?.toFixed(1)}</span>}
       </div>
       {set.recommendation && (
         <p className="mt-2 text-sm text-gray-600 dark:text-gray-300">{set.recommendation}</p>
       )}
+      {sequenced && set.sequence.rationale && (
+        <p className="mt-1 text-xs text-gray-500 dark:text-gray-400">Order: {set.sequence.rationale}</p>
+      )}
     </div>
   );
 }
@@ -8,7 +8,7 @@ import { CompareDrawer } from '../components/CompareDrawer.jsx';
 import { SetCard } from '../components/SetCard.jsx';
 import { useCompare } from '../context/CompareContext.jsx';
 
-const EXPORT_FORMATS = ['md', 'json', 'csv'];
+const EXPORT_FORMATS = ['md', 'json', 'csv', 'pdf'];
 
 /**
  * ProjectResults page: loads and displays ranked photo results
@@ -104,6 +104,12 @@ export function ProjectResults() {
             onSort={setSortBy}
             currentSort={sortBy}
           />}
+          <Link
+            to={`/projects/${name}/diff`}
+            className="px-3 py-1 text-xs font-medium rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-600 focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-500"
+          >
+            Compare runs
+          </Link>
           <div className="flex items-center gap-1">
             {EXPORT_FORMATS.map((fmt) => (
               <a
@@ -0,0 +1,252 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useParams, Link } from 'react-router-dom';
+import { fetchRunDiff, thumbnailUrl } from '../api/client.js';
+
+const TIER_LABELS = { tier1: 'Tier 1', tier2: 'Tier 2', tier3: 'Tier 3' };
+const TIER_CLASSES = {
+  tier1: 'bg-green-100 text-green-800 dark:bg-green-900/40 dark:text-green-300',
+  tier2: 'bg-yellow-100 text-yellow-800 dark:bg-yellow-900/40 dark:text-yellow-300',
+  tier3: 'bg-red-100 text-red-800 dark:bg-red-900/40 dark:text-red-300',
+};
+const CELL = 'px-3 py-2 text-sm text-gray-700 dark:text-gray-300';
+const SELECT = 'px-2 py-1 text-sm rounded border border-gray-300 bg-white text-gray-700 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-200 focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-500';
+
+const signed = (value) => (value === null || value === undefined ? '–' : `${value > 0 ? '+' : ''}${value}`);
+const showValue = (value) => (value === undefined ? '(unset)' : JSON.stringify(value));
+
+function deltaClass(value) {
+  if (!value) return 'text-gray-400 dark:text-gray-500';
+  return value > 0 ? 'text-green-600 dark:text-green-400' : 'text-red-600 dark:text-red-400';
+}
+
+/**
+ * One run's side of a row: rank, tier badge and score, or a placeholder.
+ */
+function RunCell({ rank, tier, score, missing }) {
+  if (rank === undefined) {
+    return <td className={`${CELL} text-gray-400 dark:text-gray-500 italic`}>{missing}</td>;
+  }
+  return (
+    <td className={CELL}>
+      <span className="font-medium">#{rank}</span>
+      {tier && <span className={`ml-2 text-xs px-1.5 py-0.5 rounded ${TIER_CLASSES[tier]}`}>{TIER_LABELS[tier]}</span>}
+      <span className="ml-2">{score ?? '–'}</span>
+    </td>
+  );
+}
+
+/**
+ * Side-by-side rows: photos in both runs, then new and removed photos.
+ */
+function buildRows(diff) {
+  return [
+    ...diff.photos.map((p) => ({
+      photo: p.photo,
+      a: { rank: p.rankA, tier: p.tierA, score: p.scoreA },
+      b: { rank: p.rankB, tier: p.tierB, score: p.scoreB },
+      rankDelta: p.rankDelta,
+      scoreDelta: p.scoreDelta,
+      criteria: Object.entries(p.criteria).filter(([, c]) => c.delta),
+      changed: p.rankDelta !== 0 || p.tierA !== p.tierB || !!p.scoreDelta,
+    })),
+    ...diff.added.map((p) => ({ photo: p.photo, a: {}, b: p, criteria: [], changed: true })),
+    ...diff.removed.map((p) => ({ photo: p.photo, a: p, b: {}, criteria: [], changed: true })),
+  ].sort((x, y) => (x.b.rank ?? Infinity) - (y.b.rank ?? Infinity) || (x.a.rank ?? 0) - (y.a.rank ?? 0));
+}
+
+/**
+ * RunDiff page: side-by-side comparison of two result runs of a project
+ * (rank, tier and score changes, new/removed photos, settings differences).
+ * A failed comparison keeps the last run list so another pair can be picked.
+ */
+export function RunDiff() {
+  const { name } = useParams();
+  const [selection, setSelection] = useState({});
+  const [data, setData] = useState(null);
+  const [failed, setFailed] = useState(false);
+  const [loading, setLoading] = useState(true);
+  const [changedOnly, setChangedOnly] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+    setLoading(true);
+    fetchRunDiff(name, selection).then((result) => {
+      if (cancelled) return;
+      if (result) setData(result);
+      setFailed(!result);
+      setLoading(false);
+    });
+    return () => { cancelled = true; };
+  }, [name, selection]);
+
+  const rows = useMemo(() => {
+    if (!data?.diff) return [];
+    const all = buildRows(data.diff);
+    return changedOnly ? all.filter((row) => row.changed) : all;
+  }, [data, changedOnly]);
+
+  const backLink = (
+    <Link
+      to={`/projects/${name}`}
+      className="text-blue-600 hover:text-blue-800 dark:text-blue-400 dark:hover:text-blue-300 text-sm focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-500"
+      aria-label="Back to results"
+    >
+      &larr; Results
+    </Link>
+  );
+
+  if (loading && !data) {
+    return <div className="p-8 text-center text-gray-500 dark:text-gray-400">Loading run diff...</div>;
+  }
+
+  if (!data) {
+    return (
+      <div className="p-8 text-center text-gray-500 dark:text-gray-400">
+        <p className="mb-4">At least two analysis runs are needed to compare.</p>
+        {backLink}
+      </div>
+    );
+  }
+
+  const { diff, runs } = data;
+  const selected = { a: selection.a ?? data.a, b: selection.b ?? data.b };
+  const promptChanges = [
+    ...diff.prompt.added.map((c) => `Criterion added: ${c}`),
+    ...diff.prompt.removed.map((c) => `Criterion removed: ${c}`),
+    ...diff.prompt.changed.map((c) => `${c.name}: ${c.weightA !== c.weightB ? `weight ${c.weightA ?? '–'} → ${c.weightB ?? '–'}` : ''}${c.weightA !== c.weightB && c.descriptionChanged ? ', ' : ''}${c.descriptionChanged ? 'description changed' : ''}`),
+    ...diff.prompt.fields.map((f) => `${f.path} changed`),
+  ];
+  const settingChanges = [
+    ...diff.settings,
+    ...diff.config.map((c) => ({ ...c, path: `open-call.json: ${c.path}` })),
+  ];
+  const runSelect = (side, label) => (
+    <label className="flex items-center gap-2 text-sm text-gray-600 dark:text-gray-300">
+      {label}
+      <select
+        value={selected[side]}
+        onChange={(e) => setSelection({ ...selected, [side]: e.target.value })}
+        className={SELECT}
+        aria-label={`Run ${side.toUpperCase()}`}
+      >
+        {runs.map((run) => <option key={run} value={run}>{run}</option>)}
+      </select>
+    </label>
+  );
+
+  const header = (
+    <div className="flex flex-col sm:flex-row sm:items-center sm:justify-between gap-4 mb-6">
+      <div className="flex items-center gap-3">
+        {backLink}
+        <h1 className="text-xl font-bold text-gray-900 dark:text-gray-100">{name}: run diff</h1>
+      </div>
+      <div className="flex items-center gap-3 flex-wrap">
+        {runSelect('a', 'Run A')}
+        {runSelect('b', 'Run B')}
+        {!failed && (
+          <a
+            href={`/api/projects/${name}/diff?a=${data.a}&b=${data.b}&format=md`}
+            download
+            className="px-3 py-1 text-xs font-medium rounded border border-gray-300 bg-white text-gray-700 hover:bg-gray-100 dark:bg-gray-700 dark:border-gray-600 dark:text-gray-300 dark:hover:bg-gray-600 focus-visible:outline-2 focus-visible:outline-offset-2 focus-visible:outline-blue-500"
+          >
+            MD
+          </a>
+        )}
+      </div>
+    </div>
+  );
+
+  if (failed) {
+    return (
+      <div>
+        {header}
+        <p className="p-8 text-center text-gray-500 dark:text-gray-400" role="alert">
+          {selected.a === selected.b ? 'Choose two different runs to compare.' : 'Could not compare the selected runs.'}
+        </p>
+      </div>
+    );
+  }
+
+  return (
+    <div>
+      {header}
+
+      <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-6">
+        {['a', 'b'].map((side) => (
+          <div key={side} className="rounded-lg shadow-sm bg-white dark:bg-gray-800 p-4 text-sm text-gray-600 dark:text-gray-300">
+            <div className="font-semibold text-gray-900 dark:text-gray-100 mb-1">Run {side.toUpperCase()}: {diff.runs[side].name}</div>
+            <div>Model: {diff.runs[side].model || 'unknown'}</div>
+            <div>Photos: {diff.runs[side].photos} · Average: {diff.runs[side].average ?? '–'}</div>
+            <div>Tiers: {['tier1', 'tier2', 'tier3'].map((t) => diff.runs[side].tiers[t]).join(' / ')}</div>
+          </div>
+        ))}
+      </div>
+
+      <p className="mb-4 text-sm text-gray-600 dark:text-gray-300">
+        {diff.summary.moved} moved, {diff.summary.tierChanges} changed tier, {diff.summary.added} new,{' '}
+        {diff.summary.removed} removed · average score {signed(diff.summary.averageDelta)}
+      </p>
+
+      {diff.notes.map((note) => (
+        <p key={note} className="mb-2 text-sm text-yellow-700 dark:text-yellow-400">{note}</p>
+      ))}
+
+      {(settingChanges.length > 0 || promptChanges.length > 0) && (
+        <div className="mb-6 rounded-lg shadow-sm bg-white dark:bg-gray-800 p-4">
+          <h2 className="font-semibold text-gray-900 dark:text-gray-100 mb-2">Settings, config and prompt changes</h2>
+          <ul className="text-sm text-gray-700 dark:text-gray-300 space-y-1">
+            {settingChanges.map((c) => (
+              <li key={c.path}>
+                <span className="font-medium">{c.path}</span>: {showValue(c.a)} → {showValue(c.b)}
+              </li>
+            ))}
+            {promptChanges.map((c) => <li key={c}>Prompt: {c}</li>)}
+          </ul>
+        </div>
+      )}
+
+      <label className="flex items-center gap-2 mb-2 text-sm text-gray-600 dark:text-gray-300">
+        <input type="checkbox" checked={changedOnly} onChange={(e) => setChangedOnly(e.target.checked)} />
+        Changed photos only
+      </label>
+
+      <div className="overflow-x-auto rounded-lg shadow-sm bg-white dark:bg-gray-800">
+        <table className="min-w-full divide-y divide-gray-200 dark:divide-gray-700">
+          <thead>
+            <tr className="text-left text-xs uppercase text-gray-500 dark:text-gray-400">
+              <th className="px-3 py-2">Photo</th>
+              <th className="px-3 py-2">Run A</th>
+              <th className="px-3 py-2">Run B</th>
+              <th className="px-3 py-2">Δ Rank</th>
+              <th className="px-3 py-2">Δ Score</th>
+              <th className="px-3 py-2">Criteria</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-gray-100 dark:divide-gray-700">
+            {rows.map((row) => (
+              <tr key={row.photo}>
+                <td className={CELL}>
+                  <div className="flex items-center gap-2">
+                    <img src={thumbnailUrl(name, row.photo, 80)} alt={row.photo} loading="lazy" className="w-12 h-12 object-cover rounded" />
+                    <span>{row.photo}</span>
+                  </div>
+                </td>
+                <RunCell {...row.a} missing="not in run" />
+                <RunCell {...row.b} missing="removed" />
+                <td className={`${CELL} ${deltaClass(row.rankDelta)}`}>{signed(row.rankDelta)}</td>
+                <td className={`${CELL} ${deltaClass(row.scoreDelta)}`}>{signed(row.scoreDelta)}</td>
+                <td className={`${CELL} text-xs`}>
+                  {row.criteria.map(([criterion, c]) => (
+                    <div key={criterion}>
+                      {criterion} {c.a} → {c.b} <span className={deltaClass(c.delta)}>({signed(c.delta)})</span>
+                    </div>
+                  ))}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}